@@ -4,18 +4,20 @@ import { GameScene } from './components/GameScene.jsx';
 import { Tutorial } from './components/Tutorial.jsx';
 import { Settings } from './components/Settings.jsx';
 import { ArcanaCompendium } from './components/ArcanaCompendium.jsx';
+import { DeckBuilder } from './components/DeckBuilder.jsx';
 import { CardBalancingToolV2 } from './components/CardBalancingToolV2.jsx';
 import { ArcanaStudio } from './components/ArcanaStudio.jsx';
 
 import { IntroScreen } from './components/IntroScreen.jsx';
 import { socket } from './game/socket.js';
 import { soundManager } from './game/soundManager.js';
+import { applyLiveStudioCard } from './game/arcana/cutsceneDefinitions.js';
 
 export function App() {
   const SETTINGS_KEY = 'arcanaChess.settings';
   const API_BASE_URL = import.meta.env.DEV ? 'http://localhost:4000' : window.location.origin;
 
-  const menuScreens = ['main-menu', 'host-game', 'join-game', 'settings', 'arcana', 'card-balancing', 'arcana-studio'];
+  const menuScreens = ['main-menu', 'host-game', 'join-game', 'watch-games', 'adjourned-games', 'profile', 'settings', 'arcana', 'deck-builder', 'card-balancing', 'arcana-studio'];
   const devToolScreens = ['card-balancing', 'arcana-studio'];
 
   const [screen, setScreen] = useState('intro');
@@ -25,9 +27,10 @@ export function App() {
   const [lastArcanaEvent, setLastArcanaEvent] = useState(null);
   const [gameEndOutcome, setGameEndOutcome] = useState(null);
   const [devMode, setDevMode] = useState(false);
+  const [devModeToken, setDevModeToken] = useState(null);
   const [quickMatchStatus, setQuickMatchStatus] = useState('');
   const [quickMatchLoading, setQuickMatchLoading] = useState(false);
-  const [quickMatchFilters, setQuickMatchFilters] = useState({ gameMode: 'any', timeControl: 'any' });
+  const [quickMatchFilters, setQuickMatchFilters] = useState({ gameMode: 'any', timeControl: 'any', rated: false });
   const [globalNotice, setGlobalNotice] = useState(null);
 
   useEffect(() => {
@@ -58,6 +61,7 @@ export function App() {
   const handleToggleDevMode = async () => {
     if (devMode) {
       setDevMode(false);
+      setDevModeToken(null);
       return;
     }
 
@@ -74,6 +78,7 @@ export function App() {
       const payload = await response.json().catch(() => ({}));
       if (response.ok && payload?.ok) {
         setDevMode(true);
+        setDevModeToken(payload.token || null);
         return;
       }
 
@@ -202,6 +207,13 @@ export function App() {
       setLastArcanaEvent({ ...payload, at: Date.now() });
     };
 
+    // Arcana Studio saved a card to the repo; use its new timeline without a rebuild.
+    const handleStudioCardUpdated = (payload) => {
+      if (applyLiveStudioCard(payload?.card)) {
+        setGlobalNotice({ tone: 'info', message: `Cutscene updated: ${payload.card.name || payload.id}` });
+      }
+    };
+
     const handleRematchAIScreen = (settings) => {
       // Rematch for AI game: go back to AI screen with settings pre-filled
       setRematchAISettings(settings);
@@ -216,21 +228,34 @@ export function App() {
       setScreen('host-game');
     };
 
+    // Adjourned games wait on the server; players can pick them up from the menu later.
+    const handleGameAdjourned = (payload) => {
+      setGameState(null);
+      setGameEndOutcome(null);
+      setAscendedInfo(null);
+      setLastArcanaEvent(null);
+      setScreen(payload?.spectator ? 'watch-games' : 'adjourned-games');
+    };
+
     socket.on('gameStarted', handleGameStarted);
     socket.on('gameUpdated', handleGameUpdated);
+    socket.on('gameAdjourned', handleGameAdjourned);
     socket.on('gameEnded', handleGameEnded);
     socket.on('ascended', handleAscended);
     socket.on('arcanaTriggered', handleArcanaTriggered);
     socket.on('rematchAIScreen', handleRematchAIScreen);
     socket.on('rematchLobbyReady', handleRematchLobbyReady);
+    socket.on('studioCardUpdated', handleStudioCardUpdated);
 
     return () => {
       socket.off('gameStarted', handleGameStarted);
       socket.off('gameUpdated', handleGameUpdated);
+      socket.off('gameAdjourned', handleGameAdjourned);
       socket.off('gameEnded', handleGameEnded);
       socket.off('ascended', handleAscended);
       socket.off('arcanaTriggered', handleArcanaTriggered);
       socket.off('rematchAIScreen', handleRematchAIScreen);
+      socket.off('studioCardUpdated', handleStudioCardUpdated);
       socket.off('rematchLobbyReady', handleRematchLobbyReady);
     };
   }, [ascendedInfo]);
@@ -324,6 +349,17 @@ export function App() {
   }, [screen]);
 
   const handleBackToMenu = () => {
+    // Spectators just stop watching; nothing to forfeit.
+    if (gameState?.spectator) {
+      socket.emit('stopSpectating', {}, () => {});
+      setGameState(null);
+      setGameEndOutcome(null);
+      setAscendedInfo(null);
+      setLastArcanaEvent(null);
+      setScreen('main-menu');
+      return;
+    }
+
     // If there's an active game, forfeit it
     if (gameState && gameState.status === 'ongoing') {
       socket.emit('forfeitGame', {}, (res) => {
@@ -367,65 +403,60 @@ export function App() {
 
   // Using external IntroScreen component (from ./components/IntroScreen.jsx)
 
-  const handleQuickMatch = async (filters = quickMatchFilters) => {
-    try {
-      if (quickMatchLoading) return; // prevent spamming
-      setQuickMatchLoading(true);
-      const MIN_SEARCH_MS = 1500; // ensure searching text stays visible briefly
-      setQuickMatchStatus('Searching for matching public games...');
-      const start = Date.now();
-      const normalizedFilters = {
-        gameMode: filters?.gameMode || 'any',
-        timeControl: filters?.timeControl || 'any',
-      };
-      socket.emit('listLobbies', { filters: normalizedFilters }, (res) => {
-        const elapsed = Date.now() - start;
-        const finishAndClear = (statusMsg, clearAfterMs = 3000) => {
-          setQuickMatchStatus(statusMsg);
-          setTimeout(() => {
-            setQuickMatchStatus('');
-            setQuickMatchLoading(false);
-          }, clearAfterMs);
-        };
-
-        const run = () => {
-          if (res && res.ok && res.lobbies && res.lobbies.length > 0) {
-            const availableLobby = res.lobbies.find(
-              (lobby) => !lobby.isPrivate && lobby.status === 'waiting' && lobby.playerCount < 2
-            );
-            if (availableLobby) {
-              setQuickMatchStatus('Found open game - joining...');
-              socket.emit('joinLobby', { lobbyId: availableLobby.id }, (joinRes) => {
-                if (joinRes && joinRes.ok) {
-                  setQuickMatchStatus('');
-                  setQuickMatchLoading(false);
-                  setQuickJoinedLobby(joinRes.lobby);
-                  setScreen('join-game');
-                } else {
-                  console.error('Failed to join lobby:', joinRes?.error);
-                  finishAndClear('Failed to join the found game.');
-                }
-              });
-            } else {
-              finishAndClear('No matching open public games found.');
-            }
-          } else {
-            finishAndClear('No matching open public games found.');
-          }
-        };
-        const delay = Math.max(0, MIN_SEARCH_MS - elapsed);
-        if (delay > 0) setTimeout(run, delay); else run();
-      });
-    } catch (err) {
-      console.error('Quick match error:', err);
-      setQuickMatchStatus('Error searching for games.');
-      setTimeout(() => {
-        setQuickMatchStatus('');
+  // Quick match joins the server matchmaking queue; the server starts the game once a
+  // player within the (widening) rating window is found.
+  const handleQuickMatch = (filters = quickMatchFilters) => {
+    if (quickMatchLoading) return; // prevent spamming
+    setQuickMatchLoading(true);
+    setQuickMatchStatus(filters?.rated ? 'Joining the rated queue...' : 'Joining the queue...');
+    socket.emit('joinMatchmaking', {
+      gameMode: filters?.gameMode || 'any',
+      timeControl: filters?.timeControl || 'any',
+      rated: Boolean(filters?.rated),
+    }, (res) => {
+      if (!res || !res.ok) {
+        setQuickMatchStatus(res?.error || 'Failed to join matchmaking.');
         setQuickMatchLoading(false);
-      }, 3000);
-    }
+        return;
+      }
+      setQuickMatchStatus(`Searching for an opponent near ${res.rating}...`);
+    });
   };
 
+  const handleCancelQuickMatch = () => {
+    socket.emit('leaveMatchmaking', {}, () => {
+      setQuickMatchStatus('Search cancelled.');
+      setQuickMatchLoading(false);
+    });
+  };
+
+  useEffect(() => {
+    const handleMatchmakingStatus = (status) => {
+      if (status?.error) {
+        setQuickMatchStatus(status.error);
+        setQuickMatchLoading(false);
+        return;
+      }
+      if (!status?.queued) return;
+      setQuickMatchLoading(true);
+      const waited = Math.round((status.waitedMs || 0) / 1000);
+      setQuickMatchStatus(`Searching${status.rated ? ' (rated)' : ''}: ${status.rating} ± ${status.window}, ${waited}s, ${status.queueSize} in queue`);
+    };
+
+    const handleMatchFound = (match) => {
+      const opponentRating = match?.rated ? ` (${match.opponent?.rating})` : '';
+      setQuickMatchStatus(`Matched with ${match?.opponent?.displayName || 'Guest'}${opponentRating} - starting...`);
+      setQuickMatchLoading(false);
+    };
+
+    socket.on('matchmakingStatus', handleMatchmakingStatus);
+    socket.on('matchFound', handleMatchFound);
+    return () => {
+      socket.off('matchmakingStatus', handleMatchmakingStatus);
+      socket.off('matchFound', handleMatchFound);
+    };
+  }, []);
+
   return (
     <div style={{ width: '100%', height: '100%', backgroundColor: '#05060a', color: 'white' }}>
       {globalNotice && (
@@ -478,13 +509,18 @@ export function App() {
             mode="root"
             onPlayOnlineHost={() => setScreen('host-game')}
             onPlayOnlineJoin={() => setScreen('join-game')}
+            onWatchLive={() => setScreen('watch-games')}
+            onAdjournedGames={() => setScreen('adjourned-games')}
+            onProfile={() => setScreen('profile')}
             onQuickMatch={handleQuickMatch}
+            onCancelQuickMatch={handleCancelQuickMatch}
             quickMatchStatus={quickMatchStatus}
             quickMatchLoading={quickMatchLoading}
             quickMatchFilters={quickMatchFilters}
             onQuickMatchFiltersChange={setQuickMatchFilters}
             onTutorial={() => setScreen('tutorial')}
             onViewArcana={() => setScreen('arcana')}
+            onDeckBuilder={() => setScreen('deck-builder')}
             onSettings={() => setScreen('settings')}
             onCardBalancing={() => setScreen('card-balancing')}
             onArcanaStudio={() => setScreen('arcana-studio')}
@@ -520,6 +556,32 @@ export function App() {
           onBack={() => { setQuickJoinedLobby(null); setScreen('main-menu'); }}
         />
       )}
+      {screen === 'watch-games' && (
+        <MainMenu
+          mode="watch"
+          onSpectate={(state) => {
+            setPendingReplayPayload(null);
+            setGameEndOutcome(null);
+            setLastArcanaEvent(null);
+            setGameState(state);
+            setAscendedInfo(state.ascended ? { gameId: state.id, reason: state.ascensionTrigger } : null);
+            setScreen('game');
+          }}
+          onBack={() => setScreen('main-menu')}
+        />
+      )}
+      {screen === 'adjourned-games' && (
+        <MainMenu
+          mode="adjourned"
+          onBack={() => setScreen('main-menu')}
+        />
+      )}
+      {screen === 'profile' && (
+        <MainMenu
+          mode="profile"
+          onBack={() => setScreen('main-menu')}
+        />
+      )}
       {screen === 'tutorial' && (
         <Tutorial onBack={() => setScreen('main-menu')} />
       )}
@@ -533,11 +595,14 @@ export function App() {
       {screen === 'arcana' && (
         <ArcanaCompendium onBack={() => setScreen('main-menu')} />
       )}
+      {screen === 'deck-builder' && (
+        <DeckBuilder onBack={() => setScreen('main-menu')} />
+      )}
       {screen === 'card-balancing' && (
         <CardBalancingToolV2 onBack={() => setScreen('main-menu')} />
       )}
       {screen === 'arcana-studio' && (
-        <ArcanaStudio onBack={() => setScreen('main-menu')} />
+        <ArcanaStudio onBack={() => setScreen('main-menu')} devModeToken={devModeToken} />
       )}
       {screen === 'game' && (
         <GameScene
@@ -3,6 +3,9 @@ import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { Html, OrbitControls, TransformControls } from '@react-three/drei';
 import { ChessPiece } from './ChessPiece.jsx';
 import { ArcanaStudioTutorial } from './ArcanaStudioTutorial.jsx';
+import { ArcanaStudioHistory } from './ArcanaStudioHistory.jsx';
+import { ArcanaStudioValidation } from './ArcanaStudioValidation.jsx';
+import { ArcanaStudioTemplates } from './ArcanaStudioTemplates.jsx';
 import { CutsceneOverlay } from './CutsceneOverlay.jsx';
 import {
   createEmptyArcanaStudioCard,
@@ -19,6 +22,7 @@ import {
   normalizeArcanaStudioEventActions,
   resolveSoundPreviewUrl,
 } from '../game/arcana/studio/arcanaStudioRuntime.js';
+import { insertArcanaStudioTemplate } from '../game/arcana/studio/arcanaStudioTemplates.js';
 import { getArcanaEffectDuration } from '../game/arcana/arcanaTimings.js';
 import { getAllCutsceneCards, getAllCutsceneConfigs } from '../game/arcana/cutsceneDefinitions.js';
 import { legacyCutsceneToArcanaStudioCard, arcanaStudioCardToLegacyCutscene } from '../game/arcana/studio/arcanaStudioBridge.js';
@@ -1259,6 +1263,8 @@ function StudioScene({
   );
 }
 
+const STUDIO_AUTHOR_KEY = 'arcana:studioAuthor';
+
 function downloadJson(name, value) {
   const blob = new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' });
   const href = URL.createObjectURL(blob);
@@ -1363,7 +1369,7 @@ function normalizeImportedStudioCardsPayload(parsed) {
   return [];
 }
 
-export function ArcanaStudio({ onBack }) {
+export function ArcanaStudio({ onBack, devModeToken = null }) {
   const [cards, setCards] = useState(() => {
     return buildStudioCardsMap();
   });
@@ -1378,6 +1384,14 @@ export function ArcanaStudio({ onBack }) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [playbackLoopCycle, setPlaybackLoopCycle] = useState(0);
   const [showTutorial, setShowTutorial] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [author, setAuthor] = useState(() => {
+    try {
+      return localStorage.getItem(STUDIO_AUTHOR_KEY) || '';
+    } catch {
+      return '';
+    }
+  });
   const [showCameraGizmos, setShowCameraGizmos] = useState(true);
   const [transformMode, setTransformMode] = useState('translate');
   const [cameraTransformTarget, setCameraTransformTarget] = useState('position');
@@ -2043,6 +2057,21 @@ export function ArcanaStudio({ onBack }) {
     updateCards({ ...cards, [selectedId]: patched }, statusText);
   }
 
+  function insertTemplate(template, options) {
+    try {
+      let inserted = {};
+      updateSelectedCard((card) => {
+        const result = insertArcanaStudioTemplate(card, template, options);
+        inserted = result.inserted;
+        return result.card;
+      });
+      const summary = Object.entries(inserted).map(([kind, count]) => `${count} ${kind}`).join(', ');
+      setStatus(`Inserted ${template.name || template.id} at ${options.offsetMs}ms (${summary})`);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
   function selectTrack(trackType, trackId, keyId = null) {
     setSelection({ trackType, trackId, keyId });
     if (!keyId) setSelectedKeyIds([]);
@@ -2472,6 +2501,41 @@ export function ArcanaStudio({ onBack }) {
     setStatus(`Exported ${selectedId}. Apply with: npm run studio:apply`);
   }
 
+  // Dev mode only: the server writes the card module and pushes it to every open client.
+  async function saveCardToRepo() {
+    const fullCard = sanitizeCardForStudio(migrateArcanaStudioCard(selectedCard, selectedId), selectedId);
+    setStatus(`Saving ${selectedId}...`);
+    try {
+      const response = await fetch('/api/studio/cards', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Dev-Mode-Token': devModeToken },
+        body: JSON.stringify({ card: fullCard, author: author || undefined }),
+      });
+      const payload = await response.json().catch(() => ({}));
+      setStatus(response.ok && payload?.ok
+        ? `Saved ${selectedId} to the game as v${payload.version}. Open games use it now.`
+        : `Save failed: ${payload?.error || response.statusText}`);
+    } catch (err) {
+      setStatus(`Save failed: ${err.message}`);
+    }
+  }
+
+  function changeAuthor(value) {
+    setAuthor(value);
+    try {
+      localStorage.setItem(STUDIO_AUTHOR_KEY, value);
+    } catch {
+      // Private mode: the name lasts for this tab only.
+    }
+  }
+
+  function restoreVersion(card, version) {
+    const restored = sanitizeCardForStudio(migrateArcanaStudioCard(card, selectedId), selectedId);
+    updateCards({ ...cards, [selectedId]: restored }, `Rolled ${selectedId} back to v${version}`);
+    setSelection(null);
+    setPlayheadMs(0);
+  }
+
   function applyOverlayPreset(trackId, preset) {
     if (!trackId || !preset) return;
     const commonStyle = {
@@ -2715,6 +2779,16 @@ export function ArcanaStudio({ onBack }) {
   return (
     <div className="arcana-studio-shell">
       {showTutorial ? <ArcanaStudioTutorial onClose={() => setShowTutorial(false)} eventTypes={KNOWN_GAME_EVENT_TYPES} /> : null}
+      {showHistory ? (
+        <ArcanaStudioHistory
+          cardId={selectedId}
+          currentCard={selectedCard}
+          devModeToken={devModeToken}
+          author={author}
+          onRolledBack={restoreVersion}
+          onClose={() => setShowHistory(false)}
+        />
+      ) : null}
 
       <header className="arcana-studio-header">
         <div>
@@ -2724,6 +2798,13 @@ export function ArcanaStudio({ onBack }) {
         <div className="arcana-studio-actions">
           <button onClick={onBack}>Back</button>
           <button onClick={createNewCard}>New Card</button>
+          {devModeToken ? (
+            <>
+              <input className="studio-author-input" placeholder="Your name" value={author} onChange={(event) => changeAuthor(event.target.value)} />
+              <button onClick={saveCardToRepo}>Save to Game</button>
+              <button onClick={() => setShowHistory(true)}>History</button>
+            </>
+          ) : null}
           <button onClick={saveCardToGame}>Export JSON</button>
           <button onClick={importAllCurrentCards}>Import All Cards</button>
           <label className="file-like-button">
@@ -2788,6 +2869,15 @@ export function ArcanaStudio({ onBack }) {
               })}
             </div>
           </div>
+
+          <ArcanaStudioTemplates
+            cards={cards}
+            selectedCard={selectedCard}
+            playheadMs={playheadMs}
+            onInsert={insertTemplate}
+            onExport={(template) => downloadJson(`${template.id}.template.json`, template)}
+            onStatus={setStatus}
+          />
         </aside>
 
         <main className="arcana-studio-main">
@@ -3519,6 +3609,7 @@ export function ArcanaStudio({ onBack }) {
               </>
             )}
           </div>
+          <ArcanaStudioValidation card={selectedCard} onSelect={({ trackType, trackId, keyId }) => selectKey(trackType, trackId, keyId)} />
         </aside>
       </div>
     </div>
@@ -0,0 +1,157 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { diffStudioCards } from '../../../shared/arcana/studio/studioCardDiff.js';
+
+const CURRENT = 'current';
+
+function formatValue(value) {
+  return value === undefined ? '(none)' : JSON.stringify(value);
+}
+
+function formatShift(key) {
+  const delta = key.toMs - key.fromMs;
+  return `${key.fromMs}ms → ${key.toMs}ms (${delta > 0 ? '+' : ''}${delta}ms)`;
+}
+
+async function fetchStudioJson(url, devModeToken, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'X-Dev-Mode-Token': devModeToken, ...(options.headers || {}) },
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok || !payload?.ok) throw new Error(payload?.error || response.statusText);
+  return payload;
+}
+
+function TrackDiff({ track }) {
+  const { keys } = track;
+  return (
+    <div className={`history-track history-track-${track.change}`}>
+      <div className="history-track-title">
+        <span className="pill">{track.kind}</span> {track.name} <em>{track.change}</em>
+      </div>
+      {track.fields.map((field) => (
+        <div key={field.path} className="history-line">{field.path}: {formatValue(field.before)} → {formatValue(field.after)}</div>
+      ))}
+      {track.change === 'changed' ? (
+        <>
+          {keys.added.map((key) => <div key={`a-${key.id}`} className="history-line added">+ key at {key.timeMs}ms</div>)}
+          {keys.removed.map((key) => <div key={`r-${key.id}`} className="history-line removed">- key at {key.timeMs}ms</div>)}
+          {keys.shifted.map((key) => <div key={`s-${key.id}`} className="history-line shifted">key moved {formatShift(key)}</div>)}
+          {keys.changed.map((key) => <div key={`c-${key.id}`} className="history-line">key at {key.timeMs}ms: {key.fields.join(', ')}</div>)}
+        </>
+      ) : (
+        <div className="history-line">{(track.change === 'added' ? keys.added : keys.removed).length} keys</div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Applied versions of one card, a diff between any two of them (or against the editor),
+ * and rollback. Needs dev mode: the history lives on the server.
+ */
+export function ArcanaStudioHistory({ cardId, currentCard, devModeToken, author, onRolledBack, onClose }) {
+  const [versions, setVersions] = useState([]);
+  const [cardsByVersion, setCardsByVersion] = useState({});
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(CURRENT);
+  const [status, setStatus] = useState('Loading history...');
+
+  const loadVersions = async () => {
+    try {
+      const { versions: list } = await fetchStudioJson(`/api/studio/cards/${encodeURIComponent(cardId)}/history`, devModeToken);
+      setVersions(list);
+      setFromVersion((previous) => previous ?? list[list.length - 1]?.version ?? null);
+      setStatus(list.length === 0 ? 'No saved versions yet. Save to Game or studio:apply starts the history.' : '');
+    } catch (err) {
+      setStatus(`History unavailable: ${err.message}`);
+    }
+  };
+
+  useEffect(() => {
+    loadVersions();
+  }, [cardId]);
+
+  useEffect(() => {
+    const wanted = [fromVersion, toVersion].filter((version) => version !== null && version !== CURRENT && !cardsByVersion[version]);
+    wanted.forEach(async (version) => {
+      try {
+        const { entry } = await fetchStudioJson(`/api/studio/cards/${encodeURIComponent(cardId)}/history/${version}`, devModeToken);
+        setCardsByVersion((previous) => ({ ...previous, [version]: entry.card }));
+      } catch (err) {
+        setStatus(`Could not load v${version}: ${err.message}`);
+      }
+    });
+  }, [cardId, fromVersion, toVersion]);
+
+  const cardFor = (version) => (version === CURRENT ? currentCard : cardsByVersion[version]);
+  const diff = useMemo(() => {
+    const before = cardFor(fromVersion);
+    const after = cardFor(toVersion);
+    return before && after ? diffStudioCards(before, after) : null;
+  }, [fromVersion, toVersion, cardsByVersion, currentCard]);
+
+  const rollback = async (version) => {
+    if (!window.confirm(`Roll ${cardId} back to v${version}? Unsaved edits to this card will be replaced.`)) return;
+    try {
+      const result = await fetchStudioJson(`/api/studio/cards/${encodeURIComponent(cardId)}/rollback`, devModeToken, {
+        method: 'POST',
+        body: JSON.stringify({ version, author }),
+      });
+      setStatus(`Restored v${version} as v${result.version}.`);
+      onRolledBack(result.card, version);
+      loadVersions();
+    } catch (err) {
+      setStatus(`Rollback failed: ${err.message}`);
+    }
+  };
+
+  const versionOptions = versions.map((entry) => (
+    <option key={entry.version} value={entry.version}>v{entry.version} · {entry.author}</option>
+  ));
+
+  return (
+    <div className="tutorial-overlay">
+      <div className="tutorial-modal">
+        <div className="tutorial-sidebar">
+          <h3>{cardId} history</h3>
+          <div className="tutorial-progress">{versions.length} version{versions.length === 1 ? '' : 's'}</div>
+          {[...versions].reverse().map((entry) => (
+            <div key={entry.version} className={`tutorial-nav-item history-version ${entry.version === fromVersion ? 'active' : ''}`}>
+              <button type="button" onClick={() => setFromVersion(entry.version)}>
+                <strong>v{entry.version}</strong> {new Date(entry.savedAt).toLocaleString()}
+                <div>{entry.author} · {entry.source}{entry.rolledBackTo ? ` of v${entry.rolledBackTo}` : ''}</div>
+              </button>
+              <button type="button" onClick={() => rollback(entry.version)}>Roll back</button>
+            </div>
+          ))}
+        </div>
+
+        <div className="tutorial-content">
+          <div className="tutorial-header">
+            <h2>Compare versions</h2>
+            <button className="tutorial-close" onClick={onClose}>Close</button>
+          </div>
+          <div className="arcana-add-row">
+            <select value={fromVersion ?? ''} onChange={(event) => setFromVersion(Number(event.target.value))}>
+              {versionOptions}
+            </select>
+            <span>→</span>
+            <select value={toVersion} onChange={(event) => setToVersion(event.target.value === CURRENT ? CURRENT : Number(event.target.value))}>
+              <option value={CURRENT}>Editor (unsaved)</option>
+              {versionOptions}
+            </select>
+          </div>
+          {status ? <div className="tutorial-progress">{status}</div> : null}
+          <div className="tutorial-body">
+            {diff?.identical ? <div className="history-line">No changes.</div> : null}
+            {diff?.fields.map((field) => (
+              <div key={field.path} className="history-line">{field.path}: {formatValue(field.before)} → {formatValue(field.after)}</div>
+            ))}
+            {diff?.tracks.map((track) => <TrackDiff key={`${track.kind}-${track.id}`} track={track} />)}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
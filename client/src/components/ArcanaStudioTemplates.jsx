@@ -0,0 +1,157 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { createArcanaStudioTemplate } from '../game/arcana/studio/arcanaStudioTemplates.js';
+import { STUDIO_TEMPLATES } from '../../../shared/arcana/studio/studioTemplates.js';
+
+const SAVED_TEMPLATES_KEY = 'arcana:studioTemplates';
+const TRACK_KINDS = ['camera', 'objects', 'particles', 'overlays', 'sounds', 'events'];
+
+function loadSavedTemplates() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_TEMPLATES_KEY) || '{}');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+function storeSavedTemplates(templates) {
+  try {
+    localStorage.setItem(SAVED_TEMPLATES_KEY, JSON.stringify(templates));
+  } catch {
+    // Storage can be full or disabled; presets then only last for the session.
+  }
+}
+
+function listTracks(card) {
+  return TRACK_KINDS.flatMap((kind) => (card?.tracks?.[kind] || []).map((track) => ({
+    id: track.id,
+    label: `${kind} · ${track.name || track.id}`,
+  })));
+}
+
+/**
+ * Template library: save tracks of any card as a preset, then insert a preset (or copy tracks
+ * straight from another card) into the selected card at a time offset with its squares retargeted.
+ */
+export function ArcanaStudioTemplates({ cards, selectedCard, playheadMs, onInsert, onExport, onStatus }) {
+  const [sourceId, setSourceId] = useState(selectedCard.id);
+  const [trackIds, setTrackIds] = useState([]);
+  const [name, setName] = useState('');
+  const [savedTemplates, setSavedTemplates] = useState(loadSavedTemplates);
+  const [templateId, setTemplateId] = useState(() => Object.keys(STUDIO_TEMPLATES)[0] || '');
+  const [offsetMs, setOffsetMs] = useState(0);
+  const [retarget, setRetarget] = useState({});
+
+  const sourceCard = cards[sourceId] || selectedCard;
+  const sourceTracks = useMemo(() => listTracks(sourceCard), [sourceCard]);
+  const templates = useMemo(() => ({ ...STUDIO_TEMPLATES, ...savedTemplates }), [savedTemplates]);
+  const template = templates[templateId] || null;
+
+  useEffect(() => {
+    setTrackIds([]);
+  }, [sourceId]);
+
+  useEffect(() => {
+    setOffsetMs(Math.round(playheadMs));
+  }, [playheadMs]);
+
+  useEffect(() => {
+    setRetarget({});
+  }, [templateId]);
+
+  const toggleTrack = (trackId) => {
+    setTrackIds((previous) => (previous.includes(trackId) ? previous.filter((id) => id !== trackId) : [...previous, trackId]));
+  };
+
+  const buildTemplate = (id) => createArcanaStudioTemplate(sourceCard, { id, name: name.trim() || undefined, trackIds });
+
+  const saveTemplate = () => {
+    try {
+      const id = (name.trim() || `${sourceCard.id}_tracks`).toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+      const next = buildTemplate(id);
+      const nextSaved = { ...savedTemplates, [next.id]: next };
+      setSavedTemplates(nextSaved);
+      storeSavedTemplates(nextSaved);
+      setTemplateId(next.id);
+      onStatus(`Saved template ${next.id} (${next.source.trackIds.length} tracks)`);
+    } catch (err) {
+      onStatus(err.message);
+    }
+  };
+
+  const deleteTemplate = () => {
+    const { [templateId]: removed, ...rest } = savedTemplates;
+    if (!removed) return;
+    setSavedTemplates(rest);
+    storeSavedTemplates(rest);
+    setTemplateId(Object.keys(STUDIO_TEMPLATES)[0] || '');
+    onStatus(`Deleted template ${templateId}`);
+  };
+
+  const insert = (next) => {
+    const mapping = Object.fromEntries(Object.entries(retarget).filter(([slot, square]) => square && square !== slot));
+    onInsert(next, { offsetMs, retarget: mapping });
+  };
+
+  return (
+    <div className="arcana-panel template-panel">
+      <div className="arcana-panel-title">Templates</div>
+      <label>
+        Tracks from
+        <select value={sourceId} onChange={(event) => setSourceId(event.target.value)}>
+          {Object.keys(cards).sort().map((id) => <option key={id} value={id}>{id}</option>)}
+        </select>
+      </label>
+      <div className="template-track-list">
+        {sourceTracks.length === 0 ? <div className="graph-caption">No tracks on this card.</div> : null}
+        {sourceTracks.map((track) => (
+          <label key={track.id} className="template-track">
+            <input type="checkbox" checked={trackIds.includes(track.id)} onChange={() => toggleTrack(track.id)} />
+            {track.label}
+          </label>
+        ))}
+      </div>
+      <label>
+        Template name
+        <input value={name} placeholder={`${sourceCard.id}_tracks`} onChange={(event) => setName(event.target.value)} />
+      </label>
+      <div className="arcana-add-row">
+        <button disabled={trackIds.length === 0} onClick={saveTemplate}>Save Template</button>
+        <button disabled={trackIds.length === 0 || sourceCard.id === selectedCard.id} onClick={() => insert(buildTemplate('copied_tracks'))}>
+          Copy Into Card
+        </button>
+      </div>
+
+      <label>
+        Template
+        <select value={templateId} onChange={(event) => setTemplateId(event.target.value)}>
+          {Object.values(templates).map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.name}{savedTemplates[entry.id] ? ' (saved)' : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+      {template ? (
+        <div className="graph-caption">
+          {template.description || `From ${template.source?.cardId || 'unknown card'}`} · {template.durationMs}ms
+        </div>
+      ) : null}
+      <label>
+        Insert at (ms)
+        <input type="number" min={0} value={offsetMs} onChange={(event) => setOffsetMs(Math.max(0, Number(event.target.value) || 0))} />
+      </label>
+      {(template?.slots || []).map((slot) => (
+        <label key={slot}>
+          Square {slot}
+          <input value={retarget[slot] ?? slot} onChange={(event) => setRetarget((previous) => ({ ...previous, [slot]: event.target.value.trim() }))} />
+        </label>
+      ))}
+      <div className="arcana-add-row">
+        <button disabled={!template} onClick={() => insert(template)}>Insert</button>
+        <button disabled={!template} onClick={() => onExport(template)}>Export</button>
+        {savedTemplates[templateId] ? <button onClick={deleteTemplate}>Delete</button> : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { validateArcanaStudioCard } from '../game/arcana/studio/arcanaStudioValidator.js';
+import { resolveSoundPreviewUrl } from '../game/arcana/studio/arcanaStudioRuntime.js';
+
+const TRACK_TYPE_BY_KIND = {
+  camera: 'camera',
+  objects: 'object',
+  particles: 'particle',
+  overlays: 'overlay',
+  sounds: 'sound',
+  events: 'event',
+};
+
+function collectSoundUrls(card) {
+  const urls = new Set();
+  const add = (soundId) => {
+    const url = resolveSoundPreviewUrl(soundId || '');
+    if (url.startsWith('/sounds/')) urls.add(url);
+  };
+  (card?.tracks?.sounds || []).forEach((track) => (track.keys || []).forEach((key) => add(key.soundId)));
+  (card?.tracks?.events || []).forEach((track) => (track.keys || []).forEach((key) => add(key.payload?.soundId)));
+  return [...urls];
+}
+
+// The dev server answers unknown paths with index.html, so only an audio response counts as a file.
+async function probeSoundFile(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD' });
+    return response.ok && (response.headers.get('content-type') || '').startsWith('audio/');
+  } catch {
+    return undefined;
+  }
+}
+
+function issueTarget(card, issuePath) {
+  const match = /^tracks\.(\w+)\[(\d+)\](?:\.keys\[(\d+)\])?/.exec(issuePath);
+  const trackType = match && TRACK_TYPE_BY_KIND[match[1]];
+  const track = trackType ? card?.tracks?.[match[1]]?.[Number(match[2])] : null;
+  if (!track) return null;
+  const key = match[3] !== undefined ? track.keys?.[Number(match[3])] : null;
+  return { trackType, trackId: track.id, keyId: key?.id || null };
+}
+
+/**
+ * Live validator output for the selected card. Clicking an issue selects its layer or key.
+ */
+export function ArcanaStudioValidation({ card, onSelect }) {
+  const [soundFiles, setSoundFiles] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    collectSoundUrls(card)
+      .filter((url) => !(url in soundFiles))
+      .forEach(async (url) => {
+        const exists = await probeSoundFile(url);
+        if (!cancelled) setSoundFiles((previous) => ({ ...previous, [url]: exists }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [card]);
+
+  const report = useMemo(
+    () => validateArcanaStudioCard(card, { soundExists: (url) => soundFiles[url] }),
+    [card, soundFiles],
+  );
+  const issues = [
+    ...report.errors.map((issue) => ({ ...issue, level: 'error' })),
+    ...report.warnings.map((issue) => ({ ...issue, level: 'warning' })),
+  ];
+
+  return (
+    <div className="arcana-panel validation-panel">
+      <div className="arcana-panel-title">
+        Validation ({report.errors.length} error{report.errors.length === 1 ? '' : 's'}, {report.warnings.length} warning{report.warnings.length === 1 ? '' : 's'})
+      </div>
+      {issues.length === 0 ? <div className="graph-caption">No problems found.</div> : null}
+      {issues.map((issue, idx) => {
+        const target = issueTarget(card, issue.path);
+        return (
+          <button
+            key={`${issue.path}-${idx}`}
+            type="button"
+            className={`validation-issue validation-${issue.level}`}
+            disabled={!target}
+            onClick={() => target && onSelect(target)}
+          >
+            <code>{issue.path}</code> {issue.message}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+import React, { useMemo, useState } from 'react';
+import './styles/ArcanaCompendium.css';
+import { getArcanaDefinition } from '../game/arcanaCatalog.js';
+import { loadSavedDecks, saveSavedDecks } from '../game/deckStorage.js';
+import {
+  DECK_BUDGET,
+  DECK_MAX_COPIES,
+  DECK_RARITY_COST,
+  DECK_SIZE,
+  PREBUILT_DECKS,
+  listDeckableArcana,
+  sortDeckCards,
+  validateDeck,
+} from '../../../shared/arcana/decks.js';
+import { ArcanaCard } from './ArcanaCard.jsx';
+
+const newDeckId = () => `deck-${Date.now().toString(36)}`;
+
+export function DeckBuilder({ onBack }) {
+  const deckable = useMemo(() => listDeckableArcana(), []);
+  const [savedDecks, setSavedDecks] = useState(() => loadSavedDecks());
+  const [deckId, setDeckId] = useState(null); // null = unsaved
+  const [deckName, setDeckName] = useState('New deck');
+  const [cards, setCards] = useState([]);
+  const [rarityFilter, setRarityFilter] = useState('all');
+  const [status, setStatus] = useState('');
+
+  const counts = useMemo(() => {
+    const map = new Map();
+    for (const id of cards) map.set(id, (map.get(id) || 0) + 1);
+    return map;
+  }, [cards]);
+  const validation = validateDeck({ name: deckName, cards });
+  const pool = deckable.filter((arcana) => rarityFilter === 'all' || arcana.rarity === rarityFilter);
+  const deckEntries = [...new Set(sortDeckCards(cards))];
+
+  const addCard = (arcana) => {
+    const count = counts.get(arcana.id) || 0;
+    if (cards.length >= DECK_SIZE) return setStatus(`Decks hold ${DECK_SIZE} cards.`);
+    if (count >= DECK_MAX_COPIES[arcana.rarity]) return setStatus(`At most ${DECK_MAX_COPIES[arcana.rarity]} of ${arcana.name}.`);
+    setCards([...cards, arcana.id]);
+    setStatus('');
+  };
+
+  const removeCard = (id) => {
+    const index = cards.lastIndexOf(id);
+    if (index !== -1) setCards(cards.filter((_, i) => i !== index));
+    setStatus('');
+  };
+
+  const loadDeck = (deck, { copy = false } = {}) => {
+    setDeckId(copy ? null : deck.id);
+    setDeckName(copy ? `${deck.name} copy` : deck.name);
+    setCards([...deck.cards]);
+    setStatus('');
+  };
+
+  const startNewDeck = () => {
+    setDeckId(null);
+    setDeckName('New deck');
+    setCards([]);
+    setStatus('');
+  };
+
+  const persist = (next) => {
+    setSavedDecks(next);
+    saveSavedDecks(next);
+  };
+
+  const handleSave = () => {
+    if (!validation.valid) return setStatus(validation.errors[0]);
+    const id = deckId || newDeckId();
+    const deck = { id, name: deckName.trim() || 'Custom deck', cards };
+    persist(deckId ? savedDecks.map((saved) => (saved.id === id ? deck : saved)) : [...savedDecks, deck]);
+    setDeckId(id);
+    setStatus(`Saved "${deck.name}". Pick it when hosting, joining or playing the AI.`);
+  };
+
+  const handleDelete = () => {
+    if (!deckId) return;
+    persist(savedDecks.filter((saved) => saved.id !== deckId));
+    startNewDeck();
+    setStatus('Deck deleted.');
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.panel}>
+        <div style={styles.headerRow}>
+          <div>
+            <h2 style={styles.heading}>Deck Builder</h2>
+            <div style={styles.rules}>
+              {DECK_SIZE} cards · budget {DECK_BUDGET} ({Object.entries(DECK_RARITY_COST).map(([rarity, cost]) => `${rarity} ${cost}`).join(', ')})
+            </div>
+          </div>
+          <button style={styles.button} onClick={onBack}>Back</button>
+        </div>
+
+        <div style={styles.deckRow}>
+          {PREBUILT_DECKS.map((deck) => (
+            <button key={deck.id} style={styles.button} title={deck.description} onClick={() => loadDeck(deck, { copy: true })}>
+              {deck.name} (prebuilt)
+            </button>
+          ))}
+          {savedDecks.map((deck) => (
+            <button
+              key={deck.id}
+              style={{ ...styles.button, ...(deck.id === deckId ? styles.buttonActive : {}) }}
+              onClick={() => loadDeck(deck)}
+            >
+              {deck.name}
+            </button>
+          ))}
+          <button style={styles.button} onClick={startNewDeck}>+ New deck</button>
+        </div>
+
+        <div style={styles.content}>
+          <div style={styles.column}>
+            <div style={styles.filterRow}>
+              <label style={styles.filterLabel}>Rarity</label>
+              <select style={styles.select} value={rarityFilter} onChange={(e) => setRarityFilter(e.target.value)}>
+                <option value="all">All</option>
+                {Object.keys(DECK_RARITY_COST).map((rarity) => (
+                  <option key={rarity} value={rarity}>{rarity[0].toUpperCase() + rarity.slice(1)}</option>
+                ))}
+              </select>
+              <span style={styles.hint}>Click a card to add it.</span>
+            </div>
+            <div className="arcana-list" style={styles.list}>
+              {pool.map((arcana) => (
+                <div key={arcana.id} style={styles.cardCell}>
+                  <ArcanaCard arcana={arcana} size="medium" onClick={() => addCard(arcana)} deferLoad />
+                  <div style={styles.cardMeta}>
+                    {arcana.rarity} · cost {DECK_RARITY_COST[arcana.rarity]} · {counts.get(arcana.id) || 0}/{DECK_MAX_COPIES[arcana.rarity]}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div style={styles.column}>
+            <input style={styles.select} value={deckName} maxLength={40} onChange={(e) => setDeckName(e.target.value)} />
+            <div style={{ ...styles.summary, color: validation.valid ? '#8ef0b4' : '#ffb4a8' }}>
+              {validation.size}/{DECK_SIZE} cards · cost {validation.cost}/{DECK_BUDGET}
+              {!validation.valid && cards.length > 0 && <div style={styles.error}>{validation.errors[0]}</div>}
+            </div>
+            <div className="arcana-list" style={{ ...styles.list, gridTemplateColumns: 'repeat(4, 1fr)' }}>
+              {deckEntries.map((id) => (
+                <ArcanaCard
+                  key={id}
+                  arcana={getArcanaDefinition(id)}
+                  size="small"
+                  stackCount={counts.get(id)}
+                  onClick={() => removeCard(id)}
+                  disableTooltip
+                  deferLoad
+                />
+              ))}
+              {cards.length === 0 && <div style={styles.hint}>Empty deck. Start from a prebuilt deck or add cards.</div>}
+            </div>
+            <div style={styles.deckRow}>
+              <button style={{ ...styles.button, ...styles.buttonActive }} onClick={handleSave}>Save deck</button>
+              {deckId && <button style={styles.button} onClick={handleDelete}>Delete</button>}
+            </div>
+            {status && <div style={styles.hint}>{status}</div>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    width: '100vw',
+    height: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'radial-gradient(circle at 20% 10%, #173047 0%, #0a1824 45%, #04070c 100%)',
+    color: '#e9f4fb',
+    fontFamily: 'Trebuchet MS, Segoe UI, sans-serif',
+  },
+  panel: {
+    width: '80%',
+    padding: 32,
+    borderRadius: 22,
+    border: '1px solid rgba(69, 170, 194, 0.28)',
+    background: 'linear-gradient(180deg, rgba(9, 17, 27, 0.97) 0%, rgba(6, 12, 20, 0.98) 100%)',
+    boxShadow: '0 28px 80px rgba(0,0,0,0.7), 0 0 70px rgba(45, 173, 186, 0.12)',
+  },
+  headerRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  heading: {
+    margin: 0,
+    fontSize: '1.65rem',
+    letterSpacing: '0.05em',
+    textTransform: 'uppercase',
+  },
+  rules: {
+    marginTop: 6,
+    fontSize: '0.85rem',
+    color: '#b9e3ef',
+  },
+  button: {
+    padding: '6px 12px',
+    borderRadius: 999,
+    border: '1px solid rgba(87, 198, 208, 0.36)',
+    background: 'rgba(10, 22, 36, 0.75)',
+    color: '#d9edf6',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+  },
+  buttonActive: {
+    background: 'rgba(45, 173, 186, 0.35)',
+    borderColor: 'rgba(87, 198, 208, 0.8)',
+  },
+  deckRow: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  content: {
+    display: 'flex',
+    gap: 16,
+    height: '62vh',
+  },
+  column: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 10,
+    minHeight: 0,
+  },
+  filterRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+  },
+  filterLabel: {
+    fontSize: '0.85rem',
+  },
+  select: {
+    padding: '8px 12px',
+    borderRadius: 10,
+    border: '1px solid rgba(87, 198, 208, 0.3)',
+    background: 'rgba(8,20,32,0.92)',
+    color: '#e9f4fb',
+    fontSize: '1rem',
+  },
+  list: {
+    flex: 1,
+    overflowY: 'auto',
+    paddingRight: 8,
+    display: 'grid',
+    gridTemplateColumns: 'repeat(3, 1fr)',
+    gap: 14,
+    alignContent: 'start',
+    justifyItems: 'center',
+  },
+  cardCell: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: 8,
+  },
+  cardMeta: {
+    fontSize: '0.8rem',
+    textAlign: 'center',
+    opacity: 0.85,
+  },
+  summary: {
+    fontSize: '0.95rem',
+    fontWeight: 600,
+  },
+  error: {
+    marginTop: 4,
+    fontWeight: 400,
+    fontSize: '0.85rem',
+  },
+  hint: {
+    fontSize: '0.85rem',
+    opacity: 0.8,
+  },
+};
@@ -39,6 +39,12 @@ class ParticleErrorBoundary extends React.Component {
   }
 }
 
+// Opponent offers and requests (server pendingOffers kinds).
+const OFFER_KINDS = ['draw', 'takeback', 'adjourn'];
+const OFFER_LABELS = { draw: 'Draw offer', takeback: 'Takeback request', adjourn: 'Adjournment request' };
+const OFFER_PROMPTS = { draw: 'offers a draw.', takeback: 'asks to take back their last move.', adjourn: 'asks to adjourn the game.' };
+const OFFER_RESPONSES = { draw: 'respondDraw', takeback: 'respondTakeback', adjourn: 'respondAdjourn' };
+
 function createSafeChessClone(sourceChess) {
   if (!sourceChess) return null;
 
@@ -203,6 +209,7 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
   const fogClearTimeoutRef = useRef(null);
   // Time control - client-side countdown display
   const [clientSideTimes, setClientSideTimes] = useState({}); // { socketId: remainingSeconds }
+  const [serverClock, setServerClock] = useState(null); // latest authoritative clock snapshot
   const [combatLog, setCombatLog] = useState([]);
   const [isReplayMode, setIsReplayMode] = useState(false);
   const [replayFrames, setReplayFrames] = useState([]);
@@ -325,12 +332,27 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
     if (!gameState?.playerColors || !mySocketId) return 'white';
     return gameState.playerColors[mySocketId] || 'white';
   }, [gameState?.playerColors, mySocketId]);
+  // Spectators receive a redacted view (both hands hidden) and cannot act.
+  const isSpectator = Boolean(gameState?.spectator);
+  // Signed-in players show up by display name; guests keep the generic labels.
+  const seatLabel = (playerId, isMine) => {
+    if (isMine && !isSpectator) return 'You';
+    const name = gameState?.playerProfiles?.[playerId]?.displayName;
+    if (name) return name;
+    if (isSpectator) return gameState?.playerColors?.[playerId] === 'black' ? 'Black' : 'White';
+    return 'Opponent';
+  };
+  const spectatorCount = gameState?.spectatorCount || 0;
+  const myDeck = gameState?.deckCounts?.[mySocketId] || null;
 
   // Helper to convert color name to chess.js color code
   const toColorCode = (color) => color === 'white' ? 'w' : 'b';
   const myColorCode = toColorCode(myColor);
   const shouldHideShields = isCardAnimationPlaying || activeVisualArcana?.arcanaId === 'shield_pawn';
   const visiblePawnShields = shouldHideShields ? null : gameState?.pawnShields;
+  // Server-computed legal actions (turn phase, cooldowns, card prerequisites and targets).
+  const legalActions = gameState?.legalActions || null;
+  const drawBlockReason = legalActions?.draw?.reason || null;
 
   const mindControlledEntry = useMemo(() => {
     const entries = gameState?.activeEffects?.mindControlled || [];
@@ -424,6 +446,18 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
     timeoutsRef.current.push(timeout);
   }, []);
 
+  // Draw offers, takebacks and adjournment; the opponent answers through the same action types.
+  const sendNegotiation = useCallback((actionType, extra = {}) => {
+    const actionId = `${actionType}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    socket.emit('playerAction', { actionType, actionId, ...extra }, (res) => {
+      if (!res?.ok) {
+        showReplayNotification(res?.error || 'Request failed', 2200);
+      } else if (res.pending) {
+        showReplayNotification('Waiting for your opponent to answer...', 2200);
+      }
+    });
+  }, [showReplayNotification]);
+
   const playMoveSoundOnce = useCallback((dedupeKey, isCapture) => {
     const now = Date.now();
     const ttlMs = 2500;
@@ -728,28 +762,83 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
     return (replayEvents || []).filter((e) => e?.type === 'arcana_used' || e?.type === 'arcana_drawn');
   }, [replayEvents]);
 
-  const exportReplay = () => {
-    const replay = {
-      exportedAt: new Date().toISOString(),
-      gameId: gameState?.id || null,
-      outcome: gameEndOutcome || null,
-      settings,
-      stats: postGameStats,
-      finalState: gameState,
-      combatLog,
-      fenHistory: replayFenHistoryRef.current,
-    };
-    const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+  const downloadFile = (contents, filename, type) => {
+    const blob = new Blob([contents], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `arcana-replay-${gameState?.id || 'match'}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   };
 
+  const downloadReplayFile = (replay) => {
+    downloadFile(JSON.stringify(replay, null, 2), `arcana-replay-${gameState?.id || 'match'}.json`, 'application/json');
+  };
+
+  // Prefer the server's authoritative replay (complete through fog and hidden draws);
+  // fall back to what this client saw if the server has none (e.g. dev sandbox games).
+  const exportReplay = () => {
+    const exportLocalReplay = () => {
+      downloadReplayFile({
+        exportedAt: new Date().toISOString(),
+        gameId: gameState?.id || null,
+        outcome: gameEndOutcome || null,
+        settings,
+        stats: postGameStats,
+        finalState: gameState,
+        combatLog,
+        fenHistory: replayFenHistoryRef.current,
+      });
+    };
+
+    if (!gameState?.id || !socket?.connected) {
+      exportLocalReplay();
+      return;
+    }
+    socket.emit('getReplay', { gameId: gameState.id }, (res) => {
+      if (res?.ok && res.replay) {
+        downloadReplayFile({ ...res.replay, stats: postGameStats });
+      } else {
+        exportLocalReplay();
+      }
+    });
+  };
+
+  // APGN (PGN with Arcana annotations) is built from the server's replay log only.
+  const exportApgn = () => {
+    if (!gameState?.id || !socket?.connected) {
+      showReplayNotification('APGN export needs a connection to the server', 2500);
+      return;
+    }
+    socket.emit('getApgn', { gameId: gameState.id }, (res) => {
+      if (res?.ok && res.apgn) {
+        downloadFile(res.apgn, `arcana-${gameState.id}.apgn`, 'text/plain');
+      } else {
+        showReplayNotification(res?.error || 'Failed to export APGN', 2500);
+      }
+    });
+  };
+
+  // The server rebuilds the game from the APGN and returns a replay file to watch.
+  const importApgn = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      socket.emit('importApgn', { text: String(reader.result || '') }, (res) => {
+        if (res?.ok && res.replay) {
+          startReplayFromPayload(res.replay);
+        } else {
+          showReplayNotification(res?.error || 'Failed to import APGN', 4000);
+        }
+      });
+    };
+    reader.onerror = () => showReplayNotification('Could not read APGN file', 2500);
+    reader.readAsText(file);
+  };
+
   const isAscended = gameState?.ascended || !!ascendedInfo;
 
   // Calculate vision moves when vision effect is active
@@ -1031,6 +1120,33 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
   }, [highlightedSquares, overdriveActiveSquare]);
   const boardHighlightColor = overdriveActiveSquare ? '#44ff88' : highlightColor;
 
+  // Authoritative clock readings: sent with every state update and once per second via clockSync.
+  useEffect(() => {
+    setServerClock(gameState?.clock || null);
+  }, [gameState?.clock]);
+
+  useEffect(() => {
+    const handleClockSync = (payload) => {
+      if (!payload || (gameState?.id && payload.gameId !== gameState.id)) return;
+      setServerClock(payload);
+      setClientSideTimes(
+        Object.fromEntries(Object.entries(payload.remainingMs || {}).map(([id, ms]) => [id, ms / 1000]))
+      );
+    };
+    socket.on('clockSync', handleClockSync);
+    return () => socket.off('clockSync', handleClockSync);
+  }, [gameState?.id]);
+
+  useEffect(() => {
+    const handleOfferAnswered = ({ kind, accepted } = {}) => {
+      if (accepted) return; // the game update shows the result
+      const label = OFFER_LABELS[kind] || 'Request';
+      showReplayNotification(`${label} declined`, 2200);
+    };
+    socket.on('offerAnswered', handleOfferAnswered);
+    return () => socket.off('offerAnswered', handleOfferAnswered);
+  }, [showReplayNotification]);
+
   // Time control countdown - update client-side display in real-time
   useEffect(() => {
     if (!gameState?.timePerPlayer || gameState?.status !== 'ongoing') {
@@ -1056,9 +1172,13 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
         if (showMenu || studioRuntimeSession || gameState?.status !== 'ongoing' || gameEndOutcome) {
           return prevTimes;
         }
+        // The server clock stops while the player to move watches their own reveal/cutscene.
+        if (serverClock?.paused) {
+          return prevTimes;
+        }
         const updated = { ...prevTimes };
         const activeTurnChar = gameState?.turn;
-        const activePlayerId = Object.entries(gameState?.playerColors || {}).find(([, colorName]) => {
+        const activePlayerId = serverClock ? serverClock.runningFor : Object.entries(gameState?.playerColors || {}).find(([, colorName]) => {
           const colorChar = colorName === 'white' ? 'w' : 'b';
           return colorChar === activeTurnChar;
         })?.[0];
@@ -1071,7 +1191,7 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
     }, 100);
 
     return () => clearInterval(timerInterval);
-  }, [gameState?.timePerPlayer, gameState?.status, gameState?.turn, gameState?.playerColors, showMenu, studioRuntimeSession, gameEndOutcome]);
+  }, [gameState?.timePerPlayer, gameState?.status, gameState?.turn, gameState?.playerColors, serverClock, showMenu, studioRuntimeSession, gameEndOutcome]);
 
   useEffect(() => {
     if (ascendedInfo) {
@@ -2018,6 +2138,7 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
       setPendingMoveError('Replay mode is read-only. Exit replay to resume playing.');
       return;
     }
+    if (isSpectator) return;
     if (!chess || !gameState || gameState.status !== 'ongoing') return;
 
     // Check if it's the player's turn
@@ -2879,7 +3000,7 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
                   const isLowTime = timeRemaining < 60;
                   return (
                     <div key={playerId} style={{ fontSize: 26, fontWeight: 800, color: isLowTime ? '#ff6b6b' : '#ffffff', textAlign: 'center', fontFamily: 'monospace', textShadow: '0 0 10px rgba(0,0,0,0.8)' }}>
-                      <span style={{ fontSize: 13, fontWeight: 400, opacity: 0.75, display: 'block', fontFamily: 'system-ui' }}>{isMyTime ? 'You' : 'Opponent'}</span>
+                      <span style={{ fontSize: 13, fontWeight: 400, opacity: 0.75, display: 'block', fontFamily: 'system-ui' }}>{seatLabel(playerId, isMyTime)}</span>
                       {timeStr}
                     </div>
                   );
@@ -2893,7 +3014,7 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
                   const isLowTime = timeRemaining < 60;
                   return (
                     <div key={playerId} style={{ fontSize: 26, fontWeight: 800, color: isLowTime ? '#ff6b6b' : '#ffffff', textAlign: 'center', fontFamily: 'monospace', textShadow: '0 0 10px rgba(0,0,0,0.8)' }}>
-                      <span style={{ fontSize: 13, fontWeight: 400, opacity: 0.75, display: 'block', fontFamily: 'system-ui' }}>{isMyTime ? 'You' : 'Opponent'}</span>
+                      <span style={{ fontSize: 13, fontWeight: 400, opacity: 0.75, display: 'block', fontFamily: 'system-ui' }}>{seatLabel(playerId, isMyTime)}</span>
                       {timeStr}
                     </div>
                   );
@@ -2909,17 +3030,48 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
 
       {!isReplayMode && gameState?.status === 'ongoing' && (
         <div style={styles.hud}>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
-            <div style={{ fontSize: '0.75rem', opacity: 0.65 }}>Playing as</div>
-            <div style={{ fontWeight: 700, color: myColor === 'white' ? '#eceff4' : '#88c0d0', textTransform: 'capitalize' }}>{myColor}</div>
-          </div>
+          {isSpectator ? (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <div style={{ fontSize: '0.75rem', opacity: 0.65 }}>Spectating</div>
+              <div style={{ fontWeight: 700, color: '#ebcb8b' }}>{gameState?.omniscientSpectators ? 'Fog revealed' : 'Fog respected'}</div>
+            </div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <div style={{ fontSize: '0.75rem', opacity: 0.65 }}>Playing as</div>
+              <div style={{ fontWeight: 700, color: myColor === 'white' ? '#eceff4' : '#88c0d0', textTransform: 'capitalize' }}>{myColor}</div>
+            </div>
+          )}
           <div style={{ width: 1, height: 32, background: 'rgba(255,255,255,0.15)' }} />
           <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
             <div style={{ fontSize: '0.75rem', opacity: 0.65 }}>Turn</div>
-            <div style={{ fontWeight: 700, color: chess?.turn?.() === myColorCode ? '#a3d977' : '#88c0d0' }}>
-              {chess?.turn?.() === myColorCode ? 'Your move' : "Opponent's move"}
-            </div>
+            {isSpectator ? (
+              <div style={{ fontWeight: 700, color: '#88c0d0' }}>
+                {chess?.turn?.() === 'b' ? 'Black to move' : 'White to move'}
+              </div>
+            ) : (
+              <div style={{ fontWeight: 700, color: chess?.turn?.() === myColorCode ? '#a3d977' : '#88c0d0' }}>
+                {chess?.turn?.() === myColorCode ? 'Your move' : "Opponent's move"}
+              </div>
+            )}
           </div>
+          {spectatorCount > 0 && (
+            <>
+              <div style={{ width: 1, height: 32, background: 'rgba(255,255,255,0.15)' }} />
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <div style={{ fontSize: '0.75rem', opacity: 0.65 }}>Watching</div>
+                <div style={{ fontWeight: 700, color: '#eceff4' }}>👁 {spectatorCount}</div>
+              </div>
+            </>
+          )}
+          {myDeck && (
+            <>
+              <div style={{ width: 1, height: 32, background: 'rgba(255,255,255,0.15)' }} />
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }} title="The deck reshuffles when empty">
+                <div style={{ fontSize: '0.75rem', opacity: 0.65 }}>{myDeck.deckName}</div>
+                <div style={{ fontWeight: 700, color: '#eceff4' }}>{myDeck.remaining}/{myDeck.size} left</div>
+              </div>
+            </>
+          )}
           {privateActiveCards.length > 0 && (
             <>
               <div style={{ width: 1, height: 40, background: 'rgba(255,255,255,0.15)' }} />
@@ -2956,6 +3108,18 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
         </div>
       )}
 
+      {!isReplayMode && !isSpectator && gameState?.status === 'ongoing' && OFFER_KINDS.map((kind) => {
+        const offer = gameState.pendingOffers?.[kind];
+        if (!offer || offer.to !== mySocketId) return null;
+        return (
+          <div key={kind} style={styles.offerBanner}>
+            <span>Your opponent {OFFER_PROMPTS[kind]}</span>
+            <button style={styles.button} onClick={() => sendNegotiation(OFFER_RESPONSES[kind], { accept: true })}>Accept</button>
+            <button style={{ ...styles.button, background: '#4c566a' }} onClick={() => sendNegotiation(OFFER_RESPONSES[kind], { accept: false })}>Decline</button>
+          </div>
+        );
+      })}
+
       {isReplayMode && (
         <ReplayOverlay
           styles={styles}
@@ -2974,7 +3138,7 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
         />
       )}
 
-      {!isReplayMode && (!boardVisualLockedForCutscene || !!cardReveal) && (
+      {!isReplayMode && !isSpectator && (!boardVisualLockedForCutscene || !!cardReveal) && (
         <ArcanaSidebar
           myArcana={myArcana}
           usedArcanaIds={usedArcanaIds}
@@ -2998,6 +3162,11 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
               setPendingMoveError('You can only use cards on your turn');
               return;
             }
+            const legalCard = legalActions?.cards?.find((card) => card.arcanaId === arcanaId) || null;
+            if (legalCard && !legalCard.usable) {
+              setPendingMoveError(legalCard.reason);
+              return;
+            }
             
             // If this card is already in targeting mode, cancel it (toggle off)
             if (targetingMode && targetingMode.arcanaId === arcanaId) {
@@ -3014,7 +3183,7 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
             const targetType = getTargetTypeForArcana(arcanaId);
             if (targetType) {
               // Calculate valid target squares for this card
-              const validSquares = getValidTargetSquares(chess, arcanaId, myColorCode, gameState);
+              const validSquares = legalCard?.targets || getValidTargetSquares(chess, arcanaId, myColorCode, gameState);
               
               if (validSquares.length === 0) {
                 setPendingMoveError(`No valid targets for this card`);
@@ -3079,6 +3248,10 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
               setPendingMoveError('You cannot draw a card while in check');
               return;
             }
+            if (drawBlockReason) {
+              setPendingMoveError(drawBlockReason);
+              return;
+            }
             // Check if player already drew this turn (client-side cooldown)
             if (drewThisTurnRef.current) {
               setPendingMoveError('You already drew a card this turn');
@@ -3106,6 +3279,7 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
             });
           }}
           isDrawingCard={isDrawingCard}
+          drawBlockReason={drawBlockReason}
           isCardAnimationPlaying={isCardAnimationPlaying}
           currentTurn={chess?.turn()}
           myColor={myColor}
@@ -3162,6 +3336,32 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
               </button>
             </div>
 
+            {!isSpectator && !isReplayMode && gameState?.status === 'ongoing' && (
+              <div style={{ display: 'flex', gap: 12, marginBottom: 24 }}>
+                <button
+                  style={{ ...styles.menuActionButton, ...styles.menuNegotiationButton }}
+                  disabled={gameState.pendingOffers?.draw?.from === mySocketId}
+                  onClick={() => { sendNegotiation('offerDraw'); setShowMenu(false); }}
+                >
+                  🤝 Offer Draw
+                </button>
+                <button
+                  style={{ ...styles.menuActionButton, ...styles.menuNegotiationButton, ...(gameState.canTakeback ? {} : { opacity: 0.5, cursor: 'not-allowed' }) }}
+                  disabled={!gameState.canTakeback || gameState.pendingOffers?.takeback?.from === mySocketId}
+                  onClick={() => { sendNegotiation('requestTakeback'); setShowMenu(false); }}
+                >
+                  ↶ Request Takeback
+                </button>
+                <button
+                  style={{ ...styles.menuActionButton, ...styles.menuNegotiationButton }}
+                  disabled={gameState.pendingOffers?.adjourn?.from === mySocketId}
+                  onClick={() => { sendNegotiation('requestAdjourn'); setShowMenu(false); }}
+                >
+                  ⏸ Adjourn
+                </button>
+              </div>
+            )}
+
             {/* Settings Grid */}
             <div style={{
               display: 'grid',
@@ -3589,16 +3789,21 @@ export function GameScene({ gameState, initialReplayPayload, settings, ascendedI
         </ParticleErrorBoundary>
       )}
 
-      {gameEndOutcome && (
+      {gameEndOutcome && !isReplayMode && (
         <GameEndOverlay
           outcome={gameEndOutcome}
           mySocketId={mySocketId}
+          myPlayerId={gameState?.playerProfiles?.[mySocketId]?.playerId || null}
+          spectator={isSpectator}
+          playerColors={gameState?.playerColors}
           rematchVote={rematchVote}
           rematchVoteCount={rematchVoteCount}
           rematchTotalPlayers={rematchTotalPlayers}
           opponentLeft={opponentLeftDuringRematch || ((gameEndOutcome?.type === 'disconnect' || gameEndOutcome?.type === 'forfeit') && gameEndOutcome?.winnerSocketId === mySocketId)}
           stats={postGameStats}
           onExportReplay={exportReplay}
+          onExportApgn={exportApgn}
+          onImportApgn={importApgn}
           onRematchVote={() => {
             setRematchVote('voted');
             socket.emit('voteRematch');
@@ -3812,7 +4017,7 @@ function AscensionRing() {
 
 // Note: squareToPosition and visual components are now imported from shared modules
 
-function ArcanaSidebar({ myArcana, usedArcanaIds, selectedArcanaId, onSelectArcana, targetingMode, isAscended, isOpen, onToggle, onDrawCard, isDrawingCard, isCardAnimationPlaying, currentTurn, myColor }) {
+function ArcanaSidebar({ myArcana, usedArcanaIds, selectedArcanaId, onSelectArcana, targetingMode, isAscended, isOpen, onToggle, onDrawCard, isDrawingCard, drawBlockReason, isCardAnimationPlaying, currentTurn, myColor }) {
   // Don't show panel until ascended
   if (!isAscended) return null;
 
@@ -3914,8 +4119,8 @@ function ArcanaSidebar({ myArcana, usedArcanaIds, selectedArcanaId, onSelectArca
           <button
             style={styles.drawCardButton}
             onClick={onDrawCard}
-            disabled={isDrawingCard || !isMyTurn || isCardAnimationPlaying}
-            title={isCardAnimationPlaying ? "Please wait for the card animation to finish" : !isMyTurn ? "You can only draw on your turn" : "Draw a new arcana card"}
+            disabled={isDrawingCard || !isMyTurn || isCardAnimationPlaying || Boolean(drawBlockReason)}
+            title={isCardAnimationPlaying ? "Please wait for the card animation to finish" : !isMyTurn ? "You can only draw on your turn" : (drawBlockReason || "Draw a new arcana card")}
           >
             {isDrawingCard ? 'Drawing...' : '+ Draw'}
           </button>
@@ -4322,35 +4527,47 @@ function CardRevealAnimation({ arcana, playerId, type, mySocketId, stayUntilClic
   );
 }
 
-function GameEndOverlay({ outcome, mySocketId, rematchVote, rematchVoteCount, rematchTotalPlayers, opponentLeft, stats, onExportReplay, onRematchVote, onReturnToMenu }) {
+function GameEndOverlay({ outcome, mySocketId, myPlayerId = null, spectator = false, playerColors = null, rematchVote, rematchVoteCount, rematchTotalPlayers, opponentLeft, stats, onExportReplay, onExportApgn, onImportApgn, onRematchVote, onReturnToMenu }) {
   const outcomeType = typeof outcome?.type === 'string' ? outcome.type : 'finished';
   const winnerSocketId = typeof outcome?.winnerSocketId === 'string' ? outcome.winnerSocketId : null;
   const explicitDraw = outcomeType === 'draw' || outcomeType === 'stalemate';
   const isDraw = explicitDraw;
   const isWinner = !isDraw && winnerSocketId === mySocketId;
-  const title = isDraw ? '🤝 DRAW' : (isWinner ? '🏆 VICTORY!' : '💀 DEFEAT');
-  const message = outcomeType === 'disconnect' 
+  const drawMessage = outcome?.reason === 'agreement' ? 'Draw agreed' : 'Game ended in a draw';
+  const winnerColor = winnerSocketId ? playerColors?.[winnerSocketId] : null;
+  const spectatorTitle = isDraw ? '🤝 DRAW' : (winnerColor ? `${winnerColor === 'black' ? 'BLACK' : 'WHITE'} WINS` : 'GAME OVER');
+  const title = spectator ? spectatorTitle : (isDraw ? '🤝 DRAW' : (isWinner ? '🏆 VICTORY!' : '💀 DEFEAT'));
+  const message = spectator
+    ? (explicitDraw ? drawMessage : `Game ended by ${outcomeType.replace(/-/g, ' ')}`)
+    : outcomeType === 'disconnect' 
     ? (isWinner ? 'Opponent disconnected' : 'You disconnected')
     : outcomeType === 'forfeit'
     ? (isWinner ? 'Opponent forfeited' : 'You forfeited')
     : outcomeType === 'time-expired'
     ? (isWinner ? 'Opponent ran out of time' : 'You ran out of time')
     : explicitDraw
-    ? 'Game ended in a draw'
+    ? drawMessage
     : (outcomeType === 'checkmate' ? (isWinner ? 'Checkmate' : 'Checkmated') : 'Game ended');
-  const color = isDraw ? '#88c0d0' : (isWinner ? '#a3be8c' : '#bf616a');
+  const color = isDraw || spectator ? '#88c0d0' : (isWinner ? '#a3be8c' : '#bf616a');
   const voteCountText = `${rematchVoteCount}/${rematchTotalPlayers}`;
   const rematchButtonText = opponentLeft 
     ? '❌ Player Left'
     : rematchVote === 'voted' 
     ? `✓ Voted for Rematch (${voteCountText})`
     : `🔄 Request Rematch (${voteCountText})`;
+  const apgnInputRef = useRef(null);
+  const ratingChange = myPlayerId ? outcome?.ratingChanges?.[myPlayerId] : null;
 
   return (
     <div style={styles.gameEndOverlay}>
       <div style={styles.gameEndContainer}>
         <div style={{ ...styles.gameEndTitle, color }}>{title}</div>
         <div style={styles.gameEndMessage}>{message}</div>
+        {ratingChange && (
+          <div style={{ ...styles.gameEndMessage, color: ratingChange.delta >= 0 ? '#a3be8c' : '#bf616a' }}>
+            {ratingChange.bucket.replace(':', ' ')} rating: {ratingChange.after} ({ratingChange.delta >= 0 ? '+' : ''}{ratingChange.delta})
+          </div>
+        )}
         {stats && (
           <div style={styles.postGameStats}>
             <div>Moves: {stats.moves}</div>
@@ -4360,18 +4577,20 @@ function GameEndOverlay({ outcome, mySocketId, rematchVote, rematchVoteCount, re
           </div>
         )}
         <div style={styles.gameEndButtons}>
-          <button
-            style={{
-              ...styles.gameEndButton,
-              ...styles.gameEndButtonPrimary,
-              ...(rematchVote === 'voted' ? styles.gameEndButtonVoted : {}),
-              ...(opponentLeft ? styles.gameEndButtonDisabled : {}),
-            }}
-            onClick={onRematchVote}
-            disabled={rematchVote === 'voted' || opponentLeft}
-          >
-            {rematchButtonText}
-          </button>
+          {!spectator && (
+            <button
+              style={{
+                ...styles.gameEndButton,
+                ...styles.gameEndButtonPrimary,
+                ...(rematchVote === 'voted' ? styles.gameEndButtonVoted : {}),
+                ...(opponentLeft ? styles.gameEndButtonDisabled : {}),
+              }}
+              onClick={onRematchVote}
+              disabled={rematchVote === 'voted' || opponentLeft}
+            >
+              {rematchButtonText}
+            </button>
+          )}
           <button
             style={{ ...styles.gameEndButton, ...styles.gameEndButtonSecondary }}
             onClick={onReturnToMenu}
@@ -4384,6 +4603,28 @@ function GameEndOverlay({ outcome, mySocketId, rematchVote, rematchVoteCount, re
           >
             Export Replay
           </button>
+          <button
+            style={{ ...styles.gameEndButton, ...styles.gameEndButtonSecondary }}
+            onClick={onExportApgn}
+          >
+            Export APGN
+          </button>
+          <button
+            style={{ ...styles.gameEndButton, ...styles.gameEndButtonSecondary }}
+            onClick={() => apgnInputRef.current?.click()}
+          >
+            Import APGN
+          </button>
+          <input
+            ref={apgnInputRef}
+            type="file"
+            accept=".apgn,.pgn,text/plain"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              onImportApgn(e.target.files?.[0]);
+              e.target.value = '';
+            }}
+          />
         </div>
       </div>
     </div>
@@ -4638,6 +4879,27 @@ const styles = {
     color: '#e9f4fb',
     fontFamily: 'Trebuchet MS, Segoe UI, sans-serif',
   },
+  offerBanner: {
+    position: 'absolute',
+    top: 64,
+    left: '50%',
+    transform: 'translateX(-50%)',
+    display: 'flex',
+    gap: 10,
+    alignItems: 'center',
+    background: 'rgba(5, 6, 10, 0.85)',
+    border: '1px solid rgba(136, 192, 208, 0.45)',
+    padding: '8px 12px',
+    borderRadius: 8,
+    fontFamily: 'system-ui, sans-serif',
+    fontSize: '0.9rem',
+    zIndex: 45,
+  },
+  menuNegotiationButton: {
+    background: 'rgba(136, 192, 208, 0.12)',
+    border: '1px solid rgba(136, 192, 208, 0.4)',
+    color: '#d8dee9',
+  },
   menuActionButton: {
     flex: 1,
     padding: 'clamp(12px, 2vw, 16px) clamp(16px, 3vw, 24px)',
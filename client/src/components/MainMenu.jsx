@@ -1,7 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { soundManager } from '../game/soundManager.js';
-import { socket } from '../game/socket.js';
+import { socket, getAuthToken, setAuthToken } from '../game/socket.js';
 import { GAME_MODE_OPTIONS } from '../../../shared/gameModes.js';
+import { describeTimeControl } from '../../../shared/timeControl.js';
+import { listDeckChoices, deckPayloadFor } from '../game/deckStorage.js';
+import {
+  AI_PERSONALITY_CATEGORIES,
+  AI_PERSONALITY_LEVELS,
+  AI_PERSONALITY_LIMITS,
+  AI_PERSONALITY_WEIGHTS,
+  validateAiPersonality,
+} from '../../../shared/aiPersonalities.js';
 import './styles/MainMenu.css';
 import MenuParticlesCanvas from './MenuParticles.jsx';
 
@@ -13,7 +22,10 @@ const TIME_CONTROL_LABELS = {
   classical: 'Classical (60 min each)',
 };
 
-const getTimeControlLabel = (value) => TIME_CONTROL_LABELS[value] || String(value || 'Unlimited');
+// Increment ('3+2') and delay ('10|5d' simple, '15|10b' Bronstein) controls offered next to the presets.
+const BONUS_TIME_CONTROLS = ['3+2', '5+3', '10+5', '10|5d', '15|10b'];
+
+const getTimeControlLabel = (value) => TIME_CONTROL_LABELS[value] || describeTimeControl(value);
 
 const getGameModeLabel = (modeId) => {
   const mode = GAME_MODE_OPTIONS.find((m) => m.id === modeId);
@@ -21,6 +33,19 @@ const getGameModeLabel = (modeId) => {
   return mode.description ? `${mode.label} (${mode.description})` : mode.label;
 };
 
+function DeckSelect({ value, onChange, style }) {
+  return (
+    <label style={{ ...styles.label, ...style }}>
+      Arcana deck
+      <select style={styles.input} value={value} onChange={(e) => onChange(e.target.value)}>
+        {listDeckChoices().map((choice) => (
+          <option key={choice.value} value={choice.value}>{choice.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
 export function MainMenu({
   mode = 'root',
   initialLobby = null,
@@ -29,8 +54,13 @@ export function MainMenu({
   onOpenReplay,
   onPlayOnlineHost,
   onPlayOnlineJoin,
+  onWatchLive,
+  onSpectate,
+  onAdjournedGames,
+  onProfile,
   onTutorial,
   onViewArcana,
+  onDeckBuilder,
   onSettings,
   onCardBalancing,
   onArcanaStudio,
@@ -38,6 +68,7 @@ export function MainMenu({
   devMode = false,
   onToggleDevMode,
   onQuickMatch,
+  onCancelQuickMatch,
   quickMatchStatus,
   quickMatchLoading = false,
   quickMatchFilters = null,
@@ -47,17 +78,28 @@ export function MainMenu({
   const [showFindMatchModal, setShowFindMatchModal] = useState(false);
   const [quickMatchGameMode, setQuickMatchGameMode] = useState(() => quickMatchFilters?.gameMode || 'any');
   const [quickMatchTimeControl, setQuickMatchTimeControl] = useState(() => quickMatchFilters?.timeControl || 'any');
+  const [quickMatchRated, setQuickMatchRated] = useState(() => Boolean(quickMatchFilters?.rated));
+  const [profileName, setProfileName] = useState(null);
+
+  useEffect(() => {
+    if (mode !== 'root' || !getAuthToken()) return;
+    socket.emit('getProfile', {}, (res) => {
+      if (res?.ok) setProfileName(res.profile.displayName);
+    });
+  }, [mode]);
 
   useEffect(() => {
     if (!quickMatchFilters) return;
     setQuickMatchGameMode(quickMatchFilters.gameMode || 'any');
     setQuickMatchTimeControl(quickMatchFilters.timeControl || 'any');
-  }, [quickMatchFilters?.gameMode, quickMatchFilters?.timeControl]);
+    setQuickMatchRated(Boolean(quickMatchFilters.rated));
+  }, [quickMatchFilters?.gameMode, quickMatchFilters?.timeControl, quickMatchFilters?.rated]);
 
   const runQuickMatch = () => {
     const nextFilters = {
       gameMode: quickMatchGameMode,
       timeControl: quickMatchTimeControl,
+      rated: quickMatchRated && Boolean(profileName),
     };
     if (onQuickMatchFiltersChange) onQuickMatchFiltersChange(nextFilters);
     if (onQuickMatch) onQuickMatch(nextFilters);
@@ -92,7 +134,7 @@ export function MainMenu({
                   <div className="find-match-panel">
                     <div className="find-match-eyebrow">Quick Match Filters</div>
                     <h3>Match preferences</h3>
-                    <p>Pick optional filters and search for a waiting public lobby.</p>
+                    <p>Pick optional filters and join the matchmaking queue.</p>
 
                     <label>
                       Game mode
@@ -116,15 +158,30 @@ export function MainMenu({
                         disabled={quickMatchLoading}
                       >
                         <option value="any">Any time</option>
-                        {Object.keys(TIME_CONTROL_LABELS).map((control) => (
+                        {[...Object.keys(TIME_CONTROL_LABELS), ...BONUS_TIME_CONTROLS].map((control) => (
                           <option key={control} value={control}>{getTimeControlLabel(control)}</option>
                         ))}
                       </select>
                     </label>
 
-                    <button className="find-match-submit" onClick={runQuickMatch} disabled={quickMatchLoading}>
-                      {quickMatchLoading ? 'Searching...' : 'Find Match'}
-                    </button>
+                    <label>
+                      <span>
+                        <input
+                          type="checkbox"
+                          checked={quickMatchRated && Boolean(profileName)}
+                          onChange={(event) => setQuickMatchRated(event.target.checked)}
+                          disabled={quickMatchLoading || !profileName}
+                        />
+                        {' '}Rated
+                      </span>
+                      {!profileName && <small>Sign in from the main menu to play rated games.</small>}
+                    </label>
+
+                    {quickMatchLoading ? (
+                      <button className="find-match-submit" onClick={onCancelQuickMatch}>Cancel search</button>
+                    ) : (
+                      <button className="find-match-submit" onClick={runQuickMatch}>Find Match</button>
+                    )}
                   </div>
 
                   <div className="find-match-panel">
@@ -132,7 +189,8 @@ export function MainMenu({
                     <h3>Queue lookup</h3>
                     <div className="find-match-preview-row"><span>Mode</span><strong>{quickMatchGameMode === 'any' ? 'Any mode' : getGameModeLabel(quickMatchGameMode)}</strong></div>
                     <div className="find-match-preview-row"><span>Time</span><strong>{quickMatchTimeControl === 'any' ? 'Any time' : getTimeControlLabel(quickMatchTimeControl)}</strong></div>
-                    <div className="find-match-note">Quick Match joins the first waiting public lobby that matches your filters.</div>
+                    <div className="find-match-preview-row"><span>Type</span><strong>{quickMatchRated && profileName ? 'Rated' : 'Casual'}</strong></div>
+                    <div className="find-match-note">Players are paired by rating; the accepted rating gap widens the longer you wait.</div>
                     <div className="find-match-status">{quickMatchStatus || 'Ready to search.'}</div>
                   </div>
                 </div>
@@ -176,8 +234,12 @@ export function MainMenu({
           )}
 
           <div className="menu-secondary-row">
+            <button className="menu-secondary" onClick={onProfile}>{profileName ? `Profile: ${profileName}` : 'Sign in'}</button>
+            <button className="menu-secondary" onClick={onWatchLive}>Watch live games</button>
+            <button className="menu-secondary" onClick={onAdjournedGames}>Adjourned games</button>
             <button className="menu-secondary" onClick={onTutorial}>Tutorial</button>
             <button className="menu-secondary" onClick={onViewArcana}>View Arcana</button>
+            <button className="menu-secondary" onClick={onDeckBuilder}>Deck Builder</button>
             <button className="menu-secondary" onClick={onSettings}>Settings</button>
             {devMode && (
               <>
@@ -205,6 +267,18 @@ export function MainMenu({
     return <JoinLobbyScreen onBack={onBack} initialLobby={initialLobby} />;
   }
 
+  if (mode === 'watch') {
+    return <WatchLiveGamesScreen onBack={onBack} onSpectate={onSpectate} />;
+  }
+
+  if (mode === 'adjourned') {
+    return <AdjournedGamesScreen onBack={onBack} />;
+  }
+
+  if (mode === 'profile') {
+    return <ProfileScreen onBack={onBack} />;
+  }
+
   return null;
 }
 
@@ -298,6 +372,9 @@ function OnlineHostForm({ initialLobby = null, onLobbyChange } = {}) {
   const [gameMode, setGameMode] = useState('Ascendant');
   const [whoStarts, setWhoStarts] = useState('white');
   const [timeControl, setTimeControl] = useState('unlimited');
+  const [omniscientSpectators, setOmniscientSpectators] = useState(false);
+  const [rated, setRated] = useState(false);
+  const [deck, setDeck] = useState('open');
   const [status, setStatus] = useState('');
   const [currentLobby, setCurrentLobby] = useState(initialLobby || null);
 
@@ -334,7 +411,7 @@ function OnlineHostForm({ initialLobby = null, onLobbyChange } = {}) {
     setStatus('Creating lobby...');
     socket.emit(
       'createLobby',
-      { lobbyName, isPrivate, gameMode, hostColorPreference: whoStarts, timeControl },
+      { lobbyName, isPrivate, gameMode, hostColorPreference: whoStarts, timeControl, omniscientSpectators, rated, deck: deckPayloadFor(deck) },
       (res) => {
         if (!res || !res.ok) {
           setStatus(`Error: ${res?.error || 'Unknown error'}`);
@@ -432,6 +509,20 @@ function OnlineHostForm({ initialLobby = null, onLobbyChange } = {}) {
               <div style={styles.lobbyMetaLabel}>Time</div>
               <div style={styles.lobbyMetaValue}>{getTimeControlLabel(currentLobby.timeControl)}</div>
             </div>
+            <div style={styles.lobbyMetaCard}>
+              <div style={styles.lobbyMetaLabel}>Spectators</div>
+              <div style={styles.lobbyMetaValue}>{currentLobby.omniscientSpectators ? 'See through fog' : 'Fog respected'}</div>
+            </div>
+            <div style={styles.lobbyMetaCard}>
+              <div style={styles.lobbyMetaLabel}>Type</div>
+              <div style={styles.lobbyMetaValue}>{currentLobby.rated ? 'Rated' : 'Casual'}</div>
+            </div>
+            <div style={styles.lobbyMetaCard}>
+              <div style={styles.lobbyMetaLabel}>Decks</div>
+              <div style={styles.lobbyMetaValue}>
+                {(currentLobby.players || []).map((pid) => currentLobby.deckNames?.[pid] || 'Open pool').join(' vs ')}
+              </div>
+            </div>
             <div style={styles.lobbyMetaCard}>
               <div style={styles.lobbyMetaLabel}>Lobby status</div>
               <div style={styles.lobbyMetaValue}>Locked</div>
@@ -528,9 +619,14 @@ function OnlineHostForm({ initialLobby = null, onLobbyChange } = {}) {
               <option value="blitz">{TIME_CONTROL_LABELS.blitz}</option>
               <option value="rapid">{TIME_CONTROL_LABELS.rapid}</option>
               <option value="classical">{TIME_CONTROL_LABELS.classical}</option>
+              {BONUS_TIME_CONTROLS.map((control) => (
+                <option key={control} value={control}>{getTimeControlLabel(control)}</option>
+              ))}
             </select>
           </label>
 
+          <DeckSelect value={deck} onChange={setDeck} />
+
           <label style={styles.checkboxTile}>
             <input
               type="checkbox"
@@ -542,6 +638,30 @@ function OnlineHostForm({ initialLobby = null, onLobbyChange } = {}) {
               <div style={styles.checkboxText}>Requires a share code for entry.</div>
             </div>
           </label>
+
+          <label style={styles.checkboxTile}>
+            <input
+              type="checkbox"
+              checked={omniscientSpectators}
+              onChange={(e) => setOmniscientSpectators(e.target.checked)}
+            />
+            <div>
+              <div style={styles.checkboxTitle}>Omniscient spectators</div>
+              <div style={styles.checkboxText}>Spectators see through Fog of War. Hands stay hidden either way.</div>
+            </div>
+          </label>
+
+          <label style={styles.checkboxTile}>
+            <input
+              type="checkbox"
+              checked={rated}
+              onChange={(e) => setRated(e.target.checked)}
+            />
+            <div>
+              <div style={styles.checkboxTitle}>Rated</div>
+              <div style={styles.checkboxText}>Updates both players' ratings for this mode and time control. Both players must be signed in.</div>
+            </div>
+          </label>
         </div>
 
         <div style={styles.previewCard}>
@@ -553,6 +673,9 @@ function OnlineHostForm({ initialLobby = null, onLobbyChange } = {}) {
             <div style={styles.previewRow}><span>Who starts</span><strong>{whoStarts.charAt(0).toUpperCase() + whoStarts.slice(1)}</strong></div>
             <div style={styles.previewRow}><span>Time</span><strong>{getTimeControlLabel(timeControl)}</strong></div>
             <div style={styles.previewRow}><span>Privacy</span><strong>{isPrivate ? 'Private' : 'Public'}</strong></div>
+            <div style={styles.previewRow}><span>Spectators</span><strong>{omniscientSpectators ? 'See through fog' : 'Fog respected'}</strong></div>
+            <div style={styles.previewRow}><span>Type</span><strong>{rated ? 'Rated' : 'Casual'}</strong></div>
+            <div style={styles.previewRow}><span>Deck</span><strong>{listDeckChoices().find((choice) => choice.value === deck)?.label || 'Open pool'}</strong></div>
             {/* <div style={styles.previewRow}><span>Players</span><strong>2 players</strong></div> */}
           </div>
 
@@ -599,13 +722,74 @@ function AIGameForm({ rematchSettings = null }) {
     }
     return 'unlimited';
   });
+  const [deck, setDeck] = useState('open');
   const [status, setStatus] = useState('');
+  const [personalities, setPersonalities] = useState([]);
+  // '' plays the difficulty level; 'unsaved' plays `unsavedPersonality`; anything else is a personality id.
+  const [personalityId, setPersonalityId] = useState(() => {
+    const previous = rematchSettings?.personality;
+    if (!previous) return '';
+    return typeof previous === 'string' ? previous : 'unsaved';
+  });
+  const [unsavedPersonality, setUnsavedPersonality] = useState(() => (
+    rematchSettings?.personality && typeof rematchSettings.personality === 'object' ? rematchSettings.personality : null
+  ));
+  const [editingPersonality, setEditingPersonality] = useState(null);
+
+  const loadPersonalities = () => {
+    socket.emit('listAiPersonalities', {}, (res) => {
+      if (res?.ok) setPersonalities(res.personalities);
+    });
+  };
+  useEffect(loadPersonalities, []);
+
+  const selectedPersonality = personalityId === 'unsaved'
+    ? unsavedPersonality
+    : personalities.find((personality) => personality.id === personalityId) || null;
+
+  const handleSavePersonality = (personality) => {
+    socket.emit('saveAiPersonality', { personality }, (res) => {
+      if (!res?.ok) {
+        setStatus(`Error: ${res?.error || 'Failed to save personality'}`);
+        return;
+      }
+      setStatus(`Saved ${res.personality.name}.`);
+      setEditingPersonality(null);
+      setPersonalityId(res.personality.id);
+      loadPersonalities();
+    });
+  };
+
+  const handlePlayUnsaved = (personality) => {
+    setUnsavedPersonality({ ...personality, id: null });
+    setPersonalityId('unsaved');
+    setEditingPersonality(null);
+  };
+
+  const handleDeletePersonality = () => {
+    socket.emit('deleteAiPersonality', { id: personalityId }, (res) => {
+      if (!res?.ok) {
+        setStatus(`Error: ${res?.error || 'Failed to delete personality'}`);
+        return;
+      }
+      setPersonalityId('');
+      loadPersonalities();
+    });
+  };
 
   const handleStartAI = () => {
     setStatus('Starting AI match...');
+    const personality = personalityId === 'unsaved' ? unsavedPersonality : personalityId || null;
     socket.emit(
       'startAIGame',
-      { gameMode, difficulty, playerColor, timeControl: timeControl === 'unlimited' ? null : parseInt(timeControl) },
+      {
+        gameMode,
+        difficulty,
+        playerColor,
+        timeControl: timeControl === 'unlimited' ? null : timeControl,
+        deck: deckPayloadFor(deck),
+        personality,
+      },
       (res) => {
         if (!res || !res.ok) {
           setStatus(`Error: ${res?.error || 'Failed to start AI game'}`);
@@ -630,6 +814,7 @@ function AIGameForm({ rematchSettings = null }) {
               style={styles.input}
               value={difficulty}
               onChange={(e) => setDifficulty(e.target.value)}
+              disabled={Boolean(selectedPersonality)}
             >
               <option value="Scholar">Scholar (easy)</option>
               <option value="Knight">Knight (medium)</option>
@@ -637,6 +822,45 @@ function AIGameForm({ rematchSettings = null }) {
             </select>
           </label>
 
+          <label style={styles.label}>
+            AI personality
+            <select
+              style={styles.input}
+              value={personalityId}
+              onChange={(e) => setPersonalityId(e.target.value)}
+            >
+              <option value="">None (plays the difficulty level)</option>
+              {personalities.map((personality) => (
+                <option key={personality.id} value={personality.id}>
+                  {personality.name}{personality.builtIn ? '' : ' (saved)'}
+                </option>
+              ))}
+              {unsavedPersonality && <option value="unsaved">{unsavedPersonality.name} (unsaved)</option>}
+            </select>
+          </label>
+          {selectedPersonality?.description && <div style={styles.helperText}>{selectedPersonality.description}</div>}
+          <div style={styles.checkboxRow}>
+            <button
+              type="button"
+              style={styles.smallButton}
+              onClick={() => setEditingPersonality(selectedPersonality ? { ...selectedPersonality } : { name: '', base: difficulty })}
+            >
+              {selectedPersonality ? 'Customize' : 'New personality'}
+            </button>
+            {selectedPersonality?.builtIn === false && (
+              <button type="button" style={styles.smallButton} onClick={handleDeletePersonality}>Delete</button>
+            )}
+          </div>
+          {editingPersonality && (
+            <AIPersonalityEditor
+              initial={editingPersonality}
+              canSave={Boolean(getAuthToken())}
+              onSave={handleSavePersonality}
+              onPlayUnsaved={handlePlayUnsaved}
+              onCancel={() => setEditingPersonality(null)}
+            />
+          )}
+
           <label style={styles.label}>
             Game mode
             <select
@@ -675,8 +899,13 @@ function AIGameForm({ rematchSettings = null }) {
               <option value="10">Blitz (10 min)</option>
               <option value="30">Rapid (30 min)</option>
               <option value="60">Classical (60 min)</option>
+              {BONUS_TIME_CONTROLS.map((control) => (
+                <option key={control} value={control}>{getTimeControlLabel(control)}</option>
+              ))}
             </select>
           </label>
+
+          <DeckSelect value={deck} onChange={setDeck} />
         </div>
 
         <div style={styles.previewCard}>
@@ -684,9 +913,10 @@ function AIGameForm({ rematchSettings = null }) {
           <h3 style={styles.sectionTitle}>Versus AI</h3>
           <div style={styles.previewList}>
             <div style={styles.previewRow}><span>Mode</span><strong>{gameMode}</strong></div>
+            <div style={styles.previewRow}><span>AI</span><strong>{selectedPersonality ? `${selectedPersonality.name} (${selectedPersonality.base})` : difficulty}</strong></div>
             <div style={styles.previewRow}><span>Mode description</span><strong>{GAME_MODE_OPTIONS.find((mode) => mode.id === gameMode)?.description || ''}</strong></div>
             <div style={styles.previewRow}><span>Who starts</span><strong>{playerColor === 'random' ? 'Random' : playerColor === 'white' ? 'White' : 'Black'}</strong></div>
-            <div style={styles.previewRow}><span>Time</span><strong>{timeControl === 'unlimited' ? 'Unlimited' : timeControl === 'bullet' ? '5 min' : `${timeControl} min`}</strong></div>
+            <div style={styles.previewRow}><span>Time</span><strong>{getTimeControlLabel(timeControl)}</strong></div>
           </div>
 
           <div style={styles.calloutBox}>
@@ -705,6 +935,128 @@ function AIGameForm({ rematchSettings = null }) {
   );
 }
 
+const PERSONALITY_FIELDS = [
+  { field: 'depth', label: 'Search depth', step: 1 },
+  { field: 'searchBudgetMs', label: 'Thinking time (ms)', step: 100 },
+  { field: 'randomness', label: 'Randomness', step: 0.01 },
+  { field: 'cardUse', label: 'Card use', step: 0.05 },
+  { field: 'cardDraw', label: 'Card draws', step: 0.05 },
+  { field: 'cardMargin', label: 'Card margin', step: 10 },
+  { field: 'arcanaRiskTolerance', label: 'Arcana risk tolerance', step: 0.1 },
+];
+
+const WEIGHT_LABELS = { material: 'Material', pawnStructure: 'Pawn structure', kingSafety: 'King safety' };
+
+/** Edits one AI personality; blank fields fall back to the base level's settings. */
+function AIPersonalityEditor({ initial, canSave, onSave, onPlayUnsaved, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    ...initial,
+    // Built-ins cannot be overwritten, so customizing one starts a copy.
+    id: initial.builtIn ? null : initial.id || null,
+    name: initial.builtIn ? `${initial.name} (custom)` : initial.name || '',
+    base: initial.base || 'Knight',
+    preferredCategories: initial.preferredCategories || [],
+    weights: initial.weights || {},
+  }));
+
+  const toPersonality = () => {
+    const { builtIn: _builtIn, ...personality } = draft;
+    return personality;
+  };
+  const { errors } = validateAiPersonality(toPersonality());
+
+  const setNumber = (field, value) => {
+    setDraft((current) => ({ ...current, [field]: value === '' ? undefined : Number(value) }));
+  };
+  const setWeight = (key, value) => {
+    setDraft((current) => {
+      const weights = { ...current.weights };
+      if (value === '') delete weights[key];
+      else weights[key] = Number(value);
+      return { ...current, weights };
+    });
+  };
+  const toggleCategory = (category) => {
+    setDraft((current) => ({
+      ...current,
+      preferredCategories: current.preferredCategories.includes(category)
+        ? current.preferredCategories.filter((entry) => entry !== category)
+        : [...current.preferredCategories, category],
+    }));
+  };
+
+  return (
+    <div style={styles.checkboxTile}>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 10, width: '100%' }}>
+        <label style={styles.label}>
+          Name
+          <input style={styles.input} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        </label>
+        <label style={styles.label}>
+          Based on
+          <select style={styles.input} value={draft.base} onChange={(e) => setDraft({ ...draft, base: e.target.value })}>
+            {AI_PERSONALITY_LEVELS.map((level) => <option key={level} value={level}>{level}</option>)}
+          </select>
+        </label>
+        {PERSONALITY_FIELDS.map(({ field, label, step }) => (
+          <label key={field} style={styles.label}>
+            {label}
+            <input
+              style={styles.input}
+              type="number"
+              min={AI_PERSONALITY_LIMITS[field][0]}
+              max={AI_PERSONALITY_LIMITS[field][1]}
+              step={step}
+              placeholder={`${draft.base} default`}
+              value={draft[field] ?? ''}
+              onChange={(e) => setNumber(field, e.target.value)}
+            />
+          </label>
+        ))}
+        {AI_PERSONALITY_WEIGHTS.map((key) => (
+          <label key={key} style={styles.label}>
+            {WEIGHT_LABELS[key]} weight
+            <input
+              style={styles.input}
+              type="number"
+              min={AI_PERSONALITY_LIMITS.weight[0]}
+              max={AI_PERSONALITY_LIMITS.weight[1]}
+              step={0.1}
+              placeholder="1"
+              value={draft.weights[key] ?? ''}
+              onChange={(e) => setWeight(key, e.target.value)}
+            />
+          </label>
+        ))}
+        <div style={styles.checkboxTitle}>Preferred arcana</div>
+        <div style={{ ...styles.checkboxRow, flexWrap: 'wrap' }}>
+          {AI_PERSONALITY_CATEGORIES.map((category) => (
+            <label key={category} style={styles.checkboxRow}>
+              <input
+                type="checkbox"
+                checked={draft.preferredCategories.includes(category)}
+                onChange={() => toggleCategory(category)}
+              />
+              <span style={{ textTransform: 'capitalize' }}>{category}</span>
+            </label>
+          ))}
+        </div>
+        {errors.length > 0 && <div style={styles.checkboxText}>{errors[0]}</div>}
+        <div style={styles.checkboxRow}>
+          <button type="button" style={styles.smallButton} disabled={errors.length > 0 || !canSave} onClick={() => onSave(toPersonality())}>
+            Save
+          </button>
+          <button type="button" style={styles.smallButton} disabled={errors.length > 0} onClick={() => onPlayUnsaved(toPersonality())}>
+            Use without saving
+          </button>
+          <button type="button" style={styles.smallButton} onClick={onCancel}>Cancel</button>
+        </div>
+        {!canSave && <div style={styles.checkboxText}>Sign in from the main menu to save personalities.</div>}
+      </div>
+    </div>
+  );
+}
+
 function ReplayImportForm({ onOpenReplay }) {
   const [status, setStatus] = useState('');
 
@@ -714,6 +1066,19 @@ function ReplayImportForm({ onOpenReplay }) {
 
     try {
       const text = await file.text();
+      if (/\.(apgn|pgn)$/i.test(file.name)) {
+        // APGN is rebuilt on the server by replaying every move and Arcana use.
+        setStatus('Rebuilding game from APGN...');
+        socket.emit('importApgn', { text }, (res) => {
+          if (res?.ok && res.replay) {
+            if (typeof onOpenReplay === 'function') onOpenReplay(res.replay);
+            setStatus('Opening replay viewer...');
+          } else {
+            setStatus(`APGN import failed: ${res?.error || 'Unknown error'}`);
+          }
+        });
+        return;
+      }
       const replay = JSON.parse(text);
       if (typeof onOpenReplay === 'function') {
         onOpenReplay(replay);
@@ -732,14 +1097,14 @@ function ReplayImportForm({ onOpenReplay }) {
         <div style={styles.formSectionCard}>
           <div style={styles.sectionEyebrow}>Replay Tools</div>
           <h3 style={styles.sectionTitle}>Import a replay</h3>
-          <div style={styles.helperText}>Load an exported replay JSON and open the board replay viewer.</div>
+          <div style={styles.helperText}>Load an exported replay JSON or APGN file and open the board replay viewer.</div>
 
           <label style={styles.label}>
             Replay file
             <input
               style={styles.input}
               type="file"
-              accept="application/json,.json"
+              accept="application/json,.json,.apgn,.pgn"
               onChange={handleFileChosen}
             />
           </label>
@@ -752,6 +1117,7 @@ function ReplayImportForm({ onOpenReplay }) {
             <div style={styles.previewRow}><span>Preferred</span><strong>timeline.frames</strong></div>
             <div style={styles.previewRow}><span>Fallback</span><strong>fenHistory</strong></div>
             <div style={styles.previewRow}><span>Legacy</span><strong>finalState.fen</strong></div>
+            <div style={styles.previewRow}><span>APGN</span><strong>.apgn / .pgn</strong></div>
           </div>
 
           <div style={styles.calloutBox}>
@@ -773,6 +1139,7 @@ function JoinLobbyScreen({ onBack, initialLobby = null }) {
   const [codePrompt, setCodePrompt] = useState(null); // { lobbyId, lobbyName }
   const [filter, setFilter] = useState('all'); // 'all' | 'public' | 'private'
   const [searchTerm, setSearchTerm] = useState('');
+  const [deck, setDeck] = useState('open');
 
   useEffect(() => {
     if (initialLobby) setJoinedLobby(initialLobby);
@@ -800,7 +1167,7 @@ function JoinLobbyScreen({ onBack, initialLobby = null }) {
       return;
     }
     setStatus('Joining lobby...');
-    socket.emit('joinLobby', { lobbyId }, (res) => {
+    socket.emit('joinLobby', { lobbyId, deck: deckPayloadFor(deck) }, (res) => {
       if (!res || !res.ok) {
         setStatus(`Error: ${res?.error || 'Failed to join lobby'}`);
       } else {
@@ -813,7 +1180,7 @@ function JoinLobbyScreen({ onBack, initialLobby = null }) {
   const handleJoinByCode = () => {
     if (!joinCode.trim()) return;
     setStatus('Joining by code...');
-    socket.emit('joinLobby', { code: joinCode.trim() }, (res) => {
+    socket.emit('joinLobby', { code: joinCode.trim(), deck: deckPayloadFor(deck) }, (res) => {
       if (!res || !res.ok) {
         setStatus(`Error: ${res?.error || 'Failed to join via code'}`);
       } else {
@@ -825,7 +1192,7 @@ function JoinLobbyScreen({ onBack, initialLobby = null }) {
   const handleJoinPrivateWithCode = () => {
     if (!codePrompt || !joinCode.trim()) return;
     setStatus('Joining private lobby...');
-    socket.emit('joinLobby', { lobbyId: codePrompt.lobbyId, code: joinCode.trim() }, (res) => {
+    socket.emit('joinLobby', { lobbyId: codePrompt.lobbyId, code: joinCode.trim(), deck: deckPayloadFor(deck) }, (res) => {
       if (!res || !res.ok) {
         setStatus(`Error: ${res?.error || 'Incorrect code or lobby unavailable'}`);
       } else {
@@ -907,6 +1274,8 @@ function JoinLobbyScreen({ onBack, initialLobby = null }) {
           placeholder="🔍 Search lobbies by name or mode..."
         />
 
+        <DeckSelect value={deck} onChange={setDeck} style={{ marginBottom: 12 }} />
+
         {/* Filter buttons */}
         <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
           <button
@@ -980,6 +1349,335 @@ function JoinLobbyScreen({ onBack, initialLobby = null }) {
   );
 }
 
+function WatchLiveGamesScreen({ onBack, onSpectate }) {
+  const [games, setGames] = useState([]);
+  const [status, setStatus] = useState('');
+  const [watchCode, setWatchCode] = useState('');
+
+  const refreshGames = () => {
+    setStatus('Loading live games...');
+    socket.emit('listLiveGames', {}, (res) => {
+      if (!res || !res.ok) {
+        setStatus(`Error: ${res?.error || 'Failed to list live games'}`);
+      } else {
+        setGames(res.games || []);
+        setStatus('');
+      }
+    });
+  };
+
+  useEffect(() => {
+    refreshGames();
+  }, []);
+
+  const spectate = (payload) => {
+    setStatus('Joining as spectator...');
+    socket.emit('spectateGame', payload, (res) => {
+      if (!res || !res.ok) {
+        setStatus(`Error: ${res?.error || 'Failed to spectate'}`);
+      } else if (typeof onSpectate === 'function') {
+        onSpectate(res.gameState);
+      }
+    });
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={{ ...styles.panel, width: '94vw', maxWidth: 'none', height: '86vh', maxHeight: '86vh', display: 'flex', flexDirection: 'column' }}>
+        <div style={styles.headerRow}>
+          <h2 style={styles.heading}>Watch live games</h2>
+          <button style={styles.backButton} onClick={onBack}>Back</button>
+        </div>
+
+        {/* Private games are only reachable by their lobby code */}
+        <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+          <input
+            style={{ ...styles.input, flex: 1, fontSize: '0.95rem' }}
+            value={watchCode}
+            onChange={(e) => setWatchCode(e.target.value)}
+            placeholder="Lobby code (ABC123)"
+            onKeyDown={(e) => e.key === 'Enter' && watchCode.trim() && spectate({ code: watchCode.trim() })}
+          />
+          <button
+            style={styles.primaryButton}
+            onClick={() => watchCode.trim() && spectate({ code: watchCode.trim() })}
+          >
+            Watch by code
+          </button>
+          <button style={styles.secondaryButton} onClick={refreshGames}>
+            Refresh
+          </button>
+        </div>
+
+        <div style={styles.lobbyList}>
+          {games.length === 0 && (
+            <div style={{ padding: 20, textAlign: 'center', fontSize: '0.9rem', opacity: 0.7 }}>
+              No public games in progress.
+            </div>
+          )}
+          {games.map((game) => (
+            <div key={game.id} style={styles.lobbyCard}>
+              <div style={{ flex: 1 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+                  <span style={{ fontWeight: 600, fontSize: '1.05rem' }}>{game.name}</span>
+                  {game.ascended && <span style={{ fontSize: '0.8rem', opacity: 0.75 }}>Ascended</span>}
+                </div>
+                <div style={{ fontSize: '0.85rem', opacity: 0.75, display: 'flex', gap: 12 }}>
+                  <span>Mode: <strong>{game.mode}</strong></span>
+                  <span>Time: <strong>{game.timeControl ? getTimeControlLabel(game.timeControl) : 'Unlimited'}</strong></span>
+                  <span>Move: <strong>{Math.floor(game.plyCount / 2) + 1}</strong></span>
+                  <span>Watching: <strong>{game.spectatorCount}</strong></span>
+                  {game.omniscientSpectators && <span>Fog revealed</span>}
+                </div>
+              </div>
+              <button style={styles.joinButton} onClick={() => spectate({ gameId: game.id })}>
+                Watch
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {status && <div style={styles.status}>{status}</div>}
+      </div>
+    </div>
+  );
+}
+
+// Resuming seats this client; the server sends gameStarted once every player is back.
+function AdjournedGamesScreen({ onBack }) {
+  const [games, setGames] = useState([]);
+  const [status, setStatus] = useState('');
+
+  const refreshGames = () => {
+    setStatus('Loading adjourned games...');
+    socket.emit('listAdjournedGames', {}, (res) => {
+      if (!res || !res.ok) {
+        setStatus(`Error: ${res?.error || 'Failed to list adjourned games'}`);
+      } else {
+        setGames(res.games || []);
+        setStatus('');
+      }
+    });
+  };
+
+  useEffect(() => {
+    refreshGames();
+  }, []);
+
+  const resume = (gameId) => {
+    setStatus('Resuming...');
+    socket.emit('resumeAdjournedGame', { gameId }, (res) => {
+      if (!res || !res.ok) {
+        setStatus(`Error: ${res?.error || 'Failed to resume game'}`);
+      } else if (res.waiting) {
+        setStatus('Waiting for your opponent to resume the game...');
+      }
+    });
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={{ ...styles.panel, width: '94vw', maxWidth: 'none', height: '86vh', maxHeight: '86vh', display: 'flex', flexDirection: 'column' }}>
+        <div style={styles.headerRow}>
+          <h2 style={styles.heading}>Adjourned games</h2>
+          <button style={styles.backButton} onClick={onBack}>Back</button>
+        </div>
+
+        <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+          <button style={styles.secondaryButton} onClick={refreshGames}>
+            Refresh
+          </button>
+        </div>
+
+        <div style={styles.lobbyList}>
+          {games.length === 0 && (
+            <div style={{ padding: 20, textAlign: 'center', fontSize: '0.9rem', opacity: 0.7 }}>
+              No adjourned games. Adjourn a game from the in-game menu to finish it later.
+            </div>
+          )}
+          {games.map((game) => (
+            <div key={game.id} style={styles.lobbyCard}>
+              <div style={{ flex: 1 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+                  <span style={{ fontWeight: 600, fontSize: '1.05rem' }}>
+                    vs {game.opponent === 'AI' ? `AI (${game.aiPersonality || game.aiDifficulty || 'Scholar'})` : game.opponent}
+                  </span>
+                  {game.opponentWaiting && <span style={{ fontSize: '0.8rem', color: '#a3be8c' }}>Opponent is waiting</span>}
+                </div>
+                <div style={{ fontSize: '0.85rem', opacity: 0.75, display: 'flex', gap: 12 }}>
+                  <span>Mode: <strong>{game.mode}</strong></span>
+                  <span>Color: <strong style={{ textTransform: 'capitalize' }}>{game.color}</strong></span>
+                  <span>Time: <strong>{game.timeControl ? getTimeControlLabel(game.timeControl) : 'Unlimited'}</strong></span>
+                  <span>Move: <strong>{Math.floor(game.plyCount / 2) + 1}</strong></span>
+                  {game.adjournedAt && <span>Adjourned: <strong>{new Date(game.adjournedAt).toLocaleString()}</strong></span>}
+                </div>
+              </div>
+              <button style={styles.joinButton} onClick={() => resume(game.id)}>
+                Resume
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {status && <div style={styles.status}>{status}</div>}
+      </div>
+    </div>
+  );
+}
+
+const RESULT_COLORS = { win: '#a3be8c', loss: '#e06c75', draw: '#d8c48a' };
+
+function ProfileScreen({ onBack }) {
+  const [profile, setProfile] = useState(null);
+  const [displayName, setDisplayName] = useState('');
+  const [password, setPassword] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [status, setStatus] = useState('');
+
+  const refreshProfile = () => {
+    if (!getAuthToken()) {
+      setProfile(null);
+      return;
+    }
+    socket.emit('getProfile', {}, (res) => {
+      if (res?.ok) setProfile(res.profile);
+      else setProfile(null);
+    });
+  };
+
+  useEffect(() => {
+    refreshProfile();
+  }, []);
+
+  const signIn = (event) => {
+    setStatus(event === 'registerAccount' ? 'Creating account...' : 'Signing in...');
+    socket.emit(event, { displayName, password }, (res) => {
+      if (!res || !res.ok) {
+        setStatus(`Error: ${res?.error || 'Request failed'}`);
+        return;
+      }
+      setAuthToken(res.token);
+      setProfile(res.profile);
+      setPassword('');
+      setStatus('');
+    });
+  };
+
+  const savePassword = () => {
+    const changing = profile?.hasPassword;
+    socket.emit('setPassword', { password, currentPassword }, (res) => {
+      if (!res || !res.ok) {
+        setStatus(`Error: ${res?.error || 'Failed to set password'}`);
+        return;
+      }
+      setProfile(res.profile);
+      setPassword('');
+      setCurrentPassword('');
+      setStatus(changing
+        ? 'Password changed. Other browsers have been signed out.'
+        : 'Password saved. You can now sign in from other browsers.');
+    });
+  };
+
+  const signOut = () => {
+    socket.emit('logout', { token: getAuthToken() }, () => {
+      setAuthToken(null);
+      setProfile(null);
+      setStatus('Signed out.');
+    });
+  };
+
+  const statRows = Object.entries(profile?.stats || {});
+  const ratingRows = Object.entries(profile?.ratings || {});
+
+  return (
+    <div style={styles.container}>
+      <div style={{ ...styles.panel, width: '94vw', maxWidth: 'none', height: '86vh', maxHeight: '86vh', display: 'flex', flexDirection: 'column' }}>
+        <div style={styles.headerRow}>
+          <h2 style={styles.heading}>{profile ? profile.displayName : 'Sign in'}</h2>
+          <button style={styles.backButton} onClick={onBack}>Back</button>
+        </div>
+
+        {!profile && (
+          <div style={{ ...styles.formSectionCard, maxWidth: 460 }}>
+            <div style={styles.helperText}>
+              Pick a display name to keep your results across sessions. A password is optional; without one this browser stays signed in.
+            </div>
+            <label style={styles.label}>
+              Display name
+              <input style={styles.input} value={displayName} onChange={(e) => setDisplayName(e.target.value)} maxLength={20} />
+            </label>
+            <label style={styles.label}>
+              Password
+              <input style={styles.input} type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+            </label>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button style={styles.primaryButton} onClick={() => signIn('registerAccount')}>Create account</button>
+              <button style={styles.secondaryButton} onClick={() => signIn('login')}>Sign in</button>
+            </div>
+          </div>
+        )}
+
+        {profile && (
+          <div style={{ ...styles.setupGrid, minHeight: 0, flex: 1, overflow: 'hidden' }}>
+            <div style={styles.formSectionCard}>
+              <div style={styles.sectionEyebrow}>Record</div>
+              {statRows.length === 0 && <div style={styles.helperText}>No finished games yet.</div>}
+              {statRows.map(([modeId, stats]) => (
+                <div key={modeId} style={styles.previewRow}>
+                  <span>{modeId}</span>
+                  <strong>{stats.wins}W / {stats.losses}L / {stats.draws}D</strong>
+                </div>
+              ))}
+              {ratingRows.length > 0 && <div style={styles.sectionEyebrow}>Ratings</div>}
+              {ratingRows.map(([bucket, entry]) => (
+                <div key={bucket} style={styles.previewRow}>
+                  <span>{bucket.replace(':', ' · ')}</span>
+                  <strong>{entry.rating} ± {entry.rd} ({entry.games} games)</strong>
+                </div>
+              ))}
+              <div style={{ ...styles.helperText, marginTop: 'auto' }}>
+                Member since {new Date(profile.createdAt).toLocaleDateString()}
+              </div>
+              {profile.hasPassword && (
+                <label style={styles.label}>
+                  Current password
+                  <input style={styles.input} type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} />
+                </label>
+              )}
+              <label style={styles.label}>
+                {profile.hasPassword ? 'New password' : 'Set a password to sign in elsewhere'}
+                <input style={styles.input} type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+                <button style={styles.secondaryButton} onClick={savePassword}>
+                  {profile.hasPassword ? 'Change password' : 'Save password'}
+                </button>
+              </label>
+              <button style={styles.secondaryButton} onClick={signOut}>Sign out</button>
+            </div>
+
+            <div style={{ ...styles.formSectionCard, overflowY: 'auto' }}>
+              <div style={styles.sectionEyebrow}>Match history</div>
+              {profile.history.length === 0 && <div style={styles.helperText}>Games you finish while signed in appear here.</div>}
+              {profile.history.map((entry) => (
+                <div key={entry.gameId} style={styles.previewRow}>
+                  <span>
+                    <strong style={{ color: RESULT_COLORS[entry.result], textTransform: 'capitalize' }}>{entry.result}</strong>
+                    {' '}vs {entry.opponent} · {entry.mode} · {entry.outcomeType}
+                    {entry.rated && ` · ${entry.ratingDelta >= 0 ? '+' : ''}${entry.ratingDelta}`}
+                  </span>
+                  <span style={{ opacity: 0.7 }}>{new Date(entry.endedAt).toLocaleString()}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {status && <div style={styles.status}>{status}</div>}
+      </div>
+    </div>
+  );
+}
+
 const styles = {
   container: {
     width: '100vw',
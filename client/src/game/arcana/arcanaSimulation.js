@@ -8,6 +8,9 @@ import {
   needsTargetSquare as needsTargetSquareFromContract,
   validateArcanaTarget as validateArcanaTargetFromContract,
 } from '../../../../shared/arcana/arcanaContracts.js';
+import { applyArcanaEffectSpec } from '../../../../shared/arcana/effects/effectInterpreter.js';
+import { getPiecesDiagonalFromBishop } from '../../../../shared/arcana/moveGenerator.js';
+import { getArcanaDefinition } from '../arcanaCatalog.js';
 
 /**
  * Helper to get all legal moves for a specific color
@@ -91,94 +94,6 @@ function getTopMapFragmentMoves(chess, colorChar, gameState, socketId, limit = 3
   return opponentMoves;
 }
 
-/**
- * Get all friendly pieces on all 4 diagonals from a bishop position
- * Used by Bishop's Blessing to protect diagonal pieces
- * @param {Chess} chess - Chess.js instance
- * @param {string} bishopSquare - Square where the bishop is located
- * @param {string} colorChar - 'w' or 'b'
- * @returns {Array<string>} Array of protected square names
- */
-function getPiecesDiagonalFromBishop(chess, bishopSquare, colorChar) {
-  const protectedSquares = [];
-  if (!bishopSquare) return protectedSquares;
-  
-  const file = bishopSquare.charCodeAt(0) - 97; // a=0, h=7
-  const rank = parseInt(bishopSquare[1]); // 1-8
-  
-  // 4 diagonal directions: NE, NW, SE, SW
-  const directions = [
-    { df: 1, dr: 1 },  // NE
-    { df: -1, dr: 1 }, // NW
-    { df: 1, dr: -1 }, // SE
-    { df: -1, dr: -1 } // SW
-  ];
-  
-  for (const dir of directions) {
-    let f = file + dir.df;
-    let r = rank + dir.dr;
-    
-    while (f >= 0 && f < 8 && r >= 1 && r <= 8) {
-      const sq = String.fromCharCode(97 + f) + r;
-      const piece = chess.get(sq);
-      
-      // Stop if we hit an enemy piece (blocked on diagonal)
-      if (piece && piece.color !== colorChar) {
-        break;
-      }
-      // Add friendly pieces to protected list
-      if (piece && piece.color === colorChar) {
-        protectedSquares.push(sq);
-      }
-      
-      f += dir.df;
-      r += dir.dr;
-    }
-  }
-  
-  return protectedSquares;
-}
-
-/**
- * Calculate the soft push destination for a piece
- * Pawns: push forward one square
- * Other pieces: push toward center
- */
-function getSoftPushDestination(square, piece, colorChar) {
-  const file = square.charCodeAt(0) - 97; // 0-7
-  const rank = parseInt(square[1]); // 1-8
-  
-  // For pawns: push forward (direction based on color)
-  if (piece.type === 'p') {
-    const direction = colorChar === 'w' ? 1 : -1;
-    const newRank = rank + direction;
-    // Can't push pawn off the board or to promotion rank (that's promotion, not push)
-    if (newRank >= 2 && newRank <= 7) {
-      return `${square[0]}${newRank}`;
-    }
-    return null; // Can't push this pawn forward
-  }
-  
-  // For other pieces: push toward center
-  let targetFile = file;
-  let targetRank = rank;
-  
-  // Horizontal: push toward center files d(3) or e(4)
-  if (file < 3) targetFile = file + 1;
-  else if (file > 4) targetFile = file - 1;
-  
-  // Vertical: push toward center ranks 4 or 5
-  if (rank < 4) targetRank = rank + 1;
-  else if (rank > 5) targetRank = rank - 1;
-  
-  // If piece is already in center, no push possible
-  if (targetFile === file && targetRank === rank) {
-    return null;
-  }
-  
-  return `${String.fromCharCode(97 + targetFile)}${targetRank}`;
-}
-
 function findKingSquare(chess, colorChar) {
   const board = chess.board();
   for (let rank = 0; rank < 8; rank++) {
@@ -313,6 +228,22 @@ export function simulateArcanaEffect(chess, arcanaId, params = {}, colorChar = '
   gameState.activeEffects = gameState.activeEffects || {};
 
   try {
+    // Spec'd cards run through the same interpreter as the server.
+    const specResult = applyArcanaEffectSpec(arcanaId, { chess, gameState, moverColor: colorChar, params });
+    if (specResult) {
+      if (!specResult.ok) {
+        result.message = `${getArcanaDefinition(arcanaId)?.name || arcanaId}: ${specResult.reason}`;
+        return result;
+      }
+      result.success = true;
+      result.message = specResult.message;
+      result.visualEffect = specResult.visual;
+      result.soundEffect = `arcana:${arcanaId}`;
+      result.highlightSquares = specResult.highlightSquares;
+      result.highlightColor = specResult.highlightColor;
+      return result;
+    }
+
     switch (arcanaId) {
       // === DEFENSE CARDS ===
       case 'shield_pawn':
@@ -442,131 +373,7 @@ export function simulateArcanaEffect(chess, arcanaId, params = {}, colorChar = '
         }
         break;
 
-      case 'sanctuary':
-        if (params.targetSquare) {
-          const blocked = (gameState.activeEffects?.sanctuaries || []).some((s) => s?.square === params.targetSquare)
-            || (gameState.activeEffects?.cursedSquares || []).some((c) => c?.square === params.targetSquare);
-          if (blocked) {
-            result.message = `Sanctuary: ${params.targetSquare} already has a tile effect`;
-            break;
-          }
-          gameState.activeEffects.sanctuaries = gameState.activeEffects.sanctuaries || [];
-          gameState.activeEffects.sanctuaries.push({ square: params.targetSquare, turns: 4 });
-          result.success = true;
-          result.message = `Sanctuary: ${params.targetSquare} is safe for 4 turns`;
-          result.visualEffect = 'sanctuary';
-          result.soundEffect = 'arcana:sanctuary';
-          result.highlightSquares = [params.targetSquare];
-          result.highlightColor = '#ffd700';
-        } else {
-          result.message = 'Sanctuary requires selecting a square';
-        }
-        break;
-
-      case 'time_freeze':
-        gameState.activeEffects.timeFrozen = gameState.activeEffects.timeFrozen || { w: false, b: false };
-        const opponentForFreeze = colorChar === 'w' ? 'b' : 'w';
-        gameState.activeEffects.timeFrozen[opponentForFreeze] = true;
-        result.success = true;
-        result.message = 'Time Freeze: Opponent\'s next turn is skipped';
-        result.visualEffect = 'time_freeze';
-        result.soundEffect = 'arcana:time_freeze';
-        break;
-
-      case 'divine_intervention':
-        gameState.activeEffects.divineIntervention = gameState.activeEffects.divineIntervention || { w: false, b: false };
-        gameState.activeEffects.divineIntervention[colorChar] = true;
-        result.success = true;
-        result.message = 'Divine Intervention: Next checkmate will be blocked';
-        result.visualEffect = 'divine_intervention';
-        result.soundEffect = 'arcana:divine_intervention';
-        break;
-
       // === MOVEMENT CARDS ===
-      case 'pawn_rush':
-        gameState.activeEffects.pawnRush = gameState.activeEffects.pawnRush || { w: false, b: false };
-        gameState.activeEffects.pawnRush[colorChar] = true;
-        result.success = true;
-        result.message = 'Pawn Rush: All pawns can move two squares this turn';
-        result.visualEffect = 'pawn_rush';
-        result.soundEffect = 'arcana:pawn_rush';
-        break;
-
-      case 'soft_push':
-        if (params.targetSquare) {
-          const piece = chess.get(params.targetSquare);
-          if (piece && piece.color === colorChar) {
-            const file = params.targetSquare.charCodeAt(0) - 97;
-            const rank = parseInt(params.targetSquare[1]);
-            
-            let targetFile = file;
-            let targetRank = rank;
-            
-            if (file < 3) targetFile = file + 1;
-            else if (file > 4) targetFile = file - 1;
-            
-            if (rank < 4) targetRank = rank + 1;
-            else if (rank > 5) targetRank = rank - 1;
-            
-            const destSquare = String.fromCharCode(97 + targetFile) + targetRank;
-            
-            if (destSquare !== params.targetSquare && !chess.get(destSquare)) {
-              // Execute the push in simulation
-              chess.remove(params.targetSquare);
-              chess.put(piece, destSquare);
-              result.success = true;
-              result.message = `Soft Push: Moved ${params.targetSquare} → ${destSquare}`;
-              result.visualEffect = 'soft_push';
-              result.soundEffect = 'arcana:soft_push';
-              result.highlightSquares = [destSquare];
-              result.highlightColor = '#f2b6a0';
-            } else {
-              result.message = 'Soft Push: Cannot push (already at center or destination occupied)';
-            }
-          } else {
-            result.message = 'Soft Push: Must target your own piece';
-          }
-        } else {
-          result.message = 'Soft Push requires selecting a piece';
-        }
-        break;
-
-      case 'spectral_march':
-        gameState.activeEffects.spectralMarch = gameState.activeEffects.spectralMarch || { w: false, b: false };
-        gameState.activeEffects.spectralMarch[colorChar] = true;
-        result.success = true;
-        result.message = 'Spectral March: Rooks can pass through one friendly piece';
-        result.visualEffect = 'spectral_march';
-        result.soundEffect = 'arcana:spectral_march';
-        break;
-
-      case 'phantom_step':
-        gameState.activeEffects.phantomStep = gameState.activeEffects.phantomStep || { w: false, b: false };
-        gameState.activeEffects.phantomStep[colorChar] = true;
-        result.success = true;
-        result.message = 'Phantom Step: Any piece can move like a knight this turn';
-        result.visualEffect = 'phantom_step';
-        result.soundEffect = 'arcana:phantom_step';
-        break;
-
-      case 'knight_of_storms':
-        if (params.targetSquare) {
-          const piece = chess.get(params.targetSquare);
-          if (piece && piece.type === 'n' && piece.color === colorChar) {
-            gameState.activeEffects.knightOfStorms = gameState.activeEffects.knightOfStorms || { w: null, b: null };
-            gameState.activeEffects.knightOfStorms[colorChar] = params.targetSquare;
-            result.success = true;
-            result.message = `Knight of Storms: Knight at ${params.targetSquare} can move within 2-square radius`;
-            result.visualEffect = 'knight_of_storms';
-            result.soundEffect = 'arcana:knight_of_storms';
-          } else {
-            result.message = 'Knight of Storms: Must target your own knight';
-          }
-        } else {
-          result.message = 'Knight of Storms requires selecting a knight';
-        }
-        break;
-
       case 'temporal_echo':
         if (gameState.lastMove) {
           const lastFrom = gameState.lastMove.from;
@@ -616,34 +423,7 @@ export function simulateArcanaEffect(chess, arcanaId, params = {}, colorChar = '
         }
         break;
 
-      case 'queens_gambit':
-        gameState.activeEffects.queensGambit = gameState.activeEffects.queensGambit || { w: 0, b: 0 };
-        gameState.activeEffects.queensGambit[colorChar] = 1;
-        result.success = true;
-        result.message = "Queen's Gambit: Your queen can move twice this turn";
-        result.visualEffect = 'queens_gambit';
-        result.soundEffect = 'arcana:queens_gambit';
-        break;
-
       // === OFFENSE CARDS ===
-      case 'focus_fire':
-        gameState.activeEffects.focusFire = gameState.activeEffects.focusFire || {};
-        gameState.activeEffects.focusFire[colorChar] = true;
-        result.success = true;
-        result.message = 'Focus Fire: Next capture draws an extra card';
-        result.visualEffect = 'focus_fire';
-        result.soundEffect = 'arcana:focus_fire';
-        break;
-
-      case 'poison_touch':
-        gameState.activeEffects.poisonTouch = gameState.activeEffects.poisonTouch || { w: false, b: false };
-        gameState.activeEffects.poisonTouch[colorChar] = true;
-        result.success = true;
-        result.message = 'Poison Touch: Next capture poisons adjacent enemy pieces';
-        result.visualEffect = 'poison_touch';
-        result.soundEffect = 'arcana:poison_touch';
-        break;
-
       case 'double_strike':
         gameState.activeEffects.doubleStrike = gameState.activeEffects.doubleStrike || { w: false, b: false };
         gameState.activeEffects.doubleStrike[colorChar] = { pending: true };
@@ -662,35 +442,6 @@ export function simulateArcanaEffect(chess, arcanaId, params = {}, colorChar = '
         result.soundEffect = 'arcana:berserker_rage';
         break;
 
-      case 'sharpshooter':
-        gameState.activeEffects.sharpshooter = gameState.activeEffects.sharpshooter || { w: false, b: false };
-        gameState.activeEffects.sharpshooter[colorChar] = true;
-        result.success = true;
-        result.message = 'Sharpshooter: Bishop ignores blocking pieces on diagonals';
-        result.visualEffect = 'sharpshooter';
-        result.soundEffect = 'arcana:sharpshooter';
-        break;
-
-      case 'castle_breaker':
-        // Castle Breaker disables opponent's castling for 3 turns (doesn't destroy rooks)
-        const opponentColorCB = colorChar === 'w' ? 'b' : 'w';
-        gameState.activeEffects.castleBroken = gameState.activeEffects.castleBroken || { w: 0, b: 0 };
-        gameState.activeEffects.castleBroken[opponentColorCB] = 3; // Lasts 3 turns
-        result.success = true;
-        result.message = `Castle Breaker: Disabled opponent's castling for 3 turns`;
-        result.visualEffect = 'castle_breaker';
-        result.soundEffect = 'arcana:castle_breaker';
-        break;
-
-      case 'chain_lightning':
-        gameState.activeEffects.chainLightning = gameState.activeEffects.chainLightning || { w: false, b: false };
-        gameState.activeEffects.chainLightning[colorChar] = true;
-        result.success = true;
-        result.message = 'Chain Lightning: Next capture chains to 1 adjacent enemy piece';
-        result.visualEffect = 'chain_lightning';
-        result.soundEffect = 'arcana:chain_lightning';
-        break;
-
       case 'execution':
         if (params.targetSquare) {
           const target = chess.get(params.targetSquare);
@@ -1003,40 +754,6 @@ export function simulateArcanaEffect(chess, arcanaId, params = {}, colorChar = '
         }
         break;
 
-      case 'fog_of_war':
-        gameState.activeEffects.fogOfWar = gameState.activeEffects.fogOfWar || { w: false, b: false };
-        gameState.activeEffects.fogOfWar[colorChar] = true;
-        result.success = true;
-        result.message = 'Fog of War: Your pieces are hidden from opponent';
-        result.visualEffect = 'fog_of_war';
-        result.soundEffect = 'arcana:fog_of_war';
-        break;
-
-      case 'cursed_square':
-        if (params.targetSquare) {
-          const blocked = (gameState.activeEffects?.sanctuaries || []).some((s) => s?.square === params.targetSquare)
-            || (gameState.activeEffects?.cursedSquares || []).some((c) => c?.square === params.targetSquare);
-          if (blocked) {
-            result.message = `Cursed Square: ${params.targetSquare} already has a tile effect`;
-            break;
-          }
-          gameState.activeEffects.cursedSquares = gameState.activeEffects.cursedSquares || [];
-          gameState.activeEffects.cursedSquares.push({
-            square: params.targetSquare,
-            turns: 4,  // Lasts for 4 turns
-            setter: colorChar,
-          });
-          result.success = true;
-          result.message = `Cursed Square: ${params.targetSquare} will destroy any piece landing there for 4 turns`;
-          result.visualEffect = 'cursed_square';
-          result.soundEffect = 'arcana:cursed_square';
-          result.highlightSquares = [params.targetSquare];
-          result.highlightColor = '#9b59b6';
-        } else {
-          result.message = 'Cursed Square requires selecting a square';
-        }
-        break;
-
       case 'chaos_theory': {
         // Shuffle 3 random pieces on each side
         const board = chess.board();
@@ -1254,15 +971,6 @@ export function simulateArcanaEffect(chess, arcanaId, params = {}, colorChar = '
         }
         break;
 
-      case 'en_passant_master':
-        gameState.activeEffects.enPassantMaster = gameState.activeEffects.enPassantMaster || { w: false, b: false };
-        gameState.activeEffects.enPassantMaster[colorChar] = true;
-        result.success = true;
-        result.message = 'En Passant Master: Pawns can en passant any adjacent enemy pawn';
-        result.visualEffect = 'en_passant_master';
-        result.soundEffect = 'arcana:en_passant_master';
-        break;
-
       default:
         result.message = `Card ${arcanaId} not implemented in simulation`;
         break;
@@ -716,10 +716,21 @@ function normalizeRuntimeCardId(cardId = '') {
   return cardId;
 }
 
+// Cards saved from Arcana Studio while the game is running (see `studioCardUpdated`); they win
+// over the bundled overrides until the next reload picks up the rewritten modules.
+const liveStudioCardOverrides = {};
+
 function getProjectOverrideCardMap() {
-  return STUDIO_CARD_OVERRIDES && typeof STUDIO_CARD_OVERRIDES === 'object'
+  const bundled = STUDIO_CARD_OVERRIDES && typeof STUDIO_CARD_OVERRIDES === 'object'
     ? STUDIO_CARD_OVERRIDES
     : {};
+  return { ...bundled, ...liveStudioCardOverrides };
+}
+
+export function applyLiveStudioCard(card) {
+  if (!isStudioCardOverride(card) || !card.id) return false;
+  liveStudioCardOverrides[normalizeRuntimeCardId(card.id)] = card;
+  return true;
 }
 
 function isStudioCardOverride(value) {
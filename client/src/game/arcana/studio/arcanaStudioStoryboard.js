@@ -0,0 +1,327 @@
+import { sampleCameraTrack, sampleObjectTrack, sampleParticleTrack } from './arcanaStudioPlayback.js';
+import {
+  getArcanaStudioCardDuration,
+  getScreenOverlaySamples,
+  normalizeArcanaStudioEventActions,
+  resolveRuntimeSquare,
+  resolveSoundPreviewUrl,
+} from './arcanaStudioRuntime.js';
+
+/**
+ * Offline storyboard of a Studio cutscene: the same samplers the runtime host uses, evaluated at a
+ * fixed FPS with no renderer. Output is plain data (and SVG strings) so it can be diffed in review
+ * and snapshot-tested. Positions are board space, matching ArcanaStudioRuntimeHost.
+ */
+
+const PIECE_HEIGHT = 0.15;
+const DEFAULT_WORLD_ANCHOR = [0, PIECE_HEIGHT, 0];
+const SQUARE_PX = 40;
+const BOARD_PX = SQUARE_PX * 8;
+const SCREEN_W = 192;
+const SCREEN_H = 108;
+
+function round(value) {
+  if (Array.isArray(value)) return value.map(round);
+  return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 1000) / 1000 : value;
+}
+
+function addVec3(...vectors) {
+  return vectors.reduce((acc, vector) => ([
+    acc[0] + (vector?.[0] || 0),
+    acc[1] + (vector?.[1] || 0),
+    acc[2] + (vector?.[2] || 0),
+  ]), [0, 0, 0]);
+}
+
+function squareToBoardPosition(square) {
+  if (!/^[a-h][1-8]$/.test(square || '')) return DEFAULT_WORLD_ANCHOR;
+  return [square.charCodeAt(0) - 97 - 3.5, PIECE_HEIGHT, 8 - Number(square[1]) - 3.5];
+}
+
+function resolveTrackSquare(track, eventParams) {
+  const explicit = typeof track?.pieceSquare === 'string' ? track.pieceSquare.trim() : '';
+  if (explicit === 'target' || explicit === 'source') {
+    return resolveRuntimeSquare(explicit, eventParams, explicit);
+  }
+  const targetSquare = eventParams?.targetSquare || eventParams?.square || '';
+  if (track?.type === 'piece' && targetSquare) {
+    return resolveRuntimeSquare('target', eventParams, targetSquare);
+  }
+  return resolveRuntimeSquare(explicit, eventParams, explicit);
+}
+
+function resolveCameraAnchor(eventParams) {
+  const mode = String(eventParams?.cameraAnchorMode || 'auto').toLowerCase();
+  if (mode === 'board' || mode === 'center') return null;
+  const square = resolveRuntimeSquare(
+    eventParams?.cameraAnchorSquare || eventParams?.focusSquare || eventParams?.targetSquare || eventParams?.square,
+    eventParams,
+    null,
+  );
+  if (!square) return mode === 'piece' ? DEFAULT_WORLD_ANCHOR : null;
+  return squareToBoardPosition(square);
+}
+
+function sampleObjects(card, eventParams, timeMs) {
+  const tracks = card?.tracks?.objects || [];
+  const byId = new Map(tracks.map((track) => [track.id, track]));
+  const resolved = new Map();
+  const visiting = new Set();
+
+  const resolve = (track) => {
+    if (resolved.has(track.id)) return resolved.get(track.id);
+    if (visiting.has(track.id)) return { worldPosition: DEFAULT_WORLD_ANCHOR };
+    visiting.add(track.id);
+
+    const sampled = sampleObjectTrack(track, timeMs);
+    const square = resolveTrackSquare(track, eventParams);
+    let anchor = DEFAULT_WORLD_ANCHOR;
+    if ((track.attach?.mode || 'follow') !== 'world-space') {
+      const parent = byId.get(track.attach?.targetId);
+      anchor = parent ? resolve(parent).worldPosition : squareToBoardPosition(square);
+    }
+    const entry = {
+      id: track.id,
+      name: track.name || track.id,
+      type: track.type || 'piece',
+      square: square || null,
+      worldPosition: addVec3(anchor, track.attach?.offset, sampled.position),
+      rotation: sampled.rotation,
+      scale: sampled.scale,
+    };
+    visiting.delete(track.id);
+    resolved.set(track.id, entry);
+    return entry;
+  };
+
+  return tracks.map(resolve);
+}
+
+function sampleParticles(card, eventParams, objects, timeMs) {
+  const objectById = new Map(objects.map((object) => [object.id, object]));
+  const fallbackAnchor = squareToBoardPosition(resolveRuntimeSquare('target', eventParams, null));
+  return (card?.tracks?.particles || []).map((track) => {
+    const sample = sampleParticleTrack(track, timeMs);
+    const anchor = objectById.get(track.attach?.targetId)?.worldPosition || fallbackAnchor;
+    return {
+      id: track.id,
+      name: track.name || track.id,
+      active: sample.active,
+      seed: sample.seed,
+      renderStyle: sample.params.renderStyle || 'orb',
+      position: addVec3(anchor, track.attach?.offset),
+      emissionRate: sample.params.emissionRate,
+      burstCount: sample.params.burstCount,
+      spawnRadius: sample.params.spawnRadius,
+      color: Array.isArray(sample.params.colorOverLife) ? sample.params.colorOverLife[0] : null,
+    };
+  });
+}
+
+function describeAction(action) {
+  switch (action.kind) {
+    case 'sound': return `sound:${action.soundId}`;
+    case 'camera': return `camera:${action.square}`;
+    case 'overlay': return `overlay:${action.effect}`;
+    case 'vfx': return `vfx:${action.arcanaId}${action.params?.square ? `@${action.params.square}` : ''}`;
+    case 'highlight': return `highlight:${action.squares.join(',')}`;
+    default: return action.kind;
+  }
+}
+
+/**
+ * Sounds and events in firing order. Event times include `delayMs`; actions are resolved against
+ * the event params exactly as scheduleArcanaStudioEvents does.
+ */
+export function buildArcanaStudioTimingSheet(card, eventParams = {}) {
+  const sounds = [];
+  (card?.tracks?.sounds || []).forEach((track) => {
+    (track.keys || []).forEach((key) => {
+      sounds.push({
+        timeMs: Number(key.timeMs) || 0,
+        track: track.name || track.id,
+        keyId: key.id,
+        soundId: key.soundId || '',
+        url: resolveSoundPreviewUrl(key.soundId || ''),
+        volume: key.volume ?? 1,
+        pitch: key.pitch ?? 1,
+        loop: Boolean(key.loop),
+      });
+    });
+  });
+
+  const events = [];
+  (card?.tracks?.events || []).forEach((track) => {
+    (track.keys || []).forEach((key) => {
+      const actions = normalizeArcanaStudioEventActions({ ...key, payload: { ...(key.payload || {}), eventParams } });
+      events.push({
+        timeMs: (Number(key.timeMs) || 0) + (Number(key.delayMs) || 0),
+        track: track.name || track.id,
+        keyId: key.id,
+        type: key.type,
+        actions: actions.map(describeAction),
+      });
+    });
+  });
+
+  const byTime = (a, b) => a.timeMs - b.timeMs;
+  return { sounds: sounds.sort(byTime), events: events.sort(byTime) };
+}
+
+/**
+ * Samples a card frame by frame.
+ * @param {Object} card - Studio card
+ * @param {Object} [options]
+ * @param {Object} [options.eventParams] - Game params (targetSquare, dashPath, displaced, ...)
+ * @param {number} [options.fps=12]
+ * @returns {{ cardId: string, fps: number, durationMs: number, eventParams: Object, frames: Object[], timing: Object }}
+ */
+export function renderArcanaStudioStoryboard(card, { eventParams = {}, fps = 12 } = {}) {
+  const rate = Math.max(1, Math.min(120, Number(fps) || 12));
+  const params = { cardId: card?.id, ...eventParams };
+  const durationMs = getArcanaStudioCardDuration(card);
+  // The last frame lands on durationMs so every cue falls inside some frame.
+  const frameCount = Math.ceil((durationMs * rate) / 1000) + 1;
+  const cameraTrack = (card?.tracks?.camera || []).find((track) => (track?.keys || []).length > 0) || null;
+  const cameraAnchor = resolveCameraAnchor(params);
+  const timing = buildArcanaStudioTimingSheet(card, params);
+
+  const frames = [];
+  for (let index = 0; index < frameCount; index += 1) {
+    const timeMs = Math.min(durationMs, Math.round((index * 1000) / rate));
+    const previousMs = index === 0 ? -1 : frames[index - 1].timeMs;
+    const firedIn = (entry) => entry.timeMs > previousMs && entry.timeMs <= timeMs;
+
+    let camera = null;
+    if (cameraTrack) {
+      const sample = sampleCameraTrack(cameraTrack, timeMs);
+      camera = {
+        position: round(cameraAnchor ? addVec3(sample.position, cameraAnchor) : sample.position),
+        target: round(cameraAnchor ? addVec3(sample.target, cameraAnchor) : sample.target),
+        fov: round(sample.fov),
+      };
+    }
+
+    const objects = sampleObjects(card, params, timeMs);
+    const particles = sampleParticles(card, params, objects, timeMs);
+    frames.push({
+      index,
+      timeMs,
+      camera,
+      objects: objects.map((object) => ({
+        ...object,
+        worldPosition: round(object.worldPosition),
+        rotation: round(object.rotation),
+        scale: round(object.scale),
+      })),
+      particles: particles.map((particle) => ({
+        ...particle,
+        position: round(particle.position),
+        emissionRate: round(particle.emissionRate),
+        spawnRadius: round(particle.spawnRadius),
+      })),
+      overlays: getScreenOverlaySamples(card, timeMs).map(({ track, sample }) => ({
+        id: track.id,
+        name: track.name || track.id,
+        type: track.type || 'text',
+        x: round(sample.x),
+        y: round(sample.y),
+        opacity: round(sample.opacity),
+        scale: round(sample.scale),
+        rotation: round(sample.rotation),
+        text: sample.text || '',
+      })),
+      sounds: timing.sounds.filter(firedIn).map((sound) => sound.soundId),
+      events: timing.events.filter(firedIn).map((event) => (event.actions.length ? event.actions.join(' | ') : event.type)),
+    });
+  }
+
+  return { cardId: card?.id || null, fps: rate, durationMs, eventParams: params, frames, timing };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"]/g, (char) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+}
+
+function boardPx([x, , z]) {
+  return [round((x + 4) * SQUARE_PX), round((z + 4) * SQUARE_PX)];
+}
+
+/**
+ * Top-down SVG of one storyboard frame: board with camera, objects and particles, a screen panel
+ * for overlays, and the cues that fired since the previous frame.
+ */
+export function renderStoryboardFrameSvg(storyboard, frame) {
+  const margin = 16;
+  const width = margin * 3 + BOARD_PX + SCREEN_W;
+  const height = margin * 2 + 24 + BOARD_PX;
+  const top = margin + 24;
+  const parts = [];
+
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="monospace" font-size="11">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#0b1420"/>`);
+  parts.push(`<text x="${margin}" y="${margin + 8}" fill="#d7eeff" font-size="13">${escapeXml(storyboard.cardId)} · frame ${frame.index} · ${frame.timeMs}ms / ${storyboard.durationMs}ms</text>`);
+
+  parts.push(`<g transform="translate(${margin} ${top})">`);
+  for (let rank = 0; rank < 8; rank += 1) {
+    for (let file = 0; file < 8; file += 1) {
+      const fill = (rank + file) % 2 === 0 ? '#c9b48a' : '#7a5c3a';
+      parts.push(`<rect x="${file * SQUARE_PX}" y="${rank * SQUARE_PX}" width="${SQUARE_PX}" height="${SQUARE_PX}" fill="${fill}"/>`);
+    }
+  }
+  frame.particles.filter((particle) => particle.active).forEach((particle) => {
+    const [cx, cy] = boardPx(particle.position);
+    const r = round(Math.max(4, (particle.spawnRadius || 0.35) * SQUARE_PX));
+    parts.push(`<circle cx="${cx}" cy="${cy}" r="${r}" fill="${escapeXml(particle.color || '#88ccff')}" fill-opacity="0.35" stroke="#ffffff" stroke-dasharray="3 2"><title>${escapeXml(`${particle.name} (${particle.renderStyle})`)}</title></circle>`);
+  });
+  frame.objects.forEach((object) => {
+    const [cx, cy] = boardPx(object.worldPosition);
+    const r = round(Math.max(4, 12 * Math.abs(object.scale?.[0] ?? 1)));
+    parts.push(`<circle cx="${cx}" cy="${cy}" r="${r}" fill="#1d3b5c" stroke="#8bceff" stroke-width="2"/>`);
+    parts.push(`<text x="${cx}" y="${round(cy - r - 3)}" fill="#ffffff" text-anchor="middle">${escapeXml(object.name)} y=${object.worldPosition[1]}</text>`);
+  });
+  if (frame.camera) {
+    const [px, py] = boardPx(frame.camera.position);
+    const [tx, ty] = boardPx(frame.camera.target);
+    parts.push(`<line x1="${px}" y1="${py}" x2="${tx}" y2="${ty}" stroke="#f6d367" stroke-width="2"/>`);
+    parts.push(`<circle cx="${tx}" cy="${ty}" r="4" fill="#f6d367"/>`);
+    parts.push(`<rect x="${round(px - 6)}" y="${round(py - 6)}" width="12" height="12" fill="#67d3ff"/>`);
+    parts.push(`<text x="${round(px + 9)}" y="${round(py + 4)}" fill="#67d3ff">cam y=${frame.camera.position[1]} fov=${frame.camera.fov}</text>`);
+  }
+  parts.push('</g>');
+
+  const screenX = margin * 2 + BOARD_PX;
+  parts.push(`<g transform="translate(${screenX} ${top})">`);
+  parts.push(`<rect width="${SCREEN_W}" height="${SCREEN_H}" fill="#000000" stroke="#3f6286"/>`);
+  frame.overlays.forEach((overlay) => {
+    const x = round((overlay.x / 100) * SCREEN_W);
+    const y = round((overlay.y / 100) * SCREEN_H);
+    parts.push(`<text x="${x}" y="${y}" fill="#ffffff" fill-opacity="${overlay.opacity}" text-anchor="middle" transform="rotate(${overlay.rotation} ${x} ${y})">${escapeXml(overlay.text || overlay.name)}</text>`);
+  });
+  const cues = [...frame.sounds.map((soundId) => `♪ ${soundId}`), ...frame.events.map((event) => `▶ ${event}`)];
+  cues.forEach((cue, idx) => {
+    parts.push(`<text x="0" y="${SCREEN_H + 20 + idx * 14}" fill="#f3d27c">${escapeXml(cue)}</text>`);
+  });
+  parts.push('</g>');
+  parts.push('</svg>');
+  return `${parts.join('\n')}\n`;
+}
+
+/** Markdown timing sheet: one row per sound and event, in firing order. */
+export function formatArcanaStudioTimingSheet(storyboard) {
+  const rows = [
+    ...storyboard.timing.sounds.map((sound) => ({ timeMs: sound.timeMs, kind: 'sound', track: sound.track, what: sound.soundId, detail: `vol ${sound.volume} · pitch ${sound.pitch}${sound.loop ? ' · loop' : ''}` })),
+    ...storyboard.timing.events.map((event) => ({ timeMs: event.timeMs, kind: 'event', track: event.track, what: event.type, detail: event.actions.join(', ') || '(no action)' })),
+  ].sort((a, b) => a.timeMs - b.timeMs);
+
+  return [
+    `# ${storyboard.cardId} timing`,
+    '',
+    `${storyboard.durationMs}ms · ${storyboard.frames.length} frames at ${storyboard.fps} fps`,
+    '',
+    '| ms | kind | track | cue | detail |',
+    '| ---: | --- | --- | --- | --- |',
+    ...rows.map((row) => `| ${row.timeMs} | ${row.kind} | ${row.track} | ${row.what} | ${row.detail} |`),
+    '',
+  ].join('\n');
+}
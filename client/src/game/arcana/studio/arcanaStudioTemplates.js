@@ -0,0 +1,205 @@
+/**
+ * Studio templates: a named selection of tracks cut out of one card so it can be dropped into
+ * another. Key times are rebased to start at 0; square aliases the tracks refer to (`target`,
+ * `dash1`, literal squares...) are listed as `slots` and can be retargeted on insert.
+ *
+ *   { version, id, name, description, source: { cardId, trackIds }, durationMs, slots, tracks }
+ */
+
+export const ARCANA_STUDIO_TEMPLATE_VERSION = 1;
+
+const TRACK_KINDS = ['camera', 'objects', 'particles', 'overlays', 'sounds', 'events'];
+const EVENT_SQUARE_FIELDS = ['square', 'targetSquare', 'anchor'];
+const EVENT_SQUARE_LIST_FIELDS = ['squares', 'targets'];
+
+function uid(prefix = 'id') {
+  return `${prefix}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function keyEndMs(key) {
+  return (Number(key?.timeMs) || 0) + (Number(key?.delayMs) || 0);
+}
+
+function forEachKey(tracks, fn) {
+  TRACK_KINDS.forEach((kind) => (tracks[kind] || []).forEach((track) => (track.keys || []).forEach((key) => fn(key, kind, track))));
+}
+
+function mapSquare(value, retarget) {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(retarget, value) ? retarget[value] : value;
+}
+
+function retargetTracks(tracks, retarget) {
+  (tracks.objects || []).forEach((track) => {
+    if (track.pieceSquare) track.pieceSquare = mapSquare(track.pieceSquare, retarget);
+  });
+  (tracks.events || []).forEach((track) => (track.keys || []).forEach((key) => {
+    const payload = key.payload || {};
+    EVENT_SQUARE_FIELDS.forEach((field) => {
+      if (payload[field]) payload[field] = mapSquare(payload[field], retarget);
+    });
+    EVENT_SQUARE_LIST_FIELDS.forEach((field) => {
+      if (Array.isArray(payload[field])) payload[field] = payload[field].map((square) => mapSquare(square, retarget));
+    });
+  }));
+  return tracks;
+}
+
+/** Square aliases used by a set of tracks, in first-seen order. */
+export function listStudioTemplateSlots(tracks = {}) {
+  const slots = new Set();
+  const add = (value) => {
+    if (typeof value === 'string' && value.trim()) slots.add(value.trim());
+  };
+  (tracks.objects || []).forEach((track) => add(track.pieceSquare));
+  (tracks.events || []).forEach((track) => (track.keys || []).forEach((key) => {
+    EVENT_SQUARE_FIELDS.forEach((field) => add(key.payload?.[field]));
+    EVENT_SQUARE_LIST_FIELDS.forEach((field) => (Array.isArray(key.payload?.[field]) ? key.payload[field] : []).forEach(add));
+  }));
+  return [...slots];
+}
+
+/**
+ * Cuts tracks out of a card into a template.
+ * @param {Object} card - Studio card
+ * @param {Object} options
+ * @param {string} options.id - Template id
+ * @param {string} [options.name]
+ * @param {string} [options.description]
+ * @param {string[]} [options.trackIds] - Tracks to take, by id
+ * @param {string[]} [options.kinds] - Or whole track kinds ('camera', 'sounds', ...)
+ * @param {Object<string, string>} [options.squares] - Turns squares into aliases, e.g. `{ e4: 'target' }`
+ * @returns {Object} Template
+ */
+export function createArcanaStudioTemplate(card, { id, name, description = '', trackIds = [], kinds = [], squares = {} } = {}) {
+  const templateId = String(id || '').trim();
+  if (!/^[a-z0-9_]+$/.test(templateId)) {
+    throw new Error('Template ids use lowercase letters, digits and underscores only');
+  }
+
+  const wanted = new Set(trackIds);
+  const tracks = {};
+  TRACK_KINDS.forEach((kind) => {
+    const picked = (card?.tracks?.[kind] || []).filter((track) => kinds.includes(kind) || wanted.has(track.id));
+    if (picked.length) tracks[kind] = clone(picked);
+  });
+  const takenIds = TRACK_KINDS.flatMap((kind) => (tracks[kind] || []).map((track) => track.id));
+  if (takenIds.length === 0) {
+    throw new Error(`No tracks of ${card?.id || 'the card'} were selected`);
+  }
+
+  // References to tracks left behind would dangle in another card.
+  const taken = new Set(takenIds);
+  TRACK_KINDS.forEach((kind) => (tracks[kind] || []).forEach((track) => {
+    if (track.attach?.targetId && !taken.has(track.attach.targetId)) track.attach.targetId = null;
+    if (track.attach?.parentId && !taken.has(track.attach.parentId)) track.attach.parentId = null;
+    if (track.parentId && !taken.has(track.parentId)) track.parentId = null;
+  }));
+
+  let startMs = Infinity;
+  forEachKey(tracks, (key) => { startMs = Math.min(startMs, Number(key.timeMs) || 0); });
+  if (!Number.isFinite(startMs)) startMs = 0;
+  let durationMs = 0;
+  forEachKey(tracks, (key) => {
+    key.timeMs = (Number(key.timeMs) || 0) - startMs;
+    durationMs = Math.max(durationMs, keyEndMs(key));
+  });
+
+  retargetTracks(tracks, squares);
+  return {
+    version: ARCANA_STUDIO_TEMPLATE_VERSION,
+    id: templateId,
+    name: name || templateId.replace(/_/g, ' '),
+    description,
+    source: { cardId: card?.id || null, trackIds: takenIds },
+    durationMs,
+    slots: listStudioTemplateSlots(tracks),
+    tracks,
+  };
+}
+
+function withFreshIds(tracks) {
+  const idMap = new Map();
+  const prefixOf = (value, fallback) => String(value || '').split('_')[0] || fallback;
+  TRACK_KINDS.forEach((kind) => (tracks[kind] || []).forEach((track) => {
+    const nextId = uid(prefixOf(track.id, kind));
+    idMap.set(track.id, nextId);
+    track.id = nextId;
+    (track.keys || []).forEach((key) => {
+      key.id = uid(prefixOf(key.id, 'key'));
+    });
+  }));
+  TRACK_KINDS.forEach((kind) => (tracks[kind] || []).forEach((track) => {
+    if (track.attach?.targetId) track.attach.targetId = idMap.get(track.attach.targetId) || null;
+    if (track.attach?.parentId) track.attach.parentId = idMap.get(track.attach.parentId) || null;
+    if (track.parentId) track.parentId = idMap.get(track.parentId) || null;
+  }));
+  return tracks;
+}
+
+// Incoming keys take over their time span so two camera moves never interleave.
+function mergeKeys(existing = [], incoming = []) {
+  if (!incoming.length) return existing;
+  const times = incoming.map((key) => key.timeMs);
+  const fromMs = Math.min(...times);
+  const toMs = Math.max(...times);
+  return [...existing.filter((key) => key.timeMs < fromMs || key.timeMs > toMs), ...incoming].sort((a, b) => a.timeMs - b.timeMs);
+}
+
+/**
+ * Inserts a template into a card. Camera keys replace the keys of the card's first camera track (the
+ * only one the runtime plays) over the template's span, and a piece track does the same to the card's
+ * piece track on the same square; everything else is added as new tracks with fresh ids.
+ * @param {Object} card - Studio card (not modified)
+ * @param {Object} template
+ * @param {Object} [options]
+ * @param {number} [options.offsetMs=0] - Card time the template starts at
+ * @param {Object<string, string>} [options.retarget] - Slot -> square alias, e.g. `{ target: 'dash1' }`
+ * @returns {{ card: Object, inserted: Object<string, number> }} The new card and tracks added or merged per kind
+ */
+export function insertArcanaStudioTemplate(card, template, { offsetMs = 0, retarget = {} } = {}) {
+  if (template?.version !== ARCANA_STUDIO_TEMPLATE_VERSION || !template.tracks) {
+    throw new Error(`Not a Studio template: ${template?.id || 'unknown'}`);
+  }
+  const offset = Math.max(0, Math.floor(Number(offsetMs) || 0));
+  const tracks = retargetTracks(withFreshIds(clone(template.tracks)), retarget);
+  forEachKey(tracks, (key) => { key.timeMs = (Number(key.timeMs) || 0) + offset; });
+
+  const next = clone(card);
+  next.tracks = { ...(next.tracks || {}) };
+  const inserted = {};
+  let endMs = 0;
+  forEachKey(tracks, (key) => { endMs = Math.max(endMs, keyEndMs(key)); });
+
+  TRACK_KINDS.forEach((kind) => {
+    const incoming = tracks[kind] || [];
+    if (!incoming.length) return;
+    const target = [...(next.tracks[kind] || [])];
+    incoming.forEach((track) => {
+      const mergeIndex = kind === 'camera'
+        ? (target.length ? 0 : -1)
+        : kind === 'objects' && track.type === 'piece'
+          ? target.findIndex((candidate) => candidate.type === 'piece' && candidate.pieceSquare === track.pieceSquare)
+          : -1;
+      if (mergeIndex >= 0) {
+        target[mergeIndex] = { ...target[mergeIndex], keys: mergeKeys(target[mergeIndex].keys, track.keys) };
+      } else {
+        target.push(track);
+      }
+    });
+    next.tracks[kind] = target;
+    inserted[kind] = incoming.length;
+  });
+
+  next.durationMs = Math.max(Number(next.durationMs) || 0, endMs);
+  return { card: next, inserted };
+}
+
+/** Copies tracks of one card into another: a template made and inserted in one step. */
+export function copyArcanaStudioTracks(fromCard, toCard, trackIds, options = {}) {
+  const template = createArcanaStudioTemplate(fromCard, { id: 'copied_tracks', trackIds });
+  return insertArcanaStudioTemplate(toCard, template, options);
+}
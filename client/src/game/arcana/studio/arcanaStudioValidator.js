@@ -0,0 +1,276 @@
+import { ARCANA_STUDIO_CARD_VERSION } from './arcanaStudioSchema.js';
+import { normalizeArcanaStudioEventActions, resolveRuntimeSquare, resolveSoundPreviewUrl } from './arcanaStudioRuntime.js';
+
+/**
+ * Strict checks for Studio cards. migrateArcanaStudioCard repairs whatever it is given, so this
+ * runs on the raw card and reports what migration (or the runtime) would quietly change or drop.
+ * Every issue carries a JSON path into the card, e.g. `tracks.camera[0].keys[2].fov`.
+ */
+
+const TRACK_KINDS = ['camera', 'objects', 'particles', 'overlays', 'sounds', 'events'];
+const RENDER_STYLES = ['orb', 'spark', 'shard', 'streak', 'smoke'];
+const EASINGS = ['linear', 'instant', 'easeInQuad', 'easeOutQuad', 'easeInOutQuad', 'easeInCubic', 'easeOutCubic', 'easeInOutCubic', 'customBezier'];
+const FOV_RANGE = [5, 140];
+const VOLUME_RANGE = [0, 2];
+const PITCH_RANGE = [0.25, 4];
+const EVENT_SQUARE_FIELDS = ['square', 'targetSquare', 'anchor'];
+
+// Stand-in game parameters: enough for every alias the runtime knows to resolve.
+const PROBE_SQUARES = ['a1', 'b2', 'c3', 'd4', 'e5', 'f6', 'g7', 'h8'];
+const PROBE_EVENT_PARAMS = {
+  targetSquare: 'e4',
+  dashPath: PROBE_SQUARES,
+  displaced: PROBE_SQUARES.map((to) => ({ to })),
+};
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createReport() {
+  const errors = [];
+  const warnings = [];
+  return {
+    errors,
+    warnings,
+    error: (path, message) => errors.push({ path, message }),
+    warn: (path, message) => warnings.push({ path, message }),
+  };
+}
+
+function checkVec3(report, value, path) {
+  if (value === undefined) return;
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(isFiniteNumber)) {
+    report.error(path, 'must be an array of 3 finite numbers');
+  }
+}
+
+function checkRange(report, value, [min, max], path) {
+  if (value === undefined) return;
+  if (!isFiniteNumber(value)) report.error(path, 'must be a finite number');
+  else if (value < min || value > max) report.error(path, `${value} is outside ${min}–${max}`);
+}
+
+function checkEasing(report, key, path) {
+  if (key.easing === undefined) return;
+  if (!EASINGS.includes(key.easing)) report.warn(`${path}.easing`, `unknown easing "${key.easing}" plays as linear`);
+  if (key.easing === 'customBezier' && (!Array.isArray(key.bezier) || key.bezier.length !== 4 || !key.bezier.every(isFiniteNumber))) {
+    report.error(`${path}.bezier`, 'customBezier needs 4 finite control values');
+  }
+}
+
+function checkSquareAlias(report, alias, path) {
+  if (alias === undefined || alias === null || alias === '') return;
+  if (typeof alias !== 'string' || !resolveRuntimeSquare(alias, PROBE_EVENT_PARAMS, null)) {
+    report.error(path, `square alias "${alias}" does not resolve (use a1–h8, center, target, dashN or displacedN)`);
+  }
+}
+
+function checkKeyTiming(report, key, path, durationMs) {
+  if (!isFiniteNumber(key?.timeMs) || key.timeMs < 0) {
+    report.error(`${path}.timeMs`, 'must be a non-negative number of milliseconds');
+    return;
+  }
+  const endMs = key.timeMs + (isFiniteNumber(key.delayMs) ? key.delayMs : 0);
+  if (isFiniteNumber(durationMs) && endMs > durationMs) {
+    const field = key.timeMs > durationMs ? 'timeMs' : 'delayMs';
+    report.error(`${path}.${field}`, `key at ${endMs}ms is past durationMs (${durationMs}ms)`);
+  }
+}
+
+function checkCameraTracks(report, tracks, durationMs) {
+  const spans = [];
+  tracks.forEach((track, trackIdx) => {
+    const trackPath = `tracks.camera[${trackIdx}]`;
+    const keys = Array.isArray(track?.keys) ? track.keys : [];
+    const seenTimes = new Map();
+    keys.forEach((key, keyIdx) => {
+      const path = `${trackPath}.keys[${keyIdx}]`;
+      checkKeyTiming(report, key, path, durationMs);
+      checkVec3(report, key?.position, `${path}.position`);
+      checkVec3(report, key?.target, `${path}.target`);
+      checkVec3(report, key?.rotation, `${path}.rotation`);
+      checkRange(report, key?.fov, FOV_RANGE, `${path}.fov`);
+      checkEasing(report, key || {}, path);
+      if (isFiniteNumber(key?.timeMs)) {
+        if (seenTimes.has(key.timeMs)) {
+          report.error(`${path}.timeMs`, `overlaps keys[${seenTimes.get(key.timeMs)}] at ${key.timeMs}ms; only one of them survives`);
+        } else {
+          seenTimes.set(key.timeMs, keyIdx);
+        }
+      }
+    });
+    const times = [...seenTimes.keys()];
+    if (times.length && track?.active !== false) {
+      spans.push({ trackIdx, fromMs: Math.min(...times), toMs: Math.max(...times) });
+    }
+  });
+
+  spans.forEach((span, idx) => {
+    spans.slice(0, idx).forEach((other) => {
+      if (span.fromMs <= other.toMs && other.fromMs <= span.toMs) {
+        report.warn(`tracks.camera[${span.trackIdx}]`, `keys overlap tracks.camera[${other.trackIdx}] (${Math.max(span.fromMs, other.fromMs)}–${Math.min(span.toMs, other.toMs)}ms); only the first active camera plays`);
+      }
+    });
+  });
+}
+
+function checkObjectTracks(report, tracks, durationMs) {
+  tracks.forEach((track, trackIdx) => {
+    const trackPath = `tracks.objects[${trackIdx}]`;
+    checkSquareAlias(report, track?.pieceSquare, `${trackPath}.pieceSquare`);
+    checkVec3(report, track?.attach?.offset, `${trackPath}.attach.offset`);
+    (Array.isArray(track?.keys) ? track.keys : []).forEach((key, keyIdx) => {
+      const path = `${trackPath}.keys[${keyIdx}]`;
+      checkKeyTiming(report, key, path, durationMs);
+      checkVec3(report, key?.position, `${path}.position`);
+      checkVec3(report, key?.rotation, `${path}.rotation`);
+      checkVec3(report, key?.scale, `${path}.scale`);
+      checkEasing(report, key || {}, path);
+    });
+  });
+}
+
+function checkParticleTracks(report, tracks, durationMs) {
+  tracks.forEach((track, trackIdx) => {
+    const trackPath = `tracks.particles[${trackIdx}]`;
+    const style = track?.params?.renderStyle;
+    if (style !== undefined && !RENDER_STYLES.includes(style)) {
+      report.error(`${trackPath}.params.renderStyle`, `unknown render style "${style}" (${RENDER_STYLES.join(', ')})`);
+    }
+    checkVec3(report, track?.params?.gravity, `${trackPath}.params.gravity`);
+    checkVec3(report, track?.attach?.offset, `${trackPath}.attach.offset`);
+    const { lifetimeMin, lifetimeMax, velocityMin, velocityMax } = track?.params || {};
+    if (isFiniteNumber(lifetimeMin) && isFiniteNumber(lifetimeMax) && lifetimeMin > lifetimeMax) {
+      report.warn(`${trackPath}.params.lifetimeMin`, 'is larger than lifetimeMax');
+    }
+    if (isFiniteNumber(velocityMin) && isFiniteNumber(velocityMax) && velocityMin > velocityMax) {
+      report.warn(`${trackPath}.params.velocityMin`, 'is larger than velocityMax');
+    }
+    (Array.isArray(track?.keys) ? track.keys : []).forEach((key, keyIdx) => {
+      checkKeyTiming(report, key, `${trackPath}.keys[${keyIdx}]`, durationMs);
+    });
+  });
+}
+
+function checkOverlayTracks(report, tracks, durationMs) {
+  tracks.forEach((track, trackIdx) => {
+    (Array.isArray(track?.keys) ? track.keys : []).forEach((key, keyIdx) => {
+      const path = `tracks.overlays[${trackIdx}].keys[${keyIdx}]`;
+      checkKeyTiming(report, key, path, durationMs);
+      checkRange(report, key?.opacity, [0, 1], `${path}.opacity`);
+      checkEasing(report, key || {}, path);
+    });
+  });
+}
+
+function checkSoundId(report, soundId, path, soundExists) {
+  if (!soundId) {
+    report.error(path, 'is empty');
+    return;
+  }
+  const url = resolveSoundPreviewUrl(soundId);
+  if (soundExists && url.startsWith('/sounds/') && soundExists(url, soundId) === false) {
+    report.error(path, `"${soundId}" has no file at public${url}`);
+  }
+}
+
+function checkSoundTracks(report, tracks, durationMs, soundExists) {
+  tracks.forEach((track, trackIdx) => {
+    const seen = new Map();
+    (Array.isArray(track?.keys) ? track.keys : []).forEach((key, keyIdx) => {
+      const path = `tracks.sounds[${trackIdx}].keys[${keyIdx}]`;
+      checkKeyTiming(report, key, path, durationMs);
+      checkSoundId(report, key?.soundId, `${path}.soundId`, soundExists);
+      checkRange(report, key?.volume, VOLUME_RANGE, `${path}.volume`);
+      checkRange(report, key?.pitch, PITCH_RANGE, `${path}.pitch`);
+      const token = `${key?.timeMs}|${key?.soundId}|${key?.volume ?? 1}|${key?.pitch ?? 1}|${Boolean(key?.loop)}`;
+      if (seen.has(token)) report.warn(path, `duplicates keys[${seen.get(token)}] and is dropped on load`);
+      else seen.set(token, keyIdx);
+    });
+  });
+}
+
+function checkEventTracks(report, tracks, durationMs, cardId, soundExists) {
+  tracks.forEach((track, trackIdx) => {
+    (Array.isArray(track?.keys) ? track.keys : []).forEach((key, keyIdx) => {
+      const path = `tracks.events[${trackIdx}].keys[${keyIdx}]`;
+      checkKeyTiming(report, key, path, durationMs);
+      const payload = isPlainObject(key?.payload) ? key.payload : {};
+      EVENT_SQUARE_FIELDS.forEach((field) => checkSquareAlias(report, payload[field], `${path}.payload.${field}`));
+
+      const actions = normalizeArcanaStudioEventActions({
+        ...key,
+        payload: { ...payload, eventParams: { ...PROBE_EVENT_PARAMS, cardId } },
+      });
+      if (actions.length === 0) {
+        report.error(`${path}.type`, `"${key?.type}" produces no runtime action${payload.soundId || payload.effect ? '' : ' (missing soundId/effect?)'}`);
+      }
+      new Set(actions.filter((action) => action.kind === 'sound').map((action) => action.soundId)).forEach((soundId) => {
+        checkSoundId(report, soundId, `${path}.payload.soundId`, soundExists);
+      });
+    });
+  });
+}
+
+/**
+ * Validates a raw Studio card (an export, or STUDIO_CARD_OVERRIDE from a card module).
+ * @param {Object} card
+ * @param {Object} [options]
+ * @param {(url: string, soundId: string) => boolean|undefined} [options.soundExists] - Whether
+ *   `public<url>` exists; `undefined` means unknown. Sound files are not checked without it.
+ * @returns {{ valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}> }}
+ */
+export function validateArcanaStudioCard(card, { soundExists = null } = {}) {
+  const report = createReport();
+  if (!isPlainObject(card)) {
+    report.error('$', 'card must be an object');
+    return { valid: false, errors: report.errors, warnings: report.warnings };
+  }
+
+  if (card.version !== ARCANA_STUDIO_CARD_VERSION) {
+    report.error('version', `expected ${ARCANA_STUDIO_CARD_VERSION}, got ${JSON.stringify(card.version)}`);
+  }
+  if (typeof card.id !== 'string' || !/^[a-z0-9_]+$/.test(card.id)) {
+    report.error('id', 'must use lowercase letters, digits and underscores');
+  }
+  const durationMs = card.durationMs;
+  if (!isFiniteNumber(durationMs) || durationMs <= 0) {
+    report.error('durationMs', 'must be a positive number of milliseconds');
+  }
+  checkSquareAlias(report, card.board?.focusSquare, 'board.focusSquare');
+
+  if (!isPlainObject(card.tracks)) {
+    report.error('tracks', 'must be an object of track lists');
+    return { valid: false, errors: report.errors, warnings: report.warnings };
+  }
+  Object.keys(card.tracks).forEach((kind) => {
+    if (!TRACK_KINDS.includes(kind)) report.warn(`tracks.${kind}`, 'unknown track kind is ignored');
+  });
+  const tracksOf = (kind) => {
+    const tracks = card.tracks[kind];
+    if (tracks === undefined) return [];
+    if (!Array.isArray(tracks)) {
+      report.error(`tracks.${kind}`, 'must be an array');
+      return [];
+    }
+    tracks.forEach((track, idx) => {
+      if (track?.keys !== undefined && !Array.isArray(track.keys)) report.error(`tracks.${kind}[${idx}].keys`, 'must be an array');
+    });
+    return tracks;
+  };
+
+  const duration = isFiniteNumber(durationMs) ? durationMs : null;
+  checkCameraTracks(report, tracksOf('camera'), duration);
+  checkObjectTracks(report, tracksOf('objects'), duration);
+  checkParticleTracks(report, tracksOf('particles'), duration);
+  checkOverlayTracks(report, tracksOf('overlays'), duration);
+  checkSoundTracks(report, tracksOf('sounds'), duration, soundExists);
+  checkEventTracks(report, tracksOf('events'), duration, card.id, soundExists);
+
+  return { valid: report.errors.length === 0, errors: report.errors, warnings: report.warnings };
+}
@@ -1,512 +1,15 @@
-// Helper to generate custom legal moves when arcana effects are active
-// These moves go beyond standard chess rules
-import { Chess } from 'chess.js';
-
-function cloneChessFromFen(sourceChess) {
-  if (!sourceChess || typeof sourceChess.fen !== 'function') return null;
-  const fen = sourceChess.fen();
-  const temp = new Chess();
-  try {
-    temp.load(fen);
-    return temp;
-  } catch {
-    // Mirror client-side safe FEN fallback used elsewhere to tolerate edge-rank pawns.
-    const parts = String(fen || '').split(' ');
-    if (!parts[0]) return null;
-    const ranks = parts[0].split('/');
-    if (ranks.length !== 8) return null;
-
-    const expandRank = (rank) => {
-      let out = '';
-      for (const ch of rank) {
-        if (/[1-8]/.test(ch)) out += '.'.repeat(parseInt(ch, 10));
-        else out += ch;
-      }
-      return out;
-    };
-
-    const compressRank = (expanded) => {
-      let out = '';
-      let empty = 0;
-      for (const ch of expanded) {
-        if (ch === '.') {
-          empty += 1;
-        } else {
-          if (empty > 0) {
-            out += String(empty);
-            empty = 0;
-          }
-          out += ch;
-        }
-      }
-      if (empty > 0) out += String(empty);
-      return out;
-    };
-
-    const top = expandRank(ranks[0]).replace(/p/g, 'n');
-    const bottom = expandRank(ranks[7]).replace(/P/g, 'N');
-    const patchedRanks = [...ranks];
-    patchedRanks[0] = compressRank(top);
-    patchedRanks[7] = compressRank(bottom);
-    const patchedFen = [patchedRanks.join('/'), ...parts.slice(1)].join(' ');
-    try {
-      temp.load(patchedFen);
-      return temp;
-    } catch {
-      return null;
-    }
-  }
-}
+// Move highlights for the board. Arcana moves (Spectral March, Phantom Step, Knight of Storms,
+// mind-controlled pieces, ...) come from the shared generator the server validates against.
+import { generateLegalMoves } from '../../../shared/arcana/moveGenerator.js';
 
 export function getArcanaEnhancedMoves(chess, square, gameState, myColor) {
-  const standardMoves = chess.moves({ square, verbose: true });
-  const piece = chess.get(square);
-  
-  if (!piece || !gameState?.activeEffects) {
-    return standardMoves;
+  if (!gameState?.activeEffects) {
+    return chess.moves({ square, verbose: true });
   }
 
-  const myColorCode = myColor === 'white' ? 'w' : 'b';
-  const controlledEntry = (gameState?.activeEffects?.mindControlled || []).find((entry) => entry?.square === square && (entry?.controller || entry?.controlledBy) === myColorCode) || null;
-  if (piece.color !== myColorCode && !controlledEntry) {
-    return standardMoves;
-  }
-
-  let customMoves = [...standardMoves];
-  const effects = gameState.activeEffects;
-
-  if (controlledEntry && piece.color !== myColorCode) {
-    const tempChess = cloneChessFromFen(chess);
-    if (!tempChess) return customMoves;
-    const moveColor = controlledEntry.originalColor || piece.color;
-    const fenParts = tempChess.fen().split(' ');
-    fenParts[1] = moveColor;
-    if (fenParts.length > 3) fenParts[3] = '-';
-    try {
-      tempChess.load(fenParts.join(' '));
-      customMoves = tempChess.moves({ square, verbose: true });
-    } catch {
-      customMoves = [];
-    }
-
-    const seenControlled = new Set();
-    return customMoves.filter((m) => {
-      const key = `${m.from}-${m.to}-${m.promotion || ''}`;
-      if (seenControlled.has(key)) return false;
-      seenControlled.add(key);
-      return true;
-    });
-  }
-
-  // SPECTRAL MARCH: Rook can pass through one friendly piece
-  if (effects.spectralMarch?.[myColorCode] && piece.type === 'r') {
-    const rookMoves = generateSpectralMarchMoves(chess, square, myColorCode);
-    customMoves.push(...rookMoves);
-  }
-
-  // PHANTOM STEP: Any piece can move like a knight
-  if (effects.phantomStep?.[myColorCode]) {
-    const knightMoves = generateKnightMoves(chess, square, myColorCode);
-    customMoves.push(...knightMoves);
-  }
-
-  // PAWN RUSH: All pawns can move 2 squares
-  if (effects.pawnRush?.[myColorCode] && piece.type === 'p') {
-    const pawnRushMoves = generatePawnRushMoves(chess, square, myColorCode);
-    customMoves.push(...pawnRushMoves);
-  }
-
-  // SHARPSHOOTER: Bishop ignores blockers on diagonals
-  if (effects.sharpshooter?.[myColorCode] && piece.type === 'b') {
-    const sharpshooterMoves = generateSharpshooterMoves(chess, square, myColorCode);
-    customMoves.push(...sharpshooterMoves);
-  }
-
-  // KNIGHT OF STORMS: Knight can move to any square within 2-square radius
-  if (effects.knightOfStorms?.[myColorCode] === square && piece.type === 'n') {
-    const stormMoves = generateKnightOfStormsMoves(chess, square, myColorCode);
-    customMoves.push(...stormMoves);
-  }
-
-  // TEMPORAL ECHO: Add move(s) that follow your previous move's direction/distance pattern.
-  if (effects.temporalEcho?.color === myColorCode && effects.temporalEcho?.pattern) {
-    const temporalMoves = generateTemporalEchoMoves(chess, square, piece, myColorCode, effects.temporalEcho.pattern);
-    customMoves.push(...temporalMoves);
-  }
-
-  // EN PASSANT MASTER: Pawns can capture adjacent enemy pawns (sideways/diagonal variant)
-  if (effects.enPassantMaster?.[myColorCode] && piece.type === 'p') {
-    const enPassantMasterMoves = generateEnPassantMasterMoves(chess, square, myColorCode);
-    customMoves.push(...enPassantMasterMoves);
-  }
-
-  // QUEEN'S GAMBIT: Handled differently (allows second move after first)
-  // No custom moves here, just tracked in state
-
-  const seen = new Set();
-  return customMoves.filter((m) => {
-    const key = `${m.from}-${m.to}-${m.promotion || ''}`;
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
+  return generateLegalMoves(chess.fen(), gameState.activeEffects, {
+    color: myColor === 'white' ? 'w' : 'b',
+    square,
+    pawnShields: gameState.pawnShields,
   });
 }
-
-function generateSpectralMarchMoves(chess, square, color) {
-  const moves = [];
-  const file = square.charCodeAt(0) - 97;
-  const rank = parseInt(square[1]);
-
-  // Check all four directions (up, down, left, right)
-  const directions = [
-    { df: 0, dr: 1 },  // up
-    { df: 0, dr: -1 }, // down
-    { df: 1, dr: 0 },  // right
-    { df: -1, dr: 0 }  // left
-  ];
-
-  for (const { df, dr } of directions) {
-    let friendlyPassed = false;
-    for (let distance = 1; distance < 8; distance++) {
-      const newFile = file + (df * distance);
-      const newRank = rank + (dr * distance);
-      
-      if (newFile < 0 || newFile > 7 || newRank < 1 || newRank > 8) break;
-      
-      const targetSquare = String.fromCharCode(97 + newFile) + newRank;
-      const targetPiece = chess.get(targetSquare);
-      
-      if (!targetPiece) {
-        moves.push({
-          from: square,
-          to: targetSquare,
-          piece: 'r',
-          color,
-          flags: 'n',
-          san: `R${targetSquare}`,
-        });
-      } else if (targetPiece.color === color) {
-        if (!friendlyPassed) {
-          friendlyPassed = true; // Can pass through one friendly
-          continue;
-        } else {
-          break; // Can't pass through second friendly
-        }
-      } else {
-        // Enemy piece - can capture
-        moves.push({
-          from: square,
-          to: targetSquare,
-          piece: 'r',
-          color,
-          captured: targetPiece.type,
-          flags: 'c',
-          san: `Rx${targetSquare}`,
-        });
-        break;
-      }
-    }
-  }
-
-  return moves;
-}
-
-function generateKnightMoves(chess, square, color) {
-  const moves = [];
-  const file = square.charCodeAt(0) - 97;
-  const rank = parseInt(square[1]);
-  const piece = chess.get(square);
-
-  const knightOffsets = [
-    { df: 2, dr: 1 }, { df: 2, dr: -1 },
-    { df: -2, dr: 1 }, { df: -2, dr: -1 },
-    { df: 1, dr: 2 }, { df: 1, dr: -2 },
-    { df: -1, dr: 2 }, { df: -1, dr: -2 }
-  ];
-
-  for (const { df, dr } of knightOffsets) {
-    const newFile = file + df;
-    const newRank = rank + dr;
-    
-    if (newFile < 0 || newFile > 7 || newRank < 1 || newRank > 8) continue;
-    
-    const targetSquare = String.fromCharCode(97 + newFile) + newRank;
-    const targetPiece = chess.get(targetSquare);
-    
-    if (!targetPiece) {
-      moves.push({
-        from: square,
-        to: targetSquare,
-        piece: piece.type,
-        color,
-        flags: 'n',
-        san: `${piece.type.toUpperCase()}${targetSquare}`,
-      });
-    } else if (targetPiece.color !== color) {
-      moves.push({
-        from: square,
-        to: targetSquare,
-        piece: piece.type,
-        color,
-        captured: targetPiece.type,
-        flags: 'c',
-        san: `${piece.type.toUpperCase()}x${targetSquare}`,
-      });
-    }
-  }
-
-  return moves;
-}
-
-function generatePawnRushMoves(chess, square, color) {
-  const moves = [];
-  const file = square.charCodeAt(0) - 97;
-  const rank = parseInt(square[1]);
-  const direction = color === 'w' ? 1 : -1;
-
-  // Check 2 squares forward
-  const twoSquaresRank = rank + (direction * 2);
-  const oneSquareRank = rank + direction;
-  
-  const promotionRank = color === 'w' ? 8 : 1;
-  const isPromotion = twoSquaresRank === promotionRank;
-  
-  if (twoSquaresRank >= 1 && twoSquaresRank <= 8) {
-    const oneSquareAhead = String.fromCharCode(97 + file) + oneSquareRank;
-    const twoSquaresAhead = String.fromCharCode(97 + file) + twoSquaresRank;
-    
-    // Both squares must be empty
-    if (!chess.get(oneSquareAhead) && !chess.get(twoSquaresAhead)) {
-      moves.push({
-        from: square,
-        to: twoSquaresAhead,
-        piece: 'p',
-        color,
-        flags: 'b', // big pawn move
-        san: twoSquaresAhead,
-        ...(isPromotion ? { promotion: 'q' } : {}),
-      });
-    }
-  }
-
-  return moves;
-}
-
-function generateSharpshooterMoves(chess, square, color) {
-  const moves = [];
-  const file = square.charCodeAt(0) - 97;
-  const rank = parseInt(square[1]);
-
-  // Check all four diagonal directions
-  const directions = [
-    { df: 1, dr: 1 },   // up-right
-    { df: 1, dr: -1 },  // down-right
-    { df: -1, dr: 1 },  // up-left
-    { df: -1, dr: -1 }  // down-left
-  ];
-
-  for (const { df, dr } of directions) {
-    for (let step = 1; step < 8; step++) {
-      const newFile = file + (df * step);
-      const newRank = rank + (dr * step);
-      
-      if (newFile < 0 || newFile > 7 || newRank < 1 || newRank > 8) break;
-      
-      const targetSquare = String.fromCharCode(97 + newFile) + newRank;
-      const targetPiece = chess.get(targetSquare);
-
-      if (!targetPiece) {
-        moves.push({
-          from: square,
-          to: targetSquare,
-          piece: 'b',
-          color,
-          flags: 'n',
-          san: targetSquare,
-        });
-        continue;
-      }
-
-      if (targetPiece.color !== color) {
-        // Enemy piece - CAN capture (sharpshooter ignores blockers)
-        moves.push({
-          from: square,
-          to: targetSquare,
-          piece: 'b',
-          color,
-          captured: targetPiece.type,
-          flags: 'c',
-          san: `Bx${targetSquare}`,
-        });
-      }
-
-      // Friendly piece blocks landing on this square but does not stop line-of-sight for sharpshooter.
-      continue;
-    }
-  }
-
-  return moves;
-}
-
-function generateEnPassantMasterMoves(chess, square, color) {
-  const moves = [];
-  const file = square.charCodeAt(0) - 97;
-  const rank = parseInt(square[1], 10);
-  const direction = color === 'w' ? 1 : -1;
-
-  // Sideways capture (same rank): e4 -> f4, if enemy pawn is there.
-  for (const df of [-1, 1]) {
-    const sideFile = file + df;
-    if (sideFile < 0 || sideFile > 7) continue;
-    const sideSquare = String.fromCharCode(97 + sideFile) + rank;
-    const target = chess.get(sideSquare);
-    if (target && target.type === 'p' && target.color !== color) {
-      moves.push({
-        from: square,
-        to: sideSquare,
-        piece: 'p',
-        color,
-        captured: 'p',
-        flags: 'c',
-        san: `Px${sideSquare}`,
-      });
-    }
-  }
-
-  // Diagonal-forward en-passant variant: destination empty, adjacent pawn captured.
-  for (const df of [-1, 1]) {
-    const toFile = file + df;
-    const toRank = rank + direction;
-    if (toFile < 0 || toFile > 7 || toRank < 1 || toRank > 8) continue;
-
-    const toSquare = String.fromCharCode(97 + toFile) + toRank;
-    const adjacentSquare = String.fromCharCode(97 + toFile) + rank;
-    const adjacentPiece = chess.get(adjacentSquare);
-
-    if (!chess.get(toSquare) && adjacentPiece && adjacentPiece.type === 'p' && adjacentPiece.color !== color) {
-      moves.push({
-        from: square,
-        to: toSquare,
-        piece: 'p',
-        color,
-        captured: 'p',
-        flags: 'e',
-        san: `${toSquare}`,
-      });
-    }
-  }
-
-  return moves;
-}
-
-function generateKnightOfStormsMoves(chess, square, color) {
-  const moves = [];
-  const file = square.charCodeAt(0) - 97;
-  const rank = parseInt(square[1]);
-
-  // Knight of Storms: can move to any square within 2-square radius
-  for (let df = -2; df <= 2; df++) {
-    for (let dr = -2; dr <= 2; dr++) {
-      if (df === 0 && dr === 0) continue; // Can't stay in place
-      
-      const newFile = file + df;
-      const newRank = rank + dr;
-      
-      if (newFile < 0 || newFile > 7 || newRank < 1 || newRank > 8) continue;
-      
-      const targetSquare = String.fromCharCode(97 + newFile) + newRank;
-      const targetPiece = chess.get(targetSquare);
-      
-      if (!targetPiece) {
-        moves.push({
-          from: square,
-          to: targetSquare,
-          piece: 'n',
-          color,
-          flags: 'n',
-          san: `N${targetSquare}`,
-        });
-      } else if (targetPiece.color !== color) {
-        moves.push({
-          from: square,
-          to: targetSquare,
-          piece: 'n',
-          color,
-          captured: targetPiece.type,
-          flags: 'c',
-          san: `Nx${targetSquare}`,
-        });
-      }
-    }
-  }
-
-  return moves;
-}
-
-function generateTemporalEchoMoves(chess, square, piece, color, pattern) {
-  if (!pattern || typeof pattern.fileDelta !== 'number' || typeof pattern.rankDelta !== 'number') {
-    return [];
-  }
-
-  const moves = [];
-  const fromFile = square.charCodeAt(0);
-  const fromRank = parseInt(square[1], 10);
-
-  const pFile = pattern.fileDelta;
-  const pRank = pattern.rankDelta;
-  const isPatternLinear = pFile === 0 || pRank === 0 || Math.abs(pFile) === Math.abs(pRank);
-
-  const addCandidate = (toFileCode, toRank) => {
-    if (toFileCode < 97 || toFileCode > 104 || toRank < 1 || toRank > 8) return;
-
-    // Do not allow pawn temporal moves to land directly on promotion rank.
-    if (piece.type === 'p') {
-      const ownPromotionRank = color === 'w' ? 8 : 1;
-      if (toRank === ownPromotionRank) return;
-    }
-
-    const toSquare = `${String.fromCharCode(toFileCode)}${toRank}`;
-    const targetPiece = chess.get(toSquare);
-    if (targetPiece && targetPiece.color === color) return;
-
-    const fileDelta = toFileCode - fromFile;
-    const rankDelta = toRank - fromRank;
-    const isSlidingMove = fileDelta === 0 || rankDelta === 0 || Math.abs(fileDelta) === Math.abs(rankDelta);
-
-    if (isSlidingMove && (Math.abs(fileDelta) > 1 || Math.abs(rankDelta) > 1)) {
-      const stepFile = fileDelta === 0 ? 0 : fileDelta / Math.abs(fileDelta);
-      const stepRank = rankDelta === 0 ? 0 : rankDelta / Math.abs(rankDelta);
-      let f = fromFile + stepFile;
-      let r = fromRank + stepRank;
-      while (f !== toFileCode || r !== toRank) {
-        const blockerSquare = `${String.fromCharCode(f)}${r}`;
-        if (chess.get(blockerSquare)) return;
-        f += stepFile;
-        r += stepRank;
-      }
-    }
-
-    moves.push({
-      from: square,
-      to: toSquare,
-      piece: piece.type,
-      color,
-      captured: targetPiece?.type,
-      flags: targetPiece ? 'c' : 'n',
-      san: `${piece.type.toUpperCase()}${targetPiece ? 'x' : ''}${toSquare}`,
-    });
-  };
-
-  if (isPatternLinear) {
-    const stepFile = pFile === 0 ? 0 : pFile / Math.abs(pFile);
-    const stepRank = pRank === 0 ? 0 : pRank / Math.abs(pRank);
-    const maxDistance = Math.max(Math.abs(pFile), Math.abs(pRank));
-    for (let distance = 1; distance <= maxDistance; distance++) {
-      addCandidate(fromFile + stepFile * distance, fromRank + stepRank * distance);
-    }
-  } else {
-    addCandidate(fromFile + pFile, fromRank + pRank);
-  }
-
-  return moves;
-}
@@ -0,0 +1,46 @@
+import { PREBUILT_DECKS, validateDeck } from '../../../shared/arcana/decks.js';
+
+// Decks built in the Deck Builder live in localStorage; the server only sees the card list
+// of the deck picked for a game.
+const SAVED_DECKS_KEY = 'arcana:decks';
+const OPEN_POOL = 'open';
+
+/** @returns {Array<{ id: string, name: string, cards: string[] }>} */
+export function loadSavedDecks() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SAVED_DECKS_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter((deck) => deck?.id && Array.isArray(deck.cards)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveSavedDecks(decks) {
+  try {
+    localStorage.setItem(SAVED_DECKS_KEY, JSON.stringify(decks));
+  } catch {
+    // Private mode: decks last for this tab only.
+  }
+}
+
+/**
+ * Options for the deck pickers: the open pool, the prebuilt decks, then saved decks that
+ * still pass validation (card balance changes can invalidate an old deck).
+ */
+export function listDeckChoices() {
+  return [
+    { value: OPEN_POOL, label: 'Open pool (no deck)' },
+    ...PREBUILT_DECKS.map((deck) => ({ value: deck.id, label: `${deck.name} (prebuilt)` })),
+    ...loadSavedDecks()
+      .filter((deck) => validateDeck(deck).valid)
+      .map((deck) => ({ value: `saved:${deck.id}`, label: deck.name })),
+  ];
+}
+
+/** Turns a picker value into the `deck` field sent with createLobby / joinLobby / startAIGame. */
+export function deckPayloadFor(choice) {
+  if (!choice || choice === OPEN_POOL) return null;
+  if (!choice.startsWith('saved:')) return choice;
+  const saved = loadSavedDecks().find((deck) => `saved:${deck.id}` === choice);
+  return saved ? { name: saved.name, cards: saved.cards } : null;
+}
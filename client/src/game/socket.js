@@ -7,6 +7,7 @@ const SERVER_URL = import.meta.env.DEV
 
 const MAX_RECONNECTION_ATTEMPTS = 5;
 const CLIENT_ID_KEY = 'arcana:clientId';
+const AUTH_TOKEN_KEY = 'arcana:authToken';
 
 function getOrCreateClientId() {
   try {
@@ -22,12 +23,31 @@ function getOrCreateClientId() {
 
 const clientId = getOrCreateClientId();
 
+export function getAuthToken() {
+  try {
+    return localStorage.getItem(AUTH_TOKEN_KEY) || null;
+  } catch {
+    return null;
+  }
+}
+
+// Stores (or clears, with null) the account session token sent on every (re)connect.
+export function setAuthToken(token) {
+  try {
+    if (token) localStorage.setItem(AUTH_TOKEN_KEY, token);
+    else localStorage.removeItem(AUTH_TOKEN_KEY);
+  } catch {
+    // Private mode: the account lasts for this tab only.
+  }
+}
+
 export const socket = io(SERVER_URL, {
   autoConnect: true,
   // prefer websocket transport first to reduce polling requests
   transports: ['websocket', 'polling'],
   reconnectionAttempts: MAX_RECONNECTION_ATTEMPTS,
-  auth: { clientId },
+  // Read on every (re)connect so a fresh sign-in survives reconnection.
+  auth: (cb) => cb({ clientId, token: getAuthToken() }),
 });
 
 socket.on('reconnect_failed', () => {
@@ -0,0 +1,263 @@
+import { randomBytes, scryptSync, timingSafeEqual, createHash } from 'crypto';
+import { getTimeControlBucket } from '../../shared/timeControl.js';
+import { createRating, rateGame } from '../ratings/glicko2.js';
+
+/**
+ * Lightweight player accounts: a stable player id, a display name, and either a local
+ * password or just the session token the client keeps in localStorage.
+ *
+ * Account shape (as stored):
+ * {
+ *   playerId, displayName, createdAt,
+ *   password: null | { salt, hash },      // scrypt; accounts without one live on their token
+ *   tokenHashes: string[],                // sha256 of issued session tokens, newest last
+ *   stats: { [mode]: { wins, losses, draws } },
+ *   ratings: { ['<mode>:<bullet|blitz|rapid>']: { rating, rd, vol, games } },   // Glicko-2
+ *   history: [{ gameId, mode, result, outcomeType, color, opponent, rated, ratingDelta, endedAt }], newest first
+ * }
+ */
+
+const DISPLAY_NAME_PATTERN = /^[A-Za-z0-9 _-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_TOKENS_PER_ACCOUNT = 10;
+const MATCH_HISTORY_LIMIT = 50;
+
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  return { salt, hash: scryptSync(String(password), salt, 32).toString('hex') };
+}
+
+function passwordMatches(password, stored) {
+  if (!stored?.salt || !stored?.hash) return false;
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = scryptSync(String(password), stored.salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+/** Ratings are kept per game mode and time control bucket, e.g. `'Classic:blitz'`. */
+export function ratingBucketKey(mode, timeControl) {
+  return `${mode || 'Ascendant'}:${getTimeControlBucket(timeControl)}`;
+}
+
+function roundRating(entry) {
+  return { rating: Math.round(entry.rating), rd: Math.round(entry.rd), games: entry.games || 0 };
+}
+
+function normaliseName(displayName) {
+  return String(displayName || '').trim().replace(/\s+/g, ' ');
+}
+
+export class AccountManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.store] - Account store (see accounts/accountStore.js); null keeps accounts in memory
+   */
+  constructor({ store = null } = {}) {
+    this.store = store;
+    this.accounts = new Map(); // playerId -> account
+    this.playerIdByName = new Map(); // lower-case display name -> playerId
+    this.playerIdByToken = new Map(); // token hash -> playerId
+
+    for (const account of store?.loadAll() || []) this._index(account);
+  }
+
+  _index(account) {
+    this.accounts.set(account.playerId, account);
+    this.playerIdByName.set(account.displayName.toLowerCase(), account.playerId);
+    for (const tokenHash of account.tokenHashes || []) this.playerIdByToken.set(tokenHash, account.playerId);
+  }
+
+  _save(account) {
+    this.store?.save(account);
+  }
+
+  _issueToken(account) {
+    const token = randomBytes(24).toString('hex');
+    const tokenHash = hashToken(token);
+    account.tokenHashes = [...(account.tokenHashes || []), tokenHash];
+    while (account.tokenHashes.length > MAX_TOKENS_PER_ACCOUNT) {
+      this.playerIdByToken.delete(account.tokenHashes.shift());
+    }
+    this.playerIdByToken.set(tokenHash, account.playerId);
+    this._save(account);
+    return token;
+  }
+
+  /**
+   * Creates an account. The password is optional; without one the returned token is the
+   * only way back in.
+   * @returns {{ profile: Object, token: string }}
+   */
+  register({ displayName, password } = {}) {
+    const name = normaliseName(displayName);
+    if (!DISPLAY_NAME_PATTERN.test(name)) {
+      throw new Error('Display names are 3-20 letters, digits, spaces, dashes or underscores');
+    }
+    if (this.playerIdByName.has(name.toLowerCase())) throw new Error('That display name is taken');
+    if (password && String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const account = {
+      playerId: `p-${randomBytes(8).toString('hex')}`,
+      displayName: name,
+      createdAt: Date.now(),
+      password: password ? hashPassword(password) : null,
+      tokenHashes: [],
+      stats: {},
+      ratings: {},
+      history: [],
+    };
+    this._index(account);
+    const token = this._issueToken(account);
+    return { profile: this.getProfile(account.playerId), token };
+  }
+
+  /** @returns {{ profile: Object, token: string }} */
+  login({ displayName, password } = {}) {
+    const playerId = this.playerIdByName.get(normaliseName(displayName).toLowerCase());
+    const account = playerId ? this.accounts.get(playerId) : null;
+    if (!account || !passwordMatches(password || '', account.password)) {
+      throw new Error('Unknown display name or wrong password');
+    }
+    const token = this._issueToken(account);
+    return { profile: this.getProfile(account.playerId), token };
+  }
+
+  /**
+   * Sets or replaces the password of a signed-in account. Replacing one needs the current
+   * password, and signs out every other session so a leaked token stops working.
+   * @param {string} playerId
+   * @param {Object} change
+   * @param {string} change.password - New password
+   * @param {string} [change.currentPassword] - Required when the account already has a password
+   * @param {string} [change.token] - The caller's authenticated session; it stays signed in
+   */
+  setPassword(playerId, { password, currentPassword, token } = {}) {
+    const account = this.accounts.get(playerId);
+    if (!account) throw new Error('Account not found');
+    if (account.password && !passwordMatches(currentPassword || '', account.password)) {
+      throw new Error('Current password is wrong');
+    }
+    if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    account.password = hashPassword(password);
+    const keptHash = token ? hashToken(token) : null;
+    for (const tokenHash of account.tokenHashes || []) {
+      if (tokenHash !== keptHash) this.playerIdByToken.delete(tokenHash);
+    }
+    account.tokenHashes = (account.tokenHashes || []).filter((tokenHash) => tokenHash === keptHash);
+    this._save(account);
+  }
+
+  /**
+   * Resolves a session token.
+   * @returns {{ playerId: string, displayName: string }|null} Identity for `socket.data.profile`
+   */
+  authenticate(token) {
+    if (typeof token !== 'string' || !token) return null;
+    const account = this.accounts.get(this.playerIdByToken.get(hashToken(token)));
+    return account ? { playerId: account.playerId, displayName: account.displayName } : null;
+  }
+
+  logout(token) {
+    const tokenHash = hashToken(token);
+    const account = this.accounts.get(this.playerIdByToken.get(tokenHash));
+    this.playerIdByToken.delete(tokenHash);
+    if (!account) return;
+    account.tokenHashes = (account.tokenHashes || []).filter((entry) => entry !== tokenHash);
+    this._save(account);
+  }
+
+  /** Public view of an account: no credentials. */
+  getProfile(playerId) {
+    const account = this.accounts.get(playerId);
+    if (!account) return null;
+    return {
+      playerId: account.playerId,
+      displayName: account.displayName,
+      createdAt: account.createdAt,
+      hasPassword: Boolean(account.password),
+      stats: JSON.parse(JSON.stringify(account.stats || {})),
+      ratings: Object.fromEntries(Object.entries(account.ratings || {}).map(([key, entry]) => [key, roundRating(entry)])),
+      history: (account.history || []).map((entry) => ({ ...entry })),
+    };
+  }
+
+  /**
+   * Current Glicko-2 rating in a bucket; unrated players start at 1500 +/- 350.
+   * @returns {{ rating: number, rd: number, vol: number, games: number }}
+   */
+  getRating(playerId, bucket) {
+    const entry = this.accounts.get(playerId)?.ratings?.[bucket];
+    return entry ? { ...entry } : createRating();
+  }
+
+  /**
+   * Records a finished game for every seat that belongs to an account. Rated games between
+   * two accounts also update both Glicko-2 ratings in the game's bucket.
+   * @param {Object} game
+   * @param {string} game.gameId
+   * @param {string} game.mode
+   * @param {string} game.outcomeType
+   * @param {boolean} [game.rated]
+   * @param {string|number|null} [game.timeControl] - Picks the rating bucket
+   * @param {Array<{ playerId: string|null, color: string, result: 'win'|'loss'|'draw', opponent: string }>} game.seats
+   * @returns {Object} Rating changes by player id: `{ bucket, before, after, delta }`; empty for casual games
+   */
+  recordGame({ gameId, mode, outcomeType, seats, rated = false, timeControl = null, endedAt = Date.now() }) {
+    const pending = (seats || []).filter((seat) => {
+      const account = seat.playerId ? this.accounts.get(seat.playerId) : null;
+      return account && !(account.history || []).some((entry) => entry.gameId === gameId);
+    });
+    const ratingChanges = rated && pending.length === 2 && seats.length === 2
+      ? this._rateGame(ratingBucketKey(mode, timeControl), pending[0], pending[1])
+      : {};
+
+    for (const seat of pending) {
+      const account = this.accounts.get(seat.playerId);
+      const stats = account.stats[mode] || (account.stats[mode] = { wins: 0, losses: 0, draws: 0 });
+      if (seat.result === 'win') stats.wins += 1;
+      else if (seat.result === 'loss') stats.losses += 1;
+      else stats.draws += 1;
+
+      account.history = [
+        {
+          gameId,
+          mode,
+          result: seat.result,
+          outcomeType,
+          color: seat.color,
+          opponent: seat.opponent,
+          rated: Boolean(ratingChanges[seat.playerId]),
+          ratingDelta: ratingChanges[seat.playerId]?.delta ?? null,
+          endedAt,
+        },
+        ...(account.history || []),
+      ].slice(0, MATCH_HISTORY_LIMIT);
+      this._save(account);
+    }
+    return ratingChanges;
+  }
+
+  _rateGame(bucket, seatA, seatB) {
+    if (seatA.playerId === seatB.playerId) return {};
+    const accountA = this.accounts.get(seatA.playerId);
+    const accountB = this.accounts.get(seatB.playerId);
+    const before = [this.getRating(seatA.playerId, bucket), this.getRating(seatB.playerId, bucket)];
+    const scoreA = seatA.result === 'win' ? 1 : seatA.result === 'loss' ? 0 : 0.5;
+    const after = rateGame(before[0], before[1], scoreA);
+
+    const changes = {};
+    [[accountA, before[0], after[0]], [accountB, before[1], after[1]]].forEach(([account, old, next]) => {
+      account.ratings = { ...account.ratings, [bucket]: next };
+      const rounded = { before: Math.round(old.rating), after: Math.round(next.rating) };
+      changes[account.playerId] = { bucket, ...rounded, delta: rounded.after - rounded.before, rd: Math.round(next.rd) };
+    });
+    return changes;
+  }
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Storage for player accounts, mirroring persistence/gameStore.js.
+ *
+ * Every store implements the same synchronous interface:
+ *   save(account)   - upsert an account keyed by `account.playerId`
+ *   loadAll()       - every stored account (used once on boot to build the indexes)
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data', 'accounts');
+const SAFE_PLAYER_ID = /^[A-Za-z0-9_-]+$/;
+
+function assertSafePlayerId(playerId) {
+  if (typeof playerId !== 'string' || !SAFE_PLAYER_ID.test(playerId)) {
+    throw new Error(`Invalid player id for storage: ${playerId}`);
+  }
+}
+
+/** One JSON file per account, written atomically like the game store. */
+export class FileAccountStore {
+  constructor(directory = DEFAULT_DATA_DIR) {
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  _pathFor(playerId) {
+    assertSafePlayerId(playerId);
+    return path.join(this.directory, `${playerId}.json`);
+  }
+
+  save(account) {
+    const target = this._pathFor(account.playerId);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(account));
+    fs.renameSync(temp, target);
+  }
+
+  loadAll() {
+    const accounts = [];
+    for (const name of fs.readdirSync(this.directory)) {
+      const fullPath = path.join(this.directory, name);
+      if (name.endsWith('.tmp')) {
+        fs.rmSync(fullPath, { force: true });
+        continue;
+      }
+      if (!name.endsWith('.json')) continue;
+      try {
+        accounts.push(JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+      } catch (err) {
+        console.warn('[WARN]', `Skipping unreadable account ${name}:`, err.message);
+      }
+    }
+    return accounts;
+  }
+}
+
+/** Keeps accounts in memory only; useful for tests and throwaway servers. */
+export class MemoryAccountStore {
+  constructor() {
+    this.accounts = new Map();
+  }
+
+  save(account) {
+    this.accounts.set(account.playerId, JSON.parse(JSON.stringify(account)));
+  }
+
+  loadAll() {
+    return Array.from(this.accounts.values(), (account) => JSON.parse(JSON.stringify(account)));
+  }
+}
+
+/**
+ * Creates the configured account store.
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'file' (default) or 'memory'. Defaults to ARCANA_ACCOUNT_STORE.
+ * @param {string} [options.directory] - Directory for the file store. Defaults to ARCANA_DATA_DIR/accounts.
+ * @returns {FileAccountStore|MemoryAccountStore}
+ */
+export function createAccountStore({ driver = process.env.ARCANA_ACCOUNT_STORE || 'file', directory } = {}) {
+  switch (String(driver).toLowerCase()) {
+    case 'memory':
+      return new MemoryAccountStore();
+    case 'file': {
+      const dataDir = directory || (process.env.ARCANA_DATA_DIR ? path.join(process.env.ARCANA_DATA_DIR, 'accounts') : DEFAULT_DATA_DIR);
+      return new FileAccountStore(dataDir);
+    }
+    default:
+      throw new Error(`Unknown account store driver: ${driver}`);
+  }
+}
@@ -1,9 +1,16 @@
 import { Chess } from 'chess.js';
-import { getArcanaTargetType, getValidTargetSquares } from '../../shared/arcana/arcanaContracts.js';
+import { getArcanaTargetType, getValidTargetSquares, needsTargetSquare, validateArcanaPrerequisites } from '../../shared/arcana/arcanaContracts.js';
+import { getArcanaDefinition, listArcanaDefinitions } from '../../shared/arcana/arcanaCatalog.js';
+import { applyArcana, resolveDeferredArcanaEffects } from '../arcana/arcanaHandlers.js';
 import { getAdjacentSquares } from '../arcana/arcanaUtils.js';
+import { createRngState, gameRandom } from '../rng/seededRng.js';
+import { rankTablebaseMoves } from './endgameTablebase.js';
 
 const AI_PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 20000 };
 const AI_CHECK_BONUS = 35;
+// Multipliers on evaluation terms; personalities override them (see shared/aiPersonalities.js).
+const AI_DEFAULT_EVAL_WEIGHTS = Object.freeze({ material: 1, pawnStructure: 1, kingSafety: 1 });
+const AI_PREFERRED_CATEGORY_BONUS = 20;
 const AI_MATE_SCORE = 100000;
 const AI_QUIESCENCE_MAX_DEPTH = 4;
 const AI_DRAW_THREAT_LIMIT = 500;
@@ -12,6 +19,39 @@ const AI_NULL_MOVE_DEPTH_REDUCTION = 2;
 const AI_LMR_MIN_DEPTH = 3;
 const AI_LMR_MOVE_INDEX = 4;
 const AI_TT_MAX_SIZE = 50000;
+// Share of the budget spent on board moves when cards are searched too.
+const AI_BOARD_SEARCH_SHARE = 0.55;
+// Share of the time left after the board search spent simulating and ranking card plays. The
+// rest searches the shortlisted lines, however large the hand.
+const AI_CARD_RANKING_SHARE = 0.4;
+
+// Cards that end the turn once played (the rest allow a move afterwards).
+export const AI_TURN_ENDING_CARDS = new Set(
+  listArcanaDefinitions().filter((card) => card.endsTurn === true).map((card) => card.id)
+);
+
+// Information and hand-cycling cards: their value never shows in a searched position, so the
+// runtime plays them on scoreArcanaUseIntent instead.
+export const AI_UNSEARCHED_CARDS = new Set([
+  'vision', 'line_of_sight', 'map_fragments', 'quiet_thought', 'peek_card',
+  'pot_of_greed', 'filtered_cycle',
+]);
+
+// A search deadline is `{ at, shouldStop }`; `shouldStop` lets the caller end a search early.
+function isPastDeadline(deadline) {
+  return Date.now() > deadline.at || Boolean(deadline.shouldStop?.());
+}
+
+// True while any card effect is in play: a flag, counter, list entry or pending action in
+// `activeEffects`, a pawn shield, or an owed extra move. Book and tablebase moves assume none.
+export function hasActiveArcanaEffects(gameState) {
+  const isActive = (value) => {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.values(value).some(isActive);
+    return Boolean(value);
+  };
+  return isActive(gameState?.activeEffects) || isActive(gameState?.pawnShields) || Boolean(gameState?.extraMove);
+}
 
 function getOppositeColor(color) {
   return color === 'w' ? 'b' : 'w';
@@ -35,7 +75,46 @@ export function createAiCore({ safeLoadFen }) {
     }
   }
 
-  function getAiDifficultyConfig(aiDifficulty) {
+  // Copy of the position with the other side to move, or null when it does not load.
+  function passTurn(chess) {
+    const fenParts = chess.fen().split(' ');
+    fenParts[1] = fenParts[1] === 'w' ? 'b' : 'w';
+    fenParts[3] = '-';
+    const passed = new Chess();
+    try {
+      safeLoadFen(passed, fenParts.join(' '));
+      return passed;
+    } catch {
+      return null;
+    }
+  }
+
+  // A personality's fields override its base level's settings. Its randomness drives how often
+  // early moves stray from the search's pick.
+  function applyAiPersonality(config, personality) {
+    const pick = (value, fallback) => (typeof value === 'number' ? value : fallback);
+    return {
+      ...config,
+      depth: pick(personality.depth, config.depth),
+      searchBudgetMs: pick(personality.searchBudgetMs, config.searchBudgetMs),
+      randomness: pick(personality.randomness, config.randomness),
+      explorationChance: pick(personality.randomness, config.explorationChance),
+      useChance: pick(personality.cardUse, config.useChance),
+      drawChance: pick(personality.cardDraw, config.drawChance),
+      arcanaRiskTolerance: pick(personality.arcanaRiskTolerance, config.arcanaRiskTolerance),
+      arcanaSearch: { ...config.arcanaSearch, margin: pick(personality.cardMargin, config.arcanaSearch.margin) },
+      preferredCategories: [...(personality.preferredCategories || [])],
+      evalWeights: { ...AI_DEFAULT_EVAL_WEIGHTS, ...(personality.weights || {}) },
+    };
+  }
+
+  /**
+   * Search and card settings for a difficulty level, or for a personality built on one.
+   * @param {string} aiDifficulty - Scholar, Knight or Monarch
+   * @param {Object|null} [personality] - See shared/aiPersonalities.js; its `base` replaces aiDifficulty
+   * @returns {Object}
+   */
+  function getAiDifficultyConfig(aiDifficulty, personality = null) {
     const configs = {
       Scholar: {
         depth: 2,
@@ -51,6 +130,8 @@ export function createAiCore({ safeLoadFen }) {
         lmrDepthReduction: 1,
         nullMovePruning: false,
         arcanaRiskTolerance: 0.75,
+        drawOfferAcceptMargin: 60,
+        arcanaSearch: { candidates: 2, depth: 1, margin: 60 },
       },
       Knight: {
         depth: 4,
@@ -66,6 +147,8 @@ export function createAiCore({ safeLoadFen }) {
         lmrDepthReduction: 1,
         nullMovePruning: true,
         arcanaRiskTolerance: 1,
+        drawOfferAcceptMargin: 0,
+        arcanaSearch: { candidates: 3, depth: 2, margin: 45 },
       },
       Monarch: {
         depth: 6,
@@ -81,8 +164,11 @@ export function createAiCore({ safeLoadFen }) {
         lmrDepthReduction: 2,
         nullMovePruning: true,
         arcanaRiskTolerance: 1.3,
+        drawOfferAcceptMargin: -40,
+        arcanaSearch: { candidates: 4, depth: 3, margin: 30 },
       },
     };
+    if (personality) return applyAiPersonality(configs[personality.base] || configs.Scholar, personality);
     return configs[aiDifficulty] || configs.Scholar;
   }
 
@@ -180,7 +266,7 @@ export function createAiCore({ safeLoadFen }) {
 
     if (highestImmediateThreat >= AI_DRAW_THREAT_LIMIT) return false;
 
-    const score = evaluateAIBoard(chess, moverColor, gameState);
+    const score = evaluateAIBoard(chess, moverColor, gameState, settings.evalWeights);
     const threatenedMaterial = threatenedPieces.reduce((sum, item) => sum + item.value, 0);
     const safetyMargin = score - threatenedMaterial * 0.35;
     if (safetyMargin < -35) return false;
@@ -190,7 +276,7 @@ export function createAiCore({ safeLoadFen }) {
     const enemyCaptureCount = enemyMoves.filter((move) => move.captured).length;
     if (enemyCaptureCount >= 3) return false;
 
-    return safetyMargin > 8 && Math.random() < strategicAppetite;
+    return safetyMargin > 8 && gameRandom(gameState)() < strategicAppetite;
   }
 
   function getThreatProfile(chess, color) {
@@ -216,7 +302,7 @@ export function createAiCore({ safeLoadFen }) {
   function scoreArcanaUseIntent(card, chess, gameState, moverColor, settings, candidateCardsCount) {
     if (!card?.id) return -Infinity;
     const profile = getThreatProfile(chess, moverColor);
-    const boardScore = evaluateAIBoard(chess, moverColor, gameState);
+    const boardScore = evaluateAIBoard(chess, moverColor, gameState, settings.evalWeights);
     let score = 0;
 
     const tacticalCards = new Set(['execution', 'mind_control', 'double_strike', 'time_freeze', 'chain_lightning', 'poison_touch']);
@@ -227,7 +313,10 @@ export function createAiCore({ safeLoadFen }) {
     if (defensiveCards.has(card.id)) score += profile.maxThreat >= AI_PIECE_VALUES.r ? 35 : 14;
     if (tempoCards.has(card.id)) score += 10;
     if (card.id === 'promotion_ritual') score += 18;
+    if (settings.preferredCategories?.includes(getArcanaDefinition(card.id)?.category)) score += AI_PREFERRED_CATEGORY_BONUS;
     if (card.id === 'peek_card' || card.id === 'map_fragments' || card.id === 'quiet_thought') score += candidateCardsCount < 2 ? 8 : 3;
+    // A last card is worth cycling for a fresh hand.
+    if (card.id === 'pot_of_greed' || card.id === 'filtered_cycle') score += candidateCardsCount < 2 ? 26 : 4;
 
     if (card.id === 'divine_intervention') {
       if (profile.checks > 0) score += 90;
@@ -438,7 +527,7 @@ export function createAiCore({ safeLoadFen }) {
     return (ownUnused - enemyUnused) * 4 + turnBonus;
   }
 
-  function evaluateAIBoard(chess, perspectiveColor, gameState = {}) {
+  function evaluateAIBoard(chess, perspectiveColor, gameState = {}, weights = AI_DEFAULT_EVAL_WEIGHTS) {
     const board = chess.board();
     let score = 0;
 
@@ -447,7 +536,7 @@ export function createAiCore({ safeLoadFen }) {
         const piece = board[rank][file];
         if (!piece) continue;
         const square = `${'abcdefgh'[file]}${8 - rank}`;
-        const pieceScore = (AI_PIECE_VALUES[piece.type] || 0) + getBoardSquareBonus(piece, square, perspectiveColor);
+        const pieceScore = (AI_PIECE_VALUES[piece.type] || 0) * weights.material + getBoardSquareBonus(piece, square, perspectiveColor);
         score += piece.color === perspectiveColor ? pieceScore : -pieceScore;
       }
     }
@@ -458,7 +547,7 @@ export function createAiCore({ safeLoadFen }) {
       return activeTurn === perspectiveColor ? -AI_MATE_SCORE : AI_MATE_SCORE;
     }
 
-    if (isCheckForColor(chess, perspectiveColor)) score -= AI_CHECK_BONUS;
+    if (isCheckForColor(chess, perspectiveColor)) score -= AI_CHECK_BONUS * weights.kingSafety;
     if (isCheckForColor(chess, opponentColor)) score += AI_CHECK_BONUS;
 
     const ownShield = gameState?.pawnShields?.[perspectiveColor];
@@ -466,7 +555,7 @@ export function createAiCore({ safeLoadFen }) {
     if (ownShield?.square) score += 18;
     if (oppShield?.square) score -= 10;
 
-    score += evaluatePawnStructure(chess, perspectiveColor);
+    score += evaluatePawnStructure(chess, perspectiveColor) * weights.pawnStructure;
     score += evaluateEndgame(chess, perspectiveColor);
     score += evaluateArcanaPressure(chess, gameState, perspectiveColor);
 
@@ -526,8 +615,8 @@ export function createAiCore({ safeLoadFen }) {
       const kingFile = kingSquare.charCodeAt(0) - 97;
       const kingRank = parseInt(kingSquare[1], 10);
       const castledHome = kingSquare === (perspectiveColor === 'w' ? 'g1' : 'g8') || kingSquare === (perspectiveColor === 'w' ? 'c1' : 'c8');
-      score += castledHome ? 30 : -8;
-      score += -Math.abs(kingFile - 3.5) * 2 - Math.abs(kingRank - (perspectiveColor === 'w' ? 1.5 : 6.5)) * 0.5;
+      let kingSafety = castledHome ? 30 : -8;
+      kingSafety += -Math.abs(kingFile - 3.5) * 2 - Math.abs(kingRank - (perspectiveColor === 'w' ? 1.5 : 6.5)) * 0.5;
 
       const castlingRights = (chess.fen().split(' ')[2] || '-');
       const stillCanCastle = perspectiveColor === 'w'
@@ -535,8 +624,9 @@ export function createAiCore({ safeLoadFen }) {
         : castlingRights.includes('k') || castlingRights.includes('q');
       const onBackRankHome = perspectiveColor === 'w' ? kingSquare === 'e1' : kingSquare === 'e8';
       if (!castledHome && stillCanCastle && onBackRankHome) {
-        score -= 26;
+        kingSafety -= 26;
       }
+      score += kingSafety * weights.kingSafety;
     }
 
     return score;
@@ -576,16 +666,16 @@ export function createAiCore({ safeLoadFen }) {
     tt.set(key, { score, move, flag });
   }
 
-  function quiescenceSearch(chess, gameState, perspectiveColor, alpha, beta, deadlineMs, tt, plyFromRoot = 0) {
-    if (Date.now() > deadlineMs) {
+  function quiescenceSearch(chess, gameState, perspectiveColor, alpha, beta, deadline, tt, plyFromRoot = 0, weights = undefined) {
+    if (isPastDeadline(deadline)) {
       throw new Error('AI search timed out');
     }
 
     if (!hasBothKings(chess)) {
-      return { score: evaluateAIBoard(chess, perspectiveColor, gameState), move: null };
+      return { score: evaluateAIBoard(chess, perspectiveColor, gameState, weights), move: null };
     }
 
-    const standPat = evaluateAIBoard(chess, perspectiveColor, gameState);
+    const standPat = evaluateAIBoard(chess, perspectiveColor, gameState, weights);
     const maximizing = chess.turn() === perspectiveColor;
 
     if (maximizing) {
@@ -604,7 +694,7 @@ export function createAiCore({ safeLoadFen }) {
     let bestScore = standPat;
 
     for (const move of tacticalMoves) {
-      if (Date.now() > deadlineMs) {
+      if (isPastDeadline(deadline)) {
         throw new Error('AI search timed out');
       }
 
@@ -615,7 +705,7 @@ export function createAiCore({ safeLoadFen }) {
         continue;
       }
 
-      const child = quiescenceSearch(chess, gameState, perspectiveColor, alpha, beta, deadlineMs, tt, plyFromRoot + 1);
+      const child = quiescenceSearch(chess, gameState, perspectiveColor, alpha, beta, deadline, tt, plyFromRoot + 1, weights);
       chess.undo();
 
       if (maximizing) {
@@ -632,13 +722,13 @@ export function createAiCore({ safeLoadFen }) {
     return { score: bestScore, move: null };
   }
 
-  function searchAiMove(chess, gameState, perspectiveColor, depth, deadlineMs, config, tt, pvMove = null, plyFromRoot = 0, rootMoves = null, alpha = -Infinity, beta = Infinity) {
-    if (Date.now() > deadlineMs) {
+  function searchAiMove(chess, gameState, perspectiveColor, depth, deadline, config, tt, pvMove = null, plyFromRoot = 0, rootMoves = null, alpha = -Infinity, beta = Infinity) {
+    if (isPastDeadline(deadline)) {
       throw new Error('AI search timed out');
     }
 
     if (!hasBothKings(chess)) {
-      return { score: evaluateAIBoard(chess, perspectiveColor, gameState), move: null };
+      return { score: evaluateAIBoard(chess, perspectiveColor, gameState, config.evalWeights), move: null };
     }
 
     const alphaStart = alpha;
@@ -650,11 +740,11 @@ export function createAiCore({ safeLoadFen }) {
 
     const legalMoves = plyFromRoot === 0 && Array.isArray(rootMoves) ? rootMoves : chess.moves({ verbose: true });
     if (!legalMoves.length) {
-      return { score: evaluateAIBoard(chess, perspectiveColor, gameState), move: null };
+      return { score: evaluateAIBoard(chess, perspectiveColor, gameState, config.evalWeights), move: null };
     }
 
     if (depth <= 0) {
-      return quiescenceSearch(chess, gameState, perspectiveColor, alpha, beta, deadlineMs, tt, plyFromRoot);
+      return quiescenceSearch(chess, gameState, perspectiveColor, alpha, beta, deadline, tt, plyFromRoot, config.evalWeights);
     }
 
     const maximizing = chess.turn() === perspectiveColor;
@@ -671,7 +761,7 @@ export function createAiCore({ safeLoadFen }) {
           gameState,
           perspectiveColor,
           depth - 1 - AI_NULL_MOVE_DEPTH_REDUCTION,
-          deadlineMs,
+          deadline,
           config,
           tt,
           null,
@@ -696,15 +786,18 @@ export function createAiCore({ safeLoadFen }) {
     let bestMove = null;
     let orderedMoves = orderAiMoves(legalMoves);
     orderedMoves = prioritizePvMove(orderedMoves, pvMove);
+    // Time Freeze: a frozen opponent's reply is skipped, so the AI moves twice in a row.
+    const skipReply = plyFromRoot === 0 && maximizing
+      && Boolean(gameState?.activeEffects?.timeFrozen?.[getOppositeColor(perspectiveColor)]);
 
     for (let moveIndex = 0; moveIndex < orderedMoves.length; moveIndex += 1) {
       const move = orderedMoves[moveIndex];
-      if (Date.now() > deadlineMs) {
+      if (isPastDeadline(deadline)) {
         throw new Error('AI search timed out');
       }
 
       if (depth === 1 && !isTacticalMove(move) && !chess.isCheck()) {
-        const staticEval = evaluateAIBoard(chess, perspectiveColor, gameState);
+        const staticEval = evaluateAIBoard(chess, perspectiveColor, gameState, config.evalWeights);
         const margin = config.futilityMargin ?? AI_FUTILITY_MARGIN;
         if (maximizing && staticEval + margin <= alpha) continue;
         if (!maximizing && staticEval - margin >= beta) continue;
@@ -723,7 +816,8 @@ export function createAiCore({ safeLoadFen }) {
         nextDepth = Math.max(1, nextDepth - (config.lmrDepthReduction || 1));
       }
 
-      const child = searchAiMove(chess, gameState, perspectiveColor, nextDepth, deadlineMs, config, tt, bestMove, plyFromRoot + 1, null, alpha, beta);
+      const childChess = (skipReply && passTurn(chess)) || chess;
+      const child = searchAiMove(childChess, gameState, perspectiveColor, nextDepth, deadline, config, tt, bestMove, plyFromRoot + 1, null, alpha, beta);
       chess.undo();
 
       const score = child.score;
@@ -744,7 +838,7 @@ export function createAiCore({ safeLoadFen }) {
     }
 
     if (bestMove === null) {
-      return { score: evaluateAIBoard(chess, perspectiveColor, gameState), move: null };
+      return { score: evaluateAIBoard(chess, perspectiveColor, gameState, config.evalWeights), move: null };
     }
 
     let flag = 'EXACT';
@@ -755,15 +849,36 @@ export function createAiCore({ safeLoadFen }) {
     return { score: bestScore, move: bestMove };
   }
 
-  function selectBestAiMove(chess, gameState, perspectiveColor, config, rootMoves = null) {
-    const deadlineMs = Date.now() + config.searchBudgetMs;
+  /**
+   * Iterative deepening up to `config.depth`. The deepest completed iteration is returned when
+   * the budget runs out or `options.shouldStop()` turns true. Tablebase endings return at once
+   * with depth 0.
+   * @param {Object} [options] - `{ budgetMs, shouldStop }`; budgetMs defaults to config.searchBudgetMs
+   * @returns {{ move: Object, score: number, depth: number }|null}
+   */
+  function selectBestAiMove(chess, gameState, perspectiveColor, config, rootMoves = null, options = {}) {
+    const deadline = {
+      at: Date.now() + (options.budgetMs ?? config.searchBudgetMs),
+      shouldStop: options.shouldStop || null,
+    };
     const searchChess = new Chess();
     safeLoadFen(searchChess, chess.fen());
-    const legalMoves = Array.isArray(rootMoves) && rootMoves.length ? rootMoves : searchChess.moves({ verbose: true });
+    let legalMoves = Array.isArray(rootMoves) && rootMoves.length ? rootMoves : searchChess.moves({ verbose: true });
     if (!legalMoves.length) return null;
 
+    // Covered endings are played from the tablebase: decided ones outright, drawn ones by
+    // searching only the moves that keep the draw.
+    if (!hasActiveArcanaEffects(gameState)) {
+      const known = rankTablebaseMoves(searchChess, legalMoves);
+      if (known?.wdl) {
+        return { move: known.moves[0], score: known.wdl * (AI_MATE_SCORE - known.plies), depth: 0 };
+      }
+      if (known) legalMoves = known.moves;
+    }
+
     let bestMove = legalMoves[0];
     let bestScore = -Infinity;
+    let completedDepth = 0;
     let aspirationCenter = 0;
     let aspirationWindow = 70;
     const tt = new Map();
@@ -772,17 +887,18 @@ export function createAiCore({ safeLoadFen }) {
       try {
         let alpha = depth > 1 ? aspirationCenter - aspirationWindow : -Infinity;
         let beta = depth > 1 ? aspirationCenter + aspirationWindow : Infinity;
-        let result = searchAiMove(searchChess, gameState, perspectiveColor, depth, deadlineMs, config, tt, bestMove, 0, legalMoves, alpha, beta);
+        let result = searchAiMove(searchChess, gameState, perspectiveColor, depth, deadline, config, tt, bestMove, 0, legalMoves, alpha, beta);
 
         if (depth > 1 && (result.score <= alpha || result.score >= beta)) {
           alpha = -Infinity;
           beta = Infinity;
-          result = searchAiMove(searchChess, gameState, perspectiveColor, depth, deadlineMs, config, tt, bestMove, 0, legalMoves, alpha, beta);
+          result = searchAiMove(searchChess, gameState, perspectiveColor, depth, deadline, config, tt, bestMove, 0, legalMoves, alpha, beta);
         }
 
         if (result?.move) {
           bestMove = result.move;
           bestScore = result.score;
+          completedDepth = depth;
           aspirationCenter = result.score;
           aspirationWindow = Math.max(45, Math.min(220, Math.floor(aspirationWindow * 0.9 + 12)));
         }
@@ -793,10 +909,155 @@ export function createAiCore({ safeLoadFen }) {
         break;
       }
 
-      if (Date.now() > deadlineMs) break;
+      if (isPastDeadline(deadline)) break;
+    }
+
+    return { move: bestMove, score: bestScore, depth: completedDepth };
+  }
+
+  // Every card play the search can try: each usable card with each of its valid targets.
+  // Copies of a card play the same, so only the first copy in the hand is listed.
+  function listAiArcanaActions(chess, gameState, color, hand) {
+    const actions = [];
+    const seen = new Set();
+    for (const card of hand || []) {
+      if (seen.has(card.id)) continue;
+      seen.add(card.id);
+      if (AI_UNSEARCHED_CARDS.has(card.id)) continue;
+      if (!validateArcanaPrerequisites(card.id, gameState, color).ok) continue;
+      const base = { arcanaId: card.id, instanceId: card.instanceId ?? null };
+      if (!needsTargetSquare(card.id)) {
+        actions.push({ ...base, params: {} });
+        continue;
+      }
+      for (const targetSquare of getValidTargetSquares(chess, card.id, color, gameState)) {
+        if (card.id === 'metamorphosis') {
+          for (const newType of ['n', 'b']) actions.push({ ...base, params: { targetSquare, newType } });
+        } else {
+          actions.push({ ...base, params: { targetSquare } });
+        }
+      }
     }
+    return actions;
+  }
+
+  // Plays a card on a copy of the game through the server's own handlers. The copy rolls from
+  // an RNG seeded by the position and card rather than the game's, so the search never sees
+  // the game's next draws or shuffles and still gives the same result for the same position.
+  function simulateAiArcana(gameState, playerId, action) {
+    const { chess, rng: _rng, replayLog: _replayLog, clock: _clock, ...rest } = gameState;
+    const simState = structuredClone(rest);
+    simState.chess = new Chess();
+    safeLoadFen(simState.chess, chess.fen());
+    simState.rng = createRngState(`search:${chess.fen()}:${action.arcanaId}`);
+    let applied = [];
+    try {
+      applied = applyArcana(playerId, simState, [action], null, null);
+    } catch {
+      return null;
+    }
+    if (!applied.length) return null;
+    resolveDeferredArcanaEffects(simState.chess, simState);
+    if (AI_TURN_ENDING_CARDS.has(action.arcanaId)) {
+      const passed = passTurn(simState.chess);
+      if (!passed) return null;
+      simState.chess = passed;
+    }
+    return simState;
+  }
+
+  /**
+   * Searches card plays alongside board moves. Each card is simulated with the shared handlers
+   * and its position searched to the same depth as the position without a card (a card that
+   * ends the turn uses up the AI's ply). A card is chosen when its line beats playing no card
+   * by the level's `arcanaSearch.margin`; otherwise the board search decides the move.
+   * @param {Object} [options] - selectBestAiMove options plus `arcana: { playerId, hand, handSize? }`;
+   *   `handSize` counts copies left out of `hand`
+   * @returns {{ move: Object|null, score: number, depth: number, arcana: Object|null }|null}
+   */
+  function selectBestAiAction(chess, gameState, perspectiveColor, config, rootMoves = null, options = {}) {
+    const { arcana, ...searchOptions } = options;
+    const budgetMs = searchOptions.budgetMs ?? config.searchBudgetMs;
+    const actions = arcana && config.arcanaSearch ? listAiArcanaActions(chess, gameState, perspectiveColor, arcana.hand) : [];
+    if (!actions.length) {
+      const result = selectBestAiMove(chess, gameState, perspectiveColor, config, rootMoves, searchOptions);
+      return result && { ...result, arcana: null };
+    }
+
+    const startedAt = Date.now();
+    const boardResult = selectBestAiMove(chess, gameState, perspectiveColor, config, rootMoves, {
+      ...searchOptions,
+      budgetMs: Math.floor(budgetMs * AI_BOARD_SEARCH_SHARE),
+    });
+    const deadline = { at: startedAt + budgetMs, shouldStop: searchOptions.shouldStop || null };
+
+    // Rank the simulated positions statically and search only the most promising plays.
+    // Shields, sanctuaries and other protections do not show on the board, so the intent
+    // score stands in for what the search cannot see. Cards take turns in intent order, one
+    // target each, so a large hand that runs out of time has still tried every card.
+    const actionsByCard = new Map();
+    for (const action of actions) {
+      if (!actionsByCard.has(action.arcanaId)) actionsByCard.set(action.arcanaId, []);
+      actionsByCard.get(action.arcanaId).push(action);
+    }
+    const priors = new Map();
+    for (const cardId of actionsByCard.keys()) {
+      const intent = scoreArcanaUseIntent({ id: cardId }, chess, gameState, perspectiveColor, config, arcana.handSize ?? arcana.hand.length);
+      priors.set(cardId, Math.max(0, intent));
+    }
+    const queues = [...actionsByCard.values()].sort((a, b) => priors.get(b[0].arcanaId) - priors.get(a[0].arcanaId));
+    const rankingOrder = [];
+    for (let i = 0; rankingOrder.length < actions.length; i += 1) {
+      for (const queue of queues) if (i < queue.length) rankingOrder.push(queue[i]);
+    }
+
+    const rankingDeadline = {
+      at: Date.now() + Math.max(0, deadline.at - Date.now()) * AI_CARD_RANKING_SHARE,
+      shouldStop: deadline.shouldStop,
+    };
+    const lines = [];
+    for (const action of rankingOrder) {
+      if (isPastDeadline(rankingDeadline)) break;
+      const simState = simulateAiArcana(gameState, arcana.playerId, action);
+      if (!simState) continue;
+      const prior = priors.get(action.arcanaId);
+      lines.push({ action, simState, prior, score: evaluateAIBoard(simState.chess, perspectiveColor, simState, config.evalWeights) + prior });
+    }
+    lines.sort((a, b) => b.score - a.score);
+    const candidates = lines.slice(0, config.arcanaSearch.candidates);
+
+    const baseChess = new Chess();
+    safeLoadFen(baseChess, chess.fen());
+    const baseline = { simState: { ...gameState, chess: baseChess }, prior: 0, rootMoves };
+    let completed = null;
+    for (let depth = 1; depth <= config.arcanaSearch.depth && candidates.length; depth += 1) {
+      try {
+        completed = [baseline, ...candidates].map((line) => {
+          const lineChess = line.simState.chess;
+          const lineDepth = lineChess.turn() === perspectiveColor ? depth : depth - 1;
+          const tt = new Map();
+          const { score } = searchAiMove(lineChess, line.simState, perspectiveColor, lineDepth, deadline, config, tt, null, 0, line.rootMoves || null);
+          return { line, score: score + line.prior };
+        });
+      } catch (err) {
+        if (!err || !String(err.message || '').includes('timed out')) throw err;
+        break;
+      }
+    }
+
+    if (completed) {
+      const [base, ...cards] = completed;
+      const best = cards.reduce((top, entry) => (!top || entry.score > top.score ? entry : top), null);
+      if (best && (!boardResult?.move || best.score >= base.score + config.arcanaSearch.margin)) {
+        return { move: null, score: best.score, depth: boardResult?.depth || 0, arcana: best.line.action };
+      }
+    }
+    return boardResult && { ...boardResult, arcana: null };
+  }
 
-    return { move: bestMove, score: bestScore };
+  // Draw offers are accepted only when the AI does not rate its own position above the margin.
+  function shouldAiAcceptDraw(chess, gameState, aiColor, settings) {
+    return evaluateAIBoard(chess, aiColor, gameState, settings?.evalWeights) <= (settings?.drawOfferAcceptMargin ?? 0);
   }
 
   function selectAiArcanaTarget(cardId, chess, gameState, moverColor) {
@@ -1028,7 +1289,9 @@ export function createAiCore({ safeLoadFen }) {
     shouldAiDrawArcana,
     scoreArcanaUseIntent,
     selectBestAiMove,
+    selectBestAiAction,
     orderAiMoves,
     selectAiArcanaTarget,
+    shouldAiAcceptDraw,
   };
 }
@@ -1,11 +1,67 @@
-import { applyArcana } from '../arcana/arcanaHandlers.js';
+import { applyArcana, resolveDeferredArcanaEffects } from '../arcana/arcanaHandlers.js';
+import { recordReplayEvent } from '../replay/replayLog.js';
+import { gameRandom } from '../rng/seededRng.js';
+import { drawArcanaFor } from '../arcana/drawPile.js';
+import { generateLegalMoves } from '../../shared/arcana/moveGenerator.js';
+import { needsTargetSquare } from '../../shared/arcana/arcanaContracts.js';
+import { AI_TURN_ENDING_CARDS, AI_UNSEARCHED_CARDS, hasActiveArcanaEffects } from './aiCore.js';
+import { loadOpeningBook, pickBookMove } from './openingBook.js';
+import { getGameModeConfig } from '../../shared/gameModes.js';
+
+// Board moves the AI may play. Shields, sanctuaries, blessings and the other card protections
+// are applied by the shared generator. Arcana moves are left out: they are played outside
+// chess.js. Cursed squares are avoided while anything else is available.
+function listAiCandidateMoves(chess, gameState, moverColor, hasPawnLeftStartingSquareBefore) {
+  const candidateMoves = generateLegalMoves(chess.fen(), gameState.activeEffects, {
+    color: moverColor,
+    pawnShields: gameState.pawnShields,
+  }).filter((m) => {
+    if (m.arcana) return false;
+    if (m.piece !== 'p') return true;
+    const fromRank = parseInt(m.from[1], 10);
+    const toRank = parseInt(m.to[1], 10);
+    const isTwoSquareAdvance = Math.abs(toRank - fromRank) === 2;
+    if (!isTwoSquareAdvance) return true;
+    return !hasPawnLeftStartingSquareBefore(gameState, m.from, moverColor);
+  });
+
+  const cursedSquares = (gameState.activeEffects?.cursedSquares || []).map((c) => c.square);
+  const avoidFiltered = candidateMoves.filter((m) => !cursedSquares.includes(m.to));
+  return avoidFiltered.length > 0 ? avoidFiltered : candidateMoves;
+}
+
+// Below this intent score a card the search skips is kept in hand.
+const AI_MIN_CARD_INTENT_SCORE = 24;
+
+// Picks one of the cards the search skips (see AI_UNSEARCHED_CARDS) on the intent heuristic,
+// or null when none is worth playing now.
+function pickUnsearchedArcana(availableCards, chess, gameState, moverColor, settings, random, scoreArcanaUseIntent) {
+  const scoredCards = availableCards
+    .filter((card) => AI_UNSEARCHED_CARDS.has(card.id))
+    .map((card) => ({
+      card,
+      score: scoreArcanaUseIntent(card, chess, gameState, moverColor, settings, availableCards.length),
+    }))
+    .filter((entry) => Number.isFinite(entry.score))
+    .sort((a, b) => b.score - a.score);
+
+  const bestCardScore = scoredCards[0]?.score ?? -Infinity;
+  if (bestCardScore < AI_MIN_CARD_INTENT_SCORE) return null;
+
+  const tacticalWindow = scoredCards.filter((entry) => (bestCardScore - entry.score) <= (settings.topMoveWindow * 0.25));
+  const selectionPool = tacticalWindow.slice(0, Math.max(1, settings.explorationPoolSize || 1));
+  const cardIndex = selectionPool.length > 1 && random() < settings.explorationChance
+    ? Math.floor(random() * selectionPool.length)
+    : 0;
+  return selectionPool[cardIndex]?.card || null;
+}
 
 export async function performAIMoveLogic(gameState, ctx) {
   const {
     io,
     getAiDifficultyConfig,
     shouldAiDrawArcana,
-    selectBestAiMove,
+    searchBestAiMove,
     orderAiMoves,
     hasPawnLeftStartingSquareBefore,
     markPawnStartSquareConsumed,
@@ -17,6 +73,7 @@ export async function performAIMoveLogic(gameState, ctx) {
     decrementEffects,
     tryAIUseArcana,
     serialiseGameStateForViewer,
+    scoreArcanaUseIntent,
     constants,
   } = ctx;
 
@@ -33,7 +90,8 @@ export async function performAIMoveLogic(gameState, ctx) {
     return;
   }
 
-  const settings = getAiDifficultyConfig(gameState.aiDifficulty);
+  const settings = getAiDifficultyConfig(gameState.aiDifficulty, gameState.aiPersonality);
+  const random = gameRandom(gameState);
 
   const allMoves = chess.moves({ verbose: true });
   if (!allMoves.length) {
@@ -42,14 +100,26 @@ export async function performAIMoveLogic(gameState, ctx) {
   }
 
   const moverColor = chess.turn();
-  const opponentColor = moverColor === 'w' ? 'b' : 'w';
-  const shield = gameState.pawnShields[opponentColor];
 
   if (chess.isCheck()) {
     console.log(`[AI] AI is in check. Available legal moves: ${allMoves.length}`);
   }
 
-  if (gameState.ascended && gameState.mode === 'Ascendant' && aiSocketId) {
+  const listCandidateMoves = () => {
+    const moves = listAiCandidateMoves(chess, gameState, moverColor, hasPawnLeftStartingSquareBefore);
+    if (moves.length) return moves;
+    console.error('[AI] No candidate moves after filtering! Using all legal moves as fallback');
+    return chess.moves({ verbose: true });
+  };
+  let plannedSearch = null;
+
+  // Ascendant hands are built by drawing. Modes that deal a starting hand (Arcana Overflow)
+  // play from it and never draw.
+  const modeConfig = getGameModeConfig(gameState.mode);
+  const dealsStartingHand = Boolean(modeConfig.startingArcana) && modeConfig.startingArcana !== 'none';
+  const modeHasArcana = gameState.mode === 'Ascendant' || dealsStartingHand;
+
+  if (gameState.ascended && modeHasArcana && aiSocketId) {
     const aiCards = gameState.arcanaByPlayer[aiSocketId] || [];
     const usedInstanceIds = gameState.usedArcanaInstanceIdsByPlayer?.[aiSocketId] || [];
     const availableCards = aiCards.filter((card) => !usedInstanceIds.includes(card.instanceId));
@@ -63,9 +133,9 @@ export async function performAIMoveLogic(gameState, ctx) {
     const aiLastDrawPly = gameState.lastDrawTurn[aiSocketId];
     const aiCanDraw = aiLastDrawPly < 0 || currentPly - aiLastDrawPly >= DRAW_COOLDOWN_PLIES;
 
-    if (!aiUsedCardThisTurn && aiCanDraw && shouldAiDrawArcana(chess, gameState, moverColor, settings, availableCards)) {
-      const newCard = pickWeightedArcana();
-      const newInst = makeArcanaInstance(newCard);
+    if (!dealsStartingHand && !aiUsedCardThisTurn && aiCanDraw && shouldAiDrawArcana(chess, gameState, moverColor, settings, availableCards)) {
+      const newCard = drawArcanaFor(gameState, aiSocketId, () => pickWeightedArcana(random));
+      const newInst = makeArcanaInstance(newCard, random);
       gameState.arcanaByPlayer[aiSocketId].push(newInst);
       gameState.lastDrawTurn[aiSocketId] = currentPly;
 
@@ -85,41 +155,37 @@ export async function performAIMoveLogic(gameState, ctx) {
       fenParts[3] = '-';
       safeLoadFen(chess, fenParts.join(' '));
       gameState.plyCount++;
+      recordReplayEvent(gameState, 'draw', { playerId: aiSocketId, card: newInst });
       return;
     }
 
-    if (!aiUsedCardThisTurn && availableCards.length > 0 && Math.random() < settings.useChance) {
-      const scoredCards = availableCards
-        .map((card) => ({
-          card,
-          score: ctx.scoreArcanaUseIntent(card, chess, gameState, moverColor, settings, availableCards.length),
-        }))
-        .filter((entry) => Number.isFinite(entry.score))
-        .sort((a, b) => b.score - a.score);
-
-      if (!scoredCards.length) {
-        gameState.aiUsedCardThisTurn = false;
+    const arcanaLocked = Boolean(gameState.activeEffects?.timeFreezeArcanaLock?.[moverColor]);
+    if (!aiUsedCardThisTurn && !arcanaLocked && availableCards.length > 0 && random() < settings.useChance) {
+      // Card plays are searched together with the board moves. When no card wins, the search
+      // result is kept for the move below.
+      const fenBeforeSearch = chess.fen();
+      const plan = await searchBestAiMove(gameState, moverColor, settings, listCandidateMoves(), {
+        playerId: aiSocketId,
+        hand: availableCards,
+      });
+      if (plan?.cancelled || gameState.status !== 'ongoing' || chess.fen() !== fenBeforeSearch) {
+        return;
       }
 
-      const bestCardScore = scoredCards[0]?.score ?? -Infinity;
-      const minUseScore = 24;
-      if (!Number.isFinite(bestCardScore) || bestCardScore < minUseScore) {
-        gameState.aiUsedCardThisTurn = false;
+      const searchedCard = plan?.arcana
+        ? availableCards.find((card) => card.id === plan.arcana.arcanaId && card.instanceId === plan.arcana.instanceId)
+        : null;
+      const cardToUse = searchedCard
+        || pickUnsearchedArcana(availableCards, chess, gameState, moverColor, settings, random, scoreArcanaUseIntent);
+      if (!cardToUse) {
+        plannedSearch = plan;
       } else {
-        const tacticalWindow = scoredCards.filter((entry) => (bestCardScore - entry.score) <= (settings.topMoveWindow * 0.25));
-        const selectionPool = tacticalWindow.slice(0, Math.max(1, settings.explorationPoolSize || 1));
-        const cardIndex = selectionPool.length > 1 && Math.random() < settings.explorationChance
-          ? Math.floor(Math.random() * selectionPool.length)
-          : 0;
-        const cardToUse = selectionPool[cardIndex]?.card;
-        if (!cardToUse) {
-          gameState.aiUsedCardThisTurn = false;
-        }
-
-        const usageResult = cardToUse ? await tryAIUseArcana(gameState, aiSocketId, cardToUse, moverColor) : { success: false };
+        const usageResult = await tryAIUseArcana(gameState, aiSocketId, cardToUse, moverColor, searchedCard ? plan.arcana.params : null);
 
         if (usageResult.success) {
           gameState.aiUsedCardThisTurn = true;
+          // The AI has no reveal to acknowledge, so deferred board changes land at once.
+          resolveDeferredArcanaEffects(chess, gameState);
 
           const humanId = gameState.playerIds.find((id) => !id.startsWith('AI-'));
           if (humanId) {
@@ -154,68 +220,37 @@ export async function performAIMoveLogic(gameState, ctx) {
 
   gameState.aiUsedCardThisTurn = false;
 
-  let candidateMoves = allMoves;
+  const candidateMoves = listCandidateMoves();
+  const findCandidate = (move) => candidateMoves.find((m) => m.from === move.from && m.to === move.to && (m.promotion || undefined) === (move.promotion || undefined));
 
-  candidateMoves = candidateMoves.filter((m) => {
-    if (m.piece !== 'p') return true;
-    const fromRank = parseInt(m.from[1], 10);
-    const toRank = parseInt(m.to[1], 10);
-    const isTwoSquareAdvance = Math.abs(toRank - fromRank) === 2;
-    if (!isTwoSquareAdvance) return true;
-    return !hasPawnLeftStartingSquareBefore(gameState, m.from, moverColor);
-  });
+  // Book moves are played without a search while no card effect is in play.
+  const bookMove = hasActiveArcanaEffects(gameState)
+    ? null
+    : pickBookMove(loadOpeningBook(), chess, random, settings.openingVariety);
+  let selectedMove = bookMove ? findCandidate(bookMove) : null;
 
-  if (shield) {
-    const filtered = candidateMoves.filter((m) => {
-      if (!m.captured) return true;
-      let capturedSquare = m.to;
-      if (m.flags && m.flags.includes('e')) {
-        capturedSquare = m.to[0] + m.from[1];
-      }
-      return capturedSquare !== shield.square;
-    });
-    if (filtered.length > 0) {
-      candidateMoves = filtered;
-    }
-  }
-
-  const sanctuarySquares = (gameState.activeEffects?.sanctuaries || []).map((s) => s.square);
-  const cursedSquares = (gameState.activeEffects?.cursedSquares || []).map((c) => c.square);
-
-  const avoidFiltered = candidateMoves.filter((m) => {
-    const dest = m.to;
-    if (sanctuarySquares.length > 0 && m.captured) {
-      if (sanctuarySquares.includes(m.to)) return false;
-    }
-
-    if (cursedSquares.length > 0) {
-      if (cursedSquares.includes(dest)) return false;
+  if (!selectedMove) {
+    // The search runs off the main thread; the game may end or move on while it does.
+    const fenBeforeSearch = chess.fen();
+    const searchResult = plannedSearch || await searchBestAiMove(gameState, moverColor, settings, candidateMoves);
+    if (searchResult?.cancelled || gameState.status !== 'ongoing' || chess.fen() !== fenBeforeSearch) {
+      return;
     }
-
-    return true;
-  });
-
-  if (avoidFiltered.length > 0) {
-    candidateMoves = avoidFiltered;
-  }
-
-  if (!candidateMoves || candidateMoves.length === 0) {
-    console.error('[AI] No candidate moves after filtering! Using all legal moves as fallback');
-    candidateMoves = allMoves;
-  }
-
-  const searchResult = selectBestAiMove(chess, gameState, moverColor, settings, candidateMoves);
-  let selectedMove = searchResult?.move || candidateMoves[0] || allMoves[0] || null;
-
-  const openingPly = Array.isArray(chess.history?.()) ? chess.history().length : 0;
-  const shouldExploreOpening = openingPly < 8 && candidateMoves.length > 1 && Math.random() < settings.explorationChance;
-  if (shouldExploreOpening) {
-    const ordered = orderAiMoves(candidateMoves, chess);
-    const poolSize = Math.max(1, Math.min(settings.openingVariety || 1, ordered.length));
-    const pool = ordered.slice(0, poolSize);
-    if (pool.length > 1) {
-      const pickIndex = Math.floor(Math.random() * Math.max(1, Math.min(settings.explorationPoolSize || pool.length, pool.length)));
-      selectedMove = pool[pickIndex] || selectedMove;
+    const searchedMove = searchResult?.move ? findCandidate(searchResult.move) : null;
+    selectedMove = searchedMove || candidateMoves[0] || allMoves[0] || null;
+
+    // Early moves out of book may still stray from the search's pick; tablebase moves
+    // (depth 0) are kept.
+    const openingPly = Array.isArray(chess.history?.()) ? chess.history().length : 0;
+    const shouldExploreOpening = openingPly < 8 && searchResult?.depth !== 0 && candidateMoves.length > 1 && random() < settings.explorationChance;
+    if (shouldExploreOpening) {
+      const ordered = orderAiMoves(candidateMoves, chess);
+      const poolSize = Math.max(1, Math.min(settings.openingVariety || 1, ordered.length));
+      const pool = ordered.slice(0, poolSize);
+      if (pool.length > 1) {
+        const pickIndex = Math.floor(random() * Math.max(1, Math.min(settings.explorationPoolSize || pool.length, pool.length)));
+        selectedMove = pool[pickIndex] || selectedMove;
+      }
     }
   }
 
@@ -298,12 +333,27 @@ export async function performAIMoveLogic(gameState, ctx) {
     });
   }
 
+  recordReplayEvent(gameState, 'move', {
+    playerId: aiSocketId,
+    move: {
+      from: result.from,
+      to: result.to,
+      san: result.san,
+      piece: result.piece,
+      color: result.color,
+      captured: result.captured || null,
+      promotion: result.promotion || null,
+      flags: result.flags,
+      cursed: !!result.cursed,
+    },
+  });
+
   if (!gameState.ascended && gameState.ascensionTrigger === 'firstCapture' && result.captured) {
     gameState.ascended = true;
 
     for (const pid of gameState.playerIds) {
-      const arcana = pickWeightedArcana();
-      const inst = makeArcanaInstance(arcana);
+      const arcana = drawArcanaFor(gameState, pid, () => pickWeightedArcana(random));
+      const inst = makeArcanaInstance(arcana, random);
       gameState.arcanaByPlayer[pid].push(inst);
     }
 
@@ -326,40 +376,28 @@ export async function performAIMoveLogic(gameState, ctx) {
   }
 }
 
-export async function tryAIUseArcana(gameState, aiSocketId, card, moverColor, ctx) {
+export async function tryAIUseArcana(gameState, aiSocketId, card, moverColor, searchedParams, ctx) {
   const { io, applyArcanaFn, logger, selectAiArcanaTarget } = ctx;
   const chess = gameState.chess;
-
-  const noTargetCards = new Set([
-    'pawn_rush', 'spectral_march', 'phantom_step', 'sharpshooter', 'vision',
-    'map_fragments', 'poison_touch', 'fog_of_war', 'time_freeze', 'divine_intervention',
-    'focus_fire', 'double_strike', 'berserker_rage', 'chain_lightning', 'necromancy',
-    'astral_rebirth', 'filtered_cycle', 'quiet_thought', 'en_passant_master',
-    'chaos_theory', 'time_travel', 'temporal_echo', 'queens_gambit', 'iron_fortress',
-  ]);
-
-  const turnEndingCards = [
-    'execution', 'astral_rebirth', 'necromancy',
-    'time_travel', 'chaos_theory', 'mind_control', 'breaking_point',
-    'royal_swap', 'promotion_ritual', 'cursed_square', 'sanctuary',
-  ];
+  const random = gameRandom(gameState);
 
   let params = {};
 
-  if (!noTargetCards.has(card.id)) {
-    if (card.id === 'peek_card') {
-      const opponentId = gameState.playerIds.find((id) => id !== aiSocketId);
-      if (!opponentId) return { success: false };
-      const opponentCards = gameState.arcanaByPlayer[opponentId] || [];
-      if (opponentCards.length === 0) return { success: false, error: 'No cards to peek' };
-      params.cardIndex = Math.floor(Math.random() * opponentCards.length);
-    } else {
-      const targetSquare = selectAiArcanaTarget(card.id, chess, gameState, moverColor);
-      if (!targetSquare) return { success: false };
-      params.targetSquare = targetSquare;
-      if (card.id === 'metamorphosis') {
-        params.newType = Math.random() < 0.5 ? 'n' : 'b';
-      }
+  if (searchedParams) {
+    // Targets chosen by the search (see selectBestAiAction).
+    params = { ...searchedParams };
+  } else if (card.id === 'peek_card') {
+    const opponentId = gameState.playerIds.find((id) => id !== aiSocketId);
+    if (!opponentId) return { success: false };
+    const opponentCards = gameState.arcanaByPlayer[opponentId] || [];
+    if (opponentCards.length === 0) return { success: false, error: 'No cards to peek' };
+    params.cardIndex = Math.floor(random() * opponentCards.length);
+  } else if (needsTargetSquare(card.id)) {
+    const targetSquare = selectAiArcanaTarget(card.id, chess, gameState, moverColor);
+    if (!targetSquare) return { success: false };
+    params.targetSquare = targetSquare;
+    if (card.id === 'metamorphosis') {
+      params.newType = random() < 0.5 ? 'n' : 'b';
     }
   }
 
@@ -375,7 +413,7 @@ export async function tryAIUseArcana(gameState, aiSocketId, card, moverColor, ct
   }
 
   if (appliedArcana.length > 0) {
-    return { success: true, endsTurn: turnEndingCards.includes(card.id) };
+    return { success: true, endsTurn: AI_TURN_ENDING_CARDS.has(card.id) };
   }
 
   return { success: false };
@@ -0,0 +1,263 @@
+import { Chess } from 'chess.js';
+
+/**
+ * Built-in endgame tablebases: king and queen, king and rook, and king and pawn against a lone
+ * king. Each table is solved by retrograde analysis the first time its ending comes up, then
+ * kept for the life of the process (a worker builds its own copy).
+ *
+ * Tables are indexed by side to move, stronger king, lone king and piece square, always with
+ * the stronger side as white; black-side positions are probed through the mirrored board.
+ * An entry is 0 for a draw, ILLEGAL for an impossible position, or one more than the number
+ * of plies to mate with perfect play (won for the stronger side, lost for the lone king).
+ */
+
+const ILLEGAL = 255;
+const TABLE_PIECES = ['q', 'r', 'p'];
+const SIDE_SIZE = 64 * 64 * 64;
+const STRONG = 0;
+const WEAK = 1;
+
+const fileOf = (sq) => sq & 7;
+const rankOf = (sq) => sq >> 3;
+const isAdjacent = (a, b) => Math.max(Math.abs(fileOf(a) - fileOf(b)), Math.abs(rankOf(a) - rankOf(b))) <= 1;
+const tableIndex = (side, strongKing, weakKing, piece) => side * SIDE_SIZE + strongKing * 4096 + weakKing * 64 + piece;
+
+const KING_STEPS = Array.from({ length: 64 }, (_, from) => {
+  const steps = [];
+  for (let df = -1; df <= 1; df += 1) {
+    for (let dr = -1; dr <= 1; dr += 1) {
+      if (!df && !dr) continue;
+      const file = fileOf(from) + df;
+      const rank = rankOf(from) + dr;
+      if (file >= 0 && file < 8 && rank >= 0 && rank < 8) steps.push(rank * 8 + file);
+    }
+  }
+  return steps;
+});
+
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const QUEEN_DIRECTIONS = [...ROOK_DIRECTIONS, [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Squares a queen or rook reaches from `from` with only `blocker` in the way, per direction.
+function slideRays(directions) {
+  return Array.from({ length: 64 }, (_, from) => directions.map(([df, dr]) => {
+    const ray = [];
+    let file = fileOf(from) + df;
+    let rank = rankOf(from) + dr;
+    while (file >= 0 && file < 8 && rank >= 0 && rank < 8) {
+      ray.push(rank * 8 + file);
+      file += df;
+      rank += dr;
+    }
+    return ray;
+  }));
+}
+
+const RAYS = { q: slideRays(QUEEN_DIRECTIONS), r: slideRays(ROOK_DIRECTIONS) };
+
+// Whether a white piece of `type` on `from` attacks `target`, blocked only by `blocker`.
+function pieceAttacks(type, from, target, blocker) {
+  if (type === 'p') {
+    return rankOf(target) === rankOf(from) + 1 && Math.abs(fileOf(target) - fileOf(from)) === 1;
+  }
+  for (const ray of RAYS[type][from]) {
+    for (const sq of ray) {
+      if (sq === target) return true;
+      if (sq === blocker) break;
+    }
+  }
+  return false;
+}
+
+function isLegalPosition(type, side, strongKing, weakKing, piece) {
+  if (strongKing === weakKing || piece === strongKing || piece === weakKing) return false;
+  if (isAdjacent(strongKing, weakKing)) return false;
+  if (type === 'p' && (rankOf(piece) === 0 || rankOf(piece) === 7)) return false;
+  // The side that just moved cannot have left the lone king in check.
+  if (side === STRONG && pieceAttacks(type, piece, weakKing, strongKing)) return false;
+  return true;
+}
+
+const tables = new Map();
+
+// Squares a lone king on `weakKing` may step to, capturing the piece included.
+function countKingMoves(type, strongKing, weakKing, piece) {
+  let count = 0;
+  for (const to of KING_STEPS[weakKing]) {
+    if (to === strongKing || isAdjacent(to, strongKing)) continue;
+    if (to === piece) return Infinity;
+    if (!pieceAttacks(type, piece, to, strongKing)) count += 1;
+  }
+  return count;
+}
+
+// Positions with the stronger side to move from which one of its moves reaches the given
+// position (lone king to move).
+function strongPredecessors(type, strongKing, weakKing, piece, visit) {
+  for (const from of KING_STEPS[strongKing]) {
+    if (from !== piece && from !== weakKing) visit(from, weakKing, piece);
+  }
+  if (type === 'p') {
+    const from = piece - 8;
+    if (rankOf(from) < 1 || from === strongKing || from === weakKing) return;
+    visit(strongKing, weakKing, from);
+    const doubleFrom = piece - 16;
+    if (rankOf(piece) === 3 && doubleFrom !== strongKing && doubleFrom !== weakKing) visit(strongKing, weakKing, doubleFrom);
+    return;
+  }
+  for (const ray of RAYS[type][piece]) {
+    for (const from of ray) {
+      if (from === strongKing || from === weakKing) break;
+      visit(strongKing, weakKing, from);
+    }
+  }
+}
+
+// Solves one ending backwards from its mates, one ply level at a time. Pawn endings also start
+// from the promotions, valued through the queen and rook tables.
+function buildTable(type) {
+  const table = new Uint8Array(SIDE_SIZE * 2);
+  // Unrefuted king moves per lone-king-to-move position; Infinity when it can take the piece.
+  const movesLeft = new Float32Array(SIDE_SIZE);
+  const levels = [];
+  const setValue = (index, value) => {
+    table[index] = value;
+    (levels[value] ||= []).push(index);
+  };
+
+  for (let strongKing = 0; strongKing < 64; strongKing += 1) {
+    for (let weakKing = 0; weakKing < 64; weakKing += 1) {
+      for (let piece = 0; piece < 64; piece += 1) {
+        for (const side of [STRONG, WEAK]) {
+          const index = tableIndex(side, strongKing, weakKing, piece);
+          if (!isLegalPosition(type, side, strongKing, weakKing, piece)) {
+            table[index] = ILLEGAL;
+            continue;
+          }
+          if (side === WEAK) {
+            movesLeft[index - SIDE_SIZE] = countKingMoves(type, strongKing, weakKing, piece);
+            if (!movesLeft[index - SIDE_SIZE] && pieceAttacks(type, piece, weakKing, strongKing)) setValue(index, 1);
+          }
+        }
+      }
+    }
+  }
+
+  if (type === 'p') {
+    const promoted = [getTable('q'), getTable('r')];
+    for (let strongKing = 0; strongKing < 64; strongKing += 1) {
+      for (let weakKing = 0; weakKing < 64; weakKing += 1) {
+        for (let piece = 48; piece < 56; piece += 1) {
+          const index = tableIndex(STRONG, strongKing, weakKing, piece);
+          const push = piece + 8;
+          if (table[index] === ILLEGAL || push === strongKing || push === weakKing) continue;
+          let best = 0;
+          for (const promotedTable of promoted) {
+            const value = promotedTable[tableIndex(WEAK, strongKing, weakKing, push)];
+            if (value && value !== ILLEGAL && (!best || value < best)) best = value;
+          }
+          if (best) setValue(index, best + 1);
+        }
+      }
+    }
+  }
+
+  for (let value = 1; value < levels.length; value += 1) {
+    for (const index of levels[value] || []) {
+      if (table[index] !== value) continue;
+      const piece = index & 63;
+      const weakKing = (index >> 6) & 63;
+      const strongKing = (index >> 12) & 63;
+      if (index >= SIDE_SIZE) {
+        // The lone king is lost here: every way the stronger side gets here wins.
+        strongPredecessors(type, strongKing, weakKing, piece, (fromKing, fromWeak, fromPiece) => {
+          const before = tableIndex(STRONG, fromKing, fromWeak, fromPiece);
+          if (table[before] === ILLEGAL || (table[before] && table[before] <= value + 1)) return;
+          setValue(before, value + 1);
+        });
+      } else {
+        // One more of the lone king's moves loses; with none left, the position is lost.
+        for (const from of KING_STEPS[weakKing]) {
+          const before = tableIndex(WEAK, strongKing, from, piece);
+          if (table[before] || from === piece) continue;
+          movesLeft[before - SIDE_SIZE] -= 1;
+          if (!movesLeft[before - SIDE_SIZE]) setValue(before, value + 1);
+        }
+      }
+    }
+  }
+  return table;
+}
+
+function getTable(type) {
+  if (!tables.has(type)) tables.set(type, buildTable(type));
+  return tables.get(type);
+}
+
+const toIndex = (square) => (Number(square[1]) - 1) * 8 + (square.charCodeAt(0) - 97);
+
+/**
+ * Looks a position up.
+ * @param {Chess} chess
+ * @returns {{ wdl: -1|0|1, plies: number }|null} Result for the side to move and plies to
+ *   mate, or null when the material is not covered
+ */
+export function probeTablebase(chess) {
+  const pieces = [];
+  for (const row of chess.board()) {
+    for (const cell of row) {
+      if (cell) pieces.push(cell);
+    }
+  }
+  const extras = pieces.filter((piece) => piece.type !== 'k');
+  if (pieces.length - extras.length !== 2 || extras.length > 1) return null;
+  if (!extras.length || extras[0].type === 'n' || extras[0].type === 'b') return { wdl: 0, plies: 0 };
+  if (!TABLE_PIECES.includes(extras[0].type)) return null;
+
+  const strongColor = extras[0].color;
+  // Mirror black's material onto white: flip the ranks.
+  const square = (sq) => (strongColor === 'w' ? toIndex(sq) : toIndex(sq) ^ 56);
+  const kingOf = (color) => pieces.find((piece) => piece.type === 'k' && piece.color === color).square;
+  const side = chess.turn() === strongColor ? STRONG : WEAK;
+  const value = getTable(extras[0].type)[tableIndex(side, square(kingOf(strongColor)), square(kingOf(strongColor === 'w' ? 'b' : 'w')), square(extras[0].square))];
+  if (value === ILLEGAL) return null;
+  if (!value) return { wdl: 0, plies: 0 };
+  return { wdl: side === STRONG ? 1 : -1, plies: value - 1 };
+}
+
+/**
+ * Ranks moves by tablebase result: the quickest win, else any draw, else the longest loss.
+ * @param {Chess} chess - Position before the moves
+ * @param {Object[]} moves - Candidate moves (`from`, `to`, `promotion`)
+ * @returns {{ moves: Object[], wdl: -1|0|1, plies: number }|null} The moves sharing the best
+ *   result, or null when the position or a reply is not covered
+ */
+export function rankTablebaseMoves(chess, moves) {
+  if (!probeTablebase(chess)) return null;
+  const ranked = [];
+  for (const move of moves) {
+    const next = new Chess(chess.fen());
+    try {
+      next.move({ from: move.from, to: move.to, promotion: move.promotion });
+    } catch {
+      return null;
+    }
+    let wdl = 0;
+    let plies = 0;
+    if (next.isCheckmate()) {
+      wdl = 1;
+      plies = 1;
+    } else if (!next.isDraw()) {
+      const reply = probeTablebase(next);
+      if (!reply) return null;
+      wdl = -reply.wdl;
+      plies = reply.plies + 1;
+    }
+    // Quicker wins and slower losses sort first; draws sit between.
+    ranked.push({ move, wdl, plies, rank: wdl > 0 ? 1000 - plies : wdl < 0 ? -1000 + plies : 0 });
+  }
+  if (!ranked.length) return null;
+  ranked.sort((a, b) => b.rank - a.rank);
+  const best = ranked[0];
+  return { moves: ranked.filter((entry) => entry.rank === best.rank).map((entry) => entry.move), wdl: best.wdl, plies: best.plies };
+}
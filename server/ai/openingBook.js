@@ -0,0 +1,120 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Chess } from 'chess.js';
+
+/**
+ * Opening book for the AI.
+ *
+ * A book is a text file with one opening line per row: SAN moves from the starting position,
+ * optionally led by a weight ("3 e4 e5 Nf3 Nc6 Bb5"; the default weight is 1). Text after `#`
+ * is a comment. Lines that share positions add up, so transpositions are found whichever
+ * order the moves came in. The server reads `AI_OPENING_BOOK` when set, otherwise the
+ * bundled `data/openings.txt`.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_BOOK_PATH = path.join(__dirname, 'data', 'openings.txt');
+
+const books = new Map(); // file path -> parsed book
+
+// Board, side to move, castling and en passant: the move counters do not change the book move.
+function bookPositionKey(chess) {
+  return chess.fen().split(' ').slice(0, 4).join(' ');
+}
+
+/**
+ * Parses book text.
+ * @param {string} text
+ * @returns {{ positions: Map<string, Map<string, Object>>, invalidLines: number[] }} Book moves
+ *   (`{ from, to, promotion, san, weight }`) by position, and the 1-based rows that did not parse
+ */
+export function parseOpeningBook(text) {
+  const positions = new Map();
+  const invalidLines = [];
+
+  String(text).split(/\r?\n/).forEach((row, rowIndex) => {
+    const tokens = row.replace(/#.*/, '').trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) return;
+    const weight = /^\d+$/.test(tokens[0]) ? Number(tokens.shift()) : 1;
+    if (!weight || !tokens.length) {
+      invalidLines.push(rowIndex + 1);
+      return;
+    }
+
+    const chess = new Chess();
+    const line = [];
+    try {
+      for (const san of tokens) {
+        const key = bookPositionKey(chess);
+        const move = chess.move(san);
+        line.push({ key, move });
+      }
+    } catch {
+      invalidLines.push(rowIndex + 1);
+      return;
+    }
+
+    for (const { key, move } of line) {
+      if (!positions.has(key)) positions.set(key, new Map());
+      const moves = positions.get(key);
+      const entry = moves.get(move.san) || { from: move.from, to: move.to, promotion: move.promotion, san: move.san, weight: 0 };
+      entry.weight += weight;
+      moves.set(move.san, entry);
+    }
+  });
+
+  return { positions, invalidLines };
+}
+
+/**
+ * Reads a book file once per process. A missing or unreadable file gives an empty book.
+ * @param {string} [filePath]
+ * @returns {{ positions: Map<string, Map<string, Object>>, invalidLines: number[] }}
+ */
+export function loadOpeningBook(filePath = process.env.AI_OPENING_BOOK || DEFAULT_BOOK_PATH) {
+  if (books.has(filePath)) return books.get(filePath);
+  let book;
+  try {
+    book = parseOpeningBook(fs.readFileSync(filePath, 'utf8'));
+    if (book.invalidLines.length) {
+      console.warn(`[AI] Opening book ${filePath}: skipped unreadable lines ${book.invalidLines.join(', ')}`);
+    }
+  } catch (err) {
+    console.warn(`[AI] Opening book ${filePath} not loaded:`, err.message);
+    book = { positions: new Map(), invalidLines: [] };
+  }
+  books.set(filePath, book);
+  return book;
+}
+
+/**
+ * Book moves for a position, most played first.
+ * @param {Object} book - From parseOpeningBook or loadOpeningBook
+ * @param {Chess} chess
+ * @returns {Object[]} `{ from, to, promotion, san, weight }`; empty when out of book
+ */
+export function getBookMoves(book, chess) {
+  const moves = book?.positions.get(bookPositionKey(chess));
+  return moves ? [...moves.values()].sort((a, b) => b.weight - a.weight) : [];
+}
+
+/**
+ * Picks a book move by weight from the `variety` most played ones.
+ * @param {Object} book
+ * @param {Chess} chess
+ * @param {Function} random - Returns a number in [0, 1)
+ * @param {number} [variety] - How many of the top moves may be picked
+ * @returns {Object|null} The book move, or null when out of book
+ */
+export function pickBookMove(book, chess, random, variety = 1) {
+  const pool = getBookMoves(book, chess).slice(0, Math.max(1, variety));
+  if (!pool.length) return null;
+  const total = pool.reduce((sum, move) => sum + move.weight, 0);
+  let roll = random() * total;
+  for (const move of pool) {
+    roll -= move.weight;
+    if (roll < 0) return move;
+  }
+  return pool[pool.length - 1];
+}
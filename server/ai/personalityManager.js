@@ -0,0 +1,104 @@
+import { randomBytes } from 'crypto';
+import {
+  BUILT_IN_AI_PERSONALITIES,
+  cleanAiPersonality,
+  getBuiltInAiPersonality,
+  validateAiPersonality,
+} from '../../shared/aiPersonalities.js';
+
+/**
+ * Custom AI personalities. Signed-in players save their own next to the built-in ones (see
+ * shared/aiPersonalities.js); anyone may start a game against a saved personality by id.
+ *
+ * Stored shape: the cleaned personality plus `ownerId` (the account's playerId) and `updatedAt`.
+ */
+
+const MAX_PERSONALITIES_PER_OWNER = 20;
+
+const withoutOwner = ({ ownerId: _ownerId, updatedAt: _updatedAt, ...personality }) => personality;
+
+export class AiPersonalityManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.store] - Personality store (see ai/personalityStore.js); null keeps them in memory
+   */
+  constructor({ store = null } = {}) {
+    this.store = store;
+    this.personalities = new Map(); // id -> stored personality
+    for (const personality of store?.loadAll() || []) this.personalities.set(personality.id, personality);
+  }
+
+  /**
+   * Built-in personalities, then the owner's own.
+   * @param {string|null} ownerId
+   * @returns {Object[]} Each with `builtIn: true|false`
+   */
+  list(ownerId = null) {
+    const own = ownerId
+      ? [...this.personalities.values()]
+        .filter((personality) => personality.ownerId === ownerId)
+        .sort((a, b) => a.name.localeCompare(b.name))
+      : [];
+    return [
+      ...BUILT_IN_AI_PERSONALITIES.map((personality) => ({ ...personality, builtIn: true })),
+      ...own.map((personality) => ({ ...withoutOwner(personality), builtIn: false })),
+    ];
+  }
+
+  /**
+   * Creates or updates one of the owner's personalities. An id that is not the owner's
+   * (or no id) creates a new one.
+   * @param {string} ownerId
+   * @param {Object} personality
+   * @returns {Object} The saved personality
+   */
+  save(ownerId, personality) {
+    if (!ownerId) throw new Error('Sign in to save AI personalities');
+    const result = validateAiPersonality(personality);
+    if (!result.valid) throw new Error(result.errors[0]);
+
+    const existing = this.personalities.get(personality.id);
+    const updating = existing?.ownerId === ownerId;
+    if (!updating && this._countOwnedBy(ownerId) >= MAX_PERSONALITIES_PER_OWNER) {
+      throw new Error(`At most ${MAX_PERSONALITIES_PER_OWNER} saved personalities`);
+    }
+
+    const id = updating ? existing.id : `custom-${randomBytes(6).toString('hex')}`;
+    const stored = { ...cleanAiPersonality(personality), id, ownerId, updatedAt: Date.now() };
+    this.personalities.set(id, stored);
+    this.store?.save(stored);
+    return withoutOwner(stored);
+  }
+
+  remove(ownerId, id) {
+    const existing = this.personalities.get(id);
+    if (!existing || existing.ownerId !== ownerId) throw new Error('No such personality');
+    this.personalities.delete(id);
+    this.store?.remove(id);
+  }
+
+  /**
+   * Turns an AI game payload's `personality` into a personality for the game.
+   * Accepts a built-in or saved id, an unsaved personality object, or nothing.
+   * @returns {Object|null} null means "plain difficulty level"
+   */
+  resolve(choice) {
+    if (choice === null || choice === undefined || choice === '') return null;
+    if (typeof choice === 'string') {
+      const found = getBuiltInAiPersonality(choice) || this.personalities.get(choice);
+      if (!found) throw new Error(`Unknown AI personality: ${choice}`);
+      return withoutOwner(found);
+    }
+    const result = validateAiPersonality(choice);
+    if (!result.valid) throw new Error(result.errors[0]);
+    return { ...cleanAiPersonality(choice), id: null };
+  }
+
+  _countOwnedBy(ownerId) {
+    let count = 0;
+    for (const personality of this.personalities.values()) {
+      if (personality.ownerId === ownerId) count += 1;
+    }
+    return count;
+  }
+}
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Storage for custom AI personalities, mirroring accounts/accountStore.js.
+ *
+ * Every store implements the same synchronous interface:
+ *   save(personality) - upsert a personality keyed by `personality.id`
+ *   remove(id)        - delete a personality
+ *   loadAll()         - every stored personality (used once on boot)
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data', 'personalities');
+const SAFE_PERSONALITY_ID = /^[A-Za-z0-9_-]+$/;
+
+function assertSafePersonalityId(id) {
+  if (typeof id !== 'string' || !SAFE_PERSONALITY_ID.test(id)) {
+    throw new Error(`Invalid personality id for storage: ${id}`);
+  }
+}
+
+/** One JSON file per personality, written atomically like the game store. */
+export class FilePersonalityStore {
+  constructor(directory = DEFAULT_DATA_DIR) {
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  _pathFor(id) {
+    assertSafePersonalityId(id);
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  save(personality) {
+    const target = this._pathFor(personality.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(personality, null, 2));
+    fs.renameSync(temp, target);
+  }
+
+  remove(id) {
+    fs.rmSync(this._pathFor(id), { force: true });
+  }
+
+  loadAll() {
+    const personalities = [];
+    for (const name of fs.readdirSync(this.directory)) {
+      const fullPath = path.join(this.directory, name);
+      if (name.endsWith('.tmp')) {
+        fs.rmSync(fullPath, { force: true });
+        continue;
+      }
+      if (!name.endsWith('.json')) continue;
+      try {
+        personalities.push(JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+      } catch (err) {
+        console.warn('[WARN]', `Skipping unreadable personality ${name}:`, err.message);
+      }
+    }
+    return personalities;
+  }
+}
+
+/** Keeps personalities in memory only; useful for tests and throwaway servers. */
+export class MemoryPersonalityStore {
+  constructor() {
+    this.personalities = new Map();
+  }
+
+  save(personality) {
+    this.personalities.set(personality.id, JSON.parse(JSON.stringify(personality)));
+  }
+
+  remove(id) {
+    this.personalities.delete(id);
+  }
+
+  loadAll() {
+    return Array.from(this.personalities.values(), (personality) => JSON.parse(JSON.stringify(personality)));
+  }
+}
+
+/**
+ * Creates the configured personality store.
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'file' (default) or 'memory'. Defaults to ARCANA_PERSONALITY_STORE.
+ * @param {string} [options.directory] - Directory for the file store. Defaults to ARCANA_DATA_DIR/personalities.
+ * @returns {FilePersonalityStore|MemoryPersonalityStore}
+ */
+export function createPersonalityStore({ driver = process.env.ARCANA_PERSONALITY_STORE || 'file', directory } = {}) {
+  switch (String(driver).toLowerCase()) {
+    case 'memory':
+      return new MemoryPersonalityStore();
+    case 'file': {
+      const dataDir = directory || (process.env.ARCANA_DATA_DIR ? path.join(process.env.ARCANA_DATA_DIR, 'personalities') : DEFAULT_DATA_DIR);
+      return new FilePersonalityStore(dataDir);
+    }
+    default:
+      throw new Error(`Unknown personality store driver: ${driver}`);
+  }
+}
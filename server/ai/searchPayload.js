@@ -0,0 +1,78 @@
+import { Chess } from 'chess.js';
+import { createAiCore } from './aiCore.js';
+import { safeLoadFen } from '../arcana/fenLoader.js';
+import { createGameSnapshot } from '../persistence/gameSnapshot.js';
+
+const { selectBestAiAction } = createAiCore({ safeLoadFen });
+
+const toPlainMove = (move) => ({
+  from: move.from,
+  to: move.to,
+  promotion: move.promotion || undefined,
+  san: move.san,
+  piece: move.piece,
+  color: move.color,
+  captured: move.captured || undefined,
+  flags: move.flags,
+});
+
+// Copies of a card play the same, so the search only needs the first of each.
+function firstCopies(hand) {
+  const seen = new Set();
+  return hand
+    .filter((card) => !seen.has(card.id) && seen.add(card.id))
+    .map((card) => ({ id: card.id, instanceId: card.instanceId ?? null }));
+}
+
+/**
+ * Builds the structured-clone-safe input for a search: the position plus a snapshot of the
+ * game state, which card simulations run against. Nothing here references the live game.
+ * Hands are reduced to card ids (and instance ids for the searching player), and the hand to
+ * search keeps one copy of each card, with `handSize` counting them all; an Arcana Overflow hand
+ * holds hundreds of copies. The replay log, clock and RNG stay behind; card simulations roll
+ * from their own generator (see simulateAiArcana in aiCore.js).
+ * @param {Object} gameState
+ * @param {'w'|'b'} color - Side to search for
+ * @param {Object} config - AI difficulty config
+ * @param {Object[]} rootMoves - Candidate moves at the root
+ * @param {number} budgetMs - Time the search may take once a worker starts it
+ * @param {Object} [arcana] - `{ playerId, hand }` to search card plays from that hand
+ * @returns {Object}
+ */
+export function toSearchPayload(gameState, color, config, rootMoves, budgetMs, arcana = null) {
+  const { replayLog: _replayLog, clock: _clock, rng: _rng, ...state } = createGameSnapshot(gameState).state;
+  state.arcanaByPlayer = Object.fromEntries(
+    Object.entries(state.arcanaByPlayer || {}).map(([pid, hand]) => [
+      pid,
+      pid === arcana?.playerId
+        ? (hand || []).map((card) => ({ id: card.id, instanceId: card.instanceId ?? null }))
+        : (hand || []).map((card) => ({ id: card.id })),
+    ])
+  );
+  return {
+    fen: gameState.chess.fen(),
+    color,
+    config: { ...config },
+    rootMoves: (rootMoves || []).map(toPlainMove),
+    budgetMs,
+    context: state,
+    arcana: arcana ? { playerId: arcana.playerId, hand: firstCopies(arcana.hand), handSize: arcana.hand.length } : null,
+  };
+}
+
+/**
+ * Runs a search payload. Used by the worker and by the pool's inline fallback.
+ * @param {Object} payload - From toSearchPayload
+ * @param {Function} [shouldStop] - Returns true to end the search with the deepest completed iteration
+ * @returns {{ move: Object|null, score: number, depth: number, arcana: Object|null }|null}
+ */
+export function runSearchPayload(payload, shouldStop = null) {
+  const chess = new Chess();
+  safeLoadFen(chess, payload.fen);
+  const gameState = { ...payload.context, chess };
+  return selectBestAiAction(chess, gameState, payload.color, payload.config, payload.rootMoves, {
+    budgetMs: payload.budgetMs,
+    shouldStop,
+    arcana: payload.arcana,
+  });
+}
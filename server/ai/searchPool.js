@@ -0,0 +1,227 @@
+import { Worker } from 'node:worker_threads';
+import os from 'node:os';
+import { runSearchPayload } from './searchPayload.js';
+
+/**
+ * Worker-thread pool for AI move searches.
+ *
+ * Each job gets a shared stop flag the worker polls between nodes: STOP ends the search with
+ * the deepest completed iteration, CANCEL discards it (the game ended or was forfeited). At
+ * most `perGameLimit` searches run per game; the rest wait in order. With
+ * `AI_SEARCH_WORKERS=0`, or when workers cannot start, searches run inline instead.
+ */
+
+export const SEARCH_STOP = 1;
+export const SEARCH_CANCEL = 2;
+
+// Clock share an AI may spend on one search, and the floor when the clock is nearly out.
+const CLOCK_BUDGET_DIVISOR = 20;
+const MIN_SEARCH_BUDGET_MS = 50;
+// Share of the clock a search may use up, waiting in the queue included, before it is stopped.
+const CLOCK_STOP_SHARE = 0.5;
+
+const WORKER_URL = new URL('./searchWorker.js', import.meta.url);
+
+function defaultPoolSize() {
+  const configured = process.env.AI_SEARCH_WORKERS;
+  if (configured !== undefined && configured !== '') return Math.max(0, Number(configured) || 0);
+  return Math.max(1, os.cpus().length - 1);
+}
+
+/**
+ * Search time for one AI move: the level's budget, cut down when the AI's clock runs low.
+ * @param {Object} config - AI difficulty config
+ * @param {number|null} remainingMs - The AI's clock, or null for untimed games
+ * @returns {number}
+ */
+export function getAiSearchBudgetMs(config, remainingMs = null) {
+  if (typeof remainingMs !== 'number' || !Number.isFinite(remainingMs)) return config.searchBudgetMs;
+  const clockShare = Math.max(MIN_SEARCH_BUDGET_MS, Math.floor(remainingMs / CLOCK_BUDGET_DIVISOR));
+  return Math.min(config.searchBudgetMs, clockShare);
+}
+
+/**
+ * Time after queuing at which a timed AI's search is stopped, however long it waited for a
+ * worker. Budgets only start once a worker picks the search up, so this bounds the wait too.
+ * @param {number} remainingMs - The AI's clock when the search is queued
+ * @returns {number}
+ */
+export function getAiSearchStopMs(remainingMs) {
+  return Math.max(MIN_SEARCH_BUDGET_MS, Math.floor(remainingMs * CLOCK_STOP_SHARE));
+}
+
+export class AiSearchPool {
+  constructor({ size = defaultPoolSize(), perGameLimit = 1 } = {}) {
+    this.size = size;
+    this.perGameLimit = Math.max(1, perGameLimit);
+    this.slots = []; // { worker, job }
+    this.queue = [];
+    this.jobsByGame = new Map(); // gameId -> Set of queued and running jobs
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Queues a search for a game.
+   * @param {string} gameId
+   * @param {Object} payload - From toSearchPayload
+   * @returns {Promise<{ move: Object|null, score: number, depth: number, cancelled: boolean }>}
+   */
+  search(gameId, payload) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId++,
+        gameId,
+        payload,
+        flag: new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT)),
+        running: false,
+        settled: false,
+        resolve,
+        reject,
+      };
+      if (!this.jobsByGame.has(gameId)) this.jobsByGame.set(gameId, new Set());
+      this.jobsByGame.get(gameId).add(job);
+      this.queue.push(job);
+      this._drain();
+    });
+  }
+
+  // Ends a game's running searches now with their best completed depth.
+  stopGame(gameId) {
+    for (const job of this.jobsByGame.get(gameId) || []) {
+      Atomics.compareExchange(job.flag, 0, 0, SEARCH_STOP);
+    }
+  }
+
+  // Drops a game's searches. Their promises resolve at once with `cancelled: true`.
+  cancelGame(gameId) {
+    const jobs = this.jobsByGame.get(gameId);
+    if (!jobs) return;
+    for (const job of jobs) {
+      Atomics.store(job.flag, 0, SEARCH_CANCEL);
+      this._settle(job, { move: null, score: 0, depth: 0, cancelled: true });
+    }
+    this.queue = this.queue.filter((job) => job.gameId !== gameId);
+  }
+
+  activeSearches(gameId) {
+    return [...(this.jobsByGame.get(gameId) || [])].filter((job) => job.running).length;
+  }
+
+  async close() {
+    const slots = this.slots;
+    this.slots = [];
+    await Promise.all(slots.map((slot) => slot.worker.terminate()));
+  }
+
+  _drain() {
+    for (let i = 0; i < this.queue.length; ) {
+      const job = this.queue[i];
+      if (this.activeSearches(job.gameId) >= this.perGameLimit) {
+        i += 1;
+        continue;
+      }
+      if (this.size === 0) {
+        this.queue.splice(i, 1);
+        this._runInline(job);
+        continue;
+      }
+      const slot = this._takeSlot();
+      if (!slot) return;
+      this.queue.splice(i, 1);
+      this._start(slot, job);
+    }
+  }
+
+  _takeSlot() {
+    const idle = this.slots.find((slot) => !slot.job);
+    if (idle) return idle;
+    if (this.slots.length >= this.size) return null;
+    try {
+      return this._spawn();
+    } catch (err) {
+      console.error('[AI] Search workers unavailable, searching inline:', err.message);
+      this.size = 0;
+      return null;
+    }
+  }
+
+  _spawn() {
+    const slot = { worker: new Worker(WORKER_URL), job: null };
+    slot.worker.unref();
+    slot.worker.on('message', ({ jobId, result, error }) => {
+      const job = slot.job;
+      if (!job || job.id !== jobId) return;
+      this._release(slot);
+      if (error) this._fail(job, new Error(error));
+      else this._settle(job, { ...result, cancelled: false });
+    });
+    slot.worker.on('error', (err) => {
+      const job = slot.job;
+      this.slots = this.slots.filter((other) => other !== slot);
+      if (job) {
+        slot.job = null;
+        job.running = false;
+        this._fail(job, err);
+      }
+      this._drain();
+    });
+    this.slots.push(slot);
+    return slot;
+  }
+
+  _start(slot, job) {
+    slot.job = job;
+    job.running = true;
+    // Only busy workers keep the process alive.
+    slot.worker.ref();
+    slot.worker.postMessage({ jobId: job.id, payload: job.payload, flagBuffer: job.flag.buffer });
+  }
+
+  _release(slot) {
+    slot.job.running = false;
+    slot.job = null;
+    slot.worker.unref();
+    // Drained after the result is delivered, so the caller sees it before new work starts.
+    queueMicrotask(() => this._drain());
+  }
+
+  _runInline(job) {
+    job.running = true;
+    try {
+      const result = runSearchPayload(job.payload, () => Atomics.load(job.flag, 0) !== 0);
+      job.running = false;
+      this._settle(job, { ...result, cancelled: false });
+    } catch (err) {
+      job.running = false;
+      this._fail(job, err);
+    }
+  }
+
+  _forget(job) {
+    const jobs = this.jobsByGame.get(job.gameId);
+    if (!jobs) return;
+    // Running jobs stay counted against the game until their worker is free again.
+    if (!job.running) jobs.delete(job);
+    if (jobs.size === 0) this.jobsByGame.delete(job.gameId);
+  }
+
+  _settle(job, result) {
+    if (job.settled) {
+      this._forget(job);
+      return;
+    }
+    job.settled = true;
+    this._forget(job);
+    job.resolve(result);
+  }
+
+  _fail(job, err) {
+    if (job.settled) {
+      this._forget(job);
+      return;
+    }
+    job.settled = true;
+    this._forget(job);
+    job.reject(err);
+  }
+}
@@ -0,0 +1,14 @@
+import { parentPort } from 'node:worker_threads';
+import { runSearchPayload } from './searchPayload.js';
+
+// Search worker for ai/searchPool.js. The search is synchronous, so stop requests arrive
+// through the job's shared flag rather than as messages.
+parentPort.on('message', ({ jobId, payload, flagBuffer }) => {
+  const flag = new Int32Array(flagBuffer);
+  try {
+    const result = runSearchPayload(payload, () => Atomics.load(flag, 0) !== 0);
+    parentPort.postMessage({ jobId, result });
+  } catch (err) {
+    parentPort.postMessage({ jobId, error: err.message });
+  }
+});
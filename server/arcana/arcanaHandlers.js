@@ -1,6 +1,11 @@
 import { Chess } from 'chess.js';
 import { pickWeightedArcana, pickWeightedArcanaForSacrifice, pickCommonOrUncommonArcana, pickCommonOrUncommonArcanaByCategory, getAdjacentSquares, makeArcanaInstance } from './arcanaUtils.js';
 import { validateArcanaUse } from '../../shared/arcana/arcanaContracts.js';
+import { applyArcanaEffectSpec } from '../../shared/arcana/effects/effectInterpreter.js';
+import { getPiecesDiagonalFromBishop } from '../../shared/arcana/moveGenerator.js';
+import { recordReplayEvent } from '../replay/replayLog.js';
+import { gameRandom } from '../rng/seededRng.js';
+import { drawArcanaFor } from './drawPile.js';
 
 /**
  * Validates arcana targeting before applying effects
@@ -132,6 +137,17 @@ export function applyArcana(socketId, gameState, arcanaUsed, moveResult, io) {
     indicesToRemove.push(defIndex); // Remove only after successful application
     appliedDefs.push({ def, params });
 
+    // Replay log keeps the requested params (to re-apply the action) and the resolved
+    // result (targets and RNG outcomes such as Chaos Theory shuffles).
+    const { preArcanaFen: _preArcanaFen, ...resolvedParams } = params || {};
+    recordReplayEvent(gameState, 'arcana', {
+      playerId: socketId,
+      arcanaId: def.id,
+      instanceId: def.instanceId ?? null,
+      params: use.params || {},
+      result: resolvedParams,
+    });
+
     // Notify players; send full params only to the owner to avoid leaking private info
     // Exception: For cutscene cards, include square info so all players can see camera focus correctly
     if (io) {
@@ -240,11 +256,15 @@ export function applyArcana(socketId, gameState, arcanaUsed, moveResult, io) {
 }
 
 /**
- * Apply a single arcana effect
+ * Apply a single arcana effect. Cards with a declarative spec (shared/arcana/effects) run
+ * through the shared interpreter; the rest keep their hand-written handlers below.
  */
 function applyArcanaEffect(arcanaId, context) {
   const { chess, gameState, socketId, moverColor, moveResult, params, io } = context;
 
+  const specResult = applyArcanaEffectSpec(arcanaId, { chess, gameState, moverColor, params });
+  if (specResult) return specResult.ok ? { params: specResult.params } : null;
+
   switch (arcanaId) {
     // === DEFENSE CARDS ===
     case 'shield_pawn':
@@ -255,50 +275,22 @@ function applyArcanaEffect(arcanaId, context) {
       return applySquireSupport(context);
     case 'bishops_blessing':
       return applyBishopsBlessing(context);
-    case 'time_freeze':
-      return applyTimeFreeze(context);
-    case 'divine_intervention':
-      return applyDivineIntervention(context);
     case 'iron_fortress':
       return applyIronFortress(context);
-    case 'sanctuary':
-      return applySanctuary(context);
       
     // === MOVEMENT CARDS ===
-    case 'soft_push':
-      return applySoftPush(context);
-    case 'spectral_march':
-      return applySpectralMarch(context);
-    case 'knight_of_storms':
-      return applyKnightOfStorms(context);
-    case 'queens_gambit':
-      return applyQueensGambit(context);
-    case 'phantom_step':
-      return applyPhantomStep(context);
     case 'royal_swap':
       return applyRoyalSwap(context);
-    case 'pawn_rush':
-      return applyPawnRush(context);
     case 'temporal_echo':
       return applyTemporalEcho(context);
       
     // === OFFENSE CARDS ===
-    case 'focus_fire':
-      return applyFocusFire(context);
     case 'double_strike':
       return applyDoubleStrike(context);
-    case 'poison_touch':
-      return applyPoisonTouch(context);
-    case 'sharpshooter':
-      return applySharpshooter(context);
     case 'berserker_rage':
       return applyBerserkerRage(context);
     case 'execution':
       return applyExecution(context);
-    case 'chain_lightning':
-      return applyChainLightning(context);
-    case 'castle_breaker':
-      return applyCastleBreaker(context);
       
     // === RESURRECTION / TRANSFORMATION ===
     case 'astral_rebirth':
@@ -331,10 +323,6 @@ function applyArcanaEffect(arcanaId, context) {
       return applyPeekCard(context);
     case 'antidote':
       return applyAntidote(context);
-    case 'fog_of_war':
-      return applyFogOfWar(context);
-    case 'cursed_square':
-      return applyCursedSquare(context);
     case 'time_travel':
       return applyTimeTravel(context);
     case 'chaos_theory':
@@ -345,8 +333,6 @@ function applyArcanaEffect(arcanaId, context) {
       return applyBreakingPoint(context);
     case 'edgerunner_overdrive':
       return applyEdgerunnerOverdrive(context);
-    case 'en_passant_master':
-      return applyEnPassantMaster(context);
       
     default:
       return null;
@@ -464,37 +450,6 @@ function applyBishopsBlessing({ chess, gameState, moverColor, moveResult, params
   return null;
 }
 
-// Helper: Get all friendly pieces on all 4 diagonals from a bishop position
-function getPiecesDiagonalFromBishop(chess, bishopSquare, color) {
-  const protectedSquares = [];
-  if (!bishopSquare) return protectedSquares;
-
-  const file = bishopSquare.charCodeAt(0) - 97;
-  const rank = parseInt(bishopSquare[1], 10);
-  const directions = [
-    { df: 1, dr: 1 },
-    { df: -1, dr: 1 },
-    { df: 1, dr: -1 },
-    { df: -1, dr: -1 },
-  ];
-
-  for (const dir of directions) {
-    let f = file + dir.df;
-    let r = rank + dir.dr;
-
-    while (f >= 0 && f < 8 && r >= 1 && r <= 8) {
-      const square = `${String.fromCharCode(97 + f)}${r}`;
-      const piece = chess.get(square);
-      if (piece && piece.color !== color) break;
-      if (piece && piece.color === color) protectedSquares.push(square);
-      f += dir.df;
-      r += dir.dr;
-    }
-  }
-
-  return protectedSquares;
-}
-
 function applyTemporalEcho({ gameState, moverColor }) {
   const ownLastMove = gameState?.lastMoveByColor?.[moverColor] || gameState?.lastMove;
   if (ownLastMove && ownLastMove.from && ownLastMove.to) {
@@ -519,71 +474,6 @@ function applyTemporalEcho({ gameState, moverColor }) {
   return null;
 }
 
-function applyTimeFreeze({ gameState, moverColor }) {
-  const opponentColor = moverColor === 'w' ? 'b' : 'w';
-  gameState.activeEffects.timeFreezeArcanaLock = { w: false, b: false };
-  gameState.activeEffects.timeFrozen = { w: false, b: false };
-  gameState.activeEffects.timeFrozen[opponentColor] = true;
-  return { params: { frozenColor: opponentColor } };
-}
-
-function applyDivineIntervention({ gameState, moverColor }) {
-  if (!moverColor) return null;
-  gameState.activeEffects.divineIntervention = gameState.activeEffects.divineIntervention || { w: false, b: false };
-  gameState.activeEffects.divineIntervention[moverColor] = { active: true, used: false };
-  return { params: { color: moverColor } };
-}
-
-function applySanctuary({ gameState, params }) {
-  const targetSquare = params?.targetSquare || params?.square;
-  if (!targetSquare) return null;
-  gameState.activeEffects.sanctuaries = Array.isArray(gameState.activeEffects.sanctuaries)
-    ? gameState.activeEffects.sanctuaries
-    : [];
-  gameState.activeEffects.sanctuaries.push({ square: targetSquare, turns: 4 });
-  return { params: { square: targetSquare } };
-}
-
-function applySpectralMarch({ gameState, moverColor }) {
-  if (!moverColor) return null;
-  gameState.activeEffects.spectralMarch = gameState.activeEffects.spectralMarch || { w: false, b: false };
-  gameState.activeEffects.spectralMarch[moverColor] = true;
-  return { params: { color: moverColor } };
-}
-
-function applyKnightOfStorms({ chess, gameState, moverColor, params }) {
-  const targetSquare = params?.targetSquare || params?.pieceSquare;
-  if (!targetSquare || !moverColor) return null;
-
-  const knight = chess.get(targetSquare);
-  if (!knight || knight.type !== 'n' || knight.color !== moverColor) return null;
-
-  gameState.activeEffects.knightOfStorms = gameState.activeEffects.knightOfStorms || { w: null, b: null };
-  gameState.activeEffects.knightOfStorms[moverColor] = targetSquare;
-  return { params: { knightSquare: targetSquare, color: moverColor } };
-}
-
-function applyQueensGambit({ gameState, moverColor }) {
-  if (!moverColor) return null;
-  gameState.activeEffects.queensGambit = gameState.activeEffects.queensGambit || { w: 0, b: 0 };
-  gameState.activeEffects.queensGambit[moverColor] = 1;
-  return { params: { color: moverColor } };
-}
-
-function applyPhantomStep({ gameState, moverColor }) {
-  if (!moverColor) return null;
-  gameState.activeEffects.phantomStep = gameState.activeEffects.phantomStep || { w: false, b: false };
-  gameState.activeEffects.phantomStep[moverColor] = true;
-  return { params: { color: moverColor } };
-}
-
-function applyPawnRush({ gameState, moverColor }) {
-  if (!moverColor) return null;
-  gameState.activeEffects.pawnRush = gameState.activeEffects.pawnRush || { w: false, b: false };
-  gameState.activeEffects.pawnRush[moverColor] = true;
-  return { params: { color: moverColor } };
-}
-
 // ============ OFFENSE CARDS ============
 
 // Double Strike: After capturing, ANY other piece can capture again (even adjacent targets)
@@ -613,13 +503,47 @@ function applyDoubleStrike({ gameState, moverColor, moveResult }) {
   return null;
 }
 
-function applyPoisonTouch({ gameState, moverColor, moveResult }) {
-  // Enable poison on next capture
-  if (moverColor) {
-    gameState.activeEffects.poisonTouch[moverColor] = true;
-    return { params: { color: moverColor } };
+/**
+ * Applies the board changes Execution and Promotion Ritual defer until their reveal has
+ * played. Players trigger this by acknowledging the reveal; the AI, which has no reveal,
+ * right after its card.
+ * @param {Chess} chess - Chess.js instance
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} Whether the board changed
+ */
+export function resolveDeferredArcanaEffects(chess, gameState) {
+  let boardChanged = false;
+
+  const pendingExecution = gameState.activeEffects?.pendingExecution;
+  if (pendingExecution?.targetSquare) {
+    const target = chess.get(pendingExecution.targetSquare);
+    if (target && target.type !== 'k') {
+      chess.remove(pendingExecution.targetSquare);
+      boardChanged = true;
+    }
+    gameState.activeEffects.pendingExecution = null;
   }
-  return null;
+
+  const pendingPromotion = gameState.activeEffects?.pendingPromotionRitual;
+  if (pendingPromotion?.targetSquare && pendingPromotion?.moverColor) {
+    const targetSquare = pendingPromotion.targetSquare;
+    const moverColor = pendingPromotion.moverColor;
+    const pawn = chess.get(targetSquare);
+    if (pawn && pawn.type === 'p' && pawn.color === moverColor) {
+      chess.remove(targetSquare);
+      chess.put({ type: 'q', color: moverColor }, targetSquare);
+      boardChanged = true;
+    }
+    gameState.activeEffects.promotionRitual = gameState.activeEffects.promotionRitual || {};
+    gameState.activeEffects.promotionRitual[moverColor] = {
+      active: true,
+      movesRemaining: 2,
+      monochrome: true,
+    };
+    gameState.activeEffects.pendingPromotionRitual = null;
+  }
+
+  return boardChanged;
 }
 
 // Helper to poison an adjacent piece after capture
@@ -634,7 +558,7 @@ export function applyPoisonAfterCapture(chess, captureSquare, moverColor, gameSt
   });
   
   if (validTargets.length > 0) {
-    const randomTarget = validTargets[Math.floor(Math.random() * validTargets.length)];
+    const randomTarget = validTargets[Math.floor(gameRandom(gameState)() * validTargets.length)];
     gameState.activeEffects.poisonedPieces.push({
       square: randomTarget,
       turnsLeft: 12,
@@ -645,14 +569,6 @@ export function applyPoisonAfterCapture(chess, captureSquare, moverColor, gameSt
   return [];
 }
 
-function applySharpshooter({ gameState, moverColor }) {
-  if (moverColor) {
-    gameState.activeEffects.sharpshooter[moverColor] = true;
-    return { params: { color: moverColor } };
-  }
-  return null;
-}
-
 // Berserker Rage: After capturing a piece, get one more capture if target is NOT adjacent to first kill
 function applyBerserkerRage({ gameState, moverColor, moveResult }) {
   if (moveResult && moveResult.captured) {
@@ -708,23 +624,6 @@ function applyExecution({ chess, gameState, moverColor, params }) {
   return null;
 }
 
-function applyChainLightning({ gameState, moverColor }) {
-  // Enable chain lightning effect for this turn - will trigger on next capture
-  gameState.activeEffects.chainLightning = gameState.activeEffects.chainLightning || { w: false, b: false };
-  gameState.activeEffects.chainLightning[moverColor] = true;
-  return { params: { color: moverColor } };
-}
-
-function applyCastleBreaker({ chess, gameState, moverColor }) {
-  const opponentColor = moverColor === 'w' ? 'b' : 'w';
-  
-  // Disable opponent's castling rights for 3 opponent turns (= 6 plies due to turn alternation)
-  gameState.activeEffects.castleBroken = gameState.activeEffects.castleBroken || { w: 0, b: 0 };
-  gameState.activeEffects.castleBroken[opponentColor] = 6; // Lasts 3 opponent turns (6 plies total)
-  
-  return { params: { disabledColor: opponentColor, turns: 3 } };
-}
-
 // ============ RESURRECTION / TRANSFORMATION ============
 
 function applyAstralRebirth({ gameState, moverColor }) {
@@ -854,8 +753,10 @@ function applySacrifice({ chess, gameState, socketId, moverColor, params, io })
     if (piece && piece.color === moverColor && piece.type !== 'k') {
       chess.remove(targetSquare);
       // Choose cards biased by the sacrificed piece type (stronger pieces -> better cards)
-      const card1 = makeArcanaInstance(pickWeightedArcanaForSacrifice(piece.type));
-      const card2 = makeArcanaInstance(pickWeightedArcanaForSacrifice(piece.type));
+      const random = gameRandom(gameState);
+      const pickReward = () => drawArcanaFor(gameState, socketId, () => pickWeightedArcanaForSacrifice(piece.type, random));
+      const card1 = makeArcanaInstance(pickReward(), random);
+      const card2 = makeArcanaInstance(pickReward(), random);
         gameState.arcanaByPlayer[socketId].push(card1, card2);
         // Notify the owning player immediately about the gained cards so the client
         // can show draw animations (mirror Focus Fire behavior).
@@ -1001,18 +902,30 @@ function applyArcaneCycle({ gameState, socketId, params }) {
   // Filtered Cycle: draw a weighted common/uncommon card from a selected category when provided.
   // Fallback order: explicit category -> discarded card category -> any common/uncommon.
   const targetCategory = selectedCategory || derivedCategory;
-  let picked = targetCategory ? pickCommonOrUncommonArcanaByCategory(targetCategory) : pickCommonOrUncommonArcana();
-  // Prevent "Filtered Cycle from itself" loops where the replacement is the same card.
-  if (picked?.id === 'filtered_cycle' || picked?.id === 'arcane_cycle') {
-    for (let i = 0; i < 6; i++) {
-      const retry = targetCategory ? pickCommonOrUncommonArcanaByCategory(targetCategory) : pickCommonOrUncommonArcana();
-      if (retry?.id !== 'filtered_cycle' && retry?.id !== 'arcane_cycle') {
-        picked = retry;
-        break;
+  const random = gameRandom(gameState);
+  const isCycleCard = (def) => def?.id === 'filtered_cycle' || def?.id === 'arcane_cycle';
+  const pickFromOpenPool = () => {
+    let picked = targetCategory ? pickCommonOrUncommonArcanaByCategory(targetCategory, random) : pickCommonOrUncommonArcana(random);
+    // Prevent "Filtered Cycle from itself" loops where the replacement is the same card.
+    if (isCycleCard(picked)) {
+      for (let i = 0; i < 6; i++) {
+        const retry = targetCategory ? pickCommonOrUncommonArcanaByCategory(targetCategory, random) : pickCommonOrUncommonArcana(random);
+        if (!isCycleCard(retry)) {
+          picked = retry;
+          break;
+        }
       }
     }
-  }
-  const newCard = makeArcanaInstance(picked);
+    return picked;
+  };
+  // With a deck, take the first pile card that fits the same filters, loosening them in the same order.
+  const isCommonOrUncommon = (def) => !isCycleCard(def) && (def.rarity === 'common' || def.rarity === 'uncommon');
+  const picked = drawArcanaFor(gameState, socketId, pickFromOpenPool, [
+    (def) => isCommonOrUncommon(def) && (!targetCategory || def.category === targetCategory),
+    isCommonOrUncommon,
+    (def) => !isCycleCard(def),
+  ]);
+  const newCard = makeArcanaInstance(picked, random);
   gameState.arcanaByPlayer[socketId].push(newCard);
   return { params: { drewCard: newCard.id, discardIndex, category: targetCategory || 'any' } };
 }
@@ -1021,9 +934,10 @@ function applyPotOfGreed({ gameState, socketId, io }) {
   gameState.arcanaByPlayer ||= {};
   gameState.arcanaByPlayer[socketId] ||= [];
 
+  const random = gameRandom(gameState);
   const drawn = [];
   for (let i = 0; i < 3; i++) {
-    const picked = makeArcanaInstance(pickWeightedArcana());
+    const picked = makeArcanaInstance(drawArcanaFor(gameState, socketId, () => pickWeightedArcana(random)), random);
     if (!picked) continue;
     gameState.arcanaByPlayer[socketId].push(picked);
     drawn.push(picked);
@@ -1190,71 +1104,6 @@ function applySquireSupport({ gameState, params, moverColor }) {
   return { params: { protectedSquare: targetSquare } };
 }
 
-function applyFocusFire({ gameState, moverColor }) {
-  // Mark that next capture draws an extra card
-  if (!gameState.activeEffects.focusFire) {
-    gameState.activeEffects.focusFire = {};
-  }
-  gameState.activeEffects.focusFire[moverColor] = true;
-  return { params: { color: moverColor } };
-}
-
-function applySoftPush({ chess, moverColor, params }) {
-  const targetSquare = params?.targetSquare;
-  if (!targetSquare) return null;
-  
-  const piece = chess.get(targetSquare);
-  if (!piece || piece.color !== moverColor) return null;
-  
-  const file = targetSquare.charCodeAt(0) - 97; // 0-7
-  const rank = parseInt(targetSquare[1]); // 1-8
-  
-  let destSquare;
-  
-  // For pawns: push forward one square (not sideways!)
-  if (piece.type === 'p') {
-    const direction = moverColor === 'w' ? 1 : -1;
-    const newRank = rank + direction;
-    // Can't push pawn off the board or to promotion rank
-    if (newRank < 2 || newRank > 7) {
-      return null; // Can't push this pawn forward
-    }
-    destSquare = `${targetSquare[0]}${newRank}`;
-  } else {
-    // For other pieces: push toward center
-    let targetFile = file;
-    let targetRank = rank;
-    
-    // Horizontal: push toward center files d(3) or e(4)
-    if (file < 3) targetFile = file + 1;
-    else if (file > 4) targetFile = file - 1;
-    
-    // Vertical: push toward center ranks 4 or 5
-    if (rank < 4) targetRank = rank + 1;
-    else if (rank > 5) targetRank = rank - 1;
-    
-    destSquare = String.fromCharCode(97 + targetFile) + targetRank;
-  }
-  
-  const destPiece = chess.get(destSquare);
-  
-  // Cannot push to same square (already at center)
-  if (destSquare === targetSquare) {
-    return null;
-  }
-  
-  // Cannot push to occupied square
-  if (destPiece) {
-    return null;
-  }
-  
-  // Execute the push move on the board
-  chess.remove(targetSquare);
-  chess.put(piece, destSquare);
-  
-  return { params: { square: targetSquare, destSquare, piece: piece.type } };
-}
-
 function applyRoyalSwap({ chess, gameState, moverColor, params }) {
   const targetSquare = params?.targetSquare;
   if (!targetSquare) return null;
@@ -1289,26 +1138,6 @@ function applyRoyalSwap({ chess, gameState, moverColor, params }) {
   };
 }
 
-function applyFogOfWar({ gameState, moverColor }) {
-  if (moverColor) {
-    gameState.activeEffects.fogOfWar[moverColor] = true;
-    return { params: { color: moverColor } };
-  }
-  return null;
-}
-
-function applyCursedSquare({ gameState, moverColor, params }) {
-  if (params?.targetSquare) {
-    gameState.activeEffects.cursedSquares.push({
-      square: params.targetSquare,
-      turns: 5,  // Lasts for 4 full turns (5 because it decrements immediately)
-      setter: moverColor,
-    });
-    return { params: { square: params.targetSquare } };
-  }
-  return null;
-}
-
 function applyTimeTravel({ gameState }) {
   // Rewind two full moves (both players), i.e. 4 plies.
   const undone = undoMoves(gameState, 4);
@@ -1328,13 +1157,14 @@ function applyChaosTheory({ chess, gameState }) {
   const MAX_ATTEMPTS = 10;
   const originalFen = chess.fen();
   const originalEdgePawnCount = countEdgeRankPawns(chess);
+  const random = gameRandom(gameState);
   let attempts = 0;
   let shuffled = [];
   let isValid = false;
 
   while (attempts < MAX_ATTEMPTS) {
     chess.load(originalFen);
-    shuffled = shufflePieces(chess, 3);
+    shuffled = shufflePieces(chess, 3, random);
     isValid = validateChaosBoard(chess, originalEdgePawnCount);
     if (isValid) break;
     attempts++;
@@ -1344,7 +1174,7 @@ function applyChaosTheory({ chess, gameState }) {
   // instead of throwing a hard server error for the entire action.
   if (!isValid) {
     chess.load(originalFen);
-    shuffled = shufflePieces(chess, 1);
+    shuffled = shufflePieces(chess, 1, random);
     if (!validateChaosBoard(chess, originalEdgePawnCount, { enforceEdgePawnCap: false })) {
       chess.load(originalFen);
       return null;
@@ -1466,14 +1296,6 @@ function remapSquareTrackedEffectsAfterShuffle(gameState, chess, shuffled) {
   }
 }
 
-function applyEnPassantMaster({ gameState, moverColor }) {
-  // Mark that this player's pawns can perform en passant on any adjacent enemy pawn
-  if (!gameState.activeEffects) gameState.activeEffects = {};
-  if (!gameState.activeEffects.enPassantMaster) gameState.activeEffects.enPassantMaster = {};
-  gameState.activeEffects.enPassantMaster[moverColor] = true;
-  return { params: { color: moverColor } };
-}
-
 function applyMindControl({ chess, gameState, moverColor, params }) {
   // Mind Control: Seize control of an enemy piece for one turn.
   // The piece keeps its original color/appearance but the caster can move it.
@@ -1510,7 +1332,7 @@ function applyMindControl({ chess, gameState, moverColor, params }) {
   return { params: { square: targetSquare, targetSquare, color: targetPiece.color, isControlled: true } };
 }
 
-function applyBreakingPoint({ chess, moverColor, params }) {
+function applyBreakingPoint({ chess, gameState, moverColor, params }) {
   const epicenter = params?.targetSquare;
   if (!epicenter) return null;
 
@@ -1524,6 +1346,7 @@ function applyBreakingPoint({ chess, moverColor, params }) {
   const rank = parseInt(epicenter[1], 10);
   const impacted = [];
   const casualties = [];
+  const random = gameRandom(gameState);
 
   const directions = [
     { df: -1, dr: -1 }, { df: 0, dr: -1 }, { df: 1, dr: -1 },
@@ -1558,7 +1381,7 @@ function applyBreakingPoint({ chess, moverColor, params }) {
     }
 
     // 50% chance this piece is killed by the shockwave when a valid push path exists.
-    const diesFromShockwave = Math.random() < 0.5;
+    const diesFromShockwave = random() < 0.5;
     if (diesFromShockwave) {
       chess.remove(srcSquare);
       impacted.push({ from: srcSquare, to: null, piece: piece.type, died: true });
@@ -1776,7 +1599,7 @@ function reviveRandomCapturedNonPawn(gameState, moverColor) {
   const nonPawns = captured.filter((p) => p.type && p.type !== 'p');
   if (nonPawns.length === 0) return [];
 
-  const selected = nonPawns[Math.floor(Math.random() * nonPawns.length)];
+  const selected = nonPawns[Math.floor(gameRandom(gameState)() * nonPawns.length)];
   const pieceType = selected.type;
 
   const preferredRank = moverColor === 'w' ? '1' : '8';
@@ -1976,7 +1799,7 @@ function undoMoves(gameState, count) {
 /**
  * Shuffle N pieces on each side to random positions
  */
-function shufflePieces(chess, piecesPerSide) {
+function shufflePieces(chess, piecesPerSide, random = Math.random) {
   const board = chess.board();
   const whitePieces = [];
   const blackPieces = [];
@@ -2006,7 +1829,7 @@ function shufflePieces(chess, piecesPerSide) {
   
   const selectPieceWithPriority = (pool) => {
     const edgePawnIndex = pool.findIndex((entry) => entry.piece.type === 'p' && (entry.square[1] === '1' || entry.square[1] === '8'));
-    const idx = edgePawnIndex >= 0 ? edgePawnIndex : Math.floor(Math.random() * pool.length);
+    const idx = edgePawnIndex >= 0 ? edgePawnIndex : Math.floor(random() * pool.length);
     return pool.splice(idx, 1)[0];
   };
 
@@ -2041,7 +1864,7 @@ function shufflePieces(chess, piecesPerSide) {
         ? emptySquares.filter((sq) => sq[1] !== '1' && sq[1] !== '8')
         : emptySquares;
       const source = validSquares.length > 0 ? validSquares : emptySquares;
-      const candidateSquare = source[Math.floor(Math.random() * source.length)];
+      const candidateSquare = source[Math.floor(random() * source.length)];
       const idx = emptySquares.indexOf(candidateSquare);
       if (idx === -1) return;
       const newSquare = emptySquares.splice(idx, 1)[0];
@@ -32,13 +32,15 @@ function getPlayableArcanaPool() {
   return ARCANA_DEFINITIONS.filter((arcana) => arcana?.enabledInGame !== false);
 }
 
-function pickUniform(pool) {
+// Every picker takes an optional `random` source (`() => [0, 1)`); games pass their
+// seeded generator (see ../rng/seededRng.js) so draws are reproducible.
+function pickUniform(pool, random = Math.random) {
   if (!Array.isArray(pool) || pool.length === 0) return null;
-  const idx = Math.floor(Math.random() * pool.length);
+  const idx = Math.floor(random() * pool.length);
   return pool[idx];
 }
 
-function pickWeightedByRarity(pool, rarityWeights) {
+function pickWeightedByRarity(pool, rarityWeights, random = Math.random) {
   if (!Array.isArray(pool) || pool.length === 0) return null;
 
   let total = 0;
@@ -46,9 +48,9 @@ function pickWeightedByRarity(pool, rarityWeights) {
     total += Math.max(0, rarityWeights[arcana.rarity] || 0);
   }
 
-  if (total <= 0) return pickUniform(pool);
+  if (total <= 0) return pickUniform(pool, random);
 
-  let roll = Math.random() * total;
+  let roll = random() * total;
   for (const arcana of pool) {
     roll -= Math.max(0, rarityWeights[arcana.rarity] || 0);
     if (roll <= 0) return arcana;
@@ -60,57 +62,55 @@ function pickWeightedByRarity(pool, rarityWeights) {
 /**
  * Pick a random arcana card with weighted rarity distribution
  */
-export function pickWeightedArcana() {
+export function pickWeightedArcana(random = Math.random) {
   const pool = getPlayableArcanaPool();
-  return pickWeightedByRarity(pool, RARITY_WEIGHTS) || pickUniform(ARCANA_DEFINITIONS);
+  return pickWeightedByRarity(pool, RARITY_WEIGHTS, random) || pickUniform(ARCANA_DEFINITIONS, random);
 }
 
 /**
- * Pick a random common-rarity arcana card.
- * Used by Focus Fire and Arcane Cycle which explicitly grant "common" cards.
+ * Pick a random arcana card of one rarity (weighted pick when none exist).
+ * Used by effect-spec draws such as Focus Fire's bonus common card.
  */
-export function pickCommonArcana() {
-  const commonCards = getPlayableArcanaPool().filter((a) => a.rarity === 'common');
-  if (commonCards.length === 0) return pickWeightedArcana(); // fallback
-  const idx = Math.floor(Math.random() * commonCards.length);
-  return commonCards[idx];
+export function pickArcanaOfRarity(rarity, random = Math.random) {
+  const cards = getPlayableArcanaPool().filter((a) => a.rarity === rarity);
+  if (cards.length === 0) return pickWeightedArcana(random); // fallback
+  return pickUniform(cards, random);
 }
 
 /**
  * Pick a random common arcana card from a specific category.
  * Falls back to any common card when the category has no common cards.
  */
-export function pickCommonArcanaByCategory(category) {
+export function pickCommonArcanaByCategory(category, random = Math.random) {
   const commonCards = getPlayableArcanaPool().filter((a) => a.rarity === 'common');
-  if (commonCards.length === 0) return pickWeightedArcana();
+  if (commonCards.length === 0) return pickWeightedArcana(random);
 
   const filtered = commonCards.filter((a) => a.category === category);
   const pool = filtered.length > 0 ? filtered : commonCards;
-  const idx = Math.floor(Math.random() * pool.length);
-  return pool[idx];
+  return pickUniform(pool, random);
 }
 
 /**
  * Pick a weighted common/uncommon card.
  * Common and uncommon keep their global rarity bias while restricting the pool.
  */
-export function pickCommonOrUncommonArcana() {
+export function pickCommonOrUncommonArcana(random = Math.random) {
   const pool = getPlayableArcanaPool().filter((a) => FILTERED_CYCLE_RARITIES.has(a.rarity));
-  if (pool.length === 0) return pickWeightedArcana();
-  return pickWeightedByRarity(pool, RARITY_WEIGHTS);
+  if (pool.length === 0) return pickWeightedArcana(random);
+  return pickWeightedByRarity(pool, RARITY_WEIGHTS, random);
 }
 
 /**
  * Pick a weighted common/uncommon card from a category.
  * Falls back to any common/uncommon when the category has no eligible cards.
  */
-export function pickCommonOrUncommonArcanaByCategory(category) {
+export function pickCommonOrUncommonArcanaByCategory(category, random = Math.random) {
   const pool = getPlayableArcanaPool().filter((a) => FILTERED_CYCLE_RARITIES.has(a.rarity));
-  if (pool.length === 0) return pickWeightedArcana();
+  if (pool.length === 0) return pickWeightedArcana(random);
 
   const filtered = pool.filter((a) => a.category === category);
   const targetPool = filtered.length > 0 ? filtered : pool;
-  return pickWeightedByRarity(targetPool, RARITY_WEIGHTS);
+  return pickWeightedByRarity(targetPool, RARITY_WEIGHTS, random);
 }
 
 /**
@@ -118,7 +118,7 @@ export function pickCommonOrUncommonArcanaByCategory(category) {
  * pieceType: one of 'p','n','b','r','q' (king not allowed)
  * Stronger pieces get a higher multiplier for rare/epic/legendary weights.
  */
-export function pickWeightedArcanaForSacrifice(pieceType) {
+export function pickWeightedArcanaForSacrifice(pieceType, random = Math.random) {
   const mult = PIECE_STRENGTH_MULTIPLIERS[pieceType] || 1.0;
 
   // Apply multiplier to rarer categories to bias towards stronger results
@@ -132,16 +132,19 @@ export function pickWeightedArcanaForSacrifice(pieceType) {
   };
 
   const pool = getPlayableArcanaPool();
-  return pickWeightedByRarity(pool, rarityWeights) || pickWeightedArcana();
+  return pickWeightedByRarity(pool, rarityWeights, random) || pickWeightedArcana(random);
 }
 
 /**
  * Create a stable instance of an arcana card with a unique instanceId.
  * This ensures tracking (used/discard) references a stable identifier rather than array indices.
+ * With a seeded `random` the id is derived from the game RNG alone, so replays reproduce it.
  */
-export function makeArcanaInstance(arcanaDef) {
+export function makeArcanaInstance(arcanaDef, random = null) {
   if (!arcanaDef) return null;
-  const uid = `${arcanaDef.id}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  const uid = random
+    ? `${arcanaDef.id}-${Math.floor(random() * 2 ** 32).toString(36)}${Math.floor(random() * 2 ** 32).toString(36)}`
+    : `${arcanaDef.id}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
   // Shallow clone to avoid mutating shared definition
   return Object.assign({}, arcanaDef, { instanceId: uid });
 }
@@ -1,318 +1,17 @@
+import { listCandidateMoves } from '../../shared/arcana/moveGenerator.js';
+
 /**
  * Validation for arcana-enhanced moves
- * Checks if a move is legal with active arcana effects
+ * Checks if a move is legal with active arcana effects. The moves themselves are generated
+ * in shared/arcana/moveGenerator.js; this only looks one up.
  * @param {Chess} chess - Chess.js instance
  * @param {Object} move - Move object with from/to squares
  * @param {Object} activeEffects - Current active arcana effects
  * @param {string} moverColor - Color of the moving player ('w' or 'b')
  * @returns {Object|null} Valid move object or null if invalid
  */
-
 export function validateArcanaMove(chess, move, activeEffects, moverColor) {
-  const fromSquare = move.from;
-  const toSquare = move.to;
-  
-  const piece = chess.get(fromSquare);
-  if (!piece || piece.color !== moverColor) {
-    return null;
-  }
-
-  // Sanctuary check: cannot capture on sanctuary squares
-  if (activeEffects.sanctuaries && activeEffects.sanctuaries.length > 0) {
-    const targetPiece = chess.get(toSquare);
-    if (targetPiece) {
-      const isSanctuary = activeEffects.sanctuaries.some(s => s.square === toSquare);
-      if (isSanctuary) {
-        return null;
-      }
-    }
-  }
-
-  // Spectral March: Rook can pass through ONE friendly piece
-  if (activeEffects.spectralMarch && activeEffects.spectralMarch[moverColor] && piece.type === 'r') {
-    const validMove = validateSpectralMarch(chess, fromSquare, toSquare, moverColor);
-    if (validMove) return validMove;
-  }
-
-  // Phantom Step: Any piece can move like a knight
-  if (activeEffects.phantomStep && activeEffects.phantomStep[moverColor]) {
-    const validMove = validatePhantomStep(chess, fromSquare, toSquare, piece);
-    if (validMove) return validMove;
-  }
-
-  // Pawn Rush: Pawn can move 2 squares even if already moved
-  if (activeEffects.pawnRush && activeEffects.pawnRush[moverColor] && piece.type === 'p') {
-    const startingRank = moverColor === 'w' ? '2' : '7';
-    if (fromSquare[1] === startingRank) {
-      const validMove = validatePawnRush(chess, fromSquare, toSquare, moverColor);
-      if (validMove) return validMove;
-    }
-  }
-
-  // Sharpshooter: Bishop can capture through blockers on diagonal
-  if (activeEffects.sharpshooter && activeEffects.sharpshooter[moverColor] && piece.type === 'b') {
-    const validMove = validateSharpshooter(chess, fromSquare, toSquare, moverColor);
-    if (validMove) return validMove;
-  }
-
-  // Knight of Storms: Knight can move to any square within 2-square radius
-  if (activeEffects.knightOfStorms && activeEffects.knightOfStorms[moverColor] === fromSquare && piece.type === 'n') {
-    const validMove = validateKnightOfStorms(chess, fromSquare, toSquare, moverColor);
-    if (validMove) return validMove;
-  }
-
-  // Temporal Echo: Repeat last move pattern
-  if (activeEffects.temporalEcho && activeEffects.temporalEcho.color === moverColor && activeEffects.temporalEcho.pattern) {
-    const validMove = validateTemporalEcho(chess, fromSquare, toSquare, piece, activeEffects.temporalEcho.pattern);
-    if (validMove) return validMove;
-  }
-
-  // En Passant Master: Enhanced en passant
-  if (activeEffects.enPassantMaster && activeEffects.enPassantMaster[moverColor] && piece.type === 'p') {
-    const validMove = validateEnPassantMaster(chess, fromSquare, toSquare, moverColor);
-    if (validMove) return validMove;
-  }
-
-  return null;
-}
-
-function validateSpectralMarch(chess, from, to, color) {
-  const fromFile = from.charCodeAt(0);
-  const fromRank = parseInt(from[1]);
-  const toFile = to.charCodeAt(0);
-  const toRank = parseInt(to[1]);
-
-  const sameFile = fromFile === toFile;
-  const sameRank = fromRank === toRank;
-  
-  if (!sameFile && !sameRank) return null;
-
-  let friendlyCount = 0;
-  const fileStep = sameFile ? 0 : (toFile > fromFile ? 1 : -1);
-  const rankStep = sameRank ? 0 : (toRank > fromRank ? 1 : -1);
-  
-  let currentFile = fromFile + fileStep;
-  let currentRank = fromRank + rankStep;
-  
-  while (currentFile !== toFile || currentRank !== toRank) {
-    const square = String.fromCharCode(currentFile) + currentRank;
-    const piece = chess.get(square);
-    
-    if (piece) {
-      if (piece.color === color) {
-        friendlyCount++;
-        if (friendlyCount > 1) return null;
-      } else {
-        return null;
-      }
-    }
-    
-    currentFile += fileStep;
-    currentRank += rankStep;
-  }
-
-  const destPiece = chess.get(to);
-  if (destPiece && destPiece.color === color) return null;
-
-  return { from, to, piece: 'r', captured: destPiece?.type, color: color };
-}
-
-function validatePhantomStep(chess, from, to, piece) {
-  const fromFile = from.charCodeAt(0);
-  const fromRank = parseInt(from[1]);
-  const toFile = to.charCodeAt(0);
-  const toRank = parseInt(to[1]);
-
-  const fileDiff = Math.abs(toFile - fromFile);
-  const rankDiff = Math.abs(toRank - fromRank);
-
-  const isKnightMove = (fileDiff === 2 && rankDiff === 1) || (fileDiff === 1 && rankDiff === 2);
-  if (!isKnightMove) return null;
-
-  // Pawns are allowed to use Phantom Step, but must not land on their promotion rank
-  if (piece.type === 'p') {
-    const promotionRank = piece.color === 'w' ? 8 : 1;
-    if (toRank === promotionRank) return null;
-  }
-
-  const destPiece = chess.get(to);
-  if (destPiece && destPiece.color === piece.color) return null;
-
-  return { from, to, piece: piece.type, captured: destPiece?.type, color: piece.color };
-}
-
-function validatePawnRush(chess, from, to, color) {
-  const fromFile = from.charCodeAt(0);
-  const fromRank = parseInt(from[1]);
-  const toFile = to.charCodeAt(0);
-  const toRank = parseInt(to[1]);
-
-  if (fromFile !== toFile) return null;
-
-  const direction = color === 'w' ? 1 : -1;
-  if (toRank !== fromRank + (2 * direction)) return null;
-
-  const promotionRank = color === 'w' ? 8 : 1;
-  const isPromotion = toRank === promotionRank;
-
-  const middleRank = fromRank + direction;
-  const middleSquare = String.fromCharCode(fromFile) + middleRank;
-  if (chess.get(middleSquare)) return null;
-  if (chess.get(to)) return null;
-
-  return {
-    from,
-    to,
-    piece: 'p',
-    color,
-    ...(isPromotion ? { promotion: 'q' } : {}),
-  };
-}
-
-function validateSharpshooter(chess, from, to, color) {
-  const fromFile = from.charCodeAt(0);
-  const fromRank = parseInt(from[1]);
-  const toFile = to.charCodeAt(0);
-  const toRank = parseInt(to[1]);
-
-  const fileDiff = Math.abs(toFile - fromFile);
-  const rankDiff = Math.abs(toRank - fromRank);
-
-  if (fileDiff !== rankDiff) return null;
-
-  const destPiece = chess.get(to);
-  if (destPiece && destPiece.color === color) return null;
-
-  return { from, to, piece: 'b', captured: destPiece?.type, color };
-}
-
-function validateKnightOfStorms(chess, from, to, color) {
-  const fromFile = from.charCodeAt(0);
-  const fromRank = parseInt(from[1]);
-  const toFile = to.charCodeAt(0);
-  const toRank = parseInt(to[1]);
-
-  const fileDiff = Math.abs(toFile - fromFile);
-  const rankDiff = Math.abs(toRank - fromRank);
-
-  // Knight of Storms: can move to any square within 2-square radius (Manhattan distance <= 2)
-  // This includes normal knight moves plus adjacent squares and 2 squares in any direction
-  if (fileDiff > 2 || rankDiff > 2) return null;
-  if (fileDiff === 0 && rankDiff === 0) return null; // Can't stay in place
-
-  const destPiece = chess.get(to);
-  if (destPiece && destPiece.color === color) return null; // Can't capture own pieces
-
-  return { from, to, piece: 'n', captured: destPiece?.type, color };
-}
-
-function validateTemporalEcho(chess, from, to, piece, pattern) {
-  // Ensure pattern exists
-  if (!pattern || pattern.fileDelta === undefined || pattern.rankDelta === undefined) {
-    return null;
-  }
-  
-  const fromFile = from.charCodeAt(0);
-  const fromRank = parseInt(from[1]);
-  const toFile = to.charCodeAt(0);
-  const toRank = parseInt(to[1]);
-
-  const fileDelta = toFile - fromFile;
-  const rankDelta = toRank - fromRank;
-
-  const pFile = pattern.fileDelta;
-  const pRank = pattern.rankDelta;
-  const isPatternLinear = pFile === 0 || pRank === 0 || Math.abs(pFile) === Math.abs(pRank);
-
-  if (isPatternLinear) {
-    const isMoveLinear = fileDelta === 0 || rankDelta === 0 || Math.abs(fileDelta) === Math.abs(rankDelta);
-    if (!isMoveLinear) return null;
-
-    const patternStepFile = pFile === 0 ? 0 : pFile / Math.abs(pFile);
-    const patternStepRank = pRank === 0 ? 0 : pRank / Math.abs(pRank);
-    const moveStepFile = fileDelta === 0 ? 0 : fileDelta / Math.abs(fileDelta);
-    const moveStepRank = rankDelta === 0 ? 0 : rankDelta / Math.abs(rankDelta);
-
-    if (moveStepFile !== patternStepFile || moveStepRank !== patternStepRank) {
-      return null;
-    }
-
-    const patternDistance = Math.max(Math.abs(pFile), Math.abs(pRank));
-    const moveDistance = Math.max(Math.abs(fileDelta), Math.abs(rankDelta));
-    if (moveDistance < 1 || moveDistance > patternDistance) {
-      return null;
-    }
-  } else if (fileDelta !== pFile || rankDelta !== pRank) {
-    return null;
-  }
-
-  const destPiece = chess.get(to);
-  if (destPiece && destPiece.color === piece.color) return null;
-
-  // If a pawn is repeating a move, prevent it from landing on its own promotion rank
-  if (piece.type === 'p') {
-    const toRank = parseInt(to[1]);
-    const ownPromotionRank = piece.color === 'w' ? 8 : 1;
-    if (toRank === ownPromotionRank) return null;
-  }
-
-  // Only check intervening squares for sliding moves (rook/bishop/queen patterns).
-  // Knight-like or other non-linear deltas should NOT be blocked by intervening pieces.
-  const isSlidingMove = (fileDelta === 0 || rankDelta === 0 || Math.abs(fileDelta) === Math.abs(rankDelta));
-  if (isSlidingMove && (Math.abs(fileDelta) > 1 || Math.abs(rankDelta) > 1)) {
-    const fileStep = fileDelta === 0 ? 0 : fileDelta / Math.abs(fileDelta);
-    const rankStep = rankDelta === 0 ? 0 : rankDelta / Math.abs(rankDelta);
-
-    let currentFile = fromFile + fileStep;
-    let currentRank = fromRank + rankStep;
-
-    while (currentFile !== toFile || currentRank !== toRank) {
-      const square = String.fromCharCode(currentFile) + currentRank;
-      if (chess.get(square)) return null;
-      currentFile += fileStep;
-      currentRank += rankStep;
-    }
-  }
-
-  return { from, to, piece: piece.type, captured: destPiece?.type, color: piece.color };
-}
-
-function validateEnPassantMaster(chess, from, to, color) {
-  const fromFile = from.charCodeAt(0);
-  const fromRank = parseInt(from[1]);
-  const toFile = to.charCodeAt(0);
-  const toRank = parseInt(to[1]);
-
-  const fileDiff = Math.abs(toFile - fromFile);
-  const rankDiff = Math.abs(toRank - fromRank);
-
-  // Variant behavior requested:
-  // 1) Sideways adjacent pawn capture (from e4 to f4), any time.
-  // 2) Keep diagonal-forward en-passant-style capture as fallback.
-  if (fileDiff === 1 && rankDiff === 0) {
-    const target = chess.get(to);
-    if (target && target.type === 'p' && target.color !== color) {
-      return { from, to, piece: 'p', color, captured: 'p' };
-    }
-    return null;
-  }
-
-  if (fileDiff === 1 && rankDiff === 1) {
-    const direction = color === 'w' ? 1 : -1;
-    if (toRank !== fromRank + direction) return null;
-
-    // Prevent en-passant variant from landing on own promotion rank
-    const ownPromotionRank = color === 'w' ? 8 : 1;
-    if (toRank === ownPromotionRank) return null;
-
-    // The pawn to capture must be on the same rank as the source (adjacent horizontally)
-    const adjacentSquare = String.fromCharCode(toFile) + fromRank;
-    const adjacentPiece = chess.get(adjacentSquare);
-
-    if (adjacentPiece && adjacentPiece.type === 'p' && adjacentPiece.color !== color && !chess.get(to)) {
-      return { from, to, piece: 'p', color, flags: 'e', captured: 'p' };
-    }
-  }
-
-  return null;
+  const candidates = listCandidateMoves(chess.fen(), activeEffects, { color: moverColor, square: move.from });
+  return candidates.find((candidate) => candidate.to === move.to
+    && (!move.promotion || candidate.promotion === move.promotion)) || null;
 }
@@ -0,0 +1,84 @@
+import { getArcanaDefinition } from '../../shared/arcana/arcanaCatalog.js';
+import { gameRandom } from '../rng/seededRng.js';
+
+/**
+ * Per-game draw piles for players who brought a deck (see shared/arcana/decks.js).
+ *
+ * `gameState.drawPiles` is keyed by player (socket) id; players without an entry keep
+ * drawing from the open pool through the caller's fallback picker.
+ */
+
+function shuffle(cards, random) {
+  const pile = [...cards];
+  for (let i = pile.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pile[i], pile[j]] = [pile[j], pile[i]];
+  }
+  return pile;
+}
+
+/**
+ * Builds shuffled piles for every player that has a resolved deck.
+ * @param {Object<string, {name: string, cards: string[]}|null>} decksByPlayer
+ * @param {Function} random - The game's seeded generator
+ * @returns {Object<string, Object>} Value for `gameState.drawPiles`
+ */
+export function createDrawPiles(decksByPlayer, random) {
+  const piles = {};
+  for (const [playerId, deck] of Object.entries(decksByPlayer || {})) {
+    if (!deck?.cards?.length) continue;
+    piles[playerId] = {
+      deckName: deck.name,
+      deck: [...deck.cards],
+      cards: shuffle(deck.cards, random),
+      reshuffles: 0,
+    };
+  }
+  return piles;
+}
+
+/**
+ * Draws one arcana definition for a player.
+ *
+ * With a pile, the first card matching the earliest satisfiable preference is taken (the top
+ * card when there are none or nothing matches). An empty pile is rebuilt from the deck list
+ * and reshuffled first.
+ *
+ * @param {Object} gameState
+ * @param {string} playerId
+ * @param {Function} fallbackPicker - `() => definition`, used when the player has no pile
+ * @param {Array<Function>} [preferences] - Predicates on definitions, most specific first
+ * @returns {Object|null} Arcana definition
+ */
+export function drawArcanaFor(gameState, playerId, fallbackPicker, preferences = []) {
+  const pile = gameState?.drawPiles?.[playerId];
+  if (!pile) return fallbackPicker();
+
+  if (pile.cards.length === 0) {
+    pile.cards = shuffle(pile.deck, gameRandom(gameState));
+    pile.reshuffles += 1;
+  }
+
+  let index = 0;
+  for (const prefer of preferences) {
+    const match = pile.cards.findIndex((id) => {
+      const def = getArcanaDefinition(id);
+      return def && prefer(def);
+    });
+    if (match !== -1) {
+      index = match;
+      break;
+    }
+  }
+  const [id] = pile.cards.splice(index, 1);
+  return getArcanaDefinition(id) || fallbackPicker();
+}
+
+/** Cards left per player, for the client. */
+export function getDeckCounts(gameState) {
+  const counts = {};
+  for (const [playerId, pile] of Object.entries(gameState?.drawPiles || {})) {
+    counts[playerId] = { deckName: pile.deckName, remaining: pile.cards.length, size: pile.deck.length };
+  }
+  return counts;
+}
@@ -0,0 +1,115 @@
+/**
+ * Bot protocol: lets external engines play over the ordinary socket connection.
+ *
+ * Bots sign in, queue and join lobbies with the same events as the web client. On top of
+ * that they get a handshake (`bot:hello`), a compact position for their seat
+ * (`bot:position`), games against the built-in levels (`bot:playAI`) and one action format
+ * (`bot:action`). Reveal animations do not exist for a bot, so its reveals are acknowledged
+ * as soon as the action resolves. The wire format is documented in md_files/BOT_PROTOCOL.md.
+ */
+
+export const BOT_PROTOCOL_VERSION = 1;
+
+// Built-in AI levels a bot can be matched against (see ai/aiCore.js).
+export const BOT_AI_LEVELS = Object.freeze(['Scholar', 'Knight', 'Monarch']);
+
+const SQUARE_PATTERN = /^[a-h][1-8]$/;
+const UCI_MOVE_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+const NEGOTIATION_REQUESTS = new Set([
+  'offerDraw',
+  'respondDraw',
+  'requestTakeback',
+  'respondTakeback',
+  'requestAdjourn',
+  'respondAdjourn',
+]);
+
+function parseMove(action) {
+  if (typeof action.uci === 'string') {
+    const match = UCI_MOVE_PATTERN.exec(action.uci.trim().toLowerCase());
+    if (!match) throw new Error(`Invalid move: ${action.uci}`);
+    return { from: match[1], to: match[2], ...(match[3] ? { promotion: match[3] } : {}) };
+  }
+  if (!SQUARE_PATTERN.test(action.from || '') || !SQUARE_PATTERN.test(action.to || '')) {
+    throw new Error('Move needs `uci` or `from` and `to` squares');
+  }
+  return { from: action.from, to: action.to, ...(action.promotion ? { promotion: action.promotion } : {}) };
+}
+
+/**
+ * Translates a bot action into a `playerAction` payload.
+ * @param {Object} action - `{ type: 'move' | 'draw' | 'arcana' | 'peek' | 'negotiate', ... }`
+ * @returns {Object} Payload for GameManager#handlePlayerAction
+ */
+export function toPlayerActionPayload(action) {
+  switch (action?.type) {
+    case 'move':
+      return { move: parseMove(action) };
+    case 'draw':
+      return { actionType: 'drawArcana' };
+    case 'arcana': {
+      if (!action.arcanaId) throw new Error('Arcana action needs an arcanaId');
+      const params = { ...(action.params || {}) };
+      if (action.targetSquare) params.targetSquare = action.targetSquare;
+      return {
+        actionType: 'useArcana',
+        arcanaUsed: [{ arcanaId: action.arcanaId, instanceId: action.instanceId ?? null, params }],
+      };
+    }
+    case 'peek':
+      return { actionType: 'peekCardSelect', cardIndex: action.cardIndex };
+    case 'negotiate':
+      if (!NEGOTIATION_REQUESTS.has(action.request)) throw new Error(`Unknown negotiation request: ${action.request}`);
+      return { actionType: action.request, accept: Boolean(action.accept), actionId: action.actionId };
+    default:
+      throw new Error(`Unknown bot action: ${action?.type}`);
+  }
+}
+
+/**
+ * The seat's view of its game, redacted like the player's own updates.
+ * @param {GameManager} gameManager
+ * @param {string} socketId - The bot's socket id
+ * @returns {Object|null} Null when the socket is not seated in a game
+ */
+export function getBotPosition(gameManager, socketId) {
+  const gameState = gameManager.games.get(gameManager.socketToGame.get(socketId));
+  if (!gameState || !gameState.playerIds.includes(socketId)) return null;
+
+  const view = gameManager.serialiseGameStateForViewer(gameState, socketId);
+  const opponentId = gameState.playerIds.find((pid) => pid !== socketId);
+  const colorName = view.playerColors[socketId];
+  return {
+    gameId: view.id,
+    color: colorName === 'white' ? 'w' : 'b',
+    fen: view.displayFen || view.fen,
+    turn: view.turn,
+    status: view.status,
+    ascended: Boolean(view.ascended),
+    hand: view.arcanaByPlayer?.[socketId] || [],
+    opponentHandSize: (view.arcanaByPlayer?.[opponentId] || []).length,
+    activeEffects: view.activeEffects,
+    pawnShields: view.pawnShields,
+    lastMove: view.lastMove,
+    clock: view.clock,
+    legalActions: view.legalActions,
+  };
+}
+
+/**
+ * Plays a bot action and acknowledges any reveal it started.
+ * @param {GameManager} gameManager
+ * @param {Object} socket - The bot's socket
+ * @param {Object} action - See toPlayerActionPayload
+ * @returns {Promise<{ extraMove: boolean, drewCard: Object|null, position: Object|null }>}
+ */
+export async function submitBotAction(gameManager, socket, action) {
+  // The handler's own result carries the unredacted state, so only the bot's fields go back.
+  const result = await gameManager.handlePlayerAction(socket, toPlayerActionPayload(action));
+  await gameManager.handleArcanaRevealComplete(socket.id);
+  return {
+    extraMove: Boolean(result?.extraMove),
+    drewCard: result?.drewCard || null,
+    position: getBotPosition(gameManager, socket.id),
+  };
+}
@@ -0,0 +1,113 @@
+import { io } from 'socket.io-client';
+
+// Reference bot for the bot protocol: plays random legal actions against a built-in AI level
+// and prints the score. Copy it as the starting point for a real engine.
+
+function usage() {
+  console.log('Usage: node server/bot/randomBot.js [--server url] [--level Scholar|Knight|Monarch] [--games n] [--color white|black|random]');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node server/bot/randomBot.js --level Knight --games 5');
+}
+
+function parseArgs(argv) {
+  const options = { server: 'http://localhost:4000', level: 'Scholar', games: 1, color: 'random', name: 'random-bot' };
+  for (let i = 0; i < argv.length; i += 1) {
+    const key = argv[i].replace(/^--/, '');
+    if (key === 'help') return null;
+    if (!(key in options) || argv[i + 1] === undefined) throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    options[key] = key === 'games' ? Number(argv[i + 1]) : argv[i + 1];
+    i += 1;
+  }
+  return options;
+}
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+function chooseAction(legalActions, movesOnly) {
+  if (!legalActions) return null;
+  const { moves, draw, cards, forced } = legalActions;
+  if (!movesOnly && forced.some((entry) => entry.action === 'peekCardSelect')) return { type: 'peek', cardIndex: 0 };
+  const usable = cards.filter((card) => card.usable);
+  if (!movesOnly && usable.length > 0 && Math.random() < 0.15) {
+    const card = pick(usable);
+    return { type: 'arcana', arcanaId: card.arcanaId, instanceId: card.instanceId, targetSquare: card.targets ? pick(card.targets) : undefined };
+  }
+  if (!movesOnly && draw.allowed && Math.random() < 0.1) return { type: 'draw' };
+  if (moves.length === 0) return null;
+  const move = pick(moves);
+  return { type: 'move', from: move.from, to: move.to, promotion: move.promotion || undefined };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    usage();
+    return;
+  }
+
+  const socket = io(options.server, { transports: ['websocket'] });
+  const score = { win: 0, loss: 0, draw: 0 };
+  let acting = false;
+
+  // Acts until it is no longer this bot's turn. Updates that arrive meanwhile are covered by
+  // re-reading the position after every action.
+  const act = async () => {
+    if (acting) return;
+    acting = true;
+    try {
+      let movesOnly = false;
+      for (;;) {
+        const { ok, position } = await socket.emitWithAck('bot:position', {});
+        if (!ok || position.status !== 'ongoing') break;
+        const action = chooseAction(position.legalActions, movesOnly);
+        if (!action) break;
+        const result = await socket.emitWithAck('bot:action', action);
+        if (!result.ok) {
+          if (action.type === 'move') throw new Error(result.error);
+          movesOnly = true;
+        } else {
+          movesOnly = false;
+        }
+      }
+    } finally {
+      acting = false;
+    }
+  };
+
+  const startGame = async () => {
+    const res = await socket.emitWithAck('bot:playAI', { level: options.level, playerColor: options.color, timeControl: null });
+    if (!res.ok) throw new Error(res.error);
+    await act();
+  };
+
+  socket.on('gameUpdated', () => act().catch((err) => console.error('[bot]', err.message)));
+  socket.on('gameEnded', (outcome) => {
+    const result = !outcome.winnerSocketId ? 'draw' : (outcome.winnerSocketId === socket.id ? 'win' : 'loss');
+    score[result] += 1;
+    const played = score.win + score.loss + score.draw;
+    console.log(`game ${played}: ${result} (${outcome.type})`);
+    if (played >= options.games) {
+      console.log(`vs ${options.level}: +${score.win} -${score.loss} =${score.draw}`);
+      socket.close();
+      return;
+    }
+    startGame().catch((err) => console.error('[bot]', err.message));
+  });
+
+  socket.on('connect', async () => {
+    try {
+      const hello = await socket.emitWithAck('bot:hello', { name: options.name });
+      if (!hello.ok || !hello.aiLevels.includes(options.level)) throw new Error(`Unsupported level ${options.level}`);
+      await startGame();
+    } catch (err) {
+      console.error('[bot]', err.message);
+      socket.close();
+    }
+  });
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,184 @@
+/**
+ * Server-authoritative chess clock.
+ *
+ * All functions operate on a plain, JSON-serializable clock state stored on
+ * `gameState.clock` so it survives snapshots. Timer handles live in GameManager.
+ *
+ * Clock state shape:
+ * {
+ *   config: { initialMs, incrementMs, delayMs, delayMode },
+ *   remainingMs: { [playerId]: number },   // banked time, excludes the running turn
+ *   turn: null | { playerId, startedAt, accumulatedMs, pausedAt, pauseReason },
+ *   flaggedPlayerId: string | null,
+ * }
+ */
+
+function clampMs(value) {
+  return Math.max(0, Math.round(value));
+}
+
+/**
+ * Creates a fresh clock for the given players.
+ * @param {object} config - Parsed time control (see shared/timeControl.js).
+ * @param {Array<string>} playerIds - Players sharing the clock.
+ * @returns {object} Clock state.
+ */
+export function createClockState(config, playerIds) {
+  return {
+    config: { ...config },
+    remainingMs: Object.fromEntries(playerIds.map((pid) => [pid, config.initialMs])),
+    turn: null,
+    flaggedPlayerId: null,
+  };
+}
+
+function getActiveElapsedMs(turn, now) {
+  if (!turn) return 0;
+  const running = turn.pausedAt === null ? Math.max(0, now - turn.startedAt) : 0;
+  return turn.accumulatedMs + running;
+}
+
+// Time charged against the bank for the current turn (simple delay is free time).
+function getChargedMs(clock, now) {
+  const elapsed = getActiveElapsedMs(clock.turn, now);
+  if (clock.config.delayMode === 'simple') {
+    return Math.max(0, elapsed - clock.config.delayMs);
+  }
+  return elapsed;
+}
+
+/**
+ * Starts the clock for a player's turn. Any running turn must be ended first.
+ */
+export function startTurn(clock, playerId, now = Date.now()) {
+  clock.turn = {
+    playerId,
+    startedAt: now,
+    accumulatedMs: 0,
+    pausedAt: null,
+    pauseReason: null,
+  };
+}
+
+/**
+ * Ends the running turn: charges the elapsed time and applies increment/delay.
+ * @returns {{playerId: string, flagged: boolean}|null} The ended turn, or null when none was running.
+ */
+export function endTurn(clock, now = Date.now(), { applyBonus = true } = {}) {
+  const turn = clock.turn;
+  if (!turn) return null;
+
+  const { playerId } = turn;
+  const elapsed = getActiveElapsedMs(turn, now);
+  const charged = getChargedMs(clock, now);
+  let remaining = (clock.remainingMs[playerId] ?? 0) - charged;
+  const flagged = remaining <= 0;
+
+  if (!flagged && applyBonus) {
+    if (clock.config.delayMode === 'bronstein') {
+      remaining += Math.min(elapsed, clock.config.delayMs);
+    }
+    remaining += clock.config.incrementMs || 0;
+  }
+
+  clock.remainingMs[playerId] = clampMs(remaining);
+  clock.turn = null;
+  if (flagged) clock.flaggedPlayerId = playerId;
+  return { playerId, flagged };
+}
+
+/**
+ * Stops the running turn without increment or flagging (used when the game ends).
+ */
+export function stopClock(clock, now = Date.now()) {
+  const turn = clock.turn;
+  if (!turn) return;
+  clock.remainingMs[turn.playerId] = getRemainingMs(clock, turn.playerId, now);
+  clock.turn = null;
+}
+
+/**
+ * Pauses or resumes the running turn. Passing a falsy reason resumes.
+ */
+export function setClockPaused(clock, reason, now = Date.now()) {
+  const turn = clock.turn;
+  if (!turn) return;
+
+  if (reason) {
+    if (turn.pausedAt === null) {
+      turn.accumulatedMs += Math.max(0, now - turn.startedAt);
+      turn.pausedAt = now;
+    }
+    turn.pauseReason = reason;
+    return;
+  }
+
+  if (turn.pausedAt !== null) {
+    turn.startedAt = now;
+    turn.pausedAt = null;
+  }
+  turn.pauseReason = null;
+}
+
+/**
+ * Live remaining time for a player, including the running turn.
+ */
+export function getRemainingMs(clock, playerId, now = Date.now()) {
+  const banked = clock.remainingMs[playerId] ?? 0;
+  if (clock.turn?.playerId !== playerId) return banked;
+  return clampMs(banked - getChargedMs(clock, now));
+}
+
+/**
+ * Milliseconds until the running player's flag falls, or Infinity when paused/idle.
+ */
+export function getMsUntilFlag(clock, now = Date.now()) {
+  const turn = clock.turn;
+  if (!turn || turn.pausedAt !== null) return Infinity;
+  const banked = clock.remainingMs[turn.playerId] ?? 0;
+  const freeMs = clock.config.delayMode === 'simple' ? clock.config.delayMs : 0;
+  return Math.max(0, banked + freeMs - getActiveElapsedMs(turn, now));
+}
+
+/**
+ * Client-facing snapshot of the clock.
+ */
+export function snapshotClock(clock, now = Date.now()) {
+  const remainingMs = {};
+  for (const pid of Object.keys(clock.remainingMs)) {
+    remainingMs[pid] = getRemainingMs(clock, pid, now);
+  }
+  return {
+    config: { ...clock.config },
+    remainingMs,
+    runningFor: clock.turn?.playerId || null,
+    paused: Boolean(clock.turn && clock.turn.pausedAt !== null),
+    pauseReason: clock.turn?.pauseReason || null,
+    flaggedPlayerId: clock.flaggedPlayerId || null,
+    serverTime: now,
+  };
+}
+
+/**
+ * Rebases a clock restored from a snapshot so server downtime is not charged:
+ * time up to `savedAt` is kept, and the running turn resumes from `now`.
+ */
+export function resumeClockAfterRestore(clock, savedAt, now = Date.now()) {
+  const turn = clock?.turn;
+  if (!turn || turn.pausedAt !== null) return;
+  turn.accumulatedMs += Math.max(0, savedAt - turn.startedAt);
+  turn.startedAt = now;
+}
+
+/**
+ * Rekeys a player's clock entry after a socket reconnect.
+ */
+export function rebindClockPlayer(clock, oldPlayerId, newPlayerId) {
+  if (!clock) return;
+  if (Object.prototype.hasOwnProperty.call(clock.remainingMs, oldPlayerId)) {
+    clock.remainingMs[newPlayerId] = clock.remainingMs[oldPlayerId];
+    delete clock.remainingMs[oldPlayerId];
+  }
+  if (clock.turn?.playerId === oldPlayerId) clock.turn.playerId = newPlayerId;
+  if (clock.flaggedPlayerId === oldPlayerId) clock.flaggedPlayerId = newPlayerId;
+}
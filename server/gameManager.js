@@ -1,11 +1,46 @@
 import { Chess } from 'chess.js';
 import { ARCANA_DEFINITIONS } from '../shared/arcanaDefinitions.js';
 import { getGameModeConfig } from '../shared/gameModes.js';
-import { applyArcana } from './arcana/arcanaHandlers.js';
-import { validateArcanaMove } from './arcana/arcanaValidation.js';
-import { pickWeightedArcana, pickCommonArcana, checkForKingRemoval, getAdjacentSquares, makeArcanaInstance } from './arcana/arcanaUtils.js';
+import { resolveTimeControl, formatTimeControl } from '../shared/timeControl.js';
+import { resolveDeck } from '../shared/arcana/decks.js';
+import { applyArcana, resolveDeferredArcanaEffects } from './arcana/arcanaHandlers.js';
+import { pickWeightedArcana, pickArcanaOfRarity, checkForKingRemoval, getAdjacentSquares, makeArcanaInstance } from './arcana/arcanaUtils.js';
+import { createDrawPiles, drawArcanaFor, getDeckCounts } from './arcana/drawPile.js';
+import { safeLoadFen } from './arcana/fenLoader.js';
+import { expireArcanaEffects, runArcanaTriggers } from '../shared/arcana/effects/effectInterpreter.js';
+import { getValidTargetSquares, needsTargetSquare, validateArcanaPrerequisites } from '../shared/arcana/arcanaContracts.js';
+import { generateLegalMoves, getPiecesDiagonalFromBishop, listCandidateMoves, playArcanaMove, resolveArcanaMove } from '../shared/arcana/moveGenerator.js';
+import { TURN_PHASES, getAllowedTurnActions, getTurnActionBlockReason, resolveTurnPhase } from '../shared/turnPhase.js';
 import { performAIMoveLogic as runtimePerformAIMoveLogic, tryAIUseArcana as runtimeTryAIUseArcana } from './ai/aiRuntime.js';
 import { createAiCore } from './ai/aiCore.js';
+import { AiSearchPool, getAiSearchBudgetMs, getAiSearchStopMs } from './ai/searchPool.js';
+import { toSearchPayload } from './ai/searchPayload.js';
+import { AiPersonalityManager } from './ai/personalityManager.js';
+import {
+  createClockState,
+  startTurn as startClockTurn,
+  endTurn as endClockTurn,
+  stopClock,
+  setClockPaused,
+  getRemainingMs,
+  getMsUntilFlag,
+  snapshotClock,
+  rebindClockPlayer,
+  resumeClockAfterRestore,
+} from './clock/gameClock.js';
+import { createGameSnapshot, restoreGameSnapshot } from './persistence/gameSnapshot.js';
+import {
+  createReplayLog,
+  recordReplayEvent,
+  recordReplayOutcome,
+  snapshotHands,
+  recordHandChanges,
+  listActiveEffects,
+  recordExpiredEffects,
+  buildReplayFile,
+} from './replay/replayLog.js';
+import { createRngState, gameRandom } from './rng/seededRng.js';
+import { exportApgn, parseApgn } from './replay/apgn.js';
 
 // Logging utility
 const logger = {
@@ -25,12 +60,18 @@ const REVEAL_ACK_TIMEOUT_CUTSCENE_MS = 20000;
 const AI_POST_CUTSCENE_DELAY_MS = 3000;
 const ACTION_TTL_MS = 10000;
 const CURSED_REMOVAL_ANIMATION_MS = 220;
+const CLOCK_SYNC_INTERVAL_MS = 1000;
+const CLOCK_FLAG_GRACE_MS = 25;
+const CLOCK_BUSY_RETRY_MS = 50;
 
 // Game configuration constants
 const INITIAL_DRAW_PLY = -1;
 const MOVE_HISTORY_LIMIT = 10;
 const DRAW_COOLDOWN_PLIES = 3;
 const ARCANA_OVERFLOW_COPIES_PER_CARD = 10;
+const REPLAY_CACHE_LIMIT = 100; // finished-game replays kept in memory
+const APGN_IMPORT_PLAYERS = { white: 'apgn-white', black: 'apgn-black' };
+const TAKEBACK_CHECKPOINT_LIMIT = 4; // turn starts kept per game for takebacks
 
 // Chess board constants
 const BOARD_SIZE = 8;
@@ -51,6 +92,31 @@ const RARITY_SORT_ORDER = {
 // Game status constants
 const STATUS_ONGOING = 'ongoing';
 const STATUS_FINISHED = 'finished';
+const STATUS_ADJOURNED = 'adjourned';
+
+// Offers and requests answered by the opponent: actionType -> { kind, respond }.
+const NEGOTIATION_ACTIONS = {
+  offerDraw: { kind: 'draw', respond: false },
+  respondDraw: { kind: 'draw', respond: true },
+  requestTakeback: { kind: 'takeback', respond: false },
+  respondTakeback: { kind: 'takeback', respond: true },
+  requestAdjourn: { kind: 'adjourn', respond: false },
+  respondAdjourn: { kind: 'adjourn', respond: true },
+};
+const OFFER_KINDS = ['draw', 'takeback', 'adjourn'];
+
+// Game state that a takeback leaves alone: the log, clock and audience are not rewound.
+const TAKEBACK_KEPT_KEYS = new Set([
+  'replayLog',
+  'takebackCheckpoints',
+  'clock',
+  'timePerPlayer',
+  'lastMoveTime',
+  'spectatorIds',
+  'rematchVotes',
+  'pendingOffers',
+  'pendingReveal',
+]);
 
 // AI prefix
 const AI_PREFIX = 'AI-';
@@ -71,174 +137,6 @@ function cloneSerializable(value) {
   return JSON.parse(JSON.stringify(value));
 }
 
-function sanitizeEdgeRankPawnsInFen(fen) {
-  if (!fen || typeof fen !== 'string') return fen;
-  const parts = fen.split(' ');
-  if (!parts[0]) return fen;
-
-  const ranks = parts[0].split('/');
-  if (ranks.length !== 8) return fen;
-
-  const expandRank = (rank) => {
-    let out = '';
-    for (const ch of rank) {
-      if (/[1-8]/.test(ch)) out += '.'.repeat(parseInt(ch, 10));
-      else out += ch;
-    }
-    return out;
-  };
-
-  const compressRank = (expanded) => {
-    let out = '';
-    let empty = 0;
-    for (const ch of expanded) {
-      if (ch === '.') {
-        empty += 1;
-      } else {
-        if (empty > 0) {
-          out += String(empty);
-          empty = 0;
-        }
-        out += ch;
-      }
-    }
-    if (empty > 0) out += String(empty);
-    return out;
-  };
-
-  const normalizeEdgeRank = (rank, edge) => {
-    const expanded = expandRank(rank);
-    let changed = false;
-    let next = '';
-    for (const ch of expanded) {
-      // Only sanitize pawns that are on their promotion rank:
-      // white pawn on rank 8 ('P') or black pawn on rank 1 ('p').
-      if (edge === 'top' && ch === 'P') {
-        next += 'Q';
-        changed = true;
-      } else if (edge === 'bottom' && ch === 'p') {
-        next += 'q';
-        changed = true;
-      } else {
-        next += ch;
-      }
-    }
-    return { rank: changed ? compressRank(next) : rank, changed };
-  };
-
-  let anyChanged = false;
-  const top = normalizeEdgeRank(ranks[0], 'top');
-  const bottom = normalizeEdgeRank(ranks[7], 'bottom');
-  if (top.changed) {
-    ranks[0] = top.rank;
-    anyChanged = true;
-  }
-  if (bottom.changed) {
-    ranks[7] = bottom.rank;
-    anyChanged = true;
-  }
-
-  if (!anyChanged) return fen;
-  parts[0] = ranks.join('/');
-  return parts.join(' ');
-}
-
-function getOwnBackRankPawnsFromFen(fen) {
-  if (!fen || typeof fen !== 'string') return [];
-  const parts = fen.split(' ');
-  if (!parts[0]) return [];
-
-  const ranks = parts[0].split('/');
-  if (ranks.length !== 8) return [];
-
-  const expandRank = (rank) => {
-    let out = '';
-    for (const ch of rank) {
-      if (/[1-8]/.test(ch)) out += '.'.repeat(parseInt(ch, 10));
-      else out += ch;
-    }
-    return out;
-  };
-
-  const squares = [];
-  const topRank = expandRank(ranks[0]); // rank 8
-  const bottomRank = expandRank(ranks[7]); // rank 1
-
-  for (let file = 0; file < 8; file++) {
-    if (topRank[file] === 'p') squares.push(`${'abcdefgh'[file]}8`);
-    if (bottomRank[file] === 'P') squares.push(`${'abcdefgh'[file]}1`);
-  }
-
-  return squares;
-}
-
-function replaceOwnBackRankPawnsInFen(fen, replacement = { white: 'N', black: 'n' }) {
-  if (!fen || typeof fen !== 'string') return fen;
-  const parts = fen.split(' ');
-  if (!parts[0]) return fen;
-
-  const ranks = parts[0].split('/');
-  if (ranks.length !== 8) return fen;
-
-  const expandRank = (rank) => {
-    let out = '';
-    for (const ch of rank) {
-      if (/[1-8]/.test(ch)) out += '.'.repeat(parseInt(ch, 10));
-      else out += ch;
-    }
-    return out;
-  };
-
-  const compressRank = (expanded) => {
-    let out = '';
-    let empty = 0;
-    for (const ch of expanded) {
-      if (ch === '.') {
-        empty += 1;
-      } else {
-        if (empty > 0) {
-          out += String(empty);
-          empty = 0;
-        }
-        out += ch;
-      }
-    }
-    if (empty > 0) out += String(empty);
-    return out;
-  };
-
-  const topExpanded = expandRank(ranks[0]); // rank 8
-  const bottomExpanded = expandRank(ranks[7]); // rank 1
-
-  let nextTop = '';
-  let nextBottom = '';
-  let changed = false;
-
-  for (let i = 0; i < 8; i++) {
-    const topCh = topExpanded[i];
-    const bottomCh = bottomExpanded[i];
-    if (topCh === 'p') {
-      nextTop += replacement.black;
-      changed = true;
-    } else {
-      nextTop += topCh;
-    }
-    if (bottomCh === 'P') {
-      nextBottom += replacement.white;
-      changed = true;
-    } else {
-      nextBottom += bottomCh;
-    }
-  }
-
-  if (!changed) return fen;
-
-  ranks[0] = compressRank(nextTop);
-  ranks[7] = compressRank(nextBottom);
-  parts[0] = ranks.join('/');
-  return parts.join(' ');
-}
-
 function getFenPieceAtSquare(fen, square) {
   if (!fen || typeof fen !== 'string' || !square || square.length !== 2) return null;
   const parts = fen.split(' ');
@@ -302,42 +200,30 @@ function markPawnStartSquareConsumed(gameState, square, colorChar) {
   gameState.pawnFirstMoveConsumed[colorChar][square] = true;
 }
 
-function safeLoadFen(chess, fen) {
-  const safeFen = sanitizeEdgeRankPawnsInFen(fen);
-  try {
-    chess.load(safeFen);
-    return safeFen;
-  } catch (err) {
-    const ownBackRankPawns = getOwnBackRankPawnsFromFen(safeFen);
-    if (!ownBackRankPawns.length) throw err;
-
-    const surrogateFen = replaceOwnBackRankPawnsInFen(safeFen);
-    chess.load(surrogateFen);
-
-    for (const square of ownBackRankPawns) {
-      const rank = square[1];
-      const color = rank === '1' ? WHITE_CHAR : BLACK_CHAR;
-      chess.remove(square);
-      chess.put({ type: 'p', color }, square);
+// FEN with every piece of `color` ('w' | 'b') removed; clients render it as the fogged board.
+function removePiecesOfColor(fen, color) {
+  const fenParts = fen.split(' ');
+  const redactedRanks = fenParts[0].split('/').map((rank) => {
+    let result = '';
+    let emptyCount = 0;
+    for (const ch of rank) {
+      if (/\d/.test(ch)) {
+        emptyCount += parseInt(ch);
+      } else {
+        // Uppercase = white, lowercase = black
+        const pieceColor = ch === ch.toUpperCase() ? 'w' : 'b';
+        if (pieceColor === color) {
+          emptyCount++;
+        } else {
+          if (emptyCount > 0) { result += emptyCount; emptyCount = 0; }
+          result += ch;
+        }
+      }
     }
-
-    return surrogateFen;
-  }
-}
-
-function normalizeTimeControlMinutes(timeControl) {
-  if (timeControl === null || timeControl === undefined || timeControl === 'unlimited') return null;
-  if (typeof timeControl === 'number' && Number.isFinite(timeControl) && timeControl > 0) return timeControl;
-  if (typeof timeControl === 'string') {
-    const key = timeControl.trim().toLowerCase();
-    if (key === 'bullet') return 5;
-    if (key === 'blitz') return 10;
-    if (key === 'rapid') return 30;
-    if (key === 'classical') return 60;
-    const parsed = Number(key);
-    if (Number.isFinite(parsed) && parsed > 0) return parsed;
-  }
-  return 30;
+    if (emptyCount > 0) result += emptyCount;
+    return result;
+  });
+  return [redactedRanks.join('/'), ...fenParts.slice(1)].join(' ');
 }
 
 const {
@@ -345,11 +231,14 @@ const {
   getAiDifficultyConfig,
   shouldAiDrawArcana,
   scoreArcanaUseIntent,
-  selectBestAiMove,
   orderAiMoves,
   selectAiArcanaTarget,
+  shouldAiAcceptDraw,
 } = createAiCore({ safeLoadFen });
 
+// Shared by every game on this server; idle workers do not keep the process alive.
+const aiSearchPool = new AiSearchPool({ perGameLimit: Number(process.env.AI_SEARCH_PER_GAME) || 1 });
+
 /**
  * Helper: Validates that second capture is not adjacent to first kill square
  * Used by both Double Strike and Berserker Rage cards
@@ -369,90 +258,6 @@ function validateNonAdjacentCapture(activeEffect, secondTargetSquare, cardName)
   }
 }
 
-function applyManualCandidateMove(chess, candidate) {
-  const movingPiece = chess.get(candidate.from);
-  if (!movingPiece) {
-    throw new Error(`Invalid move: No piece at ${candidate.from}`);
-  }
-
-  const capturedSquare = candidate.flags && candidate.flags.includes('e')
-    ? `${candidate.to[0]}${candidate.from[1]}`
-    : candidate.to;
-  const capturedPiece = chess.get(capturedSquare);
-
-  chess.remove(candidate.from);
-  if (capturedPiece) chess.remove(capturedSquare);
-
-  const placedPiece = candidate.promotion
-    ? { type: candidate.promotion, color: movingPiece.color }
-    : movingPiece;
-  chess.put(placedPiece, candidate.to);
-
-  const fen = chess.fen();
-  const fenParts = fen.split(' ');
-  fenParts[1] = fenParts[1] === 'w' ? 'b' : 'w';
-  fenParts[3] = '-';
-  if (capturedPiece || movingPiece.type === 'p') {
-    fenParts[4] = '0';
-  } else {
-    fenParts[4] = String(parseInt(fenParts[4] || 0, 10) + 1);
-  }
-  if (movingPiece.color === 'b') {
-    fenParts[5] = String(parseInt(fenParts[5] || 1, 10) + 1);
-  }
-  chess.load(fenParts.join(' '));
-
-  return { movingPiece, capturedPiece, capturedSquare };
-}
-
-/**
- * Helper: Get all friendly pieces on all 4 diagonals from a bishop position
- * Used by Bishop's Blessing to protect diagonal pieces
- * @param {Chess} chess - Chess instance
- * @param {string} bishopSquare - Square where the bishop is located
- * @param {string} color - Color of the bishop ('w' or 'b')
- * @returns {Array<string>} Array of protected square names
- */
-function getPiecesDiagonalFromBishop(chess, bishopSquare, color) {
-  const protectedSquares = [];
-  if (!bishopSquare) return protectedSquares;
-  
-  const file = bishopSquare.charCodeAt(0) - 97; // a=0, h=7
-  const rank = parseInt(bishopSquare[1]); // 1-8
-  
-  // 4 diagonal directions: NE, NW, SE, SW
-  const directions = [
-    { df: 1, dr: 1 },  // NE
-    { df: -1, dr: 1 }, // NW
-    { df: 1, dr: -1 }, // SE
-    { df: -1, dr: -1 } // SW
-  ];
-  
-  for (const dir of directions) {
-    let f = file + dir.df;
-    let r = rank + dir.dr;
-    
-    while (f >= 0 && f < 8 && r >= 1 && r <= 8) {
-      const sq = String.fromCharCode(97 + f) + r;
-      const piece = chess.get(sq);
-      
-      // Stop if we hit an enemy piece (blocked on diagonal)
-      if (piece && piece.color !== color) {
-        break;
-      }
-      // Add friendly pieces to protected list
-      if (piece && piece.color === color) {
-        protectedSquares.push(sq);
-      }
-      
-      f += dir.df;
-      r += dir.dr;
-    }
-  }
-  
-  return protectedSquares;
-}
-
 function syncBishopsBlessing(chess, gameState) {
   const effects = gameState?.activeEffects;
   if (!effects?.bishopsBlessing) return;
@@ -483,13 +288,18 @@ function syncBishopsBlessing(chess, gameState) {
  * @param {string} config.mode - Game mode ('Ascendant' or 'Classic')
  * @param {Array<string>} config.playerIds - Array of player socket IDs
  * @param {number} [config.aiDifficulty] - AI difficulty level (1-3) if playing against AI
+ * @param {Object|null} [config.aiPersonality] - AI personality (see shared/aiPersonalities.js), copied into the game
  * @param {string} [config.playerColor] - Human player's color when playing against AI
+ * @param {string|number|null} [config.timeControl] - Time control ('10', '3+2', '10|5d', 'unlimited', ...)
  * @returns {Object} Initial game state object
  */
-function createInitialGameState({ mode = 'Ascendant', playerIds, aiDifficulty, playerColor, hostId = null, hostColorPreference = WHITE, timeControl = 30 }) {
+function createInitialGameState({ mode = 'Ascendant', playerIds, aiDifficulty, aiPersonality = null, playerColor, hostId = null, hostColorPreference = WHITE, timeControl = 30, seed }) {
   const chess = new Chess();
   const modeConfig = getGameModeConfig(mode);
   const resolvedMode = modeConfig.id;
+  // Every random decision in the game draws from this generator (see rng/seededRng.js).
+  const rng = createRngState(seed);
+  const random = gameRandom({ rng });
 
   // Arcana hand setup depends on selected game mode.
   const arcanaByPlayer = {};
@@ -503,7 +313,7 @@ function createInitialGameState({ mode = 'Ascendant', playerIds, aiDifficulty, p
           if (rarityDiff !== 0) return rarityDiff;
           return (a.name || a.id || '').localeCompare(b.name || b.id || '');
         })
-        .flatMap((card) => Array.from({ length: ARCANA_OVERFLOW_COPIES_PER_CARD }, () => makeArcanaInstance(card)));
+        .flatMap((card) => Array.from({ length: ARCANA_OVERFLOW_COPIES_PER_CARD }, () => makeArcanaInstance(card, random)));
     } else {
       arcanaByPlayer[id] = [];
     }
@@ -514,7 +324,7 @@ function createInitialGameState({ mode = 'Ascendant', playerIds, aiDifficulty, p
   if (hostId && playerIds.includes(hostId) && playerIds.length >= 2) {
     const preference = String(hostColorPreference || WHITE).toLowerCase();
     const hostColor = preference === 'random'
-      ? (Math.random() < 0.5 ? WHITE : BLACK)
+      ? (random() < 0.5 ? WHITE : BLACK)
       : (preference === BLACK || preference === BLACK_CHAR ? BLACK : WHITE);
     const opponentColor = hostColor === WHITE ? BLACK : WHITE;
     const opponentId = playerIds.find((pid) => pid !== hostId) || null;
@@ -529,11 +339,12 @@ function createInitialGameState({ mode = 'Ascendant', playerIds, aiDifficulty, p
   const lastDrawTurn = {};
   for (const pid of playerIds) lastDrawTurn[pid] = INITIAL_DRAW_PLY;
 
-  // Initialize time control (in seconds); null means unlimited time.
-  const timeMinutes = normalizeTimeControlMinutes(timeControl);
-  const timePerPlayer = timeMinutes === null
+  // Initialize time control; a null config means unlimited time.
+  const clockConfig = resolveTimeControl(timeControl);
+  const clock = clockConfig ? createClockState(clockConfig, playerIds) : null;
+  const timePerPlayer = clockConfig === null
     ? null
-    : Object.fromEntries(playerIds.map((pid) => [pid, timeMinutes * 60]));
+    : Object.fromEntries(playerIds.map((pid) => [pid, clockConfig.initialMs / 1000]));
   const whitePlayerId = findPlayerIdByColor(playerColors, WHITE) || playerIds[0];
 
   return {
@@ -542,6 +353,7 @@ function createInitialGameState({ mode = 'Ascendant', playerIds, aiDifficulty, p
     chess,
     playerIds,
     aiDifficulty: aiDifficulty || null,
+    aiPersonality, // the personality as it was when the game started; later edits do not apply
     playerColor: playerColor || WHITE,
     playerColors,
     currentTurnSocket: whitePlayerId,
@@ -551,8 +363,9 @@ function createInitialGameState({ mode = 'Ascendant', playerIds, aiDifficulty, p
     arcanaByPlayer,
     usedArcanaIdsByPlayer: {},
     // Time control tracking
-    timeControl: timeMinutes, // minutes per player, null for unlimited
-    timePerPlayer: timePerPlayer, // remaining time in seconds
+    timeControl: formatTimeControl(clockConfig), // canonical string ('10', '3+2', '10|5d'), null for unlimited
+    clock, // server-authoritative clock state (see clock/gameClock.js), null for unlimited
+    timePerPlayer: timePerPlayer, // remaining time in seconds, mirrored from clock for older clients
     lastMoveTime: Date.now(), // when current turn started
     timeLossLoser: null, // socketId of player who lost on time
     lastMove: null,
@@ -603,7 +416,20 @@ function createInitialGameState({ mode = 'Ascendant', playerIds, aiDifficulty, p
       edgerunnerOverdrive: null,
     },
     moveHistory: [],  // for time_travel
+    extraMove: null,  // { color, source, square } while the mover owes an extra move (see shared/turnPhase.js)
+    drawPiles: {},  // socketId -> deck draw pile (see arcana/drawPile.js); absent = open pool
     rematchVotes: {},  // socketId -> boolean (true = voted, false = left/declined)
+    spectatorIds: [],  // sockets watching the game (see addSpectator); not restored after a restart
+    rng, // { seed, state } - seeded generator state, persisted with the game
+    // Authoritative action log for replays (see replay/replayLog.js); never sent to clients mid-game
+    replayLog: createReplayLog({
+      seed: rng.seed,
+      fen: chess.fen(),
+      playerColors,
+      hands: arcanaByPlayer,
+      mode: resolvedMode,
+      timeControl: formatTimeControl(clockConfig),
+    }),
   };
 }
 
@@ -616,12 +442,23 @@ export class GameManager {
   /**
    * @param {SocketIO.Server} io - Socket.io server instance
    * @param {LobbyManager} lobbyManager - Lobby manager instance
+   * @param {Object} [options]
+   * @param {Object|null} [options.store] - Game store for crash-safe resume (see persistence/gameStore.js)
+   * @param {Object|null} [options.accounts] - AccountManager that records results (see accounts/accountManager.js)
    */
-  constructor(io, lobbyManager) {
+  constructor(io, lobbyManager, { store = null, accounts = null, personalities = null } = {}) {
     this.io = io;
     this.lobbyManager = lobbyManager;
+    this.store = store;
+    this.accounts = accounts;
+    this.personalities = personalities || new AiPersonalityManager();
     this.games = new Map(); // gameId -> state
     this.socketToGame = new Map(); // socketId -> gameId
+    this.clockTimers = new Map(); // gameId -> flag-fall timeout
+    this.clockSyncInterval = null;
+    this.replays = new Map(); // gameId -> replay file of recently finished games
+    this.spectatorToGame = new Map(); // spectator socketId -> gameId
+    this.adjournedGames = new Map(); // gameId -> adjourned state, resumed by client id or account
   }
 
   /**
@@ -640,6 +477,256 @@ export class GameManager {
     }
   }
 
+  // Runs after every applied action: persist the game and push the new state to spectators.
+  _commitGameState(gameState) {
+    this._persistGame(gameState);
+    this._broadcastToSpectators(gameState);
+  }
+
+  // Snapshot the game to the store; finished games are dropped, adjourned ones kept.
+  _persistGame(gameState) {
+    const unfinished = gameState?.status === STATUS_ONGOING || gameState?.status === STATUS_ADJOURNED;
+    if (gameState?.id && !unfinished) this._archiveReplay(gameState);
+    if (!this.store || !gameState?.id) return;
+    try {
+      if (unfinished) {
+        this.store.save(createGameSnapshot(gameState));
+      } else {
+        this.store.remove(gameState.id);
+      }
+    } catch (err) {
+      logger.warn(`Failed to persist game ${gameState.id}:`, err.message);
+    }
+  }
+
+  // Finished games outlive `this.games` (forfeit/disconnect delete them), so the replay is
+  // built once at game end and kept in a bounded cache plus the store, if it keeps replays.
+  _archiveReplay(gameState) {
+    const log = gameState.replayLog;
+    if (!log || log.archivedAt) return;
+    log.archivedAt = Date.now();
+    try {
+      const replay = buildReplayFile(gameState);
+      this.replays.set(gameState.id, replay);
+      if (this.replays.size > REPLAY_CACHE_LIMIT) {
+        this.replays.delete(this.replays.keys().next().value);
+      }
+      this.store?.saveReplay?.(replay);
+    } catch (err) {
+      logger.warn(`Failed to archive replay for game ${gameState.id}:`, err.message);
+    }
+  }
+
+  /**
+   * Full replay file for a finished game (see replay/replayLog.js for the format).
+   * Unfinished games are refused: the log contains hidden information such as the
+   * opponent's draws.
+   * @param {string} gameId
+   * @returns {Object} Replay file
+   */
+  getReplay(gameId) {
+    const gameState = this.games.get(gameId);
+    if (gameState) {
+      if (gameState.status === STATUS_ONGOING) throw new Error('Replay is available once the game has finished');
+      this._archiveReplay(gameState);
+    }
+    const replay = this.replays.get(gameId) || this.store?.loadReplay?.(gameId) || null;
+    if (!replay) throw new Error('Replay not found');
+    return replay;
+  }
+
+  /**
+   * APGN text for a finished game (see replay/apgn.js).
+   * @param {string} gameId
+   * @returns {string}
+   */
+  getApgn(gameId) {
+    return exportApgn(this.getReplay(gameId));
+  }
+
+  /**
+   * Rebuilds a game from APGN by replaying every action through the normal action
+   * pipeline (moves, draws and `applyArcana`) in a detached manager, seeded from `[Seed]`.
+   * Drawn cards are checked against the `{%draw}` annotations so a wrong seed or a
+   * hand-edited file fails loudly instead of producing a different game.
+   * @param {string} text - APGN document.
+   * @returns {Promise<{ replay: Object, tags: Object }>} Replay file of the rebuilt game.
+   */
+  async importApgn(text) {
+    const { tags, actions, result } = parseApgn(text);
+    const silentIo = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+    const sandbox = new GameManager(silentIo, { lobbies: new Map(), socketToLobby: new Map() });
+
+    const gameState = createInitialGameState({
+      mode: tags.Mode || 'Ascendant',
+      playerIds: [APGN_IMPORT_PLAYERS.white, APGN_IMPORT_PLAYERS.black],
+      hostId: APGN_IMPORT_PLAYERS.white,
+      hostColorPreference: WHITE,
+      timeControl: null, // rebuilt instantly; clocks would only arm timers
+      seed: tags.Seed && tags.Seed !== '-' ? tags.Seed : undefined,
+    });
+    if (tags.FEN) {
+      safeLoadFen(gameState.chess, tags.FEN);
+      gameState.replayLog.initial.fen = gameState.chess.fen();
+    }
+    gameState.replayLog.initial.timeControl = tags.TimeControl && tags.TimeControl !== '-' ? tags.TimeControl : null;
+    sandbox.games.set(gameState.id, gameState);
+    for (const pid of gameState.playerIds) sandbox.socketToGame.set(pid, gameState.id);
+
+    for (let i = 0; i < actions.length; i++) {
+      if (gameState.status !== STATUS_ONGOING) {
+        throw new Error(`APGN continues after the game ended (action ${i + 1})`);
+      }
+      try {
+        await sandbox._applyApgnAction(gameState, actions[i]);
+      } catch (err) {
+        throw new Error(`APGN diverged at ply ${gameState.plyCount} (action ${i + 1}): ${err.message}`);
+      }
+    }
+
+    const replay = { ...buildReplayFile(gameState), source: 'apgn' };
+    if (!replay.outcome && tags.Termination && result !== '*') {
+      const winner = result === '1-0' ? APGN_IMPORT_PLAYERS.white : result === '0-1' ? APGN_IMPORT_PLAYERS.black : null;
+      const loser = winner && (winner === APGN_IMPORT_PLAYERS.white ? APGN_IMPORT_PLAYERS.black : APGN_IMPORT_PLAYERS.white);
+      replay.outcome = winner ? { type: tags.Termination, winnerSocketId: winner, loserSocketId: loser } : { type: tags.Termination };
+    }
+    return { replay, tags };
+  }
+
+  // Applies one parsed APGN action for the side to move, settling reveals and Time Freeze skips.
+  async _applyApgnAction(gameState, action) {
+    const actorId = () => (gameState.chess.turn() === WHITE_CHAR ? APGN_IMPORT_PLAYERS.white : APGN_IMPORT_PLAYERS.black);
+    let payload;
+    if (action.type === 'move') {
+      let { from, to, promotion } = action;
+      if (!from || !to) {
+        const bare = action.san.replace(/[+#]+$/, '');
+        const match = gameState.chess.moves({ verbose: true }).find((m) => m.san.replace(/[+#]+$/, '') === bare);
+        if (!match) throw new Error(`Move ${action.san} is not legal here`);
+        ({ from, to, promotion } = match);
+      }
+      payload = { move: { from, to, promotion: promotion || undefined } };
+    } else if (action.type === 'draw') {
+      payload = { actionType: 'drawArcana' };
+    } else if (action.type === 'arcana') {
+      payload = { actionType: 'useArcana', arcanaId: action.arcanaId, params: action.params || {} };
+    } else if (action.type === 'peek') {
+      payload = { actionType: 'peekCardSelect', cardIndex: action.cardIndex };
+    } else {
+      throw new Error(`Unknown APGN action ${action.type}`);
+    }
+
+    let response = null;
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const socket = { id: actorId() };
+      let request = payload;
+      if (payload.actionType === 'useArcana') {
+        const card = (gameState.arcanaByPlayer[socket.id] || []).find((c) => c.id === payload.arcanaId);
+        if (!card) throw new Error(`${payload.arcanaId} is not in hand`);
+        request = { actionType: 'useArcana', arcanaUsed: [{ arcanaId: card.id, instanceId: card.instanceId, params: payload.params }] };
+      }
+      response = await this.handlePlayerAction(socket, request);
+      if (gameState.pendingReveal?.timeoutId) clearTimeout(gameState.pendingReveal.timeoutId);
+      if (gameState.pendingReveal) await this._finalizeReveal(gameState);
+      if (!response?.turnSkipped) break;
+    }
+
+    if (action.type === 'draw' && action.arcanaId) {
+      const drawn = response?.drewCard?.id;
+      if (drawn !== action.arcanaId) throw new Error(`expected to draw ${action.arcanaId}, drew ${drawn}`);
+    }
+  }
+
+  // Stable client ids (`arcana:clientId`) survive a server restart; socket ids do not.
+  _getClientId(socketId) {
+    const socket = this.io?.sockets?.sockets?.get?.(socketId);
+    return socket?.data?.clientId || null;
+  }
+
+  // Signed-in players carry `{ playerId, displayName }` on their socket (set in index.js).
+  _getPlayerProfile(socketId) {
+    const socket = this.io?.sockets?.sockets?.get?.(socketId);
+    return socket?.data?.profile || null;
+  }
+
+  // Seat a returning socket owns in a stored game: same client id, or same account.
+  _findSeatForSocket(gameState, socket) {
+    const clientId = socket?.data?.clientId;
+    const playerId = socket?.data?.profile?.playerId;
+    return gameState.playerIds.find((pid) => (
+      (clientId && gameState.clientIdByPlayer?.[pid] === clientId)
+      || (playerId && gameState.playerProfiles?.[pid]?.playerId === playerId)
+    )) || null;
+  }
+
+  /**
+   * Rehydrate unfinished games from the store. Called once on boot.
+   * Players stay keyed by their pre-restart socket ids until they reconnect with
+   * their client id and `rebindSocket` moves them onto the new socket.
+   * @returns {Array<Object>} Restored game states
+   */
+  restoreGames() {
+    if (!this.store) return [];
+    const restored = [];
+    const now = Date.now();
+
+    for (const snapshot of this.store.loadAll()) {
+      let gameState;
+      try {
+        gameState = restoreGameSnapshot(snapshot, { loadFen: safeLoadFen });
+      } catch (err) {
+        logger.warn('Discarding unreadable game snapshot:', err.message);
+        if (snapshot?.state?.id) this.store.remove(snapshot.state.id);
+        continue;
+      }
+      if (gameState.status === STATUS_ADJOURNED) {
+        gameState.spectatorIds = [];
+        delete gameState.resumeReady;
+        this.adjournedGames.set(gameState.id, gameState);
+        continue;
+      }
+      if (gameState.status !== STATUS_ONGOING || this.games.has(gameState.id)) {
+        this.store.remove(gameState.id);
+        continue;
+      }
+
+      this.games.set(gameState.id, gameState);
+      for (const pid of gameState.playerIds) {
+        if (!pid.startsWith(AI_PREFIX)) this.socketToGame.set(pid, gameState.id);
+      }
+      // Spectator sockets did not survive the restart; they rejoin by code.
+      gameState.spectatorIds = [];
+
+      // Downtime is not charged to whoever was on move when the server went away.
+      if (gameState.clock) resumeClockAfterRestore(gameState.clock, snapshot.savedAt, now);
+
+      // Timer handles are not persisted: re-arm the reveal fallback so the turn can finish.
+      if (gameState.pendingReveal?.playerId) {
+        const revealTimeoutMs = gameState.pendingReveal.cutscene ? REVEAL_ACK_TIMEOUT_CUTSCENE_MS : REVEAL_ACK_TIMEOUT_MS;
+        gameState.pendingReveal.timeoutId = setTimeout(async () => {
+          try {
+            await this._finalizeReveal(gameState);
+          } catch (e) {
+            logger.error('Error finalizing reveal (restored game):', e);
+          }
+        }, revealTimeoutMs);
+      }
+
+      this._updateClock(gameState, now);
+      restored.push(gameState);
+
+      // The server may have gone down while the AI was thinking.
+      if (gameState.aiDifficulty && !gameState.pendingReveal) {
+        this._settleAITurn(gameState)
+          .then(() => this._commitGameState(gameState))
+          .catch((err) => logger.error('Error resuming AI turn for restored game:', err));
+      }
+    }
+
+    if (restored.length) logger.info(`Restored ${restored.length} unfinished game(s) from storage`);
+    return restored;
+  }
+
   // Swap active side in FEN without executing a move, then reload safely.
   _swapTurn(chess, gameState = null) {
     const fenParts = chess.fen().split(' ');
@@ -650,9 +737,147 @@ export class GameManager {
     if (gameState) {
       const nextTurn = chess.turn();
       gameState.currentTurnSocket = findPlayerIdByColor(gameState.playerColors, nextTurn);
-      if (gameState.timePerPlayer) {
-        gameState.lastMoveTime = Date.now();
+      this._updateClock(gameState);
+    }
+  }
+
+  // The clock pauses while the player to move is watching their own reveal/cutscene.
+  _getClockPauseReason(gameState, activePlayerId) {
+    const pending = gameState.pendingReveal;
+    if (!pending?.playerId || pending.playerId !== activePlayerId) return null;
+    return pending.cutscene ? 'cutscene' : 'reveal';
+  }
+
+  /**
+   * Sync the clock with the side to move. Idempotent: safe to call after any state change.
+   * Ending a turn applies increment/delay; a frozen side's clock never starts because its
+   * turn is skipped straight away (the freezing player's clock keeps running instead).
+   */
+  _updateClock(gameState, now = Date.now()) {
+    const clock = gameState?.clock;
+    if (!clock) return;
+
+    if (gameState.status !== STATUS_ONGOING) {
+      stopClock(clock, now);
+      this._clearClockTimer(gameState.id);
+      this._mirrorClockSeconds(gameState, now);
+      return;
+    }
+
+    const activeColor = gameState.chess.turn();
+    const activePlayerId = findPlayerIdByColor(gameState.playerColors, activeColor);
+    const skipPending = Boolean(gameState.activeEffects?.timeFrozen?.[activeColor]);
+
+    if (!skipPending && clock.turn?.playerId !== activePlayerId) {
+      const ended = endClockTurn(clock, now);
+      if (ended?.flagged) {
+        this._endGameOnTime(gameState, ended.playerId, now);
+        return;
       }
+      if (activePlayerId) startClockTurn(clock, activePlayerId, now);
+      gameState.lastMoveTime = now;
+    }
+
+    setClockPaused(clock, this._getClockPauseReason(gameState, clock.turn?.playerId), now);
+    this._mirrorClockSeconds(gameState, now);
+    this._armClockTimer(gameState, now);
+    this._ensureClockSync();
+  }
+
+  // Keep the legacy per-player seconds map in step with the clock for older clients.
+  _mirrorClockSeconds(gameState, now = Date.now()) {
+    const clock = gameState.clock;
+    if (!clock) return;
+    gameState.timePerPlayer = Object.fromEntries(
+      Object.keys(clock.remainingMs).map((pid) => [pid, getRemainingMs(clock, pid, now) / 1000])
+    );
+  }
+
+  _armClockTimer(gameState, now = Date.now()) {
+    this._clearClockTimer(gameState.id);
+    const msUntilFlag = getMsUntilFlag(gameState.clock, now);
+    if (!Number.isFinite(msUntilFlag)) return;
+    const timer = setTimeout(() => this._handleFlagTimer(gameState.id), msUntilFlag + CLOCK_FLAG_GRACE_MS);
+    timer.unref?.();
+    this.clockTimers.set(gameState.id, timer);
+  }
+
+  _clearClockTimer(gameId) {
+    const timer = this.clockTimers.get(gameId);
+    if (timer) clearTimeout(timer);
+    this.clockTimers.delete(gameId);
+  }
+
+  _handleFlagTimer(gameId) {
+    this.clockTimers.delete(gameId);
+    const gameState = this.games.get(gameId);
+    if (!gameState?.clock || gameState.status !== STATUS_ONGOING) return;
+
+    // Never end a game underneath an in-flight action; check again once it settles.
+    if (gameState._busy) {
+      const retry = setTimeout(() => this._handleFlagTimer(gameId), CLOCK_BUSY_RETRY_MS);
+      retry.unref?.();
+      this.clockTimers.set(gameId, retry);
+      return;
+    }
+
+    const now = Date.now();
+    const runningId = gameState.clock.turn?.playerId;
+    if (!runningId) return;
+    if (getMsUntilFlag(gameState.clock, now) > 0) {
+      this._armClockTimer(gameState, now);
+      return;
+    }
+
+    endClockTurn(gameState.clock, now, { applyBonus: false });
+    this._endGameOnTime(gameState, runningId, now);
+  }
+
+  _endGameOnTime(gameState, loserId, now = Date.now()) {
+    gameState.status = STATUS_FINISHED;
+    gameState.timeLossLoser = loserId;
+    if (gameState.clock) {
+      gameState.clock.flaggedPlayerId = loserId;
+      stopClock(gameState.clock, now);
+    }
+    this._clearClockTimer(gameState.id);
+    this._mirrorClockSeconds(gameState, now);
+
+    const winnerId = gameState.playerIds.find((id) => id !== loserId) || null;
+    const outcome = { type: 'time-expired', winnerSocketId: winnerId, loserSocketId: loserId };
+    logger.info(`Game ${gameState.id}: ${loserId} lost on time`);
+
+    for (const pid of gameState.playerIds) {
+      if (!pid.startsWith(AI_PREFIX)) {
+        this.io.to(pid).emit('gameUpdated', this.serialiseGameStateForViewer(gameState, pid));
+        this.emitGameEndedToPlayer(pid, outcome, gameState);
+      }
+    }
+    this._commitGameState(gameState);
+  }
+
+  // One shared interval pushes authoritative clock readings to every running game.
+  _ensureClockSync() {
+    if (this.clockSyncInterval) return;
+    this.clockSyncInterval = setInterval(() => this._broadcastClockSync(), CLOCK_SYNC_INTERVAL_MS);
+    this.clockSyncInterval.unref?.();
+  }
+
+  _broadcastClockSync() {
+    const now = Date.now();
+    let running = 0;
+    for (const gameState of this.games.values()) {
+      if (!gameState.clock || gameState.status !== STATUS_ONGOING) continue;
+      running += 1;
+      const payload = { gameId: gameState.id, ...snapshotClock(gameState.clock, now) };
+      for (const pid of gameState.playerIds) {
+        if (!pid.startsWith(AI_PREFIX)) this.io.to(pid).emit('clockSync', payload);
+      }
+      for (const sid of gameState.spectatorIds || []) this.io.to(sid).emit('clockSync', payload);
+    }
+    if (running === 0) {
+      clearInterval(this.clockSyncInterval);
+      this.clockSyncInterval = null;
     }
   }
 
@@ -677,6 +902,7 @@ export class GameManager {
     this.decrementEffects(gameState);
 
     const skippedPlayerId = findPlayerIdByColor(gameState.playerColors, frozenColor);
+    recordReplayEvent(gameState, 'turn_skipped', { playerId: skippedPlayerId, reason: 'Time Freeze' });
     for (const pid of gameState.playerIds || []) {
       if (!pid.startsWith(AI_PREFIX)) {
         this.io.to(pid).emit('turnSkipped', {
@@ -726,6 +952,7 @@ export class GameManager {
     this._swapTurn(chess, gameState);
     if (typeof gameState.plyCount !== 'number') gameState.plyCount = 0;
     gameState.plyCount += 1;
+    recordReplayEvent(gameState, 'turn_skipped', { playerId: aiSocketId, reason: 'AI error' });
     this.decrementEffects(gameState);
     this.broadcastGameUpdate(gameState);
     return true;
@@ -748,9 +975,76 @@ export class GameManager {
   // Helper to emit `gameEnded` with rematch metadata so clients can decide
   // whether to auto-return to menu or wait for rematch actions.
   emitGameEndedToPlayer(pid, outcome, gameState) {
+    if (gameState) aiSearchPool.cancelGame(gameState.id);
+    outcome = this._withPlayerIds(gameState, outcome);
+    recordReplayOutcome(gameState, outcome);
+    this._recordAccountResults(gameState);
     const rematchVotes = gameState?.rematchVotes ? Object.values(gameState.rematchVotes).filter(v => v === true).length : 0;
     const rematchTotalPlayers = gameState ? (gameState.playerIds || []).filter(id => !id.startsWith(AI_PREFIX)).length : 0;
-    this.io.to(pid).emit('gameEnded', { ...outcome, rematchVotes, rematchTotalPlayers });
+    const ratingChanges = gameState?.ratingChanges || null;
+    this.io.to(pid).emit('gameEnded', { ...outcome, ratingChanges, rematchVotes, rematchTotalPlayers });
+  }
+
+  // Outcome of a game ended by the AI's own move, read from the board like a human's move.
+  _aiFinishedOutcome(gameState) {
+    if (gameState.replayLog?.outcome) return gameState.replayLog.outcome;
+    const chess = gameState.chess;
+    const kingCheck = checkForKingRemoval(chess);
+    let winnerColor = null;
+    let type = 'draw';
+    if (kingCheck.kingRemoved) {
+      winnerColor = kingCheck.winner;
+      type = 'king-captured';
+    } else if (chess.isCheckmate()) {
+      winnerColor = chess.turn() === WHITE_CHAR ? BLACK : WHITE;
+      type = 'checkmate';
+    }
+    return winnerColor
+      ? { type, winnerSocketId: findPlayerIdByColor(gameState.playerColors, winnerColor) }
+      : { type };
+  }
+
+  // Adds account ids for the winning and losing seats; socket ids mean nothing after the game.
+  _withPlayerIds(gameState, outcome) {
+    const profiles = gameState?.playerProfiles;
+    if (!profiles || !outcome?.type) return outcome;
+    const winner = outcome.winnerSocketId || null;
+    const loser = outcome.loserSocketId || (winner ? gameState.playerIds.find((pid) => pid !== winner) : null);
+    return {
+      ...outcome,
+      winnerPlayerId: profiles[winner]?.playerId || null,
+      loserPlayerId: profiles[loser]?.playerId || null,
+    };
+  }
+
+  // Adds the finished game to the stats and history of every signed-in seat, and rates it.
+  _recordAccountResults(gameState) {
+    const outcome = gameState?.replayLog?.outcome;
+    if (!this.accounts || !outcome || gameState.ratingChanges) return;
+    const winner = outcome.winnerSocketId || null;
+    const loser = outcome.loserSocketId || (winner ? gameState.playerIds.find((pid) => pid !== winner) : null);
+    const describeOpponent = (pid) => {
+      if (!pid) return 'Unknown';
+      if (pid.startsWith(AI_PREFIX)) return `AI (${gameState.aiPersonality?.name || gameState.aiDifficulty || 'Scholar'})`;
+      return gameState.playerProfiles?.[pid]?.displayName || 'Guest';
+    };
+    try {
+      gameState.ratingChanges = this.accounts.recordGame({
+        gameId: gameState.id,
+        mode: gameState.mode,
+        rated: Boolean(gameState.rated),
+        timeControl: gameState.timeControl ?? null,
+        outcomeType: outcome.reason || outcome.type,
+        seats: gameState.playerIds.map((pid) => ({
+          playerId: gameState.playerProfiles?.[pid]?.playerId || null,
+          color: gameState.playerColors[pid] || null,
+          result: pid === winner ? 'win' : pid === loser ? 'loss' : 'draw',
+          opponent: describeOpponent(gameState.playerIds.find((other) => other !== pid)),
+        })),
+      });
+    } catch (err) {
+      logger.warn(`Failed to record results for game ${gameState.id}:`, err.message);
+    }
   }
 
   /**
@@ -778,44 +1072,12 @@ export class GameManager {
     // Clear pending flag
     const pending = gameState.pendingReveal;
     gameState.pendingReveal = null;
+    this._updateClock(gameState);
 
     const chess = gameState.chess;
-    let deferredBoardMutationApplied = false;
-
-    // Resolve deferred Execution board mutation after reveal/cutscene completion.
-    const pendingExecution = gameState.activeEffects?.pendingExecution;
-    if (pendingExecution?.targetSquare) {
-      const target = chess.get(pendingExecution.targetSquare);
-      if (target && target.type !== 'k') {
-        chess.remove(pendingExecution.targetSquare);
-        deferredBoardMutationApplied = true;
-      }
-      if (gameState.activeEffects) {
-        gameState.activeEffects.pendingExecution = null;
-      }
-    }
-
-    // Resolve deferred Promotion Ritual board mutation after reveal/cutscene completion.
-    const pendingPromotion = gameState.activeEffects?.pendingPromotionRitual;
-    if (pendingPromotion?.targetSquare && pendingPromotion?.moverColor) {
-      const targetSquare = pendingPromotion.targetSquare;
-      const moverColorPromo = pendingPromotion.moverColor;
-      const pawn = chess.get(targetSquare);
-      if (pawn && pawn.type === 'p' && pawn.color === moverColorPromo) {
-        chess.remove(targetSquare);
-        chess.put({ type: 'q', color: moverColorPromo }, targetSquare);
-        deferredBoardMutationApplied = true;
-      }
-      gameState.activeEffects.promotionRitual = gameState.activeEffects.promotionRitual || {};
-      gameState.activeEffects.promotionRitual[moverColorPromo] = {
-        active: true,
-        movesRemaining: 2,
-        monochrome: true,
-      };
-      if (gameState.activeEffects) {
-        gameState.activeEffects.pendingPromotionRitual = null;
-      }
-    }
+
+    // Execution and Promotion Ritual change the board only once the reveal has played.
+    const deferredBoardMutationApplied = resolveDeferredArcanaEffects(chess, gameState);
 
     // Non-turn-ending reveals can still mutate board state (Execution/Promotion Ritual).
     // Push an immediate update so clients do not wait for a later move to see changes.
@@ -867,11 +1129,13 @@ export class GameManager {
           const personalised = this.serialiseGameStateForViewer(gameState, humanId);
             this.io.to(humanId).emit('gameUpdated', personalised);
           if (personalised.status === 'finished') {
-            this.emitGameEndedToPlayer(humanId, { type: 'ai-finished' }, gameState);
+            this.emitGameEndedToPlayer(humanId, this._aiFinishedOutcome(gameState), gameState);
           }
         }
       }
     }
+
+    this._commitGameState(gameState);
   }
 
   startMultiplayerGame(socket, payload) {
@@ -886,13 +1150,29 @@ export class GameManager {
       playerIds: [...lobby.players],
       hostId: lobby.hostId,
       hostColorPreference: lobby.hostColorPreference,
-      timeControl: normalizeTimeControlMinutes(lobby.timeControl),
+      timeControl: lobby.timeControl,
     });
 
+    // The lobby closes once the game starts; spectators find the game by its code.
+    gameState.lobby = { code: lobby.code, name: lobby.name, isPrivate: Boolean(lobby.isPrivate) };
+    gameState.omniscientSpectators = Boolean(lobby.omniscientSpectators);
+
     this.games.set(gameState.id, gameState);
     for (const pid of gameState.playerIds) {
       this.socketToGame.set(pid, gameState.id);
     }
+    gameState.clientIdByPlayer = Object.fromEntries(gameState.playerIds.map((pid) => [pid, this._getClientId(pid)]));
+    gameState.playerProfiles = Object.fromEntries(
+      gameState.playerIds.map((pid) => [pid, lobby.playerProfiles?.[pid] || this._getPlayerProfile(pid)])
+    );
+    // Rated games need an account on both seats; otherwise the lobby plays casual.
+    gameState.rated = Boolean(lobby.rated) && gameState.playerIds.every((pid) => gameState.playerProfiles[pid]?.playerId);
+    gameState.drawPiles = createDrawPiles(
+      Object.fromEntries(gameState.playerIds.map((pid) => [pid, this.lobbyManager.getDeck?.(pid) || null])),
+      gameRandom(gameState)
+    );
+    this._updateClock(gameState);
+    this._commitGameState(gameState);
 
     this.io.to(lobbyId).emit('gameStarted', this.serialiseGameState(gameState));
     // Close the lobby since the game has started: remove lobby and clear socket->lobby mappings
@@ -904,6 +1184,7 @@ export class GameManager {
         }
         // Remove mapping from socket to lobby
         this.lobbyManager.socketToLobby.delete(pid);
+        this.lobbyManager.decks?.delete(pid);
       }
       // Delete lobby entry
       this.lobbyManager.lobbies.delete(lobbyId);
@@ -919,8 +1200,12 @@ export class GameManager {
       gameMode = 'Ascendant',
       difficulty = 'Scholar',
       playerColor = 'white',
-      timeControl = 30, // minutes, or null for unlimited
+      timeControl = 30, // minutes or time control string ('3+2', '10|5d'), null for unlimited
+      deck = null, // prebuilt deck id or { name, cards } for the human; the AI draws from the open pool
+      personality = null, // built-in or saved personality id, or an unsaved personality; overrides difficulty
     } = payload || {};
+    const resolvedDeck = resolveDeck(deck);
+    const aiPersonality = this.personalities.resolve(personality);
 
     const resolvedPlayerColor = String(playerColor || 'white').toLowerCase();
     const chosenColor = resolvedPlayerColor === 'random'
@@ -935,13 +1220,18 @@ export class GameManager {
     const gameState = createInitialGameState({
       mode: gameMode,
       playerIds,
-      aiDifficulty: difficulty,
+      aiDifficulty: aiPersonality?.base || difficulty,
+      aiPersonality,
       playerColor: chosenColor,
-      timeControl: normalizeTimeControlMinutes(timeControl),
+      timeControl,
     });
 
     this.games.set(gameState.id, gameState);
     this.socketToGame.set(socket.id, gameState.id);
+    gameState.clientIdByPlayer = { [socket.id]: socket.data?.clientId || null };
+    gameState.playerProfiles = { [socket.id]: socket.data?.profile || null };
+    gameState.drawPiles = createDrawPiles({ [socket.id]: resolvedDeck }, gameRandom(gameState));
+    this._updateClock(gameState);
 
     this.io.to(socket.id).emit('gameStarted', this.serialiseGameState(gameState));
 
@@ -951,6 +1241,7 @@ export class GameManager {
       const personalised = this.serialiseGameStateForViewer(gameState, socket.id);
       this.io.to(socket.id).emit('gameUpdated', personalised);
     }
+    this._commitGameState(gameState);
 
     return this.serialiseGameState(gameState);
   }
@@ -992,15 +1283,20 @@ export class GameManager {
       usedArcanaPlain[socketId] = Array.from(ids);
     }
 
+    const clockSnapshot = gameState.clock ? snapshotClock(gameState.clock) : null;
+
     return {
       id: gameState.id,
       fen: gameState.chess.fen(),
       turn: gameState.chess.turn(),
       status: gameState.status,
       timeControl: gameState.timeControl ?? null,
-      timePerPlayer: gameState.timePerPlayer || null,
+      timePerPlayer: clockSnapshot
+        ? Object.fromEntries(Object.entries(clockSnapshot.remainingMs).map(([pid, ms]) => [pid, ms / 1000]))
+        : (gameState.timePerPlayer || null),
       lastMoveTime: gameState.lastMoveTime || null,
       timeLossLoser: gameState.timeLossLoser || null,
+      clock: clockSnapshot,
       ascended: gameState.ascended,
       ascensionTrigger: gameState.ascensionTrigger,
       arcanaByPlayer: Object.fromEntries(
@@ -1017,6 +1313,9 @@ export class GameManager {
         ])
       ),
       playerColors: gameState.playerColors,
+      playerProfiles: Object.fromEntries(
+        gameState.playerIds.map((pid) => [pid, gameState.playerProfiles?.[pid] || null])
+      ),
       capturedByColor: {
         w: Array.isArray(gameState.capturedByColor?.w) ? [...gameState.capturedByColor.w] : [],
         b: Array.isArray(gameState.capturedByColor?.b) ? [...gameState.capturedByColor.b] : [],
@@ -1024,6 +1323,16 @@ export class GameManager {
       lastMove: gameState.lastMove,
       pawnShields: gameState.pawnShields,
       activeEffects: gameState.activeEffects,
+      turnPhase: resolveTurnPhase(gameState),
+      spectatorCount: (gameState.spectatorIds || []).length,
+      rated: Boolean(gameState.rated),
+      deckCounts: getDeckCounts(gameState),
+      pendingOffers: Object.fromEntries(
+        OFFER_KINDS.map((kind) => {
+          const offer = gameState.pendingOffers?.[kind];
+          return [kind, offer ? { from: offer.from, to: offer.to } : null];
+        })
+      ),
     };
   }
 
@@ -1031,9 +1340,14 @@ export class GameManager {
   // is active for the move owner and the viewer is not the owner.
   serialiseGameStateForViewer(gameState, viewerId) {
     const base = this.serialiseGameState(gameState);
+    base.canTakeback = this._findTakebackCheckpointIndex(gameState, viewerId) !== -1;
     try {
       const viewerColor = gameState.playerColors[viewerId];
       const viewerChar = viewerColor === 'white' ? 'w' : 'b';
+      base.allowedActions = getAllowedTurnActions(base.turnPhase, viewerChar, {
+        peekPending: Boolean(gameState.pendingPeek?.[viewerId]),
+      });
+      base.legalActions = this.getLegalActions(gameState, viewerId);
       const fog = gameState.activeEffects?.fogOfWar || { w: false, b: false };
 
       // If any color has fog active, and the viewer is NOT that color, mask lastMove
@@ -1046,30 +1360,7 @@ export class GameManager {
           // Redact the fogged player's pieces from the board representation.
           // We provide a separate displayFen with fogged pieces removed so the
           // client can render fog while keeping the real FEN for game logic.
-          const fenParts = base.fen.split(' ');
-          const ranks = fenParts[0].split('/');
-          const redactedRanks = ranks.map(rank => {
-            let result = '';
-            let emptyCount = 0;
-            for (const ch of rank) {
-              if (/\d/.test(ch)) {
-                emptyCount += parseInt(ch);
-              } else {
-                // Uppercase = white, lowercase = black
-                const pieceColor = ch === ch.toUpperCase() ? 'w' : 'b';
-                if (pieceColor === c) {
-                  // Replace fogged piece with empty square
-                  emptyCount++;
-                } else {
-                  if (emptyCount > 0) { result += emptyCount; emptyCount = 0; }
-                  result += ch;
-                }
-              }
-            }
-            if (emptyCount > 0) result += emptyCount;
-            return result;
-          });
-          base.displayFen = [redactedRanks.join('/'), ...fenParts.slice(1)].join(' ');
+          base.displayFen = removePiecesOfColor(base.fen, c);
           base.fogActive = c; // Tell the client which color is fogged
           break;
         }
@@ -1111,7 +1402,232 @@ export class GameManager {
       // Fail closed: if any error, remove lastMove to avoid leaking info
       base.lastMove = null;
     }
-    return base;
+    return base;
+  }
+
+  // Spectator serialization: both hands hidden and private intel dropped. Fog of War is
+  // applied for every fogged side unless the lobby enabled omniscient spectators.
+  serialiseGameStateForSpectator(gameState) {
+    const base = this.serialiseGameState(gameState);
+    base.spectator = true;
+    base.omniscientSpectators = Boolean(gameState.omniscientSpectators);
+    base.allowedActions = [];
+    base.legalActions = null;
+
+    base.arcanaByPlayer = Object.fromEntries(
+      Object.entries(base.arcanaByPlayer || {}).map(([pid, cards]) => [
+        pid,
+        Array.from({ length: Array.isArray(cards) ? cards.length : 0 }, () => ({ hidden: true })),
+      ])
+    );
+    base.activeEffects = {
+      ...base.activeEffects,
+      quietThought: { w: 0, b: 0 },
+      vision: { w: null, b: null },
+    };
+
+    const fog = gameState.activeEffects?.fogOfWar || { w: false, b: false };
+    if (!gameState.omniscientSpectators) {
+      for (const c of ['w', 'b']) {
+        if (!fog[c]) continue;
+        base.lastMove = null;
+        base.displayFen = removePiecesOfColor(base.displayFen || base.fen, c);
+        base.fogActive = base.fogActive ? 'both' : c;
+      }
+    }
+    return base;
+  }
+
+  /**
+   * Everything `playerId` may do right now, worked out with the checks the actions themselves
+   * run: legal moves, whether a draw is allowed (with the refusal otherwise), each card in hand
+   * with its targets, and the pending forced actions. Sent with every personalised update.
+   * @param {Object} gameState
+   * @param {string} playerId - Socket id of a seated player
+   * @returns {{ phase: string, moves: Object[], draw: Object, cards: Object[], forced: Object[] }}
+   */
+  getLegalActions(gameState, playerId) {
+    const colorName = gameState.playerColors?.[playerId];
+    const colorChar = colorName === WHITE ? WHITE_CHAR : (colorName === BLACK ? BLACK_CHAR : null);
+    const turnPhase = resolveTurnPhase(gameState);
+    const phaseOptions = { peekPending: Boolean(gameState.pendingPeek?.[playerId]) };
+    const isMover = turnPhase.color === colorChar && turnPhase.phase !== TURN_PHASES.GAME_OVER;
+
+    const moves = isMover && getAllowedTurnActions(turnPhase, colorChar, phaseOptions).includes('move')
+      ? this._listLegalMoves(gameState, colorChar).map((m) => ({
+        from: m.from,
+        to: m.to,
+        promotion: m.promotion || null,
+        san: m.san,
+        arcana: m.arcana || null,
+      }))
+      : [];
+
+    const drawReason = getTurnActionBlockReason(turnPhase, colorChar, 'drawArcana', phaseOptions)
+      || this._getDrawBlockReason(gameState, playerId);
+    const arcanaReason = getTurnActionBlockReason(turnPhase, colorChar, 'useArcana', phaseOptions)
+      || this._getArcanaUseBlockReason(gameState, playerId);
+    const cards = (gameState.arcanaByPlayer?.[playerId] || []).map((card) => {
+      const targets = needsTargetSquare(card.id)
+        ? getValidTargetSquares(gameState.chess, card.id, colorChar, gameState)
+        : null;
+      const reason = arcanaReason
+        || validateArcanaPrerequisites(card.id, gameState, colorChar).reason
+        || (targets && targets.length === 0 ? 'No valid targets for this card' : null);
+      return { instanceId: card.instanceId || null, arcanaId: card.id, usable: !reason, reason: reason || null, targets };
+    });
+
+    const forced = [];
+    if (isMover && turnPhase.phase !== TURN_PHASES.AWAITING_MOVE) {
+      forced.push({
+        action: turnPhase.phase === TURN_PHASES.AWAITING_REVEAL_ACK ? 'revealAck' : 'move',
+        source: turnPhase.source,
+        square: turnPhase.square,
+      });
+    }
+    if (phaseOptions.peekPending) forced.push({ action: 'peekCardSelect', source: 'peek', square: null });
+
+    return {
+      phase: turnPhase.phase,
+      moves,
+      draw: { allowed: !drawReason, reason: drawReason || null },
+      cards,
+      forced,
+    };
+  }
+
+  /** `getLegalActions` for the game a socket is seated in. */
+  getLegalActionsForSocket(socket) {
+    const gameState = this.games.get(this.socketToGame.get(socket.id));
+    if (!gameState || !gameState.playerIds.includes(socket.id)) throw new Error('No game for this socket');
+    return this.getLegalActions(gameState, socket.id);
+  }
+
+  // Moves the move handler accepts: the shared generator plus the pawn double-step history,
+  // which only the server knows.
+  _listLegalMoves(gameState, colorChar) {
+    const pawnRushActive = !!gameState.activeEffects?.pawnRush?.[colorChar];
+    return generateLegalMoves(gameState.chess.fen(), gameState.activeEffects, {
+      color: colorChar,
+      pawnShields: gameState.pawnShields,
+    }).filter((m) => {
+      if (m.piece !== 'p' || m.arcana || pawnRushActive || m.from[0] !== m.to[0]) return true;
+      if (Math.abs(Number(m.to[1]) - Number(m.from[1])) !== 2) return true;
+      return !hasPawnLeftStartingSquareBefore(gameState, m.from, colorChar);
+    });
+  }
+
+  // Why `drawArcana` would be refused for this player, or null.
+  _getDrawBlockReason(gameState, playerId) {
+    if (!gameState.ascended) return 'Cannot draw arcana before ascension';
+    const playerTurnChar = gameState.playerColors[playerId] === WHITE ? WHITE_CHAR : BLACK_CHAR;
+    if (gameState.chess.turn() !== playerTurnChar) return 'You can only draw a card on your turn';
+    if (gameState.activeEffects?.timeFreezeArcanaLock?.[playerTurnChar]) {
+      return 'Time Freeze residue: make a board move before drawing Arcana';
+    }
+    if (gameState.arcanaUsedThisTurn?.[playerId]) return 'You cannot draw after using an arcana card';
+    if (gameState.chess.inCheck()) return 'You cannot draw while in check';
+
+    // At least DRAW_COOLDOWN_PLIES plies between draws: draw -> skip your next turn -> draw again.
+    // The first draw is always allowed (INITIAL_DRAW_PLY).
+    const currentPly = typeof gameState.plyCount === 'number' ? gameState.plyCount : 0;
+    const lastDrawPly = gameState.lastDrawTurn?.[playerId] ?? INITIAL_DRAW_PLY;
+    if (lastDrawPly >= 0 && currentPly - lastDrawPly < DRAW_COOLDOWN_PLIES) {
+      return 'Cannot draw on your immediate next turn - wait one more turn';
+    }
+    return null;
+  }
+
+  // Why `useArcana` would be refused for this player whatever the card, or null.
+  _getArcanaUseBlockReason(gameState, playerId) {
+    const playerTurnChar = gameState.playerColors[playerId] === WHITE ? WHITE_CHAR : BLACK_CHAR;
+    if (gameState.chess.turn() !== playerTurnChar) return 'You can only use arcana on your turn';
+    if (gameState.activeEffects?.timeFreezeArcanaLock?.[playerTurnChar]) {
+      return 'Time Freeze residue: make a board move before using Arcana';
+    }
+    if (gameState.arcanaUsedThisTurn?.[playerId]) return 'You can only use one arcana card per turn';
+    return null;
+  }
+
+  /**
+   * Adds a spectator to a running multiplayer game, found by lobby code or (public games
+   * only) by id. Players cannot watch their own game.
+   * @param {Object} socket - Spectator socket
+   * @param {Object} payload - `{ code }` or `{ gameId }`
+   * @returns {Object} Spectator view of the game
+   */
+  addSpectator(socket, payload) {
+    const { code, gameId } = payload || {};
+    const normalisedCode = String(code || '').toUpperCase().trim();
+    let gameState = null;
+    if (normalisedCode) {
+      gameState = [...this.games.values()].find((g) => g.lobby?.code === normalisedCode) || null;
+    } else if (gameId) {
+      gameState = this.games.get(gameId) || null;
+      if (gameState?.lobby?.isPrivate) throw new Error('This game is private - enter its lobby code');
+    }
+    if (!gameState || !gameState.lobby) throw new Error('Game not found');
+    if (gameState.status !== STATUS_ONGOING) throw new Error('Game has already finished');
+    if (gameState.playerIds.includes(socket.id)) throw new Error('You are playing in this game');
+
+    this.removeSpectator(socket.id);
+    if (!Array.isArray(gameState.spectatorIds)) gameState.spectatorIds = [];
+    gameState.spectatorIds.push(socket.id);
+    this.spectatorToGame.set(socket.id, gameState.id);
+    // Players' HUDs show the spectator count.
+    this.broadcastGameUpdate(gameState);
+    return this.serialiseGameStateForSpectator(gameState);
+  }
+
+  /**
+   * Stops a socket spectating. Safe to call for sockets that are not spectators.
+   * @param {string} socketId
+   * @returns {boolean} Whether the socket was spectating
+   */
+  removeSpectator(socketId) {
+    const gameId = this.spectatorToGame.get(socketId);
+    if (!gameId) return false;
+    this.spectatorToGame.delete(socketId);
+    const gameState = this.games.get(gameId);
+    if (gameState?.spectatorIds) {
+      gameState.spectatorIds = gameState.spectatorIds.filter((id) => id !== socketId);
+      if (gameState.status === STATUS_ONGOING) this.broadcastGameUpdate(gameState);
+    }
+    return true;
+  }
+
+  /** Running public multiplayer games, for the "Watch live games" list. */
+  listLiveGames() {
+    return [...this.games.values()]
+      .filter((g) => g.status === STATUS_ONGOING && g.lobby && !g.lobby.isPrivate)
+      .map((g) => ({
+        id: g.id,
+        name: g.lobby.name,
+        mode: g.mode,
+        timeControl: g.timeControl ?? null,
+        plyCount: g.plyCount || 0,
+        ascended: Boolean(g.ascended),
+        spectatorCount: (g.spectatorIds || []).length,
+        omniscientSpectators: Boolean(g.omniscientSpectators),
+        startedAt: g.replayLog?.startedAt ?? null,
+      }));
+  }
+
+  // Spectators get the same update stream as players, through their own redaction.
+  _broadcastToSpectators(gameState) {
+    const spectators = gameState?.spectatorIds || [];
+    if (spectators.length === 0) return;
+    const view = this.serialiseGameStateForSpectator(gameState);
+    const outcome = gameState.status === STATUS_FINISHED ? gameState.replayLog?.outcome : null;
+    for (const sid of spectators) {
+      this.io.to(sid).emit('gameUpdated', view);
+      if (outcome) this.io.to(sid).emit('gameEnded', { ...outcome, ratingChanges: gameState.ratingChanges || null, spectator: true });
+      if (gameState.status === STATUS_ADJOURNED) this.io.to(sid).emit('gameAdjourned', { gameId: gameState.id, spectator: true });
+    }
+    if (gameState.status !== STATUS_ONGOING) {
+      for (const sid of spectators) this.spectatorToGame.delete(sid);
+      gameState.spectatorIds = [];
+    }
   }
 
   async handlePlayerAction(socket, payload) {
@@ -1120,15 +1636,29 @@ export class GameManager {
     const gameState = this.games.get(gameId);
     if (!gameState) throw new Error('Game not found');
 
-    // Prevent extra actions while this player's reveal is still pending.
-    if (gameState.pendingReveal && gameState.pendingReveal.playerId === socket.id) {
-      throw new Error('Please wait for the card reveal to finish');
-    }
-
     const { move, arcanaUsed, actionType } = payload || {};
 
     if (gameState.status !== STATUS_ONGOING) throw new Error('Game is not active');
 
+    // The turn phase decides what the side to move may do (reveal pending, second capture,
+    // forced piece, extra move); see shared/turnPhase.js.
+    const phaseAction = NEGOTIATION_ACTIONS[actionType]
+      ? 'negotiate'
+      : (actionType || (move ? 'move' : (arcanaUsed ? 'useArcana' : null)));
+    const phaseColorName = gameState.playerColors?.[socket.id];
+    const phaseBlockReason = getTurnActionBlockReason(
+      resolveTurnPhase(gameState),
+      phaseColorName === WHITE ? WHITE_CHAR : (phaseColorName === BLACK ? BLACK_CHAR : null),
+      phaseAction,
+      { peekPending: Boolean(gameState.pendingPeek?.[socket.id]) },
+    );
+    if (phaseBlockReason) throw new Error(phaseBlockReason);
+
+    // Draw offers, takebacks and adjournment never consume the turn.
+    if (NEGOTIATION_ACTIONS[actionType]) {
+      return this._handleNegotiationAction(gameState, socket.id, actionType, payload);
+    }
+
     // Time Freeze skips the frozen player's entire turn (move, draw, or arcana).
     // Apply this before action-type handling so no branch can bypass it.
     const playerColorName = gameState.playerColors?.[socket.id];
@@ -1137,6 +1667,7 @@ export class GameManager {
       this.broadcastGameUpdate(gameState);
 
       await this._settleAITurn(gameState);
+      this._commitGameState(gameState);
 
       return { ok: true, turnSkipped: true, reason: 'Time Freeze' };
     }
@@ -1145,24 +1676,13 @@ export class GameManager {
     if (gameState._busy) {
       throw new Error('Action in progress');
     }
-    // Idempotency: ignore duplicate actions with the same actionId within a short TTL
-    const actionId = payload?.actionId;
-    const now = Date.now();
-    if (!gameState._seenActions) gameState._seenActions = new Map();
-    // Prune old entries periodically (keep map small)
-    if (!gameState._lastPrune || now - gameState._lastPrune > ACTION_TTL_MS) {
-      for (const [id, ts] of gameState._seenActions) {
-        if (now - ts > ACTION_TTL_MS) gameState._seenActions.delete(id);
-      }
-      gameState._lastPrune = now;
-    }
-    if (actionId) {
-      if (gameState._seenActions.has(actionId)) {
-        return { ok: true, duplicate: true };
-      }
-      gameState._seenActions.set(actionId, now);
+    if (this._isDuplicateAction(gameState, payload?.actionId)) {
+      return { ok: true, duplicate: true };
     }
     gameState._busy = true;
+    const handsBeforeAction = snapshotHands(gameState);
+    const fenBeforeAction = gameState.chess.fen();
+    this._recordTakebackCheckpoint(gameState, socket.id);
     try {
 
     // Validate only one action type is present
@@ -1180,51 +1700,17 @@ export class GameManager {
 
     // Handle Draw Arcana action
     if (actionType === 'drawArcana') {
-      if (!gameState.ascended) throw new Error('Cannot draw arcana before ascension');
-      
-      // Validate it's the player's turn
-      const playerColor = gameState.playerColors[socket.id];
-      const currentTurn = gameState.chess.turn();
-      const playerTurnChar = playerColor === 'white' ? 'w' : 'b';
-      if (currentTurn !== playerTurnChar) {
-        throw new Error('You can only draw a card on your turn');
-      }
-      if (gameState.activeEffects?.timeFreezeArcanaLock?.[playerTurnChar]) {
-        throw new Error('Time Freeze residue: make a board move before drawing Arcana');
-      }
-      // Disallow drawing after using an arcana card in the same turn
-      if (gameState.arcanaUsedThisTurn && gameState.arcanaUsedThisTurn[socket.id]) {
-        throw new Error('You cannot draw after using an arcana card');
-      }
-      // Do not allow drawing while the player's king is in check
-      // chess.js exposes either in_check() or inCheck() depending on version, so guard both
-      if (typeof gameState.chess.isCheck === 'function') {
-        if (gameState.chess.isCheck()) throw new Error('You cannot draw while in check');
-      } else if (typeof gameState.chess.inCheck === 'function') {
-        if (gameState.chess.inCheck()) throw new Error('You cannot draw while in check');
-      }
-      
-      // Check draw cooldown rule: require at least DRAW_COOLDOWN_PLIES plies between draws.
-      // With DRAW_COOLDOWN_PLIES = 3: player cannot draw on immediate next turn but can on following turn.
-      // This ensures: draw -> skip your next turn -> can draw again on the turn after that
+      const drawBlockReason = this._getDrawBlockReason(gameState, socket.id);
+      if (drawBlockReason) throw new Error(drawBlockReason);
+
       // Use stable plyCount instead of chess.history().length (which resets on chess.load)
       if (typeof gameState.plyCount !== 'number') gameState.plyCount = 0;
       const currentPly = gameState.plyCount;
-      // Defensive: ensure lastDrawTurn map exists and has a default
       if (!gameState.lastDrawTurn) gameState.lastDrawTurn = {};
-      if (typeof gameState.lastDrawTurn[socket.id] === 'undefined') gameState.lastDrawTurn[socket.id] = INITIAL_DRAW_PLY;
-      const lastDrawPly = gameState.lastDrawTurn[socket.id]; // stored as ply index per-player
-
-      // First draw is always allowed (lastDrawPly is INITIAL_DRAW_PLY initially)
-      // Enforce that at least DRAW_COOLDOWN_PLIES have passed since your last draw.
-      // This ensures: opponent move -> your move -> opponent move -> you can draw
-      if (lastDrawPly >= 0 && currentPly - lastDrawPly < DRAW_COOLDOWN_PLIES) {
-        logger.debug('Draw blocked:', { socket: socket.id, currentPly, lastDrawPly });
-        throw new Error('Cannot draw on your immediate next turn - wait one more turn');
-      }
 
-      const newCard = pickWeightedArcana();
-      const instanceCard = makeArcanaInstance(newCard);
+      const random = gameRandom(gameState);
+      const newCard = drawArcanaFor(gameState, socket.id, () => pickWeightedArcana(random));
+      const instanceCard = makeArcanaInstance(newCard, random);
       // Defensive: ensure player's arcana array exists (may be missing in some edge cases)
       if (!gameState.arcanaByPlayer) gameState.arcanaByPlayer = {};
       if (!Array.isArray(gameState.arcanaByPlayer[socket.id])) gameState.arcanaByPlayer[socket.id] = [];
@@ -1249,10 +1735,17 @@ export class GameManager {
       
       // Increment ply counter (drawing a card counts as a turn action)
       gameState.plyCount++;
+      recordReplayEvent(gameState, 'draw', { playerId: socket.id, card: instanceCard });
       
       // Decrement effects after drawing (drawing counts as a player turn for effect expiration)
       this.decrementEffects(gameState);
 
+      // Drawing ends the turn, so the drawer's clock stops here (with increment).
+      this._updateClock(gameState);
+      if (gameState.status !== STATUS_ONGOING) {
+        return { ok: true, drewCard: newCard };
+      }
+
       // Time Freeze: if draw passed turn to a frozen side, skip immediately.
       this._consumeTimeFreezeIfNeeded(gameState);
       await this._settleAITurn(gameState);
@@ -1286,6 +1779,7 @@ export class GameManager {
           logger.error('Error finalizing reveal (timeout):', e);
         }
       }, REVEAL_ACK_TIMEOUT_MS);
+      this._updateClock(gameState);
       
       return { ok: true, drewCard: newCard };
     }
@@ -1297,21 +1791,8 @@ export class GameManager {
         throw new Error('No arcana specified');
       }
 
-      // Validate it's the player's turn
-      const playerColor = gameState.playerColors[socket.id];
-      const currentTurn = gameState.chess.turn();
-      const playerTurnChar = playerColor === 'white' ? 'w' : 'b';
-      if (currentTurn !== playerTurnChar) {
-        throw new Error('You can only use arcana on your turn');
-      }
-      if (gameState.activeEffects?.timeFreezeArcanaLock?.[playerTurnChar]) {
-        throw new Error('Time Freeze residue: make a board move before using Arcana');
-      }
-
-      // Limit to 1 arcana card per turn
-      if (gameState.arcanaUsedThisTurn && gameState.arcanaUsedThisTurn[socket.id]) {
-        throw new Error('You can only use one arcana card per turn');
-      }
+      const arcanaBlockReason = this._getArcanaUseBlockReason(gameState, socket.id);
+      if (arcanaBlockReason) throw new Error(arcanaBlockReason);
       
       // Only allow using 1 card at a time
       if (arcanaUsed.length > 1) {
@@ -1337,6 +1818,7 @@ export class GameManager {
         const winnerColor = arcanaKingCheck.winner;
         const winnerSocketId = findPlayerIdByColor(gameState.playerColors, winnerColor);
         const outcome = { type: 'king-destroyed', winnerSocketId };
+        this._updateClock(gameState);
         for (const pid of gameState.playerIds) {
           if (!pid.startsWith('AI-')) {
             const personalised = this.serialiseGameStateForViewer(gameState, pid);
@@ -1387,6 +1869,8 @@ export class GameManager {
             logger.error('Error finalizing reveal (useArcana timeout):', e);
           }
         }, revealTimeoutMs);
+        // The caster's clock is paused until the reveal/cutscene completes.
+        this._updateClock(gameState);
 
         // We already emitted `arcanaUsed` and `gameUpdated` above; return to caller.
         return { ok: true, appliedArcana, turnEnded: true };
@@ -1407,6 +1891,7 @@ export class GameManager {
           logger.error('Error finalizing reveal (useArcana non-turn-ending timeout):', e);
         }
       }, revealTimeoutMs);
+      this._updateClock(gameState);
 
       return { ok: true, appliedArcana };
     }
@@ -1433,6 +1918,7 @@ export class GameManager {
       const revealedCard = opponentCards[idx];
       // Reveal only to requesting player; cardIndex is the visible index chosen by client
       this.io.to(socket.id).emit('peekCardRevealed', { card: revealedCard, cardIndex: idx });
+      recordReplayEvent(gameState, 'peek', { playerId: socket.id, opponentId, cardIndex: idx, card: revealedCard });
       // Clear pending peek
       delete gameState.pendingPeek[socket.id];
       return { ok: true };
@@ -1460,82 +1946,14 @@ export class GameManager {
       throw new Error('Not your turn');
     }
 
-    const mindControlledEntry = (gameState.activeEffects?.mindControlled || []).find((entry) => {
-      const controller = entry?.controller || entry?.controlledBy;
-      return controller === moverColor;
-    }) || null;
-    if (mindControlledEntry && move?.from !== mindControlledEntry.square) {
-      throw new Error('Mind Control: you must move the controlled piece first');
-    }
-
-    // Work with verbose moves so we can inspect captures and types
-    const legalMoves = chess.moves({ verbose: true });
-    let candidate = legalMoves.find((m) => {
-      if (m.from !== move.from || m.to !== move.to) return false;
-      if (move.promotion && m.promotion !== move.promotion) return false;
-      return true;
-    });
-
-    // NEW: Check if trying to move a mind-controlled ENEMY piece
-    // If not in legalMoves, but piece at 'from' is mind-controlled by current player, 
-    // validate the move manually
-    if (!candidate && move.from && move.to) {
-      const pieceAtFrom = chess.get(move.from);
-      const mindControlled = gameState.activeEffects?.mindControlled || [];
-      const controlEntry = mindControlled.find(c => c.square === move.from);
-      
-      const controlOwner = controlEntry?.controller || controlEntry?.controlledBy;
-      if (pieceAtFrom && controlEntry && controlOwner === moverColor) {
-        // This is an enemy piece being mind-controlled by current player.
-        // Validate using the controlled piece's original side-to-move legality.
-        const tempChess = new Chess();
-        const fenParts = chess.fen().split(' ');
-        const originalColor = controlEntry.originalColor || pieceAtFrom.color;
-        fenParts[1] = originalColor;
-        if (fenParts.length > 3) fenParts[3] = '-';
-        safeLoadFen(tempChess, fenParts.join(' '));
-
-        const piece = tempChess.get(move.from);
-        if (!piece || piece.color !== originalColor) {
-          throw new Error('Controlled piece is no longer available');
-        }
-
-        // Now check if this move is legal
-        const tempMoves = tempChess.moves({ verbose: true });
-        const tempCandidate = tempMoves.find(m => {
-          if (m.from !== move.from || m.to !== move.to) return false;
-          if (move.promotion && m.promotion !== move.promotion) return false;
-          return true;
-        });
-        
-        // Restore original color and store as candidate
-        if (tempCandidate) {
-          // Construct a candidate with original color but valid move info
-          candidate = {
-            ...tempCandidate,
-            piece: pieceAtFrom.type,
-            color: originalColor // Keep track of original color for logging
-          };
-        }
-      }
-    }
-
-    // Additional validation: pawns cannot capture on the same rank unless En Passant Master is active.
-    if (candidate && candidate.piece === 'p' && candidate.captured) {
-      const fromRank = parseInt(candidate.from[1]);
-      const toRank = parseInt(candidate.to[1]);
-
-      const enPassantMasterActive = !!gameState.activeEffects?.enPassantMaster?.[moverColor];
-      // Pawn captures must move forward (rank must change), not sideways, except card override.
-      if (fromRank === toRank && !enPassantMasterActive) {
-        // This is an invalid pawn move - can't capture on same rank
-        candidate = null;
-      }
-    }
+    // Standard, Arcana and mind-controlled moves come from the shared generator, which the
+    // client also uses for its move highlights.
+    const boardFen = chess.fen();
+    const candidates = listCandidateMoves(boardFen, gameState.activeEffects, { color: moverColor });
 
     // If no capture is currently available, clear forced extra-capture states
     // so the player cannot be soft-locked into illegal-only moves.
-    if (!legalMoves.some((m) => !!m.captured)) {
+    if (!candidates.some((m) => !!m.captured)) {
       if (gameState.activeEffects.doubleStrikeActive?.color === moverColor) {
         gameState.activeEffects.doubleStrikeActive = null;
       }
@@ -1544,26 +1962,18 @@ export class GameManager {
       }
     }
 
-    // If not a standard legal move, check if it's an arcana-enhanced move
-    if (!candidate && gameState.activeEffects) {
-      candidate = validateArcanaMove(chess, move, gameState.activeEffects, moverColor);
-    }
-
-    if (!candidate) {
-      throw new Error('Illegal move');
-    }
-
-    const overdriveState = gameState.activeEffects?.edgerunnerOverdrive;
-    if (overdriveState?.active && overdriveState.color === moverColor) {
-      if (candidate.from !== overdriveState.currentSquare) {
-        throw new Error('Edgerunner Overdrive: move the overdriven piece.');
-      }
-      if (candidate.captured === 'k') {
-        throw new Error('Edgerunner Overdrive cannot capture the king.');
-      }
+    const { move: candidate, reason: blockReason } = resolveArcanaMove(boardFen, gameState.activeEffects, move, {
+      color: moverColor,
+      pawnShields: gameState.pawnShields,
+      candidates,
+    });
+    if (blockReason) {
+      throw new Error(blockReason);
     }
 
-    if (candidate.piece === 'p') {
+    // chess.js only sees the FEN, so a pawn that returned to its starting square could still
+    // double-step; the game's history decides.
+    if (candidate.piece === 'p' && !candidate.arcana) {
       const fromRank = parseInt(candidate.from[1], 10);
       const toRank = parseInt(candidate.to[1], 10);
       const isForwardTwoSquareAdvance = candidate.from[0] === candidate.to[0]
@@ -1575,141 +1985,6 @@ export class GameManager {
       }
     }
 
-    if (candidate.captured === 'k') {
-      throw new Error('Kings cannot be captured directly; use checkmate to win.');
-    }
-
-    const isArcanaEnhancedMove = !legalMoves.some((m) => {
-      if (m.from !== candidate.from || m.to !== candidate.to) return false;
-      if (candidate.promotion && m.promotion !== candidate.promotion) return false;
-      return true;
-    });
-
-    if (isArcanaEnhancedMove) {
-      const tempChess = new Chess();
-      safeLoadFen(tempChess, chess.fen());
-      applyManualCandidateMove(tempChess, candidate);
-
-      const checkFen = tempChess.fen().split(' ');
-      checkFen[1] = moverColor;
-      if (checkFen.length > 3) checkFen[3] = '-';
-      safeLoadFen(tempChess, checkFen.join(' '));
-
-      const moverStillInCheck = typeof tempChess.isCheck === 'function'
-        ? tempChess.isCheck()
-        : (typeof tempChess.inCheck === 'function' ? tempChess.inCheck() : false);
-
-      if (moverStillInCheck) {
-        throw new Error('Illegal move: cannot leave your king in check.');
-      }
-    }
-
-    // Castle Breaker: prevent castling if opponent used this card (turns > 0 means active)
-    const castleBroken = gameState.activeEffects.castleBroken?.[moverColor] > 0;
-    if (castleBroken && candidate.flags && (candidate.flags.includes('k') || candidate.flags.includes('q'))) {
-      // 'k' is kingside castle, 'q' is queenside castle in chess.js
-      if (candidate.piece === 'k' && Math.abs(candidate.from.charCodeAt(0) - candidate.to.charCodeAt(0)) > 1) {
-        throw new Error('Castle Breaker has disabled your castling!');
-      }
-    }
-
-    // Shield protection: prevent captures on shielded pieces
-    const opponentColor = moverColor === 'w' ? 'b' : 'w';
-    const shield = gameState.pawnShields[opponentColor];
-    if (shield && candidate.captured) {
-      // For en passant, the captured pawn is not at candidate.to but at adjacent square
-      const capturedSquare = this.getCapturedSquare(candidate);
-      
-      if (capturedSquare === shield.square) {
-        if (shield.shieldType === 'pawn') {
-          throw new Error('That pawn is shielded for this turn.');
-        } else {
-          throw new Error('That piece is protected by Pawn Guard!');
-        }
-      }
-    }
-
-    // Iron Fortress: prevent ALL pawn captures
-    if (gameState.activeEffects.ironFortress[opponentColor] === true && candidate.captured) {
-      // For en passant, the captured pawn is not at candidate.to
-      const capturedSquare = this.getCapturedSquare(candidate);
-      const targetPiece = chess.get(capturedSquare);
-      if (targetPiece && targetPiece.type === 'p') {
-        throw new Error('Iron Fortress protects all pawns from capture!');
-      }
-    }
-
-    // Sanctuary: prevent captures on sanctuary squares
-    if (gameState.activeEffects.sanctuaries && gameState.activeEffects.sanctuaries.length > 0 && candidate.captured) {
-      const capturedSquare = this.getCapturedSquare(candidate);
-      const isSanctuary = gameState.activeEffects.sanctuaries.some(s => s.square === capturedSquare);
-      if (isSanctuary) {
-        throw new Error('Sanctuary protects that square from captures!');
-      }
-    }
-
-    // Bishop's Blessing: dynamic one-turn protection for any friendly piece currently
-    // sitting on a diagonal from any allied bishop.
-    let blessedSquares = gameState.activeEffects.bishopsBlessing[opponentColor];
-    if (Array.isArray(blessedSquares)) {
-      const sourceSquare = gameState.activeEffects?.bishopsBlessingSource?.[opponentColor];
-      const sourcePiece = sourceSquare ? chess.get(sourceSquare) : null;
-      if (sourcePiece && sourcePiece.type === 'b' && sourcePiece.color === opponentColor) {
-        blessedSquares = getPiecesDiagonalFromBishop(chess, sourceSquare, opponentColor);
-      } else {
-        blessedSquares = [];
-        if (gameState.activeEffects?.bishopsBlessingSource) {
-          gameState.activeEffects.bishopsBlessingSource[opponentColor] = null;
-        }
-      }
-      gameState.activeEffects.bishopsBlessing[opponentColor] = blessedSquares;
-    }
-
-    if (Array.isArray(blessedSquares) && blessedSquares.includes(candidate.to)) {
-      throw new Error('That piece is blessed by Bishop\'s Blessing and cannot be captured!');
-    }
-
-    // Divine Intervention: prevent king from being in check or captured
-    const divineState = gameState.activeEffects.divineIntervention?.[opponentColor];
-    const divineActive = divineState === true || (typeof divineState === 'object' && divineState?.active);
-    if (divineActive) {
-      const targetPiece = chess.get(candidate.to);
-      if (targetPiece && targetPiece.type === 'k') {
-        throw new Error('Divine Intervention protects the king!');
-      }
-    }
-
-    // Double Strike: second move must be a capture by a DIFFERENT piece.
-    if (gameState.activeEffects.doubleStrikeActive?.color === moverColor) {
-      const firstKillerSquare = gameState.activeEffects.doubleStrikeActive.firstKillerSquare;
-      if (candidate.from === firstKillerSquare) {
-        throw new Error('Double Strike: second capture must be made by a different piece!');
-      }
-      if (!candidate.captured) {
-        throw new Error('Double Strike second move must be a capture!');
-      }
-    }
-
-    // Berserker Rage: Validate ONLY the same piece can capture again, NOT adjacent to first kill
-    if (gameState.activeEffects.berserkerRageActive?.color === moverColor) {
-      const brActive = gameState.activeEffects.berserkerRageActive;
-      const brFirstKillFrom = brActive.firstKillFrom || brActive.firstKillSquare;
-      const brFirstKillSquare = brActive.firstKillSquare || brActive.firstKillFrom;
-
-      // Piece must be the same one that made the first kill (current location after first capture)
-      if (candidate.from !== brFirstKillFrom) {
-        throw new Error('Berserker Rage: ONLY the piece that made the first kill can capture again!');
-      }
-      // Second move must be a capture
-      if (!candidate.captured) {
-        throw new Error('Berserker Rage: second move MUST be a capture!');
-      }
-      // Enforce non-adjacent second capture to the first target square
-      if (brFirstKillSquare) {
-        validateNonAdjacentCapture({ firstKillSquare: brFirstKillSquare }, candidate.to, 'Berserker Rage');
-      }
-    }
-
     // Save FEN to history for time_travel
     if (!gameState.moveHistory) gameState.moveHistory = [];
     gameState.moveHistory.push({
@@ -1732,12 +2007,9 @@ export class GameManager {
     // Execute the move
     let result;
     
-    // For arcana-enhanced moves that chess.js can't execute natively, manually execute them
-    const isArcanaMove = !legalMoves.find(m => m.from === candidate.from && m.to === candidate.to && (!candidate.promotion || m.promotion === candidate.promotion));
-    
-    if (isArcanaMove) {
-      // Manually execute arcana move (e.g., spectral march through pieces)
-      const { movingPiece, capturedPiece } = applyManualCandidateMove(chess, candidate);
+    if (candidate.arcana) {
+      // Arcana and mind-controlled moves are outside chess.js' rules
+      const { movingPiece, capturedPiece } = playArcanaMove(chess, candidate);
       
       // Manually construct result object similar to chess.js move result
       result = {
@@ -1746,7 +2018,8 @@ export class GameManager {
         to: candidate.to,
         piece: movingPiece.type,
         captured: capturedPiece?.type,
-        san: `${movingPiece.type.toUpperCase()}${candidate.to}`, // Simplified SAN
+        promotion: candidate.promotion,
+        san: candidate.san,
         flags: candidate.flags || ''
       };
     } else {
@@ -2049,22 +2322,13 @@ export class GameManager {
       // BEFORE the move is executed (see validation section above), not after capture.
       // This prevents invalid adjacent captures from being made in the first place.
 
-      // Focus Fire: draw an extra common card on capture
-      if (gameState.activeEffects.focusFire && gameState.activeEffects.focusFire[moverColor]) {
-        const bonusCard = pickCommonArcana();
-        const bonusInstance = makeArcanaInstance(bonusCard);
-        gameState.arcanaByPlayer[socket.id].push(bonusInstance);
-        gameState.activeEffects.focusFire[moverColor] = false; // Clear after use
-        
-        // Notify player of bonus card
-        if (!socket.id.startsWith('AI-')) {
-          this.io.to(socket.id).emit('arcanaDrawn', {
-            playerId: socket.id,
-            arcana: bonusInstance,
-            reason: 'Focus Fire bonus'
-          });
-        }
-      }
+      // Spec'd on-capture triggers, e.g. Focus Fire's bonus common card
+      runArcanaTriggers('capture', {
+        chess,
+        gameState,
+        moverColor,
+        hooks: { drawArcana: (draw) => this._drawTriggeredArcana(gameState, socket.id, draw) },
+      });
 
       // Chain Lightning: on capture, destroy 1 adjacent enemy piece (not kings/queens)
       if (gameState.activeEffects.chainLightning?.[moverColor]) {
@@ -2148,14 +2412,36 @@ export class GameManager {
       }
     }
 
+    // Recorded after capture side effects so the replay frame shows the settled board.
+    recordReplayEvent(gameState, 'move', {
+      playerId: socket.id,
+      move: {
+        from: result.from,
+        to: result.to,
+        san: result.san,
+        piece: result.piece,
+        color: result.color,
+        captured: result.captured || null,
+        promotion: result.promotion || null,
+        flags: result.flags,
+        cursed: !!result.cursed,
+        squireBounce: result.squireBounce || null,
+        chainLightning: result.chainLightning || null,
+      },
+    });
+    if (result.poisoned) {
+      recordReplayEvent(gameState, 'rng', { playerId: socket.id, source: 'poison_touch', result: result.poisoned });
+    }
+
     // Ascension trigger: first capture - award 1 weighted-random card to each player
     if (!gameState.ascended && gameState.ascensionTrigger === 'firstCapture' && result.captured) {
       gameState.ascended = true;
       
       // Give each player 1 weighted-random arcana card
+      const random = gameRandom(gameState);
       for (const pid of gameState.playerIds) {
-        const arcana = pickWeightedArcana();
-        const inst = makeArcanaInstance(arcana);
+        const arcana = drawArcanaFor(gameState, pid, () => pickWeightedArcana(random));
+        const inst = makeArcanaInstance(arcana, random);
         gameState.arcanaByPlayer[pid].push(inst);
       }
       
@@ -2167,6 +2453,16 @@ export class GameManager {
       }
     }
 
+    // Spec'd on-check triggers fire for the side that gave check
+    if (chess.isCheck()) {
+      runArcanaTriggers('check', {
+        chess,
+        gameState,
+        moverColor,
+        hooks: { drawArcana: (draw) => this._drawTriggeredArcana(gameState, socket.id, draw) },
+      });
+    }
+
     // Check for extra moves BEFORE decrementing effects.
     // decrementEffects clears per-turn flags (e.g. queensGambit counter) which
     // must still be readable for the extra-move check to work.
@@ -2287,6 +2583,17 @@ export class GameManager {
 
     // If player has extra move available, don't decrement effects or switch turns
     if ((hasQueensGambit || hasDoubleStrike || hasBerserkerRage || hasPromotionRitual || hasMindControlExtraMove || hasEdgerunnerOverdrive) && !gameIsOver) {
+      const extraMoveType = hasQueensGambit
+        ? 'queensGambit'
+        : (hasDoubleStrike
+          ? 'doubleStrike'
+          : (hasBerserkerRage
+            ? 'berserkerRage'
+            : (hasPromotionRitual
+              ? 'promotionRitual'
+              : (hasMindControlExtraMove ? 'mindControl' : 'edgerunnerOverdrive'))));
+      // Cleared by decrementEffects when the turn passes.
+      gameState.extraMove = { color: moverColor, source: extraMoveType, square: result.to };
       // Mark that they used their extra move opportunity
       if (hasQueensGambit) {
         gameState.activeEffects.queensGambitUsed[moverColor] = true;
@@ -2351,15 +2658,7 @@ export class GameManager {
           // Notify about extra move
           this.io.to(pid).emit('extraMoveAvailable', { 
             color: moverColor, 
-            type: hasQueensGambit
-              ? 'queensGambit'
-              : (hasDoubleStrike
-                ? 'doubleStrike'
-                : (hasBerserkerRage
-                  ? 'berserkerRage'
-                  : (hasPromotionRitual
-                    ? 'promotionRitual'
-                    : (hasMindControlExtraMove ? 'mindControl' : 'edgerunnerOverdrive')))),
+            type: extraMoveType,
             square: result.to,
           });
         }
@@ -2534,40 +2833,10 @@ export class GameManager {
     // No extra move — now decrement turn-based effects and check for game end
     this.decrementEffects(gameState);
 
-    // === TIME CONTROL: Decrement time for player who just moved ===
-    if (gameState.timePerPlayer && gameState.lastMoveTime) {
-      const elapsedMs = Date.now() - gameState.lastMoveTime;
-      const elapsedSeconds = elapsedMs / 1000;
-      
-      // Subtract elapsed time from the player who just moved
-      gameState.timePerPlayer[socket.id] = Math.max(0, gameState.timePerPlayer[socket.id] - elapsedSeconds);
-      
-      // Check if player ran out of time
-      if (gameState.timePerPlayer[socket.id] <= 0) {
-        gameState.status = 'finished';
-        gameState.timeLossLoser = socket.id;
-        
-        // Find opponent
-        const opponentId = gameState.playerIds.find(id => id !== socket.id);
-        const outcome = { 
-          type: 'time-expired', 
-          winnerSocketId: opponentId,
-          loserSocketId: socket.id
-        };
-        
-        // Notify both players
-        for (const pid of gameState.playerIds) {
-          if (!pid.startsWith('AI-')) {
-            const personalised = this.serialiseGameStateForViewer(gameState, pid);
-            this.io.to(pid).emit('gameUpdated', personalised);
-            this.emitGameEndedToPlayer(pid, outcome, gameState);
-          }
-        }
-        return { gameState: this.serialiseGameState(gameState), appliedArcana: [] };
-      }
-      
-      // Update lastMoveTime for next turn
-      gameState.lastMoveTime = Date.now();
+    // === TIME CONTROL: stop the mover's clock (increment/delay) and start the opponent's ===
+    this._updateClock(gameState);
+    if (gameState.status !== STATUS_ONGOING) {
+      return { gameState: this.serialiseGameState(gameState), appliedArcana: [] };
     }
 
     // Reset arcana used this turn tracking when a move is made
@@ -2770,6 +3039,7 @@ export class GameManager {
     if (!outcome && gameState.status === STATUS_ONGOING) {
       this._consumeTimeFreezeIfNeeded(gameState);
     }
+    this._updateClock(gameState);
 
     // Broadcast personalised updated state to both players (mask lastMove under fog per viewer)
     if (result.cursedData) {
@@ -2801,7 +3071,7 @@ export class GameManager {
         const personalised = this.serialiseGameStateForViewer(gameState, humanId);
         this.io.to(humanId).emit('gameUpdated', personalised);
         if (personalised.status === 'finished') {
-          this.io.to(humanId).emit('gameEnded', { type: 'ai-finished' });
+          this.emitGameEndedToPlayer(humanId, this._aiFinishedOutcome(gameState), gameState);
         }
       }
     }
@@ -2815,14 +3085,266 @@ export class GameManager {
     }
     } finally {
       gameState._busy = false;
+      recordHandChanges(gameState, handsBeforeAction);
+      if (gameState.chess.fen() !== fenBeforeAction && this._expireOffers(gameState, socket.id)) {
+        this.broadcastGameUpdate(gameState);
+      }
+      this._commitGameState(gameState);
+    }
+  }
+
+  // Idempotency: ignore duplicate actions with the same actionId within a short TTL.
+  _isDuplicateAction(gameState, actionId, now = Date.now()) {
+    if (!gameState._seenActions) gameState._seenActions = new Map();
+    // Prune old entries periodically (keep map small)
+    if (!gameState._lastPrune || now - gameState._lastPrune > ACTION_TTL_MS) {
+      for (const [id, ts] of gameState._seenActions) {
+        if (now - ts > ACTION_TTL_MS) gameState._seenActions.delete(id);
+      }
+      gameState._lastPrune = now;
+    }
+    if (!actionId) return false;
+    if (gameState._seenActions.has(actionId)) return true;
+    gameState._seenActions.set(actionId, now);
+    return false;
+  }
+
+  /**
+   * Offers and requests that need the opponent's consent: draw offers, takebacks and
+   * adjournment. A matching offer from both sides counts as agreement; AI opponents
+   * answer immediately.
+   * @returns {Object} `{ ok, pending }` while waiting, `{ ok, accepted }` once answered
+   */
+  _handleNegotiationAction(gameState, playerId, actionType, payload) {
+    if (gameState._busy) throw new Error('Action in progress');
+    if (this._isDuplicateAction(gameState, payload?.actionId)) {
+      return { ok: true, duplicate: true };
+    }
+    const { kind, respond } = NEGOTIATION_ACTIONS[actionType];
+    if (!gameState.pendingOffers) gameState.pendingOffers = {};
+    const existing = gameState.pendingOffers[kind];
+
+    if (respond) {
+      if (!existing || existing.to !== playerId) throw new Error(`There is no ${kind} request to answer`);
+      return this._answerOffer(gameState, kind, Boolean(payload?.accept));
+    }
+
+    if (existing?.from === playerId) return { ok: true, pending: true };
+    if (kind === 'takeback') {
+      if (gameState.pendingReveal) throw new Error('Please wait for the card reveal to finish');
+      if (!existing && this._findTakebackCheckpointIndex(gameState, playerId) === -1) {
+        throw new Error('There is no move to take back');
+      }
+    }
+    if (existing) return this._answerOffer(gameState, kind, true);
+
+    const opponentId = gameState.playerIds.find((id) => id !== playerId) || null;
+    gameState.pendingOffers[kind] = { from: playerId, to: opponentId, ply: gameState.plyCount || 0, at: Date.now() };
+    if (opponentId?.startsWith(AI_PREFIX)) {
+      return this._answerOffer(gameState, kind, this._aiAcceptsOffer(gameState, kind, opponentId));
+    }
+    this.broadcastGameUpdate(gameState);
+    this._commitGameState(gameState);
+    return { ok: true, pending: true };
+  }
+
+  _answerOffer(gameState, kind, accepted) {
+    const offer = gameState.pendingOffers[kind];
+    gameState.pendingOffers[kind] = null;
+    if (!offer.from.startsWith(AI_PREFIX)) this.io.to(offer.from).emit('offerAnswered', { kind, accepted });
+    if (!accepted) {
+      this.broadcastGameUpdate(gameState);
+      this._commitGameState(gameState);
+      return { ok: true, accepted: false };
+    }
+    if (kind === 'draw') this._endGameByAgreement(gameState);
+    else if (kind === 'takeback') this._applyTakeback(gameState, offer.from);
+    else this._adjournGame(gameState);
+    return { ok: true, accepted: true };
+  }
+
+  // The AI takes back and adjourns on request; draws depend on its evaluation.
+  _aiAcceptsOffer(gameState, kind, aiId) {
+    if (kind !== 'draw') return true;
+    const aiColor = gameState.playerColors[aiId] === WHITE ? WHITE_CHAR : BLACK_CHAR;
+    const settings = getAiDifficultyConfig(gameState.aiDifficulty, gameState.aiPersonality);
+    return shouldAiAcceptDraw(gameState.chess, gameState, aiColor, settings);
+  }
+
+  // A draw offer stands until its recipient plays on; other requests concern the position
+  // they were made in. Returns whether anything was withdrawn.
+  _expireOffers(gameState, actorId) {
+    const offers = gameState.pendingOffers;
+    if (!offers) return false;
+    let changed = false;
+    for (const kind of OFFER_KINDS) {
+      const offer = offers[kind];
+      if (offer && (kind !== 'draw' || offer.to === actorId)) {
+        offers[kind] = null;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  _endGameByAgreement(gameState) {
+    gameState.status = STATUS_FINISHED;
+    this._updateClock(gameState);
+    const outcome = { type: 'draw', reason: 'agreement' };
+    recordReplayOutcome(gameState, outcome);
+    for (const pid of gameState.playerIds) {
+      if (!pid.startsWith(AI_PREFIX)) {
+        this.io.to(pid).emit('gameUpdated', this.serialiseGameStateForViewer(gameState, pid));
+        this.emitGameEndedToPlayer(pid, outcome, gameState);
+      }
+    }
+    this._commitGameState(gameState);
+  }
+
+  // Snapshot the position before a player's first action of a turn. Everything outside
+  // TAKEBACK_KEPT_KEYS is captured, so hands, activeEffects, used instance ids and the
+  // RNG state rewind together.
+  _recordTakebackCheckpoint(gameState, playerId) {
+    const color = gameState.playerColors?.[playerId];
+    if (!color || gameState.chess.turn() !== (color === WHITE ? WHITE_CHAR : BLACK_CHAR)) return;
+    if (!Array.isArray(gameState.takebackCheckpoints)) gameState.takebackCheckpoints = [];
+    const checkpoints = gameState.takebackCheckpoints;
+    const ply = gameState.plyCount || 0;
+    const last = checkpoints[checkpoints.length - 1];
+    if (last && last.playerId === playerId && last.ply === ply) return;
+
+    const board = Object.fromEntries(Object.entries(gameState).filter(([key]) => !TAKEBACK_KEPT_KEYS.has(key)));
+    checkpoints.push({
+      playerId,
+      ply,
+      entrySeq: gameState.replayLog?.entries.length ?? 0,
+      snapshot: createGameSnapshot(board),
+    });
+    if (checkpoints.length > TAKEBACK_CHECKPOINT_LIMIT) checkpoints.shift();
+  }
+
+  // Start of the player's most recent turn that can still be rewound, or -1.
+  _findTakebackCheckpointIndex(gameState, playerId) {
+    if (gameState.status !== STATUS_ONGOING) return -1;
+    const checkpoints = gameState.takebackCheckpoints || [];
+    for (let i = checkpoints.length - 1; i >= 0; i -= 1) {
+      if (checkpoints[i].playerId === playerId) return i;
+    }
+    return -1;
+  }
+
+  // Rewinds to the start of the requester's last turn; the opponent's replies since are undone too.
+  _applyTakeback(gameState, requesterId) {
+    const index = this._findTakebackCheckpointIndex(gameState, requesterId);
+    if (index === -1) throw new Error('There is no move to take back');
+    const checkpoint = gameState.takebackCheckpoints[index];
+    const restored = restoreGameSnapshot(checkpoint.snapshot, { loadFen: safeLoadFen });
+    const pliesUndone = (gameState.plyCount || 0) - checkpoint.ply;
+
+    for (const key of Object.keys(gameState)) {
+      if (!key.startsWith('_') && !TAKEBACK_KEPT_KEYS.has(key)) delete gameState[key];
+    }
+    Object.assign(gameState, restored);
+    gameState.takebackCheckpoints = gameState.takebackCheckpoints.slice(0, index);
+    if (gameState.replayLog) gameState.replayLog.entries.length = checkpoint.entrySeq;
+    recordReplayEvent(gameState, 'takeback', { playerId: requesterId, plies: pliesUndone });
+
+    this._updateClock(gameState);
+    this.broadcastGameUpdate(gameState);
+    this._commitGameState(gameState);
+  }
+
+  // Adjourned games leave the live table and wait in the store until both players return.
+  _adjournGame(gameState) {
+    gameState.status = STATUS_ADJOURNED;
+    gameState.adjournedAt = Date.now();
+    this._updateClock(gameState);
+    this.games.delete(gameState.id);
+    this.adjournedGames.set(gameState.id, gameState);
+    for (const pid of gameState.playerIds) {
+      this.socketToGame.delete(pid);
+      if (!pid.startsWith(AI_PREFIX)) this.io.to(pid).emit('gameAdjourned', { gameId: gameState.id });
+    }
+    this._commitGameState(gameState);
+  }
+
+  /** Adjourned games this client has a seat in, for the main menu. */
+  listAdjournedGames(socket) {
+    const games = [];
+    for (const gameState of this.adjournedGames.values()) {
+      const seatId = this._findSeatForSocket(gameState, socket);
+      if (!seatId) continue;
+      const opponentId = gameState.playerIds.find((pid) => pid !== seatId) || null;
+      games.push({
+        id: gameState.id,
+        mode: gameState.mode,
+        timeControl: gameState.timeControl ?? null,
+        color: gameState.playerColors[seatId] || null,
+        opponent: opponentId?.startsWith(AI_PREFIX) ? 'AI' : (gameState.playerProfiles?.[opponentId]?.displayName || 'Player'),
+        aiDifficulty: gameState.aiDifficulty || null,
+        aiPersonality: gameState.aiPersonality?.name || null,
+        plyCount: gameState.plyCount || 0,
+        adjournedAt: gameState.adjournedAt || null,
+        opponentWaiting: Boolean(opponentId && gameState.resumeReady?.[opponentId]),
+      });
+    }
+    return games;
+  }
+
+  /**
+   * Seats a returning player in an adjourned game. Players are recognised by their client
+   * id or account; play resumes once every human seat is back.
+   * @param {Object} socket - Returning player's socket
+   * @param {Object} payload - `{ gameId }`
+   * @returns {Object} `{ waiting: true }` or `{ waiting: false, gameState }`
+   */
+  resumeAdjournedGame(socket, payload) {
+    const gameState = this.adjournedGames.get(payload?.gameId);
+    if (!gameState) throw new Error('Adjourned game not found');
+    const seatId = this._findSeatForSocket(gameState, socket);
+    if (!seatId) throw new Error('You are not a player in this game');
+    if (this.socketToGame.has(socket.id)) throw new Error('Finish your current game first');
+
+    if (seatId !== socket.id) this._rebindPlayer(gameState, seatId, socket.id);
+    gameState.resumeReady = { ...gameState.resumeReady, [socket.id]: true };
+    const humans = gameState.playerIds.filter((pid) => !pid.startsWith(AI_PREFIX));
+    if (!humans.every((pid) => gameState.resumeReady[pid])) {
+      this._commitGameState(gameState);
+      return { waiting: true };
+    }
+
+    delete gameState.resumeReady;
+    delete gameState.adjournedAt;
+    gameState.status = STATUS_ONGOING;
+    this.adjournedGames.delete(gameState.id);
+    this.games.set(gameState.id, gameState);
+    for (const pid of humans) this.socketToGame.set(pid, gameState.id);
+    this._updateClock(gameState);
+    for (const pid of humans) {
+      this.io.to(pid).emit('gameStarted', this.serialiseGameStateForViewer(gameState, pid));
+    }
+    this._commitGameState(gameState);
+
+    if (gameState.aiDifficulty) {
+      this._settleAITurn(gameState)
+        .then(() => this._commitGameState(gameState))
+        .catch((err) => logger.error('Error resuming AI turn for adjourned game:', err));
+    }
+    return { waiting: false, gameState: this.serialiseGameStateForViewer(gameState, socket.id) };
+  }
+
+  // A player waiting in an adjourned game's resume room left; their seat is free again.
+  cancelAdjournedResume(socketId) {
+    for (const gameState of this.adjournedGames.values()) {
+      if (gameState.resumeReady?.[socketId]) delete gameState.resumeReady[socketId];
     }
   }
 
   // applyArcana is now imported from ./arcana/arcanaHandlers.js
   // Old method removed (was lines 579-910)
 
-  // validateArcanaMove is now imported from ./arcana/arcanaValidation.js
-  // Old method removed (was lines 913-1147)
+  // Move legality (standard, Arcana and mind-controlled) lives in shared/arcana/moveGenerator.js
+  // Old validateArcanaMove method removed (was lines 913-1147)
 
   // checkForKingRemoval is now imported from ./arcana/arcanaUtils.js
   // Old method removed (was lines 1149-1156)
@@ -2839,18 +3361,40 @@ export class GameManager {
   // - drawRandomArcana (kept here as it uses this.io)
   // - applyAstralRebirth
 
-  drawRandomArcana() {
-    return pickWeightedArcana();
+  drawRandomArcana(gameState, playerId = null) {
+    const random = gameRandom(gameState);
+    return drawArcanaFor(gameState, playerId, () => pickWeightedArcana(random));
+  }
+
+  /** `drawArcana` hook for effect-spec triggers: adds the card to the hand and tells the player. */
+  _drawTriggeredArcana(gameState, playerId, { rarity, reason }) {
+    const random = gameRandom(gameState);
+    const picker = rarity ? () => pickArcanaOfRarity(rarity, random) : () => pickWeightedArcana(random);
+    const card = drawArcanaFor(gameState, playerId, picker, rarity ? [(def) => def.rarity === rarity] : []);
+    const instance = makeArcanaInstance(card, random);
+    gameState.arcanaByPlayer[playerId].push(instance);
+    if (!playerId.startsWith('AI-')) {
+      this.io.to(playerId).emit('arcanaDrawn', { playerId, arcana: instance, reason });
+    }
+    return instance;
   }
 
   async performAIMove(gameState) {
-    const TIMEOUT_MS = 5000;
+    // Room for a card search, the card's reveal pause and a second search for the move.
+    const TIMEOUT_MS = 8000;
+    const handsBeforeMove = snapshotHands(gameState);
     const logicPromise = this._performAIMoveLogic(gameState);
     const timeout = new Promise((_, rej) => setTimeout(() => rej(new Error('AI move timed out')), TIMEOUT_MS));
 
     try {
-      return await Promise.race([logicPromise, timeout]);
+      const result = await Promise.race([logicPromise, timeout]);
+      // The AI runtime moves/draws directly on the board; bring the clock in step.
+      this._updateClock(gameState);
+      recordHandChanges(gameState, handsBeforeMove);
+      return result;
     } catch (err) {
+      // A search still running must not play a move after the fail-safe pass.
+      aiSearchPool.cancelGame(gameState.id);
       // Log error for debugging
       console.error('[AI Move Error]', err.message, err.stack);
       
@@ -2881,7 +3425,7 @@ export class GameManager {
       io: this.io,
       getAiDifficultyConfig,
       shouldAiDrawArcana,
-      selectBestAiMove,
+      searchBestAiMove: this._searchBestAiMove.bind(this),
       orderAiMoves,
       hasPawnLeftStartingSquareBefore,
       markPawnStartSquareConsumed,
@@ -2905,9 +3449,25 @@ export class GameManager {
     });
   }
 
+  // Runs the AI's search in the worker pool, on a budget that shrinks as its clock runs low.
+  // A timed search that waits too long for a worker is stopped before the clock runs out.
+  // With `arcana` (`{ playerId, hand }`) card plays are searched alongside the moves.
+  _searchBestAiMove(gameState, moverColor, settings, candidateMoves, arcana = null) {
+    const aiId = findPlayerIdByColor(gameState.playerColors, moverColor);
+    const remainingMs = gameState.clock && aiId in gameState.clock.remainingMs
+      ? getRemainingMs(gameState.clock, aiId)
+      : null;
+    const budgetMs = getAiSearchBudgetMs(settings, remainingMs);
+    const search = aiSearchPool.search(gameState.id, toSearchPayload(gameState, moverColor, settings, candidateMoves, budgetMs, arcana));
+    if (remainingMs === null) return search;
+    const stopTimer = setTimeout(() => aiSearchPool.stopGame(gameState.id), getAiSearchStopMs(remainingMs));
+    stopTimer.unref?.();
+    return search.finally(() => clearTimeout(stopTimer));
+  }
+
   // Helper: AI attempts to use an arcana card
-  async tryAIUseArcana(gameState, aiSocketId, card, moverColor) {
-    return runtimeTryAIUseArcana(gameState, aiSocketId, card, moverColor, {
+  async tryAIUseArcana(gameState, aiSocketId, card, moverColor, params = null) {
+    return runtimeTryAIUseArcana(gameState, aiSocketId, card, moverColor, params, {
       io: this.io,
       applyArcanaFn: this.applyArcana ? this.applyArcana.bind(this) : null,
       logger,
@@ -2965,19 +3525,17 @@ export class GameManager {
       gameState.activeEffects.bishopsBlessingSource = { w: null, b: null };
     }
     
+    // The turn is passing, so any extra move granted to the mover has been used.
+    gameState.extraMove = null;
+
     const effects = gameState.activeEffects;
+    const effectsBefore = listActiveEffects(effects);
     
-    // Decrement cursed squares
-    effects.cursedSquares = (effects.cursedSquares || []).filter(c => {
-      c.turns--;
-      return c.turns > 0;
-    });
-    
-    // Decrement sanctuaries
-    effects.sanctuaries = (effects.sanctuaries || []).filter(s => {
-      s.turns--;
-      return s.turns > 0;
-    });
+    // Spec'd cards (shared/arcana/effects) declare their own expiry: one-turn flags, Fog of
+    // War, Castle Breaker, sanctuaries and cursed squares.
+    const currentTurn = gameState.chess.turn();
+    runArcanaTriggers('turnEnd', { chess: gameState.chess, gameState, moverColor: currentTurn === 'w' ? 'b' : 'w' });
+    expireArcanaEffects(effects, currentTurn);
     
     // Decrement mirror images and remove expired duplicates from board
     const chess = gameState.chess;
@@ -3019,7 +3577,6 @@ export class GameManager {
     // Clear one-turn effects
     // Pattern: effects that need to survive through the opponent's turn should
     // only be cleared when the owner regains their turn (currentTurn === ownerColor).
-    const currentTurn = gameState.chess.turn();
 
     // Iron Fortress: keep active through opponent's turn, clear when owner regains turn
     for (const c of ['w', 'b']) {
@@ -3043,14 +3600,6 @@ export class GameManager {
       }
     }
 
-    // Fog of War: keep fog active throughout the opponent's entire turn and only
-    // clear when it becomes the fog owner's turn again.
-    for (const c of ['w', 'b']) {
-      if (effects.fogOfWar[c] && currentTurn === c) {
-        effects.fogOfWar[c] = false;
-      }
-    }
-
     // Vision remains cleared for the color that just finished (legacy behavior)
     const endingColor = gameState.chess.turn() === 'w' ? 'b' : 'w';
     if (effects.vision[endingColor]) {
@@ -3063,28 +3612,11 @@ export class GameManager {
     effects.focusFire = effects.focusFire || { w: false, b: false };
     // Keep structure consistent: doubleStrike stores objects or nulls per color
     effects.doubleStrike = { w: null, b: null };
-    effects.poisonTouch = { w: false, b: false };
-    effects.spectralMarch = { w: false, b: false };
-    effects.phantomStep = { w: false, b: false };
-    effects.pawnRush = { w: false, b: false };
-    effects.sharpshooter = { w: false, b: false };
-    effects.enPassantMaster = { w: false, b: false };
     effects.temporalEcho = null;
-    effects.knightOfStorms = { w: null, b: null };
     effects.berserkerRage = { w: null, b: null };
-    effects.chainLightning = { w: false, b: false };
     effects.edgerunnerOverdrive = null;
     if (!effects.promotionRitual) effects.promotionRitual = { w: null, b: null };
     
-    // Decrement castle breaker turns (lasts 3 turns)
-    if (effects.castleBroken) {
-      for (const color of ['w', 'b']) {
-        if (effects.castleBroken[color] > 0) {
-          effects.castleBroken[color]--;
-        }
-      }
-    }
-    
     // Clear mind control after 1 turn
     // Pieces keep their original color and appearance, so no need to flip back
     // Just clear the tracking so player can't move them anymore
@@ -3117,6 +3649,8 @@ export class GameManager {
         }
       }
     }
+
+    recordExpiredEffects(gameState, effectsBefore);
   }
 
   forfeitGame(socket, payload) {
@@ -3134,8 +3668,12 @@ export class GameManager {
 
     // Mark finished and notify players
     gameState.status = 'finished';
+    aiSearchPool.cancelGame(gameId);
+    this._updateClock(gameState);
     const otherPlayerId = gameState.playerIds.find((id) => id !== socket.id);
     const outcome = { type: 'forfeit', loserSocketId: socket.id, winnerSocketId: otherPlayerId };
+    recordReplayOutcome(gameState, outcome);
+    this._commitGameState(gameState);
 
       for (const pid of gameState.playerIds) {
       if (!pid.startsWith('AI-')) {
@@ -3203,6 +3741,7 @@ export class GameManager {
       this.io.to(humanPlayerId).emit('rematchAIScreen', {
         gameMode: finishedGameState.mode,
         difficulty: finishedGameState.aiDifficulty,
+        personality: finishedGameState.aiPersonality?.id || finishedGameState.aiPersonality || null,
         playerColor: finishedGameState.playerColor,
         timeControl: finishedGameState.timeControl,
       });
@@ -3225,8 +3764,12 @@ export class GameManager {
         isPrivate: true,
         gameMode: finishedGameState.mode,
         timeControl: finishedGameState.timeControl || 'unlimited',
+        omniscientSpectators: Boolean(finishedGameState.omniscientSpectators),
         hostId: finishedGameState.playerIds[0],
         players: [...finishedGameState.playerIds],
+        playerProfiles: { ...finishedGameState.playerProfiles },
+        rated: Boolean(finishedGameState.rated),
+        deckNames: {},
         createdAt: Date.now(),
       };
       
@@ -3236,6 +3779,9 @@ export class GameManager {
       // Map both players to this lobby
       for (const pid of finishedGameState.playerIds) {
         lobbyManager.socketToLobby.set(pid, rematchLobby.id);
+        // Both players bring the same decks again.
+        const pile = finishedGameState.drawPiles?.[pid];
+        lobbyManager.setDeck?.(rematchLobby, pid, pile ? { name: pile.deckName, cards: [...pile.deck] } : null);
         const playerSocket = this.io?.sockets?.sockets?.get?.(pid) || this.io?.sockets?.sockets?.[pid];
         if (playerSocket && typeof playerSocket.join === 'function') {
           playerSocket.join(rematchLobby.id);
@@ -3298,6 +3844,16 @@ export class GameManager {
     const gameState = this.games.get(gameId);
     if (!gameState) return null;
 
+    this._rebindPlayer(gameState, oldSocketId, newSocketId);
+    this.socketToGame.delete(oldSocketId);
+    this.socketToGame.set(newSocketId, gameId);
+    this._commitGameState(gameState);
+
+    return gameState;
+  }
+
+  // Moves a player's seat (hands, clock, per-player bookkeeping) onto a new socket id.
+  _rebindPlayer(gameState, oldSocketId, newSocketId) {
     gameState.playerIds = (gameState.playerIds || []).map((pid) => (pid === oldSocketId ? newSocketId : pid));
 
     if (gameState.playerColors && Object.prototype.hasOwnProperty.call(gameState.playerColors, oldSocketId)) {
@@ -3319,6 +3875,12 @@ export class GameManager {
     remapObjectKey(gameState.lastDrawTurn);
     remapObjectKey(gameState.rematchVotes);
     remapObjectKey(gameState.arcanaUsedThisTurn);
+    remapObjectKey(gameState.timePerPlayer);
+    remapObjectKey(gameState.clientIdByPlayer);
+    remapObjectKey(gameState.playerProfiles);
+    remapObjectKey(gameState.drawPiles);
+    rebindClockPlayer(gameState.clock, oldSocketId, newSocketId);
+    if (gameState.timeLossLoser === oldSocketId) gameState.timeLossLoser = newSocketId;
 
     if (gameState.pendingReveal?.playerId === oldSocketId) {
       gameState.pendingReveal.playerId = newSocketId;
@@ -3327,11 +3889,12 @@ export class GameManager {
       gameState.pendingPeek[newSocketId] = gameState.pendingPeek[oldSocketId];
       delete gameState.pendingPeek[oldSocketId];
     }
-
-    this.socketToGame.delete(oldSocketId);
-    this.socketToGame.set(newSocketId, gameId);
-
-    return gameState;
+    for (const offer of Object.values(gameState.pendingOffers || {})) {
+      if (offer?.from === oldSocketId) offer.from = newSocketId;
+      if (offer?.to === oldSocketId) offer.to = newSocketId;
+    }
+    // Checkpoints are keyed by the old socket id throughout; rewinding past a reconnect is not supported.
+    gameState.takebackCheckpoints = [];
   }
 
   handleDisconnect(socketId) {
@@ -3343,8 +3906,12 @@ export class GameManager {
     // Only end game if it's still ongoing
     if (gameState.status === 'ongoing') {
       gameState.status = 'finished';
+      aiSearchPool.cancelGame(gameId);
+      this._updateClock(gameState);
       const otherPlayerId = gameState.playerIds.find((id) => id !== socketId);
       const outcome = { type: 'disconnect', loserSocketId: socketId, winnerSocketId: otherPlayerId };
+      recordReplayOutcome(gameState, outcome);
+      this._commitGameState(gameState);
 
       if (otherPlayerId && !otherPlayerId.startsWith('AI-')) {
         this.emitGameEndedToPlayer(otherPlayerId, outcome, gameState);
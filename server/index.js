@@ -3,9 +3,20 @@ import http from 'http';
 import cors from 'cors';
 import { Server } from 'socket.io';
 import path from 'path';
+import { randomBytes } from 'crypto';
 import { fileURLToPath } from 'url';
 import { LobbyManager } from './lobbyManager.js';
 import { GameManager } from './gameManager.js';
+import { createGameStore } from './persistence/gameStore.js';
+import { AccountManager } from './accounts/accountManager.js';
+import { createAccountStore } from './accounts/accountStore.js';
+import { AiPersonalityManager } from './ai/personalityManager.js';
+import { createPersonalityStore } from './ai/personalityStore.js';
+import { REPO_ROOT as STUDIO_REPO_ROOT, saveStudioCardToRepo } from './studio/studioCardSaver.js';
+import { listStudioCardVersions, readStudioCardVersion, rollbackStudioCard } from '../shared/arcana/studio/studioCardHistory.js';
+import { Matchmaker } from './matchmaking/matchmaker.js';
+import { BOT_AI_LEVELS, BOT_PROTOCOL_VERSION, getBotPosition, submitBotAction } from './bot/botProtocol.js';
+import { createRngState } from './rng/seededRng.js';
 import { applyArcana } from './arcana/arcanaHandlers.js';
 import { ARCANA_DEFINITIONS } from '../shared/arcanaDefinitions.js';
 import { createDefaultActiveEffectsState, mergeActiveEffectsState } from '../shared/arcana/activeEffectsState.js';
@@ -16,6 +27,7 @@ import { Chess } from 'chess.js';
 const BOARD_SIZE = 8;
 const DEFAULT_PORT = 4000;
 const DEV_MODE_PASSWORD = String(process.env.DEV_MODE_PASSWORD || 'arcana dev');
+const devModeTokens = new Set(); // issued by /api/dev-mode/auth, valid until restart
 
 // Logging utility
 const logger = {
@@ -54,13 +66,72 @@ app.post('/api/dev-mode/auth', (req, res) => {
     return res.status(401).json({ ok: false, error: 'Invalid password' });
   }
 
-  return res.json({ ok: true });
+  const token = randomBytes(18).toString('hex');
+  devModeTokens.add(token);
+  return res.json({ ok: true, token });
+});
+
+// Dev tools that change files in the checkout; `X-Dev-Mode-Token` comes from /api/dev-mode/auth.
+function requireDevMode(req, res, next) {
+  if (!devModeTokens.has(req.get('x-dev-mode-token') || '')) {
+    return res.status(403).json({ ok: false, error: 'Dev mode required' });
+  }
+  return next();
+}
+
+// Arcana Studio "Save to game": writes the card module like `npm run studio:apply`, then
+// pushes the card to every connected client so open games and tools use it immediately.
+function requireStudioSaving(req, res, next) {
+  if (process.env.NODE_ENV === 'production' && process.env.ARCANA_STUDIO_SAVE !== '1') {
+    return res.status(403).json({ ok: false, error: 'Saving Studio cards is disabled in production' });
+  }
+  return next();
+}
+
+app.post('/api/studio/cards', requireDevMode, requireStudioSaving, async (req, res) => {
+  try {
+    const { id, card, filePath, version } = await saveStudioCardToRepo(req.body?.card, { author: req.body?.author || 'studio' });
+    io.emit('studioCardUpdated', { id, card });
+    logger.info(`Studio card ${id} saved to ${path.relative(process.cwd(), filePath)} (v${version})`);
+    return res.json({ ok: true, id, version });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message || 'Failed to save card' });
+  }
+});
+
+// Version history of applied cards (see shared/arcana/studio/studioCardHistory.js).
+app.get('/api/studio/cards/:id/history', requireDevMode, async (req, res) => {
+  try {
+    res.json({ ok: true, versions: await listStudioCardVersions(STUDIO_REPO_ROOT, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/studio/cards/:id/history/:version', requireDevMode, async (req, res) => {
+  try {
+    const version = req.params.version === 'latest' ? 'latest' : Number(req.params.version);
+    res.json({ ok: true, entry: await readStudioCardVersion(STUDIO_REPO_ROOT, req.params.id, version) });
+  } catch (err) {
+    res.status(404).json({ ok: false, error: err.message });
+  }
+});
+
+app.post('/api/studio/cards/:id/rollback', requireDevMode, requireStudioSaving, async (req, res) => {
+  try {
+    const entry = await rollbackStudioCard(STUDIO_REPO_ROOT, req.params.id, Number(req.body?.version), { author: req.body?.author || 'studio' });
+    io.emit('studioCardUpdated', { id: entry.cardId, card: entry.card });
+    logger.info(`Studio card ${entry.cardId} rolled back to v${req.body?.version} (now v${entry.version})`);
+    res.json({ ok: true, version: entry.version, card: entry.card });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
 });
 
 // Card testing endpoint for balancing tool
 app.post('/api/test-card', (req, res) => {
   try {
-    const { cardId, fen, params, playerColor, moveResult, instanceId, activeEffects: clientActiveEffects, pawnShields: clientPawnShields, lastMove: clientLastMove, capturedByColor: clientCapturedByColor } = req.body;
+    const { cardId, fen, params, playerColor, moveResult, instanceId, seed, activeEffects: clientActiveEffects, pawnShields: clientPawnShields, lastMove: clientLastMove, capturedByColor: clientCapturedByColor } = req.body;
     const chess = new Chess(fen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
     const colorChar = playerColor === 'white' ? 'w' : 'b';
 
@@ -80,6 +151,8 @@ app.post('/api/test-card', (req, res) => {
       capturedByColor: clientCapturedByColor || { w: [], b: [] },
       activeEffects: clientActiveEffects ? mergeActiveEffectsState(clientActiveEffects) : createDefaultActiveEffectsState(),
       moveHistory: [],
+      // Pass the returned seed back in to reproduce a random outcome (shuffles, shockwaves, draws).
+      rng: createRngState(seed ?? undefined),
     };
 
     // Give the dev player one instance of the card so applyArcana can validate/remove it
@@ -120,7 +193,7 @@ app.post('/api/test-card', (req, res) => {
       return res.json({ ok: false, error: `${cardId} could not be applied - validation failed or prerequisites not met` });
     }
 
-    res.json({ ok: true, card, applied, beforeState, afterState, params });
+    res.json({ ok: true, card, applied, beforeState, afterState, params, seed: gameState.rng.seed });
   } catch (err) {
     res.json({ ok: false, error: err.message });
   }
@@ -139,22 +212,126 @@ function getAllPiecesFromChess(chess) {
 }
 
 const lobbyManager = new LobbyManager();
-const gameManager = new GameManager(io, lobbyManager);
+const accountManager = new AccountManager({ store: createAccountStore() });
+const aiPersonalities = new AiPersonalityManager({ store: createPersonalityStore() });
+const gameManager = new GameManager(io, lobbyManager, {
+  store: createGameStore(),
+  accounts: accountManager,
+  personalities: aiPersonalities,
+});
+
+// Server-recorded replay of a finished game, in the file format ReplayOverlay loads.
+app.get('/api/replays/:gameId', (req, res) => {
+  try {
+    res.json(gameManager.getReplay(req.params.gameId));
+  } catch (err) {
+    const status = gameManager.games.has(req.params.gameId) ? 409 : 404;
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/replays/:gameId/apgn', (req, res) => {
+  try {
+    const apgn = gameManager.getApgn(req.params.gameId);
+    res.type('text/plain').set('Content-Disposition', `attachment; filename="arcana-${req.params.gameId}.apgn"`).send(apgn);
+  } catch (err) {
+    const status = gameManager.games.has(req.params.gameId) ? 409 : 404;
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
 const CLIENT_RECONNECT_GRACE_MS = 20000;
+// Players of games restored after a restart get longer to find their way back.
+const RESTORED_SESSION_GRACE_MS = 60000;
 const clientIdToSocketId = new Map();
 const pendingDisconnectTimers = new Map();
+
+// Drop a client's session once its reconnect grace period runs out.
+function releaseClientSession(cid, socketId) {
+  pendingDisconnectTimers.delete(cid);
+  const currentSocket = clientIdToSocketId.get(cid);
+  // If the client reconnected and mapped to a new socket, do nothing.
+  if (currentSocket && currentSocket !== socketId) return;
+
+  clientIdToSocketId.delete(cid);
+  const result = lobbyManager.leaveLobby(socketId);
+  if (result) {
+    if (result.closed) {
+      io.to(result.lobbyId).emit('lobbyClosed', { reason: 'Player disconnected' });
+    } else if (result.lobby) {
+      io.to(result.lobby.id).emit('lobbyUpdated', result.lobby);
+    }
+  }
+  gameManager.handleDisconnect(socketId);
+}
+
+const MATCHMAKING_TICK_MS = 1000;
+
+// Paired players get a private lobby and their game starts straight away.
+function startMatchedGame(match) {
+  // Players who disconnected or sat down elsewhere since queueing drop out; the other
+  // player keeps their place in the queue.
+  const sockets = match.players.map((entry) => {
+    const socket = io.sockets.sockets.get(entry.socketId);
+    const busy = gameManager.socketToGame.has(entry.socketId) || lobbyManager.getLobbyForSocket(entry.socketId);
+    return socket && !busy ? socket : null;
+  });
+  if (sockets.some((s) => !s)) {
+    sockets.forEach((s, i) => { if (s) matchmaker.requeue(match.players[i]); });
+    return;
+  }
+  try {
+    const lobby = lobbyManager.createMatchLobby(sockets, match);
+    match.players.forEach((entry, i) => {
+      const opponent = match.players[1 - i];
+      io.to(entry.socketId).emit('matchFound', {
+        lobbyId: lobby.id,
+        rated: lobby.rated,
+        gameMode: lobby.gameMode,
+        timeControl: lobby.timeControl,
+        opponent: { displayName: opponent.displayName || 'Guest', rating: match.ratings[1 - i] },
+      });
+    });
+    gameManager.startMultiplayerGame(sockets[0], { lobbyId: lobby.id });
+  } catch (err) {
+    logger.error('Failed to start matched game', err);
+    for (const entry of match.players) {
+      io.to(entry.socketId).emit('matchmakingStatus', { queued: false, error: 'Failed to start the matched game' });
+    }
+  }
+}
+
+const matchmaker = new Matchmaker({ accounts: accountManager, onMatch: startMatchedGame });
+setInterval(() => {
+  matchmaker.tick();
+  for (const socketId of matchmaker.queue.keys()) {
+    io.to(socketId).emit('matchmakingStatus', matchmaker.getStatus(socketId));
+  }
+}, MATCHMAKING_TICK_MS).unref();
+
 // Backwards-compatible wrapper: some callers expect `gameManager.applyArcana`
 // Attach a method that delegates to the centralized `applyArcana` handler.
 gameManager.applyArcana = (socketId, gameState, arcanaUsed, moveResult) => {
   return applyArcana(socketId, gameState, arcanaUsed, moveResult, io);
 };
 
+// Rehydrate unfinished games; reconnecting clients are rebound through their client id.
+for (const restoredGame of gameManager.restoreGames()) {
+  for (const [playerId, cid] of Object.entries(restoredGame.clientIdByPlayer || {})) {
+    if (!cid) continue;
+    clientIdToSocketId.set(cid, playerId);
+    pendingDisconnectTimers.set(cid, setTimeout(() => releaseClientSession(cid, playerId), RESTORED_SESSION_GRACE_MS));
+  }
+}
+
 io.on('connection', (socket) => {
   logger.info('Socket connected', socket.id);
 
   const rawClientId = socket.handshake?.auth?.clientId;
   const clientId = (typeof rawClientId === 'string' && rawClientId.trim()) ? rawClientId.trim() : null;
   socket.data.clientId = clientId;
+  socket.data.profile = accountManager.authenticate(socket.handshake?.auth?.token);
+  // The session this socket is signed in with; a password change keeps only this one.
+  socket.data.sessionToken = socket.data.profile ? socket.handshake.auth.token : null;
 
   if (clientId) {
     const pending = pendingDisconnectTimers.get(clientId);
@@ -205,8 +382,8 @@ io.on('connection', (socket) => {
 
   socket.on('joinLobby', (payload, ack) => {
     try {
-      const { lobbyId, code } = payload || {};
-      const lobby = lobbyManager.joinLobby(socket, { lobbyId, code });
+      const { lobbyId, code, deck } = payload || {};
+      const lobby = lobbyManager.joinLobby(socket, { lobbyId, code, deck });
       safeAck(ack, { ok: true, lobby });
       io.to(lobby.id).emit('lobbyUpdated', lobby);
     } catch (err) {
@@ -215,6 +392,22 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('joinMatchmaking', (payload, ack) => {
+    try {
+      if (gameManager.socketToGame.has(socket.id)) throw new Error('Finish your current game first');
+      if (lobbyManager.getLobbyForSocket(socket.id)) throw new Error('Leave your lobby first');
+      const status = matchmaker.enqueue(socket, payload || {});
+      safeAck(ack, { ok: true, ...status });
+      matchmaker.tick();
+    } catch (err) {
+      safeAck(ack, { ok: false, error: err.message || 'Failed to join matchmaking' });
+    }
+  });
+
+  socket.on('leaveMatchmaking', (payload, ack) => {
+    safeAck(ack, { ok: true, wasQueued: matchmaker.dequeue(socket.id) });
+  });
+
   socket.on('leaveLobby', (payload, ack) => {
     try {
       const result = lobbyManager.leaveLobby(socket.id);
@@ -282,6 +475,125 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('listLiveGames', (payload, ack) => {
+    try {
+      safeAck(ack, { ok: true, games: gameManager.listLiveGames() });
+    } catch (err) {
+      logger.error('listLiveGames error', err);
+      safeAck(ack, { ok: false, error: err.message || 'Failed to list live games' });
+    }
+  });
+
+  socket.on('spectateGame', (payload, ack) => {
+    try {
+      const gameState = gameManager.addSpectator(socket, payload || {});
+      safeAck(ack, { ok: true, gameState });
+    } catch (err) {
+      logger.error('spectateGame error', err);
+      safeAck(ack, { ok: false, error: err.message || 'Failed to spectate game' });
+    }
+  });
+
+  socket.on('stopSpectating', (payload, ack) => {
+    gameManager.removeSpectator(socket.id);
+    safeAck(ack, { ok: true });
+  });
+
+  socket.on('registerAccount', (payload, ack) => {
+    try {
+      const { profile, token } = accountManager.register(payload || {});
+      socket.data.profile = { playerId: profile.playerId, displayName: profile.displayName };
+      socket.data.sessionToken = token;
+      safeAck(ack, { ok: true, profile, token });
+    } catch (err) {
+      safeAck(ack, { ok: false, error: err.message || 'Failed to create account' });
+    }
+  });
+
+  socket.on('login', (payload, ack) => {
+    try {
+      const { profile, token } = accountManager.login(payload || {});
+      socket.data.profile = { playerId: profile.playerId, displayName: profile.displayName };
+      socket.data.sessionToken = token;
+      safeAck(ack, { ok: true, profile, token });
+    } catch (err) {
+      safeAck(ack, { ok: false, error: err.message || 'Failed to sign in' });
+    }
+  });
+
+  socket.on('logout', (payload, ack) => {
+    if (payload?.token) accountManager.logout(payload.token);
+    socket.data.profile = null;
+    socket.data.sessionToken = null;
+    safeAck(ack, { ok: true });
+  });
+
+  socket.on('setPassword', (payload, ack) => {
+    try {
+      if (!socket.data.profile) throw new Error('Sign in first');
+      const { playerId } = socket.data.profile;
+      accountManager.setPassword(playerId, {
+        password: payload?.password,
+        currentPassword: payload?.currentPassword,
+        token: socket.data.sessionToken,
+      });
+      // Sockets still open on the revoked sessions are signed out too.
+      for (const other of io.sockets.sockets.values()) {
+        if (other.data.profile?.playerId === playerId && !accountManager.authenticate(other.data.sessionToken)) {
+          other.data.profile = null;
+          other.data.sessionToken = null;
+        }
+      }
+      safeAck(ack, { ok: true, profile: accountManager.getProfile(playerId) });
+    } catch (err) {
+      safeAck(ack, { ok: false, error: err.message || 'Failed to set password' });
+    }
+  });
+
+  // Own profile by default; any player's public profile with `{ playerId }`.
+  socket.on('getProfile', (payload, ack) => {
+    const playerId = payload?.playerId || socket.data.profile?.playerId;
+    const profile = playerId ? accountManager.getProfile(playerId) : null;
+    safeAck(ack, profile ? { ok: true, profile } : { ok: false, error: 'Profile not found' });
+  });
+
+  // Custom AI personalities: built-ins for everyone, saved ones per signed-in account.
+  socket.on('listAiPersonalities', (payload, ack) => {
+    safeAck(ack, { ok: true, personalities: aiPersonalities.list(socket.data.profile?.playerId) });
+  });
+
+  socket.on('saveAiPersonality', (payload, ack) => {
+    try {
+      const personality = aiPersonalities.save(socket.data.profile?.playerId, payload?.personality);
+      safeAck(ack, { ok: true, personality });
+    } catch (err) {
+      safeAck(ack, { ok: false, error: err.message || 'Failed to save personality' });
+    }
+  });
+
+  socket.on('deleteAiPersonality', (payload, ack) => {
+    try {
+      aiPersonalities.remove(socket.data.profile?.playerId, payload?.id);
+      safeAck(ack, { ok: true });
+    } catch (err) {
+      safeAck(ack, { ok: false, error: err.message || 'Failed to delete personality' });
+    }
+  });
+
+  socket.on('listAdjournedGames', (payload, ack) => {
+    safeAck(ack, { ok: true, games: gameManager.listAdjournedGames(socket) });
+  });
+
+  socket.on('resumeAdjournedGame', (payload, ack) => {
+    try {
+      const result = gameManager.resumeAdjournedGame(socket, payload || {});
+      safeAck(ack, { ok: true, ...result });
+    } catch (err) {
+      logger.error('resumeAdjournedGame error', err);
+      safeAck(ack, { ok: false, error: err.message || 'Failed to resume game' });
+    }
+  });
+
   socket.on('startAIGame', async (payload, ack) => {
     try {
       const state = await gameManager.startAIGame(socket, payload || {});
@@ -302,6 +614,56 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Same block as `legalActions` in each personalised gameUpdated, on demand (bots).
+  socket.on('getLegalActions', (payload, ack) => {
+    try {
+      const legalActions = gameManager.getLegalActionsForSocket(socket);
+      safeAck(ack, { ok: true, legalActions });
+    } catch (err) {
+      logger.error('getLegalActions error', err);
+      safeAck(ack, { ok: false, error: err.message || 'Failed to list legal actions' });
+    }
+  });
+
+  // Bot protocol (see bot/botProtocol.js and md_files/BOT_PROTOCOL.md).
+  socket.on('bot:hello', (payload, ack) => {
+    socket.data.bot = { name: String(payload?.name || 'bot').slice(0, 40) };
+    safeAck(ack, {
+      ok: true,
+      protocol: BOT_PROTOCOL_VERSION,
+      aiLevels: BOT_AI_LEVELS,
+      profile: socket.data.profile || null,
+    });
+  });
+
+  socket.on('bot:playAI', async (payload, ack) => {
+    try {
+      if (!socket.data.bot) throw new Error('Send bot:hello first');
+      const level = payload?.level || 'Scholar';
+      if (!BOT_AI_LEVELS.includes(level)) throw new Error(`Unknown AI level: ${level}`);
+      await gameManager.startAIGame(socket, { ...(payload || {}), difficulty: level });
+      safeAck(ack, { ok: true, position: getBotPosition(gameManager, socket.id) });
+    } catch (err) {
+      logger.error('bot:playAI error', err);
+      safeAck(ack, { ok: false, error: err.message || 'Failed to start AI game' });
+    }
+  });
+
+  socket.on('bot:position', (payload, ack) => {
+    const position = getBotPosition(gameManager, socket.id);
+    safeAck(ack, position ? { ok: true, position } : { ok: false, error: 'No game for this socket' });
+  });
+
+  socket.on('bot:action', async (payload, ack) => {
+    try {
+      if (!socket.data.bot) throw new Error('Send bot:hello first');
+      const result = await submitBotAction(gameManager, socket, payload);
+      safeAck(ack, { ok: true, ...result });
+    } catch (err) {
+      safeAck(ack, { ok: false, error: err.message || 'Failed to apply bot action' });
+    }
+  });
+
   // Client notifies server when the card reveal overlay animation is finished
   socket.on('arcanaRevealComplete', async (payload, ack) => {
     try {
@@ -345,6 +707,36 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('getReplay', (payload, ack) => {
+    try {
+      const replay = gameManager.getReplay(payload?.gameId);
+      safeAck(ack, { ok: true, replay });
+    } catch (err) {
+      logger.error('getReplay error', err);
+      safeAck(ack, { ok: false, error: err.message || 'Failed to load replay' });
+    }
+  });
+
+  socket.on('getApgn', (payload, ack) => {
+    try {
+      const apgn = gameManager.getApgn(payload?.gameId);
+      safeAck(ack, { ok: true, apgn });
+    } catch (err) {
+      logger.error('getApgn error', err);
+      safeAck(ack, { ok: false, error: err.message || 'Failed to export APGN' });
+    }
+  });
+
+  socket.on('importApgn', async (payload, ack) => {
+    try {
+      const { replay, tags } = await gameManager.importApgn(payload?.text);
+      safeAck(ack, { ok: true, replay, tags });
+    } catch (err) {
+      logger.error('importApgn error', err);
+      safeAck(ack, { ok: false, error: err.message || 'Failed to import APGN' });
+    }
+  });
+
   socket.on('getArcanaList', (payload, ack) => {
     safeAck(ack, { ok: true, arcana: ARCANA_DEFINITIONS });
   });
@@ -418,6 +810,9 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {
     logger.info('Socket disconnected', socket.id);
     const cid = socket.data?.clientId;
+    gameManager.removeSpectator(socket.id);
+    gameManager.cancelAdjournedResume(socket.id);
+    matchmaker.dequeue(socket.id);
 
     const activeGameId = gameManager.socketToGame.get(socket.id);
     const activeGame = activeGameId ? gameManager.games.get(activeGameId) : null;
@@ -451,23 +846,7 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const t = setTimeout(() => {
-      pendingDisconnectTimers.delete(cid);
-      const currentSocket = clientIdToSocketId.get(cid);
-      // If the client reconnected and mapped to a new socket, do nothing.
-      if (currentSocket && currentSocket !== socket.id) return;
-
-      clientIdToSocketId.delete(cid);
-      const result = lobbyManager.leaveLobby(socket.id);
-      if (result) {
-        if (result.closed) {
-          io.to(result.lobbyId).emit('lobbyClosed', { reason: 'Player disconnected' });
-        } else if (result.lobby) {
-          io.to(result.lobby.id).emit('lobbyUpdated', result.lobby);
-        }
-      }
-      gameManager.handleDisconnect(socket.id);
-    }, CLIENT_RECONNECT_GRACE_MS);
+    const t = setTimeout(() => releaseClientSession(cid, socket.id), CLIENT_RECONNECT_GRACE_MS);
     pendingDisconnectTimers.set(cid, t);
   });
 });
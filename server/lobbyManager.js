@@ -1,9 +1,12 @@
 import { randomBytes } from 'crypto';
+import { isValidTimeControl } from '../shared/timeControl.js';
+import { resolveDeck } from '../shared/arcana/decks.js';
 
 export class LobbyManager {
   constructor() {
     this.lobbies = new Map();      // lobbyId -> lobby
     this.socketToLobby = new Map(); // socketId -> lobbyId
+    this.decks = new Map();         // socketId -> { name, cards }; kept off the lobby so opponents never see the list
   }
 
   _generateId() {
@@ -21,8 +24,19 @@ export class LobbyManager {
       gameMode = 'Ascendant',
       hostColorPreference = 'white',
       timeControl = 'unlimited',
+      omniscientSpectators = false,
+      rated = false,
+      deck = null,
     } = payload || {};
 
+    if (!isValidTimeControl(timeControl)) {
+      throw new Error('Invalid time control');
+    }
+    if (rated && !socket.data?.profile) {
+      throw new Error('Sign in to host rated games');
+    }
+    const resolvedDeck = resolveDeck(deck);
+
     const id = this._generateId();
     const code = this._generateCode();
 
@@ -34,18 +48,77 @@ export class LobbyManager {
       gameMode,
       hostColorPreference,
       timeControl,
+      omniscientSpectators: Boolean(omniscientSpectators), // spectators see through Fog of War
+      rated: Boolean(rated), // Glicko-2 rated; needs an account on both seats
       hostId: socket.id,
       players: [socket.id],
+      playerProfiles: { [socket.id]: socket.data?.profile || null }, // socketId -> { playerId, displayName } | null
+      deckNames: {}, // socketId -> deck name; players without an entry draw from the open pool
       createdAt: Date.now(),
     };
 
     this.lobbies.set(id, lobby);
     this.socketToLobby.set(socket.id, id);
+    this.setDeck(lobby, socket.id, resolvedDeck);
     socket.join(id);
 
     return lobby;
   }
 
+  /**
+   * Private lobby for two players paired by the matchmaker; the caller starts the game.
+   * @param {Array<Object>} sockets - Both players' sockets
+   * @param {Object} settings - `{ gameMode, timeControl, rated }`
+   */
+  createMatchLobby(sockets, { gameMode, timeControl, rated = false }) {
+    const id = this._generateId();
+    const lobby = {
+      id,
+      name: rated ? 'Rated match' : 'Casual match',
+      code: this._generateCode(),
+      isPrivate: true,
+      gameMode,
+      hostColorPreference: 'random',
+      timeControl,
+      omniscientSpectators: false,
+      rated: Boolean(rated),
+      hostId: sockets[0].id,
+      players: sockets.map((socket) => socket.id),
+      playerProfiles: Object.fromEntries(sockets.map((socket) => [socket.id, socket.data?.profile || null])),
+      deckNames: {},
+      createdAt: Date.now(),
+    };
+
+    this.lobbies.set(id, lobby);
+    for (const socket of sockets) {
+      this.socketToLobby.set(socket.id, id);
+      socket.join(id);
+    }
+    return lobby;
+  }
+
+  /**
+   * Sets (or clears, with null) the deck a lobby player brings to the game.
+   * @param {Object} lobby
+   * @param {string} socketId
+   * @param {{ name: string, cards: string[] }|null} deck - Already resolved (see resolveDeck)
+   */
+  setDeck(lobby, socketId, deck) {
+    lobby.deckNames ||= {};
+    if (deck) {
+      this.decks.set(socketId, deck);
+      lobby.deckNames[socketId] = deck.name;
+    } else {
+      this.decks.delete(socketId);
+      delete lobby.deckNames[socketId];
+    }
+  }
+
+  /** @returns {{ name: string, cards: string[] }|null} */
+  getDeck(socketId) {
+    return this.decks.get(socketId) || null;
+  }
+
   _findLobbyByCode(code) {
     const upper = (code || '').toUpperCase().trim();
     for (const lobby of this.lobbies.values()) {
@@ -55,7 +128,7 @@ export class LobbyManager {
   }
 
   joinLobby(socket, payload) {
-    const { lobbyId, code } = payload || {};
+    const { lobbyId, code, deck = null } = payload || {};
 
     let lobby = null;
     if (lobbyId) {
@@ -72,15 +145,22 @@ export class LobbyManager {
       throw new Error('Incorrect lobby code for private lobby');
     }
 
-    // Enforce 2-player limit
+    // Enforce 2-player limit; extra sockets can spectate once the game starts
     if (lobby.players.length >= 2 && !lobby.players.includes(socket.id)) {
-      throw new Error('Lobby is full');
+      throw new Error('Lobby is full - spectate with the lobby code once the game starts');
+    }
+
+    if (lobby.rated && !socket.data?.profile) {
+      throw new Error('Sign in to join rated games');
     }
+    const resolvedDeck = resolveDeck(deck);
 
     if (!lobby.players.includes(socket.id)) {
       lobby.players.push(socket.id);
     }
+    lobby.playerProfiles = { ...lobby.playerProfiles, [socket.id]: socket.data?.profile || null };
     this.socketToLobby.set(socket.id, lobby.id);
+    this.setDeck(lobby, socket.id, resolvedDeck);
     socket.join(lobby.id);
 
     return lobby;
@@ -98,6 +178,8 @@ export class LobbyManager {
     // Remove this socket from lobby players
     const idx = lobby.players.indexOf(socketId);
     if (idx !== -1) lobby.players.splice(idx, 1);
+    if (lobby.playerProfiles) delete lobby.playerProfiles[socketId];
+    this.setDeck(lobby, socketId, null);
     // Unmap the leaving socket
     this.socketToLobby.delete(socketId);
 
@@ -162,6 +244,15 @@ export class LobbyManager {
 
     lobby.players = (lobby.players || []).map((pid) => (pid === oldSocketId ? newSocketId : pid));
     if (lobby.hostId === oldSocketId) lobby.hostId = newSocketId;
+    if (lobby.playerProfiles && oldSocketId in lobby.playerProfiles) {
+      lobby.playerProfiles[newSocketId] = lobby.playerProfiles[oldSocketId];
+      delete lobby.playerProfiles[oldSocketId];
+    }
+    const deck = this.getDeck(oldSocketId);
+    if (deck) {
+      this.setDeck(lobby, oldSocketId, null);
+      this.setDeck(lobby, newSocketId, deck);
+    }
 
     this.socketToLobby.delete(oldSocketId);
     this.socketToLobby.set(newSocketId, lobbyId);
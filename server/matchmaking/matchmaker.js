@@ -0,0 +1,161 @@
+import { GAME_MODE_OPTIONS } from '../../shared/gameModes.js';
+import { formatTimeControl, parseTimeControl } from '../../shared/timeControl.js';
+import { ratingBucketKey } from '../accounts/accountManager.js';
+import { DEFAULT_RATING } from '../ratings/glicko2.js';
+
+/**
+ * Matchmaking queue. Players queue with optional mode / time control filters ('any' matches
+ * anything) and are paired by rating: each entry accepts opponents within a window that
+ * starts narrow and widens the longer it waits. Both sides' windows must cover the gap, measured
+ * in the rating bucket of the game the pair would actually play. Time controls are compared in
+ * their canonical form, so `'blitz'`, `'10'` and `'10+0'` are the same queue.
+ *
+ * `tick()` is driven by a timer in index.js; matches are handed to `onMatch`, which
+ * creates the lobby and starts the game.
+ */
+
+const ANY = 'any';
+const DEFAULT_GAME_MODE = 'Ascendant';
+const DEFAULT_TIME_CONTROL = 'blitz';
+const INITIAL_WINDOW = 100;
+const WINDOW_GROWTH_PER_SECOND = 10;
+const MAX_WINDOW = 700;
+
+const GAME_MODE_IDS = new Set(GAME_MODE_OPTIONS.map((mode) => mode.id));
+
+// Canonical form of a queued time control ('unlimited' for no clock), or undefined when invalid.
+function normaliseTimeControl(timeControl) {
+  if (timeControl === ANY) return ANY;
+  const config = parseTimeControl(timeControl);
+  if (config === undefined) return undefined;
+  return formatTimeControl(config) ?? 'unlimited';
+}
+
+export class Matchmaker {
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.accounts] - AccountManager for ratings; guests rate 1500
+   * @param {Function} [options.onMatch] - Called with `{ players: [entry, entry], ratings: [number, number], gameMode, timeControl, rated }`
+   * @param {Function} [options.now] - Clock, replaceable in tests
+   */
+  constructor({ accounts = null, onMatch = () => {}, now = () => Date.now() } = {}) {
+    this.accounts = accounts;
+    this.onMatch = onMatch;
+    this.now = now;
+    this.queue = new Map(); // socketId -> entry, in join order
+  }
+
+  /**
+   * Puts a socket in the queue (replacing any earlier entry for it).
+   * @param {Object} socket
+   * @param {Object} [payload] - `{ gameMode, timeControl, rated }`
+   * @returns {Object} Queue status for the socket
+   */
+  enqueue(socket, payload) {
+    const { gameMode = ANY, timeControl: rawTimeControl = ANY, rated = false } = payload || {};
+    if (gameMode !== ANY && !GAME_MODE_IDS.has(gameMode)) throw new Error('Unknown game mode');
+    const timeControl = normaliseTimeControl(rawTimeControl);
+    if (timeControl === undefined) throw new Error('Invalid time control');
+    const profile = socket.data?.profile || null;
+    if (rated && !profile) throw new Error('Sign in to play rated games');
+
+    const entry = {
+      socketId: socket.id,
+      playerId: profile?.playerId || null,
+      displayName: profile?.displayName || null,
+      gameMode,
+      timeControl,
+      rated: Boolean(rated),
+      rating: DEFAULT_RATING,
+      joinedAt: this.now(),
+    };
+    // Shown while queueing; pairing uses the rating of the game actually settled on.
+    entry.rating = this._ratingIn(entry, this._settle(entry, entry));
+
+    this.queue.delete(socket.id);
+    this.queue.set(socket.id, entry);
+    return this.getStatus(socket.id);
+  }
+
+  /** Puts an entry back with its original join time, e.g. when its opponent vanished. */
+  requeue(entry) {
+    this.queue.set(entry.socketId, entry);
+  }
+
+  /** @returns {boolean} Whether the socket was queued */
+  dequeue(socketId) {
+    return this.queue.delete(socketId);
+  }
+
+  /** Rating gap an entry accepts right now. */
+  windowFor(entry, now = this.now()) {
+    const waitedSeconds = Math.max(0, now - entry.joinedAt) / 1000;
+    return Math.min(MAX_WINDOW, INITIAL_WINDOW + WINDOW_GROWTH_PER_SECOND * waitedSeconds);
+  }
+
+  getStatus(socketId, now = this.now()) {
+    const entry = this.queue.get(socketId);
+    if (!entry) return { queued: false };
+    return {
+      queued: true,
+      rated: entry.rated,
+      rating: entry.rating,
+      window: Math.round(this.windowFor(entry, now)),
+      waitedMs: now - entry.joinedAt,
+      queueSize: this.queue.size,
+    };
+  }
+
+  // Mode and time control a pair would play: a specific choice wins over 'any'.
+  _settle(a, b) {
+    const pick = (key, fallback) => [a[key], b[key]].find((value) => value !== ANY) || fallback;
+    return { gameMode: pick('gameMode', DEFAULT_GAME_MODE), timeControl: pick('timeControl', DEFAULT_TIME_CONTROL) };
+  }
+
+  _ratingIn(entry, { gameMode, timeControl }) {
+    if (!entry.playerId || !this.accounts) return DEFAULT_RATING;
+    return Math.round(this.accounts.getRating(entry.playerId, ratingBucketKey(gameMode, timeControl)).rating);
+  }
+
+  _compatible(a, b) {
+    if (a.rated !== b.rated) return false;
+    if (a.playerId && a.playerId === b.playerId) return false;
+    if (a.gameMode !== ANY && b.gameMode !== ANY && a.gameMode !== b.gameMode) return false;
+    if (a.timeControl !== ANY && b.timeControl !== ANY && a.timeControl !== b.timeControl) return false;
+    return true;
+  }
+
+  /**
+   * Pairs everyone who can be paired, longest-waiting first, each with the closest
+   * rating in range.
+   * @returns {Array<Object>} The matches made (also passed to `onMatch`)
+   */
+  tick(now = this.now()) {
+    const matches = [];
+    for (const entry of [...this.queue.values()]) {
+      if (!this.queue.has(entry.socketId)) continue;
+      let best = null;
+      for (const other of this.queue.values()) {
+        if (other === entry || !this._compatible(entry, other)) continue;
+        const settled = this._settle(entry, other);
+        const ratings = [this._ratingIn(entry, settled), this._ratingIn(other, settled)];
+        const gap = Math.abs(ratings[0] - ratings[1]);
+        if (gap > this.windowFor(entry, now) || gap > this.windowFor(other, now)) continue;
+        if (!best || gap < best.gap) best = { other, settled, ratings, gap };
+      }
+      if (!best) continue;
+
+      this.queue.delete(entry.socketId);
+      this.queue.delete(best.other.socketId);
+      const match = {
+        players: [entry, best.other],
+        ratings: best.ratings,
+        ...best.settled,
+        rated: entry.rated,
+      };
+      matches.push(match);
+      this.onMatch(match);
+    }
+    return matches;
+  }
+}
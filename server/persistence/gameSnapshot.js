@@ -0,0 +1,56 @@
+import { Chess } from 'chess.js';
+
+/**
+ * Converts live game state to and from plain JSON snapshots for the game store.
+ *
+ * The Chess instance is stored as its FEN. Keys starting with `_` (reentrancy guards,
+ * idempotency caches) and timer handles are runtime-only and never persisted.
+ */
+
+export const GAME_SNAPSHOT_VERSION = 1;
+
+function stripRuntimeFields(value) {
+  if (Array.isArray(value)) return value.map(stripRuntimeFields);
+  if (!value || typeof value !== 'object') return value;
+  const plain = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (key.startsWith('_') || key === 'timeoutId' || typeof entry === 'function') continue;
+    plain[key] = stripRuntimeFields(entry);
+  }
+  return plain;
+}
+
+/**
+ * Builds a JSON-serializable snapshot of a game.
+ * @param {Object} gameState - Live game state (with a Chess instance).
+ * @param {number} [now] - Snapshot timestamp.
+ * @returns {Object} Snapshot `{ version, savedAt, fen, state }`.
+ */
+export function createGameSnapshot(gameState, now = Date.now()) {
+  const { chess, ...rest } = gameState;
+  return {
+    version: GAME_SNAPSHOT_VERSION,
+    savedAt: now,
+    fen: chess.fen(),
+    state: stripRuntimeFields(rest),
+  };
+}
+
+/**
+ * Rebuilds a live game state from a snapshot.
+ * @param {Object} snapshot - Snapshot produced by createGameSnapshot.
+ * @param {Object} options
+ * @param {Function} options.loadFen - FEN loader tolerant of Arcana positions, `(chess, fen) => void`.
+ * @returns {Object} Game state with a fresh Chess instance.
+ */
+export function restoreGameSnapshot(snapshot, { loadFen }) {
+  if (!snapshot || snapshot.version !== GAME_SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported game snapshot version: ${snapshot?.version}`);
+  }
+  if (!snapshot.state?.id || typeof snapshot.fen !== 'string') {
+    throw new Error('Malformed game snapshot');
+  }
+  const chess = new Chess();
+  loadFen(chess, snapshot.fen);
+  return { ...snapshot.state, chess };
+}
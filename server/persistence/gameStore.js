@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Pluggable storage for game snapshots.
+ *
+ * Every store implements the same synchronous interface so GameManager can persist
+ * straight after an action without awaiting I/O:
+ *   save(snapshot)  - upsert a snapshot keyed by `snapshot.state.id`
+ *   remove(gameId)  - drop a game's snapshot
+ *   loadAll()       - every stored snapshot (used once on boot)
+ *
+ * Stores may also keep finished-game replays (see replay/replayLog.js):
+ *   saveReplay(replay)   - store the replay file keyed by `replay.gameId`
+ *   loadReplay(gameId)   - the stored replay, or null
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data', 'games');
+const SAFE_GAME_ID = /^[A-Za-z0-9_-]+$/;
+
+function assertSafeGameId(gameId) {
+  if (typeof gameId !== 'string' || !SAFE_GAME_ID.test(gameId)) {
+    throw new Error(`Invalid game id for storage: ${gameId}`);
+  }
+}
+
+/**
+ * One JSON file per game. Writes go to a temp file that is renamed over the
+ * target, so a crash mid-write never leaves a truncated snapshot behind.
+ */
+export class FileGameStore {
+  constructor(directory = DEFAULT_DATA_DIR) {
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  _pathFor(gameId) {
+    assertSafeGameId(gameId);
+    return path.join(this.directory, `${gameId}.json`);
+  }
+
+  _replayPathFor(gameId) {
+    assertSafeGameId(gameId);
+    return path.join(this.directory, 'replays', `${gameId}.json`);
+  }
+
+  _writeAtomic(target, value) {
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(value));
+    fs.renameSync(temp, target);
+  }
+
+  save(snapshot) {
+    this._writeAtomic(this._pathFor(snapshot.state.id), snapshot);
+  }
+
+  remove(gameId) {
+    fs.rmSync(this._pathFor(gameId), { force: true });
+  }
+
+  loadAll() {
+    const snapshots = [];
+    for (const name of fs.readdirSync(this.directory)) {
+      const fullPath = path.join(this.directory, name);
+      if (name.endsWith('.tmp')) {
+        // Leftover from a write interrupted by a crash; the previous snapshot is intact.
+        fs.rmSync(fullPath, { force: true });
+        continue;
+      }
+      if (!name.endsWith('.json')) continue;
+      try {
+        snapshots.push(JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+      } catch (err) {
+        console.warn('[WARN]', `Skipping unreadable game snapshot ${name}:`, err.message);
+      }
+    }
+    return snapshots;
+  }
+
+  saveReplay(replay) {
+    const target = this._replayPathFor(replay.gameId);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    this._writeAtomic(target, replay);
+  }
+
+  loadReplay(gameId) {
+    try {
+      return JSON.parse(fs.readFileSync(this._replayPathFor(gameId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+}
+
+/** Keeps snapshots in memory only; useful for tests and throwaway servers. */
+export class MemoryGameStore {
+  constructor() {
+    this.snapshots = new Map();
+    this.replays = new Map();
+  }
+
+  save(snapshot) {
+    this.snapshots.set(snapshot.state.id, JSON.parse(JSON.stringify(snapshot)));
+  }
+
+  remove(gameId) {
+    this.snapshots.delete(gameId);
+  }
+
+  loadAll() {
+    return Array.from(this.snapshots.values(), (snapshot) => JSON.parse(JSON.stringify(snapshot)));
+  }
+
+  saveReplay(replay) {
+    this.replays.set(replay.gameId, JSON.parse(JSON.stringify(replay)));
+  }
+
+  loadReplay(gameId) {
+    const replay = this.replays.get(gameId);
+    return replay ? JSON.parse(JSON.stringify(replay)) : null;
+  }
+}
+
+/**
+ * Creates the configured game store.
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'file' (default), 'memory' or 'none'. Defaults to ARCANA_GAME_STORE.
+ * @param {string} [options.directory] - Directory for the file store. Defaults to ARCANA_DATA_DIR/games.
+ * @returns {FileGameStore|MemoryGameStore|null} The store, or null when persistence is disabled.
+ */
+export function createGameStore({ driver = process.env.ARCANA_GAME_STORE || 'file', directory } = {}) {
+  switch (String(driver).toLowerCase()) {
+    case 'none':
+    case 'off':
+      return null;
+    case 'memory':
+      return new MemoryGameStore();
+    case 'file': {
+      const dataDir = directory || (process.env.ARCANA_DATA_DIR ? path.join(process.env.ARCANA_DATA_DIR, 'games') : DEFAULT_DATA_DIR);
+      return new FileGameStore(dataDir);
+    }
+    default:
+      throw new Error(`Unknown game store driver: ${driver}`);
+  }
+}
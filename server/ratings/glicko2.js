@@ -0,0 +1,121 @@
+/**
+ * Glicko-2 rating system (Glickman, "Example of the Glicko-2 system", 2013).
+ *
+ * Ratings are `{ rating, rd, vol }` on the familiar Glicko scale (1500 / 350). Every rated
+ * game is treated as its own rating period, as most online servers do.
+ */
+
+export const DEFAULT_RATING = 1500;
+export const DEFAULT_DEVIATION = 350;
+export const DEFAULT_VOLATILITY = 0.06;
+export const MIN_DEVIATION = 45;
+
+// System constant: how much volatility may change per period. 0.3-1.2 is sensible.
+const TAU = 0.5;
+const SCALE = 173.7178;
+const CONVERGENCE = 0.000001;
+
+/** Rating for a player with no rated games in a bucket. */
+export function createRating() {
+  return { rating: DEFAULT_RATING, rd: DEFAULT_DEVIATION, vol: DEFAULT_VOLATILITY, games: 0 };
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+// Step 5 of the paper: Illinois-method root finding for the new volatility.
+function nextVolatility(phi, vol, delta, v) {
+  const a = Math.log(vol * vol);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const num = ex * (delta * delta - phi * phi - v - ex);
+    const den = 2 * (phi * phi + v + ex) ** 2;
+    return num / den - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k += 1;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rates one player over a rating period.
+ * @param {{ rating: number, rd: number, vol: number }} player
+ * @param {Array<{ opponent: { rating: number, rd: number }, score: number }>} results - score 1 / 0.5 / 0
+ * @returns {{ rating: number, rd: number, vol: number }}
+ */
+export function ratePeriod(player, results) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+  const vol = player.vol ?? DEFAULT_VOLATILITY;
+
+  if (!results || results.length === 0) {
+    return { rating: player.rating, rd: Math.min(DEFAULT_DEVIATION, Math.sqrt(phi * phi + vol * vol) * SCALE), vol };
+  }
+
+  let vInverse = 0;
+  let deltaSum = 0;
+  for (const { opponent, score } of results) {
+    const muJ = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const gJ = g(opponent.rd / SCALE);
+    const e = expectedScore(mu, muJ, opponent.rd / SCALE);
+    vInverse += gJ * gJ * e * (1 - e);
+    deltaSum += gJ * (score - e);
+  }
+  const v = 1 / vInverse;
+  const delta = v * deltaSum;
+
+  const newVol = nextVolatility(phi, vol, delta, v);
+  const phiStar = Math.sqrt(phi * phi + newVol * newVol);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * deltaSum;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.max(MIN_DEVIATION, newPhi * SCALE),
+    vol: newVol,
+  };
+}
+
+/**
+ * Rates both sides of a single game.
+ * @param {Object} a - First player's rating
+ * @param {Object} b - Second player's rating
+ * @param {number} scoreA - 1 if `a` won, 0.5 for a draw, 0 if `a` lost
+ * @returns {[Object, Object]} New ratings for `a` and `b`, with `games` incremented
+ */
+export function rateGame(a, b, scoreA) {
+  const nextA = ratePeriod(a, [{ opponent: b, score: scoreA }]);
+  const nextB = ratePeriod(b, [{ opponent: a, score: 1 - scoreA }]);
+  return [
+    { ...nextA, games: (a.games || 0) + 1 },
+    { ...nextB, games: (b.games || 0) + 1 },
+  ];
+}
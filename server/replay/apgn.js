@@ -0,0 +1,295 @@
+import { Chess } from 'chess.js';
+
+/**
+ * APGN: PGN with Arcana annotations.
+ *
+ * Standard seven-tag roster plus `[Mode]`, `[Seed]`, `[TimeControl]` and `[Termination]`.
+ * Card actions are structured comments between moves so ordinary PGN viewers still read
+ * the movetext:
+ *
+ *   {%draw focus_fire}                      card drawn as the turn action (after `--`)
+ *   {%arcana execution e5}                  Arcana used; first bare square is `targetSquare`
+ *   {%arcana metamorphosis e4 newType=n}    other params as key=value (JSON for non-strings,
+ *                                           with `%`, braces and spaces percent-encoded)
+ *   {%peek 2}                               Peek Card selection (opponent card index)
+ *   {%move e2 e5}                           coordinates for a move SAN can't express
+ *                                           (Arcana-powered moves chess.js considers illegal)
+ *
+ * Turns that pass without a board move (draws, Time Freeze skips, turn-ending Arcana) and
+ * extra moves by the same side are padded with the null move `--` so move numbers stay right.
+ * The exporter works from a replay file (replay/replayLog.js); GameManager.importApgn
+ * rebuilds a game from parsed actions.
+ */
+
+const SQUARE_PATTERN = /^[a-h][1-8]$/;
+const SAN_PATTERN = /^(?:O-O(?:-O)?|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBN])?)[+#]?[!?]*$/;
+const RESULT_TOKENS = new Set(['1-0', '0-1', '1/2-1/2', '*']);
+
+function escapeTag(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '????.??.??';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+}
+
+function colorOf(playerColors, playerId) {
+  return playerColors?.[playerId] === 'black' ? 'b' : 'w';
+}
+
+function resultFromOutcome(outcome, playerColors) {
+  if (!outcome) return '*';
+  if (outcome.type === 'draw' || outcome.type === 'stalemate') return '1/2-1/2';
+  if (!outcome.winnerSocketId) return '*';
+  return colorOf(playerColors, outcome.winnerSocketId) === 'w' ? '1-0' : '0-1';
+}
+
+function isJson(raw) {
+  try {
+    JSON.parse(raw);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Bare strings where unambiguous, JSON otherwise; `%`, braces and whitespace are
+// percent-encoded so a value can never close the comment or split into two tokens.
+function formatParamValue(value) {
+  const raw = typeof value === 'string' && !isJson(value) ? value : JSON.stringify(value);
+  return raw.replace(/[%{}\s]/g, (ch) => encodeURIComponent(ch));
+}
+
+function formatArcanaComment(arcanaId, params = {}) {
+  const parts = [`%arcana ${arcanaId}`];
+  const { targetSquare, ...rest } = params || {};
+  if (typeof targetSquare === 'string' && SQUARE_PATTERN.test(targetSquare)) {
+    parts.push(targetSquare);
+  } else if (targetSquare !== undefined) {
+    rest.targetSquare = targetSquare;
+  }
+  for (const [key, value] of Object.entries(rest)) {
+    if (value === undefined) continue;
+    parts.push(`${key}=${formatParamValue(value)}`);
+  }
+  return `{${parts.join(' ')}}`;
+}
+
+// SAN alone is enough when chess.js finds exactly this move from the prior position.
+function sanIsReplayable(fenBefore, move) {
+  if (!fenBefore || !move?.san) return false;
+  try {
+    const chess = new Chess(fenBefore);
+    const bare = move.san.replace(/[+#!?]+$/, '');
+    const matches = chess.moves({ verbose: true }).filter((m) => m.san.replace(/[+#]+$/, '') === bare);
+    return matches.length === 1 && matches[0].from === move.from && matches[0].to === move.to;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serialises a finished game's replay file as APGN text.
+ * @param {Object} replay - Replay file from buildReplayFile.
+ * @returns {string} APGN document.
+ */
+export function exportApgn(replay) {
+  const initial = replay.initial || {};
+  const playerColors = replay.finalState?.playerColors || initial.playerColors || {};
+  const result = resultFromOutcome(replay.outcome, playerColors);
+  const playerName = (color) => {
+    const pid = Object.keys(playerColors).find((id) => playerColors[id] === color);
+    if (pid?.startsWith('AI-')) return 'AI';
+    return replay.finalState?.playerProfiles?.[pid]?.displayName || 'Player';
+  };
+
+  const tags = [
+    ['Event', 'Arcana Chess'],
+    ['Site', 'Arcana Chess'],
+    ['Date', formatDate(replay.startedAt)],
+    ['Round', '-'],
+    ['White', playerName('white')],
+    ['Black', playerName('black')],
+    ['Result', result],
+    ['Mode', initial.mode || 'Ascendant'],
+    ['Seed', initial.seed || '-'],
+    ['TimeControl', initial.timeControl || '-'],
+  ];
+  if (replay.outcome?.type) tags.push(['Termination', replay.outcome.type]);
+  if (replay.gameId) tags.push(['GameId', replay.gameId]);
+  const startFen = initial.fen || new Chess().fen();
+  if (startFen !== new Chess().fen()) {
+    tags.push(['SetUp', '1'], ['FEN', startFen]);
+  }
+
+  const tokens = [];
+  let fen = startFen;
+  let turn = fen.split(' ')[1] || 'w';
+  let moveNumber = Number(fen.split(' ')[5]) || 1;
+  let needsNumber = true;
+
+  // Writes one ply for `color`, padding with `--` when the other side's turn was passed over.
+  const pushPly = (color, token) => {
+    if (color !== turn) {
+      pushPly(turn, '--');
+    }
+    if (color === 'w') tokens.push(`${moveNumber}.`);
+    else if (needsNumber) tokens.push(`${moveNumber}...`);
+    tokens.push(token);
+    needsNumber = false;
+    if (color === 'b') moveNumber += 1;
+    turn = color === 'w' ? 'b' : 'w';
+  };
+  const pushComment = (text) => {
+    tokens.push(text);
+    needsNumber = true;
+  };
+
+  for (const entry of replay.actions || []) {
+    const color = colorOf(playerColors, entry.playerId);
+    switch (entry.type) {
+      case 'move': {
+        pushPly(color, entry.move.san || `${entry.move.from}${entry.move.to}`);
+        if (!sanIsReplayable(fen, entry.move)) {
+          pushComment(`{%move ${entry.move.from} ${entry.move.to}${entry.move.promotion ? ` ${entry.move.promotion}` : ''}}`);
+        }
+        break;
+      }
+      case 'draw':
+        pushPly(color, '--');
+        pushComment(`{%draw ${entry.card?.id}}`);
+        break;
+      case 'arcana':
+        pushComment(formatArcanaComment(entry.arcanaId, entry.params));
+        break;
+      case 'peek':
+        pushComment(`{%peek ${entry.cardIndex}}`);
+        break;
+      default:
+        break;
+    }
+    if (entry.fen) {
+      fen = entry.fen;
+      // Turn-ending Arcana and Time Freeze skips hand the move over without a board move.
+      const fenTurn = fen.split(' ')[1];
+      if (entry.type !== 'move' && entry.type !== 'draw' && fenTurn && fenTurn !== turn) {
+        pushPly(turn, '--');
+      }
+    }
+  }
+  tokens.push(result);
+
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > 80) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+
+  return `${tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`).join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+function parseParamValue(encoded) {
+  let raw = encoded;
+  try {
+    raw = decodeURIComponent(encoded);
+  } catch {
+    // Stray `%` in a hand-written file; keep the value as typed.
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function parseCommand(body) {
+  const parts = body.trim().split(/\s+/);
+  const command = parts.shift();
+  switch (command) {
+    case '%draw':
+      return { type: 'draw', arcanaId: parts[0] || null };
+    case '%peek':
+      return { type: 'peek', cardIndex: Number(parts[0]) };
+    case '%move':
+      return { type: 'coords', from: parts[0], to: parts[1], promotion: parts[2] || undefined };
+    case '%arcana': {
+      const arcanaId = parts.shift();
+      const params = {};
+      for (const part of parts) {
+        const eq = part.indexOf('=');
+        if (eq === -1 && SQUARE_PATTERN.test(part)) params.targetSquare = part;
+        else if (eq > 0) params[part.slice(0, eq)] = parseParamValue(part.slice(eq + 1));
+      }
+      return { type: 'arcana', arcanaId, params };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses APGN text into tags and an ordered action list.
+ * Actions: `{ type: 'move', san, from?, to?, promotion? }`, `{ type: 'draw', arcanaId }`,
+ * `{ type: 'arcana', arcanaId, params }` and `{ type: 'peek', cardIndex }`.
+ * Null moves are dropped; the engine knows when a turn passes.
+ * @param {string} text - APGN document.
+ * @returns {{ tags: Object, actions: Array<Object>, result: string }}
+ */
+export function parseApgn(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('APGN text is empty');
+  const tags = {};
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let index = 0;
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim()) {
+      if (Object.keys(tags).length) break;
+      continue;
+    }
+    const match = tagPattern.exec(line);
+    if (!match) break;
+    tags[match[1]] = match[2].replace(/\\(["\\])/g, '$1');
+  }
+
+  const movetext = lines.slice(index).join('\n');
+  const actions = [];
+  let result = '*';
+  const tokenPattern = /\{([^}]*)\}|;[^\n]*|(\S+)/g;
+  let match;
+  while ((match = tokenPattern.exec(movetext))) {
+    if (match[1] !== undefined) {
+      const command = parseCommand(match[1]);
+      if (!command) continue; // plain comment
+      if (command.type === 'coords') {
+        const last = actions[actions.length - 1];
+        if (!last || last.type !== 'move') throw new Error(`APGN {%move} must follow a move (near "${match[0]}")`);
+        Object.assign(last, { from: command.from, to: command.to, promotion: command.promotion });
+      } else {
+        actions.push(command);
+      }
+      continue;
+    }
+    const token = match[2];
+    if (!token || token.startsWith(';')) continue;
+    if (RESULT_TOKENS.has(token)) {
+      result = token;
+      continue;
+    }
+    const stripped = token.replace(/^\d+\.(\.\.)?/, '');
+    if (!stripped || stripped === '--' || /^\$\d+$/.test(stripped)) continue;
+    if (!SAN_PATTERN.test(stripped)) throw new Error(`Unrecognised APGN token "${token}"`);
+    actions.push({ type: 'move', san: stripped.replace(/[!?]+$/, '') });
+  }
+
+  return { tags, actions, result };
+}
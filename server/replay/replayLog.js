@@ -0,0 +1,289 @@
+import { ARCANA_DEFINITIONS } from '../../shared/arcanaDefinitions.js';
+
+/**
+ * Server-recorded replay log.
+ *
+ * Every applied action is appended to `gameState.replayLog.entries` in order, with the
+ * board FEN after the action. The log is plain JSON so it is persisted with the game
+ * snapshot, and `buildReplayFile` turns it into the versioned file ReplayOverlay loads.
+ *
+ * Entry types:
+ *   move            - board move ({ move: { from, to, san, captured, promotion, flags } })
+ *   draw            - card drawn as a turn action ({ card })
+ *   arcana          - Arcana card applied ({ arcanaId, instanceId, params, result }); result carries RNG outcomes
+ *   rng             - random outcome outside a card's own params ({ source, result })
+ *   cards_gained    - cards added to a hand by effects ({ cards, reason })
+ *   cards_lost      - cards removed from a hand without being played ({ cards })
+ *   peek            - Peek Card selection ({ cardIndex, card })
+ *   effects_expired - active effects that ended this ply ({ effects })
+ *   turn_skipped    - turn skipped by Time Freeze
+ *   takeback        - agreed takeback ({ plies }); the undone entries are removed from the log
+ *   game_end        - final outcome ({ outcome })
+ */
+
+export const REPLAY_FORMAT = 'arcana-chess-replay';
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Effects that are recomputed every ply rather than counting down; their churn is not an expiry.
+const DERIVED_EFFECT_KEYS = new Set([
+  'bishopsBlessing',
+  'bishopsBlessingSource',
+  'ironFortressShields',
+  'queensGambitUsed',
+  'timeFreezeArcanaLock',
+]);
+
+const ARCANA_BY_ID = new Map(ARCANA_DEFINITIONS.map((card) => [card.id, card]));
+
+function cloneSerializable(value) {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value));
+}
+
+function describeCard(card) {
+  if (!card) return null;
+  return { id: card.id, instanceId: card.instanceId ?? null };
+}
+
+/**
+ * Creates the replay log for a new game.
+ * @param {Object} initial
+ * @param {string} [initial.seed] - Game RNG seed; with the entries it reproduces the game.
+ * @param {string} initial.fen - Starting position.
+ * @param {Object} initial.playerColors - playerId -> 'white' | 'black'.
+ * @param {Object} initial.hands - playerId -> starting Arcana cards.
+ * @returns {Object} Replay log state.
+ */
+export function createReplayLog({ seed = null, fen, playerColors, hands = {}, mode = null, timeControl = null, now = Date.now() }) {
+  return {
+    startedAt: now,
+    initial: {
+      seed,
+      fen,
+      mode,
+      timeControl,
+      playerColors: { ...playerColors },
+      hands: Object.fromEntries(
+        Object.entries(hands).map(([pid, cards]) => [pid, (cards || []).map(describeCard)])
+      ),
+    },
+    entries: [],
+    outcome: null,
+  };
+}
+
+/**
+ * Appends an entry to the game's replay log. No-op for states without a log
+ * (dev tooling builds throwaway game states).
+ */
+export function recordReplayEvent(gameState, type, data = {}) {
+  const log = gameState?.replayLog;
+  if (!log) return null;
+  const entry = {
+    seq: log.entries.length,
+    ply: typeof gameState.plyCount === 'number' ? gameState.plyCount : 0,
+    at: Date.now(),
+    type,
+    ...cloneSerializable(data),
+    fen: gameState.chess?.fen?.() ?? null,
+  };
+  log.entries.push(entry);
+  return entry;
+}
+
+/**
+ * Records the outcome once; later calls (e.g. per-player notifications) are ignored.
+ */
+export function recordReplayOutcome(gameState, outcome) {
+  const log = gameState?.replayLog;
+  if (!log || log.outcome || !outcome) return;
+  log.outcome = cloneSerializable(outcome);
+  recordReplayEvent(gameState, 'game_end', { outcome });
+}
+
+/**
+ * Captures hand contents so a later `recordHandChanges` can log cards gained or lost
+ * through side effects (Focus Fire, ascension, sacrifices, steals).
+ */
+export function snapshotHands(gameState) {
+  const log = gameState?.replayLog;
+  if (!log) return null;
+  const hands = {};
+  for (const [pid, cards] of Object.entries(gameState.arcanaByPlayer || {})) {
+    hands[pid] = (cards || []).map(describeCard);
+  }
+  return { seq: log.entries.length, hands };
+}
+
+export function recordHandChanges(gameState, before, reason = 'effect') {
+  const log = gameState?.replayLog;
+  if (!log || !before) return;
+
+  // Cards already explained by draw/arcana/peek entries since the snapshot are not repeated.
+  const explained = new Set();
+  for (const entry of log.entries.slice(before.seq)) {
+    if (entry.card?.instanceId) explained.add(entry.card.instanceId);
+    if (entry.instanceId) explained.add(entry.instanceId);
+    for (const card of entry.cards || []) if (card?.instanceId) explained.add(card.instanceId);
+  }
+
+  const keyOf = (card) => card?.instanceId ?? card?.id;
+  for (const [pid, cards] of Object.entries(gameState.arcanaByPlayer || {})) {
+    const beforeCards = before.hands[pid] || [];
+    const afterCards = (cards || []).map(describeCard);
+    const beforeKeys = new Set(beforeCards.map(keyOf));
+    const afterKeys = new Set(afterCards.map(keyOf));
+
+    const gained = afterCards.filter((card) => !beforeKeys.has(keyOf(card)) && !explained.has(card.instanceId));
+    const lost = beforeCards.filter((card) => !afterKeys.has(keyOf(card)) && !explained.has(card.instanceId));
+    if (gained.length) recordReplayEvent(gameState, 'cards_gained', { playerId: pid, cards: gained, reason });
+    if (lost.length) recordReplayEvent(gameState, 'cards_lost', { playerId: pid, cards: lost });
+  }
+}
+
+/**
+ * Flattens active effects into stable ids (`fogOfWar.w`, `cursedSquares@e4`) so
+ * expirations can be detected by comparing two lists.
+ */
+export function listActiveEffects(activeEffects) {
+  const ids = [];
+  for (const [key, value] of Object.entries(activeEffects || {})) {
+    if (DERIVED_EFFECT_KEYS.has(key) || !value) continue;
+    if (Array.isArray(value)) {
+      value.forEach((item, idx) => ids.push(`${key}@${item?.square || idx}`));
+    } else if (typeof value === 'object' && ('w' in value || 'b' in value)) {
+      for (const color of ['w', 'b']) {
+        const entry = value[color];
+        if (entry && !(Array.isArray(entry) && entry.length === 0)) ids.push(`${key}.${color}`);
+      }
+    } else {
+      ids.push(key);
+    }
+  }
+  return ids;
+}
+
+export function recordExpiredEffects(gameState, beforeIds) {
+  if (!gameState?.replayLog || !Array.isArray(beforeIds)) return;
+  const after = new Set(listActiveEffects(gameState.activeEffects));
+  const expired = beforeIds.filter((id) => !after.has(id));
+  if (expired.length) recordReplayEvent(gameState, 'effects_expired', { effects: expired });
+}
+
+function cardSummary(card) {
+  const def = ARCANA_BY_ID.get(card?.id);
+  return { id: card?.id || 'unknown_arcana', instanceId: card?.instanceId ?? null, name: def?.name || card?.id || 'Arcana', rarity: def?.rarity || 'common' };
+}
+
+function colorLabel(playerColors, playerId) {
+  const color = playerColors?.[playerId];
+  return color ? `${color[0].toUpperCase()}${color.slice(1)}` : 'Player';
+}
+
+// Converts raw entries into the event vocabulary ReplayOverlay/GameScene already render.
+function toTimelineEvents(entry, playerColors, frameIndex) {
+  const who = colorLabel(playerColors, entry.playerId);
+  const base = { at: entry.at, playerId: entry.playerId || null, frameIndex, seq: entry.seq };
+  switch (entry.type) {
+    case 'move':
+      return [{ ...base, type: 'move', text: `${who} played ${entry.move?.san || `${entry.move?.from}-${entry.move?.to}`}`, captured: entry.move?.captured || null, move: entry.move }];
+    case 'draw': {
+      const card = cardSummary(entry.card);
+      return [{ ...base, type: 'arcana_drawn', text: `${who} drew ${card.name}`, arcana: card }];
+    }
+    case 'cards_gained':
+      return (entry.cards || []).map((raw) => {
+        const card = cardSummary(raw);
+        return { ...base, type: 'arcana_drawn', text: `${who} gained ${card.name}`, arcana: card, reason: entry.reason };
+      });
+    case 'cards_lost':
+      return (entry.cards || []).map((raw) => {
+        const card = cardSummary(raw);
+        return { ...base, type: 'arcana_used', text: `${who} lost ${card.name}`, arcana: card, lost: true };
+      });
+    case 'peek': {
+      const card = cardSummary(entry.card);
+      return [{ ...base, type: 'effect', text: `${who} peeked at ${card.name}`, arcana: card }];
+    }
+    case 'arcana': {
+      const card = cardSummary({ id: entry.arcanaId, instanceId: entry.instanceId });
+      return [{ ...base, type: 'arcana_used', text: `${who} used ${card.name}`, arcana: card, params: entry.result || entry.params || null }];
+    }
+    case 'effects_expired':
+      return [{ ...base, type: 'effect', text: `Expired: ${entry.effects.join(', ')}`, effects: entry.effects }];
+    case 'rng':
+      return [{ ...base, type: 'effect', text: `${entry.source}: ${JSON.stringify(entry.result)}`, source: entry.source, result: entry.result }];
+    case 'turn_skipped':
+      return [{ ...base, type: 'effect', text: `${who}'s turn was skipped (${entry.reason || 'Time Freeze'})` }];
+    case 'takeback':
+      return [{ ...base, type: 'effect', text: `${who} took back ${entry.plies === 1 ? '1 ply' : `${entry.plies} plies`}` }];
+    case 'game_end':
+      return [{ ...base, type: 'effect', text: `Game over: ${entry.outcome?.type || 'finished'}`, outcome: entry.outcome }];
+    default:
+      return [{ ...base, type: 'effect', text: entry.type }];
+  }
+}
+
+// Games that end inside the AI runtime never pass through gameEnded bookkeeping.
+function deriveOutcome(gameState) {
+  const chess = gameState.chess;
+  if (gameState.status === 'ongoing') return null;
+  if (chess.isCheckmate()) {
+    const loserColor = chess.turn() === 'w' ? 'white' : 'black';
+    const loserSocketId = Object.keys(gameState.playerColors || {}).find((pid) => gameState.playerColors[pid] === loserColor) || null;
+    const winnerSocketId = (gameState.playerIds || []).find((pid) => pid !== loserSocketId) || null;
+    return { type: 'checkmate', winnerSocketId, loserSocketId };
+  }
+  if (chess.isDraw() || chess.isStalemate()) return { type: 'draw' };
+  return null;
+}
+
+/**
+ * Builds the complete, versioned replay file for a game.
+ * Frames hold each distinct board position; events reference frames via `frameIndex`.
+ * @param {Object} gameState - Game state with a replay log.
+ * @returns {Object} Replay file.
+ */
+export function buildReplayFile(gameState, now = Date.now()) {
+  const log = gameState.replayLog;
+  if (!log) throw new Error('Game has no replay log');
+  const playerColors = gameState.playerColors || log.initial.playerColors;
+
+  const frames = [{ fen: log.initial.fen, at: log.startedAt, turn: log.initial.fen.split(' ')[1] || null, move: null }];
+  const events = [];
+  for (const entry of log.entries) {
+    if (entry.fen && entry.fen !== frames[frames.length - 1].fen) {
+      frames.push({
+        fen: entry.fen,
+        at: entry.at,
+        turn: entry.fen.split(' ')[1] || null,
+        move: entry.type === 'move' ? entry.move : null,
+      });
+    }
+    events.push(...toTimelineEvents(entry, playerColors, frames.length - 1));
+  }
+
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_FORMAT_VERSION,
+    source: 'server',
+    gameId: gameState.id,
+    exportedAt: new Date(now).toISOString(),
+    startedAt: new Date(log.startedAt).toISOString(),
+    mode: log.initial.mode,
+    timeControl: log.initial.timeControl,
+    outcome: log.outcome || deriveOutcome(gameState),
+    initial: log.initial,
+    finalState: {
+      fen: gameState.chess.fen(),
+      turn: gameState.chess.turn(),
+      status: gameState.status,
+      playerIds: [...(gameState.playerIds || [])],
+      playerColors: { ...playerColors },
+      playerProfiles: cloneSerializable(gameState.playerProfiles || {}),
+      arcanaByPlayer: cloneSerializable(gameState.arcanaByPlayer || {}),
+    },
+    timeline: { frames, events },
+    actions: cloneSerializable(log.entries),
+  };
+}
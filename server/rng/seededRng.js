@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+
+/**
+ * Per-game deterministic random numbers.
+ *
+ * Each game stores `gameState.rng = { seed, state }`; `state` is the four 32-bit words of an
+ * sfc32 generator, so the RNG is plain JSON and survives persistence unchanged. Every random
+ * decision in a game (card draws, Chaos Theory shuffles, poison victims, AI exploration) reads
+ * from `gameRandom(gameState)`, which makes a game reproducible from its seed and action log.
+ */
+
+/** Random hex seed for new games. */
+export function generateSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// cyrb128: spreads an arbitrary seed string over four 32-bit words.
+function hashSeed(seed) {
+  const str = String(seed);
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (let i = 0; i < str.length; i++) {
+    const k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= (h2 ^ h3 ^ h4);
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * Creates RNG state for a game.
+ * @param {string|number} [seed] - Seed; a random one is generated when omitted.
+ * @returns {{ seed: string, state: number[] }}
+ */
+export function createRngState(seed = generateSeed()) {
+  const rng = { seed: String(seed), state: hashSeed(seed) };
+  // Discard the first outputs; sfc32 needs a few rounds to mix a hashed state.
+  for (let i = 0; i < 12; i++) nextFloat(rng);
+  return rng;
+}
+
+/**
+ * Advances the generator and returns a float in [0, 1).
+ * @param {{ state: number[] }} rng - Mutable RNG state.
+ */
+export function nextFloat(rng) {
+  let [a, b, c, d] = rng.state;
+  const t = (((a + b) >>> 0) + d) >>> 0;
+  d = (d + 1) >>> 0;
+  a = b ^ (b >>> 9);
+  b = (c + (c << 3)) >>> 0;
+  c = ((c << 21) | (c >>> 11)) >>> 0;
+  c = (c + t) >>> 0;
+  rng.state = [a >>> 0, b, c, d];
+  return t / 4294967296;
+}
+
+/**
+ * Random source for a game, shaped like `Math.random`.
+ * States without an RNG (old snapshots, ad-hoc test states) fall back to `Math.random`.
+ * @param {Object} gameState
+ * @returns {Function} `() => number` in [0, 1)
+ */
+export function gameRandom(gameState) {
+  const rng = gameState?.rng;
+  if (!rng || !Array.isArray(rng.state)) return Math.random;
+  return () => nextFloat(rng);
+}
+
+/** Integer in [0, max). */
+export function randomInt(random, max) {
+  return Math.floor(random() * max);
+}
+
+/** Uniform pick from a non-empty array, or null. */
+export function randomPick(random, items) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+  return items[randomInt(random, items.length)];
+}
@@ -0,0 +1,54 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { migrateArcanaStudioCard } from '../../client/src/game/arcana/studio/arcanaStudioSchema.js';
+import { rebuildStudioOverridesIndex, writeStudioCardModule } from '../../shared/arcana/studio/studioFileWriter.js';
+import { recordStudioCardVersion } from '../../shared/arcana/studio/studioCardHistory.js';
+
+/**
+ * Saves Arcana Studio cards straight into shared/arcana/studio/cards, the same files
+ * `npm run studio:apply` writes, so a dev-mode Studio session needs no export/apply round trip.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+const SAFE_CARD_ID = /^[a-z0-9_]+$/;
+
+/**
+ * Checks a card posted by the Studio and brings it to the current card version.
+ * @param {Object} input - Studio card
+ * @returns {Object} The migrated card
+ */
+export function prepareStudioCard(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('A Studio card must be an object');
+  }
+  const id = String(input.id || '').trim();
+  if (!SAFE_CARD_ID.test(id)) {
+    throw new Error('Card ids use lowercase letters, digits and underscores only');
+  }
+  if (!input.tracks || typeof input.tracks !== 'object' || Array.isArray(input.tracks)) {
+    throw new Error(`Card ${id} has no tracks`);
+  }
+  const durationMs = Number(input.durationMs);
+  if (!Number.isFinite(durationMs) || durationMs <= 0) {
+    throw new Error(`Card ${id} needs a positive durationMs`);
+  }
+  return migrateArcanaStudioCard({ ...input, id }, id);
+}
+
+/**
+ * Writes a card module, rebuilds studioCutsceneOverrides.js and records the card's history.
+ * @param {Object} input - Studio card
+ * @param {Object} [options]
+ * @param {string} [options.repoRoot] - Checkout to write into (tests pass a temp directory)
+ * @param {string} [options.author] - Name kept in the card's history
+ * @returns {Promise<{ id: string, card: Object, filePath: string, version: number }>}
+ */
+export async function saveStudioCardToRepo(input, { repoRoot = REPO_ROOT, author = 'studio' } = {}) {
+  const card = prepareStudioCard(input);
+  const { filePath } = await writeStudioCardModule(repoRoot, card);
+  await rebuildStudioOverridesIndex(repoRoot);
+  const { version } = await recordStudioCardVersion(repoRoot, card, { author, source: 'studio' });
+  return { id: card.id, card, filePath, version };
+}
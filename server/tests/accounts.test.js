@@ -0,0 +1,225 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GameManager } from '../gameManager.js';
+import { AccountManager } from '../accounts/accountManager.js';
+import { FileAccountStore, MemoryAccountStore } from '../accounts/accountStore.js';
+import { exportApgn } from '../replay/apgn.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function expectError(fn, pattern, msg) {
+  let error = null;
+  try { fn(); } catch (err) { error = err; }
+  assert(error && pattern.test(error.message), `${msg} (got ${error?.message || 'no error'})`);
+}
+
+function createManager(accounts, sockets = {}) {
+  const emitted = [];
+  const io = {
+    to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+    sockets: { sockets: { get: (id) => sockets[id] } },
+  };
+  const lobbyManager = { lobbies: new Map(), socketToLobby: new Map() };
+  return { gm: new GameManager(io, lobbyManager, { accounts }), emitted };
+}
+
+console.log('\n--- Account Tests ---');
+
+await test('register, sign in and authenticate by token', () => {
+  const accounts = new AccountManager({ store: new MemoryAccountStore() });
+  const { profile, token } = accounts.register({ displayName: '  Magnus  C ', password: 'hunter22' });
+  assertEq(profile.displayName, 'Magnus C', 'name normalised:');
+  assert(/^p-[0-9a-f]{16}$/.test(profile.playerId), 'stable player id');
+  assertEq(accounts.authenticate(token)?.playerId, profile.playerId, 'token resolves:');
+  assertEq(accounts.authenticate('nope'), null, 'unknown token:');
+
+  expectError(() => accounts.register({ displayName: 'magnus c' }), /taken/, 'names are unique regardless of case');
+  expectError(() => accounts.register({ displayName: 'x' }), /3-20/, 'short names refused');
+  expectError(() => accounts.register({ displayName: 'Short Pass', password: '123' }), /at least/, 'short passwords refused');
+  expectError(() => accounts.login({ displayName: 'Magnus C', password: 'wrong-pass' }), /wrong password/, 'bad password refused');
+
+  const again = accounts.login({ displayName: 'MAGNUS C', password: 'hunter22' });
+  assertEq(again.profile.playerId, profile.playerId, 'login finds the account:');
+  accounts.logout(token);
+  assertEq(accounts.authenticate(token), null, 'logged-out token revoked:');
+  assertEq(accounts.authenticate(again.token)?.displayName, 'Magnus C', 'other sessions survive:');
+});
+
+await test('token-only accounts cannot be signed into by name', () => {
+  const accounts = new AccountManager();
+  const { token, profile } = accounts.register({ displayName: 'Guestly' });
+  assertEq(profile.hasPassword, false, 'no password:');
+  expectError(() => accounts.login({ displayName: 'Guestly', password: '' }), /wrong password/, 'no password to match');
+  accounts.setPassword(profile.playerId, { password: 'secret-1', token });
+  assertEq(accounts.login({ displayName: 'Guestly', password: 'secret-1' }).profile.hasPassword, true, 'password added:');
+  assert(accounts.authenticate(token), 'original token still valid');
+});
+
+await test('changing a password needs the current one and signs out other sessions', () => {
+  const accounts = new AccountManager();
+  const { token, profile } = accounts.register({ displayName: 'Careful', password: 'secret-1' });
+  const other = accounts.login({ displayName: 'Careful', password: 'secret-1' }).token;
+  expectError(() => accounts.setPassword(profile.playerId, { password: 'stolen-1', token: other }), /Current password/, 'missing current password');
+  expectError(() => accounts.setPassword(profile.playerId, { password: 'stolen-1', currentPassword: 'guess-1', token: other }), /Current password/, 'wrong current password');
+  assert(accounts.login({ displayName: 'Careful', password: 'secret-1' }), 'password unchanged after refusals');
+
+  accounts.setPassword(profile.playerId, { password: 'secret-2', currentPassword: 'secret-1', token });
+  assert(accounts.authenticate(token), 'session making the change stays signed in');
+  assertEq(accounts.authenticate(other), null, 'other sessions revoked:');
+  expectError(() => accounts.login({ displayName: 'Careful', password: 'secret-1' }), /wrong password/, 'old password refused');
+  assert(accounts.login({ displayName: 'Careful', password: 'secret-2' }), 'new password accepted');
+});
+
+await test('a password change keeps no session of another account', () => {
+  const accounts = new AccountManager();
+  const { token, profile } = accounts.register({ displayName: 'Owner', password: 'secret-1' });
+  const stranger = accounts.register({ displayName: 'Stranger' }).token;
+  accounts.setPassword(profile.playerId, { password: 'secret-2', currentPassword: 'secret-1', token: stranger });
+  assertEq(accounts.authenticate(token), null, 'own sessions revoked:');
+  assertEq(accounts.authenticate(stranger)?.displayName, 'Stranger', 'the other account is untouched:');
+  assertEq(accounts.accounts.get(profile.playerId).tokenHashes.length, 0, 'no session kept:');
+});
+
+await test('accounts and results survive a restart of the file store', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'arcana-accounts-'));
+  try {
+    const first = new AccountManager({ store: new FileAccountStore(directory) });
+    const { profile, token } = first.register({ displayName: 'Persisted', password: 'secret-1' });
+    first.recordGame({
+      gameId: 'g-1',
+      mode: 'Ascendant',
+      outcomeType: 'checkmate',
+      seats: [{ playerId: profile.playerId, color: 'white', result: 'win', opponent: 'Guest' }],
+    });
+    const stored = fs.readFileSync(path.join(directory, `${profile.playerId}.json`), 'utf8');
+    assert(!stored.includes(token), 'raw tokens are never written');
+    assert(!stored.includes('secret-1'), 'raw passwords are never written');
+
+    const second = new AccountManager({ store: new FileAccountStore(directory) });
+    assertEq(second.authenticate(token)?.playerId, profile.playerId, 'token still valid:');
+    assertEq(second.getProfile(profile.playerId).stats.Ascendant.wins, 1, 'stats kept:');
+    assertEq(second.login({ displayName: 'persisted', password: 'secret-1' }).profile.history[0].gameId, 'g-1', 'history kept:');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+await test('finished games update both players\' stats and reference player ids', async () => {
+  const accounts = new AccountManager();
+  const alice = accounts.register({ displayName: 'Alice' }).profile;
+  const bob = accounts.register({ displayName: 'Bob' }).profile;
+  const sockets = {
+    'sock-white': { data: { clientId: 'client-a', profile: { playerId: alice.playerId, displayName: 'Alice' } } },
+    'sock-black': { data: { clientId: 'client-b', profile: { playerId: bob.playerId, displayName: 'Bob' } } },
+  };
+  const { gm, emitted } = createManager(accounts, sockets);
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const started = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  assertEq(started.playerProfiles['sock-black'].displayName, 'Bob', 'profiles serialised:');
+  const gameState = gm.games.get(started.id);
+
+  // Fool's mate: black wins.
+  await gm.handlePlayerAction({ id: 'sock-white' }, { move: { from: 'f2', to: 'f3' } });
+  await gm.handlePlayerAction({ id: 'sock-black' }, { move: { from: 'e7', to: 'e5' } });
+  await gm.handlePlayerAction({ id: 'sock-white' }, { move: { from: 'g2', to: 'g4' } });
+  await gm.handlePlayerAction({ id: 'sock-black' }, { move: { from: 'd8', to: 'h4' } });
+  assertEq(gameState.status, 'finished', 'mated:');
+
+  const ended = emitted.find((e) => e.room === 'sock-white' && e.event === 'gameEnded');
+  assertEq(ended?.data.winnerPlayerId, bob.playerId, 'winner player id:');
+  assertEq(ended?.data.loserPlayerId, alice.playerId, 'loser player id:');
+
+  const aliceProfile = accounts.getProfile(alice.playerId);
+  assertEq(aliceProfile.stats.Ascendant.losses, 1, 'loss counted once:');
+  assertEq(aliceProfile.history.length, 1, 'one history entry:');
+  assertEq(aliceProfile.history[0].opponent, 'Bob', 'opponent named:');
+  assertEq(accounts.getProfile(bob.playerId).stats.Ascendant.wins, 1, 'win counted:');
+
+  const apgn = exportApgn(gm.getReplay(gameState.id));
+  assert(apgn.includes('[White "Alice"]') && apgn.includes('[Black "Bob"]'), 'APGN names the players');
+});
+
+await test('AI draws are recorded for the signed-in human only', async () => {
+  const accounts = new AccountManager();
+  const carol = accounts.register({ displayName: 'Carol' }).profile;
+  const { gm } = createManager(accounts);
+  const human = { id: 'human', data: { profile: { playerId: carol.playerId, displayName: 'Carol' } } };
+  await gm.startAIGame(human, { difficulty: 'Knight', timeControl: 'unlimited' });
+  const gameState = gm.games.get(gm.socketToGame.get('human'));
+  gameState.chess.load('4k3/8/8/8/3Q4/8/8/4K3 w - - 0 1');
+  await gm.handlePlayerAction(human, { actionType: 'offerDraw' });
+  assertEq(gameState.status, 'finished', 'drawn:');
+
+  const entry = accounts.getProfile(carol.playerId).history[0];
+  assertEq(entry.result, 'draw', 'result:');
+  assertEq(entry.outcomeType, 'agreement', 'outcome:');
+  assertEq(entry.opponent, 'AI (Knight)', 'opponent:');
+});
+
+await test('an AI checkmate is recorded for the signed-in human', async () => {
+  const accounts = new AccountManager();
+  const dave = accounts.register({ displayName: 'Dave' }).profile;
+  const { gm, emitted } = createManager(accounts);
+  const human = { id: 'human', data: { profile: { playerId: dave.playerId, displayName: 'Dave' } } };
+  await gm.startAIGame(human, { gameMode: 'Classic', difficulty: 'Monarch', playerColor: 'white', timeControl: 'unlimited' });
+  const gameState = gm.games.get(gm.socketToGame.get('human'));
+  // One move from fool's mate: after g4 the AI mates with Qh4.
+  gameState.chess.load('rnbqkbnr/pppp1ppp/8/4p3/8/5P2/PPPPP1PP/RNBQKBNR w KQkq - 0 2');
+  await gm.handlePlayerAction(human, { move: { from: 'g2', to: 'g4' } });
+  assert(gameState.chess.isCheckmate(), `mated, got ${gameState.chess.fen()}`);
+
+  const ended = emitted.find((e) => e.room === 'human' && e.event === 'gameEnded');
+  assertEq(ended?.data.type, 'checkmate', 'outcome:');
+  assertEq(ended?.data.loserPlayerId, dave.playerId, 'loser player id:');
+  assertEq(gameState.replayLog.outcome?.type, 'checkmate', 'replay outcome:');
+  const profile = accounts.getProfile(dave.playerId);
+  assertEq(profile.stats.Classic?.losses, 1, 'loss counted:');
+  assertEq(profile.history[0]?.result, 'loss', 'result:');
+  assertEq(profile.history[0]?.outcomeType, 'checkmate', 'history outcome:');
+  assertEq(profile.history[0]?.opponent, 'AI (Monarch)', 'opponent:');
+});
+
+await test('adjourned games can be resumed from another device by account', async () => {
+  const { gm } = createManager(null);
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    playerProfiles: {
+      'sock-white': { playerId: 'p-white', displayName: 'Whitney' },
+      'sock-black': { playerId: 'p-black', displayName: 'Blake' },
+    },
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const started = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  await gm.handlePlayerAction({ id: 'sock-white' }, { actionType: 'requestAdjourn' });
+  await gm.handlePlayerAction({ id: 'sock-black' }, { actionType: 'respondAdjourn', accept: true });
+
+  const laptop = { id: 'laptop', data: { clientId: 'new-device', profile: { playerId: 'p-black', displayName: 'Blake' } } };
+  const listed = gm.listAdjournedGames(laptop);
+  assertEq(listed[0]?.id, started.id, 'found by account:');
+  assertEq(listed[0]?.opponent, 'Whitney', 'opponent named:');
+  assertEq(gm.resumeAdjournedGame(laptop, { gameId: started.id }).waiting, true, 'seated:');
+  assertEq(gm.adjournedGames.get(started.id).playerProfiles.laptop?.playerId, 'p-black', 'profile follows the seat:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
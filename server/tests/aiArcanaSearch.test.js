@@ -0,0 +1,123 @@
+import { Chess } from 'chess.js';
+import { GameManager } from '../gameManager.js';
+import { AI_TURN_ENDING_CARDS, createAiCore } from '../ai/aiCore.js';
+import { ARCANA_DEFINITIONS } from '../../shared/arcanaDefinitions.js';
+import { safeLoadFen } from '../arcana/fenLoader.js';
+import { createRngState } from '../rng/seededRng.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() });
+}
+
+const core = createAiCore({ safeLoadFen });
+const MONARCH = { ...core.getAiDifficultyConfig('Monarch'), searchBudgetMs: 1500 };
+
+// Black (the AI) to move with the given hand.
+function aiPosition(fen, hand) {
+  return {
+    id: 'game-1',
+    chess: new Chess(fen),
+    mode: 'Ascendant',
+    ascended: true,
+    playerIds: ['human', 'AI-1'],
+    playerColors: { human: 'white', 'AI-1': 'black' },
+    arcanaByPlayer: { human: [], 'AI-1': hand },
+    usedArcanaIdsByPlayer: {},
+    usedArcanaInstanceIdsByPlayer: {},
+    capturedByColor: { w: [], b: [] },
+    pawnShields: { w: null, b: null },
+    activeEffects: { cursedSquares: [] },
+    moveHistory: [],
+  };
+}
+
+function searchWithCards(gameState) {
+  const hand = gameState.arcanaByPlayer['AI-1'];
+  return core.selectBestAiAction(gameState.chess, gameState, 'b', MONARCH, null, { arcana: { playerId: 'AI-1', hand } });
+}
+
+// The white queen on a1 is out of reach unless white misses a turn.
+const KNIGHT_HUNT = '6k1/8/8/2n5/8/8/8/Q6K b - - 0 1';
+
+console.log('\n--- AI Arcana Search Tests ---');
+
+await test('Execution is searched like a move and takes the queen', () => {
+  const gameState = aiPosition('6k1/8/8/8/3Q4/8/8/7K b - - 0 1', [{ id: 'execution', instanceId: 'card-1' }]);
+  const result = searchWithCards(gameState);
+  assertEq(result.arcana?.arcanaId, 'execution', 'card:');
+  assertEq(result.arcana.params.targetSquare, 'd4', 'target:');
+  assertEq(gameState.chess.get('d4')?.type, 'q', 'the live board is untouched:');
+  assertEq(gameState.arcanaByPlayer['AI-1'].length, 1, 'the live hand is untouched:');
+});
+
+await test('a frozen opponent lets the search move twice', () => {
+  const gameState = aiPosition(KNIGHT_HUNT, []);
+  gameState.activeEffects.timeFrozen = { w: true, b: false };
+  const result = core.selectBestAiMove(gameState.chess, gameState, 'b', MONARCH);
+  assertEq(result.move.san, 'Nb3', 'knight heads for the queen:');
+  assert(result.score > 0, `queen win seen, got ${result.score}`);
+});
+
+await test('Time Freeze is played for the tempo win', () => {
+  const result = searchWithCards(aiPosition(KNIGHT_HUNT, [{ id: 'time_freeze', instanceId: 'card-2' }]));
+  assertEq(result.arcana?.arcanaId, 'time_freeze', 'card:');
+});
+
+await test('cards the search cannot value are kept', () => {
+  const result = searchWithCards(aiPosition(KNIGHT_HUNT, [{ id: 'vision', instanceId: 'card-3' }]));
+  assertEq(result.arcana, null, 'no card:');
+  assert(result.move, 'a board move instead');
+});
+
+await test('card searches do not read the game RNG', () => {
+  const results = ['seed-a', 'seed-b'].map((seed) => {
+    const gameState = aiPosition(KNIGHT_HUNT, [{ id: 'chaos_theory', instanceId: 'card-4' }, { id: 'poison_touch', instanceId: 'card-5' }]);
+    gameState.rng = createRngState(seed);
+    const before = JSON.stringify(gameState.rng);
+    // Shallow enough to finish inside the budget, so timing cannot change the result.
+    const config = { ...MONARCH, depth: 2, searchBudgetMs: 60000, arcanaSearch: { ...MONARCH.arcanaSearch, depth: 2 } };
+    const result = core.selectBestAiAction(gameState.chess, gameState, 'b', config, null, { arcana: { playerId: 'AI-1', hand: gameState.arcanaByPlayer['AI-1'] } });
+    assertEq(JSON.stringify(gameState.rng), before, `${seed} RNG untouched:`);
+    return JSON.stringify({ arcana: result.arcana, move: result.move?.san, score: result.score });
+  });
+  assertEq(results[1], results[0], 'same result whatever the game will roll:');
+});
+
+await test('the search passes the turn only after cards that end it', () => {
+  for (const card of ARCANA_DEFINITIONS) {
+    assertEq(AI_TURN_ENDING_CARDS.has(card.id), card.endsTurn === true, `${card.id}:`);
+  }
+  assert(!AI_TURN_ENDING_CARDS.has('mind_control'), 'Mind Control allows a move');
+});
+
+await test('the AI plays searched cards in a live game', async () => {
+  const gm = createManager();
+  const human = { id: 'human-1', data: {} };
+  const state = await gm.startAIGame(human, {
+    gameMode: 'Ascendant', difficulty: 'Monarch', personality: { name: 'Card Player', base: 'Monarch', cardUse: 1 }, playerColor: 'white', timeControl: null,
+  });
+  const gameState = gm.games.get(state.id);
+  const aiId = gameState.playerIds.find((id) => id.startsWith('AI-'));
+  gameState.chess.load('6k1/8/8/8/3Q4/8/8/7K b - - 0 1');
+  gameState.ascended = true;
+  gameState.arcanaByPlayer[aiId] = [{ id: 'execution', instanceId: 'card-1' }];
+
+  await gm.performAIMove(gameState);
+  assertEq(gameState.chess.get('d4'), undefined, 'queen executed:');
+  assertEq(gameState.arcanaByPlayer[aiId].length, 0, 'card spent:');
+  assertEq(gameState.chess.turn(), 'w', 'Execution ended the turn:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
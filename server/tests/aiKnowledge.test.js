@@ -0,0 +1,115 @@
+import { Chess } from 'chess.js';
+import { GameManager } from '../gameManager.js';
+import { createAiCore, hasActiveArcanaEffects } from '../ai/aiCore.js';
+import { safeLoadFen } from '../arcana/fenLoader.js';
+import { getBookMoves, loadOpeningBook, parseOpeningBook, pickBookMove } from '../ai/openingBook.js';
+import { probeTablebase, rankTablebaseMoves } from '../ai/endgameTablebase.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() });
+}
+
+const core = createAiCore({ safeLoadFen });
+const MONARCH = core.getAiDifficultyConfig('Monarch');
+
+function quietState(chess) {
+  return {
+    chess,
+    mode: 'Classic',
+    ascended: false,
+    activeEffects: { cursedSquares: [], sanctuaries: [], timeFrozen: { w: false, b: false } },
+    pawnShields: { w: null, b: null },
+    moveHistory: [],
+  };
+}
+
+console.log('\n--- AI Opening Book and Tablebase Tests ---');
+
+await test('book lines add up across transpositions', () => {
+  const book = parseOpeningBook('# comment\n3 d4 Nf6 c4 e6\n1 c4 e6 d4 Nf6\nd4 d5\nnot a move\n');
+  assertEq(book.invalidLines.join(','), '5', 'invalid rows:');
+  const start = getBookMoves(book, new Chess()).map((move) => `${move.san}:${move.weight}`);
+  assertEq(start.join(' '), 'd4:4 c4:1', 'start position:');
+
+  const transposed = new Chess();
+  for (const san of ['c4', 'e6', 'd4']) transposed.move(san);
+  assertEq(getBookMoves(book, transposed)[0]?.san, 'Nf6', 'reached by move order c4 e6 d4:');
+});
+
+await test('book picks stay within the variety window and leave book cleanly', () => {
+  const book = parseOpeningBook('5 e4 e5\n3 d4 d5\n1 c4 e5\n');
+  const picks = new Set();
+  for (let i = 0; i < 20; i += 1) picks.add(pickBookMove(book, new Chess(), () => i / 20, 2).san);
+  assertEq([...picks].sort().join(','), 'd4,e4', 'top two only:');
+
+  const outOfBook = new Chess();
+  outOfBook.move('h4');
+  assertEq(pickBookMove(book, outOfBook, Math.random, 2), null, 'out of book:');
+});
+
+await test('the bundled book loads without errors', () => {
+  const book = loadOpeningBook();
+  assertEq(book.invalidLines.length, 0, 'invalid lines:');
+  assert(getBookMoves(book, new Chess()).some((move) => move.san === 'e4'), 'e4 is in book');
+});
+
+await test('tablebases know the basic endings', () => {
+  assertEq(JSON.stringify(probeTablebase(new Chess('8/8/8/4k3/8/8/8/R3K3 w - - 0 1'))), '{"wdl":1,"plies":27}', 'KRK:');
+  assertEq(probeTablebase(new Chess('8/8/8/4k3/8/8/8/Q3K3 b - - 0 1')).wdl, -1, 'KQK, lone king to move:');
+  assertEq(probeTablebase(new Chess('4k3/8/4K3/4P3/8/8/8/8 w - - 0 1')).wdl, 1, 'KPK with the opposition:');
+  assertEq(probeTablebase(new Chess('4k3/8/8/4K3/4P3/8/8/8 b - - 0 1')).wdl, 0, 'KPK, black holds:');
+  assertEq(probeTablebase(new Chess('8/8/8/8/4p3/4k3/8/4K3 w - - 0 1')).wdl, -1, 'mirrored black pawn:');
+  assertEq(probeTablebase(new Chess('4k3/8/8/8/8/8/3PP3/4K3 w - - 0 1')), null, 'uncovered material:');
+});
+
+await test('tablebase ranking finds the only winning pawn move', () => {
+  const chess = new Chess('4k3/8/4K3/4P3/8/8/8/8 w - - 0 1');
+  const known = rankTablebaseMoves(chess, chess.moves({ verbose: true }));
+  assertEq(known.wdl, 1, 'won:');
+  assertEq(known.moves.map((move) => move.san).join(','), 'Kd6', 'fastest win:');
+});
+
+await test('the AI mates with king and rook from the tablebase', () => {
+  const chess = new Chess('8/8/8/4k3/8/8/8/R3K3 w - - 0 1');
+  for (let ply = 0; ply < 40 && !chess.isGameOver(); ply += 1) {
+    const result = core.selectBestAiMove(chess, quietState(chess), chess.turn(), MONARCH);
+    assertEq(result.depth, 0, 'answered from the tablebase:');
+    chess.move({ from: result.move.from, to: result.move.to, promotion: result.move.promotion });
+  }
+  assert(chess.isCheckmate(), `mate reached, got ${chess.fen()}`);
+  assertEq(chess.turn(), 'b', 'black is mated:');
+});
+
+await test('card effects switch the tablebase off', () => {
+  const chess = new Chess('8/8/8/4k3/8/8/8/R3K3 w - - 0 1');
+  const gameState = quietState(chess);
+  assertEq(hasActiveArcanaEffects(gameState), false, 'quiet:');
+  gameState.activeEffects.sanctuaries.push({ square: 'e4', turns: 2 });
+  assertEq(hasActiveArcanaEffects(gameState), true, 'sanctuary:');
+  const result = core.selectBestAiMove(chess, gameState, 'w', { ...MONARCH, depth: 1 });
+  assertEq(result.depth, 1, 'searched instead:');
+});
+
+await test('a Classic AI opens from the book', async () => {
+  const book = loadOpeningBook();
+  const bookSans = new Set(getBookMoves(book, new Chess()).map((move) => move.san));
+  for (const difficulty of ['Scholar', 'Monarch']) {
+    const gm = createManager();
+    const state = await gm.startAIGame({ id: `human-${difficulty}`, data: {} }, { gameMode: 'Classic', difficulty, playerColor: 'black', timeControl: null });
+    assert(bookSans.has(state.lastMove?.san), `${difficulty} played ${state.lastMove?.san}`);
+  }
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Chess } from 'chess.js';
+import { GameManager } from '../gameManager.js';
+import { createAiCore } from '../ai/aiCore.js';
+import { safeLoadFen } from '../arcana/fenLoader.js';
+import { AiPersonalityManager } from '../ai/personalityManager.js';
+import { FilePersonalityStore, MemoryPersonalityStore } from '../ai/personalityStore.js';
+import { getBuiltInAiPersonality, validateAiPersonality } from '../../shared/aiPersonalities.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+function assertThrows(fn, pattern, msg = '') {
+  try { fn(); } catch (e) {
+    if (!pattern.test(e.message)) throw new Error(`${msg} wrong error: ${e.message}`);
+    return;
+  }
+  throw new Error(`${msg} expected an error`);
+}
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager(personalities) {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() }, { personalities });
+}
+
+const core = createAiCore({ safeLoadFen });
+const CUSTOM = {
+  name: 'Pawn Pusher',
+  base: 'Scholar',
+  depth: 3,
+  cardUse: 0.5,
+  preferredCategories: ['movement', 'movement'],
+  weights: { pawnStructure: 2 },
+};
+
+console.log('\n--- AI Personality Tests ---');
+
+await test('validation rejects bad fields', () => {
+  assert(validateAiPersonality(CUSTOM).valid, 'custom personality is valid');
+  const { valid, errors } = validateAiPersonality({ name: '', base: 'Grandmaster', depth: 12, preferredCategories: ['chaos'], weights: { luck: 1 } });
+  assertEq(valid, false, 'valid:');
+  assertEq(errors.length, 5, `errors (${errors.join('; ')}):`);
+});
+
+await test('personalities round-trip through the file and memory stores', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'arcana-personalities-'));
+  try {
+    for (const store of [new FilePersonalityStore(directory), new MemoryPersonalityStore()]) {
+      const saved = new AiPersonalityManager({ store }).save('player-1', CUSTOM);
+      const reloaded = new AiPersonalityManager({ store });
+      assertEq(reloaded.resolve(saved.id).name, 'Pawn Pusher', `${store.constructor.name} name:`);
+      assertEq(reloaded.resolve(saved.id).preferredCategories.join(','), 'movement', 'deduplicated categories:');
+      reloaded.remove('player-1', saved.id);
+      assertEq(store.loadAll().length, 0, `${store.constructor.name} after remove:`);
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+await test('players only see and change their own personalities', () => {
+  const manager = new AiPersonalityManager();
+  assertThrows(() => manager.save(null, CUSTOM), /Sign in/, 'guest save:');
+  const saved = manager.save('player-1', CUSTOM);
+  assert(saved.id.startsWith('custom-'), `server-assigned id, got ${saved.id}`);
+
+  assertEq(manager.list('player-1').map((p) => p.id).join(','), `hoarder,gambler,defensive,${saved.id}`, 'owner list:');
+  assertEq(manager.list('player-2').length, 3, 'other player sees built-ins only:');
+  assertThrows(() => manager.remove('player-2', saved.id), /No such personality/, 'foreign remove:');
+
+  const copy = manager.save('player-2', { ...CUSTOM, id: saved.id, name: 'Copy' });
+  assert(copy.id !== saved.id, 'saving under a foreign id creates a new personality');
+  assertEq(manager.resolve(saved.id).name, 'Pawn Pusher', 'original untouched:');
+  assertEq(manager.resolve('hoarder').name, 'Hoarder', 'built-in by id:');
+  assertEq(manager.resolve({ ...CUSTOM, id: 'hoarder' }).id, null, 'inline personalities have no id:');
+  assertThrows(() => manager.resolve('missing'), /Unknown AI personality/, 'unknown id:');
+});
+
+await test('personalities override their base level settings', () => {
+  const knight = core.getAiDifficultyConfig('Knight');
+  const hoarder = core.getAiDifficultyConfig('Monarch', getBuiltInAiPersonality('hoarder'));
+  assertEq(hoarder.depth, knight.depth, 'depth comes from the Knight base:');
+  assertEq(hoarder.useChance, 0.15, 'card use:');
+  assertEq(hoarder.arcanaSearch.margin, 160, 'card margin:');
+  assertEq(hoarder.arcanaSearch.depth, knight.arcanaSearch.depth, 'untouched arcana search settings:');
+  assertEq(hoarder.preferredCategories.join(','), 'offense', 'categories:');
+
+  const custom = core.getAiDifficultyConfig('Knight', CUSTOM);
+  assertEq(custom.depth, 3, 'custom depth:');
+  assertEq(`${custom.evalWeights.material}/${custom.evalWeights.pawnStructure}`, '1/2', 'weights fill from defaults:');
+});
+
+await test('evaluation weights change how the AI judges a position', () => {
+  // White is a queen up; with material at half weight that no longer outweighs a draw.
+  const chess = new Chess('rnb1kbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+  const gameState = {
+    chess,
+    mode: 'Classic',
+    activeEffects: { cursedSquares: [], sanctuaries: [], timeFrozen: { w: false, b: false } },
+    pawnShields: { w: null, b: null },
+    moveHistory: [],
+  };
+  const materialistic = core.getAiDifficultyConfig('Knight');
+  const careless = core.getAiDifficultyConfig('Knight', { name: 'Careless', base: 'Knight', weights: { material: 0.5 } });
+  assertEq(core.shouldAiAcceptDraw(chess, gameState, 'w', materialistic), false, 'default weights:');
+  assertEq(core.shouldAiAcceptDraw(chess, gameState, 'w', careless), true, 'half material weight:');
+});
+
+await test('an AI game takes its level and name from the personality', async () => {
+  const gm = createManager(new AiPersonalityManager());
+  await gm.startAIGame({ id: 'human-1', data: {} }, {
+    gameMode: 'Classic', difficulty: 'Monarch', personality: 'defensive', playerColor: 'white', timeControl: null,
+  });
+  const gameState = gm.games.get(gm.socketToGame.get('human-1'));
+  assertEq(gameState.aiDifficulty, 'Knight', 'difficulty:');
+  assertEq(gameState.aiPersonality.name, 'Defensive', 'stored personality:');
+
+  let error = null;
+  await gm.startAIGame({ id: 'human-2', data: {} }, { gameMode: 'Classic', personality: { name: 'Broken', base: 'Knight', depth: 99 } })
+    .catch((err) => { error = err; });
+  assert(/depth must be between/.test(error?.message), `invalid inline personality rejected, got ${error?.message}`);
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
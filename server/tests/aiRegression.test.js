@@ -1,5 +1,8 @@
 import { GameManager } from '../gameManager.js';
 
+// Monarch considers a card on 60% of its turns; scenarios that expect a card always consider one.
+const ALWAYS_PLAYS_CARDS = { name: 'Card Player', base: 'Monarch', cardUse: 1 };
+
 function createManager() {
   const io = {
     to: () => ({ emit: () => {} }),
@@ -38,6 +41,71 @@ async function runScenario({ name, fen, difficulty = 'Monarch', expectedSans = n
   };
 }
 
+// Arcana Overflow deals the AI its whole hand up front: it should play from it and never draw.
+async function runOverflowScenario({ name, fen, difficulty = 'Monarch', expectCard = false }) {
+  const personality = expectCard ? ALWAYS_PLAYS_CARDS : null;
+  const gm = createManager();
+  const state = await gm.startAIGame(
+    { id: `human-${name}` },
+    { gameMode: 'ArcanaOverflow', difficulty, personality, playerColor: 'white', timeControl: 5 },
+  );
+
+  const gameState = gm.games.get(state.id);
+  const aiId = gameState.playerIds.find((id) => id.startsWith('AI-'));
+  gameState.chess.load(fen);
+  gameState.currentTurnSocket = aiId;
+
+  const handBefore = gameState.arcanaByPlayer[aiId].length;
+  const fenBefore = gameState.chess.fen();
+  await gm.performAIMove(gameState);
+  const handAfter = gameState.arcanaByPlayer[aiId].length;
+
+  const cardsUsed = handBefore - handAfter;
+  const acted = gameState.chess.fen() !== fenBefore;
+  const drawOk = handAfter <= handBefore;
+  const expectedOk = !expectCard || cardsUsed === 1;
+
+  return {
+    name,
+    difficulty,
+    handBefore,
+    cardsUsed,
+    acted,
+    legalOk: acted && drawOk,
+    expectedOk,
+  };
+}
+
+// Cards the search skips (information and hand cycling) are still played on the intent heuristic.
+async function runUnsearchedCardScenario({ name, fen, card, difficulty = 'Monarch' }) {
+  const gm = createManager();
+  const state = await gm.startAIGame(
+    { id: `human-${name}` },
+    { gameMode: 'Ascendant', difficulty, personality: ALWAYS_PLAYS_CARDS, playerColor: 'white', timeControl: 5 },
+  );
+
+  const gameState = gm.games.get(state.id);
+  const aiId = gameState.playerIds.find((id) => id.startsWith('AI-'));
+  gameState.chess.load(fen);
+  gameState.currentTurnSocket = aiId;
+  gameState.ascended = true;
+  gameState.arcanaByPlayer[aiId] = [{ id: card, instanceId: `${card}-1` }];
+  gameState.lastDrawTurn = { ...(gameState.lastDrawTurn || {}), [aiId]: gameState.plyCount || 0 };
+
+  await gm.performAIMove(gameState);
+  const hand = gameState.arcanaByPlayer[aiId];
+  const played = !hand.some((entry) => entry.instanceId === `${card}-1`);
+
+  return {
+    name,
+    difficulty,
+    card,
+    handAfter: hand.length,
+    legalOk: gameState.status === 'ongoing',
+    expectedOk: played,
+  };
+}
+
 async function runDistributionCheck() {
   const samples = 10;
   const out = {};
@@ -92,6 +160,28 @@ async function main() {
     scenarioResults.push(await runScenario(scenario));
   }
 
+  const overflowScenarios = [
+    {
+      name: 'overflow-hanging-queen',
+      fen: '6k1/8/8/8/3Q4/8/8/7K b - - 0 1',
+      expectCard: true,
+    },
+    {
+      name: 'overflow-opening-no-draw',
+      fen: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1',
+      difficulty: 'Scholar',
+    },
+  ];
+  for (const scenario of overflowScenarios) {
+    scenarioResults.push(await runOverflowScenario(scenario));
+  }
+
+  scenarioResults.push(await runUnsearchedCardScenario({
+    name: 'pot-of-greed-last-card',
+    fen: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1',
+    card: 'pot_of_greed',
+  }));
+
   const distribution = await runDistributionCheck();
 
   const scenarioFailures = scenarioResults.filter((r) => !r.legalOk || !r.expectedOk);
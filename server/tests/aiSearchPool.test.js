@@ -0,0 +1,142 @@
+import { Chess } from 'chess.js';
+import { GameManager } from '../gameManager.js';
+import { AiSearchPool, getAiSearchBudgetMs, getAiSearchStopMs } from '../ai/searchPool.js';
+import { toSearchPayload } from '../ai/searchPayload.js';
+import { createRngState, gameRandom } from '../rng/seededRng.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() });
+}
+
+const MONARCH = { depth: 6, searchBudgetMs: 2600, nullMovePruning: true };
+
+function payloadFor(fen, config = MONARCH, budgetMs = config.searchBudgetMs) {
+  const chess = new Chess(fen);
+  const gameState = {
+    chess,
+    mode: 'Ascendant',
+    ascended: true,
+    playerColors: { human: 'white', 'AI-1': 'black' },
+    arcanaByPlayer: { human: [{ id: 'execution', instanceId: 'c-1' }], 'AI-1': [] },
+    pawnShields: { w: null, b: null },
+    activeEffects: { cursedSquares: [] },
+    moveHistory: [],
+  };
+  return toSearchPayload(gameState, chess.turn(), config, chess.moves({ verbose: true }), budgetMs);
+}
+
+const MIDDLEGAME = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4';
+// Out of the opening book, so a live AI has to search it.
+const OUT_OF_BOOK = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/2NP1N2/PPP2PPP/R1BQK2R w KQkq - 0 5';
+
+console.log('\n--- AI Search Pool Tests ---');
+
+await test('payloads survive structured cloning and hide card details', () => {
+  const payload = payloadFor(MIDDLEGAME);
+  const cloned = structuredClone(payload);
+  assertEq(cloned.fen, MIDDLEGAME, 'fen:');
+  assertEq(cloned.rootMoves.length, new Chess(MIDDLEGAME).moves().length, 'root moves:');
+  assertEq(JSON.stringify(cloned.context.arcanaByPlayer.human), '[{"id":"execution"}]', 'card ids only:');
+});
+
+await test('payloads leave the game RNG behind', () => {
+  const chess = new Chess(MIDDLEGAME);
+  const gameState = { chess, arcanaByPlayer: {}, activeEffects: {}, rng: createRngState('search-seed') };
+  const payload = structuredClone(toSearchPayload(gameState, 'w', MONARCH, [], 100));
+  assertEq(payload.context.rng, undefined, 'no RNG state:');
+  assertEq(gameRandom(gameState)(), gameRandom({ rng: createRngState('search-seed') })(), 'the game RNG is not advanced:');
+});
+
+await test('a dealt hand is sent with one copy of each card', () => {
+  const chess = new Chess(MIDDLEGAME);
+  const hand = Array.from({ length: 300 }, (_, i) => ({ id: ['execution', 'time_freeze', 'vision'][i % 3], instanceId: `c-${i}`, name: 'Card' }));
+  const gameState = { chess, arcanaByPlayer: { 'AI-1': hand }, activeEffects: {} };
+  const payload = toSearchPayload(gameState, 'w', MONARCH, [], 100, { playerId: 'AI-1', hand });
+  assertEq(payload.arcana.hand.map((card) => card.instanceId).join(','), 'c-0,c-1,c-2', 'first copies:');
+  assertEq(payload.arcana.handSize, 300, 'hand size:');
+  assertEq(payload.context.arcanaByPlayer['AI-1'].length, 300, 'the simulated hand keeps its size:');
+  assertEq(JSON.stringify(payload.context.arcanaByPlayer['AI-1'][0]), '{"id":"execution","instanceId":"c-0"}', 'ids only:');
+});
+
+await test('worker searches find a mate in one', async () => {
+  const pool = new AiSearchPool({ size: 1 });
+  const result = await pool.search('game-1', payloadFor('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1'));
+  await pool.close();
+  assertEq(result.cancelled, false, 'cancelled:');
+  assertEq(`${result.move.from}${result.move.to}`, 'a1a8', 'mate:');
+  assert(result.depth >= 1, 'at least one iteration completed');
+});
+
+await test('stopping returns the deepest completed iteration early', async () => {
+  const pool = new AiSearchPool({ size: 1 });
+  const startedAt = Date.now();
+  const searching = pool.search('game-1', payloadFor(MIDDLEGAME, { ...MONARCH, depth: 12, searchBudgetMs: 20000 }, 20000));
+  setTimeout(() => pool.stopGame('game-1'), 1500);
+  const result = await searching;
+  await pool.close();
+  assert(Date.now() - startedAt < 8000, 'stopped well before the budget');
+  assert(result.move, 'a move was kept');
+  assert(result.depth >= 1 && result.depth < 12, `partial depth, got ${result.depth}`);
+});
+
+await test('a queued search gets its whole budget once a worker starts it', async () => {
+  const pool = new AiSearchPool({ size: 1 });
+  const first = pool.search('game-1', payloadFor(MIDDLEGAME, { ...MONARCH, depth: 12, searchBudgetMs: 1500 }, 1500));
+  const queued = pool.search('game-2', payloadFor('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', MONARCH, 1000));
+  await first;
+  const result = await queued;
+  await pool.close();
+  assertEq(`${result.move.from}${result.move.to}`, 'a1a8', 'mate found after waiting:');
+  assert(result.depth >= 1, 'at least one iteration completed');
+});
+
+await test('games run one search at a time and cancel queued work', async () => {
+  const pool = new AiSearchPool({ size: 2, perGameLimit: 1 });
+  const slow = { ...MONARCH, depth: 12, searchBudgetMs: 20000 };
+  const first = pool.search('game-1', payloadFor(MIDDLEGAME, slow, 20000));
+  const second = pool.search('game-1', payloadFor(MIDDLEGAME, slow, 20000));
+  assertEq(pool.activeSearches('game-1'), 1, 'per-game limit:');
+
+  pool.cancelGame('game-1');
+  const [a, b] = await Promise.all([first, second]);
+  assert(a.cancelled && b.cancelled, 'both cancelled');
+  assertEq(a.move, null, 'no move from a cancelled search:');
+  await pool.close();
+});
+
+await test('budgets and stops shrink with the clock', () => {
+  assertEq(getAiSearchBudgetMs(MONARCH, null), 2600, 'untimed:');
+  assertEq(getAiSearchBudgetMs(MONARCH, 600000), 2600, 'plenty of time:');
+  assertEq(getAiSearchBudgetMs(MONARCH, 10000), 500, 'low clock:');
+  assertEq(getAiSearchBudgetMs(MONARCH, 100), 50, 'floor:');
+  assertEq(getAiSearchStopMs(10000), 5000, 'stopped with half the clock left:');
+  assertEq(getAiSearchStopMs(20), 50, 'stop floor:');
+});
+
+await test('a forfeit mid-search leaves the board untouched', async () => {
+  const gm = createManager();
+  const human = { id: 'human-1', data: {} };
+  const state = await gm.startAIGame(human, { gameMode: 'Classic', difficulty: 'Monarch', playerColor: 'black', timeControl: null });
+  const gameState = gm.games.get(state.id);
+  gameState.chess.load(OUT_OF_BOOK);
+  const fenBefore = gameState.chess.fen();
+
+  const thinking = gm.performAIMove(gameState);
+  gm.forfeitGame(human, {});
+  await thinking;
+  assertEq(gameState.chess.fen(), fenBefore, 'no move after the forfeit:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,149 @@
+import { GameManager } from '../gameManager.js';
+import { exportApgn, parseApgn } from '../replay/apgn.js';
+import { createRngState } from '../rng/seededRng.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  const lobbyManager = { lobbies: new Map(), socketToLobby: new Map() };
+  return new GameManager(io, lobbyManager);
+}
+
+function startSeededGame(gm, seed) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  const gameState = gm.games.get(state.id);
+  gameState.rng = createRngState(seed);
+  gameState.replayLog.initial.seed = seed;
+  return gameState;
+}
+
+const white = { id: 'sock-white' };
+const black = { id: 'sock-black' };
+
+async function settle(gm, gameState) {
+  if (gameState.pendingReveal?.timeoutId) clearTimeout(gameState.pendingReveal.timeoutId);
+  if (gameState.pendingReveal) await gm._finalizeReveal(gameState);
+}
+
+// A fool's mate with card draws woven in; the capture on c5 ascends the game.
+async function playCardGame(gm, gameState) {
+  await gm.handlePlayerAction(white, { move: { from: 'b2', to: 'b4' } });
+  await gm.handlePlayerAction(black, { move: { from: 'c7', to: 'c5' } });
+  await gm.handlePlayerAction(white, { move: { from: 'b4', to: 'c5' } });
+  await settle(gm, gameState);
+  await gm.handlePlayerAction(black, { actionType: 'drawArcana' });
+  await settle(gm, gameState);
+  await gm.handlePlayerAction(white, { actionType: 'drawArcana' });
+  await settle(gm, gameState);
+  await gm.handlePlayerAction(black, { move: { from: 'e7', to: 'e5' } });
+  await gm.handlePlayerAction(white, { move: { from: 'f2', to: 'f3' } });
+  await gm.handlePlayerAction(black, { move: { from: 'b8', to: 'c6' } });
+  await gm.handlePlayerAction(white, { move: { from: 'g2', to: 'g4' } });
+  await gm.handlePlayerAction(black, { move: { from: 'd8', to: 'h4' } });
+}
+
+console.log('\n--- APGN Tests ---');
+
+await test('export writes the tag roster and annotated movetext', async () => {
+  const gm = createManager();
+  const gameState = startSeededGame(gm, 'apgn-seed');
+  await playCardGame(gm, gameState);
+  assertEq(gameState.status, 'finished', 'game over:');
+
+  const apgn = gm.getApgn(gameState.id);
+  const { tags } = parseApgn(apgn);
+  assertEq(tags.Result, '0-1', 'result:');
+  assertEq(tags.Mode, 'Ascendant', 'mode:');
+  assertEq(tags.Seed, 'apgn-seed', 'seed:');
+  assertEq(tags.TimeControl, '-', 'unlimited time control:');
+  assertEq(tags.Termination, 'checkmate', 'termination:');
+  assert(/^\[Event "Arcana Chess"\]$/m.test(apgn), 'standard tags first');
+  assert(/1\. b4 c5 2\. bxc5 -- \{%draw \w+\} 3\. -- \{%draw \w+\}/.test(apgn), `movetext, got:\n${apgn}`);
+  assert(/Qh4# 0-1\s*$/.test(apgn), 'ends with the mating move and result');
+});
+
+await test('parser reads Arcana comments, coordinates and null moves', () => {
+  const { tags, actions, result } = parseApgn([
+    '[Event "Arcana Chess"]',
+    '[Seed "abc"]',
+    '',
+    '1. e4 {a plain comment} e5 2. -- {%draw execution} Nc6 3. {%arcana execution e5} Bb5 {%move f1 b5}',
+    '{%arcana metamorphosis d4 newType=n} {%arcana chaos_theory extra=%7B"n":2%7D} {%peek 1} *',
+  ].join('\n'));
+  assertEq(tags.Seed, 'abc', 'seed tag:');
+  assertEq(result, '*', 'result:');
+  assertEq(actions.map((a) => a.type).join(','), 'move,move,draw,move,arcana,move,arcana,arcana,peek', 'action order:');
+  assertEq(actions[2].arcanaId, 'execution', 'draw card:');
+  assertEq(actions[4].params.targetSquare, 'e5', 'target square:');
+  assertEq(actions[5].from + actions[5].to, 'f1b5', 'coordinates attach to the preceding move:');
+  assertEq(actions[6].params.newType, 'n', 'key=value params:');
+  assertEq(actions[7].params.extra.n, 2, 'JSON params:');
+  assertEq(actions[8].cardIndex, 1, 'peek index:');
+
+  let error = null;
+  try { parseApgn('1. e4 banana'); } catch (err) { error = err; }
+  assert(error && /banana/.test(error.message), 'unknown tokens are rejected');
+});
+
+await test('moves SAN cannot reproduce carry coordinates', () => {
+  const start = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  const apgn = exportApgn({
+    startedAt: '2026-01-02T00:00:00.000Z',
+    initial: { fen: start, playerColors: { a: 'white', b: 'black' }, mode: 'Ascendant', seed: 's' },
+    finalState: { playerColors: { a: 'white', b: 'black' } },
+    outcome: null,
+    actions: [
+      { type: 'arcana', playerId: 'a', arcanaId: 'phantom_step', params: {}, fen: start },
+      { type: 'move', playerId: 'a', move: { from: 'e2', to: 'e5', san: 'e5' }, fen: 'rnbqkbnr/pppppppp/8/4P3/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1' },
+    ],
+  });
+  assert(apgn.includes('[Date "2026.01.02"]'), 'date tag');
+  assert(apgn.includes('{%arcana phantom_step} 1. e5 {%move e2 e5} *'), `movetext, got:\n${apgn}`);
+});
+
+await test('import rebuilds the same game from its seed', async () => {
+  const gm = createManager();
+  const gameState = startSeededGame(gm, 'round-trip');
+  await playCardGame(gm, gameState);
+  const apgn = gm.getApgn(gameState.id);
+
+  const { replay, tags } = await createManager().importApgn(apgn);
+  assertEq(tags.Seed, 'round-trip', 'seed tag:');
+  assertEq(replay.source, 'apgn', 'source:');
+  assertEq(replay.finalState.fen, gameState.chess.fen(), 'final position:');
+  assertEq(replay.outcome.type, 'checkmate', 'outcome:');
+  const hands = (state) => Object.values(state).map((cards) => cards.map((c) => c.id).join('|')).join(',');
+  assertEq(hands(replay.finalState.arcanaByPlayer), hands(gameState.arcanaByPlayer), 'hands:');
+  assertEq(replay.timeline.frames.length, gm.getReplay(gameState.id).timeline.frames.length, 'frames:');
+});
+
+await test('import reports where a game diverges from its annotations', async () => {
+  const gm = createManager();
+  const gameState = startSeededGame(gm, 'divergence');
+  await playCardGame(gm, gameState);
+  const tampered = gm.getApgn(gameState.id).replace('[Seed "divergence"]', '[Seed "other-seed"]');
+
+  let error = null;
+  try { await createManager().importApgn(tampered); } catch (err) { error = err; }
+  assert(error && /diverged at ply \d+/.test(error.message), `expected a divergence error, got ${error?.message}`);
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,101 @@
+import { GameManager } from '../gameManager.js';
+import { getBotPosition, submitBotAction, toPlayerActionPayload } from '../bot/botProtocol.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() });
+}
+
+function startMultiplayer(gm) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+const white = { id: 'sock-white', data: {} };
+
+function throwsMessage(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+console.log('\n--- Bot Protocol Tests ---');
+
+await test('bot actions translate to playerAction payloads', () => {
+  assertEq(JSON.stringify(toPlayerActionPayload({ type: 'move', uci: 'e7e8q' })), '{"move":{"from":"e7","to":"e8","promotion":"q"}}', 'uci move:');
+  assertEq(toPlayerActionPayload({ type: 'move', from: 'g1', to: 'f3' }).move.to, 'f3', 'square move:');
+  assertEq(toPlayerActionPayload({ type: 'draw' }).actionType, 'drawArcana', 'draw:');
+
+  const arcana = toPlayerActionPayload({ type: 'arcana', arcanaId: 'shield_pawn', instanceId: 'card-1', targetSquare: 'e2' });
+  assertEq(arcana.actionType, 'useArcana', 'arcana:');
+  assertEq(arcana.arcanaUsed[0].params.targetSquare, 'e2', 'target:');
+
+  assertEq(toPlayerActionPayload({ type: 'negotiate', request: 'respondDraw', accept: 1 }).accept, true, 'negotiation:');
+  assertEq(throwsMessage(() => toPlayerActionPayload({ type: 'move', uci: 'e2' })), 'Invalid move: e2', 'bad move:');
+  assertEq(throwsMessage(() => toPlayerActionPayload({ type: 'resign' })), 'Unknown bot action: resign', 'unknown action:');
+});
+
+await test('positions show the bot its own hand only', () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.arcanaByPlayer['sock-white'] = [{ id: 'shield_pawn', instanceId: 'card-1' }];
+  gameState.arcanaByPlayer['sock-black'] = [{ id: 'execution', instanceId: 'card-2' }, { id: 'peek_card', instanceId: 'card-3' }];
+
+  const position = getBotPosition(gm, 'sock-white');
+  assertEq(position.color, 'w', 'colour:');
+  assertEq(position.hand[0].id, 'shield_pawn', 'own hand:');
+  assertEq(position.opponentHandSize, 2, 'opponent hand size:');
+  assert(!JSON.stringify(position).includes('execution'), 'opponent cards stay hidden');
+  assertEq(position.legalActions.moves.length, 20, 'legal moves:');
+  assertEq(getBotPosition(gm, 'sock-nobody'), null, 'unseated socket:');
+});
+
+await test('arcana uses are acknowledged without a reveal animation', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.ascended = true;
+  gameState.arcanaByPlayer['sock-white'] = [{ id: 'shield_pawn', instanceId: 'card-1' }];
+
+  const { position } = await submitBotAction(gm, white, { type: 'arcana', arcanaId: 'shield_pawn', instanceId: 'card-1', targetSquare: 'e2' });
+  assertEq(gameState.pendingReveal, null, 'reveal acknowledged:');
+  assertEq(position.pawnShields.w?.square, 'e2', 'shield placed:');
+  assert(position.legalActions.moves.length > 0, 'bot may move after a non-ending card');
+
+  const moved = await submitBotAction(gm, white, { type: 'move', uci: 'e2e4' });
+  assertEq(moved.position.turn, 'b', 'turn passed:');
+});
+
+await test('bots can play the built-in levels', async () => {
+  const gm = createManager();
+  const bot = { id: 'sock-bot', data: {} };
+  await gm.startAIGame(bot, { difficulty: 'Scholar', playerColor: 'white', timeControl: null });
+
+  await submitBotAction(gm, bot, { type: 'move', uci: 'e2e4' });
+  const position = getBotPosition(gm, 'sock-bot');
+  assertEq(position.turn, 'w', 'the AI answered:');
+  assert(position.legalActions.moves.length > 0, 'bot to move again');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,170 @@
+import { parseTimeControl, isValidTimeControl, formatTimeControl } from '../../shared/timeControl.js';
+import {
+  createClockState,
+  startTurn,
+  endTurn,
+  setClockPaused,
+  getRemainingMs,
+  getMsUntilFlag,
+  snapshotClock,
+} from '../clock/gameClock.js';
+import { GameManager } from '../gameManager.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const emitted = [];
+  const io = {
+    to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+    sockets: { sockets: { get: () => true } },
+  };
+  const lobbyManager = { lobbies: new Map(), socketToLobby: new Map() };
+  return { gm: new GameManager(io, lobbyManager), emitted };
+}
+
+console.log('\n--- Game Clock Tests ---');
+
+await test('parseTimeControl understands minutes, presets, increment and delay', () => {
+  assertEq(parseTimeControl(null), null, 'null is unlimited:');
+  assertEq(parseTimeControl('unlimited'), null, 'unlimited:');
+  assertEq(parseTimeControl(5).initialMs, 300000, 'numeric minutes:');
+  assertEq(parseTimeControl('blitz').initialMs, 600000, 'blitz preset:');
+
+  const fischer = parseTimeControl('3+2');
+  assertEq(fischer.initialMs, 180000, '3+2 base:');
+  assertEq(fischer.incrementMs, 2000, '3+2 increment:');
+  assertEq(fischer.delayMode, null, '3+2 delay mode:');
+
+  const simple = parseTimeControl('10|5d');
+  assertEq(simple.delayMs, 5000, '10|5d delay:');
+  assertEq(simple.delayMode, 'simple', '10|5d mode:');
+  assertEq(simple.incrementMs, 0, '10|5d increment:');
+
+  assertEq(parseTimeControl('15|10b').delayMode, 'bronstein', '15|10b mode:');
+  assertEq(parseTimeControl('10|5').incrementMs, 5000, 'bare | is increment:');
+});
+
+await test('invalid time controls are rejected', () => {
+  assert(!isValidTimeControl('abc'), 'garbage should be invalid');
+  assert(!isValidTimeControl('0+2'), 'zero minutes should be invalid');
+  assert(!isValidTimeControl('5+9999'), 'huge increment should be invalid');
+  assert(isValidTimeControl('unlimited'), 'unlimited should be valid');
+});
+
+await test('formatTimeControl round-trips canonical strings', () => {
+  for (const tc of ['10', '3+2', '10|5d', '15|10b']) {
+    assertEq(formatTimeControl(parseTimeControl(tc)), tc, `${tc}:`);
+  }
+  assertEq(formatTimeControl(null), null, 'unlimited:');
+});
+
+await test('Fischer increment is added after each completed turn', () => {
+  const clock = createClockState(parseTimeControl('3+2'), ['a', 'b']);
+  startTurn(clock, 'a', 0);
+  const ended = endTurn(clock, 10000);
+  assertEq(ended.flagged, false, 'flagged:');
+  assertEq(clock.remainingMs.a, 180000 - 10000 + 2000, 'remaining:');
+});
+
+await test('simple delay is free time before the clock runs down', () => {
+  const clock = createClockState(parseTimeControl('10|5d'), ['a', 'b']);
+  startTurn(clock, 'a', 0);
+  assertEq(getRemainingMs(clock, 'a', 4000), 600000, 'within delay:');
+  assertEq(getRemainingMs(clock, 'a', 8000), 597000, 'after delay:');
+  endTurn(clock, 8000);
+  assertEq(clock.remainingMs.a, 597000, 'no bonus added:');
+});
+
+await test('Bronstein delay refunds at most the delay', () => {
+  const clock = createClockState(parseTimeControl('10|5b'), ['a', 'b']);
+  startTurn(clock, 'a', 0);
+  endTurn(clock, 3000);
+  assertEq(clock.remainingMs.a, 600000, 'short move fully refunded:');
+  startTurn(clock, 'a', 0);
+  endTurn(clock, 8000);
+  assertEq(clock.remainingMs.a, 597000, 'long move refunded by delay only:');
+});
+
+await test('paused time is not charged', () => {
+  const clock = createClockState(parseTimeControl('1'), ['a', 'b']);
+  startTurn(clock, 'a', 0);
+  setClockPaused(clock, 'cutscene', 1000);
+  assertEq(getMsUntilFlag(clock, 30000), Infinity, 'no flag while paused:');
+  assertEq(snapshotClock(clock, 30000).pauseReason, 'cutscene', 'pause reason:');
+  setClockPaused(clock, null, 30000);
+  assertEq(getRemainingMs(clock, 'a', 32000), 57000, 'remaining after resume:');
+});
+
+await test('running out of time flags the player and withholds increment', () => {
+  const clock = createClockState(parseTimeControl('1+5'), ['a', 'b']);
+  startTurn(clock, 'a', 0);
+  const ended = endTurn(clock, 61000);
+  assertEq(ended.flagged, true, 'flagged:');
+  assertEq(clock.remainingMs.a, 0, 'remaining:');
+  assertEq(clock.flaggedPlayerId, 'a', 'flaggedPlayerId:');
+});
+
+await test('GameManager applies increment when the turn passes', async () => {
+  const { gm } = createManager();
+  const state = await gm.startAIGame({ id: 'human-inc' }, { gameMode: 'Classic', playerColor: 'white', timeControl: '3+2' });
+  const gameState = gm.games.get(state.id);
+  assertEq(gameState.timeControl, '3+2', 'canonical time control:');
+  assertEq(gameState.clock.turn.playerId, 'human-inc', 'white clock starts:');
+
+  gameState.clock.turn.startedAt -= 10000;
+  gameState.chess.move('e4');
+  gm._updateClock(gameState);
+
+  const remaining = gameState.clock.remainingMs['human-inc'];
+  assert(remaining > 171000 && remaining <= 172000, `expected ~172000ms, got ${remaining}`);
+  assert(gameState.clock.turn.playerId.startsWith('AI-'), 'AI clock should be running');
+  gm._clearClockTimer(gameState.id);
+});
+
+await test('GameManager ends the game on flag fall', async () => {
+  const { gm, emitted } = createManager();
+  const state = await gm.startAIGame({ id: 'human-flag' }, { gameMode: 'Classic', playerColor: 'white', timeControl: '1' });
+  const gameState = gm.games.get(state.id);
+  gameState.clock.turn.startedAt -= 61000;
+  gm._handleFlagTimer(gameState.id);
+
+  assertEq(gameState.status, 'finished', 'status:');
+  assertEq(gameState.timeLossLoser, 'human-flag', 'loser:');
+  const ended = emitted.find((e) => e.event === 'gameEnded');
+  assert(ended, 'gameEnded should be emitted');
+  assertEq(ended.data.type, 'time-expired', 'outcome type:');
+  assertEq(gm.clockTimers.size, 0, 'timers cleared:');
+});
+
+await test('clock pauses while the player to move watches their reveal', async () => {
+  const { gm } = createManager();
+  const state = await gm.startAIGame({ id: 'human-pause' }, { gameMode: 'Classic', playerColor: 'white', timeControl: '5' });
+  const gameState = gm.games.get(state.id);
+  gameState.pendingReveal = { playerId: 'human-pause', cutscene: true };
+  gm._updateClock(gameState);
+  assertEq(gameState.clock.turn.pauseReason, 'cutscene', 'pause reason:');
+  assertEq(gm.clockTimers.has(gameState.id), false, 'no flag timer while paused:');
+
+  gameState.pendingReveal = null;
+  gm._updateClock(gameState);
+  assertEq(gameState.clock.turn.pausedAt, null, 'resumed:');
+  gm._clearClockTimer(gameState.id);
+});
+
+await test('unlimited games have no clock', async () => {
+  const { gm } = createManager();
+  const state = await gm.startAIGame({ id: 'human-unl' }, { gameMode: 'Classic', playerColor: 'white', timeControl: null });
+  assertEq(state.clock, null, 'clock:');
+  assertEq(state.timePerPlayer, null, 'timePerPlayer:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
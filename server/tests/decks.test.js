@@ -0,0 +1,142 @@
+import { GameManager } from '../gameManager.js';
+import { LobbyManager } from '../lobbyManager.js';
+import { applyArcana } from '../arcana/arcanaHandlers.js';
+import { createDrawPiles, drawArcanaFor } from '../arcana/drawPile.js';
+import { createRngState, gameRandom } from '../rng/seededRng.js';
+import { DECK_SIZE, PREBUILT_DECKS, getDeckCost, resolveDeck, validateDeck } from '../../shared/arcana/decks.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function expectError(fn, pattern, msg) {
+  let error = null;
+  try { fn(); } catch (err) { error = err; }
+  assert(error && pattern.test(error.message), `${msg} (got ${error?.message || 'no error'})`);
+}
+
+const fakeSocket = (id) => ({ id, data: {}, join: () => {} });
+const fakeIo = () => ({ to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } });
+const deckOf = (entries) => ({ name: 'Test deck', cards: entries.flatMap(([id, n]) => Array(n).fill(id)) });
+
+console.log('\n--- Deck Tests ---');
+
+await test('prebuilt decks follow the deck rules', () => {
+  for (const deck of PREBUILT_DECKS) {
+    const result = validateDeck(deck);
+    assert(result.valid, `${deck.id}: ${result.errors.join('; ')}`);
+    assertEq(result.size, DECK_SIZE, `${deck.id} size:`);
+  }
+});
+
+await test('validation rejects bad sizes, extra copies, ??? cards and overspending', () => {
+  assert(/exactly 20/.test(validateDeck(deckOf([['shield_pawn', 3]])).errors[0]), 'size checked');
+
+  const tooManyLegendaries = validateDeck(deckOf([['execution', 2], ['shield_pawn', 3], ['pawn_guard', 3], ['soft_push', 3], ['vision', 3], ['peek_card', 3], ['antidote', 3]]));
+  assert(tooManyLegendaries.errors.some((e) => /At most 1 copy of Execution/.test(e)), `legendary copies limited (${tooManyLegendaries.errors})`);
+
+  const secret = validateDeck(deckOf([['breaking_point', 1], ['shield_pawn', 3], ['pawn_guard', 3], ['soft_push', 3], ['vision', 3], ['peek_card', 3], ['antidote', 3], ['quiet_thought', 1]]));
+  assert(secret.errors.some((e) => /cannot be put in a deck/.test(e)), '??? cards refused');
+
+  const pricey = deckOf([
+    ['execution', 1], ['time_travel', 1], ['divine_intervention', 1], ['mind_control', 1], ['astral_rebirth', 1],
+    ['shield_pawn', 3], ['pawn_guard', 3], ['soft_push', 3], ['vision', 3], ['peek_card', 3],
+  ]);
+  const result = validateDeck(pricey);
+  assertEq(result.cost, getDeckCost(pricey.cards), 'cost reported:');
+  assert(result.cost > 50 && result.errors.some((e) => /over the budget/.test(e)), `budget enforced (${result.cost})`);
+});
+
+await test('resolveDeck accepts prebuilt ids and valid lists, and null means the open pool', () => {
+  assertEq(resolveDeck(null), null, 'no deck:');
+  assertEq(resolveDeck('open'), null, 'open pool:');
+  assertEq(resolveDeck('bulwark').name, 'Bulwark', 'prebuilt:');
+  assertEq(resolveDeck({ name: '  Mine ', cards: [...PREBUILT_DECKS[0].cards] }).name, 'Mine', 'custom name trimmed:');
+  expectError(() => resolveDeck('nope'), /Unknown deck/, 'unknown prebuilt refused');
+  expectError(() => resolveDeck({ cards: ['shield_pawn'] }), /exactly/, 'invalid custom deck refused');
+});
+
+await test('draw piles are seeded, honour preferences and reshuffle when empty', () => {
+  const deck = resolveDeck('vanguard');
+  const stateA = { rng: createRngState('deck-seed') };
+  const stateB = { rng: createRngState('deck-seed') };
+  stateA.drawPiles = createDrawPiles({ p1: deck, p2: null }, gameRandom(stateA));
+  stateB.drawPiles = createDrawPiles({ p1: deck }, gameRandom(stateB));
+  assertEq(stateA.drawPiles.p1.cards.join(), stateB.drawPiles.p1.cards.join(), 'same seed, same order:');
+  assertEq(stateA.drawPiles.p2, undefined, 'no pile without a deck:');
+
+  assertEq(drawArcanaFor(stateA, 'p2', () => ({ id: 'fallback' })).id, 'fallback', 'open pool uses the fallback:');
+
+  const legendary = drawArcanaFor(stateA, 'p1', () => null, [(def) => def.rarity === 'mythic', (def) => def.rarity === 'legendary']);
+  assertEq(legendary.id, 'execution', 'first satisfiable preference picks the card:');
+  assertEq(stateA.drawPiles.p1.cards.length, DECK_SIZE - 1, 'card removed:');
+
+  const seen = [legendary.id];
+  for (let i = 1; i < DECK_SIZE; i++) seen.push(drawArcanaFor(stateA, 'p1', () => null).id);
+  assertEq(seen.sort().join(), [...deck.cards].sort().join(), 'every deck card drawn once:');
+
+  assert(drawArcanaFor(stateA, 'p1', () => null), 'empty pile still draws');
+  assertEq(stateA.drawPiles.p1.reshuffles, 1, 'reshuffled once:');
+  assertEq(stateA.drawPiles.p1.cards.length, DECK_SIZE - 1, 'full deck back in the pile:');
+});
+
+await test('lobby decks reach the game without exposing the list', async () => {
+  const lobbyManager = new LobbyManager();
+  const host = fakeSocket('sock-host');
+  const guest = fakeSocket('sock-guest');
+  expectError(() => lobbyManager.createLobby(host, { deck: 'nope' }), /Unknown deck/, 'bad deck refused at creation');
+  const lobby = lobbyManager.createLobby(host, { deck: 'trickster', timeControl: 'unlimited' });
+  lobbyManager.joinLobby(guest, { lobbyId: lobby.id });
+  assertEq(lobby.deckNames['sock-host'], 'Trickster', 'deck name shown:');
+  assertEq(lobby.deckNames['sock-guest'], undefined, 'guest plays the open pool:');
+  assert(!JSON.stringify(lobby).includes('peek_card'), 'deck list stays off the lobby');
+
+  const gm = new GameManager(fakeIo(), lobbyManager);
+  const started = gm.startMultiplayerGame(host, { lobbyId: lobby.id });
+  assertEq(started.deckCounts['sock-host']?.remaining, DECK_SIZE, 'deck count serialised:');
+  assertEq(started.deckCounts['sock-guest'], undefined, 'no count for the open pool:');
+  assert(!JSON.stringify(started).includes('"cards"'), 'pile contents are not serialised');
+  assertEq(lobbyManager.getDeck('sock-host'), null, 'lobby deck released once the game starts:');
+
+  const gameState = gm.games.get(started.id);
+  const mover = Object.keys(gameState.playerColors).find((pid) => gameState.playerColors[pid] === 'white');
+  assertEq(mover, 'sock-host', 'host plays white by default:');
+  gameState.ascended = true;
+  const top = gameState.drawPiles[mover].cards[0];
+  await gm.handlePlayerAction({ id: mover }, { actionType: 'drawArcana' });
+  const hand = gameState.arcanaByPlayer[mover];
+  assertEq(hand[hand.length - 1].id, top, 'draw takes the top of the pile:');
+  assertEq(gameState.drawPiles[mover].cards.length, DECK_SIZE - 1, 'pile shrinks:');
+});
+
+await test('Pot of Greed and Filtered Cycle draw from the deck', async () => {
+  const gm = new GameManager(fakeIo(), { lobbies: new Map(), socketToLobby: new Map() });
+  const human = fakeSocket('human');
+  await gm.startAIGame(human, { difficulty: 'Scholar', timeControl: 'unlimited', deck: 'bulwark' });
+  const gameState = gm.games.get(gm.socketToGame.get('human'));
+  const pile = gameState.drawPiles.human;
+  const bulwark = new Set(PREBUILT_DECKS.find((deck) => deck.id === 'bulwark').cards);
+
+  gameState.arcanaByPlayer.human = [{ id: 'pot_of_greed', name: 'Pot of Greed', instanceId: 'pog-1' }];
+  const expected = pile.cards.slice(0, 3);
+  applyArcana('human', gameState, [{ arcanaId: 'pot_of_greed', params: {} }], null, null);
+  assertEq(gameState.arcanaByPlayer.human.map((card) => card.id).join(), expected.join(), 'top three cards drawn:');
+
+  gameState.arcanaByPlayer.human = [
+    { id: 'filtered_cycle', name: 'Filtered Cycle', instanceId: 'fc-1' },
+    { id: 'shield_pawn', name: 'Shield Pawn', category: 'defense', instanceId: 'sp-1' },
+  ];
+  applyArcana('human', gameState, [{ arcanaId: 'filtered_cycle', params: { discardIndex: 1, category: 'utility' } }], null, null);
+  const drawn = gameState.arcanaByPlayer.human[gameState.arcanaByPlayer.human.length - 1];
+  assert(bulwark.has(drawn.id), `Filtered Cycle drew ${drawn.id} from the deck`);
+  assertEq(pile.cards.length, DECK_SIZE - 4, 'four cards taken:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,163 @@
+import { Chess } from 'chess.js';
+import { GameManager } from '../gameManager.js';
+import { applyArcana } from '../arcana/arcanaHandlers.js';
+import { ARCANA_DEFINITIONS } from '../../shared/arcanaDefinitions.js';
+import { getArcanaTargetType } from '../../shared/arcana/arcanaContracts.js';
+import { ARCANA_EFFECT_SPECS } from '../../shared/arcana/effects/effectSpecs.js';
+import {
+  applyArcanaEffectSpec,
+  expireArcanaEffects,
+  getArcanaMovementModifiers,
+  runArcanaTriggers,
+} from '../../shared/arcana/effects/effectInterpreter.js';
+import { simulateArcanaEffect } from '../../client/src/game/arcana/arcanaSimulation.js';
+import { getArcanaEnhancedMoves } from '../../client/src/game/arcanaMovesHelper.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() });
+}
+
+function startMultiplayer(gm) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+function play(gameState, playerId, arcanaId, params = {}) {
+  gameState.arcanaByPlayer[playerId].push({ id: arcanaId, instanceId: `inst-${arcanaId}` });
+  return applyArcana(playerId, gameState, [{ arcanaId, instanceId: `inst-${arcanaId}`, params }], null, null);
+}
+
+const white = { id: 'sock-white' };
+
+console.log('\n--- Effect DSL Tests ---');
+
+await test('every spec names a real card, a known target type and known ops', () => {
+  const knownOps = new Set(['setSide', 'resetSides', 'push', 'removePiece', 'placePiece', 'movePiece', 'drawArcana']);
+  const cardIds = new Set(ARCANA_DEFINITIONS.map((card) => card.id));
+  for (const [id, spec] of Object.entries(ARCANA_EFFECT_SPECS)) {
+    assert(cardIds.has(id), `${id} is not an arcana`);
+    if (spec.target) assertEq(getArcanaTargetType(id), spec.target, `${id} target type:`);
+    const ops = [...(spec.ops || []), ...Object.values(spec.triggers || {}).flatMap((trigger) => trigger.ops)];
+    for (const op of ops) assert(knownOps.has(op.op), `${id} uses unknown op ${op.op}`);
+  }
+});
+
+await test('server play goes through the spec and keeps the broadcast params', () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+
+  const [breaker] = play(gameState, 'sock-white', 'castle_breaker');
+  assertEq(breaker.params.disabledColor, 'b', 'disabled color:');
+  assertEq(breaker.params.turns, 3, 'turns reported:');
+  assertEq(gameState.activeEffects.castleBroken.b, 6, 'plies stored:');
+
+  const [curse] = play(gameState, 'sock-white', 'cursed_square', { targetSquare: 'e5' });
+  assertEq(curse.params.square, 'e5', 'cursed square:');
+  const entry = gameState.activeEffects.cursedSquares.find((c) => c.square === 'e5');
+  assertEq(entry?.setter, 'w', 'setter resolved from $self:');
+
+  const [push] = play(gameState, 'sock-white', 'soft_push', { targetSquare: 'e2' });
+  assertEq(push.params.destSquare, 'e3', 'push destination:');
+  assertEq(push.params.piece, 'p', 'pushed piece type:');
+  assertEq(gameState.chess.get('e3')?.type, 'p', 'pawn moved on the board:');
+  assert(!gameState.chess.get('e2'), 'origin emptied');
+});
+
+await test('spec targets are validated before any op runs', () => {
+  const chess = new Chess();
+  const gameState = { activeEffects: {} };
+  const result = applyArcanaEffectSpec('knight_of_storms', { chess, gameState, moverColor: 'w', params: { targetSquare: 'e2' } });
+  assertEq(result.ok, false, 'pawn is not a knight:');
+  assertEq(gameState.activeEffects.knightOfStorms, undefined, 'nothing written:');
+  assertEq(applyArcanaEffectSpec('vision', { chess, gameState, moverColor: 'w' }), null, 'hand-written cards have no spec:');
+});
+
+await test('client simulation shares the interpreter with the server', () => {
+  const chess = new Chess();
+  const gameState = {};
+  const result = simulateArcanaEffect(chess, 'sanctuary', { targetSquare: 'd4' }, 'b', gameState);
+  assert(result.success, result.message);
+  assertEq(result.message, 'Sanctuary: d4 is safe for 4 turns', 'message:');
+  assertEq(result.highlightSquares[0], 'd4', 'highlight:');
+  const again = simulateArcanaEffect(chess, 'sanctuary', { targetSquare: 'd4' }, 'b', gameState);
+  assertEq(again.success, false, 'tile effects do not stack:');
+
+  simulateArcanaEffect(chess, 'castle_breaker', {}, 'w', gameState);
+  assertEq(gameState.activeEffects.castleBroken.b, 6, 'same duration as the server:');
+});
+
+await test('declared durations expire at the end of the ply', () => {
+  const effects = {
+    spectralMarch: { w: true, b: false },
+    knightOfStorms: { w: 'g1', b: null },
+    fogOfWar: { w: true, b: true },
+    castleBroken: { w: 0, b: 2 },
+    sanctuaries: [{ square: 'd4', turns: 1 }, { square: 'e4', turns: 3 }],
+    focusFire: { w: true, b: false },
+  };
+  expireArcanaEffects(effects, 'w');
+  assertEq(effects.spectralMarch.w, false, 'one-turn flag reset:');
+  assertEq(effects.knightOfStorms.w, null, 'square flag reset:');
+  assertEq(effects.fogOfWar.w, false, 'fog cleared for the side to move:');
+  assertEq(effects.fogOfWar.b, true, 'opponent fog kept:');
+  assertEq(effects.castleBroken.b, 1, 'countdown ticks:');
+  assertEq(effects.sanctuaries.map((s) => s.square).join(), 'e4', 'expired list entries dropped:');
+  assertEq(effects.focusFire.w, true, 'trigger-cleared flags survive:');
+});
+
+await test('Focus Fire draws a common card through its capture trigger', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.ascended = true;
+  gameState.activeEffects.focusFire.w = true;
+  gameState.chess.load('rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2');
+
+  await gm.handlePlayerAction(white, { move: { from: 'e4', to: 'd5' } });
+  const hand = gameState.arcanaByPlayer['sock-white'];
+  assertEq(hand.length, 1, 'bonus card drawn:');
+  assertEq(ARCANA_DEFINITIONS.find((card) => card.id === hand[0].id)?.rarity, 'common', 'bonus rarity:');
+  assertEq(gameState.activeEffects.focusFire.w, false, 'flag cleared by the trigger:');
+
+  const drawn = [];
+  const fired = runArcanaTriggers('capture', {
+    chess: gameState.chess,
+    gameState,
+    moverColor: 'w',
+    hooks: { drawArcana: (draw) => drawn.push(draw) },
+  });
+  assertEq(fired.length + drawn.length, 0, 'no trigger without the flag:');
+});
+
+await test('movement declarations drive the client move previews', () => {
+  const effects = { knightOfStorms: { w: 'g1', b: null }, pawnRush: { w: true, b: false } };
+  assertEq(getArcanaMovementModifiers(effects, 'w', 'g1', { type: 'n' }).join(), 'knightOfStorms', 'stored knight:');
+  assertEq(getArcanaMovementModifiers(effects, 'w', 'b1', { type: 'n' }).length, 0, 'other knights unaffected:');
+  assertEq(getArcanaMovementModifiers(effects, 'w', 'e2', { type: 'p' }).join(), 'pawnRush', 'pawns rush:');
+
+  const chess = new Chess('4k3/8/8/8/8/8/8/R3K2R w - - 0 1');
+  chess.put({ type: 'p', color: 'w' }, 'a4');
+  const moves = getArcanaEnhancedMoves(chess, 'a1', { activeEffects: { spectralMarch: { w: true, b: false } } }, 'white');
+  assert(moves.some((move) => move.to === 'a6'), 'rook passes through its own pawn');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,123 @@
+import { GameManager } from '../gameManager.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() });
+}
+
+function startMultiplayer(gm) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+const white = { id: 'sock-white' };
+const black = { id: 'sock-black' };
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+function finishReveal(gameState) {
+  if (gameState.pendingReveal?.timeoutId) clearTimeout(gameState.pendingReveal.timeoutId);
+}
+
+console.log('\n--- Legal Actions Tests ---');
+
+await test('personalised updates carry legal actions for the viewer', () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+
+  const whiteView = gm.serialiseGameStateForViewer(gameState, 'sock-white').legalActions;
+  assertEq(whiteView.phase, 'awaitingMove', 'phase:');
+  assertEq(whiteView.moves.length, 20, 'opening moves:');
+  assert(whiteView.moves.some((m) => m.from === 'e2' && m.to === 'e4' && m.san === 'e4'), 'e4 listed');
+  assertEq(whiteView.draw.reason, 'Cannot draw arcana before ascension', 'draw before ascension:');
+  assertEq(whiteView.forced.length, 0, 'nothing forced:');
+
+  const blackView = gm.getLegalActionsForSocket(black);
+  assertEq(blackView.moves.length, 0, 'opponent has no moves:');
+  assertEq(blackView.draw.allowed, false, 'opponent cannot draw:');
+  assertEq(gm.serialiseGameStateForSpectator(gameState).legalActions, null, 'spectators get none:');
+});
+
+await test('draw refusals match what the server rejects', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.ascended = true;
+
+  assert(gm.getLegalActions(gameState, 'sock-white').draw.allowed, 'first draw allowed');
+  await gm.handlePlayerAction(white, { actionType: 'drawArcana' });
+  finishReveal(gameState);
+  gameState.pendingReveal = null;
+  await gm.handlePlayerAction(black, { move: { from: 'e7', to: 'e5' } });
+
+  const { draw } = gm.getLegalActions(gameState, 'sock-white');
+  assertEq(draw.allowed, false, 'cooldown:');
+  assertEq(await rejection(gm.handlePlayerAction(white, { actionType: 'drawArcana' })), draw.reason, 'same message:');
+});
+
+await test('cards list their targets and prerequisites', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.ascended = true;
+  gameState.arcanaByPlayer['sock-white'] = [
+    { id: 'necromancy', instanceId: 'card-1' },
+    { id: 'shield_pawn', instanceId: 'card-2' },
+  ];
+
+  const [necromancy, shield] = gm.getLegalActions(gameState, 'sock-white').cards;
+  assertEq(necromancy.usable, false, 'necromancy without captures:');
+  assertEq(necromancy.reason, 'No captured pawns available to revive', 'reason:');
+  assertEq(necromancy.targets, null, 'untargeted card:');
+  assert(shield.usable, 'shield usable');
+  assertEq(shield.targets.length, 8, 'one target per pawn:');
+
+  await gm.handlePlayerAction(white, { actionType: 'useArcana', arcanaUsed: [{ arcanaId: 'shield_pawn', params: { targetSquare: shield.targets[0] } }] });
+  finishReveal(gameState);
+  const after = gm.getLegalActions(gameState, 'sock-white');
+  assertEq(after.cards.length, 1, 'used card left the hand:');
+  assertEq(after.forced[0]?.action, 'revealAck', 'reveal owed:');
+  assertEq(after.moves.length, 0, 'no moves during the reveal:');
+});
+
+await test('extra moves are reported as forced', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.chess.load('4k3/8/8/8/8/8/8/3QK3 w - - 0 1');
+  gameState.ascended = true;
+  gameState.activeEffects.queensGambit = { w: 1, b: 0 };
+  gameState.activeEffects.queensGambitUsed = { w: false, b: false };
+
+  await gm.handlePlayerAction(white, { move: { from: 'd1', to: 'd4' } });
+  const actions = gm.getLegalActions(gameState, 'sock-white');
+  assertEq(actions.forced[0]?.source, 'queensGambit', 'forced extra move:');
+  assertEq(actions.draw.reason, 'Make your extra move first', 'draw refused:');
+  assert(actions.moves.length > 0, 'moves listed');
+  assertEq(await rejection(gm.handlePlayerAction(white, { move: actions.moves[0] })), null, 'listed move accepted:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -109,6 +109,7 @@ async function run() {
       ...process.env,
       PORT,
       NODE_ENV: 'test',
+      ARCANA_GAME_STORE: 'memory',
     },
     stdio: ['ignore', 'pipe', 'pipe'],
   });
@@ -0,0 +1,206 @@
+import { GameManager } from '../gameManager.js';
+import { LobbyManager } from '../lobbyManager.js';
+import { AccountManager } from '../accounts/accountManager.js';
+import { Matchmaker } from '../matchmaking/matchmaker.js';
+import { ratePeriod, rateGame, createRating } from '../ratings/glicko2.js';
+import { getTimeControlBucket } from '../../shared/timeControl.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+function assertNear(a, e, tolerance, msg = '') { if (Math.abs(a - e) > tolerance) throw new Error(`${msg} expected ~${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+const fakeSocket = (id, profile = null) => ({ id, data: { profile }, join: () => {} });
+
+console.log('\n--- Rating / Matchmaking Tests ---');
+
+await test('Glicko-2 matches the worked example from the paper', () => {
+  const next = ratePeriod({ rating: 1500, rd: 200, vol: 0.06 }, [
+    { opponent: { rating: 1400, rd: 30 }, score: 1 },
+    { opponent: { rating: 1550, rd: 100 }, score: 0 },
+    { opponent: { rating: 1700, rd: 300 }, score: 0 },
+  ]);
+  assertNear(next.rating, 1464.06, 0.05, 'rating:');
+  assertNear(next.rd, 151.52, 0.05, 'rd:');
+  assertNear(next.vol, 0.05999, 0.00001, 'volatility:');
+
+  const [winner, loser] = rateGame(createRating(), createRating(), 1);
+  assert(winner.rating > 1500 && loser.rating < 1500, 'winner gains, loser drops');
+  assertNear(winner.rating - 1500, 1500 - loser.rating, 0.001, 'symmetric for equal players:');
+  assertEq(winner.games, 1, 'games counted:');
+});
+
+await test('time controls fall into bullet, blitz and rapid buckets', () => {
+  assertEq(getTimeControlBucket('bullet'), 'bullet', 'bullet preset:');
+  assertEq(getTimeControlBucket('3+2'), 'bullet', '3+2:');
+  assertEq(getTimeControlBucket('5+3'), 'blitz', '5+3 counts its increment:');
+  assertEq(getTimeControlBucket('blitz'), 'blitz', 'blitz preset:');
+  assertEq(getTimeControlBucket('15|10b'), 'rapid', '15|10b:');
+  assertEq(getTimeControlBucket('classical'), 'rapid', 'classical:');
+  assertEq(getTimeControlBucket('unlimited'), 'rapid', 'unlimited:');
+});
+
+await test('the queue pairs close ratings first and widens the window over time', () => {
+  const accounts = new AccountManager();
+  const players = ['Low', 'Mid', 'High'].map((name) => accounts.register({ displayName: name }).profile);
+  const bucket = 'Classic:blitz';
+  const seed = (profile, rating) => {
+    const account = accounts.accounts.get(profile.playerId);
+    account.ratings = { [bucket]: { ...createRating(), rating } };
+  };
+  seed(players[0], 1200);
+  seed(players[1], 1500);
+  seed(players[2], 1560);
+
+  let now = 0;
+  const matched = [];
+  const matchmaker = new Matchmaker({ accounts, now: () => now, onMatch: (m) => matched.push(m) });
+  const opts = { gameMode: 'Classic', timeControl: 'blitz', rated: true };
+  const sockets = players.map((profile, i) => fakeSocket(`s${i}`, { playerId: profile.playerId, displayName: profile.displayName }));
+  assertEq(matchmaker.enqueue(sockets[0], opts).rating, 1200, 'rating from the bucket:');
+  matchmaker.enqueue(sockets[1], opts);
+  matchmaker.enqueue(sockets[2], opts);
+
+  matchmaker.tick();
+  assertEq(matched.length, 1, 'only the close pair matches at first:');
+  assertEq(matched[0].players.map((p) => p.socketId).sort().join(','), 's1,s2', 'closest ratings paired:');
+  assertEq(matched[0].gameMode, 'Classic', 'mode:');
+
+  matchmaker.enqueue(fakeSocket('s3', { playerId: players[1].playerId, displayName: 'Mid' }), opts);
+  now = 15000;
+  matchmaker.tick();
+  assertEq(matched.length, 1, '300 apart is still outside a 250 window:');
+  now = 25000;
+  matchmaker.tick();
+  assertEq(matched.length, 2, 'window widened enough:');
+  assertEq(matchmaker.queue.size, 0, 'queue emptied:');
+});
+
+await test('rated and casual queues stay apart and guests cannot queue rated', () => {
+  const matched = [];
+  const matchmaker = new Matchmaker({ onMatch: (m) => matched.push(m) });
+  let error = null;
+  try { matchmaker.enqueue(fakeSocket('guest'), { rated: true }); } catch (err) { error = err; }
+  assert(error && /Sign in/.test(error.message), 'guest refused for rated');
+
+  matchmaker.enqueue(fakeSocket('a', { playerId: 'p-a', displayName: 'A' }), { rated: true });
+  matchmaker.enqueue(fakeSocket('b'), { gameMode: 'ArcanaOverflow' });
+  matchmaker.tick();
+  assertEq(matched.length, 0, 'rated and casual never meet:');
+  matchmaker.enqueue(fakeSocket('c'), { timeControl: '3+2' });
+  matchmaker.tick();
+  assertEq(matched.length, 1, 'casual guests pair:');
+  assertEq(matched[0].gameMode, 'ArcanaOverflow', 'specific mode wins over any:');
+  assertEq(matched[0].timeControl, '3+2', 'specific time control wins over any:');
+});
+
+await test('the same time control written differently shares a queue', () => {
+  const matched = [];
+  const matchmaker = new Matchmaker({ onMatch: (m) => matched.push(m) });
+  matchmaker.enqueue(fakeSocket('a'), { timeControl: 'blitz' });
+  matchmaker.enqueue(fakeSocket('b'), { timeControl: '10+0' });
+  matchmaker.enqueue(fakeSocket('c'), { timeControl: '3|2' });
+  matchmaker.enqueue(fakeSocket('d'), { timeControl: '3+2' });
+  matchmaker.tick();
+  assertEq(matched.map((m) => `${m.players.map((p) => p.socketId).join('')}:${m.timeControl}`).join(' '), 'ab:10 cd:3+2', 'pairs:');
+
+  let error = null;
+  try { matchmaker.enqueue(fakeSocket('e'), { timeControl: 'fortnight' }); } catch (err) { error = err; }
+  assert(error && /Invalid time control/.test(error.message), 'unknown time control refused');
+});
+
+await test("'any' entries are paired on the rating of the game they would play", () => {
+  const accounts = new AccountManager();
+  const [flexible, weak, strong] = ['Flexible', 'Weak', 'Strong'].map((name) => accounts.register({ displayName: name }).profile);
+  const seed = (profile, ratings) => {
+    accounts.accounts.get(profile.playerId).ratings = Object.fromEntries(
+      Object.entries(ratings).map(([bucket, rating]) => [bucket, { ...createRating(), rating }]),
+    );
+  };
+  seed(flexible, { 'Ascendant:blitz': 1500, 'Classic:blitz': 1900 });
+  seed(weak, { 'Classic:blitz': 1500 });
+  seed(strong, { 'Classic:blitz': 1880 });
+
+  const matched = [];
+  const matchmaker = new Matchmaker({ accounts, now: () => 0, onMatch: (m) => matched.push(m) });
+  const socket = (profile) => fakeSocket(profile.displayName, { playerId: profile.playerId, displayName: profile.displayName });
+  const classicBlitz = { gameMode: 'Classic', timeControl: 'blitz' };
+  assertEq(matchmaker.enqueue(socket(flexible), {}).rating, 1500, 'shown rating while queued:');
+  matchmaker.enqueue(socket(weak), classicBlitz);
+  matchmaker.tick();
+  assertEq(matched.length, 0, 'a Classic game compares Classic ratings, 400 apart:');
+  matchmaker.enqueue(socket(strong), classicBlitz);
+  matchmaker.tick();
+  assertEq(matched.length, 1, 'Classic ratings 20 apart pair:');
+  assertEq(matched[0].players.map((p) => p.displayName).join(','), 'Flexible,Strong', 'pair:');
+  assertEq(matched[0].ratings.join(','), '1900,1880', 'ratings from the Classic blitz bucket:');
+});
+
+await test('rated lobbies require accounts and rated games update ratings on gameEnded', async () => {
+  const accounts = new AccountManager();
+  const alice = accounts.register({ displayName: 'Alice' }).profile;
+  const bob = accounts.register({ displayName: 'Bob' }).profile;
+  const lobbyManager = new LobbyManager();
+
+  let error = null;
+  try { lobbyManager.createLobby(fakeSocket('guest'), { rated: true }); } catch (err) { error = err; }
+  assert(error && /Sign in/.test(error.message), 'guests cannot host rated lobbies');
+
+  const whiteSocket = fakeSocket('sock-white', { playerId: alice.playerId, displayName: 'Alice' });
+  const blackSocket = fakeSocket('sock-black', { playerId: bob.playerId, displayName: 'Bob' });
+  const lobby = lobbyManager.createLobby(whiteSocket, { rated: true, gameMode: 'Classic', timeControl: 'blitz' });
+  error = null;
+  try { lobbyManager.joinLobby(fakeSocket('guest'), { lobbyId: lobby.id }); } catch (err) { error = err; }
+  assert(error && /Sign in/.test(error.message), 'guests cannot join rated lobbies');
+  lobbyManager.joinLobby(blackSocket, { lobbyId: lobby.id });
+
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }), sockets: { sockets: { get: () => undefined } } };
+  const gm = new GameManager(io, lobbyManager, { accounts });
+  const started = gm.startMultiplayerGame(whiteSocket, { lobbyId: lobby.id });
+  assertEq(started.rated, true, 'game is rated:');
+  const gameState = gm.games.get(started.id);
+  const whiteId = Object.keys(gameState.playerColors).find((pid) => gameState.playerColors[pid] === 'white');
+
+  gm.forfeitGame({ id: whiteId }, {});
+  assertEq(gameState.status, 'finished', 'finished:');
+
+  const ended = emitted.find((e) => e.event === 'gameEnded');
+  const loserPlayerId = gameState.playerProfiles[whiteId].playerId;
+  const winnerPlayerId = loserPlayerId === alice.playerId ? bob.playerId : alice.playerId;
+  const changes = ended?.data.ratingChanges;
+  assert(changes?.[winnerPlayerId]?.delta > 0, 'winner gains rating');
+  assert(changes?.[loserPlayerId]?.delta < 0, 'loser drops rating');
+  assertEq(changes[winnerPlayerId].bucket, 'Classic:blitz', 'bucket:');
+  assertEq(accounts.getProfile(winnerPlayerId).ratings['Classic:blitz'].rating, changes[winnerPlayerId].after, 'stored:');
+  assertEq(accounts.getProfile(loserPlayerId).history[0].ratingDelta, changes[loserPlayerId].delta, 'history delta:');
+  assertEq(accounts.getProfile(winnerPlayerId).ratings['Ascendant:blitz'], undefined, 'other buckets untouched:');
+});
+
+await test('games against guests leave ratings alone', () => {
+  const accounts = new AccountManager();
+  const alice = accounts.register({ displayName: 'Alice' }).profile;
+  const changes = accounts.recordGame({
+    gameId: 'g-guest',
+    mode: 'Ascendant',
+    outcomeType: 'checkmate',
+    rated: true,
+    timeControl: 'bullet',
+    seats: [
+      { playerId: alice.playerId, color: 'white', result: 'win', opponent: 'Guest' },
+      { playerId: null, color: 'black', result: 'loss', opponent: 'Alice' },
+    ],
+  });
+  assertEq(Object.keys(changes).length, 0, 'no rating change against a guest:');
+  assertEq(accounts.getProfile(alice.playerId).stats.Ascendant.wins, 1, 'still counted in stats:');
+  assertEq(accounts.getProfile(alice.playerId).history[0].rated, false, 'history marks it unrated:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
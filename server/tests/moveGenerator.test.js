@@ -0,0 +1,132 @@
+import { Chess } from 'chess.js';
+import { GameManager } from '../gameManager.js';
+import {
+  generateLegalMoves,
+  getMoveBlockReason,
+  listCandidateMoves,
+  loadArcanaBoard,
+  playArcanaMove,
+  resolveArcanaMove,
+} from '../../shared/arcana/moveGenerator.js';
+import { getArcanaEnhancedMoves } from '../../client/src/game/arcanaMovesHelper.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() });
+}
+
+function startMultiplayer(gm) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+const targets = (moves, from) => moves.filter((m) => m.from === from).map((m) => m.to).sort().join(',');
+const white = { id: 'sock-white' };
+
+console.log('\n--- Move Generator Tests ---');
+
+await test('standard moves match chess.js when no card is active', () => {
+  const chess = new Chess();
+  const moves = generateLegalMoves(chess.fen(), {});
+  assertEq(moves.length, chess.moves().length, 'move count:');
+  assert(moves.every((m) => !m.arcana), 'no arcana moves');
+});
+
+await test('movement cards add tagged moves', () => {
+  const fen = '4k3/8/8/8/8/8/RP6/4K3 w - - 0 1';
+  const spectral = listCandidateMoves(fen, { spectralMarch: { w: true, b: false } });
+  const through = spectral.find((m) => m.from === 'a2' && m.to === 'c2');
+  assertEq(through?.arcana, 'spectralMarch', 'rook passes its pawn:');
+  assert(!spectral.some((m) => m.from === 'a2' && m.to === 'b2'), 'no landing on the friendly piece');
+
+  const storms = listCandidateMoves('4k3/8/8/8/8/8/8/4K1N1 w - - 0 1', { knightOfStorms: { w: 'g1', b: null } });
+  assertEq(targets(storms, 'g1'), 'e2,e3,f1,f2,f3,g2,g3,h1,h2,h3', 'storm radius:');
+});
+
+await test('phantom step pawns stop short of promotion, pawn rush works from any rank', () => {
+  const fen = '4k3/8/3P4/8/8/2P5/8/4K3 w - - 0 1';
+  const phantom = listCandidateMoves(fen, { phantomStep: { w: true, b: false } });
+  assert(!phantom.some((m) => m.from === 'd6' && m.to[1] === '8'), 'no knight jump onto the back rank');
+  assert(phantom.some((m) => m.from === 'd6' && m.to === 'b7'), 'other jumps allowed');
+
+  const rush = listCandidateMoves(fen, { pawnRush: { w: true, b: false } });
+  assertEq(rush.find((m) => m.from === 'c3' && m.to === 'c5')?.arcana, 'pawnRush', 'moved pawn rushes:');
+  assertEq(rush.filter((m) => m.from === 'd6' && m.to === 'd8').map((m) => m.promotion).join(''), 'qrbn', 'promotion choices:');
+});
+
+await test('en passant master and temporal echo', () => {
+  const fen = '4k3/8/8/3pP3/8/8/8/4K3 w - - 0 1';
+  const master = listCandidateMoves(fen, { enPassantMaster: { w: true, b: false } });
+  const sideways = master.find((m) => m.from === 'e5' && m.to === 'd5');
+  const diagonal = master.find((m) => m.from === 'e5' && m.to === 'd6');
+  assertEq(sideways?.captured, 'p', 'sideways capture:');
+  assertEq(diagonal?.flags, 'e', 'diagonal capture flagged en passant:');
+
+  const board = loadArcanaBoard(fen);
+  playArcanaMove(board, diagonal);
+  assert(!board.get('d5'), 'adjacent pawn removed');
+  assertEq(board.turn(), 'b', 'turn passed:');
+
+  const echo = listCandidateMoves('4k3/8/8/8/8/8/4R3/4K3 w - - 0 1', { temporalEcho: { color: 'w', pattern: { fileDelta: 2, rankDelta: 0 } } });
+  assert(echo.some((m) => m.from === 'e2' && m.to === 'g2'), 'echo along the rank');
+});
+
+await test('arcana moves may not leave the king in check', () => {
+  // The e2 rook is pinned by the e8 rook; every knight jump leaves the e-file.
+  const fen = '4r1k1/8/8/8/8/8/4R3/4K3 w - - 0 1';
+  const moves = listCandidateMoves(fen, { phantomStep: { w: true, b: false } });
+  assert(!moves.some((m) => m.from === 'e2' && m.arcana), 'pinned rook has no phantom jumps');
+});
+
+await test('mind-controlled pieces move for their controller and are forced', () => {
+  const fen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  const effects = { mindControlled: [{ square: 'b8', controller: 'w', originalColor: 'b' }] };
+  const legal = generateLegalMoves(fen, effects);
+  assertEq(targets(legal, 'b8'), 'a6,c6', 'controlled knight:');
+  assert(legal.every((m) => m.from === 'b8' && m.arcana === 'mindControl'), 'only the controlled piece may move');
+  assertEq(resolveArcanaMove(fen, effects, { from: 'e2', to: 'e4' }).reason, 'Mind Control: you must move the controlled piece first', 'forced:');
+});
+
+await test('card protections block moves with the server messages', () => {
+  const fen = '4k3/8/8/3p4/4P3/8/8/4K3 w - - 0 1';
+  const capture = { from: 'e4', to: 'd5' };
+  const [move] = listCandidateMoves(fen, {}, { square: 'e4' }).filter((m) => m.to === 'd5');
+  assertEq(getMoveBlockReason(fen, { sanctuaries: [{ square: 'd5', turns: 2 }] }, move), 'Sanctuary protects that square from captures!', 'sanctuary:');
+  assertEq(getMoveBlockReason(fen, { ironFortress: { w: false, b: true } }, move), 'Iron Fortress protects all pawns from capture!', 'fortress:');
+  assertEq(resolveArcanaMove(fen, {}, capture, { pawnShields: { w: null, b: { square: 'd5', shieldType: 'pawn' } } }).reason, 'That pawn is shielded for this turn.', 'shield:');
+  assert(!generateLegalMoves(fen, { sanctuaries: [{ square: 'd5', turns: 2 }] }).some((m) => m.to === 'd5'), 'blocked moves are not legal');
+});
+
+await test('server and client agree on highlighted arcana moves', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.chess.load('4k3/8/8/8/8/8/RP6/4K3 w - - 0 1');
+  gameState.activeEffects.spectralMarch.w = true;
+
+  const highlighted = getArcanaEnhancedMoves(gameState.chess, 'a2', gameState, 'white');
+  assert(highlighted.some((m) => m.to === 'a8'), 'client highlights the march');
+  await gm.handlePlayerAction(white, { move: { from: 'a2', to: 'c2' } });
+  assertEq(gameState.chess.get('c2')?.type, 'r', 'server plays the highlighted move:');
+  assertEq(gameState.chess.turn(), 'b', 'turn passed:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,198 @@
+import { GameManager } from '../gameManager.js';
+import { MemoryGameStore } from '../persistence/gameStore.js';
+import { buildReplayFile } from '../replay/replayLog.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager(store = null) {
+  const emitted = [];
+  const io = {
+    to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+    sockets: { sockets: { get: () => undefined } },
+  };
+  const lobbyManager = { lobbies: new Map(), socketToLobby: new Map() };
+  return { gm: new GameManager(io, lobbyManager, { store }), emitted };
+}
+
+function startMultiplayer(gm) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+async function settle(gm, gameState) {
+  if (gameState.pendingReveal?.timeoutId) clearTimeout(gameState.pendingReveal.timeoutId);
+  if (gameState.pendingReveal) await gm._finalizeReveal(gameState);
+}
+
+const white = { id: 'sock-white' };
+const black = { id: 'sock-black' };
+
+console.log('\n--- Draw Offer / Takeback / Adjourn Tests ---');
+
+await test('an accepted draw offer ends the game by agreement', async () => {
+  const { gm, emitted } = createManager();
+  const gameState = startMultiplayer(gm);
+  const offered = await gm.handlePlayerAction(white, { actionType: 'offerDraw', actionId: 'draw-1' });
+  assertEq(offered.pending, true, 'offer pending:');
+  const duplicate = await gm.handlePlayerAction(white, { actionType: 'offerDraw', actionId: 'draw-1' });
+  assertEq(duplicate.duplicate, true, 'actionId dedupes:');
+  assertEq(gm.serialiseGameStateForViewer(gameState, 'sock-black').pendingOffers.draw.from, 'sock-white', 'offer visible:');
+
+  let error = null;
+  try { await gm.handlePlayerAction(white, { actionType: 'respondDraw', accept: true }); } catch (err) { error = err; }
+  assert(error, 'the offering player cannot accept their own offer');
+
+  const answer = await gm.handlePlayerAction(black, { actionType: 'respondDraw', accept: true });
+  assertEq(answer.accepted, true, 'accepted:');
+  assertEq(gameState.status, 'finished', 'status:');
+  const ended = emitted.find((e) => e.room === 'sock-white' && e.event === 'gameEnded');
+  assertEq(ended?.data.type, 'draw', 'outcome type:');
+  assertEq(ended?.data.reason, 'agreement', 'outcome reason:');
+  assertEq(buildReplayFile(gameState).outcome.reason, 'agreement', 'replay outcome:');
+});
+
+await test('draw offers lapse when the opponent plays on; matching offers agree', async () => {
+  const { gm, emitted } = createManager();
+  const gameState = startMultiplayer(gm);
+  await gm.handlePlayerAction(white, { actionType: 'offerDraw' });
+  await gm.handlePlayerAction(white, { move: { from: 'e2', to: 'e4' } });
+  assert(gameState.pendingOffers.draw, 'offer survives the offering player moving');
+  await gm.handlePlayerAction(black, { move: { from: 'e7', to: 'e5' } });
+  assertEq(gameState.pendingOffers.draw, null, 'recipient playing on declines:');
+
+  await gm.handlePlayerAction(white, { actionType: 'offerDraw' });
+  await gm.handlePlayerAction(black, { actionType: 'respondDraw', accept: false });
+  const answered = emitted.filter((e) => e.room === 'sock-white' && e.event === 'offerAnswered').pop();
+  assertEq(answered?.data.accepted, false, 'offerer told about the decline:');
+  assertEq(gameState.status, 'ongoing', 'still playing:');
+
+  await gm.handlePlayerAction(black, { actionType: 'offerDraw' });
+  const result = await gm.handlePlayerAction(white, { actionType: 'offerDraw' });
+  assertEq(result.accepted, true, 'both sides offering is agreement:');
+  assertEq(gameState.status, 'finished', 'status:');
+});
+
+await test('takebacks restore hands, effects and used instance ids', async () => {
+  const { gm } = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.ascended = true;
+  gameState.arcanaByPlayer['sock-white'].push({ id: 'focus_fire', instanceId: 'ff-1' });
+  const startFen = gameState.chess.fen();
+  const entriesBefore = gameState.replayLog.entries.length;
+
+  await gm.handlePlayerAction(white, { actionType: 'useArcana', arcanaUsed: [{ arcanaId: 'focus_fire', params: {} }] });
+  await settle(gm, gameState);
+  await gm.handlePlayerAction(white, { move: { from: 'e2', to: 'e4' } });
+  assertEq(gameState.activeEffects.focusFire.w, true, 'effect applied:');
+  assert(gameState.replayLog.entries.length > entriesBefore, 'actions logged');
+  assertEq(gm.serialiseGameStateForViewer(gameState, 'sock-white').canTakeback, true, 'takeback offered:');
+  assertEq(gm.serialiseGameStateForViewer(gameState, 'sock-black').canTakeback, false, 'nothing for black to take back:');
+
+  await gm.handlePlayerAction(white, { actionType: 'requestTakeback' });
+  const result = await gm.handlePlayerAction(black, { actionType: 'respondTakeback', accept: true });
+  assertEq(result.accepted, true, 'accepted:');
+  assertEq(gameState.chess.fen(), startFen, 'board rewound:');
+  assertEq(gameState.arcanaByPlayer['sock-white'].map((c) => c.instanceId).join(','), 'ff-1', 'card back in hand:');
+  assertEq(gameState.activeEffects.focusFire.w, false, 'effect rewound:');
+  assertEq((gameState.usedArcanaInstanceIdsByPlayer?.['sock-white'] || []).length, 0, 'used ids rewound:');
+  assertEq(gameState.plyCount, 0, 'ply count:');
+  const log = gameState.replayLog.entries;
+  assertEq(log.length, entriesBefore + 1, 'undone entries dropped:');
+  assertEq(log[log.length - 1].type, 'takeback', 'takeback logged:');
+
+  await gm.handlePlayerAction(white, { move: { from: 'd2', to: 'd4' } });
+  assertEq(gameState.chess.turn(), 'b', 'play continues from the restored position:');
+});
+
+await test('a takeback after the opponent replied rewinds both plies', async () => {
+  const { gm } = createManager();
+  const gameState = startMultiplayer(gm);
+  await gm.handlePlayerAction(white, { move: { from: 'e2', to: 'e4' } });
+  await gm.handlePlayerAction(black, { move: { from: 'e7', to: 'e5' } });
+  await gm.handlePlayerAction(white, { move: { from: 'g1', to: 'f3' } });
+  await gm.handlePlayerAction(black, { move: { from: 'b8', to: 'c6' } });
+
+  await gm.handlePlayerAction(white, { actionType: 'requestTakeback' });
+  await gm.handlePlayerAction(black, { actionType: 'respondTakeback', accept: true });
+  assertEq(gameState.chess.turn(), 'w', 'white to move again:');
+  assertEq(gameState.plyCount, 2, 'Nf3 and Nc6 undone:');
+  await gm.handlePlayerAction(white, { actionType: 'requestTakeback' });
+  await gm.handlePlayerAction(black, { actionType: 'respondTakeback', accept: true });
+  assertEq(gameState.plyCount, 0, 'second takeback reaches the start:');
+
+  let error = null;
+  try { await gm.handlePlayerAction(white, { actionType: 'requestTakeback' }); } catch (err) { error = err; }
+  assert(error && /take back/.test(error.message), 'nothing left to take back');
+});
+
+await test('the AI answers draw offers from its evaluation', async () => {
+  const { gm } = createManager();
+  await gm.startAIGame({ id: 'human', data: {} }, { difficulty: 'Knight', timeControl: 'unlimited' });
+  const gameState = gm.games.get(gm.socketToGame.get('human'));
+
+  // Human (white) has a lone king against the AI's queen.
+  gameState.chess.load('4k3/8/8/8/3q4/8/8/4K3 w - - 0 1');
+  const declined = await gm.handlePlayerAction({ id: 'human' }, { actionType: 'offerDraw' });
+  assertEq(declined.accepted, false, 'winning AI declines:');
+  assertEq(gameState.status, 'ongoing', 'game continues:');
+
+  gameState.chess.load('4k3/8/8/8/3Q4/8/8/4K3 w - - 0 1');
+  const accepted = await gm.handlePlayerAction({ id: 'human' }, { actionType: 'offerDraw' });
+  assertEq(accepted.accepted, true, 'losing AI accepts:');
+  assertEq(gameState.status, 'finished', 'drawn:');
+});
+
+await test('adjourned games wait in the store until both players return', async () => {
+  const store = new MemoryGameStore();
+  const { gm, emitted } = createManager(store);
+  const gameState = startMultiplayer(gm);
+  gameState.clientIdByPlayer = { 'sock-white': 'client-white', 'sock-black': 'client-black' };
+  await gm.handlePlayerAction(white, { move: { from: 'e2', to: 'e4' } });
+
+  await gm.handlePlayerAction(black, { actionType: 'requestAdjourn' });
+  await gm.handlePlayerAction(white, { actionType: 'respondAdjourn', accept: true });
+  assertEq(gameState.status, 'adjourned', 'status:');
+  assertEq(gm.games.has(gameState.id), false, 'left the live table:');
+  assertEq(gm.socketToGame.has('sock-white'), false, 'players released:');
+  assert(emitted.some((e) => e.room === 'sock-black' && e.event === 'gameAdjourned'), 'players notified');
+  assertEq(store.loadAll()[0]?.state.status, 'adjourned', 'kept in the store:');
+
+  // A restarted server still knows about it.
+  const { gm: restarted } = createManager(store);
+  restarted.restoreGames();
+  assertEq(restarted.adjournedGames.has(gameState.id), true, 'restored as adjourned:');
+
+  const newWhite = { id: 'sock-white-2', data: { clientId: 'client-white' } };
+  const newBlack = { id: 'sock-black-2', data: { clientId: 'client-black' } };
+  assertEq(restarted.listAdjournedGames(newWhite)[0]?.color, 'white', 'listed for its players:');
+  assertEq(restarted.listAdjournedGames({ id: 'x', data: { clientId: 'someone-else' } }).length, 0, 'hidden from others:');
+
+  assertEq(restarted.resumeAdjournedGame(newWhite, { gameId: gameState.id }).waiting, true, 'waits for the opponent:');
+  assertEq(restarted.listAdjournedGames(newBlack)[0]?.opponentWaiting, true, 'opponent shown as waiting:');
+  const resumed = restarted.resumeAdjournedGame(newBlack, { gameId: gameState.id });
+  assertEq(resumed.waiting, false, 'resumed:');
+  const live = restarted.games.get(gameState.id);
+  assertEq(live.status, 'ongoing', 'ongoing again:');
+  assertEq(live.playerColors['sock-black-2'], 'black', 'seats rebound:');
+  await restarted.handlePlayerAction(newBlack, { move: { from: 'e7', to: 'e5' } });
+  assertEq(live.chess.turn(), 'w', 'play continues:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
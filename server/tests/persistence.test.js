@@ -0,0 +1,165 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GameManager } from '../gameManager.js';
+import { FileGameStore, MemoryGameStore, createGameStore } from '../persistence/gameStore.js';
+import { createGameSnapshot } from '../persistence/gameSnapshot.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+const CLIENT_IDS = { 'sock-white': 'client-white', 'sock-black': 'client-black' };
+
+function createManager(store) {
+  const io = {
+    to: () => ({ emit: () => {} }),
+    sockets: { sockets: { get: (id) => (CLIENT_IDS[id] ? { data: { clientId: CLIENT_IDS[id] } } : undefined) } },
+  };
+  const lobbyManager = { lobbies: new Map(), socketToLobby: new Map() };
+  return new GameManager(io, lobbyManager, { store });
+}
+
+function startMultiplayer(gm, timeControl = '5+3') {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl,
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+function stopTimers(gm) {
+  for (const gameId of gm.games.keys()) gm._clearClockTimer(gameId);
+}
+
+console.log('\n--- Game Persistence Tests ---');
+
+await test('snapshots drop runtime-only fields', () => {
+  const gm = createManager(null);
+  const gameState = startMultiplayer(gm);
+  gameState._busy = true;
+  gameState._seenActions = new Map([['a', 1]]);
+  gameState.pendingReveal = { playerId: 'sock-white', timeoutId: setTimeout(() => {}, 0) };
+  const snapshot = createGameSnapshot(gameState);
+  assertEq(snapshot.state._busy, undefined, '_busy:');
+  assertEq(snapshot.state._seenActions, undefined, '_seenActions:');
+  assertEq(snapshot.state.pendingReveal.timeoutId, undefined, 'timeoutId:');
+  assertEq(snapshot.state.chess, undefined, 'chess:');
+  assertEq(typeof snapshot.fen, 'string', 'fen:');
+  JSON.stringify(snapshot);
+  clearTimeout(gameState.pendingReveal.timeoutId);
+  stopTimers(gm);
+});
+
+await test('games are saved after each action and restored by a new manager', async () => {
+  const store = new MemoryGameStore();
+  const gm = createManager(store);
+  const gameState = startMultiplayer(gm);
+  assertEq(store.snapshots.size, 1, 'saved on start:');
+
+  await gm.handlePlayerAction({ id: 'sock-white' }, { move: { from: 'e2', to: 'e4' } });
+  const saved = store.snapshots.get(gameState.id);
+  assertEq(saved.state.plyCount, gameState.plyCount, 'plyCount saved after move:');
+  assertEq(saved.fen, gameState.chess.fen(), 'fen saved after move:');
+  stopTimers(gm);
+
+  const restoredManager = createManager(store);
+  const [restored] = restoredManager.restoreGames();
+  assert(restored, 'expected a restored game');
+  assertEq(restored.chess.fen(), gameState.chess.fen(), 'fen:');
+  assertEq(restored.plyCount, gameState.plyCount, 'plyCount:');
+  assertEq(restored.playerColors['sock-black'], 'black', 'playerColors:');
+  assertEq(restored.moveHistory.length, gameState.moveHistory.length, 'moveHistory:');
+  assertEq(restored.clientIdByPlayer['sock-black'], 'client-black', 'client ids:');
+  assertEq(restored.clock.turn.playerId, 'sock-black', 'clock runs for side to move:');
+  assertEq(restored.clock.remainingMs['sock-white'], gameState.clock.remainingMs['sock-white'], 'banked time:');
+  assertEq(restoredManager.socketToGame.get('sock-white'), restored.id, 'socket mapping:');
+  stopTimers(restoredManager);
+});
+
+await test('reconnecting players are rebound onto restored games', async () => {
+  const store = new MemoryGameStore();
+  const gm = createManager(store);
+  const gameState = startMultiplayer(gm);
+  stopTimers(gm);
+
+  const restoredManager = createManager(store);
+  restoredManager.restoreGames();
+  const rebound = restoredManager.rebindSocket('sock-black', 'sock-black-2');
+  assertEq(rebound.id, gameState.id, 'rebound game:');
+  assertEq(rebound.playerColors['sock-black-2'], 'black', 'color moved to new socket:');
+  assertEq(rebound.clientIdByPlayer['sock-black-2'], 'client-black', 'client id moved to new socket:');
+  assert(store.snapshots.get(gameState.id).state.playerIds.includes('sock-black-2'), 'rebind should be persisted');
+  stopTimers(restoredManager);
+});
+
+await test('finished games are removed from the store', () => {
+  const store = new MemoryGameStore();
+  const gm = createManager(store);
+  const gameState = startMultiplayer(gm);
+  gm.forfeitGame({ id: 'sock-white' }, {});
+  assertEq(store.snapshots.has(gameState.id), false, 'snapshot removed:');
+  assertEq(createManager(store).restoreGames().length, 0, 'nothing restored:');
+});
+
+await test('server downtime is not charged to the running clock', () => {
+  const store = new MemoryGameStore();
+  const gm = createManager(store);
+  const gameState = startMultiplayer(gm, '5');
+  stopTimers(gm);
+
+  const snapshot = store.snapshots.get(gameState.id);
+  snapshot.savedAt -= 60000;
+  snapshot.state.clock.turn.startedAt = snapshot.savedAt - 2000;
+
+  const restoredManager = createManager(store);
+  const [restored] = restoredManager.restoreGames();
+  const remaining = restored.clock.remainingMs['sock-white'] - restored.clock.turn.accumulatedMs;
+  assertEq(remaining, 298000, 'only pre-crash think time charged:');
+  stopTimers(restoredManager);
+});
+
+await test('file store writes atomically and skips corrupt snapshots', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arcana-store-'));
+  try {
+    const store = new FileGameStore(dir);
+    const gm = createManager(store);
+    const gameState = startMultiplayer(gm);
+    stopTimers(gm);
+
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{"version":');
+    fs.writeFileSync(path.join(dir, `${gameState.id}.json.123.tmp`), 'partial');
+
+    const snapshots = store.loadAll();
+    assertEq(snapshots.length, 1, 'readable snapshots:');
+    assertEq(snapshots[0].state.id, gameState.id, 'snapshot id:');
+    assertEq(fs.existsSync(path.join(dir, `${gameState.id}.json.123.tmp`)), false, 'temp file cleaned:');
+
+    store.remove(gameState.id);
+    assertEq(fs.existsSync(path.join(dir, `${gameState.id}.json`)), false, 'removed:');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+await test('createGameStore honours the configured driver', () => {
+  assertEq(createGameStore({ driver: 'none' }), null, 'none:');
+  assert(createGameStore({ driver: 'memory' }) instanceof MemoryGameStore, 'memory driver');
+  let threw = false;
+  try { createGameStore({ driver: 'mystery' }); } catch (_) { threw = true; }
+  assert(threw, 'unknown driver should throw');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
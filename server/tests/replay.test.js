@@ -0,0 +1,162 @@
+import { GameManager } from '../gameManager.js';
+import { MemoryGameStore } from '../persistence/gameStore.js';
+import { REPLAY_FORMAT, REPLAY_FORMAT_VERSION, listActiveEffects } from '../replay/replayLog.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager(store = null) {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  const lobbyManager = { lobbies: new Map(), socketToLobby: new Map() };
+  return new GameManager(io, lobbyManager, { store });
+}
+
+function startMultiplayer(gm, gameMode = 'Ascendant') {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode,
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+const white = { id: 'sock-white' };
+const black = { id: 'sock-black' };
+
+console.log('\n--- Replay Log Tests ---');
+
+await test('moves are logged in order with the position after each', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  await gm.handlePlayerAction(white, { move: { from: 'e2', to: 'e4' } });
+  await gm.handlePlayerAction(black, { move: { from: 'e7', to: 'e5' } });
+
+  const moves = gameState.replayLog.entries.filter((e) => e.type === 'move');
+  assertEq(moves.length, 2, 'move entries:');
+  assertEq(moves[0].playerId, 'sock-white', 'first mover:');
+  assertEq(moves[0].move.san, 'e4', 'first san:');
+  assertEq(moves[1].move.san, 'e5', 'second san:');
+  assertEq(moves[1].fen, gameState.chess.fen(), 'fen after last move:');
+  assert(moves[0].seq < moves[1].seq, 'entries keep their order');
+});
+
+await test('draws and Arcana uses are logged with their cards and params', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.ascended = true;
+
+  await gm.handlePlayerAction(white, { actionType: 'drawArcana' });
+  const draw = gameState.replayLog.entries.find((e) => e.type === 'draw');
+  assert(draw, 'expected a draw entry');
+  assertEq(draw.playerId, 'sock-white', 'drawer:');
+  assertEq(draw.card.instanceId, gameState.arcanaByPlayer['sock-white'][0].instanceId, 'drawn instance:');
+
+  const card = { id: 'pawn_guard', instanceId: 'inst-guard' };
+  gameState.arcanaByPlayer['sock-black'].push(card);
+  await gm.handlePlayerAction(black, { actionType: 'useArcana', arcanaUsed: [{ arcanaId: 'pawn_guard', instanceId: 'inst-guard', params: { targetSquare: 'e7' } }] });
+  const use = gameState.replayLog.entries.find((e) => e.type === 'arcana');
+  assert(use, 'expected an arcana entry');
+  assertEq(use.arcanaId, 'pawn_guard', 'arcana id:');
+  assertEq(use.params.targetSquare, 'e7', 'requested params kept:');
+  assertEq(use.result.protectedSquare, 'e8', 'resolved params kept:');
+  assertEq(use.result.preArcanaFen, undefined, 'rollback fen not logged:');
+  const lost = gameState.replayLog.entries.filter((e) => e.type === 'cards_lost');
+  assertEq(lost.length, 0, 'played card is not reported as lost:');
+});
+
+await test('cards gained outside draws are logged', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.activeEffects.focusFire.w = true;
+  gameState.chess.load('rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2');
+
+  await gm.handlePlayerAction(white, { move: { from: 'e4', to: 'd5' } });
+  const gained = gameState.replayLog.entries.filter((e) => e.type === 'cards_gained' && e.playerId === 'sock-white');
+  assert(gained.length > 0, 'expected a cards_gained entry for Focus Fire');
+  const gainedIds = gained.flatMap((e) => e.cards.map((c) => c.instanceId));
+  for (const inst of gameState.arcanaByPlayer['sock-white']) {
+    assert(gainedIds.includes(inst.instanceId), `card ${inst.id} should be logged`);
+  }
+});
+
+await test('effect expirations are logged', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.activeEffects.sanctuaries.push({ square: 'd4', turns: 1 });
+  gameState.activeEffects.cursedSquares.push({ square: 'h6', turns: 1, setter: 'b' });
+
+  await gm.handlePlayerAction(white, { move: { from: 'e2', to: 'e4' } });
+  const expired = gameState.replayLog.entries.find((e) => e.type === 'effects_expired');
+  assert(expired, 'expected an effects_expired entry');
+  assert(expired.effects.includes('cursedSquares@h6'), `cursed square expiry, got ${expired.effects}`);
+});
+
+await test('effect ids flatten per-color flags and square lists', () => {
+  const ids = listActiveEffects({
+    fogOfWar: { w: true, b: false },
+    quietThought: { w: 0, b: 2 },
+    cursedSquares: [{ square: 'e4', turns: 2 }],
+    bishopsBlessing: { w: ['c4'], b: [] },
+    temporalEcho: null,
+  });
+  assertEq(ids.join(','), 'fogOfWar.w,quietThought.b,cursedSquares@e4', 'ids:');
+});
+
+await test('replay is refused while the game is running', () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  let error = null;
+  try { gm.getReplay(gameState.id); } catch (err) { error = err; }
+  assert(error && /finished/.test(error.message), 'ongoing games must not leak the log');
+  error = null;
+  try { gm.getReplay('no-such-game'); } catch (err) { error = err; }
+  assertEq(error?.message, 'Replay not found', 'unknown game:');
+});
+
+await test('finished games produce a versioned replay file ReplayOverlay can load', async () => {
+  const store = new MemoryGameStore();
+  const gm = createManager(store);
+  const gameState = startMultiplayer(gm);
+  await gm.handlePlayerAction(white, { move: { from: 'f2', to: 'f3' } });
+  await gm.handlePlayerAction(black, { move: { from: 'e7', to: 'e5' } });
+  await gm.handlePlayerAction(white, { move: { from: 'g2', to: 'g4' } });
+  await gm.handlePlayerAction(black, { move: { from: 'd8', to: 'h4' } });
+
+  const replay = gm.getReplay(gameState.id);
+  assertEq(replay.format, REPLAY_FORMAT, 'format:');
+  assertEq(replay.version, REPLAY_FORMAT_VERSION, 'version:');
+  assertEq(replay.outcome.type, 'checkmate', 'outcome:');
+  assertEq(replay.outcome.winnerSocketId, 'sock-black', 'winner:');
+  assertEq(replay.timeline.frames.length, 5, 'start position plus one frame per move:');
+  assertEq(replay.timeline.frames[4].fen, gameState.chess.fen(), 'last frame:');
+
+  const moveEvents = replay.timeline.events.filter((e) => e.type === 'move');
+  assertEq(moveEvents.length, 4, 'move events:');
+  assertEq(moveEvents[3].frameIndex, 4, 'events point at their frame:');
+  assertEq(replay.finalState.playerColors['sock-black'], 'black', 'final state colors:');
+  assert(store.loadReplay(gameState.id), 'replay archived to the store');
+});
+
+await test('replays outlive games removed on forfeit', () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gm.forfeitGame(white, {});
+  assertEq(gm.games.has(gameState.id), false, 'game removed:');
+  const replay = gm.getReplay(gameState.id);
+  assertEq(replay.outcome.type, 'forfeit', 'outcome:');
+  assertEq(replay.outcome.loserSocketId, 'sock-white', 'loser:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
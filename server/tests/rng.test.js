@@ -0,0 +1,144 @@
+import { GameManager } from '../gameManager.js';
+import { MemoryGameStore } from '../persistence/gameStore.js';
+import { createRngState, nextFloat, gameRandom } from '../rng/seededRng.js';
+import { pickWeightedArcana, makeArcanaInstance } from '../arcana/arcanaUtils.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager(store = null) {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  const lobbyManager = { lobbies: new Map(), socketToLobby: new Map() };
+  return new GameManager(io, lobbyManager, { store });
+}
+
+function startSeededGame(gm, seed) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  const gameState = gm.games.get(state.id);
+  // Ascendant starts with empty hands, so nothing has consumed the generator yet.
+  gameState.rng = createRngState(seed);
+  gameState.replayLog.initial.seed = seed;
+  return gameState;
+}
+
+// Feeds a recorded replay log back into a fresh game.
+async function replayActions(gm, gameState, entries) {
+  for (const entry of entries) {
+    const socket = { id: entry.playerId };
+    if (entry.type === 'move') {
+      await gm.handlePlayerAction(socket, { move: { from: entry.move.from, to: entry.move.to, promotion: entry.move.promotion || undefined } });
+    } else if (entry.type === 'draw') {
+      await gm.handlePlayerAction(socket, { actionType: 'drawArcana' });
+    } else if (entry.type === 'arcana') {
+      await gm.handlePlayerAction(socket, {
+        actionType: 'useArcana',
+        arcanaUsed: [{ arcanaId: entry.arcanaId, instanceId: entry.instanceId, params: entry.params }],
+      });
+    }
+    if (gameState.pendingReveal?.timeoutId) clearTimeout(gameState.pendingReveal.timeoutId);
+    if (gameState.pendingReveal) await gm._finalizeReveal(gameState);
+  }
+}
+
+async function playScriptedGame(gm, gameState) {
+  const white = { id: 'sock-white' };
+  const black = { id: 'sock-black' };
+  const settle = async () => {
+    if (gameState.pendingReveal?.timeoutId) clearTimeout(gameState.pendingReveal.timeoutId);
+    if (gameState.pendingReveal) await gm._finalizeReveal(gameState);
+  };
+  gameState.ascended = true;
+  await gm.handlePlayerAction(white, { move: { from: 'e2', to: 'e4' } });
+  await gm.handlePlayerAction(black, { actionType: 'drawArcana' });
+  await settle();
+  await gm.handlePlayerAction(white, { actionType: 'drawArcana' });
+  await settle();
+  await gm.handlePlayerAction(black, { move: { from: 'd7', to: 'd5' } });
+  const chaos = makeArcanaInstance({ id: 'chaos_theory' }, gameRandom(gameState));
+  gameState.arcanaByPlayer['sock-white'].push(chaos);
+  await gm.handlePlayerAction(white, { actionType: 'useArcana', arcanaUsed: [{ arcanaId: 'chaos_theory', instanceId: chaos.instanceId, params: {} }] });
+  await settle();
+}
+
+console.log('\n--- Seeded RNG Tests ---');
+
+await test('the same seed yields the same sequence', () => {
+  const a = createRngState('arcana');
+  const b = createRngState('arcana');
+  const c = createRngState('other');
+  const seqA = Array.from({ length: 5 }, () => nextFloat(a));
+  const seqB = Array.from({ length: 5 }, () => nextFloat(b));
+  const seqC = Array.from({ length: 5 }, () => nextFloat(c));
+  assertEq(seqA.join(','), seqB.join(','), 'same seed:');
+  assert(seqA.join(',') !== seqC.join(','), 'different seeds should diverge');
+  assert(seqA.every((n) => n >= 0 && n < 1), 'values in [0, 1)');
+});
+
+await test('generator state survives a JSON round-trip', () => {
+  const rng = createRngState(42);
+  nextFloat(rng);
+  const copy = JSON.parse(JSON.stringify(rng));
+  assertEq(nextFloat(copy), nextFloat(rng), 'next value after round-trip:');
+});
+
+await test('card picks and instance ids follow the game seed', () => {
+  const first = gameRandom({ rng: createRngState('draws') });
+  const second = gameRandom({ rng: createRngState('draws') });
+  for (let i = 0; i < 10; i++) {
+    const a = makeArcanaInstance(pickWeightedArcana(first), first);
+    const b = makeArcanaInstance(pickWeightedArcana(second), second);
+    assertEq(a.instanceId, b.instanceId, `draw ${i}:`);
+  }
+  assertEq(gameRandom({}), Math.random, 'states without rng fall back to Math.random:');
+});
+
+await test('new games get a seed that is persisted with the game', () => {
+  const store = new MemoryGameStore();
+  const gm = createManager(store);
+  gm.lobbyManager.lobbies.set('lobby-1', { id: 'lobby-1', players: ['sock-white', 'sock-black'], hostId: 'sock-white', gameMode: 'Ascendant', timeControl: 'unlimited' });
+  const { id } = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  const gameState = gm.games.get(id);
+  assertEq(typeof gameState.rng.seed, 'string', 'seed:');
+  assertEq(gameState.replayLog.initial.seed, gameState.rng.seed, 'seed in replay log:');
+  assertEq(store.snapshots.get(id).state.rng.state.join(','), gameState.rng.state.join(','), 'persisted state:');
+});
+
+await test('a game replays bit-for-bit from its seed and action log', async () => {
+  const original = createManager();
+  const played = startSeededGame(original, 'replay-seed');
+  await playScriptedGame(original, played);
+  const entries = played.replayLog.entries;
+  assert(entries.some((e) => e.type === 'arcana' && e.result?.shuffled?.length), 'expected a Chaos Theory shuffle');
+
+  const replayer = createManager();
+  const replayed = startSeededGame(replayer, played.replayLog.initial.seed);
+  replayed.ascended = true;
+  // The scripted Chaos Theory card was injected, not drawn; mirror it with the same RNG step.
+  const inject = entries.find((e) => e.type === 'arcana');
+  const before = entries.slice(0, entries.indexOf(inject));
+  await replayActions(replayer, replayed, before.filter((e) => e.type !== 'arcana'));
+  replayed.arcanaByPlayer['sock-white'].push(makeArcanaInstance({ id: 'chaos_theory' }, gameRandom(replayed)));
+  await replayActions(replayer, replayed, [inject]);
+
+  assertEq(replayed.chess.fen(), played.chess.fen(), 'final position:');
+  assertEq(JSON.stringify(replayed.arcanaByPlayer), JSON.stringify(played.arcanaByPlayer), 'hands:');
+  assertEq(replayed.rng.state.join(','), played.rng.state.join(','), 'generator state:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,141 @@
+import { GameManager } from '../gameManager.js';
+import { LobbyManager } from '../lobbyManager.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const emitted = [];
+  const io = {
+    to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+    sockets: { sockets: { get: () => undefined } },
+  };
+  const lobbyManager = { lobbies: new Map(), socketToLobby: new Map() };
+  return { gm: new GameManager(io, lobbyManager), emitted };
+}
+
+function startLobbyGame(gm, { isPrivate = false, omniscientSpectators = false } = {}) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    name: 'Spectated',
+    code: 'ABC123',
+    isPrivate,
+    omniscientSpectators,
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+const white = { id: 'sock-white' };
+const black = { id: 'sock-black' };
+const watcher = { id: 'sock-watcher' };
+
+console.log('\n--- Spectator Tests ---');
+
+await test('a third socket is still refused by the lobby', () => {
+  const lobbies = new LobbyManager();
+  const fakeSocket = (id) => ({ id, join: () => {} });
+  const lobby = lobbies.createLobby(fakeSocket('host'), { omniscientSpectators: true });
+  assertEq(lobby.omniscientSpectators, true, 'lobby setting stored:');
+  lobbies.joinLobby(fakeSocket('guest'), { code: lobby.code });
+  let error = null;
+  try { lobbies.joinLobby(fakeSocket('third'), { code: lobby.code }); } catch (err) { error = err; }
+  assert(error && /full/.test(error.message), 'expected a full-lobby error');
+});
+
+await test('spectators join a running game by lobby code and see both hands hidden', () => {
+  const { gm } = createManager();
+  const gameState = startLobbyGame(gm);
+  gameState.arcanaByPlayer['sock-white'].push({ id: 'execution', instanceId: 'i1' });
+  gameState.arcanaByPlayer['sock-black'].push({ id: 'shield_pawn', instanceId: 'i2' });
+
+  const view = gm.addSpectator(watcher, { code: 'abc123' });
+  assertEq(view.id, gameState.id, 'game found by code:');
+  assertEq(view.spectator, true, 'spectator flag:');
+  assertEq(view.spectatorCount, 1, 'count:');
+  assertEq(view.arcanaByPlayer['sock-white'][0].hidden, true, 'white hand hidden:');
+  assertEq(view.arcanaByPlayer['sock-black'][0].hidden, true, 'black hand hidden:');
+  assertEq(view.arcanaByPlayer['sock-white'][0].id, undefined, 'no card ids leak:');
+});
+
+await test('spectators receive live updates and players see the count', async () => {
+  const { gm, emitted } = createManager();
+  const gameState = startLobbyGame(gm);
+  gm.addSpectator(watcher, { gameId: gameState.id });
+  const playerUpdate = emitted.filter((e) => e.room === 'sock-white' && e.event === 'gameUpdated').pop();
+  assertEq(playerUpdate?.data.spectatorCount, 1, 'players are told about the spectator:');
+
+  emitted.length = 0;
+  await gm.handlePlayerAction(white, { move: { from: 'e2', to: 'e4' } });
+  const update = emitted.filter((e) => e.room === 'sock-watcher' && e.event === 'gameUpdated').pop();
+  assert(update, 'spectator got an update');
+  assertEq(update.data.fen, gameState.chess.fen(), 'spectator sees the move:');
+
+  gm.removeSpectator(watcher.id);
+  assertEq(gameState.spectatorIds.length, 0, 'spectator removed:');
+  emitted.length = 0;
+  await gm.handlePlayerAction(black, { move: { from: 'e7', to: 'e5' } });
+  assertEq(emitted.filter((e) => e.room === 'sock-watcher').length, 0, 'no updates after leaving:');
+});
+
+await test('Fog of War is respected unless spectators are omniscient', () => {
+  const { gm } = createManager();
+  const fogged = startLobbyGame(gm);
+  fogged.activeEffects.fogOfWar.w = true;
+  const view = gm.serialiseGameStateForSpectator(fogged);
+  assert(view.displayFen && !/[A-Z]/.test(view.displayFen.split(' ')[0]), 'white pieces hidden from spectators');
+  assertEq(view.fogActive, 'w', 'fog flag:');
+
+  fogged.activeEffects.fogOfWar.b = true;
+  const both = gm.serialiseGameStateForSpectator(fogged);
+  assertEq(both.displayFen.split(' ')[0], '8/8/8/8/8/8/8/8', 'both fogs apply:');
+
+  const { gm: gm2 } = createManager();
+  const omniscient = startLobbyGame(gm2, { omniscientSpectators: true });
+  omniscient.activeEffects.fogOfWar.w = true;
+  const revealed = gm2.serialiseGameStateForSpectator(omniscient);
+  assertEq(revealed.displayFen, undefined, 'omniscient spectators see the real board:');
+  assertEq(revealed.omniscientSpectators, true, 'setting echoed:');
+});
+
+await test('private games are hidden from the live list and need their code', () => {
+  const { gm } = createManager();
+  const gameState = startLobbyGame(gm, { isPrivate: true });
+  assertEq(gm.listLiveGames().length, 0, 'private game not listed:');
+  let error = null;
+  try { gm.addSpectator(watcher, { gameId: gameState.id }); } catch (err) { error = err; }
+  assert(error && /private/.test(error.message), 'id alone is refused');
+  assertEq(gm.addSpectator(watcher, { code: 'ABC123' }).id, gameState.id, 'code works:');
+
+  error = null;
+  try { gm.addSpectator(white, { code: 'ABC123' }); } catch (err) { error = err; }
+  assert(error && /playing/.test(error.message), 'players cannot spectate themselves');
+});
+
+await test('spectators are told when the game ends', () => {
+  const { gm, emitted } = createManager();
+  const gameState = startLobbyGame(gm);
+  assertEq(gm.listLiveGames()[0].name, 'Spectated', 'public game listed:');
+  gm.addSpectator(watcher, { code: 'ABC123' });
+  gm.forfeitGame(white, {});
+  const ended = emitted.find((e) => e.room === 'sock-watcher' && e.event === 'gameEnded');
+  assert(ended, 'spectator got gameEnded');
+  assertEq(ended.data.type, 'forfeit', 'outcome:');
+  assertEq(ended.data.spectator, true, 'flagged as spectator outcome:');
+  assertEq(gm.spectatorToGame.has(watcher.id), false, 'spectator released:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describeStudioCardDiff, diffStudioCards } from '../../shared/arcana/studio/studioCardDiff.js';
+import {
+  diffStudioCardVersions,
+  listStudioCardVersions,
+  readStudioCardVersion,
+  recordStudioCardVersion,
+  rollbackStudioCard,
+} from '../../shared/arcana/studio/studioCardHistory.js';
+import { saveStudioCardToRepo } from '../studio/studioCardSaver.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function makeCard(overrides = {}) {
+  return {
+    id: 'history_card',
+    name: 'History Card',
+    durationMs: 1500,
+    meta: { updatedAt: 1 },
+    tracks: {
+      camera: [{ id: 'cam', name: 'Main', keys: [{ id: 'k0', timeMs: 0, fov: 55 }, { id: 'k1', timeMs: 800, fov: 40 }] }],
+      sounds: [{ id: 'snd', name: 'Hits', keys: [{ id: 's0', timeMs: 300, soundId: 'arcana:execution', volume: 1 }] }],
+    },
+    ...overrides,
+  };
+}
+
+async function withTempRepo(fn) {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'arcana-history-'));
+  try {
+    await fn(repoRoot);
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+}
+
+console.log('\n--- Arcana Studio History Tests ---');
+
+await test('diffs report changed keys per track and timing shifts', () => {
+  const before = makeCard();
+  const after = makeCard({ durationMs: 1800, meta: { updatedAt: 2 } });
+  after.tracks.camera[0].keys = [{ id: 'k0', timeMs: 0, fov: 55 }, { id: 'k1', timeMs: 950, fov: 35 }, { id: 'k2', timeMs: 1400, fov: 60 }];
+  after.tracks.events = [{ id: 'evt', name: 'Impact', keys: [{ id: 'e0', timeMs: 900, type: 'highlight' }] }];
+  delete after.tracks.sounds;
+
+  const diff = diffStudioCards(before, after);
+  assertEq(diff.fields.map((field) => field.path).join(','), 'durationMs', 'card fields (updatedAt ignored):');
+  const camera = diff.tracks.find((track) => track.kind === 'camera');
+  assertEq(camera.keys.shifted[0].toMs - camera.keys.shifted[0].fromMs, 150, 'shift:');
+  assertEq(camera.keys.changed[0].fields.join(','), 'fov', 'changed key fields:');
+  assertEq(camera.keys.added[0].timeMs, 1400, 'added key:');
+  assertEq(diff.tracks.find((track) => track.kind === 'events').change, 'added', 'added track:');
+  assertEq(diff.tracks.find((track) => track.kind === 'sounds').change, 'removed', 'removed track:');
+
+  const lines = describeStudioCardDiff(diff);
+  assert(lines.includes('    key moved 800ms -> 950ms (+150ms)'), `summary: ${lines.join(' | ')}`);
+  assert(diffStudioCards(before, makeCard({ meta: { updatedAt: 99 } })).identical, 'a re-save alone is no change');
+});
+
+await test('versions are numbered per card and unchanged cards are not stored twice', async () => {
+  await withTempRepo(async (repoRoot) => {
+    const first = await recordStudioCardVersion(repoRoot, makeCard(), { author: 'ana', source: 'apply' });
+    const again = await recordStudioCardVersion(repoRoot, makeCard({ meta: { updatedAt: 5 } }), { author: 'ben' });
+    const second = await recordStudioCardVersion(repoRoot, makeCard({ durationMs: 2000 }), { author: 'ben', source: 'studio' });
+    assertEq(`${first.version}/${again.version}/${second.version}`, '1/1/2', 'versions:');
+
+    const list = await listStudioCardVersions(repoRoot, 'history_card');
+    assertEq(list.map((entry) => `${entry.version}:${entry.author}:${entry.source}`).join(' '), '1:ana:apply 2:ben:studio', 'list:');
+    assert(!('card' in list[0]), 'list leaves card bodies out');
+    assert(!Number.isNaN(Date.parse(list[0].savedAt)), 'timestamp');
+
+    const { diff } = await diffStudioCardVersions(repoRoot, 'history_card', 1);
+    assertEq(diff.fields[0]?.path, 'durationMs', 'v1 -> latest:');
+  });
+});
+
+await test('rollback restores an old version as a new one', async () => {
+  await withTempRepo(async (repoRoot) => {
+    await saveStudioCardToRepo(makeCard(), { repoRoot, author: 'ana' });
+    const { version } = await saveStudioCardToRepo(makeCard({ durationMs: 2400 }), { repoRoot, author: 'ana' });
+    assertEq(version, 2, 'saves are recorded:');
+
+    const entry = await rollbackStudioCard(repoRoot, 'history_card', 1, { author: 'cy' });
+    assertEq(`${entry.version}:${entry.source}:${entry.rolledBackTo}:${entry.author}`, '3:rollback:1:cy', 'rollback entry:');
+    const module = fs.readFileSync(path.join(repoRoot, 'shared/arcana/studio/cards/history_card.js'), 'utf8');
+    assert(module.includes('"durationMs": 1500'), 'card module holds v1 again');
+    assertEq((await readStudioCardVersion(repoRoot, 'history_card', 'latest')).card.durationMs, 1500, 'latest:');
+
+    let error = null;
+    await rollbackStudioCard(repoRoot, 'history_card', 9).catch((err) => { error = err; });
+    assert(/No version 9/.test(error?.message), `missing version, got ${error?.message}`);
+  });
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { prepareStudioCard, saveStudioCardToRepo } from '../studio/studioCardSaver.js';
+import { applyLiveStudioCard, getCutsceneCard } from '../../client/src/game/arcana/cutsceneDefinitions.js';
+import { STUDIO_CARD_OVERRIDES } from '../../shared/arcana/studio/studioCutsceneOverrides.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+async function assertRejects(fn, pattern, msg = '') {
+  try { await fn(); } catch (e) {
+    if (!pattern.test(e.message)) throw new Error(`${msg} wrong error: ${e.message}`);
+    return;
+  }
+  throw new Error(`${msg} expected an error`);
+}
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+const CARD = {
+  id: 'studio_test_card',
+  name: 'Studio Test Card',
+  durationMs: 1200,
+  tracks: {
+    camera: [{ id: 'cam_1', name: 'Main', keys: [{ timeMs: 0 }, { timeMs: 900, fov: 40 }] }],
+    events: [{ id: 'evt_1', keys: [{ timeMs: 600, type: 'highlight' }] }],
+  },
+};
+
+console.log('\n--- Arcana Studio Save Tests ---');
+
+await test('cards are checked before they are written', async () => {
+  await assertRejects(() => saveStudioCardToRepo(null), /must be an object/, 'null:');
+  await assertRejects(() => saveStudioCardToRepo({ ...CARD, id: '../server/index' }), /Card ids/, 'path in id:');
+  await assertRejects(() => saveStudioCardToRepo({ ...CARD, tracks: null }), /no tracks/, 'tracks:');
+  await assertRejects(() => saveStudioCardToRepo({ ...CARD, durationMs: 0 }), /positive durationMs/, 'duration:');
+  assertEq(prepareStudioCard(CARD).version, 1, 'migrated to the current version:');
+});
+
+await test('a saved card gets a module and an entry in the overrides index', async () => {
+  const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'arcana-studio-'));
+  try {
+    const { id, filePath } = await saveStudioCardToRepo(CARD, { repoRoot });
+    assertEq(id, 'studio_test_card', 'id:');
+    assertEq(path.relative(repoRoot, filePath), path.join('shared', 'arcana', 'studio', 'cards', 'studio_test_card.js'), 'module path:');
+
+    const index = fs.readFileSync(path.join(repoRoot, 'shared/arcana/studio/studioCutsceneOverrides.js'), 'utf8');
+    assert(index.includes("from './cards/studio_test_card.js'"), 'index imports the card');
+    const written = await import(pathToFileURL(path.join(repoRoot, 'shared/arcana/studio/studioCutsceneOverrides.js')).href);
+    assertEq(written.STUDIO_CARD_OVERRIDES.studio_test_card.tracks.camera[0].keys[1].fov, 40, 'camera key survives:');
+  } finally {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  }
+});
+
+await test('live cards replace the bundled timeline until reload', () => {
+  const bundled = getCutsceneCard('execution');
+  assertEq(bundled.durationMs, STUDIO_CARD_OVERRIDES.execution.durationMs, 'bundled duration:');
+
+  assertEq(applyLiveStudioCard({ id: 'execution' }), false, 'a card without tracks is ignored:');
+  const edited = prepareStudioCard({ ...STUDIO_CARD_OVERRIDES.execution, durationMs: bundled.durationMs + 500 });
+  assertEq(applyLiveStudioCard(edited), true, 'applied:');
+  assertEq(getCutsceneCard('execution').durationMs, bundled.durationMs + 500, 'live duration:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  formatArcanaStudioTimingSheet,
+  renderArcanaStudioStoryboard,
+  renderStoryboardFrameSvg,
+} from '../../client/src/game/arcana/studio/arcanaStudioStoryboard.js';
+import { writeStudioStoryboard } from '../../shared/arcana/studio/render_studio_cutscene.js';
+import { STUDIO_CARD_OVERRIDE as executionCard } from '../../shared/arcana/studio/cards/execution.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+const storyCard = {
+  version: 1,
+  id: 'story_card',
+  durationMs: 950,
+  tracks: {
+    camera: [{ id: 'cam', name: 'Main', keys: [
+      { id: 'c0', timeMs: 0, position: [0, 4, 4], target: [0, 0, 0], fov: 60, easing: 'linear' },
+      { id: 'c1', timeMs: 500, position: [0, 2, 2], target: [0, 0, 0], fov: 40, easing: 'linear' },
+    ] }],
+    objects: [
+      { id: 'hero', name: 'Hero', type: 'mesh', pieceSquare: 'dash2', keys: [
+        { id: 'o0', timeMs: 0, position: [0, 0, 0], easing: 'linear' },
+        { id: 'o1', timeMs: 500, position: [0, 1, 0], easing: 'linear' },
+      ] },
+      { id: 'halo', name: 'Halo', type: 'part', attach: { mode: 'follow', targetId: 'hero', offset: [0, 0.5, 0] }, keys: [] },
+    ],
+    particles: [{ id: 'sparks', name: 'Sparks', attach: { targetId: 'halo' }, params: { renderStyle: 'spark', spawnRadius: 0.5, emissionRate: 10 }, keys: [
+      { id: 'p0', timeMs: 0, enabled: false },
+      { id: 'p1', timeMs: 250, enabled: true, overrides: { emissionRate: 30 } },
+    ] }],
+    overlays: [{ id: 'title', name: 'Title', content: 'Strike', keys: [
+      { id: 'v0', timeMs: 0, x: 50, y: 50, opacity: 0, easing: 'linear' },
+      { id: 'v1', timeMs: 500, x: 50, y: 50, opacity: 1, easing: 'linear' },
+    ] }],
+    sounds: [{ id: 'snd', name: 'SFX', keys: [{ id: 's0', timeMs: 300, soundId: 'arcana:smash', volume: 0.8 }] }],
+    events: [{ id: 'evt', name: 'Beats', keys: [
+      { id: 'e0', timeMs: 100, delayMs: 820, type: 'camera:focus', payload: { anchor: 'displaced1' } },
+      { id: 'e1', timeMs: 0, type: 'custom', payload: {} },
+    ] }],
+  },
+};
+
+const eventParams = { targetSquare: 'd4', dashPath: ['d5', 'd6'], displaced: [{ from: 'd6', to: 'c7' }] };
+
+console.log('\n--- Arcana Studio Storyboard Tests ---');
+
+await test('samples every track at a fixed fps, ending on durationMs', () => {
+  const storyboard = renderArcanaStudioStoryboard(storyCard, { eventParams, fps: 4 });
+  assertEq(storyboard.frames.map((frame) => frame.timeMs).join(','), '0,250,500,750,950', 'frame times:');
+
+  const frame = storyboard.frames[1];
+  assertEq(frame.camera.fov, 50, 'camera fov halfway:');
+  assertEq(frame.camera.position.join(','), '-0.5,3.15,3.5', 'camera is anchored on d4:');
+
+  const [hero, halo] = frame.objects;
+  assertEq(hero.square, 'd6', 'dash2 resolves through the event params:');
+  assertEq(hero.worldPosition.join(','), '-0.5,0.65,-1.5', 'hero position:');
+  assertEq(halo.worldPosition.join(','), '-0.5,1.15,-1.5', 'attached child follows its parent:');
+
+  assertEq(storyboard.frames[0].particles[0].active, false, 'emitter off at 0ms:');
+  const sparks = frame.particles[0];
+  assert(sparks.active && sparks.emissionRate === 30 && sparks.renderStyle === 'spark', `sparks: ${JSON.stringify(sparks)}`);
+  assertEq(sparks.position.join(','), halo.worldPosition.join(','), 'emitter sits on the halo:');
+  assertEq(frame.overlays[0].opacity, 0.5, 'overlay fades in:');
+  assertEq(frame.overlays[0].text, 'Strike', 'overlay text:');
+});
+
+await test('timing sheet lists sounds and events with delays and resolved actions', () => {
+  const storyboard = renderArcanaStudioStoryboard(storyCard, { eventParams, fps: 4 });
+  const { sounds, events } = storyboard.timing;
+  assertEq(sounds[0].url, '/sounds/arcana/smash.mp3', 'sound url:');
+  assertEq(events.map((event) => `${event.timeMs}:${event.actions.join('+') || event.type}`).join(' '), '0:custom 920:camera:c7', 'events:');
+  assertEq(storyboard.frames[2].sounds.join(','), 'arcana:smash', 'sound cue lands in the 500ms frame:');
+  assertEq(storyboard.frames[4].events.join(','), 'camera:c7', 'delayed event lands in the last frame:');
+
+  const sheet = formatArcanaStudioTimingSheet(storyboard);
+  assert(sheet.includes('| 300 | sound | SFX | arcana:smash | vol 0.8 · pitch 1 |'), sheet);
+  assert(sheet.includes('| 0 | event | Beats | custom | (no action) |'), sheet);
+});
+
+await test('renders are deterministic SVG and JSON files', async () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arcana-storyboard-'));
+  try {
+    const params = { targetSquare: 'e4', square: 'e4' };
+    const { storyboard } = await writeStudioStoryboard(executionCard, outDir, { fps: 5, eventParams: params });
+    const again = renderArcanaStudioStoryboard(executionCard, { fps: 5, eventParams: params });
+    const written = JSON.parse(fs.readFileSync(path.join(outDir, 'storyboard.json'), 'utf8'));
+    assertEq(JSON.stringify(written), JSON.stringify(again), 'same input, same storyboard:');
+
+    const frames = fs.readdirSync(path.join(outDir, 'frames')).sort();
+    assertEq(frames.length, storyboard.frames.length, 'one svg per frame:');
+    assertEq(frames[0], 'frame_0000.svg', 'frame names:');
+    const svg = fs.readFileSync(path.join(outDir, 'frames', frames[4]), 'utf8');
+    assert(svg.startsWith('<svg') && svg.includes('execution · frame 4 · 800ms / 2000ms'), 'frame header');
+    assert(svg.includes('▶ vfx:execution@e4'), 'cues fired since the previous frame are listed');
+    assertEq(svg, renderStoryboardFrameSvg(again, again.frames[4]), 'svg is stable:');
+    assert(fs.readFileSync(path.join(outDir, 'timing.md'), 'utf8').startsWith('# execution timing'), 'timing sheet written');
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,115 @@
+import {
+  copyArcanaStudioTracks,
+  createArcanaStudioTemplate,
+  insertArcanaStudioTemplate,
+} from '../../client/src/game/arcana/studio/arcanaStudioTemplates.js';
+import { validateArcanaStudioCard } from '../../client/src/game/arcana/studio/arcanaStudioValidator.js';
+import { STUDIO_TEMPLATES } from '../../shared/arcana/studio/studioTemplates.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function makeSource() {
+  return {
+    version: 1,
+    id: 'source_card',
+    durationMs: 2000,
+    tracks: {
+      camera: [{ id: 'cam_a', name: 'Main', keys: [{ id: 'ck_0', timeMs: 400, fov: 50 }, { id: 'ck_1', timeMs: 900, fov: 30 }] }],
+      objects: [
+        { id: 'obj_piece', name: 'Main Piece', type: 'piece', pieceSquare: 'e4', keys: [{ id: 'ok_0', timeMs: 500, position: [0, 1, 0] }] },
+        { id: 'obj_glow', name: 'Glow', type: 'mesh', attach: { targetId: 'obj_piece', offset: [0, 0.5, 0] }, keys: [] },
+      ],
+      sounds: [{ id: 'snd_a', name: 'Hits', keys: [{ id: 'sk_0', timeMs: 600, soundId: 'arcana:smash' }] }],
+      events: [{ id: 'evt_a', name: 'Beats', keys: [
+        { id: 'ek_0', timeMs: 400, type: 'camera:focus', payload: { anchor: 'e4' } },
+        { id: 'ek_1', timeMs: 700, delayMs: 300, type: 'highlight', payload: { squares: ['e4', 'd5'] } },
+      ] }],
+    },
+  };
+}
+
+function makeTarget() {
+  return {
+    version: 1,
+    id: 'target_card',
+    durationMs: 1000,
+    tracks: {
+      camera: [{ id: 'cam_t', name: 'Main', keys: [{ id: 't0', timeMs: 0, fov: 55 }, { id: 't1', timeMs: 300, fov: 60 }, { id: 't2', timeMs: 900, fov: 45 }] }],
+      objects: [{ id: 'obj_main', name: 'Main Piece', type: 'piece', pieceSquare: 'target', keys: [{ id: 'm0', timeMs: 0 }] }],
+      sounds: [],
+      events: [],
+    },
+  };
+}
+
+console.log('\n--- Arcana Studio Template Tests ---');
+
+await test('templates rebase key times and turn squares into slots', () => {
+  const template = createArcanaStudioTemplate(makeSource(), {
+    id: 'strike',
+    trackIds: ['obj_glow', 'evt_a'],
+    kinds: ['camera'],
+    squares: { e4: 'target' },
+  });
+  assertEq(template.source.trackIds.join(','), 'cam_a,obj_glow,evt_a', 'picked tracks:');
+  assertEq(template.tracks.camera[0].keys[0].timeMs, 0, 'first key starts the template:');
+  assertEq(template.durationMs, 600, 'span includes the event delay:');
+  assertEq(template.slots.join(','), 'target,d5', 'slots:');
+  assertEq(template.tracks.objects[0].attach.targetId, null, 'link to a track left behind is dropped:');
+  assertEq(makeSource().tracks.camera[0].keys[0].timeMs, 400, 'source card is untouched');
+
+  let error = null;
+  try { createArcanaStudioTemplate(makeSource(), { id: 'empty', trackIds: ['nope'] }); } catch (err) { error = err; }
+  assert(/No tracks/.test(error?.message), 'empty selection is refused');
+});
+
+await test('inserting offsets, retargets and merges the camera into the card', () => {
+  const template = createArcanaStudioTemplate(makeSource(), { id: 'strike', kinds: ['camera', 'objects', 'events'], squares: { e4: 'target' } });
+  const target = makeTarget();
+  const { card, inserted } = insertArcanaStudioTemplate(target, template, { offsetMs: 600, retarget: { target: 'dash1' } });
+
+  assertEq(card.tracks.camera.length, 1, 'one camera track:');
+  assertEq(card.tracks.camera[0].keys.map((key) => `${key.timeMs}:${key.fov}`).join(' '), '0:55 300:60 600:50 1100:30', 'camera keys in the span are replaced:');
+  assertEq(card.tracks.objects.length, 3, 'piece on dash1 does not merge into the target piece:');
+  const [, piece, glow] = card.tracks.objects;
+  assertEq(piece.pieceSquare, 'dash1', 'retargeted piece:');
+  assertEq(glow.attach.targetId, piece.id, 'attachment follows the fresh ids:');
+  assert(piece.id !== 'obj_piece', 'fresh track ids');
+  const [focus, highlight] = card.tracks.events[0].keys;
+  assertEq(`${focus.timeMs}:${focus.payload.anchor}`, '600:dash1', 'event anchor:');
+  assertEq(highlight.payload.squares.join(','), 'dash1,d5', 'square lists are retargeted:');
+  assertEq(card.durationMs, 1200, 'duration grows to fit:');
+  assertEq(inserted.objects, 2, 'inserted count:');
+  assertEq(target.tracks.camera[0].keys.length, 3, 'target card is untouched');
+  assert(validateArcanaStudioCard(card).valid, 'result validates');
+});
+
+await test('copying tracks between cards keeps the main piece single', () => {
+  const { card } = copyArcanaStudioTracks(makeSource(), makeTarget(), ['obj_piece'], { retarget: { e4: 'target' } });
+  assertEq(card.tracks.objects.length, 1, 'piece track merged:');
+  assertEq(card.tracks.objects[0].keys.map((key) => key.timeMs).join(','), '0', 'piece key lands at the offset:');
+});
+
+await test('shipped presets come from Execution and Time Freeze', () => {
+  const strike = STUDIO_TEMPLATES.execution_strike;
+  const stasis = STUDIO_TEMPLATES.time_freeze_stasis;
+  assertEq(strike?.source.cardId, 'execution', 'execution preset:');
+  assertEq(stasis?.source.cardId, 'time_freeze', 'time freeze preset:');
+  assertEq(stasis.slots.join(','), 'target', 'time freeze preset is aimed at the target:');
+
+  const { card } = insertArcanaStudioTemplate(makeTarget(), stasis, { offsetMs: 100, retarget: { target: 'displaced1' } });
+  const anchors = card.tracks.events.flatMap((track) => track.keys).map((key) => key.payload?.anchor).filter(Boolean);
+  assert(anchors.length > 0 && anchors.every((anchor) => anchor === 'displaced1'), `anchors: ${anchors.join(',')}`);
+  assertEq(card.durationMs, 100 + stasis.durationMs, 'duration:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
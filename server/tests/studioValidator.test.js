@@ -0,0 +1,122 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateArcanaStudioCard } from '../../client/src/game/arcana/studio/arcanaStudioValidator.js';
+import { migrateArcanaStudioCard } from '../../client/src/game/arcana/studio/arcanaStudioSchema.js';
+import { validateStudioCardFiles } from '../../shared/arcana/studio/validate_studio_cards.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+const KNOWN_SOUNDS = new Set(['/sounds/arcana/whoosh.mp3', '/sounds/ui/capture.mp3']);
+const soundExists = (url) => KNOWN_SOUNDS.has(url);
+
+function makeCard() {
+  return {
+    version: 1,
+    id: 'lint_card',
+    name: 'Lint Card',
+    durationMs: 1000,
+    tracks: {
+      camera: [{ id: 'cam', name: 'Main', keys: [{ id: 'c0', timeMs: 0, position: [0, 7, 7], target: [0, 0, 0], fov: 55 }, { id: 'c1', timeMs: 600, fov: 40 }] }],
+      objects: [{ id: 'obj', name: 'Piece', type: 'piece', pieceSquare: 'target', keys: [{ id: 'o0', timeMs: 0, scale: [1, 1, 1] }] }],
+      particles: [{ id: 'pt', name: 'Sparks', params: { renderStyle: 'spark' }, keys: [{ id: 'p0', timeMs: 100 }] }],
+      sounds: [{ id: 'snd', name: 'SFX', keys: [{ id: 's0', timeMs: 200, soundId: 'arcana:whoosh', volume: 1 }] }],
+      events: [{ id: 'evt', name: 'Events', keys: [
+        { id: 'e0', timeMs: 300, type: 'camera:focus', payload: { anchor: 'dash2' } },
+        { id: 'e1', timeMs: 400, type: 'sound_play', payload: { soundId: 'capture' } },
+        { id: 'e2', timeMs: 500, type: 'overlay:flash', payload: {} },
+      ] }],
+    },
+  };
+}
+
+function paths(issues) {
+  return issues.map((issue) => issue.path).join(',');
+}
+
+console.log('\n--- Arcana Studio Validator Tests ---');
+
+await test('a well-formed card passes', () => {
+  const report = validateArcanaStudioCard(makeCard(), { soundExists });
+  assert(report.valid, `unexpected errors: ${JSON.stringify(report.errors)}`);
+  assertEq(report.warnings.length, 0, 'warnings:');
+});
+
+await test('reports what migration would silently repair, with JSON paths', () => {
+  const card = makeCard();
+  card.tracks.camera[0].keys[1].fov = 170;
+  card.tracks.camera[0].keys[0].target = [0, 'up', 0];
+  card.tracks.particles[0].params.renderStyle = 'glitter';
+  card.tracks.sounds[0].keys[0].timeMs = 1400;
+  card.tracks.events[0].keys[2].delayMs = 700;
+
+  const { errors } = validateArcanaStudioCard(card, { soundExists });
+  assertEq(paths(errors), [
+    'tracks.camera[0].keys[0].target',
+    'tracks.camera[0].keys[1].fov',
+    'tracks.particles[0].params.renderStyle',
+    'tracks.sounds[0].keys[0].timeMs',
+    'tracks.events[0].keys[2].delayMs',
+  ].join(','), 'paths:');
+
+  const migrated = migrateArcanaStudioCard(card, card.id);
+  assertEq(migrated.tracks.camera[0].keys[1].fov, 140, 'migration clamps the same FOV:');
+});
+
+await test('catches missing sounds, dead event actions, bad aliases and camera overlaps', () => {
+  const card = makeCard();
+  card.tracks.sounds[0].keys[0].soundId = 'arcana:does_not_exist';
+  card.tracks.objects[0].pieceSquare = 'source';
+  card.tracks.events[0].keys[0].payload.anchor = 'z9';
+  card.tracks.events[0].keys.push({ id: 'e3', timeMs: 800, type: 'sound_glow', payload: {} });
+  card.tracks.camera[0].keys.push({ id: 'c2', timeMs: 600, fov: 30 });
+  card.tracks.camera.push({ id: 'cam2', name: 'Alt', keys: [{ id: 'k0', timeMs: 500 }, { id: 'k1', timeMs: 900 }] });
+
+  const { errors, warnings } = validateArcanaStudioCard(card, { soundExists });
+  const byPath = Object.fromEntries(errors.map((issue) => [issue.path, issue.message]));
+  assert(/public\/sounds\/arcana\/does_not_exist\.mp3/.test(byPath['tracks.sounds[0].keys[0].soundId']), 'missing sound file');
+  assert(/"source" does not resolve/.test(byPath['tracks.objects[0].pieceSquare']), 'unresolved pieceSquare');
+  assert(byPath['tracks.events[0].keys[0].payload.anchor'], 'unresolved anchor');
+  assert(/no runtime action/.test(byPath['tracks.events[0].keys[3].type']), 'legacy sound event without a soundId');
+  assert(/overlaps keys\[1\] at 600ms/.test(byPath['tracks.camera[0].keys[2].timeMs']), 'same-time camera keys');
+  assertEq(paths(warnings), 'tracks.camera[1]', 'overlapping camera tracks warn:');
+  assert(!validateArcanaStudioCard(card).errors.some((issue) => /has no file/.test(issue.message)), 'no file check without soundExists');
+});
+
+await test('CLI helper checks exports and card modules', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arcana-validate-'));
+  try {
+    const broken = makeCard();
+    broken.version = 0;
+    fs.writeFileSync(path.join(dir, 'good.arcana.json'), JSON.stringify(makeCard()));
+    fs.writeFileSync(path.join(dir, 'broken.arcana.json'), JSON.stringify(broken));
+    fs.writeFileSync(path.join(dir, 'module.js'), `export const STUDIO_CARD_OVERRIDE = ${JSON.stringify(makeCard())};\n`);
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    const results = await validateStudioCardFiles([dir]);
+    assertEq(results.length, 3, 'files:');
+    const broke = results.find((result) => result.file.endsWith('broken.arcana.json'));
+    assertEq(paths(broke.errors), 'version', 'broken export:');
+    assert(results.find((result) => result.file.endsWith('module.js')).cardId === 'lint_card', 'module card is loaded');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+await test('the shipped cards pass the CLI', async () => {
+  const results = await validateStudioCardFiles([path.resolve('shared/arcana/studio/cards')]);
+  assert(results.length > 0, 'cards found');
+  const failures = results.flatMap((result) => result.errors.map((issue) => `${result.file} ${issue.path}: ${issue.message}`));
+  assertEq(failures.join('\n'), '', 'errors:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
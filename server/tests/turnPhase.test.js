@@ -0,0 +1,141 @@
+import { Chess } from 'chess.js';
+import { GameManager } from '../gameManager.js';
+import {
+  TURN_PHASES,
+  getAllowedTurnActions,
+  getTurnActionBlockReason,
+  resolveTurnPhase,
+} from '../../shared/turnPhase.js';
+
+function assert(cond, msg = 'Assertion failed') { if (!cond) throw new Error(msg); }
+function assertEq(a, e, msg = '') { if (a !== e) throw new Error(`${msg} expected ${e}, got ${a}`); }
+
+let passed = 0, failed = 0;
+async function test(name, fn) {
+  try { await fn(); console.log(`✅ ${name}`); passed++; } catch (e) { console.log(`❌ ${name}`); console.log('   ' + e.message); failed++; }
+}
+
+function createManager() {
+  const io = { to: () => ({ emit: () => {} }), sockets: { sockets: { get: () => undefined } } };
+  return new GameManager(io, { lobbies: new Map(), socketToLobby: new Map() });
+}
+
+function startMultiplayer(gm) {
+  gm.lobbyManager.lobbies.set('lobby-1', {
+    id: 'lobby-1',
+    players: ['sock-white', 'sock-black'],
+    hostId: 'sock-white',
+    hostColorPreference: 'white',
+    gameMode: 'Ascendant',
+    timeControl: 'unlimited',
+  });
+  const state = gm.startMultiplayerGame({ id: 'sock-white' }, { lobbyId: 'lobby-1' });
+  return gm.games.get(state.id);
+}
+
+function bareState(overrides = {}) {
+  return {
+    chess: new Chess(),
+    status: 'ongoing',
+    playerColors: { 'sock-white': 'white', 'sock-black': 'black' },
+    activeEffects: {},
+    pendingReveal: null,
+    extraMove: null,
+    ...overrides,
+  };
+}
+
+const white = { id: 'sock-white' };
+const black = { id: 'sock-black' };
+
+async function expectError(promise, message) {
+  try {
+    await promise;
+  } catch (err) {
+    assertEq(err.message, message, 'error:');
+    return;
+  }
+  throw new Error(`expected "${message}"`);
+}
+
+console.log('\n--- Turn Phase Tests ---');
+
+await test('phases resolve in priority order', () => {
+  const state = bareState({
+    pendingReveal: { playerId: 'sock-white' },
+    activeEffects: { doubleStrikeActive: { color: 'w', firstKillerSquare: 'e4' } },
+    extraMove: { color: 'w', source: 'queensGambit', square: 'd4' },
+  });
+  assertEq(resolveTurnPhase(state).phase, TURN_PHASES.AWAITING_REVEAL_ACK, 'reveal first:');
+  state.pendingReveal = null;
+  const secondCapture = resolveTurnPhase(state);
+  assertEq(secondCapture.phase, TURN_PHASES.AWAITING_SECOND_CAPTURE, 'then second capture:');
+  assertEq(secondCapture.square, 'e4', 'capturing piece:');
+  state.activeEffects = {};
+  assertEq(resolveTurnPhase(state).source, 'queensGambit', 'then the extra move:');
+  state.status = 'finished';
+  assertEq(resolveTurnPhase(state).phase, TURN_PHASES.GAME_OVER, 'game over wins:');
+});
+
+await test('phases only apply to the side to move', () => {
+  const state = bareState({
+    pendingReveal: { playerId: 'sock-black' },
+    activeEffects: { mindControlled: [{ square: 'b1', controller: 'b', originalColor: 'w' }] },
+    extraMove: { color: 'b', source: 'queensGambit', square: 'd5' },
+  });
+  const phase = resolveTurnPhase(state);
+  assertEq(phase.phase, TURN_PHASES.AWAITING_MOVE, 'white is free:');
+  assertEq(phase.color, 'w', 'colour:');
+
+  state.chess.load('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1');
+  assertEq(resolveTurnPhase(state).phase, TURN_PHASES.AWAITING_REVEAL_ACK, 'black owes the reveal ack:');
+  state.pendingReveal = null;
+  const forced = resolveTurnPhase(state);
+  assertEq(forced.phase, TURN_PHASES.FORCED_PIECE, 'then the controlled piece:');
+  assertEq(forced.square, 'b1', 'controlled square:');
+});
+
+await test('allowed actions by phase and seat', () => {
+  const extra = { phase: TURN_PHASES.EXTRA_MOVE, color: 'w', source: 'queensGambit', square: 'd4' };
+  assertEq(getAllowedTurnActions(extra, 'w').join(','), 'move,negotiate', 'mover:');
+  assertEq(getAllowedTurnActions(extra, 'b').join(','), 'negotiate', 'opponent:');
+  assertEq(getAllowedTurnActions(extra, 'b', { peekPending: true }).join(','), 'negotiate,peekCardSelect', 'pending peek:');
+  assertEq(getTurnActionBlockReason(extra, 'w', 'drawArcana'), 'Make your extra move first', 'mover blocked:');
+  assertEq(getTurnActionBlockReason(extra, 'b', 'drawArcana'), null, 'opponent left to turn checks:');
+  assertEq(getAllowedTurnActions({ phase: TURN_PHASES.GAME_OVER, color: 'w' }, 'w').length, 0, 'game over:');
+});
+
+await test('server serializes the phase and enforces the extra move', async () => {
+  const gm = createManager();
+  const gameState = startMultiplayer(gm);
+  gameState.chess.load('4k3/8/8/8/8/8/8/3QK3 w - - 0 1');
+  gameState.ascended = true;
+  gameState.activeEffects.queensGambit = { w: 1, b: 0 };
+  gameState.activeEffects.queensGambitUsed = { w: false, b: false };
+
+  const opening = gm.serialiseGameStateForViewer(gameState, 'sock-white');
+  assertEq(opening.turnPhase.phase, TURN_PHASES.AWAITING_MOVE, 'opening phase:');
+  assert(opening.allowedActions.includes('drawArcana'), 'draw allowed before moving');
+
+  const result = await gm.handlePlayerAction(white, { move: { from: 'd1', to: 'd4' } });
+  assert(result.extraMove, 'extra move granted');
+  const view = gm.serialiseGameStateForViewer(gameState, 'sock-white');
+  assertEq(view.turnPhase.phase, TURN_PHASES.EXTRA_MOVE, 'extra move phase:');
+  assertEq(view.turnPhase.source, 'queensGambit', 'source:');
+  assertEq(view.allowedActions.join(','), 'move,negotiate', 'mover actions:');
+  assertEq(gm.serialiseGameStateForViewer(gameState, 'sock-black').allowedActions.join(','), 'negotiate', 'opponent actions:');
+
+  await expectError(gm.handlePlayerAction(white, { actionType: 'drawArcana' }), 'Make your extra move first');
+  await expectError(gm.handlePlayerAction(black, { move: { from: 'e8', to: 'f8' } }), 'Not your turn');
+
+  await gm.handlePlayerAction(white, { move: { from: 'd4', to: 'a4' } });
+  assertEq(gameState.extraMove, null, 'grant cleared:');
+  const after = resolveTurnPhase(gameState);
+  assertEq(after.phase, TURN_PHASES.AWAITING_MOVE, 'phase after the extra move:');
+  assertEq(after.color, 'b', 'turn passed:');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
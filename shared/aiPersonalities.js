@@ -0,0 +1,160 @@
+/**
+ * AI personalities: named tunings of the AI, shared by the game setup screen and the server.
+ *
+ * A personality is
+ *   { id, name, description, base, depth?, searchBudgetMs?, randomness?, cardUse?, cardDraw?,
+ *     cardMargin?, arcanaRiskTolerance?, preferredCategories?, weights? }
+ * `base` is the difficulty level (Scholar, Knight, Monarch) whose settings fill every field a
+ * personality leaves out.
+ * - cardUse / cardDraw: chance per turn of considering a card play / a draw;
+ * - cardMargin: how much better a card line must look than the best board move to be played;
+ * - preferredCategories: arcana categories the AI reaches for first;
+ * - weights: multipliers on the evaluation's material, pawn structure and king safety terms.
+ *
+ * Built-in personalities ship with the game; players save their own on the server.
+ */
+
+export const AI_PERSONALITY_LEVELS = Object.freeze(['Scholar', 'Knight', 'Monarch']);
+
+export const AI_PERSONALITY_CATEGORIES = Object.freeze([
+  'offense', 'defense', 'movement', 'utility', 'transformation', 'resurrection', 'special',
+]);
+
+export const AI_PERSONALITY_WEIGHTS = Object.freeze(['material', 'pawnStructure', 'kingSafety']);
+
+/** Allowed range of each numeric field, `[min, max]`; weights share one range. */
+export const AI_PERSONALITY_LIMITS = Object.freeze({
+  depth: [1, 8],
+  searchBudgetMs: [100, 6000],
+  randomness: [0, 1],
+  cardUse: [0, 1],
+  cardDraw: [0, 1],
+  cardMargin: [0, 300],
+  arcanaRiskTolerance: [0, 2],
+  weight: [0, 3],
+});
+
+const NAME_MAX_LENGTH = 30;
+const DESCRIPTION_MAX_LENGTH = 140;
+const NUMERIC_FIELDS = ['depth', 'searchBudgetMs', 'randomness', 'cardUse', 'cardDraw', 'cardMargin', 'arcanaRiskTolerance'];
+
+export const BUILT_IN_AI_PERSONALITIES = Object.freeze([
+  {
+    id: 'hoarder',
+    name: 'Hoarder',
+    description: 'Draws at every chance and sits on its hand until a card wins outright.',
+    base: 'Knight',
+    cardUse: 0.15,
+    cardDraw: 0.45,
+    cardMargin: 160,
+    arcanaRiskTolerance: 0.8,
+    preferredCategories: ['offense'],
+  },
+  {
+    id: 'gambler',
+    name: 'Gambler',
+    description: 'Plays cards freely, takes risks and leaves its king to fate.',
+    base: 'Knight',
+    randomness: 0.15,
+    cardUse: 1,
+    cardMargin: 0,
+    arcanaRiskTolerance: 2,
+    preferredCategories: ['offense', 'transformation', 'special'],
+    weights: { material: 0.9, pawnStructure: 0.7, kingSafety: 0.5 },
+  },
+  {
+    id: 'defensive',
+    name: 'Defensive',
+    description: 'Keeps a tight pawn shell around a safe king and reaches for protection cards.',
+    base: 'Knight',
+    randomness: 0.03,
+    cardUse: 0.5,
+    arcanaRiskTolerance: 0.5,
+    preferredCategories: ['defense'],
+    weights: { material: 1, pawnStructure: 1.4, kingSafety: 1.8 },
+  },
+]);
+
+export function getBuiltInAiPersonality(id) {
+  return BUILT_IN_AI_PERSONALITIES.find((personality) => personality.id === id) || null;
+}
+
+const inRange = (value, [min, max]) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Checks a personality against the fields and ranges above. `id` is not checked: the server
+ * assigns ids to saved personalities.
+ * @param {Object} personality
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateAiPersonality(personality) {
+  const errors = [];
+  if (!personality || typeof personality !== 'object') {
+    return { valid: false, errors: ['A personality must be an object'] };
+  }
+
+  const name = String(personality.name || '').trim();
+  if (!name) errors.push('A personality needs a name');
+  else if (name.length > NAME_MAX_LENGTH) errors.push(`Names are at most ${NAME_MAX_LENGTH} characters`);
+  if (String(personality.description || '').length > DESCRIPTION_MAX_LENGTH) {
+    errors.push(`Descriptions are at most ${DESCRIPTION_MAX_LENGTH} characters`);
+  }
+  if (!AI_PERSONALITY_LEVELS.includes(personality.base)) {
+    errors.push(`Base level must be one of ${AI_PERSONALITY_LEVELS.join(', ')}`);
+  }
+
+  for (const field of NUMERIC_FIELDS) {
+    const value = personality[field];
+    if (value === undefined || value === null) continue;
+    const [min, max] = AI_PERSONALITY_LIMITS[field];
+    if (!inRange(value, AI_PERSONALITY_LIMITS[field])) errors.push(`${field} must be between ${min} and ${max}`);
+  }
+
+  const categories = personality.preferredCategories;
+  if (categories !== undefined && categories !== null) {
+    if (!Array.isArray(categories)) errors.push('preferredCategories must be a list');
+    else {
+      for (const category of categories) {
+        if (!AI_PERSONALITY_CATEGORIES.includes(category)) errors.push(`Unknown arcana category: ${category}`);
+      }
+    }
+  }
+
+  const weights = personality.weights;
+  if (weights !== undefined && weights !== null) {
+    if (typeof weights !== 'object' || Array.isArray(weights)) errors.push('weights must be an object');
+    else {
+      const [min, max] = AI_PERSONALITY_LIMITS.weight;
+      for (const [key, value] of Object.entries(weights)) {
+        if (!AI_PERSONALITY_WEIGHTS.includes(key)) errors.push(`Unknown weight: ${key}`);
+        else if (!inRange(value, AI_PERSONALITY_LIMITS.weight)) errors.push(`${key} weight must be between ${min} and ${max}`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * A validated personality reduced to its known fields, with the name trimmed.
+ * @param {Object} personality - Must pass validateAiPersonality
+ * @returns {Object}
+ */
+export function cleanAiPersonality(personality) {
+  const cleaned = {
+    id: personality.id ? String(personality.id) : null,
+    name: String(personality.name).trim(),
+    description: String(personality.description || '').trim(),
+    base: personality.base,
+  };
+  for (const field of NUMERIC_FIELDS) {
+    if (typeof personality[field] === 'number') cleaned[field] = field === 'depth' ? Math.round(personality[field]) : personality[field];
+  }
+  if (Array.isArray(personality.preferredCategories)) cleaned.preferredCategories = [...new Set(personality.preferredCategories)];
+  if (personality.weights) {
+    cleaned.weights = Object.fromEntries(AI_PERSONALITY_WEIGHTS
+      .filter((key) => typeof personality.weights[key] === 'number')
+      .map((key) => [key, personality.weights[key]]));
+  }
+  return cleaned;
+}
@@ -1,12 +1,12 @@
+import { getArcanaEffectSpec } from './effects/effectSpecs.js';
+
+// Target types of the hand-written cards; spec'd cards declare theirs in effects/effectSpecs.js.
 const TARGET_TYPES = Object.freeze({
   shield_pawn: 'pawn',
   squire_support: 'piece',
   pawn_guard: 'pawn',
-  sanctuary: 'square',
   bishops_blessing: 'bishop',
-  soft_push: 'pieceWithPushTarget',
   royal_swap: 'pawn',
-  knight_of_storms: 'knight',
   execution: 'enemyPiece',
   metamorphosis: 'pieceNoQueenKing',
   sacrifice: 'piece',
@@ -14,7 +14,6 @@ const TARGET_TYPES = Object.freeze({
   promotion_ritual: 'pawn',
   line_of_sight: 'pieceWithMoves',
   antidote: 'poisoned',
-  cursed_square: 'emptySquare',
   mind_control: 'enemyPiece',
   breaking_point: 'enemyPiece',
   edgerunner_overdrive: 'pieceNoKingNoPawnWithMoves',
@@ -57,7 +56,8 @@ function getPieceAt(chess, square) {
   return square ? chess.get(square) : null;
 }
 
-function getSoftPushDestination(square, piece, colorChar) {
+/** Where Soft Push moves a piece: pawns one rank forward, others one step toward the center. */
+export function getSoftPushDestination(square, piece, colorChar) {
   const file = square.charCodeAt(0) - 97;
   const rank = parseInt(square[1], 10);
 
@@ -84,7 +84,7 @@ function hasPriorMove(gameState = {}, moverColor = 'w') {
 }
 
 export function getArcanaTargetType(arcanaId) {
-  return TARGET_TYPES[arcanaId] || null;
+  return getArcanaEffectSpec(arcanaId)?.target || TARGET_TYPES[arcanaId] || null;
 }
 
 export function getArcanaTargetLabel(arcanaId) {
@@ -0,0 +1,130 @@
+import { ARCANA_RARITY_ORDER, getArcanaDefinition, listSortedArcanaDefinitions } from './arcanaCatalog.js';
+
+/**
+ * Arcana decks, shared by the deck builder and the server's draw piles.
+ *
+ * A deck is `{ name, cards }` where `cards` lists arcana ids, one entry per copy.
+ * Players without a deck draw from the full enabled pool, weighted by rarity, as before.
+ *
+ * Rules:
+ * - exactly DECK_SIZE cards;
+ * - at most `DECK_MAX_COPIES[rarity]` copies of a card (`???` cards cannot be decked);
+ * - the summed `DECK_RARITY_COST` of the cards may not exceed DECK_BUDGET.
+ *
+ * In game the deck is shuffled into a draw pile. Draws and card effects take from the top
+ * (effects that want a particular rarity or category take the first match). When the pile
+ * runs out it is rebuilt from the full deck list and reshuffled, so a deck never runs dry.
+ */
+
+export const DECK_SIZE = 20;
+export const DECK_BUDGET = 50;
+export const DECK_RARITY_COST = Object.freeze({ common: 1, uncommon: 2, rare: 3, epic: 5, legendary: 8 });
+export const DECK_MAX_COPIES = Object.freeze({ common: 3, uncommon: 3, rare: 2, epic: 1, legendary: 1 });
+
+const DECK_NAME_MAX_LENGTH = 40;
+
+function copies(entries) {
+  return entries.flatMap(([id, count]) => Array.from({ length: count }, () => id));
+}
+
+export const PREBUILT_DECKS = Object.freeze([
+  {
+    id: 'vanguard',
+    name: 'Vanguard',
+    description: 'Aggressive captures backed by Focus Fire and multi-hit offense.',
+    cards: copies([
+      ['focus_fire', 3], ['pawn_rush', 2], ['soft_push', 2], ['poison_touch', 2],
+      ['double_strike', 2], ['berserker_rage', 2], ['castle_breaker', 1], ['sharpshooter', 1],
+      ['chain_lightning', 1], ['vision', 1], ['filtered_cycle', 2], ['execution', 1],
+    ]),
+  },
+  {
+    id: 'bulwark',
+    name: 'Bulwark',
+    description: 'Shields, sanctuaries and a last-ditch Divine Intervention.',
+    cards: copies([
+      ['shield_pawn', 3], ['pawn_guard', 3], ['squire_support', 2], ['iron_fortress', 2],
+      ['bishops_blessing', 1], ['sanctuary', 2], ['divine_intervention', 1], ['antidote', 2],
+      ['quiet_thought', 2], ['line_of_sight', 2],
+    ]),
+  },
+  {
+    id: 'trickster',
+    name: 'Trickster',
+    description: 'Information, misdirection and card advantage.',
+    cards: copies([
+      ['peek_card', 2], ['map_fragments', 2], ['vision', 2], ['filtered_cycle', 3],
+      ['fog_of_war', 2], ['spectral_march', 2], ['phantom_step', 2], ['cursed_square', 1],
+      ['metamorphosis', 1], ['mirror_image', 1], ['pot_of_greed', 1], ['time_travel', 1],
+    ]),
+  },
+]);
+
+/** Cards the deck builder offers: enabled, non-`???` arcana in rarity order. */
+export function listDeckableArcana() {
+  return listSortedArcanaDefinitions().filter((arcana) => (
+    arcana?.enabledInGame !== false && DECK_MAX_COPIES[arcana.rarity] > 0
+  ));
+}
+
+/** Budget spent by a list of card ids (unknown ids cost nothing; validation reports them). */
+export function getDeckCost(cards) {
+  return (cards || []).reduce((sum, id) => sum + (DECK_RARITY_COST[getArcanaDefinition(id)?.rarity] || 0), 0);
+}
+
+/**
+ * Checks a deck against the rules above.
+ * @param {{ name?: string, cards: string[] }} deck
+ * @returns {{ valid: boolean, errors: string[], size: number, cost: number }}
+ */
+export function validateDeck(deck) {
+  const cards = Array.isArray(deck?.cards) ? deck.cards : [];
+  const errors = [];
+  if (cards.length !== DECK_SIZE) errors.push(`A deck needs exactly ${DECK_SIZE} cards (has ${cards.length})`);
+
+  const counts = new Map();
+  for (const id of cards) counts.set(id, (counts.get(id) || 0) + 1);
+  for (const [id, count] of counts) {
+    const arcana = getArcanaDefinition(id);
+    if (!arcana || arcana.enabledInGame === false) {
+      errors.push(`Unknown or disabled arcana: ${id}`);
+      continue;
+    }
+    const maxCopies = DECK_MAX_COPIES[arcana.rarity] || 0;
+    if (maxCopies === 0) errors.push(`${arcana.name} cannot be put in a deck`);
+    else if (count > maxCopies) errors.push(`At most ${maxCopies} ${maxCopies === 1 ? 'copy' : 'copies'} of ${arcana.name} (${arcana.rarity})`);
+  }
+
+  const cost = getDeckCost(cards);
+  if (cost > DECK_BUDGET) errors.push(`Deck costs ${cost}, over the budget of ${DECK_BUDGET}`);
+  return { valid: errors.length === 0, errors, size: cards.length, cost };
+}
+
+/**
+ * Turns a lobby/AI payload deck into a validated `{ name, cards }`.
+ * Accepts a prebuilt deck id, a `{ name, cards }` object, or nothing (open pool).
+ * @returns {{ name: string, cards: string[] }|null} null means "no deck"
+ */
+export function resolveDeck(deck) {
+  if (deck === null || deck === undefined || deck === '' || deck === 'open') return null;
+  if (typeof deck === 'string') {
+    const prebuilt = PREBUILT_DECKS.find((entry) => entry.id === deck);
+    if (!prebuilt) throw new Error(`Unknown deck: ${deck}`);
+    return { name: prebuilt.name, cards: [...prebuilt.cards] };
+  }
+  const result = validateDeck(deck);
+  if (!result.valid) throw new Error(result.errors[0]);
+  const name = String(deck.name || 'Custom deck').trim().slice(0, DECK_NAME_MAX_LENGTH) || 'Custom deck';
+  return { name, cards: deck.cards.map(String) };
+}
+
+/** Sorts deck card ids by rarity then name, for display. */
+export function sortDeckCards(cards) {
+  return [...(cards || [])].sort((a, b) => {
+    const defA = getArcanaDefinition(a);
+    const defB = getArcanaDefinition(b);
+    const rankDiff = (ARCANA_RARITY_ORDER[defA?.rarity] || 999) - (ARCANA_RARITY_ORDER[defB?.rarity] || 999);
+    if (rankDiff !== 0) return rankDiff;
+    return String(defA?.name || a).localeCompare(String(defB?.name || b));
+  });
+}
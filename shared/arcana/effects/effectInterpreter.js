@@ -0,0 +1,211 @@
+import { getSoftPushDestination, validateArcanaTarget } from '../arcanaContracts.js';
+import { ARCANA_EFFECT_SPECS, getArcanaEffectSpec } from './effectSpecs.js';
+
+/**
+ * Runs the declarative specs in ./effectSpecs.js.
+ *
+ * Shared by the server (authoritative apply, triggers and expiry) and the client
+ * (simulation and move previews). Anything that only one side can do, such as drawing a
+ * card, goes through `hooks`; ops whose hook is missing are skipped.
+ */
+
+const opposite = (color) => (color === 'w' ? 'b' : 'w');
+
+function cloneInitial(value) {
+  if (Array.isArray(value)) return [];
+  return value && typeof value === 'object' ? { ...value } : value;
+}
+
+// activeEffects key -> { initial, expires }, gathered from every spec.
+const STATE_DECLARATIONS = Object.values(ARCANA_EFFECT_SPECS).reduce((acc, spec) => {
+  for (const [key, declaration] of Object.entries(spec.state || {})) acc[key] = declaration;
+  return acc;
+}, {});
+
+function ensureEffect(effects, key) {
+  if (effects[key] === undefined || effects[key] === null) {
+    effects[key] = cloneInitial(STATE_DECLARATIONS[key]?.initial ?? { w: false, b: false });
+  }
+  return effects[key];
+}
+
+function resolve(value, scope) {
+  if (typeof value === 'string' && value.startsWith('$')) return scope.refs[value.slice(1)] ?? null;
+  if (Array.isArray(value)) return value.map((entry) => resolve(entry, scope));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, resolve(nested, scope)]));
+  }
+  return value;
+}
+
+const OPS = {
+  /** `{ key, side, value }` sets one side of a `{ w, b }` effect. */
+  setSide(op, scope) {
+    ensureEffect(scope.effects, op.key)[resolve(op.side, scope)] = resolve(op.value, scope);
+  },
+  /** `{ key, value }` sets both sides. */
+  resetSides(op, scope) {
+    const value = resolve(op.value, scope);
+    scope.effects[op.key] = { w: value, b: value };
+  },
+  /** `{ key, entry }` appends to a list effect such as `sanctuaries`. */
+  push(op, scope) {
+    if (!Array.isArray(scope.effects[op.key])) scope.effects[op.key] = [];
+    scope.effects[op.key].push(resolve(op.entry, scope));
+  },
+  /** `{ square }` */
+  removePiece(op, scope) {
+    scope.chess.remove(resolve(op.square, scope));
+  },
+  /** `{ square, piece: { type, color } }` */
+  placePiece(op, scope) {
+    scope.chess.put(resolve(op.piece, scope), resolve(op.square, scope));
+  },
+  /** `{ from, to }` moves a piece without a chess move (no turn change). */
+  movePiece(op, scope) {
+    const from = resolve(op.from, scope);
+    const piece = scope.chess.get(from);
+    if (!piece) return;
+    scope.chess.remove(from);
+    scope.chess.put(piece, resolve(op.to, scope));
+  },
+  /** `{ rarity, reason }` hands the draw to the host (server only). */
+  drawArcana(op, scope) {
+    scope.hooks.drawArcana?.({ rarity: op.rarity, reason: op.reason }, scope);
+  },
+};
+
+function runOps(ops, scope) {
+  for (const op of ops || []) {
+    const run = OPS[op.op];
+    if (!run) throw new Error(`Unknown effect op: ${op.op}`);
+    run(op, scope);
+  }
+}
+
+// `$name` references available to specs. Taken before any op runs, so `$targetPieceType`
+// still describes the piece after a `movePiece`.
+function makeRefs(chess, moverColor, target) {
+  const targetPiece = target && chess ? chess.get(target) : null;
+  return {
+    self: moverColor,
+    opponent: opposite(moverColor),
+    target,
+    targetPieceType: targetPiece?.type || null,
+    pushDestination: targetPiece ? getSoftPushDestination(target, targetPiece, moverColor) : null,
+  };
+}
+
+function makeScope({ chess, gameState, moverColor, params, hooks }) {
+  gameState.activeEffects = gameState.activeEffects || {};
+  const target = params?.targetSquare || params?.square || params?.pieceSquare || null;
+  return {
+    chess,
+    gameState,
+    effects: gameState.activeEffects,
+    refs: makeRefs(chess, moverColor, target),
+    params: params || {},
+    hooks: hooks || {},
+  };
+}
+
+function interpolate(text, scope) {
+  return text ? text.replace(/\{(\w+)\}/g, (_, name) => scope.refs[name] ?? '') : '';
+}
+
+/**
+ * Plays a spec'd card.
+ * @param {string} arcanaId
+ * @param {{ chess, gameState, moverColor: 'w'|'b', params?, hooks? }} context
+ * @returns {{ ok: true, params, message, visual, highlightSquares, highlightColor }
+ *          | { ok: false, reason: string } | null} null when the card has no spec
+ */
+export function applyArcanaEffectSpec(arcanaId, context) {
+  const spec = getArcanaEffectSpec(arcanaId);
+  if (!spec) return null;
+  if (!context?.moverColor) return { ok: false, reason: 'Missing mover color' };
+
+  const scope = makeScope(context);
+  if (spec.target) {
+    const check = validateArcanaTarget(context.chess, arcanaId, scope.refs.target, context.moverColor, context.gameState);
+    if (!check.ok) return { ok: false, reason: check.reason };
+  }
+
+  runOps(spec.ops, scope);
+  const highlightSquare = spec.highlight ? resolve(spec.highlight.square || '$target', scope) : null;
+  return {
+    ok: true,
+    params: resolve(spec.result || {}, scope),
+    message: interpolate(spec.message, scope),
+    visual: spec.visual || arcanaId,
+    highlightSquares: highlightSquare ? [highlightSquare] : [],
+    highlightColor: spec.highlight?.color || null,
+  };
+}
+
+/**
+ * Fires the `event` triggers ('capture', 'check' or 'turnEnd') of every card whose flag is
+ * set for the mover.
+ * @returns {string[]} Ids of the cards that fired
+ */
+export function runArcanaTriggers(event, context) {
+  const fired = [];
+  const effects = context.gameState.activeEffects || {};
+  for (const [arcanaId, spec] of Object.entries(ARCANA_EFFECT_SPECS)) {
+    const trigger = spec.triggers?.[event];
+    if (!trigger || !effects[trigger.while]?.[context.moverColor]) continue;
+    runOps(trigger.ops, makeScope(context));
+    fired.push(arcanaId);
+  }
+  return fired;
+}
+
+/**
+ * Applies the declared `expires` rules; called once per ply, after the move.
+ * @param {Object} effects - gameState.activeEffects
+ * @param {'w'|'b'} currentTurn - Side to move next
+ */
+export function expireArcanaEffects(effects, currentTurn) {
+  for (const [key, { initial, expires }] of Object.entries(STATE_DECLARATIONS)) {
+    if (expires === 'endOfTurn') {
+      effects[key] = cloneInitial(initial);
+    } else if (expires === 'ownerTurn') {
+      const sides = ensureEffect(effects, key);
+      if (sides[currentTurn]) sides[currentTurn] = cloneInitial(initial)[currentTurn];
+    } else if (expires === 'countdown') {
+      const value = ensureEffect(effects, key);
+      if (Array.isArray(value)) {
+        effects[key] = value.filter((entry) => {
+          entry.turns--;
+          return entry.turns > 0;
+        });
+      } else {
+        for (const color of ['w', 'b']) {
+          if (value[color] > 0) value[color]--;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Extra-move generators that apply to a piece, by the names used in `movement.moves`.
+ * @param {Object} effects - gameState.activeEffects
+ * @param {'w'|'b'} colorChar - Side asking for moves
+ * @param {string} square - Square of the piece
+ * @param {{ type: string }} piece
+ * @returns {string[]}
+ */
+export function getArcanaMovementModifiers(effects, colorChar, square, piece) {
+  const modifiers = [];
+  for (const spec of Object.values(ARCANA_EFFECT_SPECS)) {
+    const movement = spec.movement;
+    if (!movement) continue;
+    const flag = effects?.[movement.flag]?.[colorChar];
+    if (!flag) continue;
+    if (movement.onTarget && flag !== square) continue;
+    if (movement.pieces && !movement.pieces.includes(piece?.type)) continue;
+    modifiers.push(movement.moves);
+  }
+  return modifiers;
+}
@@ -0,0 +1,171 @@
+/**
+ * Declarative Arcana effects, run by ./effectInterpreter.js on the server (authoritative)
+ * and on the client (simulation / previews).
+ *
+ * Cards listed here need no hand-written handler: add a spec and the server, the client
+ * simulation, targeting and move previews all pick it up. Cards that are not listed keep
+ * their handlers in server/arcana/arcanaHandlers.js.
+ *
+ * Spec fields (all optional):
+ * - `target`   TARGET_TYPES entry from ../arcanaContracts.js; `$target` is the picked square.
+ * - `state`    activeEffects keys the card owns: `{ initial, expires }`. `initial` seeds the
+ *              key when it is missing; `expires` is applied at the end of every ply:
+ *                'endOfTurn'  reset both sides to `initial`
+ *                'ownerTurn'  reset a side once its owner is to move again
+ *                'countdown'  per-side numbers tick down to 0; list entries tick `turns`
+ *                             and drop at 0
+ *              Keys without `expires` are cleared by triggers or by the game manager.
+ * - `ops`      State and board operations run when the card is played (see OPS in the
+ *              interpreter). Values may reference `$self`, `$opponent`, `$target`,
+ *              `$targetPieceType` and `$pushDestination`.
+ * - `result`   Params returned to the caller and broadcast with the card.
+ * - `triggers` `{ capture | check | turnEnd: { while, ops } }` run for the mover while
+ *              `activeEffects[while][moverColor]` is truthy.
+ * - `movement` `{ flag, pieces, moves, onTarget }` extra moves while the flag is set; `moves`
+ *              names a generator the move helpers provide, `onTarget` limits it to the piece
+ *              on the square stored in the flag.
+ * - `message`, `visual`, `highlight` client feedback. `{name}` in the message interpolates a
+ *              reference; `highlight` is `{ color, square }` (square defaults to `$target`).
+ */
+
+const SIDES_OFF = Object.freeze({ w: false, b: false });
+const SIDES_EMPTY = Object.freeze({ w: null, b: null });
+const SIDES_ZERO = Object.freeze({ w: 0, b: 0 });
+
+function sideFlag(key, { message, movement, triggers, expires = 'endOfTurn' } = {}) {
+  return {
+    state: { [key]: { initial: SIDES_OFF, expires } },
+    ops: [{ op: 'setSide', key, side: '$self', value: true }],
+    result: { color: '$self' },
+    message,
+    ...(movement ? { movement: { flag: key, ...movement } } : {}),
+    ...(triggers ? { triggers } : {}),
+  };
+}
+
+export const ARCANA_EFFECT_SPECS = Object.freeze({
+  // === DEFENSE ===
+  time_freeze: {
+    state: {
+      timeFrozen: { initial: SIDES_OFF },
+      timeFreezeArcanaLock: { initial: SIDES_OFF },
+    },
+    ops: [
+      { op: 'resetSides', key: 'timeFreezeArcanaLock', value: false },
+      { op: 'resetSides', key: 'timeFrozen', value: false },
+      { op: 'setSide', key: 'timeFrozen', side: '$opponent', value: true },
+    ],
+    result: { frozenColor: '$opponent' },
+    message: "Time Freeze: Opponent's next turn is skipped",
+  },
+  divine_intervention: {
+    state: { divineIntervention: { initial: SIDES_OFF } },
+    ops: [{ op: 'setSide', key: 'divineIntervention', side: '$self', value: { active: true, used: false } }],
+    result: { color: '$self' },
+    message: 'Divine Intervention: Next checkmate will be blocked',
+  },
+  sanctuary: {
+    target: 'square',
+    state: { sanctuaries: { initial: [], expires: 'countdown' } },
+    ops: [{ op: 'push', key: 'sanctuaries', entry: { square: '$target', turns: 4 } }],
+    result: { square: '$target' },
+    message: 'Sanctuary: {target} is safe for 4 turns',
+    highlight: { color: '#ffd700' },
+  },
+
+  // === MOVEMENT ===
+  soft_push: {
+    target: 'pieceWithPushTarget',
+    ops: [{ op: 'movePiece', from: '$target', to: '$pushDestination' }],
+    result: { square: '$target', destSquare: '$pushDestination', piece: '$targetPieceType' },
+    message: 'Soft Push: Moved {target} → {pushDestination}',
+    highlight: { color: '#f2b6a0', square: '$pushDestination' },
+  },
+  spectral_march: sideFlag('spectralMarch', {
+    message: 'Spectral March: Rooks can pass through one friendly piece',
+    movement: { pieces: ['r'], moves: 'spectralMarch' },
+  }),
+  phantom_step: sideFlag('phantomStep', {
+    message: 'Phantom Step: Any piece can move like a knight this turn',
+    movement: { moves: 'knight' },
+  }),
+  pawn_rush: sideFlag('pawnRush', {
+    message: 'Pawn Rush: All pawns can move two squares this turn',
+    movement: { pieces: ['p'], moves: 'pawnRush' },
+  }),
+  knight_of_storms: {
+    target: 'knight',
+    state: { knightOfStorms: { initial: SIDES_EMPTY, expires: 'endOfTurn' } },
+    ops: [{ op: 'setSide', key: 'knightOfStorms', side: '$self', value: '$target' }],
+    result: { knightSquare: '$target', color: '$self' },
+    movement: { flag: 'knightOfStorms', pieces: ['n'], moves: 'knightOfStorms', onTarget: true },
+    message: 'Knight of Storms: Knight at {target} can move within 2-square radius',
+  },
+  queens_gambit: {
+    // The extra-move counter is consumed by the game manager's queen-move check.
+    state: { queensGambit: { initial: SIDES_ZERO } },
+    ops: [{ op: 'setSide', key: 'queensGambit', side: '$self', value: 1 }],
+    result: { color: '$self' },
+    message: "Queen's Gambit: Your queen can move twice this turn",
+  },
+  en_passant_master: sideFlag('enPassantMaster', {
+    message: 'En Passant Master: Pawns can en passant any adjacent enemy pawn',
+    movement: { pieces: ['p'], moves: 'enPassantMaster' },
+  }),
+
+  // === OFFENSE ===
+  focus_fire: sideFlag('focusFire', {
+    message: 'Focus Fire: Next capture draws an extra card',
+    expires: null,
+    triggers: {
+      capture: {
+        while: 'focusFire',
+        ops: [
+          { op: 'drawArcana', rarity: 'common', reason: 'Focus Fire bonus' },
+          { op: 'setSide', key: 'focusFire', side: '$self', value: false },
+        ],
+      },
+    },
+  }),
+  // The capture side of Poison Touch and Chain Lightning is resolved by the game manager.
+  poison_touch: sideFlag('poisonTouch', {
+    message: 'Poison Touch: Next capture poisons adjacent enemy pieces',
+  }),
+  sharpshooter: sideFlag('sharpshooter', {
+    message: 'Sharpshooter: Bishop ignores blocking pieces on diagonals',
+    movement: { pieces: ['b'], moves: 'sharpshooter' },
+  }),
+  chain_lightning: sideFlag('chainLightning', {
+    message: 'Chain Lightning: Next capture chains to 1 adjacent enemy piece',
+  }),
+  castle_breaker: {
+    // Counted in plies: 6 plies = 3 opponent turns.
+    state: { castleBroken: { initial: SIDES_ZERO, expires: 'countdown' } },
+    ops: [{ op: 'setSide', key: 'castleBroken', side: '$opponent', value: 6 }],
+    result: { disabledColor: '$opponent', turns: 3 },
+    message: "Castle Breaker: Disabled opponent's castling for 3 turns",
+  },
+
+  // === UTILITY ===
+  fog_of_war: sideFlag('fogOfWar', {
+    message: 'Fog of War: Your pieces are hidden from opponent',
+    expires: 'ownerTurn',
+  }),
+  cursed_square: {
+    target: 'emptySquare',
+    state: { cursedSquares: { initial: [], expires: 'countdown' } },
+    // 5 because the countdown ticks at the end of the casting ply: 4 full turns.
+    ops: [{ op: 'push', key: 'cursedSquares', entry: { square: '$target', turns: 5, setter: '$self' } }],
+    result: { square: '$target' },
+    message: 'Cursed Square: {target} will destroy any piece landing there for 4 turns',
+    highlight: { color: '#9b59b6' },
+  },
+});
+
+export function getArcanaEffectSpec(arcanaId) {
+  return ARCANA_EFFECT_SPECS[arcanaId] || null;
+}
+
+export function hasArcanaEffectSpec(arcanaId) {
+  return Object.prototype.hasOwnProperty.call(ARCANA_EFFECT_SPECS, arcanaId);
+}
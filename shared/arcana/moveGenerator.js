@@ -0,0 +1,504 @@
+import { Chess } from 'chess.js';
+import { getArcanaMovementModifiers } from './effects/effectInterpreter.js';
+
+/**
+ * Arcana-aware move generation shared by the server (authoritative validation), the client
+ * (move highlights) and the AI (root moves).
+ *
+ * Input is a FEN plus `activeEffects`; nothing here touches a game state. Moves use the
+ * chess.js verbose shape (`{ color, from, to, piece, captured?, promotion?, flags, san }`).
+ * Moves chess.js cannot play carry `arcana` (the generator that produced them, or
+ * 'mindControl') and must be executed with `playArcanaMove`.
+ */
+
+const opposite = (color) => (color === 'w' ? 'b' : 'w');
+const PROMOTIONS = ['q', 'r', 'b', 'n'];
+const ROOK_DIRECTIONS = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+const KNIGHT_OFFSETS = [[2, 1], [2, -1], [-2, 1], [-2, -1], [1, 2], [1, -2], [-1, 2], [-1, -2]];
+
+function toSquare(file, rank) {
+  if (file < 0 || file > 7 || rank < 1 || rank > 8) return null;
+  return `${String.fromCharCode(97 + file)}${rank}`;
+}
+
+function fileOf(square) {
+  return square.charCodeAt(0) - 97;
+}
+
+function rankOf(square) {
+  return parseInt(square[1], 10);
+}
+
+const promotionRank = (color) => (color === 'w' ? 8 : 1);
+
+// chess.js rejects pawns on the first and last ranks, which Arcana cards can leave behind.
+// Load with knights in their place, then put the pawns back.
+function loadInto(board, fen) {
+  try {
+    board.load(fen);
+    return board;
+  } catch (err) {
+    const parts = String(fen || '').split(' ');
+    const ranks = (parts[0] || '').split('/');
+    if (ranks.length !== 8) throw err;
+
+    const edgePawns = [];
+    for (const index of [0, 7]) {
+      const rank = index === 0 ? 8 : 1;
+      let file = 0;
+      ranks[index] = ranks[index].replace(/./g, (ch) => {
+        if (/[1-8]/.test(ch)) {
+          file += parseInt(ch, 10);
+          return ch;
+        }
+        if (ch === 'p' || ch === 'P') edgePawns.push({ square: toSquare(file, rank), color: ch === 'P' ? 'w' : 'b' });
+        file += 1;
+        return ch === 'p' ? 'n' : ch === 'P' ? 'N' : ch;
+      });
+    }
+    if (!edgePawns.length) throw err;
+
+    board.load([ranks.join('/'), ...parts.slice(1)].join(' '));
+    for (const { square, color } of edgePawns) {
+      board.remove(square);
+      board.put({ type: 'p', color }, square);
+    }
+    return board;
+  }
+}
+
+/**
+ * Loads a FEN into a new chess.js board, tolerating pawns on the edge ranks.
+ * @param {string} fen
+ * @returns {Chess|null} null when the FEN cannot be loaded at all
+ */
+export function loadArcanaBoard(fen) {
+  try {
+    return loadInto(new Chess(), fen);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Plays a move chess.js cannot (an Arcana or mind-controlled move) and passes the turn.
+ * @param {Chess} chess
+ * @param {{ from: string, to: string, flags?: string, promotion?: string }} move
+ * @returns {{ movingPiece, capturedPiece, capturedSquare }}
+ */
+export function playArcanaMove(chess, move) {
+  const movingPiece = chess.get(move.from);
+  if (!movingPiece) {
+    throw new Error(`Invalid move: No piece at ${move.from}`);
+  }
+
+  const capturedSquare = getCapturedSquare(move);
+  const capturedPiece = chess.get(capturedSquare);
+
+  chess.remove(move.from);
+  if (capturedPiece) chess.remove(capturedSquare);
+  chess.put(move.promotion ? { type: move.promotion, color: movingPiece.color } : movingPiece, move.to);
+
+  const fenParts = chess.fen().split(' ');
+  fenParts[1] = opposite(fenParts[1]);
+  fenParts[3] = '-';
+  fenParts[4] = capturedPiece || movingPiece.type === 'p' ? '0' : String(parseInt(fenParts[4] || 0, 10) + 1);
+  if (movingPiece.color === 'b') {
+    fenParts[5] = String(parseInt(fenParts[5] || 1, 10) + 1);
+  }
+  loadInto(chess, fenParts.join(' '));
+
+  return { movingPiece, capturedPiece, capturedSquare };
+}
+
+/** Square of the captured piece; en passant captures beside the destination. */
+export function getCapturedSquare(move) {
+  return move.flags && move.flags.includes('e') ? `${move.to[0]}${move.from[1]}` : move.to;
+}
+
+/**
+ * Friendly pieces on the diagonals of a bishop, up to the first enemy piece (Bishop's Blessing).
+ * @param {Chess} chess
+ * @param {string} bishopSquare
+ * @param {'w'|'b'} color - Colour of the bishop
+ * @returns {string[]}
+ */
+export function getPiecesDiagonalFromBishop(chess, bishopSquare, color) {
+  const protectedSquares = [];
+  if (!bishopSquare) return protectedSquares;
+
+  for (const [df, dr] of BISHOP_DIRECTIONS) {
+    for (let step = 1; ; step++) {
+      const square = toSquare(fileOf(bishopSquare) + df * step, rankOf(bishopSquare) + dr * step);
+      if (!square) break;
+      const piece = chess.get(square);
+      if (piece && piece.color !== color) break;
+      if (piece) protectedSquares.push(square);
+    }
+  }
+
+  return protectedSquares;
+}
+
+// === Arcana movement ===
+// Each generator returns `{ to, flags? }` targets for the piece on `from`; friendly-occupied
+// destinations are filtered out by the caller.
+
+function spectralMarchTargets(board, from, piece) {
+  const targets = [];
+  for (const [df, dr] of ROOK_DIRECTIONS) {
+    let friendlyPassed = false;
+    for (let step = 1; ; step++) {
+      const square = toSquare(fileOf(from) + df * step, rankOf(from) + dr * step);
+      if (!square) break;
+      const occupant = board.get(square);
+      if (!occupant) {
+        targets.push({ to: square });
+      } else if (occupant.color === piece.color) {
+        if (friendlyPassed) break;
+        friendlyPassed = true;
+      } else {
+        targets.push({ to: square });
+        break;
+      }
+    }
+  }
+  return targets;
+}
+
+// Phantom Step: pawns may take the knight jump too, but not onto their promotion rank.
+function knightTargets(board, from, piece) {
+  return KNIGHT_OFFSETS
+    .map(([df, dr]) => toSquare(fileOf(from) + df, rankOf(from) + dr))
+    .filter((square) => square && !(piece.type === 'p' && rankOf(square) === promotionRank(piece.color)))
+    .map((square) => ({ to: square }));
+}
+
+// Pawn Rush: two squares forward from any rank, "even if already moved".
+function pawnRushTargets(board, from, piece) {
+  const direction = piece.color === 'w' ? 1 : -1;
+  const middle = toSquare(fileOf(from), rankOf(from) + direction);
+  const to = toSquare(fileOf(from), rankOf(from) + 2 * direction);
+  if (!middle || !to || board.get(middle) || board.get(to)) return [];
+  return [{ to, flags: 'b' }];
+}
+
+// Sharpshooter: diagonals ignore blockers.
+function sharpshooterTargets(board, from) {
+  const targets = [];
+  for (const [df, dr] of BISHOP_DIRECTIONS) {
+    for (let step = 1; ; step++) {
+      const square = toSquare(fileOf(from) + df * step, rankOf(from) + dr * step);
+      if (!square) break;
+      targets.push({ to: square });
+    }
+  }
+  return targets;
+}
+
+// Knight of Storms: any square within two files and two ranks.
+function knightOfStormsTargets(board, from) {
+  const targets = [];
+  for (let df = -2; df <= 2; df++) {
+    for (let dr = -2; dr <= 2; dr++) {
+      const square = (df || dr) ? toSquare(fileOf(from) + df, rankOf(from) + dr) : null;
+      if (square) targets.push({ to: square });
+    }
+  }
+  return targets;
+}
+
+// En Passant Master: take an adjacent enemy pawn sideways, or diagonally forward onto the
+// empty square behind it (never onto the promotion rank).
+function enPassantMasterTargets(board, from, piece) {
+  const targets = [];
+  const direction = piece.color === 'w' ? 1 : -1;
+  for (const df of [-1, 1]) {
+    const side = toSquare(fileOf(from) + df, rankOf(from));
+    const neighbour = side ? board.get(side) : null;
+    if (!neighbour || neighbour.type !== 'p' || neighbour.color === piece.color) continue;
+    targets.push({ to: side });
+
+    const behind = toSquare(fileOf(from) + df, rankOf(from) + direction);
+    if (behind && !board.get(behind) && rankOf(behind) !== promotionRank(piece.color)) {
+      targets.push({ to: behind, flags: 'e' });
+    }
+  }
+  return targets;
+}
+
+// Temporal Echo: repeat the last move's vector. Straight and diagonal vectors may stop short
+// and are blocked by pieces in between; other vectors jump.
+function temporalEchoTargets(board, from, piece, pattern) {
+  if (typeof pattern?.fileDelta !== 'number' || typeof pattern?.rankDelta !== 'number') return [];
+  const { fileDelta, rankDelta } = pattern;
+  const isLinear = fileDelta === 0 || rankDelta === 0 || Math.abs(fileDelta) === Math.abs(rankDelta);
+  const noPawnPromotion = (square) => !(piece.type === 'p' && rankOf(square) === promotionRank(piece.color));
+
+  if (!isLinear) {
+    const square = toSquare(fileOf(from) + fileDelta, rankOf(from) + rankDelta);
+    return square && noPawnPromotion(square) ? [{ to: square }] : [];
+  }
+
+  const targets = [];
+  const df = Math.sign(fileDelta);
+  const dr = Math.sign(rankDelta);
+  const distance = Math.max(Math.abs(fileDelta), Math.abs(rankDelta));
+  for (let step = 1; step <= distance; step++) {
+    const square = toSquare(fileOf(from) + df * step, rankOf(from) + dr * step);
+    if (!square) break;
+    if (noPawnPromotion(square)) targets.push({ to: square });
+    if (board.get(square)) break;
+  }
+  return targets;
+}
+
+// Generators named by `movement.moves` in ./effects/effectSpecs.js.
+const MOVEMENT_GENERATORS = {
+  spectralMarch: spectralMarchTargets,
+  knight: knightTargets,
+  pawnRush: pawnRushTargets,
+  sharpshooter: sharpshooterTargets,
+  knightOfStorms: knightOfStormsTargets,
+  enPassantMaster: enPassantMasterTargets,
+};
+
+function simpleSan(piece, from, to, captured) {
+  const prefix = piece.type === 'p' ? (captured ? from[0] : '') : piece.type.toUpperCase();
+  return `${prefix}${captured ? 'x' : ''}${to}`;
+}
+
+function buildArcanaMoves(board, from, piece, { to, flags }, arcana) {
+  const occupant = board.get(to);
+  if (occupant && occupant.color === piece.color) return [];
+  const captured = flags === 'e' ? 'p' : occupant?.type;
+  const base = {
+    color: piece.color,
+    from,
+    to,
+    piece: piece.type,
+    ...(captured ? { captured } : {}),
+    flags: flags || (captured ? 'c' : 'n'),
+    san: simpleSan(piece, from, to, captured),
+    arcana,
+  };
+  if (piece.type !== 'p' || rankOf(to) !== promotionRank(piece.color)) return [base];
+  return PROMOTIONS.map((promotion) => ({ ...base, promotion, san: `${base.san}=${promotion.toUpperCase()}` }));
+}
+
+// chess.js only checks the side to move; Arcana and mind-controlled moves are checked here.
+function leavesKingInCheck(fen, move, color) {
+  const scratch = loadArcanaBoard(fen);
+  if (!scratch) return true;
+  playArcanaMove(scratch, move);
+  const king = scratch.board().flat().find((cell) => cell && cell.type === 'k' && cell.color === color);
+  return !!king && scratch.isAttacked(king.square, opposite(color));
+}
+
+function mindControlMoves(fen, effects, color, square) {
+  const moves = [];
+  for (const entry of effects?.mindControlled || []) {
+    if ((entry?.controller || entry?.controlledBy) !== color) continue;
+    if (square && entry.square !== square) continue;
+    const fenParts = fen.split(' ');
+    const board = loadArcanaBoard(fen);
+    const piece = board?.get(entry.square);
+    if (!piece) continue;
+    fenParts[1] = entry.originalColor || piece.color;
+    fenParts[3] = '-';
+    const flipped = loadArcanaBoard(fenParts.join(' '));
+    if (!flipped) continue;
+    for (const move of flipped.moves({ square: entry.square, verbose: true })) {
+      moves.push({ ...move, arcana: 'mindControl' });
+    }
+  }
+  return moves;
+}
+
+const moveKey = (move) => `${move.from}-${move.to}-${move.promotion || ''}`;
+
+/**
+ * Every move `color` could make, before card protections are applied: chess.js moves (when
+ * it is `color`'s turn), mind-controlled enemy pieces, and the extra moves granted by active
+ * movement cards and Temporal Echo. Moves that would leave `color`'s king in check are dropped.
+ * @param {string} fen
+ * @param {Object} activeEffects - gameState.activeEffects
+ * @param {{ color?: 'w'|'b', square?: string }} [options] - color defaults to the side to move
+ * @returns {Array<Object>}
+ */
+export function listCandidateMoves(fen, activeEffects, { color, square } = {}) {
+  const board = loadArcanaBoard(fen);
+  if (!board) return [];
+  const mover = color || board.turn();
+  const effects = activeEffects || {};
+
+  const standard = board.turn() === mover
+    ? board.moves({ verbose: true, ...(square ? { square } : {}) })
+    : [];
+  const extra = mindControlMoves(fen, effects, mover, square);
+
+  const cells = board.board().flat().filter((cell) => cell && cell.color === mover && (!square || cell.square === square));
+  for (const { square: from, type } of cells) {
+    const piece = { type, color: mover };
+    for (const modifier of getArcanaMovementModifiers(effects, mover, from, piece)) {
+      const generate = MOVEMENT_GENERATORS[modifier];
+      if (!generate) continue;
+      for (const target of generate(board, from, piece)) extra.push(...buildArcanaMoves(board, from, piece, target, modifier));
+    }
+    if (effects.temporalEcho?.color === mover && effects.temporalEcho.pattern) {
+      for (const target of temporalEchoTargets(board, from, piece, effects.temporalEcho.pattern)) {
+        extra.push(...buildArcanaMoves(board, from, piece, target, 'temporalEcho'));
+      }
+    }
+  }
+
+  const seen = new Set(standard.map(moveKey));
+  const moves = [...standard];
+  for (const move of extra) {
+    const key = moveKey(move);
+    if (seen.has(key) || leavesKingInCheck(fen, move, mover)) continue;
+    seen.add(key);
+    moves.push(move);
+  }
+  return moves;
+}
+
+function getMindControlForcedSquare(effects, color) {
+  const entry = (effects?.mindControlled || []).find((candidate) => (candidate?.controller || candidate?.controlledBy) === color);
+  return entry?.square || null;
+}
+
+function getBlessedSquares(board, effects, color) {
+  if (!Array.isArray(effects.bishopsBlessing?.[color])) return [];
+  const sourceSquare = effects.bishopsBlessingSource?.[color];
+  const source = sourceSquare ? board.get(sourceSquare) : null;
+  if (!source || source.type !== 'b' || source.color !== color) return [];
+  return getPiecesDiagonalFromBishop(board, sourceSquare, color);
+}
+
+const isAdjacent = (a, b) => a !== b && Math.abs(fileOf(a) - fileOf(b)) <= 1 && Math.abs(rankOf(a) - rankOf(b)) <= 1;
+
+function blockReasonOnBoard(board, effects, move, color, pawnShields) {
+  const opponent = opposite(color);
+  const capturedSquare = move.captured ? getCapturedSquare(move) : null;
+
+  const forcedSquare = getMindControlForcedSquare(effects, color);
+  if (forcedSquare && move.from !== forcedSquare) {
+    return 'Mind Control: you must move the controlled piece first';
+  }
+
+  const overdrive = effects.edgerunnerOverdrive;
+  if (overdrive?.active && overdrive.color === color) {
+    if (move.from !== overdrive.currentSquare) return 'Edgerunner Overdrive: move the overdriven piece.';
+    if (move.captured === 'k') return 'Edgerunner Overdrive cannot capture the king.';
+  }
+
+  if (move.captured === 'k') {
+    return 'Kings cannot be captured directly; use checkmate to win.';
+  }
+
+  const isCastle = move.piece === 'k' && Math.abs(fileOf(move.from) - fileOf(move.to)) > 1;
+  if (effects.castleBroken?.[color] > 0 && isCastle) {
+    return 'Castle Breaker has disabled your castling!';
+  }
+
+  const shield = pawnShields?.[opponent];
+  if (shield && capturedSquare === shield.square) {
+    return shield.shieldType === 'pawn' ? 'That pawn is shielded for this turn.' : 'That piece is protected by Pawn Guard!';
+  }
+
+  if (effects.ironFortress?.[opponent] === true && capturedSquare && board.get(capturedSquare)?.type === 'p') {
+    return 'Iron Fortress protects all pawns from capture!';
+  }
+
+  if (capturedSquare && (effects.sanctuaries || []).some((sanctuary) => sanctuary.square === capturedSquare)) {
+    return 'Sanctuary protects that square from captures!';
+  }
+
+  if (getBlessedSquares(board, effects, opponent).includes(move.to)) {
+    return 'That piece is blessed by Bishop\'s Blessing and cannot be captured!';
+  }
+
+  const divine = effects.divineIntervention?.[opponent];
+  if ((divine === true || divine?.active) && board.get(move.to)?.type === 'k') {
+    return 'Divine Intervention protects the king!';
+  }
+
+  const doubleStrike = effects.doubleStrikeActive;
+  if (doubleStrike?.color === color) {
+    if (move.from === doubleStrike.firstKillerSquare) return 'Double Strike: second capture must be made by a different piece!';
+    if (!move.captured) return 'Double Strike second move must be a capture!';
+  }
+
+  const berserker = effects.berserkerRageActive;
+  if (berserker?.color === color) {
+    const firstKillFrom = berserker.firstKillFrom || berserker.firstKillSquare;
+    const firstKillSquare = berserker.firstKillSquare || berserker.firstKillFrom;
+    if (move.from !== firstKillFrom) return 'Berserker Rage: ONLY the piece that made the first kill can capture again!';
+    if (!move.captured) return 'Berserker Rage: second move MUST be a capture!';
+    if (firstKillSquare && isAdjacent(firstKillSquare, move.to)) {
+      return 'Berserker Rage: second capture cannot be adjacent to the first kill!';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Why a candidate move is refused by the cards in play (shields, sanctuaries, blessings,
+ * forced follow-ups, ...), or null when it may be played.
+ * @param {string} fen
+ * @param {Object} activeEffects
+ * @param {Object} move - A move from listCandidateMoves
+ * @param {{ color?: 'w'|'b', pawnShields?: Object }} [options] - gameState.pawnShields
+ * @returns {string|null}
+ */
+export function getMoveBlockReason(fen, activeEffects, move, { color, pawnShields } = {}) {
+  const board = loadArcanaBoard(fen);
+  if (!board) return 'Illegal move';
+  return blockReasonOnBoard(board, activeEffects || {}, move, color || board.turn(), pawnShields);
+}
+
+/**
+ * Moves `color` may actually play: the candidates no card refuses.
+ * @param {string} fen
+ * @param {Object} activeEffects
+ * @param {{ color?: 'w'|'b', square?: string, pawnShields?: Object }} [options]
+ * @returns {Array<Object>}
+ */
+export function generateLegalMoves(fen, activeEffects, options = {}) {
+  const board = loadArcanaBoard(fen);
+  if (!board) return [];
+  const color = options.color || board.turn();
+  return listCandidateMoves(fen, activeEffects, { ...options, color })
+    .filter((move) => !blockReasonOnBoard(board, activeEffects || {}, move, color, options.pawnShields));
+}
+
+/**
+ * Resolves a submitted `{ from, to, promotion? }` against the position.
+ * @param {string} fen
+ * @param {Object} activeEffects
+ * @param {{ from: string, to: string, promotion?: string }} move
+ * @param {{ color?: 'w'|'b', pawnShields?: Object, candidates?: Array<Object> }} [options]
+ *   `candidates` reuses a listCandidateMoves result for the same position
+ * @returns {{ move: Object|null, reason: string|null }}
+ */
+export function resolveArcanaMove(fen, activeEffects, move, options = {}) {
+  const board = loadArcanaBoard(fen);
+  if (!board) return { move: null, reason: 'Illegal move' };
+  const effects = activeEffects || {};
+  const color = options.color || board.turn();
+
+  const forcedSquare = getMindControlForcedSquare(effects, color);
+  if (forcedSquare && move?.from !== forcedSquare) {
+    return { move: null, reason: 'Mind Control: you must move the controlled piece first' };
+  }
+
+  const candidates = options.candidates || listCandidateMoves(fen, effects, { color, square: move?.from });
+  const candidate = candidates.find((m) => m.from === move?.from && m.to === move?.to
+    && (!move.promotion || m.promotion === move.promotion)) || null;
+  if (!candidate) return { move: null, reason: 'Illegal move' };
+
+  return { move: candidate, reason: blockReasonOnBoard(board, effects, candidate, color, options.pawnShields) };
+}
@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { rebuildStudioOverridesIndex, writeStudioCardModule } from './studioFileWriter.js';
+import { recordStudioCardVersion, resolveStudioAuthor } from './studioCardHistory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,9 @@ function usage() {
   console.log('Usage: node shared/arcana/studio/apply_studio_card.js <card1.json> [card2.json ...]');
   console.log('       node shared/arcana/studio/apply_studio_card.js --all [exports-dir]');
   console.log('');
+  console.log('Every applied card is kept in studio_exports/history; pass --author <name> to sign it');
+  console.log('(defaults to ARCANA_STUDIO_AUTHOR or your OS user). See npm run studio:history.');
+  console.log('');
   console.log('Accepted file types: *.arcana.json');
   console.log('');
   console.log('Examples:');
@@ -60,8 +64,12 @@ async function main() {
     process.exit(0);
   }
 
-  const allRequested = args.includes('--all') || args.length === 0;
-  const positionalArgs = args.filter((arg) => !arg.startsWith('--'));
+  const authorIndex = args.indexOf('--author');
+  const author = resolveStudioAuthor(authorIndex >= 0 ? args[authorIndex + 1] : null);
+  const optionArgs = authorIndex >= 0 ? args.filter((_, index) => index !== authorIndex && index !== authorIndex + 1) : args;
+
+  const allRequested = optionArgs.includes('--all') || optionArgs.length === 0;
+  const positionalArgs = optionArgs.filter((arg) => !arg.startsWith('--'));
 
   let inputPaths = positionalArgs;
 
@@ -110,9 +118,10 @@ async function main() {
     }
 
     const written = await writeStudioCardModule(REPO_ROOT, parsed);
+    const entry = await recordStudioCardVersion(REPO_ROOT, parsed, { author, source: 'apply' });
     applied.push(id);
     stagedFiles.push(absolute);
-    console.log(`Wrote ${path.relative(REPO_ROOT, written.filePath)}`);
+    console.log(`Wrote ${path.relative(REPO_ROOT, written.filePath)} (history v${entry.version})`);
   }
 
   await rebuildStudioOverridesIndex(REPO_ROOT);
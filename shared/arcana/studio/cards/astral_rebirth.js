@@ -142,7 +142,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_0",
             "timeMs": 0,
-            "soundId": "arcana:astral_rebirth_materialize",
+            "soundId": "arcana:whoosh",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -150,7 +150,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_1",
             "timeMs": 800,
-            "soundId": "arcana:astral_rebirth_energy",
+            "soundId": "arcana:shield",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -158,7 +158,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_2",
             "timeMs": 1600,
-            "soundId": "arcana:astral_rebirth_complete",
+            "soundId": "arcana:splash",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -181,9 +181,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "cardId": "astral_rebirth",
               "legacyAction": "camera_move",
               "soundMap": {
-                "materialize": "arcana:astral_rebirth_materialize",
-                "glow": "arcana:astral_rebirth_energy",
-                "complete": "arcana:astral_rebirth_complete"
+                "materialize": "arcana:whoosh",
+                "glow": "arcana:shield",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -196,11 +196,11 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "camera_focus",
               "cardId": "astral_rebirth",
               "legacyAction": "sound_materialize",
-              "soundId": "arcana:astral_rebirth_materialize",
+              "soundId": "arcana:whoosh",
               "soundMap": {
-                "materialize": "arcana:astral_rebirth_materialize",
-                "glow": "arcana:astral_rebirth_energy",
-                "complete": "arcana:astral_rebirth_complete"
+                "materialize": "arcana:whoosh",
+                "glow": "arcana:shield",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -214,9 +214,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "cardId": "astral_rebirth",
               "legacyAction": "vfx_astral_particles",
               "soundMap": {
-                "materialize": "arcana:astral_rebirth_materialize",
-                "glow": "arcana:astral_rebirth_energy",
-                "complete": "arcana:astral_rebirth_complete"
+                "materialize": "arcana:whoosh",
+                "glow": "arcana:shield",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -230,9 +230,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "cardId": "astral_rebirth",
               "legacyAction": "vfx_spiral_glow",
               "soundMap": {
-                "materialize": "arcana:astral_rebirth_materialize",
-                "glow": "arcana:astral_rebirth_energy",
-                "complete": "arcana:astral_rebirth_complete"
+                "materialize": "arcana:whoosh",
+                "glow": "arcana:shield",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -246,9 +246,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "cardId": "astral_rebirth",
               "legacyAction": "overlay_yellow_flash",
               "soundMap": {
-                "materialize": "arcana:astral_rebirth_materialize",
-                "glow": "arcana:astral_rebirth_energy",
-                "complete": "arcana:astral_rebirth_complete"
+                "materialize": "arcana:whoosh",
+                "glow": "arcana:shield",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -261,11 +261,11 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "materialize",
               "cardId": "astral_rebirth",
               "legacyAction": "sound_glow",
-              "soundId": "arcana:astral_rebirth_energy",
+              "soundId": "arcana:shield",
               "soundMap": {
-                "materialize": "arcana:astral_rebirth_materialize",
-                "glow": "arcana:astral_rebirth_energy",
-                "complete": "arcana:astral_rebirth_complete"
+                "materialize": "arcana:whoosh",
+                "glow": "arcana:shield",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -278,11 +278,11 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "camera_return",
               "cardId": "astral_rebirth",
               "legacyAction": "sound_complete",
-              "soundId": "arcana:astral_rebirth_complete",
+              "soundId": "arcana:splash",
               "soundMap": {
-                "materialize": "arcana:astral_rebirth_materialize",
-                "glow": "arcana:astral_rebirth_energy",
-                "complete": "arcana:astral_rebirth_complete"
+                "materialize": "arcana:whoosh",
+                "glow": "arcana:shield",
+                "complete": "arcana:splash"
               }
             }
           }
@@ -362,9 +362,9 @@ export const STUDIO_CARD_OVERRIDE = {
           "spiralEffect": true
         },
         "sound": {
-          "materialize": "arcana:astral_rebirth_materialize",
-          "glow": "arcana:astral_rebirth_energy",
-          "complete": "arcana:astral_rebirth_complete"
+          "materialize": "arcana:whoosh",
+          "glow": "arcana:shield",
+          "complete": "arcana:splash"
         },
         "phases": [
           {
@@ -207,26 +207,6 @@ export const STUDIO_CARD_OVERRIDE = {
               }
             }
           },
-          {
-            "id": "evt_0_1",
-            "timeMs": 0,
-            "type": "sound_play",
-            "delayMs": 0,
-            "payload": {
-              "phase": "camera_focus",
-              "cardId": "execution",
-              "legacyAction": "sound_play",
-              "soundId": "",
-              "volume": 1,
-              "pitch": 1,
-              "loop": false,
-              "soundMap": {
-                "cue_1": "arcana:execution_blade",
-                "cue_2": "arcana:execution_blood",
-                "cue_3": "arcana:execution_complete"
-              }
-            }
-          },
           {
             "id": "evt_1_0",
             "timeMs": 800,
@@ -242,26 +222,6 @@ export const STUDIO_CARD_OVERRIDE = {
                 "cue_3": "arcana:execution_complete"
               }
             }
-          },
-          {
-            "id": "evt_2_0",
-            "timeMs": 1500,
-            "type": "sound_play",
-            "delayMs": 0,
-            "payload": {
-              "phase": "hold",
-              "cardId": "execution",
-              "legacyAction": "sound_play",
-              "soundId": "",
-              "volume": 1,
-              "pitch": 1,
-              "loop": false,
-              "soundMap": {
-                "cue_1": "arcana:execution_blade",
-                "cue_2": "arcana:execution_blood",
-                "cue_3": "arcana:execution_complete"
-              }
-            }
           }
         ]
       }
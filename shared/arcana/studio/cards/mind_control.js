@@ -114,7 +114,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_0",
             "timeMs": 0,
-            "soundId": "arcana:mind_control_take",
+            "soundId": "arcana:chaos",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -122,7 +122,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_1",
             "timeMs": 600,
-            "soundId": "arcana:mind_control_release",
+            "soundId": "arcana:swoosh",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -147,8 +147,8 @@ export const STUDIO_CARD_OVERRIDE = {
               "effect": "purple_aura",
               "durationMs": 900,
               "soundMap": {
-                "control": "arcana:mind_control_take",
-                "release": "arcana:mind_control_release"
+                "control": "arcana:chaos",
+                "release": "arcana:swoosh"
               }
             }
           },
@@ -163,8 +163,8 @@ export const STUDIO_CARD_OVERRIDE = {
               "legacyAction": "overlay_vignette",
               "duration": 700,
               "soundMap": {
-                "control": "arcana:mind_control_take",
-                "release": "arcana:mind_control_release"
+                "control": "arcana:chaos",
+                "release": "arcana:swoosh"
               }
             }
           },
@@ -177,13 +177,13 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "control_activate",
               "cardId": "mind_control",
               "legacyAction": "sound_control",
-              "soundId": "arcana:mind_control_take",
+              "soundId": "arcana:chaos",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "control": "arcana:mind_control_take",
-                "release": "arcana:mind_control_release"
+                "control": "arcana:chaos",
+                "release": "arcana:swoosh"
               }
             }
           }
@@ -263,8 +263,8 @@ export const STUDIO_CARD_OVERRIDE = {
           "pulseEffect": true
         },
         "sound": {
-          "control": "arcana:mind_control_take",
-          "release": "arcana:mind_control_release"
+          "control": "arcana:chaos",
+          "release": "arcana:swoosh"
         },
         "phases": [
           {
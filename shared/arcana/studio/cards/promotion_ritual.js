@@ -170,7 +170,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_0",
             "timeMs": 0,
-            "soundId": "arcana:promotion_ritual_light",
+            "soundId": "arcana:shield",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -178,7 +178,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_1",
             "timeMs": 800,
-            "soundId": "arcana:promotion_ritual_transform",
+            "soundId": "arcana:smash",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -186,7 +186,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_2",
             "timeMs": 1400,
-            "soundId": "arcana:promotion_ritual_complete",
+            "soundId": "arcana:splash",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -214,9 +214,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "returnDuration": 600,
               "lookAtYOffset": 0.38,
               "soundMap": {
-                "lightImpact": "arcana:promotion_ritual_light",
-                "transform": "arcana:promotion_ritual_transform",
-                "complete": "arcana:promotion_ritual_complete"
+                "lightImpact": "arcana:shield",
+                "transform": "arcana:smash",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -232,9 +232,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "effect": "light_beam",
               "durationMs": 900,
               "soundMap": {
-                "lightImpact": "arcana:promotion_ritual_light",
-                "transform": "arcana:promotion_ritual_transform",
-                "complete": "arcana:promotion_ritual_complete"
+                "lightImpact": "arcana:shield",
+                "transform": "arcana:smash",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -249,9 +249,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "legacyAction": "overlay_monochrome",
               "duration": 700,
               "soundMap": {
-                "lightImpact": "arcana:promotion_ritual_light",
-                "transform": "arcana:promotion_ritual_transform",
-                "complete": "arcana:promotion_ritual_complete"
+                "lightImpact": "arcana:shield",
+                "transform": "arcana:smash",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -264,14 +264,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "light_strike",
               "cardId": "promotion_ritual",
               "legacyAction": "sound_light_impact",
-              "soundId": "arcana:promotion_ritual_light",
+              "soundId": "arcana:shield",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "lightImpact": "arcana:promotion_ritual_light",
-                "transform": "arcana:promotion_ritual_transform",
-                "complete": "arcana:promotion_ritual_complete"
+                "lightImpact": "arcana:shield",
+                "transform": "arcana:smash",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -286,9 +286,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "legacyAction": "vfx_promotion_flash",
               "duration": 420,
               "soundMap": {
-                "lightImpact": "arcana:promotion_ritual_light",
-                "transform": "arcana:promotion_ritual_transform",
-                "complete": "arcana:promotion_ritual_complete"
+                "lightImpact": "arcana:shield",
+                "transform": "arcana:smash",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -303,9 +303,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "legacyAction": "vfx_promotion_glow",
               "duration": 420,
               "soundMap": {
-                "lightImpact": "arcana:promotion_ritual_light",
-                "transform": "arcana:promotion_ritual_transform",
-                "complete": "arcana:promotion_ritual_complete"
+                "lightImpact": "arcana:shield",
+                "transform": "arcana:smash",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -318,14 +318,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "promotion",
               "cardId": "promotion_ritual",
               "legacyAction": "sound_transform",
-              "soundId": "arcana:promotion_ritual_transform",
+              "soundId": "arcana:smash",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "lightImpact": "arcana:promotion_ritual_light",
-                "transform": "arcana:promotion_ritual_transform",
-                "complete": "arcana:promotion_ritual_complete"
+                "lightImpact": "arcana:shield",
+                "transform": "arcana:smash",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -338,14 +338,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "camera_return",
               "cardId": "promotion_ritual",
               "legacyAction": "sound_complete",
-              "soundId": "arcana:promotion_ritual_complete",
+              "soundId": "arcana:splash",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "lightImpact": "arcana:promotion_ritual_light",
-                "transform": "arcana:promotion_ritual_transform",
-                "complete": "arcana:promotion_ritual_complete"
+                "lightImpact": "arcana:shield",
+                "transform": "arcana:smash",
+                "complete": "arcana:splash"
               }
             }
           }
@@ -439,9 +439,9 @@ export const STUDIO_CARD_OVERRIDE = {
           "glowIntensity": 1.2
         },
         "sound": {
-          "lightImpact": "arcana:promotion_ritual_light",
-          "transform": "arcana:promotion_ritual_transform",
-          "complete": "arcana:promotion_ritual_complete"
+          "lightImpact": "arcana:shield",
+          "transform": "arcana:smash",
+          "complete": "arcana:splash"
         },
         "phases": [
           {
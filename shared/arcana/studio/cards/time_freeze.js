@@ -142,7 +142,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_0",
             "timeMs": 0,
-            "soundId": "arcana:time_freeze_freeze",
+            "soundId": "arcana:whoosh",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -150,7 +150,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_1",
             "timeMs": 400,
-            "soundId": "arcana:time_freeze_ambient",
+            "soundId": "arcana:clock_ticking",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -158,7 +158,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_2",
             "timeMs": 1600,
-            "soundId": "arcana:time_freeze_unfreeze",
+            "soundId": "arcana:swoosh",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -186,9 +186,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "returnDuration": 400,
               "lookAtYOffset": 0.12,
               "soundMap": {
-                "freeze": "arcana:time_freeze_freeze",
-                "ambient": "arcana:time_freeze_ambient",
-                "unfreeze": "arcana:time_freeze_unfreeze"
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
               }
             }
           },
@@ -201,14 +201,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "camera_focus",
               "cardId": "time_freeze",
               "legacyAction": "sound_freeze",
-              "soundId": "arcana:time_freeze_freeze",
+              "soundId": "arcana:whoosh",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "freeze": "arcana:time_freeze_freeze",
-                "ambient": "arcana:time_freeze_ambient",
-                "unfreeze": "arcana:time_freeze_unfreeze"
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
               }
             }
           },
@@ -224,9 +224,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "effect": "particles",
               "durationMs": 900,
               "soundMap": {
-                "freeze": "arcana:time_freeze_freeze",
-                "ambient": "arcana:time_freeze_ambient",
-                "unfreeze": "arcana:time_freeze_unfreeze"
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
               }
             }
           },
@@ -241,9 +241,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "legacyAction": "overlay_monochrome",
               "duration": 700,
               "soundMap": {
-                "freeze": "arcana:time_freeze_freeze",
-                "ambient": "arcana:time_freeze_ambient",
-                "unfreeze": "arcana:time_freeze_unfreeze"
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
               }
             }
           },
@@ -256,14 +256,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "frozen_state",
               "cardId": "time_freeze",
               "legacyAction": "sound_ambient_loop",
-              "soundId": "arcana:time_freeze_ambient",
+              "soundId": "arcana:clock_ticking",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "freeze": "arcana:time_freeze_freeze",
-                "ambient": "arcana:time_freeze_ambient",
-                "unfreeze": "arcana:time_freeze_unfreeze"
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
               }
             }
           },
@@ -276,14 +276,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "camera_return",
               "cardId": "time_freeze",
               "legacyAction": "sound_unfreeze",
-              "soundId": "arcana:time_freeze_unfreeze",
+              "soundId": "arcana:swoosh",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "freeze": "arcana:time_freeze_freeze",
-                "ambient": "arcana:time_freeze_ambient",
-                "unfreeze": "arcana:time_freeze_unfreeze"
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
               }
             }
           }
@@ -362,9 +362,9 @@ export const STUDIO_CARD_OVERRIDE = {
           "glowIntensity": 0.6
         },
         "sound": {
-          "freeze": "arcana:time_freeze_freeze",
-          "ambient": "arcana:time_freeze_ambient",
-          "unfreeze": "arcana:time_freeze_unfreeze"
+          "freeze": "arcana:whoosh",
+          "ambient": "arcana:clock_ticking",
+          "unfreeze": "arcana:swoosh"
         },
         "phases": [
           {
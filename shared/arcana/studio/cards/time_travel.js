@@ -114,7 +114,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_0",
             "timeMs": 0,
-            "soundId": "arcana:time_travel_warp",
+            "soundId": "arcana:whoosh",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -122,7 +122,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_1",
             "timeMs": 1200,
-            "soundId": "arcana:time_travel_rewind",
+            "soundId": "arcana:clock_ticking",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -130,7 +130,7 @@ export const STUDIO_CARD_OVERRIDE = {
           {
             "id": "snd_2",
             "timeMs": 2400,
-            "soundId": "arcana:time_travel_complete",
+            "soundId": "arcana:splash",
             "volume": 1,
             "loop": false,
             "pitch": 1
@@ -158,9 +158,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "returnDuration": 800,
               "lookAtYOffset": 0.1,
               "soundMap": {
-                "timewarp": "arcana:time_travel_warp",
-                "rewind": "arcana:time_travel_rewind",
-                "complete": "arcana:time_travel_complete"
+                "timewarp": "arcana:whoosh",
+                "rewind": "arcana:clock_ticking",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -173,14 +173,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "camera_ascend",
               "cardId": "time_travel",
               "legacyAction": "sound_timewarp",
-              "soundId": "arcana:time_travel_warp",
+              "soundId": "arcana:whoosh",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "timewarp": "arcana:time_travel_warp",
-                "rewind": "arcana:time_travel_rewind",
-                "complete": "arcana:time_travel_complete"
+                "timewarp": "arcana:whoosh",
+                "rewind": "arcana:clock_ticking",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -196,9 +196,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "effect": "afterimage_trails",
               "durationMs": 900,
               "soundMap": {
-                "timewarp": "arcana:time_travel_warp",
-                "rewind": "arcana:time_travel_rewind",
-                "complete": "arcana:time_travel_complete"
+                "timewarp": "arcana:whoosh",
+                "rewind": "arcana:clock_ticking",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -213,9 +213,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "legacyAction": "vfx_rewind_animation",
               "duration": 420,
               "soundMap": {
-                "timewarp": "arcana:time_travel_warp",
-                "rewind": "arcana:time_travel_rewind",
-                "complete": "arcana:time_travel_complete"
+                "timewarp": "arcana:whoosh",
+                "rewind": "arcana:clock_ticking",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -228,14 +228,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "rewind_pieces",
               "cardId": "time_travel",
               "legacyAction": "sound_rewind",
-              "soundId": "arcana:time_travel_rewind",
+              "soundId": "arcana:clock_ticking",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "timewarp": "arcana:time_travel_warp",
-                "rewind": "arcana:time_travel_rewind",
-                "complete": "arcana:time_travel_complete"
+                "timewarp": "arcana:whoosh",
+                "rewind": "arcana:clock_ticking",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -250,9 +250,9 @@ export const STUDIO_CARD_OVERRIDE = {
               "legacyAction": "overlay_color_restore",
               "duration": 700,
               "soundMap": {
-                "timewarp": "arcana:time_travel_warp",
-                "rewind": "arcana:time_travel_rewind",
-                "complete": "arcana:time_travel_complete"
+                "timewarp": "arcana:whoosh",
+                "rewind": "arcana:clock_ticking",
+                "complete": "arcana:splash"
               }
             }
           },
@@ -265,14 +265,14 @@ export const STUDIO_CARD_OVERRIDE = {
               "phase": "camera_return",
               "cardId": "time_travel",
               "legacyAction": "sound_complete",
-              "soundId": "arcana:time_travel_complete",
+              "soundId": "arcana:splash",
               "volume": 1,
               "pitch": 1,
               "loop": false,
               "soundMap": {
-                "timewarp": "arcana:time_travel_warp",
-                "rewind": "arcana:time_travel_rewind",
-                "complete": "arcana:time_travel_complete"
+                "timewarp": "arcana:whoosh",
+                "rewind": "arcana:clock_ticking",
+                "complete": "arcana:splash"
               }
             }
           }
@@ -379,9 +379,9 @@ export const STUDIO_CARD_OVERRIDE = {
           "glowIntensity": 0.7
         },
         "sound": {
-          "timewarp": "arcana:time_travel_warp",
-          "rewind": "arcana:time_travel_rewind",
-          "complete": "arcana:time_travel_complete"
+          "timewarp": "arcana:whoosh",
+          "rewind": "arcana:clock_ticking",
+          "complete": "arcana:splash"
         },
         "phases": [
           {
@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  formatArcanaStudioTimingSheet,
+  renderArcanaStudioStoryboard,
+  renderStoryboardFrameSvg,
+} from '../../../client/src/game/arcana/studio/arcanaStudioStoryboard.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const REPO_ROOT = path.resolve(__dirname, '../../..');
+const CARDS_DIR = path.resolve(__dirname, 'cards');
+const DEFAULT_RENDERS_DIR = path.resolve(REPO_ROOT, 'studio_exports/renders');
+
+function usage() {
+  console.log('Usage: node shared/arcana/studio/render_studio_cutscene.js <card-id | card.js | export.arcana.json> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --fps <n>          Frames per second to sample (default 12)');
+  console.log('  --square <sq>      Target square for the cutscene (default e4)');
+  console.log('  --params <json>    Extra event params, e.g. {"dashPath":["e4","e5"]}');
+  console.log('  --out <dir>        Output folder (default studio_exports/renders/<card-id>)');
+  console.log('  --no-svg           Only write storyboard.json and timing.md');
+  console.log('');
+  console.log('Examples:');
+  console.log('  npm run studio:render -- execution');
+  console.log('  npm run studio:render -- ./studio_exports/time_freeze.arcana.json --fps 6 --square d4');
+}
+
+function parseArgs(args) {
+  const options = { fps: 12, square: 'e4', params: {}, out: null, svg: true, inputs: [] };
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (arg === '--fps') options.fps = Number(args[++index]);
+    else if (arg === '--square') options.square = args[++index];
+    else if (arg === '--params') options.params = JSON.parse(args[++index] || '{}');
+    else if (arg === '--out') options.out = args[++index];
+    else if (arg === '--no-svg') options.svg = false;
+    else if (!arg.startsWith('--')) options.inputs.push(arg);
+  }
+  if (!Number.isFinite(options.fps) || options.fps <= 0) {
+    throw new Error('--fps needs a positive number');
+  }
+  return options;
+}
+
+async function loadCard(input) {
+  const filePath = /[\\/]|\.js$|\.json$/.test(input)
+    ? path.resolve(process.cwd(), input)
+    : path.join(CARDS_DIR, `${input}.js`);
+  if (filePath.endsWith('.js')) {
+    const module = await import(pathToFileURL(filePath).href);
+    if (!module.STUDIO_CARD_OVERRIDE) throw new Error(`${input} has no STUDIO_CARD_OVERRIDE export`);
+    return module.STUDIO_CARD_OVERRIDE;
+  }
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Renders a card's storyboard into a folder: storyboard.json, timing.md and frames/frame_0000.svg...
+ * @returns {Promise<{ outDir: string, storyboard: Object }>}
+ */
+export async function writeStudioStoryboard(card, outDir, { fps = 12, eventParams = {}, svg = true } = {}) {
+  const storyboard = renderArcanaStudioStoryboard(card, { fps, eventParams });
+  const framesDir = path.join(outDir, 'frames');
+  await fs.rm(framesDir, { recursive: true, force: true });
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(path.join(outDir, 'storyboard.json'), `${JSON.stringify(storyboard, null, 2)}\n`, 'utf8');
+  await fs.writeFile(path.join(outDir, 'timing.md'), formatArcanaStudioTimingSheet(storyboard), 'utf8');
+  if (svg) {
+    await fs.mkdir(framesDir, { recursive: true });
+    for (const frame of storyboard.frames) {
+      const name = `frame_${String(frame.index).padStart(4, '0')}.svg`;
+      await fs.writeFile(path.join(framesDir, name), renderStoryboardFrameSvg(storyboard, frame), 'utf8');
+    }
+  }
+  return { outDir, storyboard };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    usage();
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+
+  const options = parseArgs(args);
+  const eventParams = { targetSquare: options.square, square: options.square, ...options.params };
+  for (const input of options.inputs) {
+    const card = await loadCard(input);
+    const outDir = options.out && options.inputs.length === 1
+      ? path.resolve(process.cwd(), options.out)
+      : path.join(options.out ? path.resolve(process.cwd(), options.out) : DEFAULT_RENDERS_DIR, card.id);
+    const { storyboard } = await writeStudioStoryboard(card, outDir, { fps: options.fps, eventParams, svg: options.svg });
+    console.log(`Rendered ${card.id}: ${storyboard.frames.length} frames at ${storyboard.fps} fps -> ${path.relative(REPO_ROOT, outDir)}`);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Differences between two versions of an Arcana Studio card, for the history CLI and the Studio.
+ *
+ * Tracks and keys are matched by id (Studio ids are stable across saves), so a key that only
+ * moved in time shows up as a timing shift rather than a removal plus an addition.
+ */
+
+export const STUDIO_TRACK_KINDS = Object.freeze(['camera', 'objects', 'particles', 'overlays', 'sounds', 'events']);
+
+// Rewritten on every save; never a meaningful change.
+const IGNORED_CARD_PATHS = new Set(['meta.updatedAt', 'tracks', 'version']);
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Field-level differences; arrays (vectors, colour ramps) count as single values.
+function diffFields(before, after, { prefix = '', ignored = null, out = [] } = {}) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of [...keys].sort()) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (ignored?.has(path)) continue;
+    const a = before?.[key];
+    const b = after?.[key];
+    if (isPlainObject(a) && isPlainObject(b)) {
+      diffFields(a, b, { prefix: path, ignored, out });
+    } else if (!sameValue(a, b)) {
+      out.push({ path, before: a, after: b });
+    }
+  }
+  return out;
+}
+
+function byId(list) {
+  const map = new Map();
+  (Array.isArray(list) ? list : []).forEach((entry, index) => map.set(entry?.id ?? `#${index}`, entry));
+  return map;
+}
+
+function diffKeys(beforeKeys, afterKeys) {
+  const before = byId(beforeKeys);
+  const after = byId(afterKeys);
+  const keys = { added: [], removed: [], shifted: [], changed: [] };
+
+  for (const [id, key] of after) {
+    if (!before.has(id)) keys.added.push({ id, timeMs: key.timeMs });
+  }
+  for (const [id, key] of before) {
+    const next = after.get(id);
+    if (!next) {
+      keys.removed.push({ id, timeMs: key.timeMs });
+      continue;
+    }
+    if (key.timeMs !== next.timeMs) keys.shifted.push({ id, fromMs: key.timeMs, toMs: next.timeMs });
+    const { timeMs: _a, ...restBefore } = key;
+    const { timeMs: _b, ...restAfter } = next;
+    const fields = diffFields(restBefore, restAfter).map((field) => field.path);
+    if (fields.length > 0) keys.changed.push({ id, timeMs: next.timeMs, fields });
+  }
+  return keys;
+}
+
+function countKeyChanges(keys) {
+  return keys.added.length + keys.removed.length + keys.shifted.length + keys.changed.length;
+}
+
+/**
+ * @param {Object} before - Older card
+ * @param {Object} after - Newer card
+ * @returns {{ identical: boolean, fields: Object[], tracks: Object[] }} `fields` lists card-level
+ *   changes as `{ path, before, after }`; `tracks` lists every added, removed or changed track with
+ *   its own `fields` and its keys split into added / removed / shifted / changed.
+ */
+export function diffStudioCards(before, after) {
+  const fields = diffFields(before, after, { ignored: IGNORED_CARD_PATHS });
+  const tracks = [];
+
+  for (const kind of STUDIO_TRACK_KINDS) {
+    const beforeTracks = byId(before?.tracks?.[kind]);
+    const afterTracks = byId(after?.tracks?.[kind]);
+
+    for (const [id, track] of afterTracks) {
+      if (beforeTracks.has(id)) continue;
+      tracks.push({ kind, id, name: track?.name || id, change: 'added', fields: [], keys: diffKeys([], track?.keys) });
+    }
+    for (const [id, track] of beforeTracks) {
+      const next = afterTracks.get(id);
+      if (!next) {
+        tracks.push({ kind, id, name: track?.name || id, change: 'removed', fields: [], keys: diffKeys(track?.keys, []) });
+        continue;
+      }
+      const { keys: beforeKeys, ...beforeProps } = track;
+      const { keys: afterKeys, ...afterProps } = next;
+      const trackFields = diffFields(beforeProps, afterProps);
+      const keys = diffKeys(beforeKeys, afterKeys);
+      if (trackFields.length > 0 || countKeyChanges(keys) > 0) {
+        tracks.push({ kind, id, name: next.name || id, change: 'changed', fields: trackFields, keys });
+      }
+    }
+  }
+
+  return { identical: fields.length === 0 && tracks.length === 0, fields, tracks };
+}
+
+const formatValue = (value) => (value === undefined ? '(none)' : JSON.stringify(value));
+
+/**
+ * One line per change, for terminals and plain-text panels.
+ * @param {Object} diff - From diffStudioCards
+ * @returns {string[]}
+ */
+export function describeStudioCardDiff(diff) {
+  if (diff.identical) return ['No changes.'];
+  const lines = diff.fields.map((field) => `${field.path}: ${formatValue(field.before)} -> ${formatValue(field.after)}`);
+
+  for (const track of diff.tracks) {
+    const label = `${track.kind}/${track.name}`;
+    if (track.change !== 'changed') {
+      const count = track.change === 'added' ? track.keys.added.length : track.keys.removed.length;
+      lines.push(`${track.change === 'added' ? '+' : '-'} ${label} (${count} key${count === 1 ? '' : 's'})`);
+      continue;
+    }
+    lines.push(`~ ${label}`);
+    track.fields.forEach((field) => lines.push(`    ${field.path}: ${formatValue(field.before)} -> ${formatValue(field.after)}`));
+    track.keys.added.forEach((key) => lines.push(`    + key at ${key.timeMs}ms`));
+    track.keys.removed.forEach((key) => lines.push(`    - key at ${key.timeMs}ms`));
+    track.keys.shifted.forEach((key) => {
+      const delta = key.toMs - key.fromMs;
+      lines.push(`    key moved ${key.fromMs}ms -> ${key.toMs}ms (${delta > 0 ? '+' : ''}${delta}ms)`);
+    });
+    track.keys.changed.forEach((key) => lines.push(`    key at ${key.timeMs}ms: ${key.fields.join(', ')}`));
+  }
+  return lines;
+}
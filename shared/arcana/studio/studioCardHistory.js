@@ -0,0 +1,136 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { diffStudioCards } from './studioCardDiff.js';
+import { rebuildStudioOverridesIndex, writeStudioCardModule } from './studioFileWriter.js';
+
+/**
+ * Version history of applied Studio cards. Every card written by `studio:apply`, the Studio's
+ * Save to Game button or a rollback is kept as
+ *   studio_exports/history/<card id>/v0001.json = { version, cardId, savedAt, author, source, card }
+ * Versions are numbered per card and never rewritten.
+ */
+
+const SAFE_CARD_ID = /^[A-Za-z0-9_-]+$/;
+
+export function getStudioHistoryRoot(repoRoot) {
+  return path.resolve(repoRoot, 'studio_exports/history');
+}
+
+function cardHistoryDir(repoRoot, cardId) {
+  const id = String(cardId || '').trim();
+  if (!SAFE_CARD_ID.test(id)) {
+    throw new Error(`Invalid studio card id: ${cardId}`);
+  }
+  return path.join(getStudioHistoryRoot(repoRoot), id);
+}
+
+/** `--author` if given, else ARCANA_STUDIO_AUTHOR, else the OS user. */
+export function resolveStudioAuthor(explicit = null) {
+  if (explicit && String(explicit).trim()) return String(explicit).trim();
+  if (process.env.ARCANA_STUDIO_AUTHOR) return process.env.ARCANA_STUDIO_AUTHOR;
+  try {
+    return os.userInfo().username || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+function versionFileName(version) {
+  return `v${String(version).padStart(4, '0')}.json`;
+}
+
+async function readEntries(repoRoot, cardId) {
+  let names = [];
+  try {
+    names = await fs.readdir(cardHistoryDir(repoRoot, cardId));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const name of names.filter((entry) => /^v\d+\.json$/.test(entry))) {
+    const raw = await fs.readFile(path.join(cardHistoryDir(repoRoot, cardId), name), 'utf8');
+    entries.push(JSON.parse(raw));
+  }
+  return entries.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * All versions of a card, oldest first, without the card bodies.
+ * @returns {Promise<Object[]>} `{ version, cardId, savedAt, author, source, rolledBackTo? }`
+ */
+export async function listStudioCardVersions(repoRoot, cardId) {
+  const entries = await readEntries(repoRoot, cardId);
+  return entries.map(({ card: _card, ...entry }) => entry);
+}
+
+/**
+ * One stored version, including the card.
+ * @param {number|'latest'} version
+ */
+export async function readStudioCardVersion(repoRoot, cardId, version) {
+  const entries = await readEntries(repoRoot, cardId);
+  const entry = version === 'latest'
+    ? entries[entries.length - 1]
+    : entries.find((candidate) => candidate.version === Number(version));
+  if (!entry) {
+    throw new Error(`No version ${version} of ${cardId}`);
+  }
+  return entry;
+}
+
+/**
+ * Stores a new version of a card. A card identical to the latest version is not stored again.
+ * @param {string} repoRoot
+ * @param {Object} card - Studio card with an id
+ * @param {Object} [details]
+ * @param {string} [details.author]
+ * @param {string} [details.source] - 'apply', 'studio', 'template' or 'rollback'
+ * @param {number} [details.rolledBackTo] - Version a rollback restored
+ * @returns {Promise<Object>} The stored entry (or the latest one when nothing changed)
+ */
+export async function recordStudioCardVersion(repoRoot, card, { author = 'unknown', source = 'apply', rolledBackTo } = {}) {
+  const cardId = String(card?.id || '').trim();
+  const dir = cardHistoryDir(repoRoot, cardId);
+  const entries = await readEntries(repoRoot, cardId);
+  const latest = entries[entries.length - 1];
+  if (latest && diffStudioCards(latest.card, card).identical) return latest;
+
+  const entry = {
+    version: (latest?.version || 0) + 1,
+    cardId,
+    savedAt: new Date().toISOString(),
+    author: String(author || 'unknown').trim() || 'unknown',
+    source,
+    ...(rolledBackTo ? { rolledBackTo } : {}),
+    card,
+  };
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, versionFileName(entry.version)), `${JSON.stringify(entry, null, 2)}\n`, { encoding: 'utf8', flag: 'wx' });
+  return entry;
+}
+
+/**
+ * Diff between two stored versions; `to` defaults to the latest.
+ */
+export async function diffStudioCardVersions(repoRoot, cardId, from, to = 'latest') {
+  const [before, after] = await Promise.all([
+    readStudioCardVersion(repoRoot, cardId, from),
+    readStudioCardVersion(repoRoot, cardId, to),
+  ]);
+  return { from: before.version, to: after.version, diff: diffStudioCards(before.card, after.card) };
+}
+
+/**
+ * Makes an old version the live card again: rewrites its module and the overrides index, and
+ * records the restore as a new version so the history keeps moving forward.
+ * @returns {Promise<Object>} The new history entry
+ */
+export async function rollbackStudioCard(repoRoot, cardId, version, { author } = {}) {
+  const target = await readStudioCardVersion(repoRoot, cardId, version);
+  const card = { ...target.card, meta: { ...(target.card.meta || {}), updatedAt: Date.now() } };
+  await writeStudioCardModule(repoRoot, card);
+  await rebuildStudioOverridesIndex(repoRoot);
+  return recordStudioCardVersion(repoRoot, card, { author, source: 'rollback', rolledBackTo: target.version });
+}
@@ -14,6 +14,14 @@ export function getStudioOverridesIndexPath(repoRoot) {
   return path.join(getStudioSharedRoot(repoRoot), 'studioCutsceneOverrides.js');
 }
 
+export function getStudioTemplatesRoot(repoRoot) {
+  return path.join(getStudioSharedRoot(repoRoot), 'templates');
+}
+
+export function getStudioTemplatesIndexPath(repoRoot) {
+  return path.join(getStudioSharedRoot(repoRoot), 'studioTemplates.js');
+}
+
 function sanitizeFileStem(value) {
   return String(value || '')
     .trim()
@@ -99,6 +107,62 @@ export async function rebuildStudioOverridesIndex(repoRoot) {
   return indexPath;
 }
 
+export async function writeStudioTemplateModule(repoRoot, template) {
+  const id = String(template?.id || '').trim();
+  if (!id) {
+    throw new Error('Studio template is missing an id');
+  }
+
+  const templatesRoot = getStudioTemplatesRoot(repoRoot);
+  await fs.mkdir(templatesRoot, { recursive: true });
+
+  const filePath = path.join(templatesRoot, `${sanitizeFileStem(id)}.js`);
+  const source = [
+    '// Auto-generated by Arcana Studio.',
+    `export const STUDIO_TEMPLATE = ${JSON.stringify(template, null, 2)};`,
+    '',
+  ].join('\n');
+  await fs.writeFile(filePath, source, 'utf8');
+  return { filePath, id };
+}
+
+export async function rebuildStudioTemplatesIndex(repoRoot) {
+  const templatesRoot = getStudioTemplatesRoot(repoRoot);
+  const indexPath = getStudioTemplatesIndexPath(repoRoot);
+  await fs.mkdir(templatesRoot, { recursive: true });
+
+  const templateFiles = (await fs.readdir(templatesRoot, { withFileTypes: true }))
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.js'))
+    .map((entry) => entry.name)
+    .sort((a, b) => a.localeCompare(b));
+
+  const imports = [];
+  const mapEntries = [];
+  const cacheBust = `v=${Date.now()}`;
+
+  for (const fileName of templateFiles) {
+    const fileStem = fileName.replace(/\.js$/, '');
+    const module = await import(`${pathToFileURL(path.join(templatesRoot, fileName)).href}?${cacheBust}`);
+    const templateId = String(module?.STUDIO_TEMPLATE?.id || fileStem).trim();
+    const alias = `template_${sanitizeFileStem(templateId)}`;
+    imports.push(`import { STUDIO_TEMPLATE as ${alias} } from './templates/${fileName}';`);
+    mapEntries.push(`  ${JSON.stringify(templateId)}: ${alias},`);
+  }
+
+  const content = [
+    '// Auto-generated by Arcana Studio.',
+    ...imports,
+    '',
+    'export const STUDIO_TEMPLATES = {',
+    ...mapEntries,
+    '};',
+    '',
+  ].join('\n');
+
+  await fs.writeFile(indexPath, content, 'utf8');
+  return indexPath;
+}
+
 export async function removeFiles(files = []) {
   for (const filePath of files) {
     try {
@@ -0,0 +1,8 @@
+// Auto-generated by Arcana Studio.
+import { STUDIO_TEMPLATE as template_execution_strike } from './templates/execution_strike.js';
+import { STUDIO_TEMPLATE as template_time_freeze_stasis } from './templates/time_freeze_stasis.js';
+
+export const STUDIO_TEMPLATES = {
+  "execution_strike": template_execution_strike,
+  "time_freeze_stasis": template_time_freeze_stasis,
+};
@@ -0,0 +1,105 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeStudioCardDiff } from './studioCardDiff.js';
+import {
+  diffStudioCardVersions,
+  listStudioCardVersions,
+  readStudioCardVersion,
+  resolveStudioAuthor,
+  rollbackStudioCard,
+} from './studioCardHistory.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const REPO_ROOT = path.resolve(__dirname, '../../..');
+
+function usage() {
+  console.log('Usage: node shared/arcana/studio/studio_history.js list <card-id>');
+  console.log('       node shared/arcana/studio/studio_history.js show <card-id> <version>');
+  console.log('       node shared/arcana/studio/studio_history.js diff <card-id> <from> [to]');
+  console.log('       node shared/arcana/studio/studio_history.js rollback <card-id> <version> [--author name]');
+  console.log('');
+  console.log('Versions are numbers from `list`; `latest` names the newest one.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  npm run studio:history -- list execution');
+  console.log('  npm run studio:history -- diff execution 3');
+  console.log('  npm run studio:history -- rollback execution 2');
+}
+
+function parseVersion(value, fallback) {
+  if (value === undefined) {
+    if (fallback === undefined) throw new Error('Missing version number (see `list`)');
+    return fallback;
+  }
+  if (value === 'latest') return value;
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Not a version number: ${value}`);
+  }
+  return version;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    usage();
+    process.exit(0);
+  }
+
+  const positional = [];
+  let authorArg = null;
+  for (let index = 0; index < args.length; index += 1) {
+    if (args[index] === '--author') authorArg = args[++index];
+    else if (!args[index].startsWith('--')) positional.push(args[index]);
+  }
+  const [command, cardId, first, second] = positional;
+
+  if (!command || !cardId) {
+    usage();
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'list': {
+      const versions = await listStudioCardVersions(REPO_ROOT, cardId);
+      if (versions.length === 0) {
+        console.log(`No history for ${cardId}.`);
+        return;
+      }
+      for (const entry of versions) {
+        const restored = entry.rolledBackTo ? ` (restores v${entry.rolledBackTo})` : '';
+        console.log(`v${entry.version}  ${entry.savedAt}  ${entry.author}  ${entry.source}${restored}`);
+      }
+      return;
+    }
+    case 'show': {
+      const entry = await readStudioCardVersion(REPO_ROOT, cardId, parseVersion(first, 'latest'));
+      console.log(JSON.stringify(entry.card, null, 2));
+      return;
+    }
+    case 'diff': {
+      const { from, to, diff } = await diffStudioCardVersions(REPO_ROOT, cardId, parseVersion(first), parseVersion(second, 'latest'));
+      console.log(`${cardId}: v${from} -> v${to}`);
+      describeStudioCardDiff(diff).forEach((line) => console.log(line));
+      return;
+    }
+    case 'rollback': {
+      const version = parseVersion(first);
+      const entry = await rollbackStudioCard(REPO_ROOT, cardId, version, { author: resolveStudioAuthor(authorArg) });
+      console.log(entry.rolledBackTo === version
+        ? `Restored ${cardId} v${version} as v${entry.version}`
+        : `${cardId} v${version} matches the latest version (v${entry.version}); nothing to restore`);
+      console.log(`Updated ${path.relative(REPO_ROOT, path.resolve(REPO_ROOT, 'shared/arcana/studio/studioCutsceneOverrides.js'))}`);
+      return;
+    }
+    default:
+      usage();
+      process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  ARCANA_STUDIO_TEMPLATE_VERSION,
+  createArcanaStudioTemplate,
+  insertArcanaStudioTemplate,
+} from '../../../client/src/game/arcana/studio/arcanaStudioTemplates.js';
+import {
+  getStudioCardsRoot,
+  getStudioTemplatesRoot,
+  rebuildStudioOverridesIndex,
+  rebuildStudioTemplatesIndex,
+  writeStudioCardModule,
+  writeStudioTemplateModule,
+} from './studioFileWriter.js';
+import { recordStudioCardVersion, resolveStudioAuthor } from './studioCardHistory.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const REPO_ROOT = path.resolve(__dirname, '../../..');
+const TRACK_KINDS = ['camera', 'objects', 'particles', 'overlays', 'sounds', 'events'];
+
+function usage() {
+  console.log('Usage: node shared/arcana/studio/studio_template.js list');
+  console.log('       node shared/arcana/studio/studio_template.js save <card-id> <template-id> --tracks <kinds or track ids> [--name text] [--description text] [--square e4=target]');
+  console.log('       node shared/arcana/studio/studio_template.js import <file.template.json>');
+  console.log('       node shared/arcana/studio/studio_template.js insert <template-id> <card-id> [--offset ms] [--retarget target=dash1] [--author name]');
+  console.log('');
+  console.log('Templates live in shared/arcana/studio/templates; the Studio lists them next to your own presets.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  npm run studio:template -- save execution execution_strike --tracks camera,sounds');
+  console.log('  npm run studio:template -- insert time_freeze_stasis mind_control --offset 300');
+}
+
+function parseArgs(args) {
+  const options = { positional: [], tracks: [], squares: {}, retarget: {}, offset: 0, name: null, description: '', author: null };
+  const pairs = (value, into) => String(value || '').split(',').filter(Boolean).forEach((pair) => {
+    const [from, to] = pair.split('=');
+    if (!from || !to) throw new Error(`Expected from=to, got ${pair}`);
+    into[from.trim()] = to.trim();
+  });
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (arg === '--tracks') options.tracks.push(...String(args[++index] || '').split(',').filter(Boolean));
+    else if (arg === '--square') pairs(args[++index], options.squares);
+    else if (arg === '--retarget') pairs(args[++index], options.retarget);
+    else if (arg === '--offset') options.offset = Number(args[++index]);
+    else if (arg === '--name') options.name = args[++index];
+    else if (arg === '--description') options.description = args[++index];
+    else if (arg === '--author') options.author = args[++index];
+    else if (!arg.startsWith('--')) options.positional.push(arg);
+  }
+  if (!Number.isFinite(options.offset) || options.offset < 0) {
+    throw new Error('--offset needs a number of milliseconds');
+  }
+  return options;
+}
+
+async function importModule(filePath, exportName) {
+  const module = await import(`${pathToFileURL(filePath).href}?v=${Date.now()}`).catch(() => null);
+  if (!module?.[exportName]) throw new Error(`Nothing found at ${path.relative(REPO_ROOT, filePath)}`);
+  return module[exportName];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    usage();
+    process.exit(0);
+  }
+  const options = parseArgs(args);
+  const [command, first, second] = options.positional;
+
+  switch (command) {
+    case 'list': {
+      const { STUDIO_TEMPLATES } = await import(`${pathToFileURL(path.join(__dirname, 'studioTemplates.js')).href}?v=${Date.now()}`);
+      for (const template of Object.values(STUDIO_TEMPLATES)) {
+        const kinds = TRACK_KINDS.filter((kind) => template.tracks[kind]?.length).join(', ');
+        const slots = template.slots.length ? ` · squares: ${template.slots.join(', ')}` : '';
+        console.log(`${template.id}  ${template.durationMs}ms  [${kinds}]${slots}  from ${template.source?.cardId || '?'}`);
+      }
+      return;
+    }
+    case 'save': {
+      if (!first || !second || options.tracks.length === 0) {
+        usage();
+        process.exit(1);
+      }
+      const card = await importModule(path.join(getStudioCardsRoot(REPO_ROOT), `${first}.js`), 'STUDIO_CARD_OVERRIDE');
+      const template = createArcanaStudioTemplate(card, {
+        id: second,
+        name: options.name,
+        description: options.description,
+        kinds: options.tracks.filter((entry) => TRACK_KINDS.includes(entry)),
+        trackIds: options.tracks.filter((entry) => !TRACK_KINDS.includes(entry)),
+        squares: options.squares,
+      });
+      const { filePath } = await writeStudioTemplateModule(REPO_ROOT, template);
+      await rebuildStudioTemplatesIndex(REPO_ROOT);
+      console.log(`Saved ${template.id} (${template.source.trackIds.length} tracks, ${template.durationMs}ms) -> ${path.relative(REPO_ROOT, filePath)}`);
+      return;
+    }
+    case 'import': {
+      if (!first) {
+        usage();
+        process.exit(1);
+      }
+      const template = JSON.parse(await fs.readFile(path.resolve(process.cwd(), first), 'utf8'));
+      if (template?.version !== ARCANA_STUDIO_TEMPLATE_VERSION || !/^[a-z0-9_]+$/.test(template.id || '')) {
+        throw new Error(`${first} is not a Studio template`);
+      }
+      const { filePath } = await writeStudioTemplateModule(REPO_ROOT, template);
+      await rebuildStudioTemplatesIndex(REPO_ROOT);
+      console.log(`Imported ${template.id} -> ${path.relative(REPO_ROOT, filePath)}`);
+      return;
+    }
+    case 'insert': {
+      if (!first || !second) {
+        usage();
+        process.exit(1);
+      }
+      const template = await importModule(path.join(getStudioTemplatesRoot(REPO_ROOT), `${first}.js`), 'STUDIO_TEMPLATE');
+      const target = await importModule(path.join(getStudioCardsRoot(REPO_ROOT), `${second}.js`), 'STUDIO_CARD_OVERRIDE');
+      const { card, inserted } = insertArcanaStudioTemplate(target, template, { offsetMs: options.offset, retarget: options.retarget });
+      card.meta = { ...(card.meta || {}), updatedAt: Date.now() };
+      await writeStudioCardModule(REPO_ROOT, card);
+      await rebuildStudioOverridesIndex(REPO_ROOT);
+      const { version } = await recordStudioCardVersion(REPO_ROOT, card, { author: resolveStudioAuthor(options.author), source: 'template' });
+      const summary = Object.entries(inserted).map(([kind, count]) => `${count} ${kind}`).join(', ');
+      console.log(`Inserted ${template.id} into ${card.id} at ${options.offset}ms (${summary}; history v${version})`);
+      return;
+    }
+    default:
+      usage();
+      process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+// Auto-generated by Arcana Studio.
+export const STUDIO_TEMPLATE = {
+  "version": 1,
+  "id": "execution_strike",
+  "name": "Execution strike",
+  "description": "Low push toward the target, then the swoosh and smash beats of the Execution slash.",
+  "source": {
+    "cardId": "execution",
+    "trackIds": [
+      "cam_ldolzu3i",
+      "legacy_sound"
+    ]
+  },
+  "durationMs": 2000,
+  "slots": [],
+  "tracks": {
+    "camera": [
+      {
+        "id": "cam_ldolzu3i",
+        "name": "Main Camera",
+        "keys": [
+          {
+            "id": "camk_l0z5sup2",
+            "timeMs": 0,
+            "position": [
+              0.022563991862479704,
+              0.9704836945988153,
+              1.7106488872818082
+            ],
+            "target": [
+              -0.002699025814850371,
+              0.1675252127480798,
+              -0.019752151289992362
+            ],
+            "rotation": [
+              -0.4344600593551074,
+              0.01324240957796461,
+              0.0061446221221649324
+            ],
+            "fov": 55,
+            "easing": "easeInOutCubic",
+            "bezier": [
+              0.25,
+              0.1,
+              0.25,
+              1
+            ],
+            "blendMode": "curve"
+          },
+          {
+            "id": "camk_76nup7ip",
+            "timeMs": 800,
+            "position": [
+              -0.07052070159757101,
+              0.26837343382028145,
+              1.889188780070457
+            ],
+            "target": [
+              -0.08932747355138843,
+              1.1371810298909435,
+              0.6009923748979056
+            ],
+            "rotation": [
+              0.5933629381698253,
+              0.012103181260977716,
+              -0.008162455292816536
+            ],
+            "fov": 55,
+            "easing": "easeInOutCubic",
+            "bezier": [
+              0.25,
+              0.1,
+              0.25,
+              1
+            ],
+            "blendMode": "curve"
+          },
+          {
+            "id": "camk_1jr7s4dg",
+            "timeMs": 1500,
+            "position": [
+              0.022563991862479704,
+              0.9704836945988153,
+              1.7106488872818082
+            ],
+            "target": [
+              -0.002699025814850371,
+              0.1675252127480798,
+              -0.019752151289992362
+            ],
+            "rotation": [
+              -0.4344600593551074,
+              0.01324240957796461,
+              0.0061446221221649324
+            ],
+            "fov": 55,
+            "easing": "easeInOutCubic",
+            "bezier": [
+              0.25,
+              0.1,
+              0.25,
+              1
+            ],
+            "blendMode": "curve"
+          },
+          {
+            "id": "camk_0ik3gajv",
+            "timeMs": 2000,
+            "position": [
+              0.022563991862479704,
+              0.9704836945988153,
+              1.7106488872818082
+            ],
+            "target": [
+              -0.002699025814850371,
+              0.1675252127480798,
+              -0.019752151289992362
+            ],
+            "rotation": [
+              -0.4344600593551074,
+              0.01324240957796461,
+              0.0061446221221649324
+            ],
+            "fov": 55,
+            "easing": "easeInOutCubic",
+            "bezier": [
+              0.25,
+              0.1,
+              0.25,
+              1
+            ],
+            "blendMode": "curve"
+          }
+        ]
+      }
+    ],
+    "sounds": [
+      {
+        "id": "legacy_sound",
+        "name": "Legacy Sound",
+        "keys": [
+          {
+            "id": "snd_1",
+            "timeMs": 800,
+            "soundId": "arcana:swoosh",
+            "volume": 1,
+            "loop": false,
+            "pitch": 1
+          },
+          {
+            "id": "snd_2",
+            "timeMs": 1200,
+            "soundId": "arcana:smash",
+            "volume": 1,
+            "loop": false,
+            "pitch": 1
+          }
+        ]
+      }
+    ]
+  }
+};
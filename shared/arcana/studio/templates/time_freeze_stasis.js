@@ -0,0 +1,269 @@
+// Auto-generated by Arcana Studio.
+export const STUDIO_TEMPLATE = {
+  "version": 1,
+  "id": "time_freeze_stasis",
+  "name": "Time Freeze stasis",
+  "description": "Overhead hold with freeze, ambient and unfreeze sounds, a monochrome wash and the Time Freeze particles on the target.",
+  "source": {
+    "cardId": "time_freeze",
+    "trackIds": [
+      "cam_8fk8rz1y",
+      "legacy_sound",
+      "legacy_events"
+    ]
+  },
+  "durationMs": 2500,
+  "slots": [
+    "target"
+  ],
+  "tracks": {
+    "camera": [
+      {
+        "id": "cam_8fk8rz1y",
+        "name": "Main Camera",
+        "keys": [
+          {
+            "id": "camk_3ruap0no",
+            "timeMs": 0,
+            "position": [
+              0.000002465559684440211,
+              2.465544676576495,
+              -2.1596604770232984e-8
+            ],
+            "target": [
+              0,
+              0,
+              0
+            ],
+            "rotation": [
+              -1.5707963355542616,
+              0.0000010000060867711437,
+              1.5795554140702714
+            ],
+            "fov": 55,
+            "easing": "easeInOutCubic",
+            "bezier": [
+              0.25,
+              0.1,
+              0.25,
+              1
+            ],
+            "blendMode": "curve"
+          },
+          {
+            "id": "camk_bvoe3ya4",
+            "timeMs": 1250,
+            "position": [
+              0.000008183259228942123,
+              8.183542175573779,
+              6.805094689293432e-8
+            ],
+            "target": [
+              0,
+              0,
+              0
+            ],
+            "rotation": [
+              -1.570796318479311,
+              9.999654247973556e-7,
+              1.5624806451826099
+            ],
+            "fov": 55,
+            "easing": "easeInOutQuad",
+            "bezier": [
+              0.25,
+              0.1,
+              0.25,
+              1
+            ],
+            "blendMode": "curve"
+          },
+          {
+            "id": "camk_rt4dl0lo",
+            "timeMs": 2500,
+            "position": [
+              -6.535074453730393e-8,
+              22.376793242791944,
+              -0.000022382660347363654
+            ],
+            "target": [
+              0,
+              0,
+              0
+            ],
+            "rotation": [
+              -1.5707973270570927,
+              -2.920469605949619e-9,
+              -3.1386729578152006
+            ],
+            "fov": 55,
+            "easing": "easeInOutCubic",
+            "bezier": [
+              0.25,
+              0.1,
+              0.25,
+              1
+            ],
+            "blendMode": "curve"
+          }
+        ]
+      }
+    ],
+    "sounds": [
+      {
+        "id": "legacy_sound",
+        "name": "Legacy Sound",
+        "keys": [
+          {
+            "id": "snd_0",
+            "timeMs": 0,
+            "soundId": "arcana:whoosh",
+            "volume": 1,
+            "loop": false,
+            "pitch": 1
+          },
+          {
+            "id": "snd_1",
+            "timeMs": 400,
+            "soundId": "arcana:clock_ticking",
+            "volume": 1,
+            "loop": false,
+            "pitch": 1
+          },
+          {
+            "id": "snd_2",
+            "timeMs": 1600,
+            "soundId": "arcana:swoosh",
+            "volume": 1,
+            "loop": false,
+            "pitch": 1
+          }
+        ]
+      }
+    ],
+    "events": [
+      {
+        "id": "legacy_events",
+        "name": "Legacy Events",
+        "keys": [
+          {
+            "id": "evt_0_0",
+            "timeMs": 0,
+            "type": "camera:focus",
+            "delayMs": 0,
+            "payload": {
+              "phase": "camera_focus",
+              "cardId": "time_freeze",
+              "legacyAction": "camera_move",
+              "anchor": "target",
+              "duration": 400,
+              "holdDuration": 1800,
+              "returnDuration": 400,
+              "lookAtYOffset": 0.12,
+              "soundMap": {
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
+              }
+            }
+          },
+          {
+            "id": "evt_0_1",
+            "timeMs": 0,
+            "type": "sound_play",
+            "delayMs": 0,
+            "payload": {
+              "phase": "camera_focus",
+              "cardId": "time_freeze",
+              "legacyAction": "sound_freeze",
+              "soundId": "arcana:whoosh",
+              "volume": 1,
+              "pitch": 1,
+              "loop": false,
+              "soundMap": {
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
+              }
+            }
+          },
+          {
+            "id": "evt_1_0",
+            "timeMs": 400,
+            "type": "vfx:play",
+            "delayMs": 0,
+            "payload": {
+              "phase": "frozen_state",
+              "cardId": "time_freeze",
+              "legacyAction": "vfx_particles",
+              "effect": "particles",
+              "durationMs": 900,
+              "soundMap": {
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
+              }
+            }
+          },
+          {
+            "id": "evt_1_1",
+            "timeMs": 400,
+            "type": "overlay:monochrome",
+            "delayMs": 0,
+            "payload": {
+              "phase": "frozen_state",
+              "cardId": "time_freeze",
+              "legacyAction": "overlay_monochrome",
+              "duration": 700,
+              "soundMap": {
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
+              }
+            }
+          },
+          {
+            "id": "evt_1_2",
+            "timeMs": 400,
+            "type": "sound_play",
+            "delayMs": 0,
+            "payload": {
+              "phase": "frozen_state",
+              "cardId": "time_freeze",
+              "legacyAction": "sound_ambient_loop",
+              "soundId": "arcana:clock_ticking",
+              "volume": 1,
+              "pitch": 1,
+              "loop": false,
+              "soundMap": {
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
+              }
+            }
+          },
+          {
+            "id": "evt_2_0",
+            "timeMs": 1600,
+            "type": "sound_play",
+            "delayMs": 0,
+            "payload": {
+              "phase": "camera_return",
+              "cardId": "time_freeze",
+              "legacyAction": "sound_unfreeze",
+              "soundId": "arcana:swoosh",
+              "volume": 1,
+              "pitch": 1,
+              "loop": false,
+              "soundMap": {
+                "freeze": "arcana:whoosh",
+                "ambient": "arcana:clock_ticking",
+                "unfreeze": "arcana:swoosh"
+              }
+            }
+          }
+        ]
+      }
+    ]
+  }
+};
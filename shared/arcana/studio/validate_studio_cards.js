@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { validateArcanaStudioCard } from '../../../client/src/game/arcana/studio/arcanaStudioValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const REPO_ROOT = path.resolve(__dirname, '../../..');
+const DEFAULT_SOURCES = [
+  path.resolve(REPO_ROOT, 'studio_exports'),
+  path.resolve(REPO_ROOT, 'shared/arcana/studio/cards'),
+];
+
+function usage() {
+  console.log('Usage: node shared/arcana/studio/validate_studio_cards.js [paths...] [--strict] [--json]');
+  console.log('');
+  console.log('Checks Studio exports (*.arcana.json) and applied card modules (cards/*.js).');
+  console.log('With no paths, checks studio_exports/ and shared/arcana/studio/cards/.');
+  console.log('Exits with 1 when a card has errors; --strict also fails on warnings.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  npm run studio:validate');
+  console.log('  npm run studio:validate -- ./studio_exports/execution.arcana.json --strict');
+}
+
+function isCardFile(name) {
+  return name.endsWith('.arcana.json') || name.endsWith('.js');
+}
+
+function listCardFiles(target) {
+  if (!fs.existsSync(target)) return [];
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && isCardFile(entry.name))
+    .map((entry) => path.join(target, entry.name))
+    .sort();
+}
+
+async function loadCard(filePath) {
+  if (filePath.endsWith('.js')) {
+    const module = await import(pathToFileURL(filePath).href);
+    if (!module.STUDIO_CARD_OVERRIDE) throw new Error('module has no STUDIO_CARD_OVERRIDE export');
+    return module.STUDIO_CARD_OVERRIDE;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function soundFileExists(url) {
+  return fs.existsSync(path.join(REPO_ROOT, 'public', ...url.split('/').filter(Boolean)));
+}
+
+/**
+ * Validates every card file under the given paths.
+ * @returns {Promise<Array<{ file: string, cardId: string|null, errors: Object[], warnings: Object[] }>>}
+ */
+export async function validateStudioCardFiles(targets = DEFAULT_SOURCES) {
+  const results = [];
+  for (const filePath of targets.flatMap(listCardFiles)) {
+    const file = path.relative(REPO_ROOT, filePath);
+    try {
+      const card = await loadCard(filePath);
+      const { errors, warnings } = validateArcanaStudioCard(card, { soundExists: soundFileExists });
+      results.push({ file, cardId: card?.id || null, errors, warnings });
+    } catch (err) {
+      results.push({ file, cardId: null, errors: [{ path: '$', message: `could not load: ${err.message}` }], warnings: [] });
+    }
+  }
+  return results;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    usage();
+    process.exit(0);
+  }
+  const strict = args.includes('--strict');
+  const asJson = args.includes('--json');
+  const positional = args.filter((arg) => !arg.startsWith('--')).map((arg) => path.resolve(process.cwd(), arg));
+
+  const results = await validateStudioCardFiles(positional.length ? positional : DEFAULT_SOURCES);
+  const errorCount = results.reduce((sum, result) => sum + result.errors.length, 0);
+  const warningCount = results.reduce((sum, result) => sum + result.warnings.length, 0);
+
+  if (asJson) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const result of results) {
+      const clean = result.errors.length === 0 && result.warnings.length === 0;
+      console.log(`${clean ? 'ok  ' : result.errors.length ? 'FAIL' : 'warn'} ${result.file}`);
+      result.errors.forEach((issue) => console.log(`     error   ${issue.path}: ${issue.message}`));
+      result.warnings.forEach((issue) => console.log(`     warning ${issue.path}: ${issue.message}`));
+    }
+    console.log(`\n${results.length} card(s), ${errorCount} error(s), ${warningCount} warning(s)`);
+  }
+
+  if (errorCount > 0 || (strict && warningCount > 0)) process.exit(1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
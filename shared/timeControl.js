@@ -0,0 +1,138 @@
+/**
+ * Time control parsing shared by the lobby UI and the server clock.
+ *
+ * Accepted formats:
+ * - `null`, `'unlimited'`            -> no clock
+ * - `10`, `'10'`                     -> 10 minutes per player
+ * - `'bullet' | 'blitz' | 'rapid' | 'classical'` presets
+ * - `'3+2'`, `'10|5'`                -> minutes + Fischer increment (seconds)
+ * - `'10|5d'`                        -> minutes + simple (US) delay (seconds)
+ * - `'10|5b'`                        -> minutes + Bronstein delay (seconds)
+ */
+
+export const TIME_CONTROL_PRESETS = {
+  bullet: { minutes: 5, seconds: 0, mode: 'none' },
+  blitz: { minutes: 10, seconds: 0, mode: 'none' },
+  rapid: { minutes: 30, seconds: 0, mode: 'none' },
+  classical: { minutes: 60, seconds: 0, mode: 'none' },
+};
+
+/** Minutes used when a time control string cannot be understood. */
+export const DEFAULT_TIME_CONTROL_MINUTES = 30;
+
+const MAX_MINUTES = 24 * 60;
+const MAX_BONUS_SECONDS = 600;
+const TIME_CONTROL_PATTERN = /^(\d+(?:\.\d+)?)\s*(?:([+|])\s*(\d+(?:\.\d+)?)\s*([db])?)?$/i;
+
+function buildConfig(minutes, seconds, mode) {
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MINUTES) return undefined;
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > MAX_BONUS_SECONDS) return undefined;
+  const bonusMs = Math.round(seconds * 1000);
+  const resolvedMode = bonusMs > 0 ? mode : 'none';
+  return {
+    initialMs: Math.round(minutes * 60 * 1000),
+    incrementMs: resolvedMode === 'fischer' ? bonusMs : 0,
+    delayMs: resolvedMode === 'simple' || resolvedMode === 'bronstein' ? bonusMs : 0,
+    delayMode: resolvedMode === 'simple' || resolvedMode === 'bronstein' ? resolvedMode : null,
+  };
+}
+
+/**
+ * Parses a lobby/AI time control into a clock config.
+ * @param {string|number|null} timeControl - Raw time control value.
+ * @returns {{initialMs:number, incrementMs:number, delayMs:number, delayMode:(string|null)}|null|undefined}
+ *   The config, `null` for unlimited time, or `undefined` when the value is not understood.
+ */
+export function parseTimeControl(timeControl) {
+  if (timeControl === null || timeControl === undefined) return null;
+  if (typeof timeControl === 'number') {
+    return buildConfig(timeControl, 0, 'none');
+  }
+  if (typeof timeControl !== 'string') return undefined;
+
+  const key = timeControl.trim().toLowerCase();
+  if (!key || key === 'unlimited' || key === 'none') return null;
+
+  const preset = TIME_CONTROL_PRESETS[key];
+  if (preset) return buildConfig(preset.minutes, preset.seconds, preset.mode);
+
+  const match = TIME_CONTROL_PATTERN.exec(key);
+  if (!match) return undefined;
+
+  const minutes = Number(match[1]);
+  const seconds = match[3] !== undefined ? Number(match[3]) : 0;
+  let mode = 'none';
+  if (match[2]) {
+    if (match[4] === 'd') mode = 'simple';
+    else if (match[4] === 'b') mode = 'bronstein';
+    else mode = 'fischer';
+  }
+  return buildConfig(minutes, seconds, mode);
+}
+
+/**
+ * Returns true when the value is a recognised time control (including unlimited).
+ */
+export function isValidTimeControl(timeControl) {
+  return parseTimeControl(timeControl) !== undefined;
+}
+
+/**
+ * Like parseTimeControl, but falls back to DEFAULT_TIME_CONTROL_MINUTES for unknown input.
+ */
+export function resolveTimeControl(timeControl) {
+  const parsed = parseTimeControl(timeControl);
+  if (parsed !== undefined) return parsed;
+  return buildConfig(DEFAULT_TIME_CONTROL_MINUTES, 0, 'none');
+}
+
+/**
+ * Formats a clock config back into its canonical string (`'10'`, `'3+2'`, `'10|5d'`).
+ * @param {object|null} config - Config returned by parseTimeControl.
+ * @returns {string|null} Canonical string, or null for unlimited.
+ */
+export function formatTimeControl(config) {
+  if (!config) return null;
+  const minutes = String(Number((config.initialMs / 60000).toFixed(2)));
+  if (config.incrementMs > 0) return `${minutes}+${Number((config.incrementMs / 1000).toFixed(2))}`;
+  if (config.delayMs > 0) {
+    const suffix = config.delayMode === 'bronstein' ? 'b' : 'd';
+    return `${minutes}|${Number((config.delayMs / 1000).toFixed(2))}${suffix}`;
+  }
+  return minutes;
+}
+
+/**
+ * Human readable label for menus and lobby cards.
+ */
+export function describeTimeControl(timeControl) {
+  const config = parseTimeControl(timeControl);
+  if (config === null) return 'Unlimited';
+  if (config === undefined) return String(timeControl || 'Unlimited');
+  const minutes = Number((config.initialMs / 60000).toFixed(2));
+  if (config.incrementMs > 0) return `${minutes} min + ${config.incrementMs / 1000}s increment`;
+  if (config.delayMs > 0) {
+    const kind = config.delayMode === 'bronstein' ? 'Bronstein delay' : 'delay';
+    return `${minutes} min, ${config.delayMs / 1000}s ${kind}`;
+  }
+  return `${minutes} min each`;
+}
+
+/** Rating buckets, by estimated game length (base time + 40 moves of bonus time). */
+export const TIME_CONTROL_BUCKETS = ['bullet', 'blitz', 'rapid'];
+const BULLET_MAX_SECONDS = 5 * 60;
+const BLITZ_MAX_SECONDS = 15 * 60;
+
+/**
+ * Rating bucket for a time control. Longer games and unlimited time share `'rapid'`.
+ * @param {string|number|null} timeControl - Raw time control value.
+ * @returns {'bullet'|'blitz'|'rapid'}
+ */
+export function getTimeControlBucket(timeControl) {
+  const config = resolveTimeControl(timeControl);
+  if (!config) return 'rapid';
+  const estimatedSeconds = (config.initialMs + 40 * (config.incrementMs + config.delayMs)) / 1000;
+  if (estimatedSeconds <= BULLET_MAX_SECONDS) return 'bullet';
+  if (estimatedSeconds <= BLITZ_MAX_SECONDS) return 'blitz';
+  return 'rapid';
+}
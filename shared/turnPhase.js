@@ -0,0 +1,120 @@
+/**
+ * Turn phases: what the side to move is in the middle of, and which actions it may take.
+ *
+ * Multi-step cards keep their own data in activeEffects (doubleStrikeActive,
+ * berserkerRageActive, edgerunnerOverdrive, mindControlled, ...). The phase is resolved from
+ * that data, the pending reveal and the extra move granted after the last move, in the order
+ * of PHASE_RULES, so the server validates against it and clients read it from the serialized
+ * state instead of re-deriving the flags.
+ */
+
+export const TURN_PHASES = Object.freeze({
+  AWAITING_MOVE: 'awaitingMove',
+  AWAITING_REVEAL_ACK: 'awaitingRevealAck',
+  AWAITING_SECOND_CAPTURE: 'awaitingSecondCapture',
+  FORCED_PIECE: 'forcedPiece',
+  EXTRA_MOVE: 'extraMove',
+  GAME_OVER: 'gameOver',
+});
+
+// Actions by the names used in playerAction payloads; 'negotiate' covers draw offers,
+// takebacks and adjournment, 'revealAck' the arcanaRevealComplete event.
+export const TURN_ACTIONS = Object.freeze(['move', 'useArcana', 'drawArcana', 'peekCardSelect', 'negotiate', 'revealAck']);
+
+// Actions of the side to move; the other player may only negotiate.
+const PHASE_ACTIONS = Object.freeze({
+  [TURN_PHASES.AWAITING_MOVE]: ['move', 'useArcana', 'drawArcana', 'negotiate'],
+  [TURN_PHASES.AWAITING_REVEAL_ACK]: ['revealAck'],
+  [TURN_PHASES.AWAITING_SECOND_CAPTURE]: ['move', 'negotiate'],
+  [TURN_PHASES.FORCED_PIECE]: ['move', 'negotiate'],
+  [TURN_PHASES.EXTRA_MOVE]: ['move', 'negotiate'],
+  [TURN_PHASES.GAME_OVER]: [],
+});
+
+const PHASE_BLOCK_MESSAGES = Object.freeze({
+  [TURN_PHASES.AWAITING_REVEAL_ACK]: 'Please wait for the card reveal to finish',
+  [TURN_PHASES.AWAITING_SECOND_CAPTURE]: 'Finish your second capture first',
+  [TURN_PHASES.FORCED_PIECE]: 'Move the required piece first',
+  [TURN_PHASES.EXTRA_MOVE]: 'Make your extra move first',
+  [TURN_PHASES.GAME_OVER]: 'Game is not active',
+});
+
+const colorOf = (gameState, playerId) => {
+  const color = gameState.playerColors?.[playerId];
+  return color === 'white' ? 'w' : color === 'black' ? 'b' : null;
+};
+
+// First matching rule wins; each returns `{ phase, source?, square? }` or null.
+const PHASE_RULES = [
+  (gameState) => (gameState.status !== 'ongoing' ? { phase: TURN_PHASES.GAME_OVER } : null),
+  (gameState, color) => {
+    const ownerId = gameState.pendingReveal?.playerId;
+    return ownerId && colorOf(gameState, ownerId) === color
+      ? { phase: TURN_PHASES.AWAITING_REVEAL_ACK, source: 'reveal' }
+      : null;
+  },
+  (gameState, color) => {
+    const { doubleStrikeActive, berserkerRageActive } = gameState.activeEffects || {};
+    if (doubleStrikeActive?.color === color) {
+      return { phase: TURN_PHASES.AWAITING_SECOND_CAPTURE, source: 'doubleStrike', square: doubleStrikeActive.firstKillerSquare || null };
+    }
+    if (berserkerRageActive?.color === color) {
+      const square = berserkerRageActive.firstKillFrom || berserkerRageActive.firstKillSquare || null;
+      return { phase: TURN_PHASES.AWAITING_SECOND_CAPTURE, source: 'berserkerRage', square };
+    }
+    return null;
+  },
+  (gameState, color) => {
+    const overdrive = gameState.activeEffects?.edgerunnerOverdrive;
+    if (overdrive?.active && overdrive.color === color) {
+      return { phase: TURN_PHASES.FORCED_PIECE, source: 'edgerunnerOverdrive', square: overdrive.currentSquare || null };
+    }
+    const controlled = (gameState.activeEffects?.mindControlled || [])
+      .find((entry) => (entry?.controller || entry?.controlledBy) === color);
+    return controlled ? { phase: TURN_PHASES.FORCED_PIECE, source: 'mindControl', square: controlled.square } : null;
+  },
+  (gameState, color) => {
+    const grant = gameState.extraMove;
+    return grant?.color === color ? { phase: TURN_PHASES.EXTRA_MOVE, source: grant.source, square: grant.square || null } : null;
+  },
+];
+
+/**
+ * Resolves the phase of the side to move.
+ * @param {Object} gameState - Server game state (needs `chess`, `status`, `activeEffects`)
+ * @returns {{ phase: string, color: 'w'|'b', source: string|null, square: string|null }}
+ */
+export function resolveTurnPhase(gameState) {
+  const color = gameState.chess.turn();
+  for (const rule of PHASE_RULES) {
+    const match = rule(gameState, color);
+    if (match) return { color, source: null, square: null, ...match };
+  }
+  return { phase: TURN_PHASES.AWAITING_MOVE, color, source: null, square: null };
+}
+
+/**
+ * Actions a player may take right now.
+ * @param {Object} turnPhase - From resolveTurnPhase
+ * @param {'w'|'b'} color - The player's colour
+ * @param {{ peekPending?: boolean }} [options] - A Peek card is waiting for this player's choice
+ * @returns {string[]}
+ */
+export function getAllowedTurnActions(turnPhase, color, { peekPending = false } = {}) {
+  if (turnPhase.phase === TURN_PHASES.GAME_OVER) return [];
+  const isMover = turnPhase.color === color;
+  const actions = isMover ? [...PHASE_ACTIONS[turnPhase.phase]] : ['negotiate'];
+  if (peekPending && !(isMover && turnPhase.phase === TURN_PHASES.AWAITING_REVEAL_ACK)) actions.push('peekCardSelect');
+  return actions;
+}
+
+/**
+ * Why `action` is refused in this phase, or null. The player not to move is left to the
+ * turn-ownership checks of each action, which have their own messages.
+ * @returns {string|null}
+ */
+export function getTurnActionBlockReason(turnPhase, color, action, options) {
+  if (getAllowedTurnActions(turnPhase, color, options).includes(action)) return null;
+  if (turnPhase.color !== color && turnPhase.phase !== TURN_PHASES.GAME_OVER) return null;
+  return PHASE_BLOCK_MESSAGES[turnPhase.phase] || null;
+}